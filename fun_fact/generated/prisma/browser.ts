@@ -27,6 +27,11 @@ export type Student = Prisma.StudentModel
  * 
  */
 export type Session = Prisma.SessionModel
+/**
+ * Model SessionInstance
+ * 
+ */
+export type SessionInstance = Prisma.SessionInstanceModel
 /**
  * Model Booking
  * 
@@ -37,6 +42,36 @@ export type Booking = Prisma.BookingModel
  * 
  */
 export type BookingStatusHistory = Prisma.BookingStatusHistoryModel
+/**
+ * Model WaitlistEntry
+ * 
+ */
+export type WaitlistEntry = Prisma.WaitlistEntryModel
+/**
+ * Model Suspension
+ * 
+ */
+export type Suspension = Prisma.SuspensionModel
+/**
+ * Model Closure
+ * 
+ */
+export type Closure = Prisma.ClosureModel
+/**
+ * Model Vehicle
+ * 
+ */
+export type Vehicle = Prisma.VehicleModel
+/**
+ * Model VehicleMaintenance
+ * 
+ */
+export type VehicleMaintenance = Prisma.VehicleMaintenanceModel
+/**
+ * Model SessionAssignment
+ * 
+ */
+export type SessionAssignment = Prisma.SessionAssignmentModel
 /**
  * Model User
  * 
@@ -52,3 +87,53 @@ export type SystemSetting = Prisma.SystemSettingModel
  * 
  */
 export type SystemLog = Prisma.SystemLogModel
+/**
+ * Model Notification
+ * 
+ */
+export type Notification = Prisma.NotificationModel
+/**
+ * Model Job
+ * 
+ */
+export type Job = Prisma.JobModel
+/**
+ * Model JobRun
+ * 
+ */
+export type JobRun = Prisma.JobRunModel
+/**
+ * Model TimeSlot
+ * 
+ */
+export type TimeSlot = Prisma.TimeSlotModel
+/**
+ * Model Branch
+ * 
+ */
+export type Branch = Prisma.BranchModel
+/**
+ * Model AuthSession
+ * 
+ */
+export type AuthSession = Prisma.AuthSessionModel
+/**
+ * Model RateLimit
+ * 
+ */
+export type RateLimit = Prisma.RateLimitModel
+/**
+ * Model SessionChange
+ * 
+ */
+export type SessionChange = Prisma.SessionChangeModel
+/**
+ * Model LoginCode
+ * 
+ */
+export type LoginCode = Prisma.LoginCodeModel
+/**
+ * Model StudentRegistration
+ * 
+ */
+export type StudentRegistration = Prisma.StudentRegistrationModel
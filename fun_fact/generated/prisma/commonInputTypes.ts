@@ -176,13 +176,6 @@ export type EnumDayFilter<$PrismaModel = never> = {
   not?: Prisma.NestedEnumDayFilter<$PrismaModel> | $Enums.Day
 }
 
-export type EnumTimeSlotFilter<$PrismaModel = never> = {
-  equals?: $Enums.TimeSlot | Prisma.EnumTimeSlotFieldRefInput<$PrismaModel>
-  in?: $Enums.TimeSlot[]
-  notIn?: $Enums.TimeSlot[]
-  not?: Prisma.NestedEnumTimeSlotFilter<$PrismaModel> | $Enums.TimeSlot
-}
-
 export type IntFilter<$PrismaModel = never> = {
   equals?: number | Prisma.IntFieldRefInput<$PrismaModel>
   in?: number[]
@@ -228,16 +221,6 @@ export type EnumDayWithAggregatesFilter<$PrismaModel = never> = {
   _max?: Prisma.NestedEnumDayFilter<$PrismaModel>
 }
 
-export type EnumTimeSlotWithAggregatesFilter<$PrismaModel = never> = {
-  equals?: $Enums.TimeSlot | Prisma.EnumTimeSlotFieldRefInput<$PrismaModel>
-  in?: $Enums.TimeSlot[]
-  notIn?: $Enums.TimeSlot[]
-  not?: Prisma.NestedEnumTimeSlotWithAggregatesFilter<$PrismaModel> | $Enums.TimeSlot
-  _count?: Prisma.NestedIntFilter<$PrismaModel>
-  _min?: Prisma.NestedEnumTimeSlotFilter<$PrismaModel>
-  _max?: Prisma.NestedEnumTimeSlotFilter<$PrismaModel>
-}
-
 export type IntWithAggregatesFilter<$PrismaModel = never> = {
   equals?: number | Prisma.IntFieldRefInput<$PrismaModel>
   in?: number[]
@@ -281,6 +264,63 @@ export type JsonNullableWithAggregatesFilterBase<$PrismaModel = never> = {
   _max?: Prisma.NestedJsonNullableFilter<$PrismaModel>
 }
 
+export type IntNullableFilter<$PrismaModel = never> = {
+  equals?: number | Prisma.IntFieldRefInput<$PrismaModel> | null
+  in?: number[] | null
+  notIn?: number[] | null
+  lt?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  lte?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  gt?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  gte?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  not?: Prisma.NestedIntNullableFilter<$PrismaModel> | number | null
+}
+
+export type EnumSessionInstanceStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.SessionInstanceStatus | Prisma.EnumSessionInstanceStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.SessionInstanceStatus[]
+  notIn?: $Enums.SessionInstanceStatus[]
+  not?: Prisma.NestedEnumSessionInstanceStatusFilter<$PrismaModel> | $Enums.SessionInstanceStatus
+}
+
+export type BoolFilter<$PrismaModel = never> = {
+  equals?: boolean | Prisma.BooleanFieldRefInput<$PrismaModel>
+  not?: Prisma.NestedBoolFilter<$PrismaModel> | boolean
+}
+
+export type IntNullableWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: number | Prisma.IntFieldRefInput<$PrismaModel> | null
+  in?: number[] | null
+  notIn?: number[] | null
+  lt?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  lte?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  gt?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  gte?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  not?: Prisma.NestedIntNullableWithAggregatesFilter<$PrismaModel> | number | null
+  _count?: Prisma.NestedIntNullableFilter<$PrismaModel>
+  _avg?: Prisma.NestedFloatNullableFilter<$PrismaModel>
+  _sum?: Prisma.NestedIntNullableFilter<$PrismaModel>
+  _min?: Prisma.NestedIntNullableFilter<$PrismaModel>
+  _max?: Prisma.NestedIntNullableFilter<$PrismaModel>
+}
+
+export type EnumSessionInstanceStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.SessionInstanceStatus | Prisma.EnumSessionInstanceStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.SessionInstanceStatus[]
+  notIn?: $Enums.SessionInstanceStatus[]
+  not?: Prisma.NestedEnumSessionInstanceStatusWithAggregatesFilter<$PrismaModel> | $Enums.SessionInstanceStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumSessionInstanceStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumSessionInstanceStatusFilter<$PrismaModel>
+}
+
+export type BoolWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: boolean | Prisma.BooleanFieldRefInput<$PrismaModel>
+  not?: Prisma.NestedBoolWithAggregatesFilter<$PrismaModel> | boolean
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedBoolFilter<$PrismaModel>
+  _max?: Prisma.NestedBoolFilter<$PrismaModel>
+}
+
 export type EnumBookingStatusFilter<$PrismaModel = never> = {
   equals?: $Enums.BookingStatus | Prisma.EnumBookingStatusFieldRefInput<$PrismaModel>
   in?: $Enums.BookingStatus[]
@@ -315,6 +355,40 @@ export type EnumBookingStatusNullableWithAggregatesFilter<$PrismaModel = never>
   _max?: Prisma.NestedEnumBookingStatusNullableFilter<$PrismaModel>
 }
 
+export type EnumWaitlistStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.WaitlistStatus | Prisma.EnumWaitlistStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.WaitlistStatus[]
+  notIn?: $Enums.WaitlistStatus[]
+  not?: Prisma.NestedEnumWaitlistStatusFilter<$PrismaModel> | $Enums.WaitlistStatus
+}
+
+export type EnumWaitlistStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.WaitlistStatus | Prisma.EnumWaitlistStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.WaitlistStatus[]
+  notIn?: $Enums.WaitlistStatus[]
+  not?: Prisma.NestedEnumWaitlistStatusWithAggregatesFilter<$PrismaModel> | $Enums.WaitlistStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumWaitlistStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumWaitlistStatusFilter<$PrismaModel>
+}
+
+export type EnumLicenceClassNullableFilter<$PrismaModel = never> = {
+  equals?: $Enums.LicenceClass | Prisma.EnumLicenceClassFieldRefInput<$PrismaModel> | null
+  in?: $Enums.LicenceClass[] | null
+  notIn?: $Enums.LicenceClass[] | null
+  not?: Prisma.NestedEnumLicenceClassNullableFilter<$PrismaModel> | $Enums.LicenceClass | null
+}
+
+export type EnumLicenceClassNullableWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.LicenceClass | Prisma.EnumLicenceClassFieldRefInput<$PrismaModel> | null
+  in?: $Enums.LicenceClass[] | null
+  notIn?: $Enums.LicenceClass[] | null
+  not?: Prisma.NestedEnumLicenceClassNullableWithAggregatesFilter<$PrismaModel> | $Enums.LicenceClass | null
+  _count?: Prisma.NestedIntNullableFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumLicenceClassNullableFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumLicenceClassNullableFilter<$PrismaModel>
+}
+
 export type EnumRoleFilter<$PrismaModel = never> = {
   equals?: $Enums.Role | Prisma.EnumRoleFieldRefInput<$PrismaModel>
   in?: $Enums.Role[]
@@ -332,6 +406,125 @@ export type EnumRoleWithAggregatesFilter<$PrismaModel = never> = {
   _max?: Prisma.NestedEnumRoleFilter<$PrismaModel>
 }
 
+export type EnumNotificationChannelFilter<$PrismaModel = never> = {
+  equals?: $Enums.NotificationChannel | Prisma.EnumNotificationChannelFieldRefInput<$PrismaModel>
+  in?: $Enums.NotificationChannel[]
+  notIn?: $Enums.NotificationChannel[]
+  not?: Prisma.NestedEnumNotificationChannelFilter<$PrismaModel> | $Enums.NotificationChannel
+}
+
+export type EnumNotificationStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.NotificationStatus | Prisma.EnumNotificationStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.NotificationStatus[]
+  notIn?: $Enums.NotificationStatus[]
+  not?: Prisma.NestedEnumNotificationStatusFilter<$PrismaModel> | $Enums.NotificationStatus
+}
+
+export type EnumNotificationChannelWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.NotificationChannel | Prisma.EnumNotificationChannelFieldRefInput<$PrismaModel>
+  in?: $Enums.NotificationChannel[]
+  notIn?: $Enums.NotificationChannel[]
+  not?: Prisma.NestedEnumNotificationChannelWithAggregatesFilter<$PrismaModel> | $Enums.NotificationChannel
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumNotificationChannelFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumNotificationChannelFilter<$PrismaModel>
+}
+
+export type EnumNotificationStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.NotificationStatus | Prisma.EnumNotificationStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.NotificationStatus[]
+  notIn?: $Enums.NotificationStatus[]
+  not?: Prisma.NestedEnumNotificationStatusWithAggregatesFilter<$PrismaModel> | $Enums.NotificationStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumNotificationStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumNotificationStatusFilter<$PrismaModel>
+}
+
+export type EnumJobRunStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.JobRunStatus | Prisma.EnumJobRunStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.JobRunStatus[]
+  notIn?: $Enums.JobRunStatus[]
+  not?: Prisma.NestedEnumJobRunStatusFilter<$PrismaModel> | $Enums.JobRunStatus
+}
+
+export type EnumJobRunStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.JobRunStatus | Prisma.EnumJobRunStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.JobRunStatus[]
+  notIn?: $Enums.JobRunStatus[]
+  not?: Prisma.NestedEnumJobRunStatusWithAggregatesFilter<$PrismaModel> | $Enums.JobRunStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumJobRunStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumJobRunStatusFilter<$PrismaModel>
+}
+
+export type JsonFilter<$PrismaModel = never> =
+| Prisma.PatchUndefined<
+    Prisma.Either<Required<JsonFilterBase<$PrismaModel>>, Exclude<keyof Required<JsonFilterBase<$PrismaModel>>, 'path'>>,
+    Required<JsonFilterBase<$PrismaModel>>
+  >
+| Prisma.OptionalFlat<Omit<Required<JsonFilterBase<$PrismaModel>>, 'path'>>
+
+export type JsonFilterBase<$PrismaModel = never> = {
+  equals?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | Prisma.JsonNullValueFilter
+  path?: string
+  mode?: Prisma.QueryMode | Prisma.EnumQueryModeFieldRefInput<$PrismaModel>
+  string_contains?: string | Prisma.StringFieldRefInput<$PrismaModel>
+  string_starts_with?: string | Prisma.StringFieldRefInput<$PrismaModel>
+  string_ends_with?: string | Prisma.StringFieldRefInput<$PrismaModel>
+  array_starts_with?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | null
+  array_ends_with?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | null
+  array_contains?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | null
+  lt?: runtime.InputJsonValue
+  lte?: runtime.InputJsonValue
+  gt?: runtime.InputJsonValue
+  gte?: runtime.InputJsonValue
+  not?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | Prisma.JsonNullValueFilter
+}
+
+export type JsonWithAggregatesFilter<$PrismaModel = never> =
+| Prisma.PatchUndefined<
+    Prisma.Either<Required<JsonWithAggregatesFilterBase<$PrismaModel>>, Exclude<keyof Required<JsonWithAggregatesFilterBase<$PrismaModel>>, 'path'>>,
+    Required<JsonWithAggregatesFilterBase<$PrismaModel>>
+  >
+| Prisma.OptionalFlat<Omit<Required<JsonWithAggregatesFilterBase<$PrismaModel>>, 'path'>>
+
+export type JsonWithAggregatesFilterBase<$PrismaModel = never> = {
+  equals?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | Prisma.JsonNullValueFilter
+  path?: string
+  mode?: Prisma.QueryMode | Prisma.EnumQueryModeFieldRefInput<$PrismaModel>
+  string_contains?: string | Prisma.StringFieldRefInput<$PrismaModel>
+  string_starts_with?: string | Prisma.StringFieldRefInput<$PrismaModel>
+  string_ends_with?: string | Prisma.StringFieldRefInput<$PrismaModel>
+  array_starts_with?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | null
+  array_ends_with?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | null
+  array_contains?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | null
+  lt?: runtime.InputJsonValue
+  lte?: runtime.InputJsonValue
+  gt?: runtime.InputJsonValue
+  gte?: runtime.InputJsonValue
+  not?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | Prisma.JsonNullValueFilter
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedJsonFilter<$PrismaModel>
+  _max?: Prisma.NestedJsonFilter<$PrismaModel>
+}
+
+export type EnumRegistrationStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.RegistrationStatus | Prisma.EnumRegistrationStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.RegistrationStatus[]
+  notIn?: $Enums.RegistrationStatus[]
+  not?: Prisma.NestedEnumRegistrationStatusFilter<$PrismaModel> | $Enums.RegistrationStatus
+}
+
+export type EnumRegistrationStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.RegistrationStatus | Prisma.EnumRegistrationStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.RegistrationStatus[]
+  notIn?: $Enums.RegistrationStatus[]
+  not?: Prisma.NestedEnumRegistrationStatusWithAggregatesFilter<$PrismaModel> | $Enums.RegistrationStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumRegistrationStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumRegistrationStatusFilter<$PrismaModel>
+}
+
 export type NestedStringFilter<$PrismaModel = never> = {
   equals?: string | Prisma.StringFieldRefInput<$PrismaModel>
   in?: string[]
@@ -511,13 +704,6 @@ export type NestedEnumDayFilter<$PrismaModel = never> = {
   not?: Prisma.NestedEnumDayFilter<$PrismaModel> | $Enums.Day
 }
 
-export type NestedEnumTimeSlotFilter<$PrismaModel = never> = {
-  equals?: $Enums.TimeSlot | Prisma.EnumTimeSlotFieldRefInput<$PrismaModel>
-  in?: $Enums.TimeSlot[]
-  notIn?: $Enums.TimeSlot[]
-  not?: Prisma.NestedEnumTimeSlotFilter<$PrismaModel> | $Enums.TimeSlot
-}
-
 export type NestedEnumDayWithAggregatesFilter<$PrismaModel = never> = {
   equals?: $Enums.Day | Prisma.EnumDayFieldRefInput<$PrismaModel>
   in?: $Enums.Day[]
@@ -528,16 +714,6 @@ export type NestedEnumDayWithAggregatesFilter<$PrismaModel = never> = {
   _max?: Prisma.NestedEnumDayFilter<$PrismaModel>
 }
 
-export type NestedEnumTimeSlotWithAggregatesFilter<$PrismaModel = never> = {
-  equals?: $Enums.TimeSlot | Prisma.EnumTimeSlotFieldRefInput<$PrismaModel>
-  in?: $Enums.TimeSlot[]
-  notIn?: $Enums.TimeSlot[]
-  not?: Prisma.NestedEnumTimeSlotWithAggregatesFilter<$PrismaModel> | $Enums.TimeSlot
-  _count?: Prisma.NestedIntFilter<$PrismaModel>
-  _min?: Prisma.NestedEnumTimeSlotFilter<$PrismaModel>
-  _max?: Prisma.NestedEnumTimeSlotFilter<$PrismaModel>
-}
-
 export type NestedIntWithAggregatesFilter<$PrismaModel = never> = {
   equals?: number | Prisma.IntFieldRefInput<$PrismaModel>
   in?: number[]
@@ -589,6 +765,63 @@ export type NestedJsonNullableFilterBase<$PrismaModel = never> = {
   not?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | Prisma.JsonNullValueFilter
 }
 
+export type NestedEnumSessionInstanceStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.SessionInstanceStatus | Prisma.EnumSessionInstanceStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.SessionInstanceStatus[]
+  notIn?: $Enums.SessionInstanceStatus[]
+  not?: Prisma.NestedEnumSessionInstanceStatusFilter<$PrismaModel> | $Enums.SessionInstanceStatus
+}
+
+export type NestedBoolFilter<$PrismaModel = never> = {
+  equals?: boolean | Prisma.BooleanFieldRefInput<$PrismaModel>
+  not?: Prisma.NestedBoolFilter<$PrismaModel> | boolean
+}
+
+export type NestedIntNullableWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: number | Prisma.IntFieldRefInput<$PrismaModel> | null
+  in?: number[] | null
+  notIn?: number[] | null
+  lt?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  lte?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  gt?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  gte?: number | Prisma.IntFieldRefInput<$PrismaModel>
+  not?: Prisma.NestedIntNullableWithAggregatesFilter<$PrismaModel> | number | null
+  _count?: Prisma.NestedIntNullableFilter<$PrismaModel>
+  _avg?: Prisma.NestedFloatNullableFilter<$PrismaModel>
+  _sum?: Prisma.NestedIntNullableFilter<$PrismaModel>
+  _min?: Prisma.NestedIntNullableFilter<$PrismaModel>
+  _max?: Prisma.NestedIntNullableFilter<$PrismaModel>
+}
+
+export type NestedFloatNullableFilter<$PrismaModel = never> = {
+  equals?: number | Prisma.FloatFieldRefInput<$PrismaModel> | null
+  in?: number[] | null
+  notIn?: number[] | null
+  lt?: number | Prisma.FloatFieldRefInput<$PrismaModel>
+  lte?: number | Prisma.FloatFieldRefInput<$PrismaModel>
+  gt?: number | Prisma.FloatFieldRefInput<$PrismaModel>
+  gte?: number | Prisma.FloatFieldRefInput<$PrismaModel>
+  not?: Prisma.NestedFloatNullableFilter<$PrismaModel> | number | null
+}
+
+export type NestedEnumSessionInstanceStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.SessionInstanceStatus | Prisma.EnumSessionInstanceStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.SessionInstanceStatus[]
+  notIn?: $Enums.SessionInstanceStatus[]
+  not?: Prisma.NestedEnumSessionInstanceStatusWithAggregatesFilter<$PrismaModel> | $Enums.SessionInstanceStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumSessionInstanceStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumSessionInstanceStatusFilter<$PrismaModel>
+}
+
+export type NestedBoolWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: boolean | Prisma.BooleanFieldRefInput<$PrismaModel>
+  not?: Prisma.NestedBoolWithAggregatesFilter<$PrismaModel> | boolean
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedBoolFilter<$PrismaModel>
+  _max?: Prisma.NestedBoolFilter<$PrismaModel>
+}
+
 export type NestedEnumBookingStatusFilter<$PrismaModel = never> = {
   equals?: $Enums.BookingStatus | Prisma.EnumBookingStatusFieldRefInput<$PrismaModel>
   in?: $Enums.BookingStatus[]
@@ -623,6 +856,40 @@ export type NestedEnumBookingStatusNullableWithAggregatesFilter<$PrismaModel = n
   _max?: Prisma.NestedEnumBookingStatusNullableFilter<$PrismaModel>
 }
 
+export type NestedEnumWaitlistStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.WaitlistStatus | Prisma.EnumWaitlistStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.WaitlistStatus[]
+  notIn?: $Enums.WaitlistStatus[]
+  not?: Prisma.NestedEnumWaitlistStatusFilter<$PrismaModel> | $Enums.WaitlistStatus
+}
+
+export type NestedEnumWaitlistStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.WaitlistStatus | Prisma.EnumWaitlistStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.WaitlistStatus[]
+  notIn?: $Enums.WaitlistStatus[]
+  not?: Prisma.NestedEnumWaitlistStatusWithAggregatesFilter<$PrismaModel> | $Enums.WaitlistStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumWaitlistStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumWaitlistStatusFilter<$PrismaModel>
+}
+
+export type NestedEnumLicenceClassNullableFilter<$PrismaModel = never> = {
+  equals?: $Enums.LicenceClass | Prisma.EnumLicenceClassFieldRefInput<$PrismaModel> | null
+  in?: $Enums.LicenceClass[] | null
+  notIn?: $Enums.LicenceClass[] | null
+  not?: Prisma.NestedEnumLicenceClassNullableFilter<$PrismaModel> | $Enums.LicenceClass | null
+}
+
+export type NestedEnumLicenceClassNullableWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.LicenceClass | Prisma.EnumLicenceClassFieldRefInput<$PrismaModel> | null
+  in?: $Enums.LicenceClass[] | null
+  notIn?: $Enums.LicenceClass[] | null
+  not?: Prisma.NestedEnumLicenceClassNullableWithAggregatesFilter<$PrismaModel> | $Enums.LicenceClass | null
+  _count?: Prisma.NestedIntNullableFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumLicenceClassNullableFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumLicenceClassNullableFilter<$PrismaModel>
+}
+
 export type NestedEnumRoleFilter<$PrismaModel = never> = {
   equals?: $Enums.Role | Prisma.EnumRoleFieldRefInput<$PrismaModel>
   in?: $Enums.Role[]
@@ -640,4 +907,96 @@ export type NestedEnumRoleWithAggregatesFilter<$PrismaModel = never> = {
   _max?: Prisma.NestedEnumRoleFilter<$PrismaModel>
 }
 
+export type NestedEnumNotificationChannelFilter<$PrismaModel = never> = {
+  equals?: $Enums.NotificationChannel | Prisma.EnumNotificationChannelFieldRefInput<$PrismaModel>
+  in?: $Enums.NotificationChannel[]
+  notIn?: $Enums.NotificationChannel[]
+  not?: Prisma.NestedEnumNotificationChannelFilter<$PrismaModel> | $Enums.NotificationChannel
+}
+
+export type NestedEnumNotificationStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.NotificationStatus | Prisma.EnumNotificationStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.NotificationStatus[]
+  notIn?: $Enums.NotificationStatus[]
+  not?: Prisma.NestedEnumNotificationStatusFilter<$PrismaModel> | $Enums.NotificationStatus
+}
+
+export type NestedEnumNotificationChannelWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.NotificationChannel | Prisma.EnumNotificationChannelFieldRefInput<$PrismaModel>
+  in?: $Enums.NotificationChannel[]
+  notIn?: $Enums.NotificationChannel[]
+  not?: Prisma.NestedEnumNotificationChannelWithAggregatesFilter<$PrismaModel> | $Enums.NotificationChannel
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumNotificationChannelFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumNotificationChannelFilter<$PrismaModel>
+}
+
+export type NestedEnumNotificationStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.NotificationStatus | Prisma.EnumNotificationStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.NotificationStatus[]
+  notIn?: $Enums.NotificationStatus[]
+  not?: Prisma.NestedEnumNotificationStatusWithAggregatesFilter<$PrismaModel> | $Enums.NotificationStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumNotificationStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumNotificationStatusFilter<$PrismaModel>
+}
+
+export type NestedEnumJobRunStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.JobRunStatus | Prisma.EnumJobRunStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.JobRunStatus[]
+  notIn?: $Enums.JobRunStatus[]
+  not?: Prisma.NestedEnumJobRunStatusFilter<$PrismaModel> | $Enums.JobRunStatus
+}
+
+export type NestedEnumJobRunStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.JobRunStatus | Prisma.EnumJobRunStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.JobRunStatus[]
+  notIn?: $Enums.JobRunStatus[]
+  not?: Prisma.NestedEnumJobRunStatusWithAggregatesFilter<$PrismaModel> | $Enums.JobRunStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumJobRunStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumJobRunStatusFilter<$PrismaModel>
+}
+
+export type NestedJsonFilter<$PrismaModel = never> =
+| Prisma.PatchUndefined<
+    Prisma.Either<Required<NestedJsonFilterBase<$PrismaModel>>, Exclude<keyof Required<NestedJsonFilterBase<$PrismaModel>>, 'path'>>,
+    Required<NestedJsonFilterBase<$PrismaModel>>
+  >
+| Prisma.OptionalFlat<Omit<Required<NestedJsonFilterBase<$PrismaModel>>, 'path'>>
+
+export type NestedJsonFilterBase<$PrismaModel = never> = {
+  equals?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | Prisma.JsonNullValueFilter
+  path?: string
+  mode?: Prisma.QueryMode | Prisma.EnumQueryModeFieldRefInput<$PrismaModel>
+  string_contains?: string | Prisma.StringFieldRefInput<$PrismaModel>
+  string_starts_with?: string | Prisma.StringFieldRefInput<$PrismaModel>
+  string_ends_with?: string | Prisma.StringFieldRefInput<$PrismaModel>
+  array_starts_with?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | null
+  array_ends_with?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | null
+  array_contains?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | null
+  lt?: runtime.InputJsonValue
+  lte?: runtime.InputJsonValue
+  gt?: runtime.InputJsonValue
+  gte?: runtime.InputJsonValue
+  not?: runtime.InputJsonValue | Prisma.JsonFieldRefInput<$PrismaModel> | Prisma.JsonNullValueFilter
+}
+
+export type NestedEnumRegistrationStatusFilter<$PrismaModel = never> = {
+  equals?: $Enums.RegistrationStatus | Prisma.EnumRegistrationStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.RegistrationStatus[]
+  notIn?: $Enums.RegistrationStatus[]
+  not?: Prisma.NestedEnumRegistrationStatusFilter<$PrismaModel> | $Enums.RegistrationStatus
+}
+
+export type NestedEnumRegistrationStatusWithAggregatesFilter<$PrismaModel = never> = {
+  equals?: $Enums.RegistrationStatus | Prisma.EnumRegistrationStatusFieldRefInput<$PrismaModel>
+  in?: $Enums.RegistrationStatus[]
+  notIn?: $Enums.RegistrationStatus[]
+  not?: Prisma.NestedEnumRegistrationStatusWithAggregatesFilter<$PrismaModel> | $Enums.RegistrationStatus
+  _count?: Prisma.NestedIntFilter<$PrismaModel>
+  _min?: Prisma.NestedEnumRegistrationStatusFilter<$PrismaModel>
+  _max?: Prisma.NestedEnumRegistrationStatusFilter<$PrismaModel>
+}
+
 
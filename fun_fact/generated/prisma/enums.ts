@@ -38,26 +38,72 @@ export const LicenceClass = {
 export type LicenceClass = (typeof LicenceClass)[keyof typeof LicenceClass]
 
 
+export const SessionInstanceStatus = {
+  SCHEDULED: 'SCHEDULED',
+  CANCELLED: 'CANCELLED'
+} as const
+
+export type SessionInstanceStatus = (typeof SessionInstanceStatus)[keyof typeof SessionInstanceStatus]
+
+
 export const BookingStatus = {
   BOOKED: 'BOOKED',
   ATTENDED: 'ATTENDED',
   NO_SHOW: 'NO_SHOW',
   COMPLETED: 'COMPLETED',
   INCOMPLETE: 'INCOMPLETE',
-  CANCELLED: 'CANCELLED'
+  CANCELLED: 'CANCELLED',
+  LATE_CANCEL: 'LATE_CANCEL'
 } as const
 
 export type BookingStatus = (typeof BookingStatus)[keyof typeof BookingStatus]
 
 
+export const WaitlistStatus = {
+  WAITING: 'WAITING',
+  PROMOTED: 'PROMOTED',
+  LEFT: 'LEFT',
+  EXPIRED: 'EXPIRED'
+} as const
+
+export type WaitlistStatus = (typeof WaitlistStatus)[keyof typeof WaitlistStatus]
+
+
 export const Role = {
   INSTRUCTOR: 'INSTRUCTOR',
-  ADMIN: 'ADMIN'
+  ADMIN: 'ADMIN',
+  FRONT_DESK: 'FRONT_DESK',
+  BRANCH_MANAGER: 'BRANCH_MANAGER'
 } as const
 
 export type Role = (typeof Role)[keyof typeof Role]
 
 
+export const NotificationChannel = {
+  EMAIL: 'EMAIL',
+  SMS: 'SMS'
+} as const
+
+export type NotificationChannel = (typeof NotificationChannel)[keyof typeof NotificationChannel]
+
+
+export const NotificationStatus = {
+  SENT: 'SENT',
+  FAILED: 'FAILED'
+} as const
+
+export type NotificationStatus = (typeof NotificationStatus)[keyof typeof NotificationStatus]
+
+
+export const JobRunStatus = {
+  RUNNING: 'RUNNING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+} as const
+
+export type JobRunStatus = (typeof JobRunStatus)[keyof typeof JobRunStatus]
+
+
 export const Day = {
   MONDAY: 'MONDAY',
   TUESDAY: 'TUESDAY',
@@ -71,15 +117,10 @@ export const Day = {
 export type Day = (typeof Day)[keyof typeof Day]
 
 
-export const TimeSlot = {
-  SLOT_8_10: 'SLOT_8_10',
-  SLOT_10_12: 'SLOT_10_12',
-  SLOT_13_15: 'SLOT_13_15',
-  SLOT_15_17: 'SLOT_15_17',
-  SLOT_9_11: 'SLOT_9_11',
-  SLOT_11_13: 'SLOT_11_13',
-  SLOT_14_16: 'SLOT_14_16',
-  SLOT_16_18: 'SLOT_16_18'
+export const RegistrationStatus = {
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED'
 } as const
 
-export type TimeSlot = (typeof TimeSlot)[keyof typeof TimeSlot]
+export type RegistrationStatus = (typeof RegistrationStatus)[keyof typeof RegistrationStatus]
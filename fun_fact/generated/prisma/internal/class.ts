@@ -20,7 +20,7 @@ const config: runtime.GetPrismaClientConfig = {
   "clientVersion": "7.4.2",
   "engineVersion": "94a226be1cf2967af2541cca5529f0f7ba866919",
   "activeProvider": "mysql",
-  "inlineSchema": "// This is your Prisma schema file,\n// learn more about it in the docs: https://pris.ly/d/prisma-schema\n\ngenerator client {\n  provider = \"prisma-client\"\n  output   = \"../generated/prisma\"\n}\n\ndatasource db {\n  provider = \"mysql\"\n}\n\nenum StudentStatus {\n  ACTIVE\n  INACTIVE\n  ARCHIVED // permanent — releases the student number for reuse; no reactivation\n}\n\n// Kenyan NTSA driving licence classes (base classes only; E/F endorsements\n// are modelled separately if/when needed). Default B2 lets existing rows\n// backfill safely during the additive migration.\nenum LicenceClass {\n  A1\n  A2\n  A3\n  B1\n  B2\n  B3\n  C1\n  C\n  CE\n  CD\n  D1\n  D2\n  D3\n  G\n}\n\nmodel Student {\n  id            String        @id // Student number (DR-4824-25) while active; suffixed on archive to free the number\n  studentNumber String? // set on archive = the original readable number; display falls back to id when null\n  email         String        @unique\n  name          String\n  phoneNumber   String?\n  category      LicenceClass  @default(B2)\n  status        StudentStatus @default(ACTIVE)\n  deactivatedAt DateTime?\n  bookings      Booking[]\n  createdAt     DateTime      @default(now())\n  updatedAt     DateTime      @updatedAt\n\n  @@index([status])\n  @@index([category])\n}\n\nmodel Session {\n  id        String       @id @default(uuid())\n  day       Day\n  timeSlot  TimeSlot\n  category  LicenceClass @default(B2)\n  capacity  Int          @default(0) // per-category slots; 0 = category not offered at this day/time\n  bookings  Booking[]\n  createdAt DateTime     @default(now())\n  updatedAt DateTime     @updatedAt\n  metadata  Json?\n\n  @@unique([day, timeSlot, category])\n}\n\nenum BookingStatus {\n  BOOKED\n  ATTENDED\n  NO_SHOW\n  COMPLETED\n  INCOMPLETE\n  CANCELLED\n}\n\nmodel Booking {\n  id          String        @id @default(uuid())\n  student     Student       @relation(fields: [studentId], references: [id], onUpdate: Cascade)\n  studentId   String\n  session     Session       @relation(fields: [sessionId], references: [id])\n  sessionId   String\n  category    LicenceClass  @default(B2) // denormalized from session at creation\n  status      BookingStatus @default(BOOKED)\n  weekOf      DateTime      @default(now()) // Monday of the booking week\n  markedBy    User?         @relation(\"BookingsMarked\", fields: [markedById], references: [id])\n  markedById  String?\n  attendedAt  DateTime?\n  completedAt DateTime?\n  cancelledAt DateTime?\n  notes       String?       @db.Text\n  createdAt   DateTime      @default(now())\n  updatedAt   DateTime      @updatedAt\n\n  statusHistory BookingStatusHistory[]\n\n  @@unique([studentId, sessionId, weekOf])\n  @@index([studentId])\n  @@index([weekOf])\n  @@index([status])\n}\n\nmodel BookingStatusHistory {\n  id          String         @id @default(uuid())\n  booking     Booking        @relation(fields: [bookingId], references: [id])\n  bookingId   String\n  fromStatus  BookingStatus?\n  toStatus    BookingStatus\n  changedBy   User?          @relation(\"StatusChanges\", fields: [changedById], references: [id])\n  changedById String?\n  reason      String?\n  createdAt   DateTime       @default(now())\n\n  @@index([bookingId])\n}\n\nenum Role {\n  INSTRUCTOR\n  ADMIN\n}\n\nmodel User {\n  id             String                 @id @default(uuid())\n  email          String                 @unique\n  name           String\n  password       String // bcrypt hash\n  role           Role                   @default(INSTRUCTOR)\n  createdAt      DateTime               @default(now())\n  updatedAt      DateTime               @updatedAt\n  bookingsMarked Booking[]              @relation(\"BookingsMarked\")\n  statusChanges  BookingStatusHistory[] @relation(\"StatusChanges\")\n}\n\nmodel SystemSetting {\n  key       String   @id\n  value     String\n  label     String\n  type      String   @default(\"number\")\n  updatedAt DateTime @updatedAt\n}\n\nmodel SystemLog {\n  id        String   @id @default(uuid())\n  action    String\n  message   String\n  data      Json?\n  createdAt DateTime @default(now())\n}\n\nenum Day {\n  MONDAY\n  TUESDAY\n  WEDNESDAY\n  THURSDAY\n  FRIDAY\n  SATURDAY\n  SUNDAY\n}\n\nenum TimeSlot {\n  SLOT_8_10 // Monday-Friday: 8-10am\n  SLOT_10_12 // Monday-Friday: 10am-12pm\n  SLOT_13_15 // Monday-Friday: 1-3pm\n  SLOT_15_17 // Monday-Friday: 3-5pm\n  SLOT_9_11 // Weekend: 9-11am\n  SLOT_11_13 // Weekend: 11am-1pm\n  SLOT_14_16 // Weekend: 2-4pm\n  SLOT_16_18 // Weekend: 4-6pm\n}\n",
+  "inlineSchema": "// This is your Prisma schema file,\n// learn more about it in the docs: https://pris.ly/d/prisma-schema\n\ngenerator client {\n  provider = \"prisma-client\"\n  output   = \"../generated/prisma\"\n}\n\ndatasource db {\n  provider = \"mysql\"\n}\n\nenum StudentStatus {\n  ACTIVE\n  INACTIVE\n  ARCHIVED // permanent — releases the student number for reuse; no reactivation\n}\n\n// Kenyan NTSA driving licence classes (base classes only; E/F endorsements\n// are modelled separately if/when needed). Default B2 lets existing rows\n// backfill safely during the additive migration.\nenum LicenceClass {\n  A1\n  A2\n  A3\n  B1\n  B2\n  B3\n  C1\n  C\n  CE\n  CD\n  D1\n  D2\n  D3\n  G\n}\n\nmodel Student {\n  id            String          @id // Student number (DR-4824-25) while active; suffixed on archive to free the number\n  studentNumber String? // set on archive = the original readable number; display falls back to id when null\n  email         String          @unique\n  name          String\n  phoneNumber   String?\n  category      LicenceClass    @default(B2)\n  branch        String          @default(\"MAIN\") @db.VarChar(32) // Branch.code\n  status        StudentStatus   @default(ACTIVE)\n  deactivatedAt DateTime?\n  bookings      Booking[]\n  waitlist      WaitlistEntry[]\n  suspensions   Suspension[]\n  notifications Notification[]\n  systemLogs    SystemLog[]\n  authSessions  AuthSession[]\n  loginCodes    LoginCode[]\n  createdAt     DateTime        @default(now())\n  updatedAt     DateTime        @updatedAt\n\n  @@index([status])\n  @@index([category])\n  @@index([branch])\n}\n\n// The standing template of a class slot (\"every Monday 8-10 for B2\"). What\n// happens in a particular week lives on its SessionInstance.\nmodel Session {\n  id          String              @id @default(uuid())\n  day         Day\n  timeSlot    String              @db.VarChar(32) // TimeSlot.code\n  category    LicenceClass        @default(B2)\n  branch      String              @default(\"MAIN\") @db.VarChar(32) // Branch.code; each branch has its own capacity matrix\n  capacity    Int                 @default(0) // per-category slots; 0 = category not offered at this day/time\n  bookings    Booking[]\n  waitlist    WaitlistEntry[]\n  assignments SessionAssignment[]\n  instances   SessionInstance[]\n  createdAt   DateTime            @default(now())\n  updatedAt   DateTime            @updatedAt\n  metadata    Json?\n\n  @@unique([branch, day, timeSlot, category])\n}\n\nenum SessionInstanceStatus {\n  SCHEDULED\n  CANCELLED // called off for this week only; its bookings were cancelled\n}\n\n// One week's run of a session, materialised from the template when the week\n// is first listed. Keyed like bookings, waitlist entries and assignments by\n// (sessionId, weekOf), so those attach to it without a foreign key. An\n// override here applies to this week only and never touches the template.\nmodel SessionInstance {\n  id          String                @id @default(uuid())\n  session     Session               @relation(fields: [sessionId], references: [id])\n  sessionId   String\n  weekOf      DateTime // Monday of the week\n  date        DateTime // 00:00 UTC of the day it runs\n  capacity    Int? // this week's capacity; null = follow the template\n  status      SessionInstanceStatus @default(SCHEDULED)\n  isExtra     Boolean               @default(false) // added for this week only, outside the standing timetable\n  note        String? // why it was changed, cancelled or added — shown to students when cancelled\n  updatedBy   User?                 @relation(\"InstancesUpdated\", fields: [updatedById], references: [id])\n  updatedById String?\n  createdAt   DateTime              @default(now())\n  updatedAt   DateTime              @updatedAt\n\n  @@unique([sessionId, weekOf])\n  @@index([weekOf])\n}\n\nenum BookingStatus {\n  BOOKED\n  ATTENDED\n  NO_SHOW\n  COMPLETED\n  INCOMPLETE\n  CANCELLED\n  LATE_CANCEL\n}\n\nmodel Booking {\n  id          String        @id @default(uuid())\n  student     Student       @relation(fields: [studentId], references: [id], onUpdate: Cascade)\n  studentId   String\n  session     Session       @relation(fields: [sessionId], references: [id])\n  sessionId   String\n  category    LicenceClass  @default(B2) // denormalized from session at creation\n  status      BookingStatus @default(BOOKED)\n  weekOf      DateTime      @default(now()) // Monday of the booking week\n  markedBy    User?         @relation(\"BookingsMarked\", fields: [markedById], references: [id])\n  markedById  String?\n  attendedAt  DateTime?\n  completedAt DateTime?\n  cancelledAt DateTime?\n  notes       String?       @db.Text\n  createdAt   DateTime      @default(now())\n  updatedAt   DateTime      @updatedAt\n\n  statusHistory BookingStatusHistory[]\n  waitlistEntry WaitlistEntry?\n\n  @@unique([studentId, sessionId, weekOf])\n  @@index([studentId])\n  @@index([weekOf])\n  @@index([status])\n}\n\nmodel BookingStatusHistory {\n  id          String         @id @default(uuid())\n  booking     Booking        @relation(fields: [bookingId], references: [id])\n  bookingId   String\n  fromStatus  BookingStatus?\n  toStatus    BookingStatus\n  changedBy   User?          @relation(\"StatusChanges\", fields: [changedById], references: [id])\n  changedById String?\n  reason      String?\n  batchId     String? // shared by the rows one weekly archive run wrote, so it can be undone\n  createdAt   DateTime       @default(now())\n\n  @@index([bookingId])\n  @@index([batchId])\n  @@index([changedById, createdAt])\n  @@index([createdAt])\n}\n\nenum WaitlistStatus {\n  WAITING\n  PROMOTED // a spot opened and a booking was created for the student\n  LEFT // the student left the waitlist\n  EXPIRED // the week ended before a spot opened\n}\n\n// Queue for a full session in a given week. Entries are promoted first-come,\n// first-served when a booking for the same (session, weekOf) is cancelled.\nmodel WaitlistEntry {\n  id         String         @id @default(uuid())\n  student    Student        @relation(fields: [studentId], references: [id], onUpdate: Cascade)\n  studentId  String\n  session    Session        @relation(fields: [sessionId], references: [id])\n  sessionId  String\n  weekOf     DateTime // Monday of the target week\n  status     WaitlistStatus @default(WAITING)\n  booking    Booking?       @relation(fields: [bookingId], references: [id])\n  bookingId  String?        @unique // set on promotion\n  promotedAt DateTime?\n  createdAt  DateTime       @default(now())\n  updatedAt  DateTime       @updatedAt\n\n  @@unique([studentId, sessionId, weekOf])\n  @@index([sessionId, weekOf, status])\n}\n\n// A period a student can't book, started automatically when they pass the\n// no-show limit. Lifting it early keeps the row for history.\nmodel Suspension {\n  id         String    @id @default(uuid())\n  student    Student   @relation(fields: [studentId], references: [id], onUpdate: Cascade)\n  studentId  String\n  startsAt   DateTime\n  endsAt     DateTime\n  reason     String\n  liftedAt   DateTime?\n  liftedBy   User?     @relation(\"SuspensionsLifted\", fields: [liftedById], references: [id])\n  liftedById String?\n  createdAt  DateTime  @default(now())\n\n  @@index([studentId, endsAt])\n}\n\n// A date the school is closed (public holiday, a single afternoon, ...).\n// Optional fields narrow the scope: no timeSlot = the whole day, no category =\n// every licence class.\nmodel Closure {\n  id          String        @id @default(uuid())\n  date        DateTime // 00:00 UTC of the closed calendar day\n  branch      String?       @db.VarChar(32) // Branch.code; null = every branch\n  timeSlot    String?       @db.VarChar(32) // TimeSlot.code\n  category    LicenceClass?\n  reason      String\n  createdBy   User?         @relation(\"ClosuresCreated\", fields: [createdById], references: [id])\n  createdById String?\n  createdAt   DateTime      @default(now())\n\n  @@index([date])\n}\n\n// Training vehicle. Assigned to sessions of its licence class at its branch.\n// Once a class has any vehicle at a branch, that branch's session capacity for\n// the class is capped by the vehicles available on the day (active and not in\n// maintenance).\nmodel Vehicle {\n  id           String               @id @default(uuid())\n  registration String               @unique // number plate, e.g. \"KDA 123A\"\n  name         String // make/model or nickname shown in pickers\n  category     LicenceClass\n  branch       String               @default(\"MAIN\") @db.VarChar(32) // Branch.code the vehicle runs from\n  isActive     Boolean              @default(true) // retired vehicles stay for history\n  assignments  SessionAssignment[]\n  maintenance  VehicleMaintenance[]\n  createdAt    DateTime             @default(now())\n  updatedAt    DateTime             @updatedAt\n\n  @@index([branch])\n}\n\n// A vehicle off the road (service, repair, inspection) for whole calendar days\nmodel VehicleMaintenance {\n  id          String   @id @default(uuid())\n  vehicle     Vehicle  @relation(fields: [vehicleId], references: [id])\n  vehicleId   String\n  startDate   DateTime // 00:00 UTC of the first day off the road\n  endDate     DateTime // 00:00 UTC of the last day off the road (inclusive)\n  reason      String\n  createdBy   User?    @relation(\"MaintenanceCreated\", fields: [createdById], references: [id])\n  createdById String?\n  createdAt   DateTime @default(now())\n\n  @@index([vehicleId])\n  @@index([startDate, endDate])\n}\n\n// Instructor and vehicle for a session. weekOf null is the standing assignment\n// for every week; a row with weekOf replaces it entirely for that one week.\n// At most one standing row per session is enforced in code (MySQL unique\n// indexes allow repeated NULLs).\nmodel SessionAssignment {\n  id           String    @id @default(uuid())\n  session      Session   @relation(fields: [sessionId], references: [id])\n  sessionId    String\n  weekOf       DateTime? // Monday of the overridden week; null = standing\n  instructor   User?     @relation(\"InstructorAssignments\", fields: [instructorId], references: [id])\n  instructorId String?\n  vehicle      Vehicle?  @relation(fields: [vehicleId], references: [id])\n  vehicleId    String?\n  createdAt    DateTime  @default(now())\n  updatedAt    DateTime  @updatedAt\n\n  @@unique([sessionId, weekOf])\n  @@index([instructorId])\n  @@index([vehicleId])\n}\n\n// What each role may do is in src/app/lib/permissions.js\nenum Role {\n  INSTRUCTOR\n  ADMIN\n  FRONT_DESK\n  BRANCH_MANAGER\n}\n\nmodel User {\n  id                String                 @id @default(uuid())\n  email             String                 @unique\n  name              String\n  password          String // bcrypt hash\n  role              Role                   @default(INSTRUCTOR)\n  branch            String?                @db.VarChar(32) // Branch.code; null = works across every branch\n  lastLoginAt       DateTime?\n  disabledAt        DateTime? // disabled staff can't log in, and tokens they hold stop working\n  totpSecret        String?                @db.VarChar(255) // encrypted; set during enrolment, in use once totpEnabledAt is set\n  totpEnabledAt     DateTime?\n  totpLastStep      Int? // time step of the last code accepted, so a code can't be replayed\n  recoveryCodes     Json? // hashes of the unused recovery codes\n  createdAt         DateTime               @default(now())\n  updatedAt         DateTime               @updatedAt\n  bookingsMarked    Booking[]              @relation(\"BookingsMarked\")\n  statusChanges     BookingStatusHistory[] @relation(\"StatusChanges\")\n  closures          Closure[]              @relation(\"ClosuresCreated\")\n  assignments       SessionAssignment[]    @relation(\"InstructorAssignments\")\n  maintenance       VehicleMaintenance[]   @relation(\"MaintenanceCreated\")\n  liftedSuspensions Suspension[]           @relation(\"SuspensionsLifted\")\n  instancesUpdated  SessionInstance[]      @relation(\"InstancesUpdated\")\n  jobRuns           JobRun[]               @relation(\"JobRunsTriggered\")\n  systemLogs        SystemLog[]            @relation(\"SystemLogs\")\n  authSessions      AuthSession[]\n  registrations     StudentRegistration[]  @relation(\"RegistrationsReviewed\")\n}\n\nmodel SystemSetting {\n  key       String   @id\n  value     String\n  label     String\n  type      String   @default(\"number\")\n  updatedAt DateTime @updatedAt\n}\n\nmodel SystemLog {\n  id        String   @id @default(uuid())\n  action    String\n  message   String\n  data      Json?\n  // Who did it and what it concerns, for the audit log filters\n  actor     User?    @relation(\"SystemLogs\", fields: [actorId], references: [id])\n  actorId   String?\n  student   Student? @relation(fields: [studentId], references: [id], onUpdate: Cascade)\n  studentId String?\n  bookingId String?\n  createdAt DateTime @default(now())\n\n  @@index([createdAt])\n  @@index([action, createdAt])\n  @@index([actorId, createdAt])\n  @@index([studentId, createdAt])\n  @@index([bookingId])\n}\n\nenum NotificationChannel {\n  EMAIL\n  SMS\n}\n\nenum NotificationStatus {\n  SENT\n  FAILED\n}\n\n// One delivery attempt of a message to a student, successful or not. The\n// rendered body is kept so staff can see exactly what was sent.\nmodel Notification {\n  id        String              @id @default(uuid())\n  channel   NotificationChannel @default(EMAIL)\n  type      String // BOOKING_CREATED, BOOKING_CANCELLED, ...\n  transport String // email transport or SMS adapter, e.g. smtp, africastalking\n  recipient String // email address or E.164 phone number\n  subject   String? // emails only\n  body      String              @db.Text\n  status    NotificationStatus\n  error     String?             @db.Text\n  student   Student?            @relation(fields: [studentId], references: [id], onUpdate: Cascade)\n  studentId String?\n  bookingId String?\n  createdAt DateTime            @default(now())\n\n  @@index([studentId, createdAt])\n  @@index([createdAt])\n}\n\nenum JobRunStatus {\n  RUNNING\n  SUCCEEDED\n  FAILED\n}\n\n// A scheduled job (see lib/utils/jobs.js) and its lock. A run takes the lock\n// by claiming an unlocked or expired row, so two instances never run the same\n// job at once, and a crashed run only blocks it until lockedUntil.\nmodel Job {\n  name        String    @id @db.VarChar(64)\n  lockedBy    String? // JobRun.id holding the lock\n  lockedUntil DateTime?\n  createdAt   DateTime  @default(now())\n  runs        JobRun[]\n}\n\nmodel JobRun {\n  id            String       @id @default(uuid())\n  job           Job          @relation(fields: [jobName], references: [name])\n  jobName       String       @db.VarChar(64)\n  trigger       String // cron, manual or cli\n  status        JobRunStatus @default(RUNNING)\n  result        Json?\n  error         String?      @db.Text\n  triggeredBy   User?        @relation(\"JobRunsTriggered\", fields: [triggeredById], references: [id])\n  triggeredById String?\n  startedAt     DateTime     @default(now())\n  finishedAt    DateTime?\n\n  @@index([jobName, startedAt])\n}\n\nenum Day {\n  MONDAY\n  TUESDAY\n  WEDNESDAY\n  THURSDAY\n  FRIDAY\n  SATURDAY\n  SUNDAY\n}\n\n// A bookable time of day (school time) and the days it runs on. Sessions and\n// closures hold the code as a plain column rather than a foreign key, so the\n// columns that were the TimeSlot enum keep their values (SLOT_8_10, ...) when\n// `db push` turns them into strings; the seed then adds those codes here.\nmodel TimeSlot {\n  code      String   @id @db.VarChar(32) // e.g. SLOT_8_10, derived from the times\n  label     String // shown to students and staff, e.g. \"8:00 AM - 10:00 AM\"\n  startTime String   @db.VarChar(5) // \"HH:MM\"\n  endTime   String   @db.VarChar(5) // \"HH:MM\"\n  days      Json // Day values the slot runs on, e.g. [\"SATURDAY\", \"SUNDAY\"]\n  isActive  Boolean  @default(true) // retired slots stay for booking history\n  createdAt DateTime @default(now())\n  updatedAt DateTime @updatedAt\n}\n\n// A site the school runs from. Students, sessions (so each branch has its own\n// capacity matrix), vehicles and staff belong to one; staff without a branch work across\n// all of them. Like time slots, rows hold the code as a plain column rather\n// than a foreign key, so `db push` fills the new column on existing rows with\n// MAIN, which the seed then adds here.\nmodel Branch {\n  code      String   @id @db.VarChar(32) // e.g. MAIN, WESTLANDS\n  name      String // shown in the branch switcher and to students\n  address   String?\n  createdAt DateTime @default(now())\n  updatedAt DateTime @updatedAt\n}\n\n// A signed-in browser of a staff member or a student. Auth tokens carry the\n// session id, so revoking the session logs that browser out before its token\n// expires.\nmodel AuthSession {\n  id         String    @id @default(uuid())\n  user       User?     @relation(fields: [userId], references: [id])\n  userId     String?\n  student    Student?  @relation(fields: [studentId], references: [id], onUpdate: Cascade)\n  studentId  String?\n  userAgent  String?   @db.VarChar(255)\n  ipAddress  String?   @db.VarChar(64)\n  createdAt  DateTime  @default(now())\n  lastSeenAt DateTime  @default(now())\n  expiresAt  DateTime\n  revokedAt  DateTime?\n\n  @@index([userId, expiresAt])\n  @@index([studentId, expiresAt])\n}\n\n// Failed login counters, when the rate limiter uses the database store\nmodel RateLimit {\n  key         String    @id @db.VarChar(191) // e.g. staff:ip:203.0.113.7\n  count       Int       @default(0)\n  windowStart DateTime\n  lockedUntil DateTime?\n  updatedAt   DateTime  @updatedAt\n\n  @@index([updatedAt])\n}\n\n// Feed of session availability changes read by every open /api/sessions/stream,\n// whichever server instance made the change. Rows are only needed for minutes.\nmodel SessionChange {\n  id        Int          @id @default(autoincrement())\n  branch    String       @db.VarChar(32)\n  category  LicenceClass\n  payload   Json // the event as sent to clients\n  createdAt DateTime     @default(now())\n\n  @@index([createdAt])\n}\n\n// A one-time code sent to a student as the second login step, when the\n// student_login_codes setting is on. Only a hash of the code is kept.\nmodel LoginCode {\n  id        String              @id @default(uuid())\n  student   Student             @relation(fields: [studentId], references: [id], onUpdate: Cascade)\n  studentId String\n  codeHash  String              @db.VarChar(64)\n  channel   NotificationChannel\n  attempts  Int                 @default(0)\n  expiresAt DateTime\n  usedAt    DateTime?\n  createdAt DateTime            @default(now())\n\n  @@index([studentId, createdAt])\n}\n\nenum RegistrationStatus {\n  PENDING\n  APPROVED\n  REJECTED\n}\n\n// A request for a student account, made from the login page. Logging in never\n// creates students; an admin approves the request, which creates the Student.\nmodel StudentRegistration {\n  id              String             @id @default(uuid())\n  studentId       String             @db.VarChar(32) // the DR-XXXX-XX number given at enrolment\n  name            String\n  email           String\n  phoneNumber     String?\n  category        LicenceClass       @default(B2)\n  branch          String             @default(\"MAIN\") @db.VarChar(32) // Branch.code the student trains at\n  status          RegistrationStatus @default(PENDING)\n  reviewedBy      User?              @relation(\"RegistrationsReviewed\", fields: [reviewedById], references: [id])\n  reviewedById    String?\n  reviewedAt      DateTime?\n  rejectionReason String?            @db.VarChar(255)\n  createdAt       DateTime           @default(now())\n\n  @@index([status, createdAt])\n  @@index([studentId])\n  @@index([email])\n}\n",
   "runtimeDataModel": {
     "models": {},
     "enums": {},
@@ -32,10 +32,10 @@ const config: runtime.GetPrismaClientConfig = {
   }
 }
 
-config.runtimeDataModel = JSON.parse("{\"models\":{\"Student\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"studentNumber\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"email\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"phoneNumber\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"StudentStatus\"},{\"name\":\"deactivatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"bookings\",\"kind\":\"object\",\"type\":\"Booking\",\"relationName\":\"BookingToStudent\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"Session\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"day\",\"kind\":\"enum\",\"type\":\"Day\"},{\"name\":\"timeSlot\",\"kind\":\"enum\",\"type\":\"TimeSlot\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"capacity\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"bookings\",\"kind\":\"object\",\"type\":\"Booking\",\"relationName\":\"BookingToSession\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"metadata\",\"kind\":\"scalar\",\"type\":\"Json\"}],\"dbName\":null},\"Booking\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"student\",\"kind\":\"object\",\"type\":\"Student\",\"relationName\":\"BookingToStudent\"},{\"name\":\"studentId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"session\",\"kind\":\"object\",\"type\":\"Session\",\"relationName\":\"BookingToSession\"},{\"name\":\"sessionId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"BookingStatus\"},{\"name\":\"weekOf\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"markedBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"BookingsMarked\"},{\"name\":\"markedById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"attendedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"completedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"cancelledAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"notes\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"statusHistory\",\"kind\":\"object\",\"type\":\"BookingStatusHistory\",\"relationName\":\"BookingToBookingStatusHistory\"}],\"dbName\":null},\"BookingStatusHistory\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"booking\",\"kind\":\"object\",\"type\":\"Booking\",\"relationName\":\"BookingToBookingStatusHistory\"},{\"name\":\"bookingId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"fromStatus\",\"kind\":\"enum\",\"type\":\"BookingStatus\"},{\"name\":\"toStatus\",\"kind\":\"enum\",\"type\":\"BookingStatus\"},{\"name\":\"changedBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"StatusChanges\"},{\"name\":\"changedById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"reason\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"User\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"email\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"password\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"role\",\"kind\":\"enum\",\"type\":\"Role\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"bookingsMarked\",\"kind\":\"object\",\"type\":\"Booking\",\"relationName\":\"BookingsMarked\"},{\"name\":\"statusChanges\",\"kind\":\"object\",\"type\":\"BookingStatusHistory\",\"relationName\":\"StatusChanges\"}],\"dbName\":null},\"SystemSetting\":{\"fields\":[{\"name\":\"key\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"value\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"label\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"type\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"SystemLog\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"action\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"message\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"data\",\"kind\":\"scalar\",\"type\":\"Json\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null}},\"enums\":{},\"types\":{}}")
+config.runtimeDataModel = JSON.parse("{\"models\":{\"Student\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"studentNumber\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"email\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"phoneNumber\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"branch\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"StudentStatus\"},{\"name\":\"deactivatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"bookings\",\"kind\":\"object\",\"type\":\"Booking\",\"relationName\":\"BookingToStudent\"},{\"name\":\"waitlist\",\"kind\":\"object\",\"type\":\"WaitlistEntry\",\"relationName\":\"StudentToWaitlistEntry\"},{\"name\":\"suspensions\",\"kind\":\"object\",\"type\":\"Suspension\",\"relationName\":\"StudentToSuspension\"},{\"name\":\"notifications\",\"kind\":\"object\",\"type\":\"Notification\",\"relationName\":\"NotificationToStudent\"},{\"name\":\"systemLogs\",\"kind\":\"object\",\"type\":\"SystemLog\",\"relationName\":\"StudentToSystemLog\"},{\"name\":\"authSessions\",\"kind\":\"object\",\"type\":\"AuthSession\",\"relationName\":\"AuthSessionToStudent\"},{\"name\":\"loginCodes\",\"kind\":\"object\",\"type\":\"LoginCode\",\"relationName\":\"LoginCodeToStudent\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"Session\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"day\",\"kind\":\"enum\",\"type\":\"Day\"},{\"name\":\"timeSlot\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"branch\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"capacity\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"bookings\",\"kind\":\"object\",\"type\":\"Booking\",\"relationName\":\"BookingToSession\"},{\"name\":\"waitlist\",\"kind\":\"object\",\"type\":\"WaitlistEntry\",\"relationName\":\"SessionToWaitlistEntry\"},{\"name\":\"assignments\",\"kind\":\"object\",\"type\":\"SessionAssignment\",\"relationName\":\"SessionToSessionAssignment\"},{\"name\":\"instances\",\"kind\":\"object\",\"type\":\"SessionInstance\",\"relationName\":\"SessionToSessionInstance\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"metadata\",\"kind\":\"scalar\",\"type\":\"Json\"}],\"dbName\":null},\"SessionInstance\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"session\",\"kind\":\"object\",\"type\":\"Session\",\"relationName\":\"SessionToSessionInstance\"},{\"name\":\"sessionId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"weekOf\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"date\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"capacity\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"SessionInstanceStatus\"},{\"name\":\"isExtra\",\"kind\":\"scalar\",\"type\":\"Boolean\"},{\"name\":\"note\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"updatedBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"InstancesUpdated\"},{\"name\":\"updatedById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"Booking\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"student\",\"kind\":\"object\",\"type\":\"Student\",\"relationName\":\"BookingToStudent\"},{\"name\":\"studentId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"session\",\"kind\":\"object\",\"type\":\"Session\",\"relationName\":\"BookingToSession\"},{\"name\":\"sessionId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"BookingStatus\"},{\"name\":\"weekOf\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"markedBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"BookingsMarked\"},{\"name\":\"markedById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"attendedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"completedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"cancelledAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"notes\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"statusHistory\",\"kind\":\"object\",\"type\":\"BookingStatusHistory\",\"relationName\":\"BookingToBookingStatusHistory\"},{\"name\":\"waitlistEntry\",\"kind\":\"object\",\"type\":\"WaitlistEntry\",\"relationName\":\"BookingToWaitlistEntry\"}],\"dbName\":null},\"BookingStatusHistory\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"booking\",\"kind\":\"object\",\"type\":\"Booking\",\"relationName\":\"BookingToBookingStatusHistory\"},{\"name\":\"bookingId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"fromStatus\",\"kind\":\"enum\",\"type\":\"BookingStatus\"},{\"name\":\"toStatus\",\"kind\":\"enum\",\"type\":\"BookingStatus\"},{\"name\":\"changedBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"StatusChanges\"},{\"name\":\"changedById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"reason\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"batchId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"WaitlistEntry\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"student\",\"kind\":\"object\",\"type\":\"Student\",\"relationName\":\"StudentToWaitlistEntry\"},{\"name\":\"studentId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"session\",\"kind\":\"object\",\"type\":\"Session\",\"relationName\":\"SessionToWaitlistEntry\"},{\"name\":\"sessionId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"weekOf\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"WaitlistStatus\"},{\"name\":\"booking\",\"kind\":\"object\",\"type\":\"Booking\",\"relationName\":\"BookingToWaitlistEntry\"},{\"name\":\"bookingId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"promotedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"Suspension\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"student\",\"kind\":\"object\",\"type\":\"Student\",\"relationName\":\"StudentToSuspension\"},{\"name\":\"studentId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"startsAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"endsAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"reason\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"liftedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"liftedBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"SuspensionsLifted\"},{\"name\":\"liftedById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"Closure\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"date\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"branch\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"timeSlot\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"reason\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"ClosuresCreated\"},{\"name\":\"createdById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"Vehicle\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"registration\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"branch\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"isActive\",\"kind\":\"scalar\",\"type\":\"Boolean\"},{\"name\":\"assignments\",\"kind\":\"object\",\"type\":\"SessionAssignment\",\"relationName\":\"SessionAssignmentToVehicle\"},{\"name\":\"maintenance\",\"kind\":\"object\",\"type\":\"VehicleMaintenance\",\"relationName\":\"VehicleToVehicleMaintenance\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"VehicleMaintenance\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"vehicle\",\"kind\":\"object\",\"type\":\"Vehicle\",\"relationName\":\"VehicleToVehicleMaintenance\"},{\"name\":\"vehicleId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"startDate\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"endDate\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"reason\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"MaintenanceCreated\"},{\"name\":\"createdById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"SessionAssignment\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"session\",\"kind\":\"object\",\"type\":\"Session\",\"relationName\":\"SessionToSessionAssignment\"},{\"name\":\"sessionId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"weekOf\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"instructor\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"InstructorAssignments\"},{\"name\":\"instructorId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"vehicle\",\"kind\":\"object\",\"type\":\"Vehicle\",\"relationName\":\"SessionAssignmentToVehicle\"},{\"name\":\"vehicleId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"User\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"email\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"password\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"role\",\"kind\":\"enum\",\"type\":\"Role\"},{\"name\":\"branch\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"lastLoginAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"disabledAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"totpSecret\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"totpEnabledAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"totpLastStep\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"recoveryCodes\",\"kind\":\"scalar\",\"type\":\"Json\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"bookingsMarked\",\"kind\":\"object\",\"type\":\"Booking\",\"relationName\":\"BookingsMarked\"},{\"name\":\"statusChanges\",\"kind\":\"object\",\"type\":\"BookingStatusHistory\",\"relationName\":\"StatusChanges\"},{\"name\":\"closures\",\"kind\":\"object\",\"type\":\"Closure\",\"relationName\":\"ClosuresCreated\"},{\"name\":\"assignments\",\"kind\":\"object\",\"type\":\"SessionAssignment\",\"relationName\":\"InstructorAssignments\"},{\"name\":\"maintenance\",\"kind\":\"object\",\"type\":\"VehicleMaintenance\",\"relationName\":\"MaintenanceCreated\"},{\"name\":\"liftedSuspensions\",\"kind\":\"object\",\"type\":\"Suspension\",\"relationName\":\"SuspensionsLifted\"},{\"name\":\"instancesUpdated\",\"kind\":\"object\",\"type\":\"SessionInstance\",\"relationName\":\"InstancesUpdated\"},{\"name\":\"jobRuns\",\"kind\":\"object\",\"type\":\"JobRun\",\"relationName\":\"JobRunsTriggered\"},{\"name\":\"systemLogs\",\"kind\":\"object\",\"type\":\"SystemLog\",\"relationName\":\"SystemLogs\"},{\"name\":\"authSessions\",\"kind\":\"object\",\"type\":\"AuthSession\",\"relationName\":\"AuthSessionToUser\"},{\"name\":\"registrations\",\"kind\":\"object\",\"type\":\"StudentRegistration\",\"relationName\":\"RegistrationsReviewed\"}],\"dbName\":null},\"SystemSetting\":{\"fields\":[{\"name\":\"key\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"value\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"label\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"type\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"SystemLog\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"action\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"message\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"data\",\"kind\":\"scalar\",\"type\":\"Json\"},{\"name\":\"actor\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"SystemLogs\"},{\"name\":\"actorId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"student\",\"kind\":\"object\",\"type\":\"Student\",\"relationName\":\"StudentToSystemLog\"},{\"name\":\"studentId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"bookingId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"Notification\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"channel\",\"kind\":\"enum\",\"type\":\"NotificationChannel\"},{\"name\":\"type\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"transport\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"recipient\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"subject\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"body\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"NotificationStatus\"},{\"name\":\"error\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"student\",\"kind\":\"object\",\"type\":\"Student\",\"relationName\":\"NotificationToStudent\"},{\"name\":\"studentId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"bookingId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"Job\":{\"fields\":[{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"lockedBy\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"lockedUntil\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"runs\",\"kind\":\"object\",\"type\":\"JobRun\",\"relationName\":\"JobToJobRun\"}],\"dbName\":null},\"JobRun\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"job\",\"kind\":\"object\",\"type\":\"Job\",\"relationName\":\"JobToJobRun\"},{\"name\":\"jobName\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"trigger\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"JobRunStatus\"},{\"name\":\"result\",\"kind\":\"scalar\",\"type\":\"Json\"},{\"name\":\"error\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"triggeredBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"JobRunsTriggered\"},{\"name\":\"triggeredById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"startedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"finishedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"TimeSlot\":{\"fields\":[{\"name\":\"code\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"label\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"startTime\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"endTime\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"days\",\"kind\":\"scalar\",\"type\":\"Json\"},{\"name\":\"isActive\",\"kind\":\"scalar\",\"type\":\"Boolean\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"Branch\":{\"fields\":[{\"name\":\"code\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"address\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"AuthSession\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"user\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"AuthSessionToUser\"},{\"name\":\"userId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"student\",\"kind\":\"object\",\"type\":\"Student\",\"relationName\":\"AuthSessionToStudent\"},{\"name\":\"studentId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"userAgent\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"ipAddress\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"lastSeenAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"expiresAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"revokedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"RateLimit\":{\"fields\":[{\"name\":\"key\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"count\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"windowStart\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"lockedUntil\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"updatedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"SessionChange\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"branch\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"payload\",\"kind\":\"scalar\",\"type\":\"Json\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"LoginCode\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"student\",\"kind\":\"object\",\"type\":\"Student\",\"relationName\":\"LoginCodeToStudent\"},{\"name\":\"studentId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"codeHash\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"channel\",\"kind\":\"enum\",\"type\":\"NotificationChannel\"},{\"name\":\"attempts\",\"kind\":\"scalar\",\"type\":\"Int\"},{\"name\":\"expiresAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"usedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null},\"StudentRegistration\":{\"fields\":[{\"name\":\"id\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"studentId\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"name\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"email\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"phoneNumber\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"category\",\"kind\":\"enum\",\"type\":\"LicenceClass\"},{\"name\":\"branch\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"status\",\"kind\":\"enum\",\"type\":\"RegistrationStatus\"},{\"name\":\"reviewedBy\",\"kind\":\"object\",\"type\":\"User\",\"relationName\":\"RegistrationsReviewed\"},{\"name\":\"reviewedById\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"reviewedAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"},{\"name\":\"rejectionReason\",\"kind\":\"scalar\",\"type\":\"String\"},{\"name\":\"createdAt\",\"kind\":\"scalar\",\"type\":\"DateTime\"}],\"dbName\":null}},\"enums\":{},\"types\":{}}")
 config.parameterizationSchema = {
-  strings: JSON.parse("[\"where\",\"orderBy\",\"cursor\",\"student\",\"bookings\",\"_count\",\"session\",\"bookingsMarked\",\"booking\",\"changedBy\",\"statusChanges\",\"markedBy\",\"statusHistory\",\"Student.findUnique\",\"Student.findUniqueOrThrow\",\"Student.findFirst\",\"Student.findFirstOrThrow\",\"Student.findMany\",\"data\",\"Student.createOne\",\"Student.createMany\",\"Student.updateOne\",\"Student.updateMany\",\"create\",\"update\",\"Student.upsertOne\",\"Student.deleteOne\",\"Student.deleteMany\",\"having\",\"_min\",\"_max\",\"Student.groupBy\",\"Student.aggregate\",\"Session.findUnique\",\"Session.findUniqueOrThrow\",\"Session.findFirst\",\"Session.findFirstOrThrow\",\"Session.findMany\",\"Session.createOne\",\"Session.createMany\",\"Session.updateOne\",\"Session.updateMany\",\"Session.upsertOne\",\"Session.deleteOne\",\"Session.deleteMany\",\"_avg\",\"_sum\",\"Session.groupBy\",\"Session.aggregate\",\"Booking.findUnique\",\"Booking.findUniqueOrThrow\",\"Booking.findFirst\",\"Booking.findFirstOrThrow\",\"Booking.findMany\",\"Booking.createOne\",\"Booking.createMany\",\"Booking.updateOne\",\"Booking.updateMany\",\"Booking.upsertOne\",\"Booking.deleteOne\",\"Booking.deleteMany\",\"Booking.groupBy\",\"Booking.aggregate\",\"BookingStatusHistory.findUnique\",\"BookingStatusHistory.findUniqueOrThrow\",\"BookingStatusHistory.findFirst\",\"BookingStatusHistory.findFirstOrThrow\",\"BookingStatusHistory.findMany\",\"BookingStatusHistory.createOne\",\"BookingStatusHistory.createMany\",\"BookingStatusHistory.updateOne\",\"BookingStatusHistory.updateMany\",\"BookingStatusHistory.upsertOne\",\"BookingStatusHistory.deleteOne\",\"BookingStatusHistory.deleteMany\",\"BookingStatusHistory.groupBy\",\"BookingStatusHistory.aggregate\",\"User.findUnique\",\"User.findUniqueOrThrow\",\"User.findFirst\",\"User.findFirstOrThrow\",\"User.findMany\",\"User.createOne\",\"User.createMany\",\"User.updateOne\",\"User.updateMany\",\"User.upsertOne\",\"User.deleteOne\",\"User.deleteMany\",\"User.groupBy\",\"User.aggregate\",\"SystemSetting.findUnique\",\"SystemSetting.findUniqueOrThrow\",\"SystemSetting.findFirst\",\"SystemSetting.findFirstOrThrow\",\"SystemSetting.findMany\",\"SystemSetting.createOne\",\"SystemSetting.createMany\",\"SystemSetting.updateOne\",\"SystemSetting.updateMany\",\"SystemSetting.upsertOne\",\"SystemSetting.deleteOne\",\"SystemSetting.deleteMany\",\"SystemSetting.groupBy\",\"SystemSetting.aggregate\",\"SystemLog.findUnique\",\"SystemLog.findUniqueOrThrow\",\"SystemLog.findFirst\",\"SystemLog.findFirstOrThrow\",\"SystemLog.findMany\",\"SystemLog.createOne\",\"SystemLog.createMany\",\"SystemLog.updateOne\",\"SystemLog.updateMany\",\"SystemLog.upsertOne\",\"SystemLog.deleteOne\",\"SystemLog.deleteMany\",\"SystemLog.groupBy\",\"SystemLog.aggregate\",\"AND\",\"OR\",\"NOT\",\"id\",\"action\",\"message\",\"createdAt\",\"equals\",\"in\",\"notIn\",\"lt\",\"lte\",\"gt\",\"gte\",\"not\",\"string_contains\",\"string_starts_with\",\"string_ends_with\",\"array_starts_with\",\"array_ends_with\",\"array_contains\",\"contains\",\"startsWith\",\"endsWith\",\"search\",\"key\",\"value\",\"label\",\"type\",\"updatedAt\",\"email\",\"name\",\"password\",\"Role\",\"role\",\"every\",\"some\",\"none\",\"bookingId\",\"BookingStatus\",\"fromStatus\",\"toStatus\",\"changedById\",\"reason\",\"studentId\",\"sessionId\",\"LicenceClass\",\"category\",\"status\",\"weekOf\",\"markedById\",\"attendedAt\",\"completedAt\",\"cancelledAt\",\"notes\",\"Day\",\"day\",\"TimeSlot\",\"timeSlot\",\"capacity\",\"metadata\",\"day_timeSlot_category\",\"studentNumber\",\"phoneNumber\",\"StudentStatus\",\"deactivatedAt\",\"studentId_sessionId_weekOf\",\"is\",\"isNot\",\"_relevance\",\"connectOrCreate\",\"upsert\",\"createMany\",\"set\",\"disconnect\",\"delete\",\"connect\",\"updateMany\",\"deleteMany\",\"increment\",\"decrement\",\"multiply\",\"divide\"]"),
-  graph: "jgMxYg4EAADFAQAgdwAA7AEAMHgAABcAEHkAAOwBADB6AQAAAAF9QAC8AQAhlAFAALwBACGVAQEAAAABlgEBALoBACGmAQAA5QGmASKnAQAA7gG4ASK1AQEA7QEAIbYBAQDtAQAhuAFAAO8BACEBAAAAAQAgFAMAAPcBACAGAAD4AQAgCwAA9AEAIAwAAMYBACB3AAD2AQAweAAAAwAQeQAA9gEAMHoBALoBACF9QAC8AQAhlAFAALwBACGjAQEAugEAIaQBAQC6AQAhpgEAAOUBpgEipwEAAPIBnwEiqAFAALwBACGpAQEA7QEAIaoBQADvAQAhqwFAAO8BACGsAUAA7wEAIa0BAQDtAQAhCgMAAO4CACAGAADvAgAgCwAA7AIAIAwAAL0CACCpAQAA-QEAIKoBAAD5AQAgqwEAAPkBACCsAQAA-QEAIK0BAAD5AQAgvAEAAPACACAVAwAA9wEAIAYAAPgBACALAAD0AQAgDAAAxgEAIHcAAPYBADB4AAADABB5AAD2AQAwegEAAAABfUAAvAEAIZQBQAC8AQAhowEBALoBACGkAQEAugEAIaYBAADlAaYBIqcBAADyAZ8BIqgBQAC8AQAhqQEBAO0BACGqAUAA7wEAIasBQADvAQAhrAFAAO8BACGtAQEA7QEAIbkBAAD1AQAgAwAAAAMAIAEAAAQAMAIAAAUAIAMAAAADACABAAAEADACAAAFACABAAAAAwAgDAcAAMUBACAKAADGAQAgdwAAwwEAMHgAAAkAEHkAAMMBADB6AQC6AQAhfUAAvAEAIZQBQAC8AQAhlQEBALoBACGWAQEAugEAIZcBAQC6AQAhmQEAAMQBmQEiAQAAAAkAIAMAAAADACABAAAEADACAAAFACAMCAAA8wEAIAkAAPQBACB3AADwAQAweAAADAAQeQAA8AEAMHoBALoBACF9QAC8AQAhnQEBALoBACGfAQAA8QGfASOgAQAA8gGfASKhAQEA7QEAIaIBAQDtAQAhBggAAOsCACAJAADsAgAgnwEAAPkBACChAQAA-QEAIKIBAAD5AQAgvAEAAO0CACAMCAAA8wEAIAkAAPQBACB3AADwAQAweAAADAAQeQAA8AEAMHoBAAAAAX1AALwBACGdAQEAugEAIZ8BAADxAZ8BI6ABAADyAZ8BIqEBAQDtAQAhogEBAO0BACEDAAAADAAgAQAADQAwAgAADgAgAQAAAAkAIAEAAAADACABAAAADAAgAwAAAAwAIAEAAA0AMAIAAA4AIAEAAAAMACABAAAAAwAgAQAAAAEAIA4EAADFAQAgdwAA7AEAMHgAABcAEHkAAOwBADB6AQC6AQAhfUAAvAEAIZQBQAC8AQAhlQEBALoBACGWAQEAugEAIaYBAADlAaYBIqcBAADuAbgBIrUBAQDtAQAhtgEBAO0BACG4AUAA7wEAIQUEAAC8AgAgtQEAAPkBACC2AQAA-QEAILgBAAD5AQAgvAEAAOoCACADAAAAFwAgAQAAGAAwAgAAAQAgAwAAABcAIAEAABgAMAIAAAEAIAMAAAAXACABAAAYADACAAABACALBAAA6QIAIHoBAAAAAX1AAAAAAZQBQAAAAAGVAQEAAAABlgEBAAAAAaYBAAAApgECpwEAAAC4AQK1AQEAAAABtgEBAAAAAbgBQAAAAAEBEgAAHAAgCnoBAAAAAX1AAAAAAZQBQAAAAAGVAQEAAAABlgEBAAAAAaYBAAAApgECpwEAAAC4AQK1AQEAAAABtgEBAAAAAbgBQAAAAAEBEgAAHgAwCwQAAN8CACB6AQD9AQAhfUAA_gEAIZQBQAD-AQAhlQEBAP0BACGWAQEA_QEAIaYBAAClAqYBIqcBAADeArgBIrUBAQCWAgAhtgEBAJYCACG4AUAApgIAIQIAAAABACASAAAgACAKegEA_QEAIX1AAP4BACGUAUAA_gEAIZUBAQD9AQAhlgEBAP0BACGmAQAApQKmASKnAQAA3gK4ASK1AQEAlgIAIbYBAQCWAgAhuAFAAKYCACECAAAAFwAgEgAAIgAgAwAAAAEAIBcAABwAIBgAACAAIAEAAAABACABAAAAFwAgBgUAANsCACAdAADdAgAgHgAA3AIAILUBAAD5AQAgtgEAAPkBACC4AQAA-QEAIA13AADoAQAweAAAKAAQeQAA6AEAMHoBAK8BACF9QACxAQAhlAFAALEBACGVAQEArwEAIZYBAQCvAQAhpgEAANIBpgEipwEAAOkBuAEitQEBAMoBACG2AQEAygEAIbgBQADTAQAhAwAAABcAIAEAACcAMBwAACgAIAMAAAAXACABAAAYADACAAABACANBAAAxQEAIHcAAOIBADB4AAAuABB5AADiAQAwegEAAAABfUAAvAEAIZQBQAC8AQAhpgEAAOUBpgEirwEAAOMBrwEisQEAAOQBsQEisgECAOYBACGzAQAAuwEAILQBAADnAQAgAQAAACsAIAEAAAArACAMBAAAxQEAIHcAAOIBADB4AAAuABB5AADiAQAwegEAugEAIX1AALwBACGUAUAAvAEAIaYBAADlAaYBIq8BAADjAa8BIrEBAADkAbEBIrIBAgDmAQAhswEAALsBACADBAAAvAIAILMBAAD5AQAgvAEAANoCACADAAAALgAgAQAALwAwAgAAKwAgAwAAAC4AIAEAAC8AMAIAACsAIAMAAAAuACABAAAvADACAAArACAJBAAA2QIAIHoBAAAAAX1AAAAAAZQBQAAAAAGmAQAAAKYBAq8BAAAArwECsQEAAACxAQKyAQIAAAABswGAAAAAAQESAAAzACAIegEAAAABfUAAAAABlAFAAAAAAaYBAAAApgECrwEAAACvAQKxAQAAALEBArIBAgAAAAGzAYAAAAABARIAADUAMAkEAADPAgAgegEA_QEAIX1AAP4BACGUAUAA_gEAIaYBAAClAqYBIq8BAADMAq8BIrEBAADNArEBIrIBAgDOAgAhswGAAAAAAQIAAAArACASAAA3ACAIegEA_QEAIX1AAP4BACGUAUAA_gEAIaYBAAClAqYBIq8BAADMAq8BIrEBAADNArEBIrIBAgDOAgAhswGAAAAAAQIAAAAuACASAAA5ACADAAAAKwAgFwAAMwAgGAAANwAgAQAAACsAIAEAAAAuACAGBQAAxwIAIB0AAMoCACAeAADJAgAgLQAAyAIAIC4AAMsCACCzAQAA-QEAIAt3AADYAQAweAAAPwAQeQAA2AEAMHoBAK8BACF9QACxAQAhlAFAALEBACGmAQAA0gGmASKvAQAA2QGvASKxAQAA2gGxASKyAQIA2wEAIbMBAACwAQAgAwAAAC4AIAEAAD4AMBwAAD8AIAMAAAAuACABAAAvADACAAArACABAAAABQAgAQAAAAUAIAMAAAADACABAAAEADACAAAFACADAAAAAwAgAQAABAAwAgAABQAgAwAAAAMAIAEAAAQAMAIAAAUAIBEDAAC3AgAgBgAAuAIAIAsAAMYCACAMAAC5AgAgegEAAAABfUAAAAABlAFAAAAAAaMBAQAAAAGkAQEAAAABpgEAAACmAQKnAQAAAJ8BAqgBQAAAAAGpAQEAAAABqgFAAAAAAasBQAAAAAGsAUAAAAABrQEBAAAAAQESAABHACANegEAAAABfUAAAAABlAFAAAAAAaMBAQAAAAGkAQEAAAABpgEAAACmAQKnAQAAAJ8BAqgBQAAAAAGpAQEAAAABqgFAAAAAAasBQAAAAAGsAUAAAAABrQEBAAAAAQESAABJADARAwAAqAIAIAYAAKkCACALAADFAgAgDAAAqgIAIHoBAP0BACF9QAD-AQAhlAFAAP4BACGjAQEA_QEAIaQBAQD9AQAhpgEAAKUCpgEipwEAAJUCnwEiqAFAAP4BACGpAQEAlgIAIaoBQACmAgAhqwFAAKYCACGsAUAApgIAIa0BAQCWAgAhAgAAAAUAIBIAAEsAIA16AQD9AQAhfUAA_gEAIZQBQAD-AQAhowEBAP0BACGkAQEA_QEAIaYBAAClAqYBIqcBAACVAp8BIqgBQAD-AQAhqQEBAJYCACGqAUAApgIAIasBQACmAgAhrAFAAKYCACGtAQEAlgIAIQIAAAADACASAABNACADAAAABQAgFwAARwAgGAAASwAgAQAAAAUAIAEAAAADACAIBQAAwgIAIB0AAMQCACAeAADDAgAgqQEAAPkBACCqAQAA-QEAIKsBAAD5AQAgrAEAAPkBACCtAQAA-QEAIBB3AADRAQAweAAAUwAQeQAA0QEAMHoBAK8BACF9QACxAQAhlAFAALEBACGjAQEArwEAIaQBAQCvAQAhpgEAANIBpgEipwEAAMkBnwEiqAFAALEBACGpAQEAygEAIaoBQADTAQAhqwFAANMBACGsAUAA0wEAIa0BAQDKAQAhAwAAAAMAIAEAAFIAMBwAAFMAIAMAAAADACABAAAEADACAAAFACABAAAADgAgAQAAAA4AIAMAAAAMACABAAANADACAAAOACADAAAADAAgAQAADQAwAgAADgAgAwAAAAwAIAEAAA0AMAIAAA4AIAkIAACaAgAgCQAAtQIAIHoBAAAAAX1AAAAAAZ0BAQAAAAGfAQAAAJ8BA6ABAAAAnwECoQEBAAAAAaIBAQAAAAEBEgAAWwAgB3oBAAAAAX1AAAAAAZ0BAQAAAAGfAQAAAJ8BA6ABAAAAnwECoQEBAAAAAaIBAQAAAAEBEgAAXQAwCQgAAJgCACAJAACzAgAgegEA_QEAIX1AAP4BACGdAQEA_QEAIZ8BAACUAp8BI6ABAACVAp8BIqEBAQCWAgAhogEBAJYCACECAAAADgAgEgAAXwAgB3oBAP0BACF9QAD-AQAhnQEBAP0BACGfAQAAlAKfASOgAQAAlQKfASKhAQEAlgIAIaIBAQCWAgAhAgAAAAwAIBIAAGEAIAMAAAAOACAXAABbACAYAABfACABAAAADgAgAQAAAAwAIAYFAAC_AgAgHQAAwQIAIB4AAMACACCfAQAA-QEAIKEBAAD5AQAgogEAAPkBACAKdwAAxwEAMHgAAGcAEHkAAMcBADB6AQCvAQAhfUAAsQEAIZ0BAQCvAQAhnwEAAMgBnwEjoAEAAMkBnwEioQEBAMoBACGiAQEAygEAIQMAAAAMACABAABmADAcAABnACADAAAADAAgAQAADQAwAgAADgAgDAcAAMUBACAKAADGAQAgdwAAwwEAMHgAAAkAEHkAAMMBADB6AQAAAAF9QAC8AQAhlAFAALwBACGVAQEAAAABlgEBALoBACGXAQEAugEAIZkBAADEAZkBIgEAAABqACABAAAAagAgAwcAALwCACAKAAC9AgAgvAEAAL4CACADAAAACQAgAQAAbQAwAgAAagAgAwAAAAkAIAEAAG0AMAIAAGoAIAMAAAAJACABAABtADACAABqACAJBwAAugIAIAoAALsCACB6AQAAAAF9QAAAAAGUAUAAAAABlQEBAAAAAZYBAQAAAAGXAQEAAAABmQEAAACZAQIBEgAAcQAgB3oBAAAAAX1AAAAAAZQBQAAAAAGVAQEAAAABlgEBAAAAAZcBAQAAAAGZAQAAAJkBAgESAABzADAJBwAAiAIAIAoAAIkCACB6AQD9AQAhfUAA_gEAIZQBQAD-AQAhlQEBAP0BACGWAQEA_QEAIZcBAQD9AQAhmQEAAIcCmQEiAgAAAGoAIBIAAHUAIAd6AQD9AQAhfUAA_gEAIZQBQAD-AQAhlQEBAP0BACGWAQEA_QEAIZcBAQD9AQAhmQEAAIcCmQEiAgAAAAkAIBIAAHcAIAMAAABqACAXAABxACAYAAB1ACABAAAAagAgAQAAAAkAIAMFAACEAgAgHQAAhgIAIB4AAIUCACAKdwAAvwEAMHgAAH0AEHkAAL8BADB6AQCvAQAhfUAAsQEAIZQBQACxAQAhlQEBAK8BACGWAQEArwEAIZcBAQCvAQAhmQEAAMABmQEiAwAAAAkAIAEAAHwAMBwAAH0AIAMAAAAJACABAABtADACAABqACAIdwAAvgEAMHgAAIMBABB5AAC-AQAwkAEBAAAAAZEBAQC6AQAhkgEBALoBACGTAQEAugEAIZQBQAC8AQAhAQAAAIABACABAAAAgAEAIAh3AAC-AQAweAAAgwEAEHkAAL4BADCQAQEAugEAIZEBAQC6AQAhkgEBALoBACGTAQEAugEAIZQBQAC8AQAhAbwBAACDAgAgAwAAAIMBACABAACEAQAwAgAAgAEAIAMAAACDAQAgAQAAhAEAMAIAAIABACADAAAAgwEAIAEAAIQBADACAACAAQAgBZABAQAAAAGRAQEAAAABkgEBAAAAAZMBAQAAAAGUAUAAAAABARIAAIgBACAFkAEBAAAAAZEBAQAAAAGSAQEAAAABkwEBAAAAAZQBQAAAAAEBEgAAigEAMAWQAQEA_QEAIZEBAQD9AQAhkgEBAP0BACGTAQEA_QEAIZQBQAD-AQAhAgAAAIABACASAACMAQAgBZABAQD9AQAhkQEBAP0BACGSAQEA_QEAIZMBAQD9AQAhlAFAAP4BACECAAAAgwEAIBIAAI4BACADAAAAgAEAIBcAAIgBACAYAACMAQAgAQAAAIABACABAAAAgwEAIAMFAACAAgAgHQAAggIAIB4AAIECACAIdwAAvQEAMHgAAJQBABB5AAC9AQAwkAEBAK8BACGRAQEArwEAIZIBAQCvAQAhkwEBAK8BACGUAUAAsQEAIQMAAACDAQAgAQAAkwEAMBwAAJQBACADAAAAgwEAIAEAAIQBADACAACAAQAgCBIAALsBACB3AAC5AQAweAAAmgEAEHkAALkBADB6AQAAAAF7AQC6AQAhfAEAugEAIX1AALwBACEBAAAAlwEAIAEAAACXAQAgCBIAALsBACB3AAC5AQAweAAAmgEAEHkAALkBADB6AQC6AQAhewEAugEAIXwBALoBACF9QAC8AQAhAhIAAPkBACC8AQAA_wEAIAMAAACaAQAgAQAAmwEAMAIAAJcBACADAAAAmgEAIAEAAJsBADACAACXAQAgAwAAAJoBACABAACbAQAwAgAAlwEAIAUSgAAAAAF6AQAAAAF7AQAAAAF8AQAAAAF9QAAAAAEBEgAAnwEAIAUSgAAAAAF6AQAAAAF7AQAAAAF8AQAAAAF9QAAAAAEBEgAAoQEAMAUSgAAAAAF6AQD9AQAhewEA_QEAIXwBAP0BACF9QAD-AQAhAgAAAJcBACASAACjAQAgBRKAAAAAAXoBAP0BACF7AQD9AQAhfAEA_QEAIX1AAP4BACECAAAAmgEAIBIAAKUBACADAAAAlwEAIBcAAJ8BACAYAACjAQAgAQAAAJcBACABAAAAmgEAIAQFAAD6AQAgEgAA-QEAIB0AAPwBACAeAAD7AQAgCBIAALABACB3AACuAQAweAAAqwEAEHkAAK4BADB6AQCvAQAhewEArwEAIXwBAK8BACF9QACxAQAhAwAAAJoBACABAACqAQAwHAAAqwEAIAMAAACaAQAgAQAAmwEAMAIAAJcBACAIEgAAsAEAIHcAAK4BADB4AACrAQAQeQAArgEAMHoBAK8BACF7AQCvAQAhfAEArwEAIX1AALEBACEPBQAAswEAIB0AALgBACAeAAC4AQAgfgEAAAABfwEAAAAEgAEBAAAABIEBAQAAAAGCAQEAAAABgwEBAAAAAYQBAQAAAAGFAQEAtwEAIYwBAQAAAAGNAQEAAAABjgEBAAAAAY8BAQAAAAEPBQAAtQEAIB0AALYBACAeAAC2AQAgfoAAAAABgQGAAAAAAYIBgAAAAAGDAYAAAAABhAGAAAAAAYUBgAAAAAGGAQEAAAABhwEBAAAAAYgBAQAAAAGJAYAAAAABigGAAAAAAYsBgAAAAAELBQAAswEAIB0AALQBACAeAAC0AQAgfkAAAAABf0AAAAAEgAFAAAAABIEBQAAAAAGCAUAAAAABgwFAAAAAAYQBQAAAAAGFAUAAsgEAIQsFAACzAQAgHQAAtAEAIB4AALQBACB-QAAAAAF_QAAAAASAAUAAAAAEgQFAAAAAAYIBQAAAAAGDAUAAAAABhAFAAAAAAYUBQACyAQAhCH4CAAAAAX8CAAAABIABAgAAAASBAQIAAAABggECAAAAAYMBAgAAAAGEAQIAAAABhQECALMBACEIfkAAAAABf0AAAAAEgAFAAAAABIEBQAAAAAGCAUAAAAABgwFAAAAAAYQBQAAAAAGFAUAAtAEAIQh-AgAAAAF_AgAAAAWAAQIAAAAFgQECAAAAAYIBAgAAAAGDAQIAAAABhAECAAAAAYUBAgC1AQAhDH6AAAAAAYEBgAAAAAGCAYAAAAABgwGAAAAAAYQBgAAAAAGFAYAAAAABhgEBAAAAAYcBAQAAAAGIAQEAAAABiQGAAAAAAYoBgAAAAAGLAYAAAAABDwUAALMBACAdAAC4AQAgHgAAuAEAIH4BAAAAAX8BAAAABIABAQAAAASBAQEAAAABggEBAAAAAYMBAQAAAAGEAQEAAAABhQEBALcBACGMAQEAAAABjQEBAAAAAY4BAQAAAAGPAQEAAAABDH4BAAAAAX8BAAAABIABAQAAAASBAQEAAAABggEBAAAAAYMBAQAAAAGEAQEAAAABhQEBALgBACGMAQEAAAABjQEBAAAAAY4BAQAAAAGPAQEAAAABCBIAALsBACB3AAC5AQAweAAAmgEAEHkAALkBADB6AQC6AQAhewEAugEAIXwBALoBACF9QAC8AQAhDH4BAAAAAX8BAAAABIABAQAAAASBAQEAAAABggEBAAAAAYMBAQAAAAGEAQEAAAABhQEBALgBACGMAQEAAAABjQEBAAAAAY4BAQAAAAGPAQEAAAABDH6AAAAAAYEBgAAAAAGCAYAAAAABgwGAAAAAAYQBgAAAAAGFAYAAAAABhgEBAAAAAYcBAQAAAAGIAQEAAAABiQGAAAAAAYoBgAAAAAGLAYAAAAABCH5AAAAAAX9AAAAABIABQAAAAASBAUAAAAABggFAAAAAAYMBQAAAAAGEAUAAAAABhQFAALQBACEIdwAAvQEAMHgAAJQBABB5AAC9AQAwkAEBAK8BACGRAQEArwEAIZIBAQCvAQAhkwEBAK8BACGUAUAAsQEAIQh3AAC-AQAweAAAgwEAEHkAAL4BADCQAQEAugEAIZEBAQC6AQAhkgEBALoBACGTAQEAugEAIZQBQAC8AQAhCncAAL8BADB4AAB9ABB5AAC_AQAwegEArwEAIX1AALEBACGUAUAAsQEAIZUBAQCvAQAhlgEBAK8BACGXAQEArwEAIZkBAADAAZkBIgcFAACzAQAgHQAAwgEAIB4AAMIBACB-AAAAmQECfwAAAJkBCIABAAAAmQEIhQEAAMEBmQEiBwUAALMBACAdAADCAQAgHgAAwgEAIH4AAACZAQJ_AAAAmQEIgAEAAACZAQiFAQAAwQGZASIEfgAAAJkBAn8AAACZAQiAAQAAAJkBCIUBAADCAZkBIgwHAADFAQAgCgAAxgEAIHcAAMMBADB4AAAJABB5AADDAQAwegEAugEAIX1AALwBACGUAUAAvAEAIZUBAQC6AQAhlgEBALoBACGXAQEAugEAIZkBAADEAZkBIgR-AAAAmQECfwAAAJkBCIABAAAAmQEIhQEAAMIBmQEiA5oBAAADACCbAQAAAwAgnAEAAAMAIAOaAQAADAAgmwEAAAwAIJwBAAAMACAKdwAAxwEAMHgAAGcAEHkAAMcBADB6AQCvAQAhfUAAsQEAIZ0BAQCvAQAhnwEAAMgBnwEjoAEAAMkBnwEioQEBAMoBACGiAQEAygEAIQcFAAC1AQAgHQAA0AEAIB4AANABACB-AAAAnwEDfwAAAJ8BCYABAAAAnwEJhQEAAM8BnwEjBwUAALMBACAdAADOAQAgHgAAzgEAIH4AAACfAQJ_AAAAnwEIgAEAAACfAQiFAQAAzQGfASIPBQAAtQEAIB0AAMwBACAeAADMAQAgfgEAAAABfwEAAAAFgAEBAAAABYEBAQAAAAGCAQEAAAABgwEBAAAAAYQBAQAAAAGFAQEAywEAIYwBAQAAAAGNAQEAAAABjgEBAAAAAY8BAQAAAAEPBQAAtQEAIB0AAMwBACAeAADMAQAgfgEAAAABfwEAAAAFgAEBAAAABYEBAQAAAAGCAQEAAAABgwEBAAAAAYQBAQAAAAGFAQEAywEAIYwBAQAAAAGNAQEAAAABjgEBAAAAAY8BAQAAAAEMfgEAAAABfwEAAAAFgAEBAAAABYEBAQAAAAGCAQEAAAABgwEBAAAAAYQBAQAAAAGFAQEAzAEAIYwBAQAAAAGNAQEAAAABjgEBAAAAAY8BAQAAAAEHBQAAswEAIB0AAM4BACAeAADOAQAgfgAAAJ8BAn8AAACfAQiAAQAAAJ8BCIUBAADNAZ8BIgR-AAAAnwECfwAAAJ8BCIABAAAAnwEIhQEAAM4BnwEiBwUAALUBACAdAADQAQAgHgAA0AEAIH4AAACfAQN_AAAAnwEJgAEAAACfAQmFAQAAzwGfASMEfgAAAJ8BA38AAACfAQmAAQAAAJ8BCYUBAADQAZ8BIxB3AADRAQAweAAAUwAQeQAA0QEAMHoBAK8BACF9QACxAQAhlAFAALEBACGjAQEArwEAIaQBAQCvAQAhpgEAANIBpgEipwEAAMkBnwEiqAFAALEBACGpAQEAygEAIaoBQADTAQAhqwFAANMBACGsAUAA0wEAIa0BAQDKAQAhBwUAALMBACAdAADXAQAgHgAA1wEAIH4AAACmAQJ_AAAApgEIgAEAAACmAQiFAQAA1gGmASILBQAAtQEAIB0AANUBACAeAADVAQAgfkAAAAABf0AAAAAFgAFAAAAABYEBQAAAAAGCAUAAAAABgwFAAAAAAYQBQAAAAAGFAUAA1AEAIQsFAAC1AQAgHQAA1QEAIB4AANUBACB-QAAAAAF_QAAAAAWAAUAAAAAFgQFAAAAAAYIBQAAAAAGDAUAAAAABhAFAAAAAAYUBQADUAQAhCH5AAAAAAX9AAAAABYABQAAAAAWBAUAAAAABggFAAAAAAYMBQAAAAAGEAUAAAAABhQFAANUBACEHBQAAswEAIB0AANcBACAeAADXAQAgfgAAAKYBAn8AAACmAQiAAQAAAKYBCIUBAADWAaYBIgR-AAAApgECfwAAAKYBCIABAAAApgEIhQEAANcBpgEiC3cAANgBADB4AAA_ABB5AADYAQAwegEArwEAIX1AALEBACGUAUAAsQEAIaYBAADSAaYBIq8BAADZAa8BIrEBAADaAbEBIrIBAgDbAQAhswEAALABACAHBQAAswEAIB0AAOEBACAeAADhAQAgfgAAAK8BAn8AAACvAQiAAQAAAK8BCIUBAADgAa8BIgcFAACzAQAgHQAA3wEAIB4AAN8BACB-AAAAsQECfwAAALEBCIABAAAAsQEIhQEAAN4BsQEiDQUAALMBACAdAACzAQAgHgAAswEAIC0AAN0BACAuAACzAQAgfgIAAAABfwIAAAAEgAECAAAABIEBAgAAAAGCAQIAAAABgwECAAAAAYQBAgAAAAGFAQIA3AEAIQ0FAACzAQAgHQAAswEAIB4AALMBACAtAADdAQAgLgAAswEAIH4CAAAAAX8CAAAABIABAgAAAASBAQIAAAABggECAAAAAYMBAgAAAAGEAQIAAAABhQECANwBACEIfggAAAABfwgAAAAEgAEIAAAABIEBCAAAAAGCAQgAAAABgwEIAAAAAYQBCAAAAAGFAQgA3QEAIQcFAACzAQAgHQAA3wEAIB4AAN8BACB-AAAAsQECfwAAALEBCIABAAAAsQEIhQEAAN4BsQEiBH4AAACxAQJ_AAAAsQEIgAEAAACxAQiFAQAA3wGxASIHBQAAswEAIB0AAOEBACAeAADhAQAgfgAAAK8BAn8AAACvAQiAAQAAAK8BCIUBAADgAa8BIgR-AAAArwECfwAAAK8BCIABAAAArwEIhQEAAOEBrwEiDAQAAMUBACB3AADiAQAweAAALgAQeQAA4gEAMHoBALoBACF9QAC8AQAhlAFAALwBACGmAQAA5QGmASKvAQAA4wGvASKxAQAA5AGxASKyAQIA5gEAIbMBAAC7AQAgBH4AAACvAQJ_AAAArwEIgAEAAACvAQiFAQAA4QGvASIEfgAAALEBAn8AAACxAQiAAQAAALEBCIUBAADfAbEBIgR-AAAApgECfwAAAKYBCIABAAAApgEIhQEAANcBpgEiCH4CAAAAAX8CAAAABIABAgAAAASBAQIAAAABggECAAAAAYMBAgAAAAGEAQIAAAABhQECALMBACEDpgEAAACmAQKvAQAAAK8BArEBAAAAsQECDXcAAOgBADB4AAAoABB5AADoAQAwegEArwEAIX1AALEBACGUAUAAsQEAIZUBAQCvAQAhlgEBAK8BACGmAQAA0gGmASKnAQAA6QG4ASK1AQEAygEAIbYBAQDKAQAhuAFAANMBACEHBQAAswEAIB0AAOsBACAeAADrAQAgfgAAALgBAn8AAAC4AQiAAQAAALgBCIUBAADqAbgBIgcFAACzAQAgHQAA6wEAIB4AAOsBACB-AAAAuAECfwAAALgBCIABAAAAuAEIhQEAAOoBuAEiBH4AAAC4AQJ_AAAAuAEIgAEAAAC4AQiFAQAA6wG4ASIOBAAAxQEAIHcAAOwBADB4AAAXABB5AADsAQAwegEAugEAIX1AALwBACGUAUAAvAEAIZUBAQC6AQAhlgEBALoBACGmAQAA5QGmASKnAQAA7gG4ASK1AQEA7QEAIbYBAQDtAQAhuAFAAO8BACEMfgEAAAABfwEAAAAFgAEBAAAABYEBAQAAAAGCAQEAAAABgwEBAAAAAYQBAQAAAAGFAQEAzAEAIYwBAQAAAAGNAQEAAAABjgEBAAAAAY8BAQAAAAEEfgAAALgBAn8AAAC4AQiAAQAAALgBCIUBAADrAbgBIgh-QAAAAAF_QAAAAAWAAUAAAAAFgQFAAAAAAYIBQAAAAAGDAUAAAAABhAFAAAAAAYUBQADVAQAhDAgAAPMBACAJAAD0AQAgdwAA8AEAMHgAAAwAEHkAAPABADB6AQC6AQAhfUAAvAEAIZ0BAQC6AQAhnwEAAPEBnwEjoAEAAPIBnwEioQEBAO0BACGiAQEA7QEAIQR-AAAAnwEDfwAAAJ8BCYABAAAAnwEJhQEAANABnwEjBH4AAACfAQJ_AAAAnwEIgAEAAACfAQiFAQAAzgGfASIWAwAA9wEAIAYAAPgBACALAAD0AQAgDAAAxgEAIHcAAPYBADB4AAADABB5AAD2AQAwegEAugEAIX1AALwBACGUAUAAvAEAIaMBAQC6AQAhpAEBALoBACGmAQAA5QGmASKnAQAA8gGfASKoAUAAvAEAIakBAQDtAQAhqgFAAO8BACGrAUAA7wEAIawBQADvAQAhrQEBAO0BACG6AQAAAwAguwEAAAMAIA4HAADFAQAgCgAAxgEAIHcAAMMBADB4AAAJABB5AADDAQAwegEAugEAIX1AALwBACGUAUAAvAEAIZUBAQC6AQAhlgEBALoBACGXAQEAugEAIZkBAADEAZkBIroBAAAJACC7AQAACQAgA6MBAQAAAAGkAQEAAAABqAFAAAAAARQDAAD3AQAgBgAA-AEAIAsAAPQBACAMAADGAQAgdwAA9gEAMHgAAAMAEHkAAPYBADB6AQC6AQAhfUAAvAEAIZQBQAC8AQAhowEBALoBACGkAQEAugEAIaYBAADlAaYBIqcBAADyAZ8BIqgBQAC8AQAhqQEBAO0BACGqAUAA7wEAIasBQADvAQAhrAFAAO8BACGtAQEA7QEAIRAEAADFAQAgdwAA7AEAMHgAABcAEHkAAOwBADB6AQC6AQAhfUAAvAEAIZQBQAC8AQAhlQEBALoBACGWAQEAugEAIaYBAADlAaYBIqcBAADuAbgBIrUBAQDtAQAhtgEBAO0BACG4AUAA7wEAIboBAAAXACC7AQAAFwAgDgQAAMUBACB3AADiAQAweAAALgAQeQAA4gEAMHoBALoBACF9QAC8AQAhlAFAALwBACGmAQAA5QGmASKvAQAA4wGvASKxAQAA5AGxASKyAQIA5gEAIbMBAAC7AQAgugEAAC4AILsBAAAuACAAAAAAAcABAQAAAAEBwAFAAAAAAQGPAQEAAAABAAAAAY8BAQAAAAEAAAABwAEAAACZAQILFwAAmwIAMBgAAKACADC9AQAAnAIAML4BAACdAgAwvwEAAJ4CACDAAQAAnwIAMMEBAACfAgAwwgEAAJ8CADDDAQAAnwIAMMQBAAChAgAwxQEAAKICADALFwAAigIAMBgAAI8CADC9AQAAiwIAML4BAACMAgAwvwEAAI0CACDAAQAAjgIAMMEBAACOAgAwwgEAAI4CADDDAQAAjgIAMMQBAACQAgAwxQEAAJECADAHCAAAmgIAIHoBAAAAAX1AAAAAAZ0BAQAAAAGfAQAAAJ8BA6ABAAAAnwECogEBAAAAAQIAAAAOACAXAACZAgAgAwAAAA4AIBcAAJkCACAYAACXAgAgARIAAI4DADAMCAAA8wEAIAkAAPQBACB3AADwAQAweAAADAAQeQAA8AEAMHoBAAAAAX1AALwBACGdAQEAugEAIZ8BAADxAZ8BI6ABAADyAZ8BIqEBAQDtAQAhogEBAO0BACECAAAADgAgEgAAlwIAIAIAAACSAgAgEgAAkwIAIAp3AACRAgAweAAAkgIAEHkAAJECADB6AQC6AQAhfUAAvAEAIZ0BAQC6AQAhnwEAAPEBnwEjoAEAAPIBnwEioQEBAO0BACGiAQEA7QEAIQp3AACRAgAweAAAkgIAEHkAAJECADB6AQC6AQAhfUAAvAEAIZ0BAQC6AQAhnwEAAPEBnwEjoAEAAPIBnwEioQEBAO0BACGiAQEA7QEAIQZ6AQD9AQAhfUAA_gEAIZ0BAQD9AQAhnwEAAJQCnwEjoAEAAJUCnwEiogEBAJYCACEBwAEAAACfAQMBwAEAAACfAQIBwAEBAAAAAQcIAACYAgAgegEA_QEAIX1AAP4BACGdAQEA_QEAIZ8BAACUAp8BI6ABAACVAp8BIqIBAQCWAgAhBRcAAIkDACAYAACMAwAgvQEAAIoDACC-AQAAiwMAIMMBAAAFACAHCAAAmgIAIHoBAAAAAX1AAAAAAZ0BAQAAAAGfAQAAAJ8BA6ABAAAAnwECogEBAAAAAQMXAACJAwAgvQEAAIoDACDDAQAABQAgDwMAALcCACAGAAC4AgAgDAAAuQIAIHoBAAAAAX1AAAAAAZQBQAAAAAGjAQEAAAABpAEBAAAAAaYBAAAApgECpwEAAACfAQKoAUAAAAABqgFAAAAAAasBQAAAAAGsAUAAAAABrQEBAAAAAQIAAAAFACAXAAC2AgAgAwAAAAUAIBcAALYCACAYAACnAgAgARIAAIgDADAVAwAA9wEAIAYAAPgBACALAAD0AQAgDAAAxgEAIHcAAPYBADB4AAADABB5AAD2AQAwegEAAAABfUAAvAEAIZQBQAC8AQAhowEBALoBACGkAQEAugEAIaYBAADlAaYBIqcBAADyAZ8BIqgBQAC8AQAhqQEBAO0BACGqAUAA7wEAIasBQADvAQAhrAFAAO8BACGtAQEA7QEAIbkBAAD1AQAgAgAAAAUAIBIAAKcCACACAAAAowIAIBIAAKQCACAQdwAAogIAMHgAAKMCABB5AACiAgAwegEAugEAIX1AALwBACGUAUAAvAEAIaMBAQC6AQAhpAEBALoBACGmAQAA5QGmASKnAQAA8gGfASKoAUAAvAEAIakBAQDtAQAhqgFAAO8BACGrAUAA7wEAIawBQADvAQAhrQEBAO0BACEQdwAAogIAMHgAAKMCABB5AACiAgAwegEAugEAIX1AALwBACGUAUAAvAEAIaMBAQC6AQAhpAEBALoBACGmAQAA5QGmASKnAQAA8gGfASKoAUAAvAEAIakBAQDtAQAhqgFAAO8BACGrAUAA7wEAIawBQADvAQAhrQEBAO0BACEMegEA_QEAIX1AAP4BACGUAUAA_gEAIaMBAQD9AQAhpAEBAP0BACGmAQAApQKmASKnAQAAlQKfASKoAUAA_gEAIaoBQACmAgAhqwFAAKYCACGsAUAApgIAIa0BAQCWAgAhAcABAAAApgECAcABQAAAAAEPAwAAqAIAIAYAAKkCACAMAACqAgAgegEA_QEAIX1AAP4BACGUAUAA_gEAIaMBAQD9AQAhpAEBAP0BACGmAQAApQKmASKnAQAAlQKfASKoAUAA_gEAIaoBQACmAgAhqwFAAKYCACGsAUAApgIAIa0BAQCWAgAhBRcAAPoCACAYAACGAwAgvQEAAPsCACC-AQAAhQMAIMMBAAABACAFFwAA-AIAIBgAAIMDACC9AQAA-QIAIL4BAACCAwAgwwEAACsAIAsXAACrAgAwGAAArwIAML0BAACsAgAwvgEAAK0CADC_AQAArgIAIMABAACOAgAwwQEAAI4CADDCAQAAjgIAMMMBAACOAgAwxAEAALACADDFAQAAkQIAMAcJAAC1AgAgegEAAAABfUAAAAABnwEAAACfAQOgAQAAAJ8BAqEBAQAAAAGiAQEAAAABAgAAAA4AIBcAALQCACADAAAADgAgFwAAtAIAIBgAALICACABEgAAgQMAMAIAAAAOACASAACyAgAgAgAAAJICACASAACxAgAgBnoBAP0BACF9QAD-AQAhnwEAAJQCnwEjoAEAAJUCnwEioQEBAJYCACGiAQEAlgIAIQcJAACzAgAgegEA_QEAIX1AAP4BACGfAQAAlAKfASOgAQAAlQKfASKhAQEAlgIAIaIBAQCWAgAhBxcAAPwCACAYAAD_AgAgvQEAAP0CACC-AQAA_gIAIMEBAAAJACDCAQAACQAgwwEAAGoAIAcJAAC1AgAgegEAAAABfUAAAAABnwEAAACfAQOgAQAAAJ8BAqEBAQAAAAGiAQEAAAABAxcAAPwCACC9AQAA_QIAIMMBAABqACAPAwAAtwIAIAYAALgCACAMAAC5AgAgegEAAAABfUAAAAABlAFAAAAAAaMBAQAAAAGkAQEAAAABpgEAAACmAQKnAQAAAJ8BAqgBQAAAAAGqAUAAAAABqwFAAAAAAawBQAAAAAGtAQEAAAABAxcAAPoCACC9AQAA-wIAIMMBAAABACADFwAA-AIAIL0BAAD5AgAgwwEAACsAIAQXAACrAgAwvQEAAKwCADC_AQAArgIAIMMBAACOAgAwBBcAAJsCADC9AQAAnAIAML8BAACeAgAgwwEAAJ8CADAEFwAAigIAML0BAACLAgAwvwEAAI0CACDDAQAAjgIAMAAAAY8BAQAAAAEAAAAAAAAHFwAA8wIAIBgAAPYCACC9AQAA9AIAIL4BAAD1AgAgwQEAAAkAIMIBAAAJACDDAQAAagAgAxcAAPMCACC9AQAA9AIAIMMBAABqACAAAAAAAAHAAQAAAK8BAgHAAQAAALEBAgXAAQIAAAABxgECAAAAAccBAgAAAAHIAQIAAAAByQECAAAAAQsXAADQAgAwGAAA1AIAML0BAADRAgAwvgEAANICADC_AQAA0wIAIMABAACfAgAwwQEAAJ8CADDCAQAAnwIAMMMBAACfAgAwxAEAANUCADDFAQAAogIAMA8DAAC3AgAgCwAAxgIAIAwAALkCACB6AQAAAAF9QAAAAAGUAUAAAAABowEBAAAAAaYBAAAApgECpwEAAACfAQKoAUAAAAABqQEBAAAAAaoBQAAAAAGrAUAAAAABrAFAAAAAAa0BAQAAAAECAAAABQAgFwAA2AIAIAMAAAAFACAXAADYAgAgGAAA1wIAIAESAADyAgAwAgAAAAUAIBIAANcCACACAAAAowIAIBIAANYCACAMegEA_QEAIX1AAP4BACGUAUAA_gEAIaMBAQD9AQAhpgEAAKUCpgEipwEAAJUCnwEiqAFAAP4BACGpAQEAlgIAIaoBQACmAgAhqwFAAKYCACGsAUAApgIAIa0BAQCWAgAhDwMAAKgCACALAADFAgAgDAAAqgIAIHoBAP0BACF9QAD-AQAhlAFAAP4BACGjAQEA_QEAIaYBAAClAqYBIqcBAACVAp8BIqgBQAD-AQAhqQEBAJYCACGqAUAApgIAIasBQACmAgAhrAFAAKYCACGtAQEAlgIAIQ8DAAC3AgAgCwAAxgIAIAwAALkCACB6AQAAAAF9QAAAAAGUAUAAAAABowEBAAAAAaYBAAAApgECpwEAAACfAQKoAUAAAAABqQEBAAAAAaoBQAAAAAGrAUAAAAABrAFAAAAAAa0BAQAAAAEEFwAA0AIAML0BAADRAgAwvwEAANMCACDDAQAAnwIAMAGPAQEAAAABAAAAAcABAAAAuAECCxcAAOACADAYAADkAgAwvQEAAOECADC-AQAA4gIAML8BAADjAgAgwAEAAJ8CADDBAQAAnwIAMMIBAACfAgAwwwEAAJ8CADDEAQAA5QIAMMUBAACiAgAwDwYAALgCACALAADGAgAgDAAAuQIAIHoBAAAAAX1AAAAAAZQBQAAAAAGkAQEAAAABpgEAAACmAQKnAQAAAJ8BAqgBQAAAAAGpAQEAAAABqgFAAAAAAasBQAAAAAGsAUAAAAABrQEBAAAAAQIAAAAFACAXAADoAgAgAwAAAAUAIBcAAOgCACAYAADnAgAgARIAAPECADACAAAABQAgEgAA5wIAIAIAAACjAgAgEgAA5gIAIAx6AQD9AQAhfUAA_gEAIZQBQAD-AQAhpAEBAP0BACGmAQAApQKmASKnAQAAlQKfASKoAUAA_gEAIakBAQCWAgAhqgFAAKYCACGrAUAApgIAIawBQACmAgAhrQEBAJYCACEPBgAAqQIAIAsAAMUCACAMAACqAgAgegEA_QEAIX1AAP4BACGUAUAA_gEAIaQBAQD9AQAhpgEAAKUCpgEipwEAAJUCnwEiqAFAAP4BACGpAQEAlgIAIaoBQACmAgAhqwFAAKYCACGsAUAApgIAIa0BAQCWAgAhDwYAALgCACALAADGAgAgDAAAuQIAIHoBAAAAAX1AAAAAAZQBQAAAAAGkAQEAAAABpgEAAACmAQKnAQAAAJ8BAqgBQAAAAAGpAQEAAAABqgFAAAAAAasBQAAAAAGsAUAAAAABrQEBAAAAAQQXAADgAgAwvQEAAOECADC_AQAA4wIAIMMBAACfAgAwAY8BAQAAAAEKAwAA7gIAIAYAAO8CACALAADsAgAgDAAAvQIAIKkBAAD5AQAgqgEAAPkBACCrAQAA-QEAIKwBAAD5AQAgrQEAAPkBACC8AQAA8AIAIAMHAAC8AgAgCgAAvQIAILwBAAC-AgAgAY8BAQAAAAEFBAAAvAIAILUBAAD5AQAgtgEAAPkBACC4AQAA-QEAILwBAADqAgAgAwQAALwCACCzAQAA-QEAILwBAADaAgAgAY8BAQAAAAEMegEAAAABfUAAAAABlAFAAAAAAaQBAQAAAAGmAQAAAKYBAqcBAAAAnwECqAFAAAAAAakBAQAAAAGqAUAAAAABqwFAAAAAAawBQAAAAAGtAQEAAAABDHoBAAAAAX1AAAAAAZQBQAAAAAGjAQEAAAABpgEAAACmAQKnAQAAAJ8BAqgBQAAAAAGpAQEAAAABqgFAAAAAAasBQAAAAAGsAUAAAAABrQEBAAAAAQgKAAC7AgAgegEAAAABfUAAAAABlAFAAAAAAZUBAQAAAAGWAQEAAAABlwEBAAAAAZkBAAAAmQECAgAAAGoAIBcAAPMCACADAAAACQAgFwAA8wIAIBgAAPcCACAKAAAACQAgCgAAiQIAIBIAAPcCACB6AQD9AQAhfUAA_gEAIZQBQAD-AQAhlQEBAP0BACGWAQEA_QEAIZcBAQD9AQAhmQEAAIcCmQEiCAoAAIkCACB6AQD9AQAhfUAA_gEAIZQBQAD-AQAhlQEBAP0BACGWAQEA_QEAIZcBAQD9AQAhmQEAAIcCmQEiCHoBAAAAAX1AAAAAAZQBQAAAAAGmAQAAAKYBAq8BAAAArwECsQEAAACxAQKyAQIAAAABswGAAAAAAQIAAAArACAXAAD4AgAgCnoBAAAAAX1AAAAAAZQBQAAAAAGVAQEAAAABlgEBAAAAAaYBAAAApgECpwEAAAC4AQK1AQEAAAABtgEBAAAAAbgBQAAAAAECAAAAAQAgFwAA-gIAIAgHAAC6AgAgegEAAAABfUAAAAABlAFAAAAAAZUBAQAAAAGWAQEAAAABlwEBAAAAAZkBAAAAmQECAgAAAGoAIBcAAPwCACADAAAACQAgFwAA_AIAIBgAAIADACAKAAAACQAgBwAAiAIAIBIAAIADACB6AQD9AQAhfUAA_gEAIZQBQAD-AQAhlQEBAP0BACGWAQEA_QEAIZcBAQD9AQAhmQEAAIcCmQEiCAcAAIgCACB6AQD9AQAhfUAA_gEAIZQBQAD-AQAhlQEBAP0BACGWAQEA_QEAIZcBAQD9AQAhmQEAAIcCmQEiBnoBAAAAAX1AAAAAAZ8BAAAAnwEDoAEAAACfAQKhAQEAAAABogEBAAAAAQMAAAAuACAXAAD4AgAgGAAAhAMAIAoAAAAuACASAACEAwAgegEA_QEAIX1AAP4BACGUAUAA_gEAIaYBAAClAqYBIq8BAADMAq8BIrEBAADNArEBIrIBAgDOAgAhswGAAAAAAQh6AQD9AQAhfUAA_gEAIZQBQAD-AQAhpgEAAKUCpgEirwEAAMwCrwEisQEAAM0CsQEisgECAM4CACGzAYAAAAABAwAAABcAIBcAAPoCACAYAACHAwAgDAAAABcAIBIAAIcDACB6AQD9AQAhfUAA_gEAIZQBQAD-AQAhlQEBAP0BACGWAQEA_QEAIaYBAAClAqYBIqcBAADeArgBIrUBAQCWAgAhtgEBAJYCACG4AUAApgIAIQp6AQD9AQAhfUAA_gEAIZQBQAD-AQAhlQEBAP0BACGWAQEA_QEAIaYBAAClAqYBIqcBAADeArgBIrUBAQCWAgAhtgEBAJYCACG4AUAApgIAIQx6AQAAAAF9QAAAAAGUAUAAAAABowEBAAAAAaQBAQAAAAGmAQAAAKYBAqcBAAAAnwECqAFAAAAAAaoBQAAAAAGrAUAAAAABrAFAAAAAAa0BAQAAAAEQAwAAtwIAIAYAALgCACALAADGAgAgegEAAAABfUAAAAABlAFAAAAAAaMBAQAAAAGkAQEAAAABpgEAAACmAQKnAQAAAJ8BAqgBQAAAAAGpAQEAAAABqgFAAAAAAasBQAAAAAGsAUAAAAABrQEBAAAAAQIAAAAFACAXAACJAwAgAwAAAAMAIBcAAIkDACAYAACNAwAgEgAAAAMAIAMAAKgCACAGAACpAgAgCwAAxQIAIBIAAI0DACB6AQD9AQAhfUAA_gEAIZQBQAD-AQAhowEBAP0BACGkAQEA_QEAIaYBAAClAqYBIqcBAACVAp8BIqgBQAD-AQAhqQEBAJYCACGqAUAApgIAIasBQACmAgAhrAFAAKYCACGtAQEAlgIAIRADAACoAgAgBgAAqQIAIAsAAMUCACB6AQD9AQAhfUAA_gEAIZQBQAD-AQAhowEBAP0BACGkAQEA_QEAIaYBAAClAqYBIqcBAACVAp8BIqgBQAD-AQAhqQEBAJYCACGqAUAApgIAIasBQACmAgAhrAFAAKYCACGtAQEAlgIAIQZ6AQAAAAF9QAAAAAGdAQEAAAABnwEAAACfAQOgAQAAAJ8BAqIBAQAAAAECBAYCBQAJBQMAAQUACAYAAwsKBQwTBgIEBwIFAAQBBAgAAwUABwcLAgoPBgIIAAIJEAUCBxEAChIAAQwUAAEEFQAAAwUADB0ADR4ADgAAAAMFAAwdAA0eAA4FBQARHQAUHgAVLQASLgATAAAAAAAFBQARHQAUHgAVLQASLgATAwUAGB0AGR4AGgAAAAMFABgdABkeABoDBQAdHQAeHgAfAAAAAwUAHR0AHh4AHwMFACIdACMeACQAAAADBQAiHQAjHgAkAAMFACgdACkeACoAAAADBQAoHQApHgAqAAMFAC4dAC8eADAAAAADBQAuHQAvHgAwDQIBDhYBDxkBEBoBERsBEx0BFB8KFSEBFiMKGSQBGiUBGyYKHykLICoPISwDIi0DIzADJDEDJTIDJjQDJzYKKDgDKToKKjsDKzwDLD0KL0AQMEEWMUICMkMCM0QCNEUCNUYCNkgCN0oKOEwCOU4KOk8CO1ACPFEKPVQXPlUbP1YGQFcGQVgGQlkGQ1oGRFwGRV4KRmAGR2IKSGMGSWQGSmUKS2gcTGkgTWsFTmwFT24FUG8FUXAFUnIFU3QKVHYFVXgKVnkFV3oFWHsKWX4hWn8lW4EBJlyCASZdhQEmXoYBJl-HASZgiQEmYYsBCmKNASZjjwEKZJABJmWRASZmkgEKZ5UBJ2iWAStpmAEsapkBLGucASxsnQEsbZ4BLG6gASxvogEKcKQBLHGmAQpypwEsc6gBLHSpAQp1rAEtdq0BMQ"
+  strings: JSON.parse("[\"where\",\"orderBy\",\"cursor\",\"student\",\"bookings\",\"session\",\"booking\",\"waitlist\",\"bookingsMarked\",\"changedBy\",\"statusChanges\",\"createdBy\",\"closures\",\"assignments\",\"maintenance\",\"_count\",\"vehicle\",\"liftedBy\",\"liftedSuspensions\",\"updatedBy\",\"instancesUpdated\",\"runs\",\"job\",\"triggeredBy\",\"jobRuns\",\"actor\",\"systemLogs\",\"user\",\"authSessions\",\"reviewedBy\",\"registrations\",\"instructor\",\"instances\",\"markedBy\",\"statusHistory\",\"waitlistEntry\",\"suspensions\",\"notifications\",\"loginCodes\",\"Student.findUnique\",\"Student.findUniqueOrThrow\",\"Student.findFirst\",\"Student.findFirstOrThrow\",\"Student.findMany\",\"data\",\"Student.createOne\",\"Student.createMany\",\"Student.updateOne\",\"Student.updateMany\",\"create\",\"update\",\"Student.upsertOne\",\"Student.deleteOne\",\"Student.deleteMany\",\"having\",\"_min\",\"_max\",\"Student.groupBy\",\"Student.aggregate\",\"Session.findUnique\",\"Session.findUniqueOrThrow\",\"Session.findFirst\",\"Session.findFirstOrThrow\",\"Session.findMany\",\"Session.createOne\",\"Session.createMany\",\"Session.updateOne\",\"Session.updateMany\",\"Session.upsertOne\",\"Session.deleteOne\",\"Session.deleteMany\",\"_avg\",\"_sum\",\"Session.groupBy\",\"Session.aggregate\",\"SessionInstance.findUnique\",\"SessionInstance.findUniqueOrThrow\",\"SessionInstance.findFirst\",\"SessionInstance.findFirstOrThrow\",\"SessionInstance.findMany\",\"SessionInstance.createOne\",\"SessionInstance.createMany\",\"SessionInstance.updateOne\",\"SessionInstance.updateMany\",\"SessionInstance.upsertOne\",\"SessionInstance.deleteOne\",\"SessionInstance.deleteMany\",\"SessionInstance.groupBy\",\"SessionInstance.aggregate\",\"Booking.findUnique\",\"Booking.findUniqueOrThrow\",\"Booking.findFirst\",\"Booking.findFirstOrThrow\",\"Booking.findMany\",\"Booking.createOne\",\"Booking.createMany\",\"Booking.updateOne\",\"Booking.updateMany\",\"Booking.upsertOne\",\"Booking.deleteOne\",\"Booking.deleteMany\",\"Booking.groupBy\",\"Booking.aggregate\",\"BookingStatusHistory.findUnique\",\"BookingStatusHistory.findUniqueOrThrow\",\"BookingStatusHistory.findFirst\",\"BookingStatusHistory.findFirstOrThrow\",\"BookingStatusHistory.findMany\",\"BookingStatusHistory.createOne\",\"BookingStatusHistory.createMany\",\"BookingStatusHistory.updateOne\",\"BookingStatusHistory.updateMany\",\"BookingStatusHistory.upsertOne\",\"BookingStatusHistory.deleteOne\",\"BookingStatusHistory.deleteMany\",\"BookingStatusHistory.groupBy\",\"BookingStatusHistory.aggregate\",\"WaitlistEntry.findUnique\",\"WaitlistEntry.findUniqueOrThrow\",\"WaitlistEntry.findFirst\",\"WaitlistEntry.findFirstOrThrow\",\"WaitlistEntry.findMany\",\"WaitlistEntry.createOne\",\"WaitlistEntry.createMany\",\"WaitlistEntry.updateOne\",\"WaitlistEntry.updateMany\",\"WaitlistEntry.upsertOne\",\"WaitlistEntry.deleteOne\",\"WaitlistEntry.deleteMany\",\"WaitlistEntry.groupBy\",\"WaitlistEntry.aggregate\",\"Suspension.findUnique\",\"Suspension.findUniqueOrThrow\",\"Suspension.findFirst\",\"Suspension.findFirstOrThrow\",\"Suspension.findMany\",\"Suspension.createOne\",\"Suspension.createMany\",\"Suspension.updateOne\",\"Suspension.updateMany\",\"Suspension.upsertOne\",\"Suspension.deleteOne\",\"Suspension.deleteMany\",\"Suspension.groupBy\",\"Suspension.aggregate\",\"Closure.findUnique\",\"Closure.findUniqueOrThrow\",\"Closure.findFirst\",\"Closure.findFirstOrThrow\",\"Closure.findMany\",\"Closure.createOne\",\"Closure.createMany\",\"Closure.updateOne\",\"Closure.updateMany\",\"Closure.upsertOne\",\"Closure.deleteOne\",\"Closure.deleteMany\",\"Closure.groupBy\",\"Closure.aggregate\",\"Vehicle.findUnique\",\"Vehicle.findUniqueOrThrow\",\"Vehicle.findFirst\",\"Vehicle.findFirstOrThrow\",\"Vehicle.findMany\",\"Vehicle.createOne\",\"Vehicle.createMany\",\"Vehicle.updateOne\",\"Vehicle.updateMany\",\"Vehicle.upsertOne\",\"Vehicle.deleteOne\",\"Vehicle.deleteMany\",\"Vehicle.groupBy\",\"Vehicle.aggregate\",\"VehicleMaintenance.findUnique\",\"VehicleMaintenance.findUniqueOrThrow\",\"VehicleMaintenance.findFirst\",\"VehicleMaintenance.findFirstOrThrow\",\"VehicleMaintenance.findMany\",\"VehicleMaintenance.createOne\",\"VehicleMaintenance.createMany\",\"VehicleMaintenance.updateOne\",\"VehicleMaintenance.updateMany\",\"VehicleMaintenance.upsertOne\",\"VehicleMaintenance.deleteOne\",\"VehicleMaintenance.deleteMany\",\"VehicleMaintenance.groupBy\",\"VehicleMaintenance.aggregate\",\"SessionAssignment.findUnique\",\"SessionAssignment.findUniqueOrThrow\",\"SessionAssignment.findFirst\",\"SessionAssignment.findFirstOrThrow\",\"SessionAssignment.findMany\",\"SessionAssignment.createOne\",\"SessionAssignment.createMany\",\"SessionAssignment.updateOne\",\"SessionAssignment.updateMany\",\"SessionAssignment.upsertOne\",\"SessionAssignment.deleteOne\",\"SessionAssignment.deleteMany\",\"SessionAssignment.groupBy\",\"SessionAssignment.aggregate\",\"User.findUnique\",\"User.findUniqueOrThrow\",\"User.findFirst\",\"User.findFirstOrThrow\",\"User.findMany\",\"User.createOne\",\"User.createMany\",\"User.updateOne\",\"User.updateMany\",\"User.upsertOne\",\"User.deleteOne\",\"User.deleteMany\",\"User.groupBy\",\"User.aggregate\",\"SystemSetting.findUnique\",\"SystemSetting.findUniqueOrThrow\",\"SystemSetting.findFirst\",\"SystemSetting.findFirstOrThrow\",\"SystemSetting.findMany\",\"SystemSetting.createOne\",\"SystemSetting.createMany\",\"SystemSetting.updateOne\",\"SystemSetting.updateMany\",\"SystemSetting.upsertOne\",\"SystemSetting.deleteOne\",\"SystemSetting.deleteMany\",\"SystemSetting.groupBy\",\"SystemSetting.aggregate\",\"SystemLog.findUnique\",\"SystemLog.findUniqueOrThrow\",\"SystemLog.findFirst\",\"SystemLog.findFirstOrThrow\",\"SystemLog.findMany\",\"SystemLog.createOne\",\"SystemLog.createMany\",\"SystemLog.updateOne\",\"SystemLog.updateMany\",\"SystemLog.upsertOne\",\"SystemLog.deleteOne\",\"SystemLog.deleteMany\",\"SystemLog.groupBy\",\"SystemLog.aggregate\",\"Notification.findUnique\",\"Notification.findUniqueOrThrow\",\"Notification.findFirst\",\"Notification.findFirstOrThrow\",\"Notification.findMany\",\"Notification.createOne\",\"Notification.createMany\",\"Notification.updateOne\",\"Notification.updateMany\",\"Notification.upsertOne\",\"Notification.deleteOne\",\"Notification.deleteMany\",\"Notification.groupBy\",\"Notification.aggregate\",\"Job.findUnique\",\"Job.findUniqueOrThrow\",\"Job.findFirst\",\"Job.findFirstOrThrow\",\"Job.findMany\",\"Job.createOne\",\"Job.createMany\",\"Job.updateOne\",\"Job.updateMany\",\"Job.upsertOne\",\"Job.deleteOne\",\"Job.deleteMany\",\"Job.groupBy\",\"Job.aggregate\",\"JobRun.findUnique\",\"JobRun.findUniqueOrThrow\",\"JobRun.findFirst\",\"JobRun.findFirstOrThrow\",\"JobRun.findMany\",\"JobRun.createOne\",\"JobRun.createMany\",\"JobRun.updateOne\",\"JobRun.updateMany\",\"JobRun.upsertOne\",\"JobRun.deleteOne\",\"JobRun.deleteMany\",\"JobRun.groupBy\",\"JobRun.aggregate\",\"TimeSlot.findUnique\",\"TimeSlot.findUniqueOrThrow\",\"TimeSlot.findFirst\",\"TimeSlot.findFirstOrThrow\",\"TimeSlot.findMany\",\"TimeSlot.createOne\",\"TimeSlot.createMany\",\"TimeSlot.updateOne\",\"TimeSlot.updateMany\",\"TimeSlot.upsertOne\",\"TimeSlot.deleteOne\",\"TimeSlot.deleteMany\",\"TimeSlot.groupBy\",\"TimeSlot.aggregate\",\"Branch.findUnique\",\"Branch.findUniqueOrThrow\",\"Branch.findFirst\",\"Branch.findFirstOrThrow\",\"Branch.findMany\",\"Branch.createOne\",\"Branch.createMany\",\"Branch.updateOne\",\"Branch.updateMany\",\"Branch.upsertOne\",\"Branch.deleteOne\",\"Branch.deleteMany\",\"Branch.groupBy\",\"Branch.aggregate\",\"AuthSession.findUnique\",\"AuthSession.findUniqueOrThrow\",\"AuthSession.findFirst\",\"AuthSession.findFirstOrThrow\",\"AuthSession.findMany\",\"AuthSession.createOne\",\"AuthSession.createMany\",\"AuthSession.updateOne\",\"AuthSession.updateMany\",\"AuthSession.upsertOne\",\"AuthSession.deleteOne\",\"AuthSession.deleteMany\",\"AuthSession.groupBy\",\"AuthSession.aggregate\",\"RateLimit.findUnique\",\"RateLimit.findUniqueOrThrow\",\"RateLimit.findFirst\",\"RateLimit.findFirstOrThrow\",\"RateLimit.findMany\",\"RateLimit.createOne\",\"RateLimit.createMany\",\"RateLimit.updateOne\",\"RateLimit.updateMany\",\"RateLimit.upsertOne\",\"RateLimit.deleteOne\",\"RateLimit.deleteMany\",\"RateLimit.groupBy\",\"RateLimit.aggregate\",\"SessionChange.findUnique\",\"SessionChange.findUniqueOrThrow\",\"SessionChange.findFirst\",\"SessionChange.findFirstOrThrow\",\"SessionChange.findMany\",\"SessionChange.createOne\",\"SessionChange.createMany\",\"SessionChange.updateOne\",\"SessionChange.updateMany\",\"SessionChange.upsertOne\",\"SessionChange.deleteOne\",\"SessionChange.deleteMany\",\"SessionChange.groupBy\",\"SessionChange.aggregate\",\"LoginCode.findUnique\",\"LoginCode.findUniqueOrThrow\",\"LoginCode.findFirst\",\"LoginCode.findFirstOrThrow\",\"LoginCode.findMany\",\"LoginCode.createOne\",\"LoginCode.createMany\",\"LoginCode.updateOne\",\"LoginCode.updateMany\",\"LoginCode.upsertOne\",\"LoginCode.deleteOne\",\"LoginCode.deleteMany\",\"LoginCode.groupBy\",\"LoginCode.aggregate\",\"StudentRegistration.findUnique\",\"StudentRegistration.findUniqueOrThrow\",\"StudentRegistration.findFirst\",\"StudentRegistration.findFirstOrThrow\",\"StudentRegistration.findMany\",\"StudentRegistration.createOne\",\"StudentRegistration.createMany\",\"StudentRegistration.updateOne\",\"StudentRegistration.updateMany\",\"StudentRegistration.upsertOne\",\"StudentRegistration.deleteOne\",\"StudentRegistration.deleteMany\",\"StudentRegistration.groupBy\",\"StudentRegistration.aggregate\",\"AND\",\"OR\",\"NOT\",\"id\",\"studentId\",\"name\",\"email\",\"phoneNumber\",\"LicenceClass\",\"category\",\"branch\",\"RegistrationStatus\",\"status\",\"reviewedById\",\"reviewedAt\",\"rejectionReason\",\"createdAt\",\"equals\",\"in\",\"notIn\",\"lt\",\"lte\",\"gt\",\"gte\",\"not\",\"contains\",\"startsWith\",\"endsWith\",\"search\",\"codeHash\",\"NotificationChannel\",\"channel\",\"attempts\",\"expiresAt\",\"usedAt\",\"payload\",\"string_contains\",\"string_starts_with\",\"string_ends_with\",\"array_starts_with\",\"array_ends_with\",\"array_contains\",\"key\",\"count\",\"windowStart\",\"lockedUntil\",\"updatedAt\",\"userId\",\"userAgent\",\"ipAddress\",\"lastSeenAt\",\"revokedAt\",\"code\",\"address\",\"label\",\"startTime\",\"endTime\",\"days\",\"isActive\",\"jobName\",\"trigger\",\"JobRunStatus\",\"result\",\"error\",\"triggeredById\",\"startedAt\",\"finishedAt\",\"lockedBy\",\"every\",\"some\",\"none\",\"type\",\"transport\",\"recipient\",\"subject\",\"body\",\"NotificationStatus\",\"bookingId\",\"action\",\"message\",\"actorId\",\"value\",\"password\",\"Role\",\"role\",\"lastLoginAt\",\"disabledAt\",\"totpSecret\",\"totpEnabledAt\",\"totpLastStep\",\"recoveryCodes\",\"sessionId\",\"weekOf\",\"instructorId\",\"vehicleId\",\"startDate\",\"endDate\",\"reason\",\"createdById\",\"registration\",\"date\",\"timeSlot\",\"startsAt\",\"endsAt\",\"liftedAt\",\"liftedById\",\"WaitlistStatus\",\"promotedAt\",\"BookingStatus\",\"fromStatus\",\"toStatus\",\"changedById\",\"batchId\",\"markedById\",\"attendedAt\",\"completedAt\",\"cancelledAt\",\"notes\",\"capacity\",\"SessionInstanceStatus\",\"isExtra\",\"note\",\"updatedById\",\"Day\",\"day\",\"metadata\",\"branch_day_timeSlot_category\",\"studentNumber\",\"StudentStatus\",\"deactivatedAt\",\"sessionId_weekOf\",\"studentId_sessionId_weekOf\",\"is\",\"isNot\",\"_relevance\",\"connectOrCreate\",\"upsert\",\"createMany\",\"set\",\"disconnect\",\"delete\",\"connect\",\"updateMany\",\"deleteMany\",\"increment\",\"decrement\",\"multiply\",\"divide\"]"),
+  graph: "zgujAdACFQQAALsFACAHAADkBQAgGgAAwgUAIBwAAMMFACAkAADABQAgJQAA9gUAICYAAPcFACD_AgAA9AUAMIADAAA-ABCBAwAA9AUAMIIDAQAAAAGEAwEAjwUAIYUDAQAAAAGGAwEAmQUAIYgDAACQBYgDIokDAQCPBQAhiwMAAPUFgAQijwNAAJIFACGtA0AAkgUAIf4DAQCZBQAhgARAAJUFACEBAAAAAQAgFQMAAOwFACAFAAD_BQAgIQAA8gUAICIAALwFACAjAACSBgAg_wIAAJEGADCAAwAAAwAQgQMAAJEGADCCAwEAjwUAIYMDAQCPBQAhiAMAAJAFiAMiiwMAAIcG7AMijwNAAJIFACGtA0AAkgUAIdoDAQCPBQAh2wNAAJIFACHwAwEAmQUAIfEDQACVBQAh8gNAAJUFACHzA0AAlQUAIfQDAQCZBQAhCwMAAJkKACAFAACiCgAgIQAAnAoAICIAALwIACAjAACsCgAg8AMAAJMGACDxAwAAkwYAIPIDAACTBgAg8wMAAJMGACD0AwAAkwYAIIUEAACtCgAgFgMAAOwFACAFAAD_BQAgIQAA8gUAICIAALwFACAjAACSBgAg_wIAAJEGADCAAwAAAwAQgQMAAJEGADCCAwEAAAABgwMBAI8FACGIAwAAkAWIAyKLAwAAhwbsAyKPA0AAkgUAIa0DQACSBQAh2gMBAI8FACHbA0AAkgUAIfADAQCZBQAh8QNAAJUFACHyA0AAlQUAIfMDQACVBQAh9AMBAJkFACGCBAAAkAYAIAMAAAADACABAAAEADACAAAFACADAAAAAwAgAQAABAAwAgAABQAgDwMAAOwFACAFAAD_BQAgBgAAjwYAIP8CAACNBgAwgAMAAAgAEIEDAACNBgAwggMBAI8FACGDAwEAjwUAIYsDAACOBuoDIo8DQACSBQAhrQNAAJIFACHMAwEAmQUAIdoDAQCPBQAh2wNAAJIFACHqA0AAlQUAIQYDAACZCgAgBQAAogoAIAYAAKgKACDMAwAAkwYAIOoDAACTBgAghQQAAKsKACAQAwAA7AUAIAUAAP8FACAGAACPBgAg_wIAAI0GADCAAwAACAAQgQMAAI0GADCCAwEAAAABgwMBAI8FACGLAwAAjgbqAyKPA0AAkgUAIa0DQACSBQAhzAMBAAAAAdoDAQCPBQAh2wNAAJIFACHqA0AAlQUAIYIEAACMBgAgAwAAAAgAIAEAAAkAMAIAAAoAIAEAAAADACANBQAA_wUAIBAAAIsGACAfAADyBQAg_wIAAIoGADCAAwAADQAQgQMAAIoGADCCAwEAjwUAIY8DQACSBQAhrQNAAJIFACHaAwEAjwUAIdsDQACVBQAh3AMBAJkFACHdAwEAmQUAIQcFAACiCgAgEAAApQoAIB8AAJwKACDbAwAAkwYAINwDAACTBgAg3QMAAJMGACCFBAAAqgoAIA4FAAD_BQAgEAAAiwYAIB8AAPIFACD_AgAAigYAMIADAAANABCBAwAAigYAMIIDAQAAAAGPA0AAkgUAIa0DQACSBQAh2gMBAI8FACHbA0AAlQUAIdwDAQCZBQAh3QMBAJkFACGBBAAAiQYAIAMAAAANACABAAAOADACAAAPACAcCAAAuwUAIAoAALwFACAMAAC9BQAgDQAAvgUAIA4AAL8FACASAADABQAgFAAAwQUAIBgAAKgFACAaAADCBQAgHAAAwwUAIB4AAMQFACD_AgAAtwUAMIADAAARABCBAwAAtwUAMIIDAQCPBQAhhAMBAI8FACGFAwEAjwUAIYkDAQCZBQAhjwNAAJIFACGtA0AAkgUAIdEDAQCPBQAh0wMAALgF0wMi1ANAAJUFACHVA0AAlQUAIdYDAQCZBQAh1wNAAJUFACHYAwIAuQUAIdkDAAC6BQAgAQAAABEAIAMAAAADACABAAAEADACAAAFACANBgAAiAYAIAkAAPIFACD_AgAAhQYAMIADAAAUABCBAwAAhQYAMIIDAQCPBQAhjwNAAJIFACHMAwEAjwUAIeADAQCZBQAh7AMAAIYG7AMj7QMAAIcG7AMi7gMBAJkFACHvAwEAmQUAIQcGAACoCgAgCQAAnAoAIOADAACTBgAg7AMAAJMGACDuAwAAkwYAIO8DAACTBgAghQQAAKkKACANBgAAiAYAIAkAAPIFACD_AgAAhQYAMIADAAAUABCBAwAAhQYAMIIDAQAAAAGPA0AAkgUAIcwDAQCPBQAh4AMBAJkFACHsAwAAhgbsAyPtAwAAhwbsAyLuAwEAmQUAIe8DAQCZBQAhAwAAABQAIAEAABUAMAIAABYAIAEAAAARACAMCwAA8gUAIP8CAACDBgAwgAMAABkAEIEDAACDBgAwggMBAI8FACGIAwAAhAaIAyOJAwEAmQUAIY8DQACSBQAh4AMBAI8FACHhAwEAmQUAIeMDQACSBQAh5AMBAJkFACEGCwAAnAoAIIgDAACTBgAgiQMAAJMGACDhAwAAkwYAIOQDAACTBgAghQQAAKcKACAMCwAA8gUAIP8CAACDBgAwgAMAABkAEIEDAACDBgAwggMBAAAAAYgDAACEBogDI4kDAQCZBQAhjwNAAJIFACHgAwEAjwUAIeEDAQCZBQAh4wNAAJIFACHkAwEAmQUAIQMAAAAZACABAAAaADACAAAbACABAAAAEQAgAwAAAA0AIAEAAA4AMAIAAA8AIAwLAADyBQAgEAAAggYAIP8CAACBBgAwgAMAAB8AEIEDAACBBgAwggMBAI8FACGPA0AAkgUAId0DAQCPBQAh3gNAAJIFACHfA0AAkgUAIeADAQCPBQAh4QMBAJkFACEECwAAnAoAIBAAAKUKACDhAwAAkwYAIIUEAACmCgAgDAsAAPIFACAQAACCBgAg_wIAAIEGADCAAwAAHwAQgQMAAIEGADCCAwEAAAABjwNAAJIFACHdAwEAjwUAId4DQACSBQAh3wNAAJIFACHgAwEAjwUAIeEDAQCZBQAhAwAAAB8AIAEAACAAMAIAACEAIAMAAAANACABAAAOADACAAAPACADAAAAHwAgAQAAIAAwAgAAIQAgAQAAAA0AIAEAAAAfACABAAAAEQAgDQMAAOwFACARAADyBQAg_wIAAIAGADCAAwAAKAAQgQMAAIAGADCCAwEAjwUAIYMDAQCPBQAhjwNAAJIFACHgAwEAjwUAIeUDQACSBQAh5gNAAJIFACHnA0AAlQUAIegDAQCZBQAhBQMAAJkKACARAACcCgAg5wMAAJMGACDoAwAAkwYAIIUEAACkCgAgDQMAAOwFACARAADyBQAg_wIAAIAGADCAAwAAKAAQgQMAAIAGADCCAwEAAAABgwMBAI8FACGPA0AAkgUAIeADAQCPBQAh5QNAAJIFACHmA0AAkgUAIecDQACVBQAh6AMBAJkFACEDAAAAKAAgAQAAKQAwAgAAKgAgAQAAABEAIBAFAAD_BQAgEwAA8gUAIP8CAAD9BQAwgAMAAC0AEIEDAAD9BQAwggMBAI8FACGLAwAA_gX3AyKPA0AAkgUAIa0DQACSBQAh2gMBAI8FACHbA0AAkgUAIeMDQACSBQAh9QMCALkFACH3AyAAnwUAIfgDAQCZBQAh-QMBAJkFACEGBQAAogoAIBMAAJwKACD1AwAAkwYAIPgDAACTBgAg-QMAAJMGACCFBAAAowoAIBEFAAD_BQAgEwAA8gUAIP8CAAD9BQAwgAMAAC0AEIEDAAD9BQAwggMBAAAAAYsDAAD-BfcDIo8DQACSBQAhrQNAAJIFACHaAwEAjwUAIdsDQACSBQAh4wNAAJIFACH1AwIAuQUAIfcDIACfBQAh-AMBAJkFACH5AwEAmQUAIYEEAAD8BQAgAwAAAC0AIAEAAC4AMAIAAC8AIAEAAAARACAOFgAA-wUAIBcAAPIFACD_AgAA-QUAMIADAAAyABCBAwAA-QUAMIIDAQCPBQAhiwMAAPoFvQMiugMBAI8FACG7AwEAjwUAIb0DAAC6BQAgvgMBAJkFACG_AwEAmQUAIcADQACSBQAhwQNAAJUFACEHFgAAoAoAIBcAAJwKACC9AwAAkwYAIL4DAACTBgAgvwMAAJMGACDBAwAAkwYAIIUEAAChCgAgDhYAAPsFACAXAADyBQAg_wIAAPkFADCAAwAAMgAQgQMAAPkFADCCAwEAAAABiwMAAPoFvQMiugMBAI8FACG7AwEAjwUAIb0DAAC6BQAgvgMBAJkFACG_AwEAmQUAIcADQACSBQAhwQNAAJUFACEDAAAAMgAgAQAAMwAwAgAANAAgAwAAADIAIAEAADMAMAIAADQAIAEAAAAyACABAAAAEQAgDQMAAO8FACAZAADyBQAgLAAAugUAIP8CAAD4BQAwgAMAADkAEIEDAAD4BQAwggMBAI8FACGDAwEAmQUAIY8DQACSBQAhzAMBAJkFACHNAwEAjwUAIc4DAQCPBQAhzwMBAJkFACEHAwAAmQoAIBkAAJwKACAsAACTBgAggwMAAJMGACDMAwAAkwYAIM8DAACTBgAghQQAAJ8KACANAwAA7wUAIBkAAPIFACAsAAC6BQAg_wIAAPgFADCAAwAAOQAQgQMAAPgFADCCAwEAAAABgwMBAJkFACGPA0AAkgUAIcwDAQCZBQAhzQMBAI8FACHOAwEAjwUAIc8DAQCZBQAhAwAAADkAIAEAADoAMAIAADsAIAEAAAARACAVBAAAuwUAIAcAAOQFACAaAADCBQAgHAAAwwUAICQAAMAFACAlAAD2BQAgJgAA9wUAIP8CAAD0BQAwgAMAAD4AEIEDAAD0BQAwggMBAI8FACGEAwEAjwUAIYUDAQCPBQAhhgMBAJkFACGIAwAAkAWIAyKJAwEAjwUAIYsDAAD1BYAEIo8DQACSBQAhrQNAAJIFACH-AwEAmQUAIYAEQACVBQAhAQAAAD4AIA4DAADvBQAgGwAA8gUAIP8CAADzBQAwgAMAAEAAEIEDAADzBQAwggMBAI8FACGDAwEAmQUAIY8DQACSBQAhoANAAJIFACGuAwEAmQUAIa8DAQCZBQAhsAMBAJkFACGxA0AAkgUAIbIDQACVBQAhCAMAAJkKACAbAACcCgAggwMAAJMGACCuAwAAkwYAIK8DAACTBgAgsAMAAJMGACCyAwAAkwYAIIUEAACeCgAgDgMAAO8FACAbAADyBQAg_wIAAPMFADCAAwAAQAAQgQMAAPMFADCCAwEAAAABgwMBAJkFACGPA0AAkgUAIaADQACSBQAhrgMBAJkFACGvAwEAmQUAIbADAQCZBQAhsQNAAJIFACGyA0AAlQUAIQMAAABAACABAABBADACAABCACABAAAAEQAgAQAAAD4AIBAdAADyBQAg_wIAAPAFADCAAwAARgAQgQMAAPAFADCCAwEAjwUAIYMDAQCPBQAhhAMBAI8FACGFAwEAjwUAIYYDAQCZBQAhiAMAAJAFiAMiiQMBAI8FACGLAwAA8QWLAyKMAwEAmQUAIY0DQACVBQAhjgMBAJkFACGPA0AAkgUAIQYdAACcCgAghgMAAJMGACCMAwAAkwYAII0DAACTBgAgjgMAAJMGACCFBAAAnQoAIBAdAADyBQAg_wIAAPAFADCAAwAARgAQgQMAAPAFADCCAwEAAAABgwMBAI8FACGEAwEAjwUAIYUDAQCPBQAhhgMBAJkFACGIAwAAkAWIAyKJAwEAjwUAIYsDAADxBYsDIowDAQCZBQAhjQNAAJUFACGOAwEAmQUAIY8DQACSBQAhAwAAAEYAIAEAAEcAMAIAAEgAIAEAAAARACABAAAAAwAgAQAAABQAIAEAAAAZACABAAAADQAgAQAAAB8AIAEAAAAoACABAAAALQAgAQAAADIAIAEAAAA5ACABAAAAQAAgAQAAAEYAIA0NAAC-BQAgDgAAvwUAIP8CAADIBQAwgAMAAFYAEIEDAADIBQAwggMBAI8FACGEAwEAjwUAIYgDAACQBYgDIokDAQCPBQAhjwNAAJIFACGtA0AAkgUAIbkDIACfBQAh4gMBAI8FACEBAAAAVgAgAwAAAC0AIAEAAC4AMAIAAC8AIAEAAAADACABAAAACAAgAQAAAA0AIAEAAAAtACABAAAAEQAgAwAAABQAIAEAABUAMAIAABYAIAEAAAAIACABAAAAFAAgAwAAAAgAIAEAAAkAMAIAAAoAIAMAAAAoACABAAApADACAAAqACAQAwAA7wUAIP8CAADtBQAwgAMAAGMAEIEDAADtBQAwggMBAI8FACGDAwEAmQUAIYsDAADuBcwDIo8DQACSBQAhngMAAOsFngMivgMBAJkFACHGAwEAjwUAIccDAQCPBQAhyAMBAI8FACHJAwEAmQUAIcoDAQCPBQAhzAMBAJkFACEGAwAAmQoAIIMDAACTBgAgvgMAAJMGACDJAwAAkwYAIMwDAACTBgAghQQAAJsKACAQAwAA7wUAIP8CAADtBQAwgAMAAGMAEIEDAADtBQAwggMBAAAAAYMDAQCZBQAhiwMAAO4FzAMijwNAAJIFACGeAwAA6wWeAyK-AwEAmQUAIcYDAQCPBQAhxwMBAI8FACHIAwEAjwUAIckDAQCZBQAhygMBAI8FACHMAwEAmQUAIQMAAABjACABAABkADACAABlACABAAAAPgAgAwAAADkAIAEAADoAMAIAADsAIAMAAABAACABAABBADACAABCACAMAwAA7AUAIP8CAADqBQAwgAMAAGoAEIEDAADqBQAwggMBAI8FACGDAwEAjwUAIY8DQACSBQAhnAMBAI8FACGeAwAA6wWeAyKfAwIAjgUAIaADQACSBQAhoQNAAJUFACEDAwAAmQoAIKEDAACTBgAghQQAAJoKACAMAwAA7AUAIP8CAADqBQAwgAMAAGoAEIEDAADqBQAwggMBAAAAAYMDAQCPBQAhjwNAAJIFACGcAwEAjwUAIZ4DAADrBZ4DIp8DAgCOBQAhoANAAJIFACGhA0AAlQUAIQMAAABqACABAABrADACAABsACABAAAAAwAgAQAAAAgAIAEAAAAoACABAAAAYwAgAQAAADkAIAEAAABAACABAAAAagAgAQAAAAEAIAsEAAC7CAAgBwAAvQkAIBoAAMIIACAcAADDCAAgJAAAwAgAICUAAJYKACAmAACXCgAghgMAAJMGACD-AwAAkwYAIIAEAACTBgAghQQAAJgKACADAAAAPgAgAQAAdgAwAgAAAQAgAwAAAD4AIAEAAHYAMAIAAAEAIAMAAAA-ACABAAB2ADACAAABACASBAAAjwoAIAcAAJAKACAaAACTCgAgHAAAlAoAICQAAJEKACAlAACSCgAgJgAAlQoAIIIDAQAAAAGEAwEAAAABhQMBAAAAAYYDAQAAAAGIAwAAAIgDAokDAQAAAAGLAwAAAIAEAo8DQAAAAAGtA0AAAAAB_gMBAAAAAYAEQAAAAAEBLAAAegAgC4IDAQAAAAGEAwEAAAABhQMBAAAAAYYDAQAAAAGIAwAAAIgDAokDAQAAAAGLAwAAAIAEAo8DQAAAAAGtA0AAAAAB_gMBAAAAAYAEQAAAAAEBLAAAfAAwEgQAAMMJACAHAADECQAgGgAAxwkAIBwAAMgJACAkAADFCQAgJQAAxgkAICYAAMkJACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGGAwEAmAYAIYgDAACZBogDIokDAQCXBgAhiwMAAMIJgAQijwNAAJwGACGtA0AAnAYAIf4DAQCYBgAhgARAAJsGACECAAAAAQAgLAAAfgAgC4IDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYYDAQCYBgAhiAMAAJkGiAMiiQMBAJcGACGLAwAAwgmABCKPA0AAnAYAIa0DQACcBgAh_gMBAJgGACGABEAAmwYAIQIAAAA-ACAsAACAAQAgAwAAAAEAIDEAAHoAIDIAAH4AIAEAAAABACABAAAAPgAgBg8AAL8JACA3AADBCQAgOAAAwAkAIIYDAACTBgAg_gMAAJMGACCABAAAkwYAIA7_AgAA5gUAMIADAACGAQAQgQMAAOYFADCCAwEA7wQAIYQDAQDvBAAhhQMBAO8EACGGAwEA8AQAIYgDAADxBIgDIokDAQDvBAAhiwMAAOcFgAQijwNAAPQEACGtA0AA9AQAIf4DAQDwBAAhgARAAPMEACEDAAAAPgAgAQAAhQEAMDYAAIYBACADAAAAPgAgAQAAdgAwAgAAAQAgEQQAALsFACAHAADkBQAgDQAAvgUAICAAAMEFACD_AgAA4gUAMIADAACMAQAQgQMAAOIFADCCAwEAAAABiAMAAJAFiAMiiQMBAI8FACGPA0AAkgUAIa0DQACSBQAh5AMBAI8FACH1AwIAjgUAIfsDAADjBfsDIvwDAAC6BQAg_QMAAOUFACABAAAAiQEAIAEAAACJAQAgEAQAALsFACAHAADkBQAgDQAAvgUAICAAAMEFACD_AgAA4gUAMIADAACMAQAQgQMAAOIFADCCAwEAjwUAIYgDAACQBYgDIokDAQCPBQAhjwNAAJIFACGtA0AAkgUAIeQDAQCPBQAh9QMCAI4FACH7AwAA4wX7AyL8AwAAugUAIAYEAAC7CAAgBwAAvQkAIA0AAL4IACAgAADBCAAg_AMAAJMGACCFBAAAvgkAIAMAAACMAQAgAQAAjQEAMAIAAIkBACADAAAAjAEAIAEAAI0BADACAACJAQAgAwAAAIwBACABAACNAQAwAgAAiQEAIA0EAAC5CQAgBwAAugkAIA0AALsJACAgAAC8CQAgggMBAAAAAYgDAAAAiAMCiQMBAAAAAY8DQAAAAAGtA0AAAAAB5AMBAAAAAfUDAgAAAAH7AwAAAPsDAvwDgAAAAAEBLAAAkQEAIAmCAwEAAAABiAMAAACIAwKJAwEAAAABjwNAAAAAAa0DQAAAAAHkAwEAAAAB9QMCAAAAAfsDAAAA-wMC_AOAAAAAAQEsAACTAQAwDQQAAI4JACAHAACPCQAgDQAAkAkAICAAAJEJACCCAwEAlwYAIYgDAACZBogDIokDAQCXBgAhjwNAAJwGACGtA0AAnAYAIeQDAQCXBgAh9QMCAKUGACH7AwAAjQn7AyL8A4AAAAABAgAAAIkBACAsAACVAQAgCYIDAQCXBgAhiAMAAJkGiAMiiQMBAJcGACGPA0AAnAYAIa0DQACcBgAh5AMBAJcGACH1AwIApQYAIfsDAACNCfsDIvwDgAAAAAECAAAAjAEAICwAAJcBACADAAAAiQEAIDEAAJEBACAyAACVAQAgAQAAAIkBACABAAAAjAEAIAYPAACICQAgNwAAiwkAIDgAAIoJACBHAACJCQAgSAAAjAkAIPwDAACTBgAgDP8CAADeBQAwgAMAAJ0BABCBAwAA3gUAMIIDAQDvBAAhiAMAAPEEiAMiiQMBAO8EACGPA0AA9AQAIa0DQAD0BAAh5AMBAO8EACH1AwIAhQUAIfsDAADfBfsDIvwDAACiBQAgAwAAAIwBACABAACcAQAwNgAAnQEAIAMAAACMAQAgAQAAjQEAMAIAAIkBACABAAAALwAgAQAAAC8AIAMAAAAtACABAAAuADACAAAvACADAAAALQAgAQAALgAwAgAALwAgAwAAAC0AIAEAAC4AMAIAAC8AIA0FAAC9BwAgEwAAhwkAIIIDAQAAAAGLAwAAAPcDAo8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHjA0AAAAAB9QMCAAAAAfcDIAAAAAH4AwEAAAAB-QMBAAAAAQEsAAClAQAgC4IDAQAAAAGLAwAAAPcDAo8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHjA0AAAAAB9QMCAAAAAfcDIAAAAAH4AwEAAAAB-QMBAAAAAQEsAACnAQAwDQUAALsHACATAACGCQAgggMBAJcGACGLAwAAuQf3AyKPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAnAYAIeMDQACcBgAh9QMCAPYGACH3AyAAwgYAIfgDAQCYBgAh-QMBAJgGACECAAAALwAgLAAAqQEAIAuCAwEAlwYAIYsDAAC5B_cDIo8DQACcBgAhrQNAAJwGACHaAwEAlwYAIdsDQACcBgAh4wNAAJwGACH1AwIA9gYAIfcDIADCBgAh-AMBAJgGACH5AwEAmAYAIQIAAAAtACAsAACrAQAgAwAAAC8AIDEAAKUBACAyAACpAQAgAQAAAC8AIAEAAAAtACAIDwAAgQkAIDcAAIQJACA4AACDCQAgRwAAggkAIEgAAIUJACD1AwAAkwYAIPgDAACTBgAg-QMAAJMGACAO_wIAANoFADCAAwAAsQEAEIEDAADaBQAwggMBAO8EACGLAwAA2wX3AyKPA0AA9AQAIa0DQAD0BAAh2gMBAO8EACHbA0AA9AQAIeMDQAD0BAAh9QMCALIFACH3AyAAmwUAIfgDAQDwBAAh-QMBAPAEACEDAAAALQAgAQAAsAEAMDYAALEBACADAAAALQAgAQAALgAwAgAALwAgAQAAAAUAIAEAAAAFACADAAAAAwAgAQAABAAwAgAABQAgAwAAAAMAIAEAAAQAMAIAAAUAIAMAAAADACABAAAEADACAAAFACASAwAArAgAIAUAAK0IACAhAACACQAgIgAArggAICMAAK8IACCCAwEAAAABgwMBAAAAAYgDAAAAiAMCiwMAAADsAwKPA0AAAAABrQNAAAAAAdoDAQAAAAHbA0AAAAAB8AMBAAAAAfEDQAAAAAHyA0AAAAAB8wNAAAAAAfQDAQAAAAEBLAAAuQEAIA2CAwEAAAABgwMBAAAAAYgDAAAAiAMCiwMAAADsAwKPA0AAAAABrQNAAAAAAdoDAQAAAAHbA0AAAAAB8AMBAAAAAfEDQAAAAAHyA0AAAAAB8wNAAAAAAfQDAQAAAAEBLAAAuwEAMBIDAACSCAAgBQAAkwgAICEAAP8IACAiAACUCAAgIwAAlQgAIIIDAQCXBgAhgwMBAJcGACGIAwAAmQaIAyKLAwAAggjsAyKPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAnAYAIfADAQCYBgAh8QNAAJsGACHyA0AAmwYAIfMDQACbBgAh9AMBAJgGACECAAAABQAgLAAAvQEAIA2CAwEAlwYAIYMDAQCXBgAhiAMAAJkGiAMiiwMAAIII7AMijwNAAJwGACGtA0AAnAYAIdoDAQCXBgAh2wNAAJwGACHwAwEAmAYAIfEDQACbBgAh8gNAAJsGACHzA0AAmwYAIfQDAQCYBgAhAgAAAAMAICwAAL8BACADAAAABQAgMQAAuQEAIDIAAL0BACABAAAABQAgAQAAAAMAIAgPAAD8CAAgNwAA_ggAIDgAAP0IACDwAwAAkwYAIPEDAACTBgAg8gMAAJMGACDzAwAAkwYAIPQDAACTBgAgEP8CAADZBQAwgAMAAMUBABCBAwAA2QUAMIIDAQDvBAAhgwMBAO8EACGIAwAA8QSIAyKLAwAA1AXsAyKPA0AA9AQAIa0DQAD0BAAh2gMBAO8EACHbA0AA9AQAIfADAQDwBAAh8QNAAPMEACHyA0AA8wQAIfMDQADzBAAh9AMBAPAEACEDAAAAAwAgAQAAxAEAMDYAAMUBACADAAAAAwAgAQAABAAwAgAABQAgAQAAABYAIAEAAAAWACADAAAAFAAgAQAAFQAwAgAAFgAgAwAAABQAIAEAABUAMAIAABYAIAMAAAAUACABAAAVADACAAAWACAKBgAAhggAIAkAAKoIACCCAwEAAAABjwNAAAAAAcwDAQAAAAHgAwEAAAAB7AMAAADsAwPtAwAAAOwDAu4DAQAAAAHvAwEAAAABASwAAM0BACAIggMBAAAAAY8DQAAAAAHMAwEAAAAB4AMBAAAAAewDAAAA7AMD7QMAAADsAwLuAwEAAAAB7wMBAAAAAQEsAADPAQAwCgYAAIQIACAJAACoCAAgggMBAJcGACGPA0AAnAYAIcwDAQCXBgAh4AMBAJgGACHsAwAAgQjsAyPtAwAAggjsAyLuAwEAmAYAIe8DAQCYBgAhAgAAABYAICwAANEBACAIggMBAJcGACGPA0AAnAYAIcwDAQCXBgAh4AMBAJgGACHsAwAAgQjsAyPtAwAAggjsAyLuAwEAmAYAIe8DAQCYBgAhAgAAABQAICwAANMBACADAAAAFgAgMQAAzQEAIDIAANEBACABAAAAFgAgAQAAABQAIAcPAAD5CAAgNwAA-wgAIDgAAPoIACDgAwAAkwYAIOwDAACTBgAg7gMAAJMGACDvAwAAkwYAIAv_AgAA0gUAMIADAADZAQAQgQMAANIFADCCAwEA7wQAIY8DQAD0BAAhzAMBAO8EACHgAwEA8AQAIewDAADTBewDI-0DAADUBewDIu4DAQDwBAAh7wMBAPAEACEDAAAAFAAgAQAA2AEAMDYAANkBACADAAAAFAAgAQAAFQAwAgAAFgAgAQAAAAoAIAEAAAAKACADAAAACAAgAQAACQAwAgAACgAgAwAAAAgAIAEAAAkAMAIAAAoAIAMAAAAIACABAAAJADACAAAKACAMAwAAnggAIAUAAJ8IACAGAAD4CAAgggMBAAAAAYMDAQAAAAGLAwAAAOoDAo8DQAAAAAGtA0AAAAABzAMBAAAAAdoDAQAAAAHbA0AAAAAB6gNAAAAAAQEsAADhAQAgCYIDAQAAAAGDAwEAAAABiwMAAADqAwKPA0AAAAABrQNAAAAAAcwDAQAAAAHaAwEAAAAB2wNAAAAAAeoDQAAAAAEBLAAA4wEAMAwDAACcCAAgBQAAnQgAIAYAAPcIACCCAwEAlwYAIYMDAQCXBgAhiwMAAJsI6gMijwNAAJwGACGtA0AAnAYAIcwDAQCYBgAh2gMBAJcGACHbA0AAnAYAIeoDQACbBgAhAgAAAAoAICwAAOUBACAJggMBAJcGACGDAwEAlwYAIYsDAACbCOoDIo8DQACcBgAhrQNAAJwGACHMAwEAmAYAIdoDAQCXBgAh2wNAAJwGACHqA0AAmwYAIQIAAAAIACAsAADnAQAgAwAAAAoAIDEAAOEBACAyAADlAQAgAQAAAAoAIAEAAAAIACAFDwAA9AgAIDcAAPYIACA4AAD1CAAgzAMAAJMGACDqAwAAkwYAIAz_AgAAzgUAMIADAADtAQAQgQMAAM4FADCCAwEA7wQAIYMDAQDvBAAhiwMAAM8F6gMijwNAAPQEACGtA0AA9AQAIcwDAQDwBAAh2gMBAO8EACHbA0AA9AQAIeoDQADzBAAhAwAAAAgAIAEAAOwBADA2AADtAQAgAwAAAAgAIAEAAAkAMAIAAAoAIAEAAAAqACABAAAAKgAgAwAAACgAIAEAACkAMAIAACoAIAMAAAAoACABAAApADACAAAqACADAAAAKAAgAQAAKQAwAgAAKgAgCgMAAMsHACARAADzCAAgggMBAAAAAYMDAQAAAAGPA0AAAAAB4AMBAAAAAeUDQAAAAAHmA0AAAAAB5wNAAAAAAegDAQAAAAEBLAAA9QEAIAiCAwEAAAABgwMBAAAAAY8DQAAAAAHgAwEAAAAB5QNAAAAAAeYDQAAAAAHnA0AAAAAB6AMBAAAAAQEsAAD3AQAwCgMAAMkHACARAADyCAAgggMBAJcGACGDAwEAlwYAIY8DQACcBgAh4AMBAJcGACHlA0AAnAYAIeYDQACcBgAh5wNAAJsGACHoAwEAmAYAIQIAAAAqACAsAAD5AQAgCIIDAQCXBgAhgwMBAJcGACGPA0AAnAYAIeADAQCXBgAh5QNAAJwGACHmA0AAnAYAIecDQACbBgAh6AMBAJgGACECAAAAKAAgLAAA-wEAIAMAAAAqACAxAAD1AQAgMgAA-QEAIAEAAAAqACABAAAAKAAgBQ8AAO8IACA3AADxCAAgOAAA8AgAIOcDAACTBgAg6AMAAJMGACAL_wIAAM0FADCAAwAAgQIAEIEDAADNBQAwggMBAO8EACGDAwEA7wQAIY8DQAD0BAAh4AMBAO8EACHlA0AA9AQAIeYDQAD0BAAh5wNAAPMEACHoAwEA8AQAIQMAAAAoACABAACAAgAwNgAAgQIAIAMAAAAoACABAAApADACAAAqACABAAAAGwAgAQAAABsAIAMAAAAZACABAAAaADACAAAbACADAAAAGQAgAQAAGgAwAgAAGwAgAwAAABkAIAEAABoAMAIAABsAIAkLAADuCAAgggMBAAAAAYgDAAAAiAMDiQMBAAAAAY8DQAAAAAHgAwEAAAAB4QMBAAAAAeMDQAAAAAHkAwEAAAABASwAAIkCACAIggMBAAAAAYgDAAAAiAMDiQMBAAAAAY8DQAAAAAHgAwEAAAAB4QMBAAAAAeMDQAAAAAHkAwEAAAABASwAAIsCADAJCwAA7QgAIIIDAQCXBgAhiAMAAPQHiAMjiQMBAJgGACGPA0AAnAYAIeADAQCXBgAh4QMBAJgGACHjA0AAnAYAIeQDAQCYBgAhAgAAABsAICwAAI0CACAIggMBAJcGACGIAwAA9AeIAyOJAwEAmAYAIY8DQACcBgAh4AMBAJcGACHhAwEAmAYAIeMDQACcBgAh5AMBAJgGACECAAAAGQAgLAAAjwIAIAMAAAAbACAxAACJAgAgMgAAjQIAIAEAAAAbACABAAAAGQAgBw8AAOoIACA3AADsCAAgOAAA6wgAIIgDAACTBgAgiQMAAJMGACDhAwAAkwYAIOQDAACTBgAgC_8CAADJBQAwgAMAAJUCABCBAwAAyQUAMIIDAQDvBAAhiAMAAMoFiAMjiQMBAPAEACGPA0AA9AQAIeADAQDvBAAh4QMBAPAEACHjA0AA9AQAIeQDAQDwBAAhAwAAABkAIAEAAJQCADA2AACVAgAgAwAAABkAIAEAABoAMAIAABsAIA0NAAC-BQAgDgAAvwUAIP8CAADIBQAwgAMAAFYAEIEDAADIBQAwggMBAAAAAYQDAQCPBQAhiAMAAJAFiAMiiQMBAI8FACGPA0AAkgUAIa0DQACSBQAhuQMgAJ8FACHiAwEAAAABAQAAAJgCACABAAAAmAIAIAMNAAC-CAAgDgAAvwgAIIUEAADpCAAgAwAAAFYAIAEAAJsCADACAACYAgAgAwAAAFYAIAEAAJsCADACAACYAgAgAwAAAFYAIAEAAJsCADACAACYAgAgCg0AAOcIACAOAADoCAAgggMBAAAAAYQDAQAAAAGIAwAAAIgDAokDAQAAAAGPA0AAAAABrQNAAAAAAbkDIAAAAAHiAwEAAAABASwAAJ8CACAIggMBAAAAAYQDAQAAAAGIAwAAAIgDAokDAQAAAAGPA0AAAAABrQNAAAAAAbkDIAAAAAHiAwEAAAABASwAAKECADAKDQAA0wgAIA4AANQIACCCAwEAlwYAIYQDAQCXBgAhiAMAAJkGiAMiiQMBAJcGACGPA0AAnAYAIa0DQACcBgAhuQMgAMIGACHiAwEAlwYAIQIAAACYAgAgLAAAowIAIAiCAwEAlwYAIYQDAQCXBgAhiAMAAJkGiAMiiQMBAJcGACGPA0AAnAYAIa0DQACcBgAhuQMgAMIGACHiAwEAlwYAIQIAAABWACAsAAClAgAgAwAAAJgCACAxAACfAgAgMgAAowIAIAEAAACYAgAgAQAAAFYAIAMPAADQCAAgNwAA0ggAIDgAANEIACAL_wIAAMcFADCAAwAAqwIAEIEDAADHBQAwggMBAO8EACGEAwEA7wQAIYgDAADxBIgDIokDAQDvBAAhjwNAAPQEACGtA0AA9AQAIbkDIACbBQAh4gMBAO8EACEDAAAAVgAgAQAAqgIAMDYAAKsCACADAAAAVgAgAQAAmwIAMAIAAJgCACABAAAAIQAgAQAAACEAIAMAAAAfACABAAAgADACAAAhACADAAAAHwAgAQAAIAAwAgAAIQAgAwAAAB8AIAEAACAAMAIAACEAIAkLAADPCAAgEAAA2QcAIIIDAQAAAAGPA0AAAAAB3QMBAAAAAd4DQAAAAAHfA0AAAAAB4AMBAAAAAeEDAQAAAAEBLAAAswIAIAeCAwEAAAABjwNAAAAAAd0DAQAAAAHeA0AAAAAB3wNAAAAAAeADAQAAAAHhAwEAAAABASwAALUCADAJCwAAzggAIBAAANcHACCCAwEAlwYAIY8DQACcBgAh3QMBAJcGACHeA0AAnAYAId8DQACcBgAh4AMBAJcGACHhAwEAmAYAIQIAAAAhACAsAAC3AgAgB4IDAQCXBgAhjwNAAJwGACHdAwEAlwYAId4DQACcBgAh3wNAAJwGACHgAwEAlwYAIeEDAQCYBgAhAgAAAB8AICwAALkCACADAAAAIQAgMQAAswIAIDIAALcCACABAAAAIQAgAQAAAB8AIAQPAADLCAAgNwAAzQgAIDgAAMwIACDhAwAAkwYAIAr_AgAAxgUAMIADAAC_AgAQgQMAAMYFADCCAwEA7wQAIY8DQAD0BAAh3QMBAO8EACHeA0AA9AQAId8DQAD0BAAh4AMBAO8EACHhAwEA8AQAIQMAAAAfACABAAC-AgAwNgAAvwIAIAMAAAAfACABAAAgADACAAAhACABAAAADwAgAQAAAA8AIAMAAAANACABAAAOADACAAAPACADAAAADQAgAQAADgAwAgAADwAgAwAAAA0AIAEAAA4AMAIAAA8AIAoFAADoBwAgEAAA6QcAIB8AAMoIACCCAwEAAAABjwNAAAAAAa0DQAAAAAHaAwEAAAAB2wNAAAAAAdwDAQAAAAHdAwEAAAABASwAAMcCACAHggMBAAAAAY8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHcAwEAAAAB3QMBAAAAAQEsAADJAgAwCgUAAOUHACAQAADmBwAgHwAAyQgAIIIDAQCXBgAhjwNAAJwGACGtA0AAnAYAIdoDAQCXBgAh2wNAAJsGACHcAwEAmAYAId0DAQCYBgAhAgAAAA8AICwAAMsCACAHggMBAJcGACGPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAmwYAIdwDAQCYBgAh3QMBAJgGACECAAAADQAgLAAAzQIAIAMAAAAPACAxAADHAgAgMgAAywIAIAEAAAAPACABAAAADQAgBg8AAMYIACA3AADICAAgOAAAxwgAINsDAACTBgAg3AMAAJMGACDdAwAAkwYAIAr_AgAAxQUAMIADAADTAgAQgQMAAMUFADCCAwEA7wQAIY8DQAD0BAAhrQNAAPQEACHaAwEA7wQAIdsDQADzBAAh3AMBAPAEACHdAwEA8AQAIQMAAAANACABAADSAgAwNgAA0wIAIAMAAAANACABAAAOADACAAAPACAcCAAAuwUAIAoAALwFACAMAAC9BQAgDQAAvgUAIA4AAL8FACASAADABQAgFAAAwQUAIBgAAKgFACAaAADCBQAgHAAAwwUAIB4AAMQFACD_AgAAtwUAMIADAAARABCBAwAAtwUAMIIDAQAAAAGEAwEAjwUAIYUDAQAAAAGJAwEAmQUAIY8DQACSBQAhrQNAAJIFACHRAwEAjwUAIdMDAAC4BdMDItQDQACVBQAh1QNAAJUFACHWAwEAmQUAIdcDQACVBQAh2AMCALkFACHZAwAAugUAIAEAAADWAgAgAQAAANYCACATCAAAuwgAIAoAALwIACAMAAC9CAAgDQAAvggAIA4AAL8IACASAADACAAgFAAAwQgAIBgAAN0GACAaAADCCAAgHAAAwwgAIB4AAMQIACCJAwAAkwYAINQDAACTBgAg1QMAAJMGACDWAwAAkwYAINcDAACTBgAg2AMAAJMGACDZAwAAkwYAIIUEAADFCAAgAwAAABEAIAEAANkCADACAADWAgAgAwAAABEAIAEAANkCADACAADWAgAgAwAAABEAIAEAANkCADACAADWAgAgGQgAALAIACAKAACxCAAgDAAAsggAIA0AALMIACAOAAC0CAAgEgAAtQgAIBQAALYIACAYAAC3CAAgGgAAuAgAIBwAALkIACAeAAC6CAAgggMBAAAAAYQDAQAAAAGFAwEAAAABiQMBAAAAAY8DQAAAAAGtA0AAAAAB0QMBAAAAAdMDAAAA0wMC1ANAAAAAAdUDQAAAAAHWAwEAAAAB1wNAAAAAAdgDAgAAAAHZA4AAAAABASwAAN0CACAOggMBAAAAAYQDAQAAAAGFAwEAAAABiQMBAAAAAY8DQAAAAAGtA0AAAAAB0QMBAAAAAdMDAAAA0wMC1ANAAAAAAdUDQAAAAAHWAwEAAAAB1wNAAAAAAdgDAgAAAAHZA4AAAAABASwAAN8CADAZCAAA9wYAIAoAAPgGACAMAAD5BgAgDQAA-gYAIA4AAPsGACASAAD8BgAgFAAA_QYAIBgAAP4GACAaAAD_BgAgHAAAgAcAIB4AAIEHACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGJAwEAmAYAIY8DQACcBgAhrQNAAJwGACHRAwEAlwYAIdMDAAD1BtMDItQDQACbBgAh1QNAAJsGACHWAwEAmAYAIdcDQACbBgAh2AMCAPYGACHZA4AAAAABAgAAANYCACAsAADhAgAgDoIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYkDAQCYBgAhjwNAAJwGACGtA0AAnAYAIdEDAQCXBgAh0wMAAPUG0wMi1ANAAJsGACHVA0AAmwYAIdYDAQCYBgAh1wNAAJsGACHYAwIA9gYAIdkDgAAAAAECAAAAEQAgLAAA4wIAIAMAAADWAgAgMQAA3QIAIDIAAOECACABAAAA1gIAIAEAAAARACAMDwAA8AYAIDcAAPMGACA4AADyBgAgRwAA8QYAIEgAAPQGACCJAwAAkwYAINQDAACTBgAg1QMAAJMGACDWAwAAkwYAINcDAACTBgAg2AMAAJMGACDZAwAAkwYAIBH_AgAAsAUAMIADAADpAgAQgQMAALAFADCCAwEA7wQAIYQDAQDvBAAhhQMBAO8EACGJAwEA8AQAIY8DQAD0BAAhrQNAAPQEACHRAwEA7wQAIdMDAACxBdMDItQDQADzBAAh1QNAAPMEACHWAwEA8AQAIdcDQADzBAAh2AMCALIFACHZAwAAogUAIAMAAAARACABAADoAgAwNgAA6QIAIAMAAAARACABAADZAgAwAgAA1gIAIAj_AgAArwUAMIADAADvAgAQgQMAAK8FADCpAwEAAAABrQNAAJIFACG1AwEAjwUAIcYDAQCPBQAh0AMBAI8FACEBAAAA7AIAIAEAAADsAgAgCP8CAACvBQAwgAMAAO8CABCBAwAArwUAMKkDAQCPBQAhrQNAAJIFACG1AwEAjwUAIcYDAQCPBQAh0AMBAI8FACEBhQQAAO8GACADAAAA7wIAIAEAAPACADACAADsAgAgAwAAAO8CACABAADwAgAwAgAA7AIAIAMAAADvAgAgAQAA8AIAMAIAAOwCACAFqQMBAAAAAa0DQAAAAAG1AwEAAAABxgMBAAAAAdADAQAAAAEBLAAA9AIAIAWpAwEAAAABrQNAAAAAAbUDAQAAAAHGAwEAAAAB0AMBAAAAAQEsAAD2AgAwBakDAQCXBgAhrQNAAJwGACG1AwEAlwYAIcYDAQCXBgAh0AMBAJcGACECAAAA7AIAICwAAPgCACAFqQMBAJcGACGtA0AAnAYAIbUDAQCXBgAhxgMBAJcGACHQAwEAlwYAIQIAAADvAgAgLAAA-gIAIAMAAADsAgAgMQAA9AIAIDIAAPgCACABAAAA7AIAIAEAAADvAgAgAw8AAOwGACA3AADuBgAgOAAA7QYAIAj_AgAArgUAMIADAACAAwAQgQMAAK4FADCpAwEA7wQAIa0DQAD0BAAhtQMBAO8EACHGAwEA7wQAIdADAQDvBAAhAwAAAO8CACABAAD_AgAwNgAAgAMAIAMAAADvAgAgAQAA8AIAMAIAAOwCACABAAAAOwAgAQAAADsAIAMAAAA5ACABAAA6ADACAAA7ACADAAAAOQAgAQAAOgAwAgAAOwAgAwAAADkAIAEAADoAMAIAADsAIAoDAADrBgAgGQAA6gYAICyAAAAAAYIDAQAAAAGDAwEAAAABjwNAAAAAAcwDAQAAAAHNAwEAAAABzgMBAAAAAc8DAQAAAAEBLAAAiAMAIAgsgAAAAAGCAwEAAAABgwMBAAAAAY8DQAAAAAHMAwEAAAABzQMBAAAAAc4DAQAAAAHPAwEAAAABASwAAIoDADAKAwAA6QYAIBkAAOgGACAsgAAAAAGCAwEAlwYAIYMDAQCYBgAhjwNAAJwGACHMAwEAmAYAIc0DAQCXBgAhzgMBAJcGACHPAwEAmAYAIQIAAAA7ACAsAACMAwAgCCyAAAAAAYIDAQCXBgAhgwMBAJgGACGPA0AAnAYAIcwDAQCYBgAhzQMBAJcGACHOAwEAlwYAIc8DAQCYBgAhAgAAADkAICwAAI4DACADAAAAOwAgMQAAiAMAIDIAAIwDACABAAAAOwAgAQAAADkAIAcPAADlBgAgLAAAkwYAIDcAAOcGACA4AADmBgAggwMAAJMGACDMAwAAkwYAIM8DAACTBgAgCywAAKIFACD_AgAArQUAMIADAACUAwAQgQMAAK0FADCCAwEA7wQAIYMDAQDwBAAhjwNAAPQEACHMAwEA8AQAIc0DAQDvBAAhzgMBAO8EACHPAwEA8AQAIQMAAAA5ACABAACTAwAwNgAAlAMAIAMAAAA5ACABAAA6ADACAAA7ACABAAAAZQAgAQAAAGUAIAMAAABjACABAABkADACAABlACADAAAAYwAgAQAAZAAwAgAAZQAgAwAAAGMAIAEAAGQAMAIAAGUAIA0DAADkBgAgggMBAAAAAYMDAQAAAAGLAwAAAMwDAo8DQAAAAAGeAwAAAJ4DAr4DAQAAAAHGAwEAAAABxwMBAAAAAcgDAQAAAAHJAwEAAAABygMBAAAAAcwDAQAAAAEBLAAAnAMAIAyCAwEAAAABgwMBAAAAAYsDAAAAzAMCjwNAAAAAAZ4DAAAAngMCvgMBAAAAAcYDAQAAAAHHAwEAAAAByAMBAAAAAckDAQAAAAHKAwEAAAABzAMBAAAAAQEsAACeAwAwDQMAAOMGACCCAwEAlwYAIYMDAQCYBgAhiwMAAOIGzAMijwNAAJwGACGeAwAApAaeAyK-AwEAmAYAIcYDAQCXBgAhxwMBAJcGACHIAwEAlwYAIckDAQCYBgAhygMBAJcGACHMAwEAmAYAIQIAAABlACAsAACgAwAgDIIDAQCXBgAhgwMBAJgGACGLAwAA4gbMAyKPA0AAnAYAIZ4DAACkBp4DIr4DAQCYBgAhxgMBAJcGACHHAwEAlwYAIcgDAQCXBgAhyQMBAJgGACHKAwEAlwYAIcwDAQCYBgAhAgAAAGMAICwAAKIDACADAAAAZQAgMQAAnAMAIDIAAKADACABAAAAZQAgAQAAAGMAIAcPAADfBgAgNwAA4QYAIDgAAOAGACCDAwAAkwYAIL4DAACTBgAgyQMAAJMGACDMAwAAkwYAIA__AgAAqQUAMIADAACoAwAQgQMAAKkFADCCAwEA7wQAIYMDAQDwBAAhiwMAAKoFzAMijwNAAPQEACGeAwAAhAWeAyK-AwEA8AQAIcYDAQDvBAAhxwMBAO8EACHIAwEA7wQAIckDAQDwBAAhygMBAO8EACHMAwEA8AQAIQMAAABjACABAACnAwAwNgAAqAMAIAMAAABjACABAABkADACAABlACAIFQAAqAUAIP8CAACnBQAwgAMAAK4DABCBAwAApwUAMIQDAQAAAAGPA0AAkgUAIawDQACVBQAhwgMBAJkFACEBAAAAqwMAIAEAAACrAwAgCBUAAKgFACD_AgAApwUAMIADAACuAwAQgQMAAKcFADCEAwEAjwUAIY8DQACSBQAhrANAAJUFACHCAwEAmQUAIQQVAADdBgAgrAMAAJMGACDCAwAAkwYAIIUEAADeBgAgAwAAAK4DACABAACvAwAwAgAAqwMAIAMAAACuAwAgAQAArwMAMAIAAKsDACADAAAArgMAIAEAAK8DADACAACrAwAgBRUAANwGACCEAwEAAAABjwNAAAAAAawDQAAAAAHCAwEAAAABASwAALMDACAEhAMBAAAAAY8DQAAAAAGsA0AAAAABwgMBAAAAAQEsAAC1AwAwBRUAAM8GACCEAwEAlwYAIY8DQACcBgAhrANAAJsGACHCAwEAmAYAIQIAAACrAwAgLAAAtwMAIASEAwEAlwYAIY8DQACcBgAhrANAAJsGACHCAwEAmAYAIQIAAACuAwAgLAAAuQMAIAMAAACrAwAgMQAAswMAIDIAALcDACABAAAAqwMAIAEAAACuAwAgBQ8AAMwGACA3AADOBgAgOAAAzQYAIKwDAACTBgAgwgMAAJMGACAH_wIAAKYFADCAAwAAvwMAEIEDAACmBQAwhAMBAO8EACGPA0AA9AQAIawDQADzBAAhwgMBAPAEACEDAAAArgMAIAEAAL4DADA2AAC_AwAgAwAAAK4DACABAACvAwAwAgAAqwMAIAEAAAA0ACABAAAANAAgAwAAADIAIAEAADMAMAIAADQAIAMAAAAyACABAAAzADACAAA0ACADAAAAMgAgAQAAMwAwAgAANAAgCxYAAMoGACAXAADLBgAgggMBAAAAAYsDAAAAvQMCugMBAAAAAbsDAQAAAAG9A4AAAAABvgMBAAAAAb8DAQAAAAHAA0AAAAABwQNAAAAAAQEsAADHAwAgCYIDAQAAAAGLAwAAAL0DAroDAQAAAAG7AwEAAAABvQOAAAAAAb4DAQAAAAG_AwEAAAABwANAAAAAAcEDQAAAAAEBLAAAyQMAMAsWAADIBgAgFwAAyQYAIIIDAQCXBgAhiwMAAMcGvQMiugMBAJcGACG7AwEAlwYAIb0DgAAAAAG-AwEAmAYAIb8DAQCYBgAhwANAAJwGACHBA0AAmwYAIQIAAAA0ACAsAADLAwAgCYIDAQCXBgAhiwMAAMcGvQMiugMBAJcGACG7AwEAlwYAIb0DgAAAAAG-AwEAmAYAIb8DAQCYBgAhwANAAJwGACHBA0AAmwYAIQIAAAAyACAsAADNAwAgAwAAADQAIDEAAMcDACAyAADLAwAgAQAAADQAIAEAAAAyACAHDwAAxAYAIDcAAMYGACA4AADFBgAgvQMAAJMGACC-AwAAkwYAIL8DAACTBgAgwQMAAJMGACAM_wIAAKAFADCAAwAA0wMAEIEDAACgBQAwggMBAO8EACGLAwAAoQW9AyK6AwEA7wQAIbsDAQDvBAAhvQMAAKIFACC-AwEA8AQAIb8DAQDwBAAhwANAAPQEACHBA0AA8wQAIQMAAAAyACABAADSAwAwNgAA0wMAIAMAAAAyACABAAAzADACAAA0ACAL_wIAAJ4FADCAAwAA2QMAEIEDAACeBQAwjwNAAJIFACGtA0AAkgUAIbMDAQAAAAG1AwEAjwUAIbYDAQCPBQAhtwMBAI8FACG4AwAAkQUAILkDIACfBQAhAQAAANYDACABAAAA1gMAIAv_AgAAngUAMIADAADZAwAQgQMAAJ4FADCPA0AAkgUAIa0DQACSBQAhswMBAI8FACG1AwEAjwUAIbYDAQCPBQAhtwMBAI8FACG4AwAAkQUAILkDIACfBQAhAYUEAADDBgAgAwAAANkDACABAADaAwAwAgAA1gMAIAMAAADZAwAgAQAA2gMAMAIAANYDACADAAAA2QMAIAEAANoDADACAADWAwAgCI8DQAAAAAGtA0AAAAABswMBAAAAAbUDAQAAAAG2AwEAAAABtwMBAAAAAbgDgAAAAAG5AyAAAAABASwAAN4DACAIjwNAAAAAAa0DQAAAAAGzAwEAAAABtQMBAAAAAbYDAQAAAAG3AwEAAAABuAOAAAAAAbkDIAAAAAEBLAAA4AMAMAiPA0AAnAYAIa0DQACcBgAhswMBAJcGACG1AwEAlwYAIbYDAQCXBgAhtwMBAJcGACG4A4AAAAABuQMgAMIGACECAAAA1gMAICwAAOIDACAIjwNAAJwGACGtA0AAnAYAIbMDAQCXBgAhtQMBAJcGACG2AwEAlwYAIbcDAQCXBgAhuAOAAAAAAbkDIADCBgAhAgAAANkDACAsAADkAwAgAwAAANYDACAxAADeAwAgMgAA4gMAIAEAAADWAwAgAQAAANkDACADDwAAvwYAIDcAAMEGACA4AADABgAgC_8CAACaBQAwgAMAAOoDABCBAwAAmgUAMI8DQAD0BAAhrQNAAPQEACGzAwEA7wQAIbUDAQDvBAAhtgMBAO8EACG3AwEA7wQAIbgDAACLBQAguQMgAJsFACEDAAAA2QMAIAEAAOkDADA2AADqAwAgAwAAANkDACABAADaAwAwAgAA1gMAIAj_AgAAmAUAMIADAADwAwAQgQMAAJgFADCEAwEAjwUAIY8DQACSBQAhrQNAAJIFACGzAwEAAAABtAMBAJkFACEBAAAA7QMAIAEAAADtAwAgCP8CAACYBQAwgAMAAPADABCBAwAAmAUAMIQDAQCPBQAhjwNAAJIFACGtA0AAkgUAIbMDAQCPBQAhtAMBAJkFACECtAMAAJMGACCFBAAAvgYAIAMAAADwAwAgAQAA8QMAMAIAAO0DACADAAAA8AMAIAEAAPEDADACAADtAwAgAwAAAPADACABAADxAwAwAgAA7QMAIAWEAwEAAAABjwNAAAAAAa0DQAAAAAGzAwEAAAABtAMBAAAAAQEsAAD1AwAgBYQDAQAAAAGPA0AAAAABrQNAAAAAAbMDAQAAAAG0AwEAAAABASwAAPcDADAFhAMBAJcGACGPA0AAnAYAIa0DQACcBgAhswMBAJcGACG0AwEAmAYAIQIAAADtAwAgLAAA-QMAIAWEAwEAlwYAIY8DQACcBgAhrQNAAJwGACGzAwEAlwYAIbQDAQCYBgAhAgAAAPADACAsAAD7AwAgAwAAAO0DACAxAAD1AwAgMgAA-QMAIAEAAADtAwAgAQAAAPADACAEDwAAuwYAIDcAAL0GACA4AAC8BgAgtAMAAJMGACAI_wIAAJcFADCAAwAAgQQAEIEDAACXBQAwhAMBAO8EACGPA0AA9AQAIa0DQAD0BAAhswMBAO8EACG0AwEA8AQAIQMAAADwAwAgAQAAgAQAMDYAAIEEACADAAAA8AMAIAEAAPEDADACAADtAwAgAQAAAEIAIAEAAABCACADAAAAQAAgAQAAQQAwAgAAQgAgAwAAAEAAIAEAAEEAMAIAAEIAIAMAAABAACABAABBADACAABCACALAwAAugYAIBsAALkGACCCAwEAAAABgwMBAAAAAY8DQAAAAAGgA0AAAAABrgMBAAAAAa8DAQAAAAGwAwEAAAABsQNAAAAAAbIDQAAAAAEBLAAAiQQAIAmCAwEAAAABgwMBAAAAAY8DQAAAAAGgA0AAAAABrgMBAAAAAa8DAQAAAAGwAwEAAAABsQNAAAAAAbIDQAAAAAEBLAAAiwQAMAsDAAC4BgAgGwAAtwYAIIIDAQCXBgAhgwMBAJgGACGPA0AAnAYAIaADQACcBgAhrgMBAJgGACGvAwEAmAYAIbADAQCYBgAhsQNAAJwGACGyA0AAmwYAIQIAAABCACAsAACNBAAgCYIDAQCXBgAhgwMBAJgGACGPA0AAnAYAIaADQACcBgAhrgMBAJgGACGvAwEAmAYAIbADAQCYBgAhsQNAAJwGACGyA0AAmwYAIQIAAABAACAsAACPBAAgAwAAAEIAIDEAAIkEACAyAACNBAAgAQAAAEIAIAEAAABAACAIDwAAtAYAIDcAALYGACA4AAC1BgAggwMAAJMGACCuAwAAkwYAIK8DAACTBgAgsAMAAJMGACCyAwAAkwYAIAz_AgAAlgUAMIADAACVBAAQgQMAAJYFADCCAwEA7wQAIYMDAQDwBAAhjwNAAPQEACGgA0AA9AQAIa4DAQDwBAAhrwMBAPAEACGwAwEA8AQAIbEDQAD0BAAhsgNAAPMEACEDAAAAQAAgAQAAlAQAMDYAAJUEACADAAAAQAAgAQAAQQAwAgAAQgAgCP8CAACUBQAwgAMAAJsEABCBAwAAlAUAMKkDAQAAAAGqAwIAjgUAIasDQACSBQAhrANAAJUFACGtA0AAkgUAIQEAAACYBAAgAQAAAJgEACAI_wIAAJQFADCAAwAAmwQAEIEDAACUBQAwqQMBAI8FACGqAwIAjgUAIasDQACSBQAhrANAAJUFACGtA0AAkgUAIQKsAwAAkwYAIIUEAACzBgAgAwAAAJsEACABAACcBAAwAgAAmAQAIAMAAACbBAAgAQAAnAQAMAIAAJgEACADAAAAmwQAIAEAAJwEADACAACYBAAgBakDAQAAAAGqAwIAAAABqwNAAAAAAawDQAAAAAGtA0AAAAABASwAAKAEACAFqQMBAAAAAaoDAgAAAAGrA0AAAAABrANAAAAAAa0DQAAAAAEBLAAAogQAMAWpAwEAlwYAIaoDAgClBgAhqwNAAJwGACGsA0AAmwYAIa0DQACcBgAhAgAAAJgEACAsAACkBAAgBakDAQCXBgAhqgMCAKUGACGrA0AAnAYAIawDQACbBgAhrQNAAJwGACECAAAAmwQAICwAAKYEACADAAAAmAQAIDEAAKAEACAyAACkBAAgAQAAAJgEACABAAAAmwQAIAYPAACuBgAgNwAAsQYAIDgAALAGACBHAACvBgAgSAAAsgYAIKwDAACTBgAgCP8CAACTBQAwgAMAAKwEABCBAwAAkwUAMKkDAQDvBAAhqgMCAIUFACGrA0AA9AQAIawDQADzBAAhrQNAAPQEACEDAAAAmwQAIAEAAKsEADA2AACsBAAgAwAAAJsEACABAACcBAAwAgAAmAQAIAj_AgAAjQUAMIADAACyBAAQgQMAAI0FADCCAwIAAAABiAMAAJAFiAMiiQMBAI8FACGPA0AAkgUAIaIDAACRBQAgAQAAAK8EACABAAAArwQAIAj_AgAAjQUAMIADAACyBAAQgQMAAI0FADCCAwIAjgUAIYgDAACQBYgDIokDAQCPBQAhjwNAAJIFACGiAwAAkQUAIAGFBAAArQYAIAMAAACyBAAgAQAAswQAMAIAAK8EACADAAAAsgQAIAEAALMEADACAACvBAAgAwAAALIEACABAACzBAAwAgAArwQAIAWCAwIAAAABiAMAAACIAwKJAwEAAAABjwNAAAAAAaIDgAAAAAEBLAAAtwQAIAWCAwIAAAABiAMAAACIAwKJAwEAAAABjwNAAAAAAaIDgAAAAAEBLAAAuQQAMAWCAwIApQYAIYgDAACZBogDIokDAQCXBgAhjwNAAJwGACGiA4AAAAABAgAAAK8EACAsAAC7BAAgBYIDAgClBgAhiAMAAJkGiAMiiQMBAJcGACGPA0AAnAYAIaIDgAAAAAECAAAAsgQAICwAAL0EACADAAAArwQAIDEAALcEACAyAAC7BAAgAQAAAK8EACABAAAAsgQAIAUPAACoBgAgNwAAqwYAIDgAAKoGACBHAACpBgAgSAAArAYAIAj_AgAAigUAMIADAADDBAAQgQMAAIoFADCCAwIAhQUAIYgDAADxBIgDIokDAQDvBAAhjwNAAPQEACGiAwAAiwUAIAMAAACyBAAgAQAAwgQAMDYAAMMEACADAAAAsgQAIAEAALMEADACAACvBAAgAQAAAGwAIAEAAABsACADAAAAagAgAQAAawAwAgAAbAAgAwAAAGoAIAEAAGsAMAIAAGwAIAMAAABqACABAABrADACAABsACAJAwAApwYAIIIDAQAAAAGDAwEAAAABjwNAAAAAAZwDAQAAAAGeAwAAAJ4DAp8DAgAAAAGgA0AAAAABoQNAAAAAAQEsAADLBAAgCIIDAQAAAAGDAwEAAAABjwNAAAAAAZwDAQAAAAGeAwAAAJ4DAp8DAgAAAAGgA0AAAAABoQNAAAAAAQEsAADNBAAwCQMAAKYGACCCAwEAlwYAIYMDAQCXBgAhjwNAAJwGACGcAwEAlwYAIZ4DAACkBp4DIp8DAgClBgAhoANAAJwGACGhA0AAmwYAIQIAAABsACAsAADPBAAgCIIDAQCXBgAhgwMBAJcGACGPA0AAnAYAIZwDAQCXBgAhngMAAKQGngMinwMCAKUGACGgA0AAnAYAIaEDQACbBgAhAgAAAGoAICwAANEEACADAAAAbAAgMQAAywQAIDIAAM8EACABAAAAbAAgAQAAAGoAIAYPAACfBgAgNwAAogYAIDgAAKEGACBHAACgBgAgSAAAowYAIKEDAACTBgAgC_8CAACDBQAwgAMAANcEABCBAwAAgwUAMIIDAQDvBAAhgwMBAO8EACGPA0AA9AQAIZwDAQDvBAAhngMAAIQFngMinwMCAIUFACGgA0AA9AQAIaEDQADzBAAhAwAAAGoAIAEAANYEADA2AADXBAAgAwAAAGoAIAEAAGsAMAIAAGwAIAEAAABIACABAAAASAAgAwAAAEYAIAEAAEcAMAIAAEgAIAMAAABGACABAABHADACAABIACADAAAARgAgAQAARwAwAgAASAAgDR0AAJ4GACCCAwEAAAABgwMBAAAAAYQDAQAAAAGFAwEAAAABhgMBAAAAAYgDAAAAiAMCiQMBAAAAAYsDAAAAiwMCjAMBAAAAAY0DQAAAAAGOAwEAAAABjwNAAAAAAQEsAADfBAAgDIIDAQAAAAGDAwEAAAABhAMBAAAAAYUDAQAAAAGGAwEAAAABiAMAAACIAwKJAwEAAAABiwMAAACLAwKMAwEAAAABjQNAAAAAAY4DAQAAAAGPA0AAAAABASwAAOEEADANHQAAnQYAIIIDAQCXBgAhgwMBAJcGACGEAwEAlwYAIYUDAQCXBgAhhgMBAJgGACGIAwAAmQaIAyKJAwEAlwYAIYsDAACaBosDIowDAQCYBgAhjQNAAJsGACGOAwEAmAYAIY8DQACcBgAhAgAAAEgAICwAAOMEACAMggMBAJcGACGDAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGGAwEAmAYAIYgDAACZBogDIokDAQCXBgAhiwMAAJoGiwMijAMBAJgGACGNA0AAmwYAIY4DAQCYBgAhjwNAAJwGACECAAAARgAgLAAA5QQAIAMAAABIACAxAADfBAAgMgAA4wQAIAEAAABIACABAAAARgAgBw8AAJQGACA3AACWBgAgOAAAlQYAIIYDAACTBgAgjAMAAJMGACCNAwAAkwYAII4DAACTBgAgD_8CAADuBAAwgAMAAOsEABCBAwAA7gQAMIIDAQDvBAAhgwMBAO8EACGEAwEA7wQAIYUDAQDvBAAhhgMBAPAEACGIAwAA8QSIAyKJAwEA7wQAIYsDAADyBIsDIowDAQDwBAAhjQNAAPMEACGOAwEA8AQAIY8DQAD0BAAhAwAAAEYAIAEAAOoEADA2AADrBAAgAwAAAEYAIAEAAEcAMAIAAEgAIA__AgAA7gQAMIADAADrBAAQgQMAAO4EADCCAwEA7wQAIYMDAQDvBAAhhAMBAO8EACGFAwEA7wQAIYYDAQDwBAAhiAMAAPEEiAMiiQMBAO8EACGLAwAA8gSLAyKMAwEA8AQAIY0DQADzBAAhjgMBAPAEACGPA0AA9AQAIQ8PAAD2BAAgNwAAggUAIDgAAIIFACCQAwEAAAABkQMBAAAABJIDAQAAAASTAwEAAAABlAMBAAAAAZUDAQAAAAGWAwEAAAABlwMBAIEFACGYAwEAAAABmQMBAAAAAZoDAQAAAAGbAwEAAAABDw8AAPkEACA3AACABQAgOAAAgAUAIJADAQAAAAGRAwEAAAAFkgMBAAAABZMDAQAAAAGUAwEAAAABlQMBAAAAAZYDAQAAAAGXAwEA_wQAIZgDAQAAAAGZAwEAAAABmgMBAAAAAZsDAQAAAAEHDwAA9gQAIDcAAP4EACA4AAD-BAAgkAMAAACIAwKRAwAAAIgDCJIDAAAAiAMIlwMAAP0EiAMiBw8AAPYEACA3AAD8BAAgOAAA_AQAIJADAAAAiwMCkQMAAACLAwiSAwAAAIsDCJcDAAD7BIsDIgsPAAD5BAAgNwAA-gQAIDgAAPoEACCQA0AAAAABkQNAAAAABZIDQAAAAAWTA0AAAAABlANAAAAAAZUDQAAAAAGWA0AAAAABlwNAAPgEACELDwAA9gQAIDcAAPcEACA4AAD3BAAgkANAAAAAAZEDQAAAAASSA0AAAAAEkwNAAAAAAZQDQAAAAAGVA0AAAAABlgNAAAAAAZcDQAD1BAAhCw8AAPYEACA3AAD3BAAgOAAA9wQAIJADQAAAAAGRA0AAAAAEkgNAAAAABJMDQAAAAAGUA0AAAAABlQNAAAAAAZYDQAAAAAGXA0AA9QQAIQiQAwIAAAABkQMCAAAABJIDAgAAAASTAwIAAAABlAMCAAAAAZUDAgAAAAGWAwIAAAABlwMCAPYEACEIkANAAAAAAZEDQAAAAASSA0AAAAAEkwNAAAAAAZQDQAAAAAGVA0AAAAABlgNAAAAAAZcDQAD3BAAhCw8AAPkEACA3AAD6BAAgOAAA-gQAIJADQAAAAAGRA0AAAAAFkgNAAAAABZMDQAAAAAGUA0AAAAABlQNAAAAAAZYDQAAAAAGXA0AA-AQAIQiQAwIAAAABkQMCAAAABZIDAgAAAAWTAwIAAAABlAMCAAAAAZUDAgAAAAGWAwIAAAABlwMCAPkEACEIkANAAAAAAZEDQAAAAAWSA0AAAAAFkwNAAAAAAZQDQAAAAAGVA0AAAAABlgNAAAAAAZcDQAD6BAAhBw8AAPYEACA3AAD8BAAgOAAA_AQAIJADAAAAiwMCkQMAAACLAwiSAwAAAIsDCJcDAAD7BIsDIgSQAwAAAIsDApEDAAAAiwMIkgMAAACLAwiXAwAA_ASLAyIHDwAA9gQAIDcAAP4EACA4AAD-BAAgkAMAAACIAwKRAwAAAIgDCJIDAAAAiAMIlwMAAP0EiAMiBJADAAAAiAMCkQMAAACIAwiSAwAAAIgDCJcDAAD-BIgDIg8PAAD5BAAgNwAAgAUAIDgAAIAFACCQAwEAAAABkQMBAAAABZIDAQAAAAWTAwEAAAABlAMBAAAAAZUDAQAAAAGWAwEAAAABlwMBAP8EACGYAwEAAAABmQMBAAAAAZoDAQAAAAGbAwEAAAABDJADAQAAAAGRAwEAAAAFkgMBAAAABZMDAQAAAAGUAwEAAAABlQMBAAAAAZYDAQAAAAGXAwEAgAUAIZgDAQAAAAGZAwEAAAABmgMBAAAAAZsDAQAAAAEPDwAA9gQAIDcAAIIFACA4AACCBQAgkAMBAAAAAZEDAQAAAASSAwEAAAAEkwMBAAAAAZQDAQAAAAGVAwEAAAABlgMBAAAAAZcDAQCBBQAhmAMBAAAAAZkDAQAAAAGaAwEAAAABmwMBAAAAAQyQAwEAAAABkQMBAAAABJIDAQAAAASTAwEAAAABlAMBAAAAAZUDAQAAAAGWAwEAAAABlwMBAIIFACGYAwEAAAABmQMBAAAAAZoDAQAAAAGbAwEAAAABC_8CAACDBQAwgAMAANcEABCBAwAAgwUAMIIDAQDvBAAhgwMBAO8EACGPA0AA9AQAIZwDAQDvBAAhngMAAIQFngMinwMCAIUFACGgA0AA9AQAIaEDQADzBAAhBw8AAPYEACA3AACJBQAgOAAAiQUAIJADAAAAngMCkQMAAACeAwiSAwAAAJ4DCJcDAACIBZ4DIg0PAAD2BAAgNwAA9gQAIDgAAPYEACBHAACHBQAgSAAA9gQAIJADAgAAAAGRAwIAAAAEkgMCAAAABJMDAgAAAAGUAwIAAAABlQMCAAAAAZYDAgAAAAGXAwIAhgUAIQ0PAAD2BAAgNwAA9gQAIDgAAPYEACBHAACHBQAgSAAA9gQAIJADAgAAAAGRAwIAAAAEkgMCAAAABJMDAgAAAAGUAwIAAAABlQMCAAAAAZYDAgAAAAGXAwIAhgUAIQiQAwgAAAABkQMIAAAABJIDCAAAAASTAwgAAAABlAMIAAAAAZUDCAAAAAGWAwgAAAABlwMIAIcFACEHDwAA9gQAIDcAAIkFACA4AACJBQAgkAMAAACeAwKRAwAAAJ4DCJIDAAAAngMIlwMAAIgFngMiBJADAAAAngMCkQMAAACeAwiSAwAAAJ4DCJcDAACJBZ4DIgj_AgAAigUAMIADAADDBAAQgQMAAIoFADCCAwIAhQUAIYgDAADxBIgDIokDAQDvBAAhjwNAAPQEACGiAwAAiwUAIA8PAAD2BAAgNwAAjAUAIDgAAIwFACCQA4AAAAABkwOAAAAAAZQDgAAAAAGVA4AAAAABlgOAAAAAAZcDgAAAAAGjAwEAAAABpAMBAAAAAaUDAQAAAAGmA4AAAAABpwOAAAAAAagDgAAAAAEMkAOAAAAAAZMDgAAAAAGUA4AAAAABlQOAAAAAAZYDgAAAAAGXA4AAAAABowMBAAAAAaQDAQAAAAGlAwEAAAABpgOAAAAAAacDgAAAAAGoA4AAAAABCP8CAACNBQAwgAMAALIEABCBAwAAjQUAMIIDAgCOBQAhiAMAAJAFiAMiiQMBAI8FACGPA0AAkgUAIaIDAACRBQAgCJADAgAAAAGRAwIAAAAEkgMCAAAABJMDAgAAAAGUAwIAAAABlQMCAAAAAZYDAgAAAAGXAwIA9gQAIQyQAwEAAAABkQMBAAAABJIDAQAAAASTAwEAAAABlAMBAAAAAZUDAQAAAAGWAwEAAAABlwMBAIIFACGYAwEAAAABmQMBAAAAAZoDAQAAAAGbAwEAAAABBJADAAAAiAMCkQMAAACIAwiSAwAAAIgDCJcDAAD-BIgDIgyQA4AAAAABkwOAAAAAAZQDgAAAAAGVA4AAAAABlgOAAAAAAZcDgAAAAAGjAwEAAAABpAMBAAAAAaUDAQAAAAGmA4AAAAABpwOAAAAAAagDgAAAAAEIkANAAAAAAZEDQAAAAASSA0AAAAAEkwNAAAAAAZQDQAAAAAGVA0AAAAABlgNAAAAAAZcDQAD3BAAhCP8CAACTBQAwgAMAAKwEABCBAwAAkwUAMKkDAQDvBAAhqgMCAIUFACGrA0AA9AQAIawDQADzBAAhrQNAAPQEACEI_wIAAJQFADCAAwAAmwQAEIEDAACUBQAwqQMBAI8FACGqAwIAjgUAIasDQACSBQAhrANAAJUFACGtA0AAkgUAIQiQA0AAAAABkQNAAAAABZIDQAAAAAWTA0AAAAABlANAAAAAAZUDQAAAAAGWA0AAAAABlwNAAPoEACEM_wIAAJYFADCAAwAAlQQAEIEDAACWBQAwggMBAO8EACGDAwEA8AQAIY8DQAD0BAAhoANAAPQEACGuAwEA8AQAIa8DAQDwBAAhsAMBAPAEACGxA0AA9AQAIbIDQADzBAAhCP8CAACXBQAwgAMAAIEEABCBAwAAlwUAMIQDAQDvBAAhjwNAAPQEACGtA0AA9AQAIbMDAQDvBAAhtAMBAPAEACEI_wIAAJgFADCAAwAA8AMAEIEDAACYBQAwhAMBAI8FACGPA0AAkgUAIa0DQACSBQAhswMBAI8FACG0AwEAmQUAIQyQAwEAAAABkQMBAAAABZIDAQAAAAWTAwEAAAABlAMBAAAAAZUDAQAAAAGWAwEAAAABlwMBAIAFACGYAwEAAAABmQMBAAAAAZoDAQAAAAGbAwEAAAABC_8CAACaBQAwgAMAAOoDABCBAwAAmgUAMI8DQAD0BAAhrQNAAPQEACGzAwEA7wQAIbUDAQDvBAAhtgMBAO8EACG3AwEA7wQAIbgDAACLBQAguQMgAJsFACEFDwAA9gQAIDcAAJ0FACA4AACdBQAgkAMgAAAAAZcDIACcBQAhBQ8AAPYEACA3AACdBQAgOAAAnQUAIJADIAAAAAGXAyAAnAUAIQKQAyAAAAABlwMgAJ0FACEL_wIAAJ4FADCAAwAA2QMAEIEDAACeBQAwjwNAAJIFACGtA0AAkgUAIbMDAQCPBQAhtQMBAI8FACG2AwEAjwUAIbcDAQCPBQAhuAMAAJEFACC5AyAAnwUAIQKQAyAAAAABlwMgAJ0FACEM_wIAAKAFADCAAwAA0wMAEIEDAACgBQAwggMBAO8EACGLAwAAoQW9AyK6AwEA7wQAIbsDAQDvBAAhvQMAAKIFACC-AwEA8AQAIb8DAQDwBAAhwANAAPQEACHBA0AA8wQAIQcPAAD2BAAgNwAApQUAIDgAAKUFACCQAwAAAL0DApEDAAAAvQMIkgMAAAC9AwiXAwAApAW9AyIPDwAA-QQAIDcAAKMFACA4AACjBQAgkAOAAAAAAZMDgAAAAAGUA4AAAAABlQOAAAAAAZYDgAAAAAGXA4AAAAABowMBAAAAAaQDAQAAAAGlAwEAAAABpgOAAAAAAacDgAAAAAGoA4AAAAABDJADgAAAAAGTA4AAAAABlAOAAAAAAZUDgAAAAAGWA4AAAAABlwOAAAAAAaMDAQAAAAGkAwEAAAABpQMBAAAAAaYDgAAAAAGnA4AAAAABqAOAAAAAAQcPAAD2BAAgNwAApQUAIDgAAKUFACCQAwAAAL0DApEDAAAAvQMIkgMAAAC9AwiXAwAApAW9AyIEkAMAAAC9AwKRAwAAAL0DCJIDAAAAvQMIlwMAAKUFvQMiB_8CAACmBQAwgAMAAL8DABCBAwAApgUAMIQDAQDvBAAhjwNAAPQEACGsA0AA8wQAIcIDAQDwBAAhCBUAAKgFACD_AgAApwUAMIADAACuAwAQgQMAAKcFADCEAwEAjwUAIY8DQACSBQAhrANAAJUFACHCAwEAmQUAIQPDAwAAMgAgxAMAADIAIMUDAAAyACAP_wIAAKkFADCAAwAAqAMAEIEDAACpBQAwggMBAO8EACGDAwEA8AQAIYsDAACqBcwDIo8DQAD0BAAhngMAAIQFngMivgMBAPAEACHGAwEA7wQAIccDAQDvBAAhyAMBAO8EACHJAwEA8AQAIcoDAQDvBAAhzAMBAPAEACEHDwAA9gQAIDcAAKwFACA4AACsBQAgkAMAAADMAwKRAwAAAMwDCJIDAAAAzAMIlwMAAKsFzAMiBw8AAPYEACA3AACsBQAgOAAArAUAIJADAAAAzAMCkQMAAADMAwiSAwAAAMwDCJcDAACrBcwDIgSQAwAAAMwDApEDAAAAzAMIkgMAAADMAwiXAwAArAXMAyILLAAAogUAIP8CAACtBQAwgAMAAJQDABCBAwAArQUAMIIDAQDvBAAhgwMBAPAEACGPA0AA9AQAIcwDAQDwBAAhzQMBAO8EACHOAwEA7wQAIc8DAQDwBAAhCP8CAACuBQAwgAMAAIADABCBAwAArgUAMKkDAQDvBAAhrQNAAPQEACG1AwEA7wQAIcYDAQDvBAAh0AMBAO8EACEI_wIAAK8FADCAAwAA7wIAEIEDAACvBQAwqQMBAI8FACGtA0AAkgUAIbUDAQCPBQAhxgMBAI8FACHQAwEAjwUAIRH_AgAAsAUAMIADAADpAgAQgQMAALAFADCCAwEA7wQAIYQDAQDvBAAhhQMBAO8EACGJAwEA8AQAIY8DQAD0BAAhrQNAAPQEACHRAwEA7wQAIdMDAACxBdMDItQDQADzBAAh1QNAAPMEACHWAwEA8AQAIdcDQADzBAAh2AMCALIFACHZAwAAogUAIAcPAAD2BAAgNwAAtgUAIDgAALYFACCQAwAAANMDApEDAAAA0wMIkgMAAADTAwiXAwAAtQXTAyINDwAA-QQAIDcAAPkEACA4AAD5BAAgRwAAtAUAIEgAAPkEACCQAwIAAAABkQMCAAAABZIDAgAAAAWTAwIAAAABlAMCAAAAAZUDAgAAAAGWAwIAAAABlwMCALMFACENDwAA-QQAIDcAAPkEACA4AAD5BAAgRwAAtAUAIEgAAPkEACCQAwIAAAABkQMCAAAABZIDAgAAAAWTAwIAAAABlAMCAAAAAZUDAgAAAAGWAwIAAAABlwMCALMFACEIkAMIAAAAAZEDCAAAAAWSAwgAAAAFkwMIAAAAAZQDCAAAAAGVAwgAAAABlgMIAAAAAZcDCAC0BQAhBw8AAPYEACA3AAC2BQAgOAAAtgUAIJADAAAA0wMCkQMAAADTAwiSAwAAANMDCJcDAAC1BdMDIgSQAwAAANMDApEDAAAA0wMIkgMAAADTAwiXAwAAtgXTAyIcCAAAuwUAIAoAALwFACAMAAC9BQAgDQAAvgUAIA4AAL8FACASAADABQAgFAAAwQUAIBgAAKgFACAaAADCBQAgHAAAwwUAIB4AAMQFACD_AgAAtwUAMIADAAARABCBAwAAtwUAMIIDAQCPBQAhhAMBAI8FACGFAwEAjwUAIYkDAQCZBQAhjwNAAJIFACGtA0AAkgUAIdEDAQCPBQAh0wMAALgF0wMi1ANAAJUFACHVA0AAlQUAIdYDAQCZBQAh1wNAAJUFACHYAwIAuQUAIdkDAAC6BQAgBJADAAAA0wMCkQMAAADTAwiSAwAAANMDCJcDAAC2BdMDIgiQAwIAAAABkQMCAAAABZIDAgAAAAWTAwIAAAABlAMCAAAAAZUDAgAAAAGWAwIAAAABlwMCAPkEACEMkAOAAAAAAZMDgAAAAAGUA4AAAAABlQOAAAAAAZYDgAAAAAGXA4AAAAABowMBAAAAAaQDAQAAAAGlAwEAAAABpgOAAAAAAacDgAAAAAGoA4AAAAABA8MDAAADACDEAwAAAwAgxQMAAAMAIAPDAwAAFAAgxAMAABQAIMUDAAAUACADwwMAABkAIMQDAAAZACDFAwAAGQAgA8MDAAANACDEAwAADQAgxQMAAA0AIAPDAwAAHwAgxAMAAB8AIMUDAAAfACADwwMAACgAIMQDAAAoACDFAwAAKAAgA8MDAAAtACDEAwAALQAgxQMAAC0AIAPDAwAAOQAgxAMAADkAIMUDAAA5ACADwwMAAEAAIMQDAABAACDFAwAAQAAgA8MDAABGACDEAwAARgAgxQMAAEYAIAr_AgAAxQUAMIADAADTAgAQgQMAAMUFADCCAwEA7wQAIY8DQAD0BAAhrQNAAPQEACHaAwEA7wQAIdsDQADzBAAh3AMBAPAEACHdAwEA8AQAIQr_AgAAxgUAMIADAAC_AgAQgQMAAMYFADCCAwEA7wQAIY8DQAD0BAAh3QMBAO8EACHeA0AA9AQAId8DQAD0BAAh4AMBAO8EACHhAwEA8AQAIQv_AgAAxwUAMIADAACrAgAQgQMAAMcFADCCAwEA7wQAIYQDAQDvBAAhiAMAAPEEiAMiiQMBAO8EACGPA0AA9AQAIa0DQAD0BAAhuQMgAJsFACHiAwEA7wQAIQ0NAAC-BQAgDgAAvwUAIP8CAADIBQAwgAMAAFYAEIEDAADIBQAwggMBAI8FACGEAwEAjwUAIYgDAACQBYgDIokDAQCPBQAhjwNAAJIFACGtA0AAkgUAIbkDIACfBQAh4gMBAI8FACEL_wIAAMkFADCAAwAAlQIAEIEDAADJBQAwggMBAO8EACGIAwAAygWIAyOJAwEA8AQAIY8DQAD0BAAh4AMBAO8EACHhAwEA8AQAIeMDQAD0BAAh5AMBAPAEACEHDwAA-QQAIDcAAMwFACA4AADMBQAgkAMAAACIAwORAwAAAIgDCZIDAAAAiAMJlwMAAMsFiAMjBw8AAPkEACA3AADMBQAgOAAAzAUAIJADAAAAiAMDkQMAAACIAwmSAwAAAIgDCZcDAADLBYgDIwSQAwAAAIgDA5EDAAAAiAMJkgMAAACIAwmXAwAAzAWIAyML_wIAAM0FADCAAwAAgQIAEIEDAADNBQAwggMBAO8EACGDAwEA7wQAIY8DQAD0BAAh4AMBAO8EACHlA0AA9AQAIeYDQAD0BAAh5wNAAPMEACHoAwEA8AQAIQz_AgAAzgUAMIADAADtAQAQgQMAAM4FADCCAwEA7wQAIYMDAQDvBAAhiwMAAM8F6gMijwNAAPQEACGtA0AA9AQAIcwDAQDwBAAh2gMBAO8EACHbA0AA9AQAIeoDQADzBAAhBw8AAPYEACA3AADRBQAgOAAA0QUAIJADAAAA6gMCkQMAAADqAwiSAwAAAOoDCJcDAADQBeoDIgcPAAD2BAAgNwAA0QUAIDgAANEFACCQAwAAAOoDApEDAAAA6gMIkgMAAADqAwiXAwAA0AXqAyIEkAMAAADqAwKRAwAAAOoDCJIDAAAA6gMIlwMAANEF6gMiC_8CAADSBQAwgAMAANkBABCBAwAA0gUAMIIDAQDvBAAhjwNAAPQEACHMAwEA7wQAIeADAQDwBAAh7AMAANMF7AMj7QMAANQF7AMi7gMBAPAEACHvAwEA8AQAIQcPAAD5BAAgNwAA2AUAIDgAANgFACCQAwAAAOwDA5EDAAAA7AMJkgMAAADsAwmXAwAA1wXsAyMHDwAA9gQAIDcAANYFACA4AADWBQAgkAMAAADsAwKRAwAAAOwDCJIDAAAA7AMIlwMAANUF7AMiBw8AAPYEACA3AADWBQAgOAAA1gUAIJADAAAA7AMCkQMAAADsAwiSAwAAAOwDCJcDAADVBewDIgSQAwAAAOwDApEDAAAA7AMIkgMAAADsAwiXAwAA1gXsAyIHDwAA-QQAIDcAANgFACA4AADYBQAgkAMAAADsAwORAwAAAOwDCZIDAAAA7AMJlwMAANcF7AMjBJADAAAA7AMDkQMAAADsAwmSAwAAAOwDCZcDAADYBewDIxD_AgAA2QUAMIADAADFAQAQgQMAANkFADCCAwEA7wQAIYMDAQDvBAAhiAMAAPEEiAMiiwMAANQF7AMijwNAAPQEACGtA0AA9AQAIdoDAQDvBAAh2wNAAPQEACHwAwEA8AQAIfEDQADzBAAh8gNAAPMEACHzA0AA8wQAIfQDAQDwBAAhDv8CAADaBQAwgAMAALEBABCBAwAA2gUAMIIDAQDvBAAhiwMAANsF9wMijwNAAPQEACGtA0AA9AQAIdoDAQDvBAAh2wNAAPQEACHjA0AA9AQAIfUDAgCyBQAh9wMgAJsFACH4AwEA8AQAIfkDAQDwBAAhBw8AAPYEACA3AADdBQAgOAAA3QUAIJADAAAA9wMCkQMAAAD3AwiSAwAAAPcDCJcDAADcBfcDIgcPAAD2BAAgNwAA3QUAIDgAAN0FACCQAwAAAPcDApEDAAAA9wMIkgMAAAD3AwiXAwAA3AX3AyIEkAMAAAD3AwKRAwAAAPcDCJIDAAAA9wMIlwMAAN0F9wMiDP8CAADeBQAwgAMAAJ0BABCBAwAA3gUAMIIDAQDvBAAhiAMAAPEEiAMiiQMBAO8EACGPA0AA9AQAIa0DQAD0BAAh5AMBAO8EACH1AwIAhQUAIfsDAADfBfsDIvwDAACiBQAgBw8AAPYEACA3AADhBQAgOAAA4QUAIJADAAAA-wMCkQMAAAD7AwiSAwAAAPsDCJcDAADgBfsDIgcPAAD2BAAgNwAA4QUAIDgAAOEFACCQAwAAAPsDApEDAAAA-wMIkgMAAAD7AwiXAwAA4AX7AyIEkAMAAAD7AwKRAwAAAPsDCJIDAAAA-wMIlwMAAOEF-wMiEAQAALsFACAHAADkBQAgDQAAvgUAICAAAMEFACD_AgAA4gUAMIADAACMAQAQgQMAAOIFADCCAwEAjwUAIYgDAACQBYgDIokDAQCPBQAhjwNAAJIFACGtA0AAkgUAIeQDAQCPBQAh9QMCAI4FACH7AwAA4wX7AyL8AwAAugUAIASQAwAAAPsDApEDAAAA-wMIkgMAAAD7AwiXAwAA4QX7AyIDwwMAAAgAIMQDAAAIACDFAwAACAAgBIgDAAAAiAMCiQMBAAAAAeQDAQAAAAH7AwAAAPsDAg7_AgAA5gUAMIADAACGAQAQgQMAAOYFADCCAwEA7wQAIYQDAQDvBAAhhQMBAO8EACGGAwEA8AQAIYgDAADxBIgDIokDAQDvBAAhiwMAAOcFgAQijwNAAPQEACGtA0AA9AQAIf4DAQDwBAAhgARAAPMEACEHDwAA9gQAIDcAAOkFACA4AADpBQAgkAMAAACABAKRAwAAAIAECJIDAAAAgAQIlwMAAOgFgAQiBw8AAPYEACA3AADpBQAgOAAA6QUAIJADAAAAgAQCkQMAAACABAiSAwAAAIAECJcDAADoBYAEIgSQAwAAAIAEApEDAAAAgAQIkgMAAACABAiXAwAA6QWABCIMAwAA7AUAIP8CAADqBQAwgAMAAGoAEIEDAADqBQAwggMBAI8FACGDAwEAjwUAIY8DQACSBQAhnAMBAI8FACGeAwAA6wWeAyKfAwIAjgUAIaADQACSBQAhoQNAAJUFACEEkAMAAACeAwKRAwAAAJ4DCJIDAAAAngMIlwMAAIkFngMiFwQAALsFACAHAADkBQAgGgAAwgUAIBwAAMMFACAkAADABQAgJQAA9gUAICYAAPcFACD_AgAA9AUAMIADAAA-ABCBAwAA9AUAMIIDAQCPBQAhhAMBAI8FACGFAwEAjwUAIYYDAQCZBQAhiAMAAJAFiAMiiQMBAI8FACGLAwAA9QWABCKPA0AAkgUAIa0DQACSBQAh_gMBAJkFACGABEAAlQUAIYMEAAA-ACCEBAAAPgAgEAMAAO8FACD_AgAA7QUAMIADAABjABCBAwAA7QUAMIIDAQCPBQAhgwMBAJkFACGLAwAA7gXMAyKPA0AAkgUAIZ4DAADrBZ4DIr4DAQCZBQAhxgMBAI8FACHHAwEAjwUAIcgDAQCPBQAhyQMBAJkFACHKAwEAjwUAIcwDAQCZBQAhBJADAAAAzAMCkQMAAADMAwiSAwAAAMwDCJcDAACsBcwDIhcEAAC7BQAgBwAA5AUAIBoAAMIFACAcAADDBQAgJAAAwAUAICUAAPYFACAmAAD3BQAg_wIAAPQFADCAAwAAPgAQgQMAAPQFADCCAwEAjwUAIYQDAQCPBQAhhQMBAI8FACGGAwEAmQUAIYgDAACQBYgDIokDAQCPBQAhiwMAAPUFgAQijwNAAJIFACGtA0AAkgUAIf4DAQCZBQAhgARAAJUFACGDBAAAPgAghAQAAD4AIBAdAADyBQAg_wIAAPAFADCAAwAARgAQgQMAAPAFADCCAwEAjwUAIYMDAQCPBQAhhAMBAI8FACGFAwEAjwUAIYYDAQCZBQAhiAMAAJAFiAMiiQMBAI8FACGLAwAA8QWLAyKMAwEAmQUAIY0DQACVBQAhjgMBAJkFACGPA0AAkgUAIQSQAwAAAIsDApEDAAAAiwMIkgMAAACLAwiXAwAA_ASLAyIeCAAAuwUAIAoAALwFACAMAAC9BQAgDQAAvgUAIA4AAL8FACASAADABQAgFAAAwQUAIBgAAKgFACAaAADCBQAgHAAAwwUAIB4AAMQFACD_AgAAtwUAMIADAAARABCBAwAAtwUAMIIDAQCPBQAhhAMBAI8FACGFAwEAjwUAIYkDAQCZBQAhjwNAAJIFACGtA0AAkgUAIdEDAQCPBQAh0wMAALgF0wMi1ANAAJUFACHVA0AAlQUAIdYDAQCZBQAh1wNAAJUFACHYAwIAuQUAIdkDAAC6BQAggwQAABEAIIQEAAARACAOAwAA7wUAIBsAAPIFACD_AgAA8wUAMIADAABAABCBAwAA8wUAMIIDAQCPBQAhgwMBAJkFACGPA0AAkgUAIaADQACSBQAhrgMBAJkFACGvAwEAmQUAIbADAQCZBQAhsQNAAJIFACGyA0AAlQUAIRUEAAC7BQAgBwAA5AUAIBoAAMIFACAcAADDBQAgJAAAwAUAICUAAPYFACAmAAD3BQAg_wIAAPQFADCAAwAAPgAQgQMAAPQFADCCAwEAjwUAIYQDAQCPBQAhhQMBAI8FACGGAwEAmQUAIYgDAACQBYgDIokDAQCPBQAhiwMAAPUFgAQijwNAAJIFACGtA0AAkgUAIf4DAQCZBQAhgARAAJUFACEEkAMAAACABAKRAwAAAIAECJIDAAAAgAQIlwMAAOkFgAQiA8MDAABjACDEAwAAYwAgxQMAAGMAIAPDAwAAagAgxAMAAGoAIMUDAABqACANAwAA7wUAIBkAAPIFACAsAAC6BQAg_wIAAPgFADCAAwAAOQAQgQMAAPgFADCCAwEAjwUAIYMDAQCZBQAhjwNAAJIFACHMAwEAmQUAIc0DAQCPBQAhzgMBAI8FACHPAwEAmQUAIQ4WAAD7BQAgFwAA8gUAIP8CAAD5BQAwgAMAADIAEIEDAAD5BQAwggMBAI8FACGLAwAA-gW9AyK6AwEAjwUAIbsDAQCPBQAhvQMAALoFACC-AwEAmQUAIb8DAQCZBQAhwANAAJIFACHBA0AAlQUAIQSQAwAAAL0DApEDAAAAvQMIkgMAAAC9AwiXAwAApQW9AyIKFQAAqAUAIP8CAACnBQAwgAMAAK4DABCBAwAApwUAMIQDAQCPBQAhjwNAAJIFACGsA0AAlQUAIcIDAQCZBQAhgwQAAK4DACCEBAAArgMAIALaAwEAAAAB2wNAAAAAARAFAAD_BQAgEwAA8gUAIP8CAAD9BQAwgAMAAC0AEIEDAAD9BQAwggMBAI8FACGLAwAA_gX3AyKPA0AAkgUAIa0DQACSBQAh2gMBAI8FACHbA0AAkgUAIeMDQACSBQAh9QMCALkFACH3AyAAnwUAIfgDAQCZBQAh-QMBAJkFACEEkAMAAAD3AwKRAwAAAPcDCJIDAAAA9wMIlwMAAN0F9wMiEgQAALsFACAHAADkBQAgDQAAvgUAICAAAMEFACD_AgAA4gUAMIADAACMAQAQgQMAAOIFADCCAwEAjwUAIYgDAACQBYgDIokDAQCPBQAhjwNAAJIFACGtA0AAkgUAIeQDAQCPBQAh9QMCAI4FACH7AwAA4wX7AyL8AwAAugUAIIMEAACMAQAghAQAAIwBACANAwAA7AUAIBEAAPIFACD_AgAAgAYAMIADAAAoABCBAwAAgAYAMIIDAQCPBQAhgwMBAI8FACGPA0AAkgUAIeADAQCPBQAh5QNAAJIFACHmA0AAkgUAIecDQACVBQAh6AMBAJkFACEMCwAA8gUAIBAAAIIGACD_AgAAgQYAMIADAAAfABCBAwAAgQYAMIIDAQCPBQAhjwNAAJIFACHdAwEAjwUAId4DQACSBQAh3wNAAJIFACHgAwEAjwUAIeEDAQCZBQAhDw0AAL4FACAOAAC_BQAg_wIAAMgFADCAAwAAVgAQgQMAAMgFADCCAwEAjwUAIYQDAQCPBQAhiAMAAJAFiAMiiQMBAI8FACGPA0AAkgUAIa0DQACSBQAhuQMgAJ8FACHiAwEAjwUAIYMEAABWACCEBAAAVgAgDAsAAPIFACD_AgAAgwYAMIADAAAZABCBAwAAgwYAMIIDAQCPBQAhiAMAAIQGiAMjiQMBAJkFACGPA0AAkgUAIeADAQCPBQAh4QMBAJkFACHjA0AAkgUAIeQDAQCZBQAhBJADAAAAiAMDkQMAAACIAwmSAwAAAIgDCZcDAADMBYgDIw0GAACIBgAgCQAA8gUAIP8CAACFBgAwgAMAABQAEIEDAACFBgAwggMBAI8FACGPA0AAkgUAIcwDAQCPBQAh4AMBAJkFACHsAwAAhgbsAyPtAwAAhwbsAyLuAwEAmQUAIe8DAQCZBQAhBJADAAAA7AMDkQMAAADsAwmSAwAAAOwDCZcDAADYBewDIwSQAwAAAOwDApEDAAAA7AMIkgMAAADsAwiXAwAA1gXsAyIXAwAA7AUAIAUAAP8FACAhAADyBQAgIgAAvAUAICMAAJIGACD_AgAAkQYAMIADAAADABCBAwAAkQYAMIIDAQCPBQAhgwMBAI8FACGIAwAAkAWIAyKLAwAAhwbsAyKPA0AAkgUAIa0DQACSBQAh2gMBAI8FACHbA0AAkgUAIfADAQCZBQAh8QNAAJUFACHyA0AAlQUAIfMDQACVBQAh9AMBAJkFACGDBAAAAwAghAQAAAMAIALaAwEAAAAB2wNAAAAAAQ0FAAD_BQAgEAAAiwYAIB8AAPIFACD_AgAAigYAMIADAAANABCBAwAAigYAMIIDAQCPBQAhjwNAAJIFACGtA0AAkgUAIdoDAQCPBQAh2wNAAJUFACHcAwEAmQUAId0DAQCZBQAhDw0AAL4FACAOAAC_BQAg_wIAAMgFADCAAwAAVgAQgQMAAMgFADCCAwEAjwUAIYQDAQCPBQAhiAMAAJAFiAMiiQMBAI8FACGPA0AAkgUAIa0DQACSBQAhuQMgAJ8FACHiAwEAjwUAIYMEAABWACCEBAAAVgAgA4MDAQAAAAHaAwEAAAAB2wNAAAAAAQ8DAADsBQAgBQAA_wUAIAYAAI8GACD_AgAAjQYAMIADAAAIABCBAwAAjQYAMIIDAQCPBQAhgwMBAI8FACGLAwAAjgbqAyKPA0AAkgUAIa0DQACSBQAhzAMBAJkFACHaAwEAjwUAIdsDQACSBQAh6gNAAJUFACEEkAMAAADqAwKRAwAAAOoDCJIDAAAA6gMIlwMAANEF6gMiFwMAAOwFACAFAAD_BQAgIQAA8gUAICIAALwFACAjAACSBgAg_wIAAJEGADCAAwAAAwAQgQMAAJEGADCCAwEAjwUAIYMDAQCPBQAhiAMAAJAFiAMiiwMAAIcG7AMijwNAAJIFACGtA0AAkgUAIdoDAQCPBQAh2wNAAJIFACHwAwEAmQUAIfEDQACVBQAh8gNAAJUFACHzA0AAlQUAIfQDAQCZBQAhgwQAAAMAIIQEAAADACADgwMBAAAAAdoDAQAAAAHbA0AAAAABFQMAAOwFACAFAAD_BQAgIQAA8gUAICIAALwFACAjAACSBgAg_wIAAJEGADCAAwAAAwAQgQMAAJEGADCCAwEAjwUAIYMDAQCPBQAhiAMAAJAFiAMiiwMAAIcG7AMijwNAAJIFACGtA0AAkgUAIdoDAQCPBQAh2wNAAJIFACHwAwEAmQUAIfEDQACVBQAh8gNAAJUFACHzA0AAlQUAIfQDAQCZBQAhEQMAAOwFACAFAAD_BQAgBgAAjwYAIP8CAACNBgAwgAMAAAgAEIEDAACNBgAwggMBAI8FACGDAwEAjwUAIYsDAACOBuoDIo8DQACSBQAhrQNAAJIFACHMAwEAmQUAIdoDAQCPBQAh2wNAAJIFACHqA0AAlQUAIYMEAAAIACCEBAAACAAgAAAAAAGJBAEAAAABAYkEAQAAAAEBiQQAAACIAwIBiQQAAACLAwIBiQRAAAAAAQGJBEAAAAABBzEAAMoLACAyAADNCwAghgQAAMsLACCHBAAAzAsAIIoEAAARACCLBAAAEQAgjAQAANYCACADMQAAygsAIIYEAADLCwAgjAQAANYCACAAAAAAAAGJBAAAAJ4DAgWJBAIAAAABjwQCAAAAAZAEAgAAAAGRBAIAAAABkgQCAAAAAQUxAADFCwAgMgAAyAsAIIYEAADGCwAghwQAAMcLACCMBAAAAQAgAzEAAMULACCGBAAAxgsAIIwEAAABACAAAAAAAAGbAwEAAAABAAAAAAABmwMBAAAAAQAAAAcxAAC9CwAgMgAAwwsAIIYEAAC-CwAghwQAAMILACCKBAAAEQAgiwQAABEAIIwEAADWAgAgBzEAALsLACAyAADACwAghgQAALwLACCHBAAAvwsAIIoEAAA-ACCLBAAAPgAgjAQAAAEAIAMxAAC9CwAghgQAAL4LACCMBAAA1gIAIAMxAAC7CwAghgQAALwLACCMBAAAAQAgAAAAAZsDAQAAAAEAAAABiQQgAAAAAQGbAwEAAAABAAAAAYkEAAAAvQMCBTEAALMLACAyAAC5CwAghgQAALQLACCHBAAAuAsAIIwEAACrAwAgBzEAALELACAyAAC2CwAghgQAALILACCHBAAAtQsAIIoEAAARACCLBAAAEQAgjAQAANYCACADMQAAswsAIIYEAAC0CwAgjAQAAKsDACADMQAAsQsAIIYEAACyCwAgjAQAANYCACAAAAALMQAA0AYAMDIAANUGADCGBAAA0QYAMIcEAADSBgAwiAQAANMGACCJBAAA1AYAMIoEAADUBgAwiwQAANQGADCMBAAA1AYAMI0EAADWBgAwjgQAANcGADAJFwAAywYAIIIDAQAAAAGLAwAAAL0DArsDAQAAAAG9A4AAAAABvgMBAAAAAb8DAQAAAAHAA0AAAAABwQNAAAAAAQIAAAA0ACAxAADbBgAgAwAAADQAIDEAANsGACAyAADaBgAgASwAALALADAOFgAA-wUAIBcAAPIFACD_AgAA-QUAMIADAAAyABCBAwAA-QUAMIIDAQAAAAGLAwAA-gW9AyK6AwEAjwUAIbsDAQCPBQAhvQMAALoFACC-AwEAmQUAIb8DAQCZBQAhwANAAJIFACHBA0AAlQUAIQIAAAA0ACAsAADaBgAgAgAAANgGACAsAADZBgAgDP8CAADXBgAwgAMAANgGABCBAwAA1wYAMIIDAQCPBQAhiwMAAPoFvQMiugMBAI8FACG7AwEAjwUAIb0DAAC6BQAgvgMBAJkFACG_AwEAmQUAIcADQACSBQAhwQNAAJUFACEM_wIAANcGADCAAwAA2AYAEIEDAADXBgAwggMBAI8FACGLAwAA-gW9AyK6AwEAjwUAIbsDAQCPBQAhvQMAALoFACC-AwEAmQUAIb8DAQCZBQAhwANAAJIFACHBA0AAlQUAIQiCAwEAlwYAIYsDAADHBr0DIrsDAQCXBgAhvQOAAAAAAb4DAQCYBgAhvwMBAJgGACHAA0AAnAYAIcEDQACbBgAhCRcAAMkGACCCAwEAlwYAIYsDAADHBr0DIrsDAQCXBgAhvQOAAAAAAb4DAQCYBgAhvwMBAJgGACHAA0AAnAYAIcEDQACbBgAhCRcAAMsGACCCAwEAAAABiwMAAAC9AwK7AwEAAAABvQOAAAAAAb4DAQAAAAG_AwEAAAABwANAAAAAAcEDQAAAAAEEMQAA0AYAMIYEAADRBgAwiAQAANMGACCMBAAA1AYAMAABmwMBAAAAAQAAAAGJBAAAAMwDAgcxAACrCwAgMgAArgsAIIYEAACsCwAghwQAAK0LACCKBAAAPgAgiwQAAD4AIIwEAAABACADMQAAqwsAIIYEAACsCwAgjAQAAAEAIAAAAAcxAACjCwAgMgAAqQsAIIYEAACkCwAghwQAAKgLACCKBAAAEQAgiwQAABEAIIwEAADWAgAgBzEAAKELACAyAACmCwAghgQAAKILACCHBAAApQsAIIoEAAA-ACCLBAAAPgAgjAQAAAEAIAMxAACjCwAghgQAAKQLACCMBAAA1gIAIAMxAAChCwAghgQAAKILACCMBAAAAQAgAAAAAZsDAQAAAAEAAAAAAAGJBAAAANMDAgWJBAIAAAABjwQCAAAAAZAEAgAAAAGRBAIAAAABkgQCAAAAAQsxAACHCAAwMgAAjAgAMIYEAACICAAwhwQAAIkIADCIBAAAiggAIIkEAACLCAAwigQAAIsIADCLBAAAiwgAMIwEAACLCAAwjQQAAI0IADCOBAAAjggAMAsxAAD3BwAwMgAA_AcAMIYEAAD4BwAwhwQAAPkHADCIBAAA-gcAIIkEAAD7BwAwigQAAPsHADCLBAAA-wcAMIwEAAD7BwAwjQQAAP0HADCOBAAA_gcAMAsxAADqBwAwMgAA7wcAMIYEAADrBwAwhwQAAOwHADCIBAAA7QcAIIkEAADuBwAwigQAAO4HADCLBAAA7gcAMIwEAADuBwAwjQQAAPAHADCOBAAA8QcAMAsxAADaBwAwMgAA3wcAMIYEAADbBwAwhwQAANwHADCIBAAA3QcAIIkEAADeBwAwigQAAN4HADCLBAAA3gcAMIwEAADeBwAwjQQAAOAHADCOBAAA4QcAMAsxAADMBwAwMgAA0QcAMIYEAADNBwAwhwQAAM4HADCIBAAAzwcAIIkEAADQBwAwigQAANAHADCLBAAA0AcAMIwEAADQBwAwjQQAANIHADCOBAAA0wcAMAsxAAC-BwAwMgAAwwcAMIYEAAC_BwAwhwQAAMAHADCIBAAAwQcAIIkEAADCBwAwigQAAMIHADCLBAAAwgcAMIwEAADCBwAwjQQAAMQHADCOBAAAxQcAMAsxAACvBwAwMgAAtAcAMIYEAACwBwAwhwQAALEHADCIBAAAsgcAIIkEAACzBwAwigQAALMHADCLBAAAswcAMIwEAACzBwAwjQQAALUHADCOBAAAtgcAMAsxAACmBwAwMgAAqgcAMIYEAACnBwAwhwQAAKgHADCIBAAAqQcAIIkEAADUBgAwigQAANQGADCLBAAA1AYAMIwEAADUBgAwjQQAAKsHADCOBAAA1wYAMAsxAACaBwAwMgAAnwcAMIYEAACbBwAwhwQAAJwHADCIBAAAnQcAIIkEAACeBwAwigQAAJ4HADCLBAAAngcAMIwEAACeBwAwjQQAAKAHADCOBAAAoQcAMAsxAACOBwAwMgAAkwcAMIYEAACPBwAwhwQAAJAHADCIBAAAkQcAIIkEAACSBwAwigQAAJIHADCLBAAAkgcAMIwEAACSBwAwjQQAAJQHADCOBAAAlQcAMAsxAACCBwAwMgAAhwcAMIYEAACDBwAwhwQAAIQHADCIBAAAhQcAIIkEAACGBwAwigQAAIYHADCLBAAAhgcAMIwEAACGBwAwjQQAAIgHADCOBAAAiQcAMAuCAwEAAAABgwMBAAAAAYQDAQAAAAGFAwEAAAABhgMBAAAAAYgDAAAAiAMCiQMBAAAAAYsDAAAAiwMCjQNAAAAAAY4DAQAAAAGPA0AAAAABAgAAAEgAIDEAAI0HACADAAAASAAgMQAAjQcAIDIAAIwHACABLAAAoAsAMBAdAADyBQAg_wIAAPAFADCAAwAARgAQgQMAAPAFADCCAwEAAAABgwMBAI8FACGEAwEAjwUAIYUDAQCPBQAhhgMBAJkFACGIAwAAkAWIAyKJAwEAjwUAIYsDAADxBYsDIowDAQCZBQAhjQNAAJUFACGOAwEAmQUAIY8DQACSBQAhAgAAAEgAICwAAIwHACACAAAAigcAICwAAIsHACAP_wIAAIkHADCAAwAAigcAEIEDAACJBwAwggMBAI8FACGDAwEAjwUAIYQDAQCPBQAhhQMBAI8FACGGAwEAmQUAIYgDAACQBYgDIokDAQCPBQAhiwMAAPEFiwMijAMBAJkFACGNA0AAlQUAIY4DAQCZBQAhjwNAAJIFACEP_wIAAIkHADCAAwAAigcAEIEDAACJBwAwggMBAI8FACGDAwEAjwUAIYQDAQCPBQAhhQMBAI8FACGGAwEAmQUAIYgDAACQBYgDIokDAQCPBQAhiwMAAPEFiwMijAMBAJkFACGNA0AAlQUAIY4DAQCZBQAhjwNAAJIFACELggMBAJcGACGDAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGGAwEAmAYAIYgDAACZBogDIokDAQCXBgAhiwMAAJoGiwMijQNAAJsGACGOAwEAmAYAIY8DQACcBgAhC4IDAQCXBgAhgwMBAJcGACGEAwEAlwYAIYUDAQCXBgAhhgMBAJgGACGIAwAAmQaIAyKJAwEAlwYAIYsDAACaBosDIo0DQACbBgAhjgMBAJgGACGPA0AAnAYAIQuCAwEAAAABgwMBAAAAAYQDAQAAAAGFAwEAAAABhgMBAAAAAYgDAAAAiAMCiQMBAAAAAYsDAAAAiwMCjQNAAAAAAY4DAQAAAAGPA0AAAAABCQMAALoGACCCAwEAAAABgwMBAAAAAY8DQAAAAAGgA0AAAAABrwMBAAAAAbADAQAAAAGxA0AAAAABsgNAAAAAAQIAAABCACAxAACZBwAgAwAAAEIAIDEAAJkHACAyAACYBwAgASwAAJ8LADAOAwAA7wUAIBsAAPIFACD_AgAA8wUAMIADAABAABCBAwAA8wUAMIIDAQAAAAGDAwEAmQUAIY8DQACSBQAhoANAAJIFACGuAwEAmQUAIa8DAQCZBQAhsAMBAJkFACGxA0AAkgUAIbIDQACVBQAhAgAAAEIAICwAAJgHACACAAAAlgcAICwAAJcHACAM_wIAAJUHADCAAwAAlgcAEIEDAACVBwAwggMBAI8FACGDAwEAmQUAIY8DQACSBQAhoANAAJIFACGuAwEAmQUAIa8DAQCZBQAhsAMBAJkFACGxA0AAkgUAIbIDQACVBQAhDP8CAACVBwAwgAMAAJYHABCBAwAAlQcAMIIDAQCPBQAhgwMBAJkFACGPA0AAkgUAIaADQACSBQAhrgMBAJkFACGvAwEAmQUAIbADAQCZBQAhsQNAAJIFACGyA0AAlQUAIQiCAwEAlwYAIYMDAQCYBgAhjwNAAJwGACGgA0AAnAYAIa8DAQCYBgAhsAMBAJgGACGxA0AAnAYAIbIDQACbBgAhCQMAALgGACCCAwEAlwYAIYMDAQCYBgAhjwNAAJwGACGgA0AAnAYAIa8DAQCYBgAhsAMBAJgGACGxA0AAnAYAIbIDQACbBgAhCQMAALoGACCCAwEAAAABgwMBAAAAAY8DQAAAAAGgA0AAAAABrwMBAAAAAbADAQAAAAGxA0AAAAABsgNAAAAAAQgDAADrBgAgLIAAAAABggMBAAAAAYMDAQAAAAGPA0AAAAABzAMBAAAAAc0DAQAAAAHOAwEAAAABAgAAADsAIDEAAKUHACADAAAAOwAgMQAApQcAIDIAAKQHACABLAAAngsAMA0DAADvBQAgGQAA8gUAICwAALoFACD_AgAA-AUAMIADAAA5ABCBAwAA-AUAMIIDAQAAAAGDAwEAmQUAIY8DQACSBQAhzAMBAJkFACHNAwEAjwUAIc4DAQCPBQAhzwMBAJkFACECAAAAOwAgLAAApAcAIAIAAACiBwAgLAAAowcAIAssAAC6BQAg_wIAAKEHADCAAwAAogcAEIEDAAChBwAwggMBAI8FACGDAwEAmQUAIY8DQACSBQAhzAMBAJkFACHNAwEAjwUAIc4DAQCPBQAhzwMBAJkFACELLAAAugUAIP8CAAChBwAwgAMAAKIHABCBAwAAoQcAMIIDAQCPBQAhgwMBAJkFACGPA0AAkgUAIcwDAQCZBQAhzQMBAI8FACHOAwEAjwUAIc8DAQCZBQAhByyAAAAAAYIDAQCXBgAhgwMBAJgGACGPA0AAnAYAIcwDAQCYBgAhzQMBAJcGACHOAwEAlwYAIQgDAADpBgAgLIAAAAABggMBAJcGACGDAwEAmAYAIY8DQACcBgAhzAMBAJgGACHNAwEAlwYAIc4DAQCXBgAhCAMAAOsGACAsgAAAAAGCAwEAAAABgwMBAAAAAY8DQAAAAAHMAwEAAAABzQMBAAAAAc4DAQAAAAEJFgAAygYAIIIDAQAAAAGLAwAAAL0DAroDAQAAAAG7AwEAAAABvQOAAAAAAb4DAQAAAAHAA0AAAAABwQNAAAAAAQIAAAA0ACAxAACuBwAgAwAAADQAIDEAAK4HACAyAACtBwAgASwAAJ0LADACAAAANAAgLAAArQcAIAIAAADYBgAgLAAArAcAIAiCAwEAlwYAIYsDAADHBr0DIroDAQCXBgAhuwMBAJcGACG9A4AAAAABvgMBAJgGACHAA0AAnAYAIcEDQACbBgAhCRYAAMgGACCCAwEAlwYAIYsDAADHBr0DIroDAQCXBgAhuwMBAJcGACG9A4AAAAABvgMBAJgGACHAA0AAnAYAIcEDQACbBgAhCRYAAMoGACCCAwEAAAABiwMAAAC9AwK6AwEAAAABuwMBAAAAAb0DgAAAAAG-AwEAAAABwANAAAAAAcEDQAAAAAELBQAAvQcAIIIDAQAAAAGLAwAAAPcDAo8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHjA0AAAAAB9QMCAAAAAfcDIAAAAAH4AwEAAAABAgAAAC8AIDEAALwHACADAAAALwAgMQAAvAcAIDIAALoHACABLAAAnAsAMBEFAAD_BQAgEwAA8gUAIP8CAAD9BQAwgAMAAC0AEIEDAAD9BQAwggMBAAAAAYsDAAD-BfcDIo8DQACSBQAhrQNAAJIFACHaAwEAjwUAIdsDQACSBQAh4wNAAJIFACH1AwIAuQUAIfcDIACfBQAh-AMBAJkFACH5AwEAmQUAIYEEAAD8BQAgAgAAAC8AICwAALoHACACAAAAtwcAICwAALgHACAO_wIAALYHADCAAwAAtwcAEIEDAAC2BwAwggMBAI8FACGLAwAA_gX3AyKPA0AAkgUAIa0DQACSBQAh2gMBAI8FACHbA0AAkgUAIeMDQACSBQAh9QMCALkFACH3AyAAnwUAIfgDAQCZBQAh-QMBAJkFACEO_wIAALYHADCAAwAAtwcAEIEDAAC2BwAwggMBAI8FACGLAwAA_gX3AyKPA0AAkgUAIa0DQACSBQAh2gMBAI8FACHbA0AAkgUAIeMDQACSBQAh9QMCALkFACH3AyAAnwUAIfgDAQCZBQAh-QMBAJkFACEKggMBAJcGACGLAwAAuQf3AyKPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAnAYAIeMDQACcBgAh9QMCAPYGACH3AyAAwgYAIfgDAQCYBgAhAYkEAAAA9wMCCwUAALsHACCCAwEAlwYAIYsDAAC5B_cDIo8DQACcBgAhrQNAAJwGACHaAwEAlwYAIdsDQACcBgAh4wNAAJwGACH1AwIA9gYAIfcDIADCBgAh-AMBAJgGACEFMQAAlwsAIDIAAJoLACCGBAAAmAsAIIcEAACZCwAgjAQAAIkBACALBQAAvQcAIIIDAQAAAAGLAwAAAPcDAo8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHjA0AAAAAB9QMCAAAAAfcDIAAAAAH4AwEAAAABAzEAAJcLACCGBAAAmAsAIIwEAACJAQAgCAMAAMsHACCCAwEAAAABgwMBAAAAAY8DQAAAAAHgAwEAAAAB5QNAAAAAAeYDQAAAAAHnA0AAAAABAgAAACoAIDEAAMoHACADAAAAKgAgMQAAygcAIDIAAMgHACABLAAAlgsAMA0DAADsBQAgEQAA8gUAIP8CAACABgAwgAMAACgAEIEDAACABgAwggMBAAAAAYMDAQCPBQAhjwNAAJIFACHgAwEAjwUAIeUDQACSBQAh5gNAAJIFACHnA0AAlQUAIegDAQCZBQAhAgAAACoAICwAAMgHACACAAAAxgcAICwAAMcHACAL_wIAAMUHADCAAwAAxgcAEIEDAADFBwAwggMBAI8FACGDAwEAjwUAIY8DQACSBQAh4AMBAI8FACHlA0AAkgUAIeYDQACSBQAh5wNAAJUFACHoAwEAmQUAIQv_AgAAxQcAMIADAADGBwAQgQMAAMUHADCCAwEAjwUAIYMDAQCPBQAhjwNAAJIFACHgAwEAjwUAIeUDQACSBQAh5gNAAJIFACHnA0AAlQUAIegDAQCZBQAhB4IDAQCXBgAhgwMBAJcGACGPA0AAnAYAIeADAQCXBgAh5QNAAJwGACHmA0AAnAYAIecDQACbBgAhCAMAAMkHACCCAwEAlwYAIYMDAQCXBgAhjwNAAJwGACHgAwEAlwYAIeUDQACcBgAh5gNAAJwGACHnA0AAmwYAIQUxAACRCwAgMgAAlAsAIIYEAACSCwAghwQAAJMLACCMBAAAAQAgCAMAAMsHACCCAwEAAAABgwMBAAAAAY8DQAAAAAHgAwEAAAAB5QNAAAAAAeYDQAAAAAHnA0AAAAABAzEAAJELACCGBAAAkgsAIIwEAAABACAHEAAA2QcAIIIDAQAAAAGPA0AAAAAB3QMBAAAAAd4DQAAAAAHfA0AAAAAB4AMBAAAAAQIAAAAhACAxAADYBwAgAwAAACEAIDEAANgHACAyAADWBwAgASwAAJALADAMCwAA8gUAIBAAAIIGACD_AgAAgQYAMIADAAAfABCBAwAAgQYAMIIDAQAAAAGPA0AAkgUAId0DAQCPBQAh3gNAAJIFACHfA0AAkgUAIeADAQCPBQAh4QMBAJkFACECAAAAIQAgLAAA1gcAIAIAAADUBwAgLAAA1QcAIAr_AgAA0wcAMIADAADUBwAQgQMAANMHADCCAwEAjwUAIY8DQACSBQAh3QMBAI8FACHeA0AAkgUAId8DQACSBQAh4AMBAI8FACHhAwEAmQUAIQr_AgAA0wcAMIADAADUBwAQgQMAANMHADCCAwEAjwUAIY8DQACSBQAh3QMBAI8FACHeA0AAkgUAId8DQACSBQAh4AMBAI8FACHhAwEAmQUAIQaCAwEAlwYAIY8DQACcBgAh3QMBAJcGACHeA0AAnAYAId8DQACcBgAh4AMBAJcGACEHEAAA1wcAIIIDAQCXBgAhjwNAAJwGACHdAwEAlwYAId4DQACcBgAh3wNAAJwGACHgAwEAlwYAIQUxAACLCwAgMgAAjgsAIIYEAACMCwAghwQAAI0LACCMBAAAmAIAIAcQAADZBwAgggMBAAAAAY8DQAAAAAHdAwEAAAAB3gNAAAAAAd8DQAAAAAHgAwEAAAABAzEAAIsLACCGBAAAjAsAIIwEAACYAgAgCAUAAOgHACAQAADpBwAgggMBAAAAAY8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHdAwEAAAABAgAAAA8AIDEAAOcHACADAAAADwAgMQAA5wcAIDIAAOQHACABLAAAigsAMA4FAAD_BQAgEAAAiwYAIB8AAPIFACD_AgAAigYAMIADAAANABCBAwAAigYAMIIDAQAAAAGPA0AAkgUAIa0DQACSBQAh2gMBAI8FACHbA0AAlQUAIdwDAQCZBQAh3QMBAJkFACGBBAAAiQYAIAIAAAAPACAsAADkBwAgAgAAAOIHACAsAADjBwAgCv8CAADhBwAwgAMAAOIHABCBAwAA4QcAMIIDAQCPBQAhjwNAAJIFACGtA0AAkgUAIdoDAQCPBQAh2wNAAJUFACHcAwEAmQUAId0DAQCZBQAhCv8CAADhBwAwgAMAAOIHABCBAwAA4QcAMIIDAQCPBQAhjwNAAJIFACGtA0AAkgUAIdoDAQCPBQAh2wNAAJUFACHcAwEAmQUAId0DAQCZBQAhBoIDAQCXBgAhjwNAAJwGACGtA0AAnAYAIdoDAQCXBgAh2wNAAJsGACHdAwEAmAYAIQgFAADlBwAgEAAA5gcAIIIDAQCXBgAhjwNAAJwGACGtA0AAnAYAIdoDAQCXBgAh2wNAAJsGACHdAwEAmAYAIQUxAACCCwAgMgAAiAsAIIYEAACDCwAghwQAAIcLACCMBAAAiQEAIAcxAACACwAgMgAAhQsAIIYEAACBCwAghwQAAIQLACCKBAAAVgAgiwQAAFYAIIwEAACYAgAgCAUAAOgHACAQAADpBwAgggMBAAAAAY8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHdAwEAAAABAzEAAIILACCGBAAAgwsAIIwEAACJAQAgAzEAAIALACCGBAAAgQsAIIwEAACYAgAgB4IDAQAAAAGIAwAAAIgDA4kDAQAAAAGPA0AAAAAB4AMBAAAAAeMDQAAAAAHkAwEAAAABAgAAABsAIDEAAPYHACADAAAAGwAgMQAA9gcAIDIAAPUHACABLAAA_woAMAwLAADyBQAg_wIAAIMGADCAAwAAGQAQgQMAAIMGADCCAwEAAAABiAMAAIQGiAMjiQMBAJkFACGPA0AAkgUAIeADAQCPBQAh4QMBAJkFACHjA0AAkgUAIeQDAQCZBQAhAgAAABsAICwAAPUHACACAAAA8gcAICwAAPMHACAL_wIAAPEHADCAAwAA8gcAEIEDAADxBwAwggMBAI8FACGIAwAAhAaIAyOJAwEAmQUAIY8DQACSBQAh4AMBAI8FACHhAwEAmQUAIeMDQACSBQAh5AMBAJkFACEL_wIAAPEHADCAAwAA8gcAEIEDAADxBwAwggMBAI8FACGIAwAAhAaIAyOJAwEAmQUAIY8DQACSBQAh4AMBAI8FACHhAwEAmQUAIeMDQACSBQAh5AMBAJkFACEHggMBAJcGACGIAwAA9AeIAyOJAwEAmAYAIY8DQACcBgAh4AMBAJcGACHjA0AAnAYAIeQDAQCYBgAhAYkEAAAAiAMDB4IDAQCXBgAhiAMAAPQHiAMjiQMBAJgGACGPA0AAnAYAIeADAQCXBgAh4wNAAJwGACHkAwEAmAYAIQeCAwEAAAABiAMAAACIAwOJAwEAAAABjwNAAAAAAeADAQAAAAHjA0AAAAAB5AMBAAAAAQgGAACGCAAgggMBAAAAAY8DQAAAAAHMAwEAAAAB4AMBAAAAAewDAAAA7AMD7QMAAADsAwLvAwEAAAABAgAAABYAIDEAAIUIACADAAAAFgAgMQAAhQgAIDIAAIMIACABLAAA_goAMA0GAACIBgAgCQAA8gUAIP8CAACFBgAwgAMAABQAEIEDAACFBgAwggMBAAAAAY8DQACSBQAhzAMBAI8FACHgAwEAmQUAIewDAACGBuwDI-0DAACHBuwDIu4DAQCZBQAh7wMBAJkFACECAAAAFgAgLAAAgwgAIAIAAAD_BwAgLAAAgAgAIAv_AgAA_gcAMIADAAD_BwAQgQMAAP4HADCCAwEAjwUAIY8DQACSBQAhzAMBAI8FACHgAwEAmQUAIewDAACGBuwDI-0DAACHBuwDIu4DAQCZBQAh7wMBAJkFACEL_wIAAP4HADCAAwAA_wcAEIEDAAD-BwAwggMBAI8FACGPA0AAkgUAIcwDAQCPBQAh4AMBAJkFACHsAwAAhgbsAyPtAwAAhwbsAyLuAwEAmQUAIe8DAQCZBQAhB4IDAQCXBgAhjwNAAJwGACHMAwEAlwYAIeADAQCYBgAh7AMAAIEI7AMj7QMAAIII7AMi7wMBAJgGACEBiQQAAADsAwMBiQQAAADsAwIIBgAAhAgAIIIDAQCXBgAhjwNAAJwGACHMAwEAlwYAIeADAQCYBgAh7AMAAIEI7AMj7QMAAIII7AMi7wMBAJgGACEFMQAA-QoAIDIAAPwKACCGBAAA-goAIIcEAAD7CgAgjAQAAAUAIAgGAACGCAAgggMBAAAAAY8DQAAAAAHMAwEAAAAB4AMBAAAAAewDAAAA7AMD7QMAAADsAwLvAwEAAAABAzEAAPkKACCGBAAA-goAIIwEAAAFACAQAwAArAgAIAUAAK0IACAiAACuCAAgIwAArwgAIIIDAQAAAAGDAwEAAAABiAMAAACIAwKLAwAAAOwDAo8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHxA0AAAAAB8gNAAAAAAfMDQAAAAAH0AwEAAAABAgAAAAUAIDEAAKsIACADAAAABQAgMQAAqwgAIDIAAJEIACABLAAA-AoAMBYDAADsBQAgBQAA_wUAICEAAPIFACAiAAC8BQAgIwAAkgYAIP8CAACRBgAwgAMAAAMAEIEDAACRBgAwggMBAAAAAYMDAQCPBQAhiAMAAJAFiAMiiwMAAIcG7AMijwNAAJIFACGtA0AAkgUAIdoDAQCPBQAh2wNAAJIFACHwAwEAmQUAIfEDQACVBQAh8gNAAJUFACHzA0AAlQUAIfQDAQCZBQAhggQAAJAGACACAAAABQAgLAAAkQgAIAIAAACPCAAgLAAAkAgAIBD_AgAAjggAMIADAACPCAAQgQMAAI4IADCCAwEAjwUAIYMDAQCPBQAhiAMAAJAFiAMiiwMAAIcG7AMijwNAAJIFACGtA0AAkgUAIdoDAQCPBQAh2wNAAJIFACHwAwEAmQUAIfEDQACVBQAh8gNAAJUFACHzA0AAlQUAIfQDAQCZBQAhEP8CAACOCAAwgAMAAI8IABCBAwAAjggAMIIDAQCPBQAhgwMBAI8FACGIAwAAkAWIAyKLAwAAhwbsAyKPA0AAkgUAIa0DQACSBQAh2gMBAI8FACHbA0AAkgUAIfADAQCZBQAh8QNAAJUFACHyA0AAlQUAIfMDQACVBQAh9AMBAJkFACEMggMBAJcGACGDAwEAlwYAIYgDAACZBogDIosDAACCCOwDIo8DQACcBgAhrQNAAJwGACHaAwEAlwYAIdsDQACcBgAh8QNAAJsGACHyA0AAmwYAIfMDQACbBgAh9AMBAJgGACEQAwAAkggAIAUAAJMIACAiAACUCAAgIwAAlQgAIIIDAQCXBgAhgwMBAJcGACGIAwAAmQaIAyKLAwAAggjsAyKPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAnAYAIfEDQACbBgAh8gNAAJsGACHzA0AAmwYAIfQDAQCYBgAhBTEAAOAKACAyAAD2CgAghgQAAOEKACCHBAAA9QoAIIwEAAABACAFMQAA3goAIDIAAPMKACCGBAAA3woAIIcEAADyCgAgjAQAAIkBACALMQAAoAgAMDIAAKQIADCGBAAAoQgAMIcEAACiCAAwiAQAAKMIACCJBAAA-wcAMIoEAAD7BwAwiwQAAPsHADCMBAAA-wcAMI0EAAClCAAwjgQAAP4HADAHMQAAlggAIDIAAJkIACCGBAAAlwgAIIcEAACYCAAgigQAAAgAIIsEAAAIACCMBAAACgAgCgMAAJ4IACAFAACfCAAgggMBAAAAAYMDAQAAAAGLAwAAAOoDAo8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHqA0AAAAABAgAAAAoAIDEAAJYIACADAAAACAAgMQAAlggAIDIAAJoIACAMAAAACAAgAwAAnAgAIAUAAJ0IACAsAACaCAAgggMBAJcGACGDAwEAlwYAIYsDAACbCOoDIo8DQACcBgAhrQNAAJwGACHaAwEAlwYAIdsDQACcBgAh6gNAAJsGACEKAwAAnAgAIAUAAJ0IACCCAwEAlwYAIYMDAQCXBgAhiwMAAJsI6gMijwNAAJwGACGtA0AAnAYAIdoDAQCXBgAh2wNAAJwGACHqA0AAmwYAIQGJBAAAAOoDAgUxAADqCgAgMgAA8AoAIIYEAADrCgAghwQAAO8KACCMBAAAAQAgBTEAAOgKACAyAADtCgAghgQAAOkKACCHBAAA7AoAIIwEAACJAQAgAzEAAOoKACCGBAAA6woAIIwEAAABACADMQAA6AoAIIYEAADpCgAgjAQAAIkBACAICQAAqggAIIIDAQAAAAGPA0AAAAAB4AMBAAAAAewDAAAA7AMD7QMAAADsAwLuAwEAAAAB7wMBAAAAAQIAAAAWACAxAACpCAAgAwAAABYAIDEAAKkIACAyAACnCAAgASwAAOcKADACAAAAFgAgLAAApwgAIAIAAAD_BwAgLAAApggAIAeCAwEAlwYAIY8DQACcBgAh4AMBAJgGACHsAwAAgQjsAyPtAwAAggjsAyLuAwEAmAYAIe8DAQCYBgAhCAkAAKgIACCCAwEAlwYAIY8DQACcBgAh4AMBAJgGACHsAwAAgQjsAyPtAwAAggjsAyLuAwEAmAYAIe8DAQCYBgAhBzEAAOIKACAyAADlCgAghgQAAOMKACCHBAAA5AoAIIoEAAARACCLBAAAEQAgjAQAANYCACAICQAAqggAIIIDAQAAAAGPA0AAAAAB4AMBAAAAAewDAAAA7AMD7QMAAADsAwLuAwEAAAAB7wMBAAAAAQMxAADiCgAghgQAAOMKACCMBAAA1gIAIBADAACsCAAgBQAArQgAICIAAK4IACAjAACvCAAgggMBAAAAAYMDAQAAAAGIAwAAAIgDAosDAAAA7AMCjwNAAAAAAa0DQAAAAAHaAwEAAAAB2wNAAAAAAfEDQAAAAAHyA0AAAAAB8wNAAAAAAfQDAQAAAAEDMQAA4AoAIIYEAADhCgAgjAQAAAEAIAMxAADeCgAghgQAAN8KACCMBAAAiQEAIAQxAACgCAAwhgQAAKEIADCIBAAAowgAIIwEAAD7BwAwAzEAAJYIACCGBAAAlwgAIIwEAAAKACAEMQAAhwgAMIYEAACICAAwiAQAAIoIACCMBAAAiwgAMAQxAAD3BwAwhgQAAPgHADCIBAAA-gcAIIwEAAD7BwAwBDEAAOoHADCGBAAA6wcAMIgEAADtBwAgjAQAAO4HADAEMQAA2gcAMIYEAADbBwAwiAQAAN0HACCMBAAA3gcAMAQxAADMBwAwhgQAAM0HADCIBAAAzwcAIIwEAADQBwAwBDEAAL4HADCGBAAAvwcAMIgEAADBBwAgjAQAAMIHADAEMQAArwcAMIYEAACwBwAwiAQAALIHACCMBAAAswcAMAQxAACmBwAwhgQAAKcHADCIBAAAqQcAIIwEAADUBgAwBDEAAJoHADCGBAAAmwcAMIgEAACdBwAgjAQAAJ4HADAEMQAAjgcAMIYEAACPBwAwiAQAAJEHACCMBAAAkgcAMAQxAACCBwAwhgQAAIMHADCIBAAAhQcAIIwEAACGBwAwAAAAAAAAAAAAAAGbAwEAAAABAAAABzEAANkKACAyAADcCgAghgQAANoKACCHBAAA2woAIIoEAAARACCLBAAAEQAgjAQAANYCACADMQAA2QoAIIYEAADaCgAgjAQAANYCACAAAAAHMQAA1AoAIDIAANcKACCGBAAA1QoAIIcEAADWCgAgigQAABEAIIsEAAARACCMBAAA1gIAIAMxAADUCgAghgQAANUKACCMBAAA1gIAIAAAAAsxAADeCAAwMgAA4ggAMIYEAADfCAAwhwQAAOAIADCIBAAA4QgAIIkEAADeBwAwigQAAN4HADCLBAAA3gcAMIwEAADeBwAwjQQAAOMIADCOBAAA4QcAMAsxAADVCAAwMgAA2QgAMIYEAADWCAAwhwQAANcIADCIBAAA2AgAIIkEAADQBwAwigQAANAHADCLBAAA0AcAMIwEAADQBwAwjQQAANoIADCOBAAA0wcAMAcLAADPCAAgggMBAAAAAY8DQAAAAAHeA0AAAAAB3wNAAAAAAeADAQAAAAHhAwEAAAABAgAAACEAIDEAAN0IACADAAAAIQAgMQAA3QgAIDIAANwIACABLAAA0woAMAIAAAAhACAsAADcCAAgAgAAANQHACAsAADbCAAgBoIDAQCXBgAhjwNAAJwGACHeA0AAnAYAId8DQACcBgAh4AMBAJcGACHhAwEAmAYAIQcLAADOCAAgggMBAJcGACGPA0AAnAYAId4DQACcBgAh3wNAAJwGACHgAwEAlwYAIeEDAQCYBgAhBwsAAM8IACCCAwEAAAABjwNAAAAAAd4DQAAAAAHfA0AAAAAB4AMBAAAAAeEDAQAAAAEIBQAA6AcAIB8AAMoIACCCAwEAAAABjwNAAAAAAa0DQAAAAAHaAwEAAAAB2wNAAAAAAdwDAQAAAAECAAAADwAgMQAA5ggAIAMAAAAPACAxAADmCAAgMgAA5QgAIAEsAADSCgAwAgAAAA8AICwAAOUIACACAAAA4gcAICwAAOQIACAGggMBAJcGACGPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAmwYAIdwDAQCYBgAhCAUAAOUHACAfAADJCAAgggMBAJcGACGPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAmwYAIdwDAQCYBgAhCAUAAOgHACAfAADKCAAgggMBAAAAAY8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHcAwEAAAABBDEAAN4IADCGBAAA3wgAMIgEAADhCAAgjAQAAN4HADAEMQAA1QgAMIYEAADWCAAwiAQAANgIACCMBAAA0AcAMAGbAwEAAAABAAAABzEAAM0KACAyAADQCgAghgQAAM4KACCHBAAAzwoAIIoEAAARACCLBAAAEQAgjAQAANYCACADMQAAzQoAIIYEAADOCgAgjAQAANYCACAAAAAHMQAAyAoAIDIAAMsKACCGBAAAyQoAIIcEAADKCgAgigQAABEAIIsEAAARACCMBAAA1gIAIAMxAADICgAghgQAAMkKACCMBAAA1gIAIAAAAAcxAADDCgAgMgAAxgoAIIYEAADECgAghwQAAMUKACCKBAAAAwAgiwQAAAMAIIwEAAAFACADMQAAwwoAIIYEAADECgAgjAQAAAUAIAAAAAAAAAcxAAC-CgAgMgAAwQoAIIYEAAC_CgAghwQAAMAKACCKBAAAEQAgiwQAABEAIIwEAADWAgAgAzEAAL4KACCGBAAAvwoAIIwEAADWAgAgAAAAAAAHMQAAuQoAIDIAALwKACCGBAAAugoAIIcEAAC7CgAgigQAABEAIIsEAAARACCMBAAA1gIAIAMxAAC5CgAghgQAALoKACCMBAAA1gIAIAAAAAAAAYkEAAAA-wMCCzEAALAJADAyAAC0CQAwhgQAALEJADCHBAAAsgkAMIgEAACzCQAgiQQAAIsIADCKBAAAiwgAMIsEAACLCAAwjAQAAIsIADCNBAAAtQkAMI4EAACOCAAwCzEAAKQJADAyAACpCQAwhgQAAKUJADCHBAAApgkAMIgEAACnCQAgiQQAAKgJADCKBAAAqAkAMIsEAACoCQAwjAQAAKgJADCNBAAAqgkAMI4EAACrCQAwCzEAAJsJADAyAACfCQAwhgQAAJwJADCHBAAAnQkAMIgEAACeCQAgiQQAAN4HADCKBAAA3gcAMIsEAADeBwAwjAQAAN4HADCNBAAAoAkAMI4EAADhBwAwCzEAAJIJADAyAACWCQAwhgQAAJMJADCHBAAAlAkAMIgEAACVCQAgiQQAALMHADCKBAAAswcAMIsEAACzBwAwjAQAALMHADCNBAAAlwkAMI4EAAC2BwAwCxMAAIcJACCCAwEAAAABiwMAAAD3AwKPA0AAAAABrQNAAAAAAdsDQAAAAAHjA0AAAAAB9QMCAAAAAfcDIAAAAAH4AwEAAAAB-QMBAAAAAQIAAAAvACAxAACaCQAgAwAAAC8AIDEAAJoJACAyAACZCQAgASwAALgKADACAAAALwAgLAAAmQkAIAIAAAC3BwAgLAAAmAkAIAqCAwEAlwYAIYsDAAC5B_cDIo8DQACcBgAhrQNAAJwGACHbA0AAnAYAIeMDQACcBgAh9QMCAPYGACH3AyAAwgYAIfgDAQCYBgAh-QMBAJgGACELEwAAhgkAIIIDAQCXBgAhiwMAALkH9wMijwNAAJwGACGtA0AAnAYAIdsDQACcBgAh4wNAAJwGACH1AwIA9gYAIfcDIADCBgAh-AMBAJgGACH5AwEAmAYAIQsTAACHCQAgggMBAAAAAYsDAAAA9wMCjwNAAAAAAa0DQAAAAAHbA0AAAAAB4wNAAAAAAfUDAgAAAAH3AyAAAAAB-AMBAAAAAfkDAQAAAAEIEAAA6QcAIB8AAMoIACCCAwEAAAABjwNAAAAAAa0DQAAAAAHbA0AAAAAB3AMBAAAAAd0DAQAAAAECAAAADwAgMQAAowkAIAMAAAAPACAxAACjCQAgMgAAogkAIAEsAAC3CgAwAgAAAA8AICwAAKIJACACAAAA4gcAICwAAKEJACAGggMBAJcGACGPA0AAnAYAIa0DQACcBgAh2wNAAJsGACHcAwEAmAYAId0DAQCYBgAhCBAAAOYHACAfAADJCAAgggMBAJcGACGPA0AAnAYAIa0DQACcBgAh2wNAAJsGACHcAwEAmAYAId0DAQCYBgAhCBAAAOkHACAfAADKCAAgggMBAAAAAY8DQAAAAAGtA0AAAAAB2wNAAAAAAdwDAQAAAAHdAwEAAAABCgMAAJ4IACAGAAD4CAAgggMBAAAAAYMDAQAAAAGLAwAAAOoDAo8DQAAAAAGtA0AAAAABzAMBAAAAAdsDQAAAAAHqA0AAAAABAgAAAAoAIDEAAK8JACADAAAACgAgMQAArwkAIDIAAK4JACABLAAAtgoAMBADAADsBQAgBQAA_wUAIAYAAI8GACD_AgAAjQYAMIADAAAIABCBAwAAjQYAMIIDAQAAAAGDAwEAjwUAIYsDAACOBuoDIo8DQACSBQAhrQNAAJIFACHMAwEAAAAB2gMBAI8FACHbA0AAkgUAIeoDQACVBQAhggQAAIwGACACAAAACgAgLAAArgkAIAIAAACsCQAgLAAArQkAIAz_AgAAqwkAMIADAACsCQAQgQMAAKsJADCCAwEAjwUAIYMDAQCPBQAhiwMAAI4G6gMijwNAAJIFACGtA0AAkgUAIcwDAQCZBQAh2gMBAI8FACHbA0AAkgUAIeoDQACVBQAhDP8CAACrCQAwgAMAAKwJABCBAwAAqwkAMIIDAQCPBQAhgwMBAI8FACGLAwAAjgbqAyKPA0AAkgUAIa0DQACSBQAhzAMBAJkFACHaAwEAjwUAIdsDQACSBQAh6gNAAJUFACEIggMBAJcGACGDAwEAlwYAIYsDAACbCOoDIo8DQACcBgAhrQNAAJwGACHMAwEAmAYAIdsDQACcBgAh6gNAAJsGACEKAwAAnAgAIAYAAPcIACCCAwEAlwYAIYMDAQCXBgAhiwMAAJsI6gMijwNAAJwGACGtA0AAnAYAIcwDAQCYBgAh2wNAAJwGACHqA0AAmwYAIQoDAACeCAAgBgAA-AgAIIIDAQAAAAGDAwEAAAABiwMAAADqAwKPA0AAAAABrQNAAAAAAcwDAQAAAAHbA0AAAAAB6gNAAAAAARADAACsCAAgIQAAgAkAICIAAK4IACAjAACvCAAgggMBAAAAAYMDAQAAAAGIAwAAAIgDAosDAAAA7AMCjwNAAAAAAa0DQAAAAAHbA0AAAAAB8AMBAAAAAfEDQAAAAAHyA0AAAAAB8wNAAAAAAfQDAQAAAAECAAAABQAgMQAAuAkAIAMAAAAFACAxAAC4CQAgMgAAtwkAIAEsAAC1CgAwAgAAAAUAICwAALcJACACAAAAjwgAICwAALYJACAMggMBAJcGACGDAwEAlwYAIYgDAACZBogDIosDAACCCOwDIo8DQACcBgAhrQNAAJwGACHbA0AAnAYAIfADAQCYBgAh8QNAAJsGACHyA0AAmwYAIfMDQACbBgAh9AMBAJgGACEQAwAAkggAICEAAP8IACAiAACUCAAgIwAAlQgAIIIDAQCXBgAhgwMBAJcGACGIAwAAmQaIAyKLAwAAggjsAyKPA0AAnAYAIa0DQACcBgAh2wNAAJwGACHwAwEAmAYAIfEDQACbBgAh8gNAAJsGACHzA0AAmwYAIfQDAQCYBgAhEAMAAKwIACAhAACACQAgIgAArggAICMAAK8IACCCAwEAAAABgwMBAAAAAYgDAAAAiAMCiwMAAADsAwKPA0AAAAABrQNAAAAAAdsDQAAAAAHwAwEAAAAB8QNAAAAAAfIDQAAAAAHzA0AAAAAB9AMBAAAAAQQxAACwCQAwhgQAALEJADCIBAAAswkAIIwEAACLCAAwBDEAAKQJADCGBAAApQkAMIgEAACnCQAgjAQAAKgJADAEMQAAmwkAMIYEAACcCQAwiAQAAJ4JACCMBAAA3gcAMAQxAACSCQAwhgQAAJMJADCIBAAAlQkAIIwEAACzBwAwAAGbAwEAAAABAAAAAYkEAAAAgAQCCzEAAIYKADAyAACKCgAwhgQAAIcKADCHBAAAiAoAMIgEAACJCgAgiQQAAIsIADCKBAAAiwgAMIsEAACLCAAwjAQAAIsIADCNBAAAiwoAMI4EAACOCAAwCzEAAP0JADAyAACBCgAwhgQAAP4JADCHBAAA_wkAMIgEAACACgAgiQQAAKgJADCKBAAAqAkAMIsEAACoCQAwjAQAAKgJADCNBAAAggoAMI4EAACrCQAwCzEAAPQJADAyAAD4CQAwhgQAAPUJADCHBAAA9gkAMIgEAAD3CQAgiQQAAMIHADCKBAAAwgcAMIsEAADCBwAwjAQAAMIHADCNBAAA-QkAMI4EAADFBwAwCzEAAOgJADAyAADtCQAwhgQAAOkJADCHBAAA6gkAMIgEAADrCQAgiQQAAOwJADCKBAAA7AkAMIsEAADsCQAwjAQAAOwJADCNBAAA7gkAMI4EAADvCQAwCzEAAN8JADAyAADjCQAwhgQAAOAJADCHBAAA4QkAMIgEAADiCQAgiQQAAJ4HADCKBAAAngcAMIsEAACeBwAwjAQAAJ4HADCNBAAA5AkAMI4EAAChBwAwCzEAANYJADAyAADaCQAwhgQAANcJADCHBAAA2AkAMIgEAADZCQAgiQQAAJIHADCKBAAAkgcAMIsEAACSBwAwjAQAAJIHADCNBAAA2wkAMI4EAACVBwAwCzEAAMoJADAyAADPCQAwhgQAAMsJADCHBAAAzAkAMIgEAADNCQAgiQQAAM4JADCKBAAAzgkAMIsEAADOCQAwjAQAAM4JADCNBAAA0AkAMI4EAADRCQAwB4IDAQAAAAGPA0AAAAABnAMBAAAAAZ4DAAAAngMCnwMCAAAAAaADQAAAAAGhA0AAAAABAgAAAGwAIDEAANUJACADAAAAbAAgMQAA1QkAIDIAANQJACABLAAAtAoAMAwDAADsBQAg_wIAAOoFADCAAwAAagAQgQMAAOoFADCCAwEAAAABgwMBAI8FACGPA0AAkgUAIZwDAQCPBQAhngMAAOsFngMinwMCAI4FACGgA0AAkgUAIaEDQACVBQAhAgAAAGwAICwAANQJACACAAAA0gkAICwAANMJACAL_wIAANEJADCAAwAA0gkAEIEDAADRCQAwggMBAI8FACGDAwEAjwUAIY8DQACSBQAhnAMBAI8FACGeAwAA6wWeAyKfAwIAjgUAIaADQACSBQAhoQNAAJUFACEL_wIAANEJADCAAwAA0gkAEIEDAADRCQAwggMBAI8FACGDAwEAjwUAIY8DQACSBQAhnAMBAI8FACGeAwAA6wWeAyKfAwIAjgUAIaADQACSBQAhoQNAAJUFACEHggMBAJcGACGPA0AAnAYAIZwDAQCXBgAhngMAAKQGngMinwMCAKUGACGgA0AAnAYAIaEDQACbBgAhB4IDAQCXBgAhjwNAAJwGACGcAwEAlwYAIZ4DAACkBp4DIp8DAgClBgAhoANAAJwGACGhA0AAmwYAIQeCAwEAAAABjwNAAAAAAZwDAQAAAAGeAwAAAJ4DAp8DAgAAAAGgA0AAAAABoQNAAAAAAQkbAAC5BgAgggMBAAAAAY8DQAAAAAGgA0AAAAABrgMBAAAAAa8DAQAAAAGwAwEAAAABsQNAAAAAAbIDQAAAAAECAAAAQgAgMQAA3gkAIAMAAABCACAxAADeCQAgMgAA3QkAIAEsAACzCgAwAgAAAEIAICwAAN0JACACAAAAlgcAICwAANwJACAIggMBAJcGACGPA0AAnAYAIaADQACcBgAhrgMBAJgGACGvAwEAmAYAIbADAQCYBgAhsQNAAJwGACGyA0AAmwYAIQkbAAC3BgAgggMBAJcGACGPA0AAnAYAIaADQACcBgAhrgMBAJgGACGvAwEAmAYAIbADAQCYBgAhsQNAAJwGACGyA0AAmwYAIQkbAAC5BgAgggMBAAAAAY8DQAAAAAGgA0AAAAABrgMBAAAAAa8DAQAAAAGwAwEAAAABsQNAAAAAAbIDQAAAAAEIGQAA6gYAICyAAAAAAYIDAQAAAAGPA0AAAAABzAMBAAAAAc0DAQAAAAHOAwEAAAABzwMBAAAAAQIAAAA7ACAxAADnCQAgAwAAADsAIDEAAOcJACAyAADmCQAgASwAALIKADACAAAAOwAgLAAA5gkAIAIAAACiBwAgLAAA5QkAIAcsgAAAAAGCAwEAlwYAIY8DQACcBgAhzAMBAJgGACHNAwEAlwYAIc4DAQCXBgAhzwMBAJgGACEIGQAA6AYAICyAAAAAAYIDAQCXBgAhjwNAAJwGACHMAwEAmAYAIc0DAQCXBgAhzgMBAJcGACHPAwEAmAYAIQgZAADqBgAgLIAAAAABggMBAAAAAY8DQAAAAAHMAwEAAAABzQMBAAAAAc4DAQAAAAHPAwEAAAABC4IDAQAAAAGLAwAAAMwDAo8DQAAAAAGeAwAAAJ4DAr4DAQAAAAHGAwEAAAABxwMBAAAAAcgDAQAAAAHJAwEAAAABygMBAAAAAcwDAQAAAAECAAAAZQAgMQAA8wkAIAMAAABlACAxAADzCQAgMgAA8gkAIAEsAACxCgAwEAMAAO8FACD_AgAA7QUAMIADAABjABCBAwAA7QUAMIIDAQAAAAGDAwEAmQUAIYsDAADuBcwDIo8DQACSBQAhngMAAOsFngMivgMBAJkFACHGAwEAjwUAIccDAQCPBQAhyAMBAI8FACHJAwEAmQUAIcoDAQCPBQAhzAMBAJkFACECAAAAZQAgLAAA8gkAIAIAAADwCQAgLAAA8QkAIA__AgAA7wkAMIADAADwCQAQgQMAAO8JADCCAwEAjwUAIYMDAQCZBQAhiwMAAO4FzAMijwNAAJIFACGeAwAA6wWeAyK-AwEAmQUAIcYDAQCPBQAhxwMBAI8FACHIAwEAjwUAIckDAQCZBQAhygMBAI8FACHMAwEAmQUAIQ__AgAA7wkAMIADAADwCQAQgQMAAO8JADCCAwEAjwUAIYMDAQCZBQAhiwMAAO4FzAMijwNAAJIFACGeAwAA6wWeAyK-AwEAmQUAIcYDAQCPBQAhxwMBAI8FACHIAwEAjwUAIckDAQCZBQAhygMBAI8FACHMAwEAmQUAIQuCAwEAlwYAIYsDAADiBswDIo8DQACcBgAhngMAAKQGngMivgMBAJgGACHGAwEAlwYAIccDAQCXBgAhyAMBAJcGACHJAwEAmAYAIcoDAQCXBgAhzAMBAJgGACELggMBAJcGACGLAwAA4gbMAyKPA0AAnAYAIZ4DAACkBp4DIr4DAQCYBgAhxgMBAJcGACHHAwEAlwYAIcgDAQCXBgAhyQMBAJgGACHKAwEAlwYAIcwDAQCYBgAhC4IDAQAAAAGLAwAAAMwDAo8DQAAAAAGeAwAAAJ4DAr4DAQAAAAHGAwEAAAABxwMBAAAAAcgDAQAAAAHJAwEAAAABygMBAAAAAcwDAQAAAAEIEQAA8wgAIIIDAQAAAAGPA0AAAAAB4AMBAAAAAeUDQAAAAAHmA0AAAAAB5wNAAAAAAegDAQAAAAECAAAAKgAgMQAA_AkAIAMAAAAqACAxAAD8CQAgMgAA-wkAIAEsAACwCgAwAgAAACoAICwAAPsJACACAAAAxgcAICwAAPoJACAHggMBAJcGACGPA0AAnAYAIeADAQCXBgAh5QNAAJwGACHmA0AAnAYAIecDQACbBgAh6AMBAJgGACEIEQAA8ggAIIIDAQCXBgAhjwNAAJwGACHgAwEAlwYAIeUDQACcBgAh5gNAAJwGACHnA0AAmwYAIegDAQCYBgAhCBEAAPMIACCCAwEAAAABjwNAAAAAAeADAQAAAAHlA0AAAAAB5gNAAAAAAecDQAAAAAHoAwEAAAABCgUAAJ8IACAGAAD4CAAgggMBAAAAAYsDAAAA6gMCjwNAAAAAAa0DQAAAAAHMAwEAAAAB2gMBAAAAAdsDQAAAAAHqA0AAAAABAgAAAAoAIDEAAIUKACADAAAACgAgMQAAhQoAIDIAAIQKACABLAAArwoAMAIAAAAKACAsAACECgAgAgAAAKwJACAsAACDCgAgCIIDAQCXBgAhiwMAAJsI6gMijwNAAJwGACGtA0AAnAYAIcwDAQCYBgAh2gMBAJcGACHbA0AAnAYAIeoDQACbBgAhCgUAAJ0IACAGAAD3CAAgggMBAJcGACGLAwAAmwjqAyKPA0AAnAYAIa0DQACcBgAhzAMBAJgGACHaAwEAlwYAIdsDQACcBgAh6gNAAJsGACEKBQAAnwgAIAYAAPgIACCCAwEAAAABiwMAAADqAwKPA0AAAAABrQNAAAAAAcwDAQAAAAHaAwEAAAAB2wNAAAAAAeoDQAAAAAEQBQAArQgAICEAAIAJACAiAACuCAAgIwAArwgAIIIDAQAAAAGIAwAAAIgDAosDAAAA7AMCjwNAAAAAAa0DQAAAAAHaAwEAAAAB2wNAAAAAAfADAQAAAAHxA0AAAAAB8gNAAAAAAfMDQAAAAAH0AwEAAAABAgAAAAUAIDEAAI4KACADAAAABQAgMQAAjgoAIDIAAI0KACABLAAArgoAMAIAAAAFACAsAACNCgAgAgAAAI8IACAsAACMCgAgDIIDAQCXBgAhiAMAAJkGiAMiiwMAAIII7AMijwNAAJwGACGtA0AAnAYAIdoDAQCXBgAh2wNAAJwGACHwAwEAmAYAIfEDQACbBgAh8gNAAJsGACHzA0AAmwYAIfQDAQCYBgAhEAUAAJMIACAhAAD_CAAgIgAAlAgAICMAAJUIACCCAwEAlwYAIYgDAACZBogDIosDAACCCOwDIo8DQACcBgAhrQNAAJwGACHaAwEAlwYAIdsDQACcBgAh8AMBAJgGACHxA0AAmwYAIfIDQACbBgAh8wNAAJsGACH0AwEAmAYAIRAFAACtCAAgIQAAgAkAICIAAK4IACAjAACvCAAgggMBAAAAAYgDAAAAiAMCiwMAAADsAwKPA0AAAAABrQNAAAAAAdoDAQAAAAHbA0AAAAAB8AMBAAAAAfEDQAAAAAHyA0AAAAAB8wNAAAAAAfQDAQAAAAEEMQAAhgoAMIYEAACHCgAwiAQAAIkKACCMBAAAiwgAMAQxAAD9CQAwhgQAAP4JADCIBAAAgAoAIIwEAACoCQAwBDEAAPQJADCGBAAA9QkAMIgEAAD3CQAgjAQAAMIHADAEMQAA6AkAMIYEAADpCQAwiAQAAOsJACCMBAAA7AkAMAQxAADfCQAwhgQAAOAJADCIBAAA4gkAIIwEAACeBwAwBDEAANYJADCGBAAA1wkAMIgEAADZCQAgjAQAAJIHADAEMQAAygkAMIYEAADLCQAwiAQAAM0JACCMBAAAzgkAMAAAAZsDAQAAAAELBAAAuwgAIAcAAL0JACAaAADCCAAgHAAAwwgAICQAAMAIACAlAACWCgAgJgAAlwoAIIYDAACTBgAg_gMAAJMGACCABAAAkwYAIIUEAACYCgAgAZsDAQAAAAEBmwMBAAAAARMIAAC7CAAgCgAAvAgAIAwAAL0IACANAAC-CAAgDgAAvwgAIBIAAMAIACAUAADBCAAgGAAA3QYAIBoAAMIIACAcAADDCAAgHgAAxAgAIIkDAACTBgAg1AMAAJMGACDVAwAAkwYAINYDAACTBgAg1wMAAJMGACDYAwAAkwYAINkDAACTBgAghQQAAMUIACABmwMBAAAAAQGbAwEAAAABAZsDAQAAAAEEFQAA3QYAIKwDAACTBgAgwgMAAJMGACCFBAAA3gYAIAGbAwEAAAABBgQAALsIACAHAAC9CQAgDQAAvggAICAAAMEIACD8AwAAkwYAIIUEAAC-CQAgAZsDAQAAAAEBmwMBAAAAAQMNAAC-CAAgDgAAvwgAIIUEAADpCAAgAZsDAQAAAAEBmwMBAAAAAQsDAACZCgAgBQAAogoAICEAAJwKACAiAAC8CAAgIwAArAoAIPADAACTBgAg8QMAAJMGACDyAwAAkwYAIPMDAACTBgAg9AMAAJMGACCFBAAArQoAIAGbAwEAAAABAZsDAQAAAAEBmwMBAAAAAQYDAACZCgAgBQAAogoAIAYAAKgKACDMAwAAkwYAIOoDAACTBgAghQQAAKsKACABmwMBAAAAAQyCAwEAAAABiAMAAACIAwKLAwAAAOwDAo8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHwAwEAAAAB8QNAAAAAAfIDQAAAAAHzA0AAAAAB9AMBAAAAAQiCAwEAAAABiwMAAADqAwKPA0AAAAABrQNAAAAAAcwDAQAAAAHaAwEAAAAB2wNAAAAAAeoDQAAAAAEHggMBAAAAAY8DQAAAAAHgAwEAAAAB5QNAAAAAAeYDQAAAAAHnA0AAAAAB6AMBAAAAAQuCAwEAAAABiwMAAADMAwKPA0AAAAABngMAAACeAwK-AwEAAAABxgMBAAAAAccDAQAAAAHIAwEAAAAByQMBAAAAAcoDAQAAAAHMAwEAAAABByyAAAAAAYIDAQAAAAGPA0AAAAABzAMBAAAAAc0DAQAAAAHOAwEAAAABzwMBAAAAAQiCAwEAAAABjwNAAAAAAaADQAAAAAGuAwEAAAABrwMBAAAAAbADAQAAAAGxA0AAAAABsgNAAAAAAQeCAwEAAAABjwNAAAAAAZwDAQAAAAGeAwAAAJ4DAp8DAgAAAAGgA0AAAAABoQNAAAAAAQyCAwEAAAABgwMBAAAAAYgDAAAAiAMCiwMAAADsAwKPA0AAAAABrQNAAAAAAdsDQAAAAAHwAwEAAAAB8QNAAAAAAfIDQAAAAAHzA0AAAAAB9AMBAAAAAQiCAwEAAAABgwMBAAAAAYsDAAAA6gMCjwNAAAAAAa0DQAAAAAHMAwEAAAAB2wNAAAAAAeoDQAAAAAEGggMBAAAAAY8DQAAAAAGtA0AAAAAB2wNAAAAAAdwDAQAAAAHdAwEAAAABCoIDAQAAAAGLAwAAAPcDAo8DQAAAAAGtA0AAAAAB2wNAAAAAAeMDQAAAAAH1AwIAAAAB9wMgAAAAAfgDAQAAAAH5AwEAAAABGAgAALAIACAKAACxCAAgDAAAsggAIA0AALMIACAOAAC0CAAgEgAAtQgAIBgAALcIACAaAAC4CAAgHAAAuQgAIB4AALoIACCCAwEAAAABhAMBAAAAAYUDAQAAAAGJAwEAAAABjwNAAAAAAa0DQAAAAAHRAwEAAAAB0wMAAADTAwLUA0AAAAAB1QNAAAAAAdYDAQAAAAHXA0AAAAAB2AMCAAAAAdkDgAAAAAECAAAA1gIAIDEAALkKACADAAAAEQAgMQAAuQoAIDIAAL0KACAaAAAAEQAgCAAA9wYAIAoAAPgGACAMAAD5BgAgDQAA-gYAIA4AAPsGACASAAD8BgAgGAAA_gYAIBoAAP8GACAcAACABwAgHgAAgQcAICwAAL0KACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGJAwEAmAYAIY8DQACcBgAhrQNAAJwGACHRAwEAlwYAIdMDAAD1BtMDItQDQACbBgAh1QNAAJsGACHWAwEAmAYAIdcDQACbBgAh2AMCAPYGACHZA4AAAAABGAgAAPcGACAKAAD4BgAgDAAA-QYAIA0AAPoGACAOAAD7BgAgEgAA_AYAIBgAAP4GACAaAAD_BgAgHAAAgAcAIB4AAIEHACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGJAwEAmAYAIY8DQACcBgAhrQNAAJwGACHRAwEAlwYAIdMDAAD1BtMDItQDQACbBgAh1QNAAJsGACHWAwEAmAYAIdcDQACbBgAh2AMCAPYGACHZA4AAAAABGAoAALEIACAMAACyCAAgDQAAswgAIA4AALQIACASAAC1CAAgFAAAtggAIBgAALcIACAaAAC4CAAgHAAAuQgAIB4AALoIACCCAwEAAAABhAMBAAAAAYUDAQAAAAGJAwEAAAABjwNAAAAAAa0DQAAAAAHRAwEAAAAB0wMAAADTAwLUA0AAAAAB1QNAAAAAAdYDAQAAAAHXA0AAAAAB2AMCAAAAAdkDgAAAAAECAAAA1gIAIDEAAL4KACADAAAAEQAgMQAAvgoAIDIAAMIKACAaAAAAEQAgCgAA-AYAIAwAAPkGACANAAD6BgAgDgAA-wYAIBIAAPwGACAUAAD9BgAgGAAA_gYAIBoAAP8GACAcAACABwAgHgAAgQcAICwAAMIKACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGJAwEAmAYAIY8DQACcBgAhrQNAAJwGACHRAwEAlwYAIdMDAAD1BtMDItQDQACbBgAh1QNAAJsGACHWAwEAmAYAIdcDQACbBgAh2AMCAPYGACHZA4AAAAABGAoAAPgGACAMAAD5BgAgDQAA-gYAIA4AAPsGACASAAD8BgAgFAAA_QYAIBgAAP4GACAaAAD_BgAgHAAAgAcAIB4AAIEHACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGJAwEAmAYAIY8DQACcBgAhrQNAAJwGACHRAwEAlwYAIdMDAAD1BtMDItQDQACbBgAh1QNAAJsGACHWAwEAmAYAIdcDQACbBgAh2AMCAPYGACHZA4AAAAABEQMAAKwIACAFAACtCAAgIQAAgAkAICIAAK4IACCCAwEAAAABgwMBAAAAAYgDAAAAiAMCiwMAAADsAwKPA0AAAAABrQNAAAAAAdoDAQAAAAHbA0AAAAAB8AMBAAAAAfEDQAAAAAHyA0AAAAAB8wNAAAAAAfQDAQAAAAECAAAABQAgMQAAwwoAIAMAAAADACAxAADDCgAgMgAAxwoAIBMAAAADACADAACSCAAgBQAAkwgAICEAAP8IACAiAACUCAAgLAAAxwoAIIIDAQCXBgAhgwMBAJcGACGIAwAAmQaIAyKLAwAAggjsAyKPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAnAYAIfADAQCYBgAh8QNAAJsGACHyA0AAmwYAIfMDQACbBgAh9AMBAJgGACERAwAAkggAIAUAAJMIACAhAAD_CAAgIgAAlAgAIIIDAQCXBgAhgwMBAJcGACGIAwAAmQaIAyKLAwAAggjsAyKPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAnAYAIfADAQCYBgAh8QNAAJsGACHyA0AAmwYAIfMDQACbBgAh9AMBAJgGACEYCAAAsAgAIAoAALEIACAMAACyCAAgDQAAswgAIA4AALQIACAUAAC2CAAgGAAAtwgAIBoAALgIACAcAAC5CAAgHgAAuggAIIIDAQAAAAGEAwEAAAABhQMBAAAAAYkDAQAAAAGPA0AAAAABrQNAAAAAAdEDAQAAAAHTAwAAANMDAtQDQAAAAAHVA0AAAAAB1gMBAAAAAdcDQAAAAAHYAwIAAAAB2QOAAAAAAQIAAADWAgAgMQAAyAoAIAMAAAARACAxAADICgAgMgAAzAoAIBoAAAARACAIAAD3BgAgCgAA-AYAIAwAAPkGACANAAD6BgAgDgAA-wYAIBQAAP0GACAYAAD-BgAgGgAA_wYAIBwAAIAHACAeAACBBwAgLAAAzAoAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYkDAQCYBgAhjwNAAJwGACGtA0AAnAYAIdEDAQCXBgAh0wMAAPUG0wMi1ANAAJsGACHVA0AAmwYAIdYDAQCYBgAh1wNAAJsGACHYAwIA9gYAIdkDgAAAAAEYCAAA9wYAIAoAAPgGACAMAAD5BgAgDQAA-gYAIA4AAPsGACAUAAD9BgAgGAAA_gYAIBoAAP8GACAcAACABwAgHgAAgQcAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYkDAQCYBgAhjwNAAJwGACGtA0AAnAYAIdEDAQCXBgAh0wMAAPUG0wMi1ANAAJsGACHVA0AAmwYAIdYDAQCYBgAh1wNAAJsGACHYAwIA9gYAIdkDgAAAAAEYCAAAsAgAIAoAALEIACANAACzCAAgDgAAtAgAIBIAALUIACAUAAC2CAAgGAAAtwgAIBoAALgIACAcAAC5CAAgHgAAuggAIIIDAQAAAAGEAwEAAAABhQMBAAAAAYkDAQAAAAGPA0AAAAABrQNAAAAAAdEDAQAAAAHTAwAAANMDAtQDQAAAAAHVA0AAAAAB1gMBAAAAAdcDQAAAAAHYAwIAAAAB2QOAAAAAAQIAAADWAgAgMQAAzQoAIAMAAAARACAxAADNCgAgMgAA0QoAIBoAAAARACAIAAD3BgAgCgAA-AYAIA0AAPoGACAOAAD7BgAgEgAA_AYAIBQAAP0GACAYAAD-BgAgGgAA_wYAIBwAAIAHACAeAACBBwAgLAAA0QoAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYkDAQCYBgAhjwNAAJwGACGtA0AAnAYAIdEDAQCXBgAh0wMAAPUG0wMi1ANAAJsGACHVA0AAmwYAIdYDAQCYBgAh1wNAAJsGACHYAwIA9gYAIdkDgAAAAAEYCAAA9wYAIAoAAPgGACANAAD6BgAgDgAA-wYAIBIAAPwGACAUAAD9BgAgGAAA_gYAIBoAAP8GACAcAACABwAgHgAAgQcAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYkDAQCYBgAhjwNAAJwGACGtA0AAnAYAIdEDAQCXBgAh0wMAAPUG0wMi1ANAAJsGACHVA0AAmwYAIdYDAQCYBgAh1wNAAJsGACHYAwIA9gYAIdkDgAAAAAEGggMBAAAAAY8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHcAwEAAAABBoIDAQAAAAGPA0AAAAAB3gNAAAAAAd8DQAAAAAHgAwEAAAAB4QMBAAAAARgIAACwCAAgCgAAsQgAIAwAALIIACANAACzCAAgEgAAtQgAIBQAALYIACAYAAC3CAAgGgAAuAgAIBwAALkIACAeAAC6CAAgggMBAAAAAYQDAQAAAAGFAwEAAAABiQMBAAAAAY8DQAAAAAGtA0AAAAAB0QMBAAAAAdMDAAAA0wMC1ANAAAAAAdUDQAAAAAHWAwEAAAAB1wNAAAAAAdgDAgAAAAHZA4AAAAABAgAAANYCACAxAADUCgAgAwAAABEAIDEAANQKACAyAADYCgAgGgAAABEAIAgAAPcGACAKAAD4BgAgDAAA-QYAIA0AAPoGACASAAD8BgAgFAAA_QYAIBgAAP4GACAaAAD_BgAgHAAAgAcAIB4AAIEHACAsAADYCgAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhiQMBAJgGACGPA0AAnAYAIa0DQACcBgAh0QMBAJcGACHTAwAA9QbTAyLUA0AAmwYAIdUDQACbBgAh1gMBAJgGACHXA0AAmwYAIdgDAgD2BgAh2QOAAAAAARgIAAD3BgAgCgAA-AYAIAwAAPkGACANAAD6BgAgEgAA_AYAIBQAAP0GACAYAAD-BgAgGgAA_wYAIBwAAIAHACAeAACBBwAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhiQMBAJgGACGPA0AAnAYAIa0DQACcBgAh0QMBAJcGACHTAwAA9QbTAyLUA0AAmwYAIdUDQACbBgAh1gMBAJgGACHXA0AAmwYAIdgDAgD2BgAh2QOAAAAAARgIAACwCAAgCgAAsQgAIAwAALIIACAOAAC0CAAgEgAAtQgAIBQAALYIACAYAAC3CAAgGgAAuAgAIBwAALkIACAeAAC6CAAgggMBAAAAAYQDAQAAAAGFAwEAAAABiQMBAAAAAY8DQAAAAAGtA0AAAAAB0QMBAAAAAdMDAAAA0wMC1ANAAAAAAdUDQAAAAAHWAwEAAAAB1wNAAAAAAdgDAgAAAAHZA4AAAAABAgAAANYCACAxAADZCgAgAwAAABEAIDEAANkKACAyAADdCgAgGgAAABEAIAgAAPcGACAKAAD4BgAgDAAA-QYAIA4AAPsGACASAAD8BgAgFAAA_QYAIBgAAP4GACAaAAD_BgAgHAAAgAcAIB4AAIEHACAsAADdCgAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhiQMBAJgGACGPA0AAnAYAIa0DQACcBgAh0QMBAJcGACHTAwAA9QbTAyLUA0AAmwYAIdUDQACbBgAh1gMBAJgGACHXA0AAmwYAIdgDAgD2BgAh2QOAAAAAARgIAAD3BgAgCgAA-AYAIAwAAPkGACAOAAD7BgAgEgAA_AYAIBQAAP0GACAYAAD-BgAgGgAA_wYAIBwAAIAHACAeAACBBwAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhiQMBAJgGACGPA0AAnAYAIa0DQACcBgAh0QMBAJcGACHTAwAA9QbTAyLUA0AAmwYAIdUDQACbBgAh1gMBAJgGACHXA0AAmwYAIdgDAgD2BgAh2QOAAAAAAQwHAAC6CQAgDQAAuwkAICAAALwJACCCAwEAAAABiAMAAACIAwKJAwEAAAABjwNAAAAAAa0DQAAAAAHkAwEAAAAB9QMCAAAAAfsDAAAA-wMC_AOAAAAAAQIAAACJAQAgMQAA3goAIBEHAACQCgAgGgAAkwoAIBwAAJQKACAkAACRCgAgJQAAkgoAICYAAJUKACCCAwEAAAABhAMBAAAAAYUDAQAAAAGGAwEAAAABiAMAAACIAwKJAwEAAAABiwMAAACABAKPA0AAAAABrQNAAAAAAf4DAQAAAAGABEAAAAABAgAAAAEAIDEAAOAKACAYCAAAsAgAIAwAALIIACANAACzCAAgDgAAtAgAIBIAALUIACAUAAC2CAAgGAAAtwgAIBoAALgIACAcAAC5CAAgHgAAuggAIIIDAQAAAAGEAwEAAAABhQMBAAAAAYkDAQAAAAGPA0AAAAABrQNAAAAAAdEDAQAAAAHTAwAAANMDAtQDQAAAAAHVA0AAAAAB1gMBAAAAAdcDQAAAAAHYAwIAAAAB2QOAAAAAAQIAAADWAgAgMQAA4goAIAMAAAARACAxAADiCgAgMgAA5goAIBoAAAARACAIAAD3BgAgDAAA-QYAIA0AAPoGACAOAAD7BgAgEgAA_AYAIBQAAP0GACAYAAD-BgAgGgAA_wYAIBwAAIAHACAeAACBBwAgLAAA5goAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYkDAQCYBgAhjwNAAJwGACGtA0AAnAYAIdEDAQCXBgAh0wMAAPUG0wMi1ANAAJsGACHVA0AAmwYAIdYDAQCYBgAh1wNAAJsGACHYAwIA9gYAIdkDgAAAAAEYCAAA9wYAIAwAAPkGACANAAD6BgAgDgAA-wYAIBIAAPwGACAUAAD9BgAgGAAA_gYAIBoAAP8GACAcAACABwAgHgAAgQcAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYkDAQCYBgAhjwNAAJwGACGtA0AAnAYAIdEDAQCXBgAh0wMAAPUG0wMi1ANAAJsGACHVA0AAmwYAIdYDAQCYBgAh1wNAAJsGACHYAwIA9gYAIdkDgAAAAAEHggMBAAAAAY8DQAAAAAHgAwEAAAAB7AMAAADsAwPtAwAAAOwDAu4DAQAAAAHvAwEAAAABDAQAALkJACANAAC7CQAgIAAAvAkAIIIDAQAAAAGIAwAAAIgDAokDAQAAAAGPA0AAAAABrQNAAAAAAeQDAQAAAAH1AwIAAAAB-wMAAAD7AwL8A4AAAAABAgAAAIkBACAxAADoCgAgEQQAAI8KACAaAACTCgAgHAAAlAoAICQAAJEKACAlAACSCgAgJgAAlQoAIIIDAQAAAAGEAwEAAAABhQMBAAAAAYYDAQAAAAGIAwAAAIgDAokDAQAAAAGLAwAAAIAEAo8DQAAAAAGtA0AAAAAB_gMBAAAAAYAEQAAAAAECAAAAAQAgMQAA6goAIAMAAACMAQAgMQAA6AoAIDIAAO4KACAOAAAAjAEAIAQAAI4JACANAACQCQAgIAAAkQkAICwAAO4KACCCAwEAlwYAIYgDAACZBogDIokDAQCXBgAhjwNAAJwGACGtA0AAnAYAIeQDAQCXBgAh9QMCAKUGACH7AwAAjQn7AyL8A4AAAAABDAQAAI4JACANAACQCQAgIAAAkQkAIIIDAQCXBgAhiAMAAJkGiAMiiQMBAJcGACGPA0AAnAYAIa0DQACcBgAh5AMBAJcGACH1AwIApQYAIfsDAACNCfsDIvwDgAAAAAEDAAAAPgAgMQAA6goAIDIAAPEKACATAAAAPgAgBAAAwwkAIBoAAMcJACAcAADICQAgJAAAxQkAICUAAMYJACAmAADJCQAgLAAA8QoAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYYDAQCYBgAhiAMAAJkGiAMiiQMBAJcGACGLAwAAwgmABCKPA0AAnAYAIa0DQACcBgAh_gMBAJgGACGABEAAmwYAIREEAADDCQAgGgAAxwkAIBwAAMgJACAkAADFCQAgJQAAxgkAICYAAMkJACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGGAwEAmAYAIYgDAACZBogDIokDAQCXBgAhiwMAAMIJgAQijwNAAJwGACGtA0AAnAYAIf4DAQCYBgAhgARAAJsGACEDAAAAjAEAIDEAAN4KACAyAAD0CgAgDgAAAIwBACAHAACPCQAgDQAAkAkAICAAAJEJACAsAAD0CgAgggMBAJcGACGIAwAAmQaIAyKJAwEAlwYAIY8DQACcBgAhrQNAAJwGACHkAwEAlwYAIfUDAgClBgAh-wMAAI0J-wMi_AOAAAAAAQwHAACPCQAgDQAAkAkAICAAAJEJACCCAwEAlwYAIYgDAACZBogDIokDAQCXBgAhjwNAAJwGACGtA0AAnAYAIeQDAQCXBgAh9QMCAKUGACH7AwAAjQn7AyL8A4AAAAABAwAAAD4AIDEAAOAKACAyAAD3CgAgEwAAAD4AIAcAAMQJACAaAADHCQAgHAAAyAkAICQAAMUJACAlAADGCQAgJgAAyQkAICwAAPcKACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGGAwEAmAYAIYgDAACZBogDIokDAQCXBgAhiwMAAMIJgAQijwNAAJwGACGtA0AAnAYAIf4DAQCYBgAhgARAAJsGACERBwAAxAkAIBoAAMcJACAcAADICQAgJAAAxQkAICUAAMYJACAmAADJCQAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhhgMBAJgGACGIAwAAmQaIAyKJAwEAlwYAIYsDAADCCYAEIo8DQACcBgAhrQNAAJwGACH-AwEAmAYAIYAEQACbBgAhDIIDAQAAAAGDAwEAAAABiAMAAACIAwKLAwAAAOwDAo8DQAAAAAGtA0AAAAAB2gMBAAAAAdsDQAAAAAHxA0AAAAAB8gNAAAAAAfMDQAAAAAH0AwEAAAABEQMAAKwIACAFAACtCAAgIQAAgAkAICMAAK8IACCCAwEAAAABgwMBAAAAAYgDAAAAiAMCiwMAAADsAwKPA0AAAAABrQNAAAAAAdoDAQAAAAHbA0AAAAAB8AMBAAAAAfEDQAAAAAHyA0AAAAAB8wNAAAAAAfQDAQAAAAECAAAABQAgMQAA-QoAIAMAAAADACAxAAD5CgAgMgAA_QoAIBMAAAADACADAACSCAAgBQAAkwgAICEAAP8IACAjAACVCAAgLAAA_QoAIIIDAQCXBgAhgwMBAJcGACGIAwAAmQaIAyKLAwAAggjsAyKPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAnAYAIfADAQCYBgAh8QNAAJsGACHyA0AAmwYAIfMDQACbBgAh9AMBAJgGACERAwAAkggAIAUAAJMIACAhAAD_CAAgIwAAlQgAIIIDAQCXBgAhgwMBAJcGACGIAwAAmQaIAyKLAwAAggjsAyKPA0AAnAYAIa0DQACcBgAh2gMBAJcGACHbA0AAnAYAIfADAQCYBgAh8QNAAJsGACHyA0AAmwYAIfMDQACbBgAh9AMBAJgGACEHggMBAAAAAY8DQAAAAAHMAwEAAAAB4AMBAAAAAewDAAAA7AMD7QMAAADsAwLvAwEAAAABB4IDAQAAAAGIAwAAAIgDA4kDAQAAAAGPA0AAAAAB4AMBAAAAAeMDQAAAAAHkAwEAAAABCQ4AAOgIACCCAwEAAAABhAMBAAAAAYgDAAAAiAMCiQMBAAAAAY8DQAAAAAGtA0AAAAABuQMgAAAAAeIDAQAAAAECAAAAmAIAIDEAAIALACAMBAAAuQkAIAcAALoJACAgAAC8CQAgggMBAAAAAYgDAAAAiAMCiQMBAAAAAY8DQAAAAAGtA0AAAAAB5AMBAAAAAfUDAgAAAAH7AwAAAPsDAvwDgAAAAAECAAAAiQEAIDEAAIILACADAAAAVgAgMQAAgAsAIDIAAIYLACALAAAAVgAgDgAA1AgAICwAAIYLACCCAwEAlwYAIYQDAQCXBgAhiAMAAJkGiAMiiQMBAJcGACGPA0AAnAYAIa0DQACcBgAhuQMgAMIGACHiAwEAlwYAIQkOAADUCAAgggMBAJcGACGEAwEAlwYAIYgDAACZBogDIokDAQCXBgAhjwNAAJwGACGtA0AAnAYAIbkDIADCBgAh4gMBAJcGACEDAAAAjAEAIDEAAIILACAyAACJCwAgDgAAAIwBACAEAACOCQAgBwAAjwkAICAAAJEJACAsAACJCwAgggMBAJcGACGIAwAAmQaIAyKJAwEAlwYAIY8DQACcBgAhrQNAAJwGACHkAwEAlwYAIfUDAgClBgAh-wMAAI0J-wMi_AOAAAAAAQwEAACOCQAgBwAAjwkAICAAAJEJACCCAwEAlwYAIYgDAACZBogDIokDAQCXBgAhjwNAAJwGACGtA0AAnAYAIeQDAQCXBgAh9QMCAKUGACH7AwAAjQn7AyL8A4AAAAABBoIDAQAAAAGPA0AAAAABrQNAAAAAAdoDAQAAAAHbA0AAAAAB3QMBAAAAAQkNAADnCAAgggMBAAAAAYQDAQAAAAGIAwAAAIgDAokDAQAAAAGPA0AAAAABrQNAAAAAAbkDIAAAAAHiAwEAAAABAgAAAJgCACAxAACLCwAgAwAAAFYAIDEAAIsLACAyAACPCwAgCwAAAFYAIA0AANMIACAsAACPCwAgggMBAJcGACGEAwEAlwYAIYgDAACZBogDIokDAQCXBgAhjwNAAJwGACGtA0AAnAYAIbkDIADCBgAh4gMBAJcGACEJDQAA0wgAIIIDAQCXBgAhhAMBAJcGACGIAwAAmQaIAyKJAwEAlwYAIY8DQACcBgAhrQNAAJwGACG5AyAAwgYAIeIDAQCXBgAhBoIDAQAAAAGPA0AAAAAB3QMBAAAAAd4DQAAAAAHfA0AAAAAB4AMBAAAAAREEAACPCgAgBwAAkAoAIBoAAJMKACAcAACUCgAgJQAAkgoAICYAAJUKACCCAwEAAAABhAMBAAAAAYUDAQAAAAGGAwEAAAABiAMAAACIAwKJAwEAAAABiwMAAACABAKPA0AAAAABrQNAAAAAAf4DAQAAAAGABEAAAAABAgAAAAEAIDEAAJELACADAAAAPgAgMQAAkQsAIDIAAJULACATAAAAPgAgBAAAwwkAIAcAAMQJACAaAADHCQAgHAAAyAkAICUAAMYJACAmAADJCQAgLAAAlQsAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYYDAQCYBgAhiAMAAJkGiAMiiQMBAJcGACGLAwAAwgmABCKPA0AAnAYAIa0DQACcBgAh_gMBAJgGACGABEAAmwYAIREEAADDCQAgBwAAxAkAIBoAAMcJACAcAADICQAgJQAAxgkAICYAAMkJACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGGAwEAmAYAIYgDAACZBogDIokDAQCXBgAhiwMAAMIJgAQijwNAAJwGACGtA0AAnAYAIf4DAQCYBgAhgARAAJsGACEHggMBAAAAAYMDAQAAAAGPA0AAAAAB4AMBAAAAAeUDQAAAAAHmA0AAAAAB5wNAAAAAAQwEAAC5CQAgBwAAugkAIA0AALsJACCCAwEAAAABiAMAAACIAwKJAwEAAAABjwNAAAAAAa0DQAAAAAHkAwEAAAAB9QMCAAAAAfsDAAAA-wMC_AOAAAAAAQIAAACJAQAgMQAAlwsAIAMAAACMAQAgMQAAlwsAIDIAAJsLACAOAAAAjAEAIAQAAI4JACAHAACPCQAgDQAAkAkAICwAAJsLACCCAwEAlwYAIYgDAACZBogDIokDAQCXBgAhjwNAAJwGACGtA0AAnAYAIeQDAQCXBgAh9QMCAKUGACH7AwAAjQn7AyL8A4AAAAABDAQAAI4JACAHAACPCQAgDQAAkAkAIIIDAQCXBgAhiAMAAJkGiAMiiQMBAJcGACGPA0AAnAYAIa0DQACcBgAh5AMBAJcGACH1AwIApQYAIfsDAACNCfsDIvwDgAAAAAEKggMBAAAAAYsDAAAA9wMCjwNAAAAAAa0DQAAAAAHaAwEAAAAB2wNAAAAAAeMDQAAAAAH1AwIAAAAB9wMgAAAAAfgDAQAAAAEIggMBAAAAAYsDAAAAvQMCugMBAAAAAbsDAQAAAAG9A4AAAAABvgMBAAAAAcADQAAAAAHBA0AAAAABByyAAAAAAYIDAQAAAAGDAwEAAAABjwNAAAAAAcwDAQAAAAHNAwEAAAABzgMBAAAAAQiCAwEAAAABgwMBAAAAAY8DQAAAAAGgA0AAAAABrwMBAAAAAbADAQAAAAGxA0AAAAABsgNAAAAAAQuCAwEAAAABgwMBAAAAAYQDAQAAAAGFAwEAAAABhgMBAAAAAYgDAAAAiAMCiQMBAAAAAYsDAAAAiwMCjQNAAAAAAY4DAQAAAAGPA0AAAAABEQQAAI8KACAHAACQCgAgHAAAlAoAICQAAJEKACAlAACSCgAgJgAAlQoAIIIDAQAAAAGEAwEAAAABhQMBAAAAAYYDAQAAAAGIAwAAAIgDAokDAQAAAAGLAwAAAIAEAo8DQAAAAAGtA0AAAAAB_gMBAAAAAYAEQAAAAAECAAAAAQAgMQAAoQsAIBgIAACwCAAgCgAAsQgAIAwAALIIACANAACzCAAgDgAAtAgAIBIAALUIACAUAAC2CAAgGAAAtwgAIBwAALkIACAeAAC6CAAgggMBAAAAAYQDAQAAAAGFAwEAAAABiQMBAAAAAY8DQAAAAAGtA0AAAAAB0QMBAAAAAdMDAAAA0wMC1ANAAAAAAdUDQAAAAAHWAwEAAAAB1wNAAAAAAdgDAgAAAAHZA4AAAAABAgAAANYCACAxAACjCwAgAwAAAD4AIDEAAKELACAyAACnCwAgEwAAAD4AIAQAAMMJACAHAADECQAgHAAAyAkAICQAAMUJACAlAADGCQAgJgAAyQkAICwAAKcLACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGGAwEAmAYAIYgDAACZBogDIokDAQCXBgAhiwMAAMIJgAQijwNAAJwGACGtA0AAnAYAIf4DAQCYBgAhgARAAJsGACERBAAAwwkAIAcAAMQJACAcAADICQAgJAAAxQkAICUAAMYJACAmAADJCQAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhhgMBAJgGACGIAwAAmQaIAyKJAwEAlwYAIYsDAADCCYAEIo8DQACcBgAhrQNAAJwGACH-AwEAmAYAIYAEQACbBgAhAwAAABEAIDEAAKMLACAyAACqCwAgGgAAABEAIAgAAPcGACAKAAD4BgAgDAAA-QYAIA0AAPoGACAOAAD7BgAgEgAA_AYAIBQAAP0GACAYAAD-BgAgHAAAgAcAIB4AAIEHACAsAACqCwAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhiQMBAJgGACGPA0AAnAYAIa0DQACcBgAh0QMBAJcGACHTAwAA9QbTAyLUA0AAmwYAIdUDQACbBgAh1gMBAJgGACHXA0AAmwYAIdgDAgD2BgAh2QOAAAAAARgIAAD3BgAgCgAA-AYAIAwAAPkGACANAAD6BgAgDgAA-wYAIBIAAPwGACAUAAD9BgAgGAAA_gYAIBwAAIAHACAeAACBBwAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhiQMBAJgGACGPA0AAnAYAIa0DQACcBgAh0QMBAJcGACHTAwAA9QbTAyLUA0AAmwYAIdUDQACbBgAh1gMBAJgGACHXA0AAmwYAIdgDAgD2BgAh2QOAAAAAAREEAACPCgAgBwAAkAoAIBoAAJMKACAcAACUCgAgJAAAkQoAICYAAJUKACCCAwEAAAABhAMBAAAAAYUDAQAAAAGGAwEAAAABiAMAAACIAwKJAwEAAAABiwMAAACABAKPA0AAAAABrQNAAAAAAf4DAQAAAAGABEAAAAABAgAAAAEAIDEAAKsLACADAAAAPgAgMQAAqwsAIDIAAK8LACATAAAAPgAgBAAAwwkAIAcAAMQJACAaAADHCQAgHAAAyAkAICQAAMUJACAmAADJCQAgLAAArwsAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYYDAQCYBgAhiAMAAJkGiAMiiQMBAJcGACGLAwAAwgmABCKPA0AAnAYAIa0DQACcBgAh_gMBAJgGACGABEAAmwYAIREEAADDCQAgBwAAxAkAIBoAAMcJACAcAADICQAgJAAAxQkAICYAAMkJACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGGAwEAmAYAIYgDAACZBogDIokDAQCXBgAhiwMAAMIJgAQijwNAAJwGACGtA0AAnAYAIf4DAQCYBgAhgARAAJsGACEIggMBAAAAAYsDAAAAvQMCuwMBAAAAAb0DgAAAAAG-AwEAAAABvwMBAAAAAcADQAAAAAHBA0AAAAABGAgAALAIACAKAACxCAAgDAAAsggAIA0AALMIACAOAAC0CAAgEgAAtQgAIBQAALYIACAaAAC4CAAgHAAAuQgAIB4AALoIACCCAwEAAAABhAMBAAAAAYUDAQAAAAGJAwEAAAABjwNAAAAAAa0DQAAAAAHRAwEAAAAB0wMAAADTAwLUA0AAAAAB1QNAAAAAAdYDAQAAAAHXA0AAAAAB2AMCAAAAAdkDgAAAAAECAAAA1gIAIDEAALELACAEhAMBAAAAAY8DQAAAAAGsA0AAAAABwgMBAAAAAQIAAACrAwAgMQAAswsAIAMAAAARACAxAACxCwAgMgAAtwsAIBoAAAARACAIAAD3BgAgCgAA-AYAIAwAAPkGACANAAD6BgAgDgAA-wYAIBIAAPwGACAUAAD9BgAgGgAA_wYAIBwAAIAHACAeAACBBwAgLAAAtwsAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYkDAQCYBgAhjwNAAJwGACGtA0AAnAYAIdEDAQCXBgAh0wMAAPUG0wMi1ANAAJsGACHVA0AAmwYAIdYDAQCYBgAh1wNAAJsGACHYAwIA9gYAIdkDgAAAAAEYCAAA9wYAIAoAAPgGACAMAAD5BgAgDQAA-gYAIA4AAPsGACASAAD8BgAgFAAA_QYAIBoAAP8GACAcAACABwAgHgAAgQcAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYkDAQCYBgAhjwNAAJwGACGtA0AAnAYAIdEDAQCXBgAh0wMAAPUG0wMi1ANAAJsGACHVA0AAmwYAIdYDAQCYBgAh1wNAAJsGACHYAwIA9gYAIdkDgAAAAAEDAAAArgMAIDEAALMLACAyAAC6CwAgBgAAAK4DACAsAAC6CwAghAMBAJcGACGPA0AAnAYAIawDQACbBgAhwgMBAJgGACEEhAMBAJcGACGPA0AAnAYAIawDQACbBgAhwgMBAJgGACERBAAAjwoAIAcAAJAKACAaAACTCgAgJAAAkQoAICUAAJIKACAmAACVCgAgggMBAAAAAYQDAQAAAAGFAwEAAAABhgMBAAAAAYgDAAAAiAMCiQMBAAAAAYsDAAAAgAQCjwNAAAAAAa0DQAAAAAH-AwEAAAABgARAAAAAAQIAAAABACAxAAC7CwAgGAgAALAIACAKAACxCAAgDAAAsggAIA0AALMIACAOAAC0CAAgEgAAtQgAIBQAALYIACAYAAC3CAAgGgAAuAgAIB4AALoIACCCAwEAAAABhAMBAAAAAYUDAQAAAAGJAwEAAAABjwNAAAAAAa0DQAAAAAHRAwEAAAAB0wMAAADTAwLUA0AAAAAB1QNAAAAAAdYDAQAAAAHXA0AAAAAB2AMCAAAAAdkDgAAAAAECAAAA1gIAIDEAAL0LACADAAAAPgAgMQAAuwsAIDIAAMELACATAAAAPgAgBAAAwwkAIAcAAMQJACAaAADHCQAgJAAAxQkAICUAAMYJACAmAADJCQAgLAAAwQsAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYYDAQCYBgAhiAMAAJkGiAMiiQMBAJcGACGLAwAAwgmABCKPA0AAnAYAIa0DQACcBgAh_gMBAJgGACGABEAAmwYAIREEAADDCQAgBwAAxAkAIBoAAMcJACAkAADFCQAgJQAAxgkAICYAAMkJACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGGAwEAmAYAIYgDAACZBogDIokDAQCXBgAhiwMAAMIJgAQijwNAAJwGACGtA0AAnAYAIf4DAQCYBgAhgARAAJsGACEDAAAAEQAgMQAAvQsAIDIAAMQLACAaAAAAEQAgCAAA9wYAIAoAAPgGACAMAAD5BgAgDQAA-gYAIA4AAPsGACASAAD8BgAgFAAA_QYAIBgAAP4GACAaAAD_BgAgHgAAgQcAICwAAMQLACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGJAwEAmAYAIY8DQACcBgAhrQNAAJwGACHRAwEAlwYAIdMDAAD1BtMDItQDQACbBgAh1QNAAJsGACHWAwEAmAYAIdcDQACbBgAh2AMCAPYGACHZA4AAAAABGAgAAPcGACAKAAD4BgAgDAAA-QYAIA0AAPoGACAOAAD7BgAgEgAA_AYAIBQAAP0GACAYAAD-BgAgGgAA_wYAIB4AAIEHACCCAwEAlwYAIYQDAQCXBgAhhQMBAJcGACGJAwEAmAYAIY8DQACcBgAhrQNAAJwGACHRAwEAlwYAIdMDAAD1BtMDItQDQACbBgAh1QNAAJsGACHWAwEAmAYAIdcDQACbBgAh2AMCAPYGACHZA4AAAAABEQQAAI8KACAHAACQCgAgGgAAkwoAIBwAAJQKACAkAACRCgAgJQAAkgoAIIIDAQAAAAGEAwEAAAABhQMBAAAAAYYDAQAAAAGIAwAAAIgDAokDAQAAAAGLAwAAAIAEAo8DQAAAAAGtA0AAAAAB_gMBAAAAAYAEQAAAAAECAAAAAQAgMQAAxQsAIAMAAAA-ACAxAADFCwAgMgAAyQsAIBMAAAA-ACAEAADDCQAgBwAAxAkAIBoAAMcJACAcAADICQAgJAAAxQkAICUAAMYJACAsAADJCwAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhhgMBAJgGACGIAwAAmQaIAyKJAwEAlwYAIYsDAADCCYAEIo8DQACcBgAhrQNAAJwGACH-AwEAmAYAIYAEQACbBgAhEQQAAMMJACAHAADECQAgGgAAxwkAIBwAAMgJACAkAADFCQAgJQAAxgkAIIIDAQCXBgAhhAMBAJcGACGFAwEAlwYAIYYDAQCYBgAhiAMAAJkGiAMiiQMBAJcGACGLAwAAwgmABCKPA0AAnAYAIa0DQACcBgAh_gMBAJgGACGABEAAmwYAIRgIAACwCAAgCgAAsQgAIAwAALIIACANAACzCAAgDgAAtAgAIBIAALUIACAUAAC2CAAgGAAAtwgAIBoAALgIACAcAAC5CAAgggMBAAAAAYQDAQAAAAGFAwEAAAABiQMBAAAAAY8DQAAAAAGtA0AAAAAB0QMBAAAAAdMDAAAA0wMC1ANAAAAAAdUDQAAAAAHWAwEAAAAB1wNAAAAAAdgDAgAAAAHZA4AAAAABAgAAANYCACAxAADKCwAgAwAAABEAIDEAAMoLACAyAADOCwAgGgAAABEAIAgAAPcGACAKAAD4BgAgDAAA-QYAIA0AAPoGACAOAAD7BgAgEgAA_AYAIBQAAP0GACAYAAD-BgAgGgAA_wYAIBwAAIAHACAsAADOCwAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhiQMBAJgGACGPA0AAnAYAIa0DQACcBgAh0QMBAJcGACHTAwAA9QbTAyLUA0AAmwYAIdUDQACbBgAh1gMBAJgGACHXA0AAmwYAIdgDAgD2BgAh2QOAAAAAARgIAAD3BgAgCgAA-AYAIAwAAPkGACANAAD6BgAgDgAA-wYAIBIAAPwGACAUAAD9BgAgGAAA_gYAIBoAAP8GACAcAACABwAgggMBAJcGACGEAwEAlwYAIYUDAQCXBgAhiQMBAJgGACGPA0AAnAYAIa0DQACcBgAh0QMBAJcGACHTAwAA9QbTAyLUA0AAmwYAIdUDQACbBgAh1gMBAJgGACHXA0AAmwYAIdgDAgD2BgAh2QOAAAAAAQgEBgIHYQQPABkaaBEcaRIkYgwlZhcmbRgGAwABBQADDwAWIV0GIl4HI18EBQQHAgcLBA0QBQ8AFSBYDQMDAAEFAAMGDAIDBQADEFcKHxIGDAgTAgoXBwwcCA0eBQ4iCQ8AFBIrDBQwDRg1Dho8ERxDEh5JEwIGAAIJGAYBCx0GAgsnBhAACgMNIwUOJAkPAAsCDSUADiYAAgMAAREsBgIFAAMTMQYCFgAPFzgGAg8AEBU2DgEVNwACAz8BGT0GAgNFARtEBgEdSgYLCEsACkwADE0ADU4ADk8AElAAFFEAGFIAGlMAHFQAHlUABARZAAdaAA1bACBcAAEiYAABA2cBAQMAAQcEbgAHbwAacgAccwAkcAAlcQAmdAAAAw8AHDcAHTgAHgAAAAMPABw3AB04AB4FDwAhNwAkOAAlRwAiSAAjAAAAAAAFDwAhNwAkOAAlRwAiSAAjBQ8AKDcAKzgALEcAKUgAKgAAAAAABQ8AKDcAKzgALEcAKUgAKgMPAC83ADA4ADEAAAADDwAvNwAwOAAxAw8ANDcANTgANgAAAAMPADQ3ADU4ADYDDwA5NwA6OAA7AAAAAw8AOTcAOjgAOwMPAD43AD84AEAAAAADDwA-NwA_OABAAw8AQzcARDgARQAAAAMPAEM3AEQ4AEUDDwBINwBJOABKAAAAAw8ASDcASTgASgMPAE03AE44AE8AAAADDwBNNwBOOABPAw8AUjcAUzgAVAAAAAMPAFI3AFM4AFQFDwBXNwBaOABbRwBYSABZAAAAAAAFDwBXNwBaOABbRwBYSABZAAMPAF83AGA4AGEAAAADDwBfNwBgOABhAw8AZDcAZTgAZgAAAAMPAGQ3AGU4AGYDDwBpNwBqOABrAAAAAw8AaTcAajgAawMPAG43AG84AHAAAAADDwBuNwBvOABwAw8AczcAdDgAdQAAAAMPAHM3AHQ4AHUAAw8AeTcAejgAewAAAAMPAHk3AHo4AHsAAw8AfzcAgAE4AIEBAAAAAw8AfzcAgAE4AIEBAw8AhAE3AIUBOACGAQAAAAMPAIQBNwCFATgAhgEABQ8AigE3AI0BOACOAUcAiwFIAIwBAAAAAAAFDwCKATcAjQE4AI4BRwCLAUgAjAEABQ8AkgE3AJUBOACWAUcAkwFIAJQBAAAAAAAFDwCSATcAlQE4AJYBRwCTAUgAlAEFDwCZATcAnAE4AJ0BRwCaAUgAmwEAAAAAAAUPAJkBNwCcATgAnQFHAJoBSACbAQMPAKABNwChATgAogEAAAADDwCgATcAoQE4AKIBJwIBKHUBKXcBKngBK3kBLXsBLn0aL38BMIEBGjOCAQE0gwEBNYQBGjmHARs6iAEfO4oBAzyLAQM9jgEDPo8BAz-QAQNAkgEDQZQBGkKWAQNDmAEaRJkBA0WaAQNGmwEaSZ4BIEqfASZLoAENTKEBDU2iAQ1OowENT6QBDVCmAQ1RqAEaUqoBDVOsARpUrQENVa4BDVavARpXsgEnWLMBLVm0AQJatQECW7YBAly3AQJduAECXroBAl-8ARpgvgECYcABGmLBAQJjwgECZMMBGmXGAS5mxwEyZ8gBB2jJAQdpygEHassBB2vMAQdszgEHbdABGm7SAQdv1AEacNUBB3HWAQdy1wEac9oBM3TbATd13AEEdt0BBHfeAQR43wEEeeABBHriAQR75AEafOYBBH3oARp-6QEEf-oBBIAB6wEagQHuATiCAe8BPIMB8AEMhAHxAQyFAfIBDIYB8wEMhwH0AQyIAfYBDIkB-AEaigH6AQyLAfwBGowB_QEMjQH-AQyOAf8BGo8BggI9kAGDAkGRAYQCCJIBhQIIkwGGAgiUAYcCCJUBiAIIlgGKAgiXAYwCGpgBjgIImQGQAhqaAZECCJsBkgIInAGTAhqdAZYCQp4BlwJGnwGZAgqgAZoCCqEBnAIKogGdAgqjAZ4CCqQBoAIKpQGiAhqmAaQCCqcBpgIaqAGnAgqpAagCCqoBqQIaqwGsAkesAa0CS60BrgIJrgGvAgmvAbACCbABsQIJsQGyAgmyAbQCCbMBtgIatAG4Agm1AboCGrYBuwIJtwG8Agm4Ab0CGrkBwAJMugHBAlC7AcICBbwBwwIFvQHEAgW-AcUCBb8BxgIFwAHIAgXBAcoCGsIBzAIFwwHOAhrEAc8CBcUB0AIFxgHRAhrHAdQCUcgB1QJVyQHXAgbKAdgCBssB2gIGzAHbAgbNAdwCBs4B3gIGzwHgAhrQAeICBtEB5AIa0gHlAgbTAeYCBtQB5wIa1QHqAlbWAesCXNcB7QJd2AHuAl3ZAfECXdoB8gJd2wHzAl3cAfUCXd0B9wIa3gH5Al3fAfsCGuAB_AJd4QH9Al3iAf4CGuMBgQNe5AGCA2LlAYMDEeYBhAMR5wGFAxHoAYYDEekBhwMR6gGJAxHrAYsDGuwBjQMR7QGPAxruAZADEe8BkQMR8AGSAxrxAZUDY_IBlgNn8wGXAxf0AZgDF_UBmQMX9gGaAxf3AZsDF_gBnQMX-QGfAxr6AaEDF_sBowMa_AGkAxf9AaUDF_4BpgMa_wGpA2iAAqoDbIECrAMPggKtAw-DArADD4QCsQMPhQKyAw-GArQDD4cCtgMaiAK4Aw-JAroDGooCuwMPiwK8Aw-MAr0DGo0CwANtjgLBA3GPAsIDDpACwwMOkQLEAw6SAsUDDpMCxgMOlALIAw6VAsoDGpYCzAMOlwLOAxqYAs8DDpkC0AMOmgLRAxqbAtQDcpwC1QN2nQLXA3eeAtgDd58C2wN3oALcA3ehAt0Dd6IC3wN3owLhAxqkAuMDd6UC5QMapgLmA3enAucDd6gC6AMaqQLrA3iqAuwDfKsC7gN9rALvA32tAvIDfa4C8wN9rwL0A32wAvYDfbEC-AMasgL6A32zAvwDGrQC_QN9tQL-A322Av8DGrcCggR-uAKDBIIBuQKEBBK6AoUEErsChgQSvAKHBBK9AogEEr4CigQSvwKMBBrAAo4EEsECkAQawgKRBBLDApIEEsQCkwQaxQKWBIMBxgKXBIcBxwKZBIgByAKaBIgByQKdBIgBygKeBIgBywKfBIgBzAKhBIgBzQKjBBrOAqUEiAHPAqcEGtACqASIAdECqQSIAdICqgQa0wKtBIkB1AKuBI8B1QKwBJAB1gKxBJAB1wK0BJAB2AK1BJAB2QK2BJAB2gK4BJAB2wK6BBrcArwEkAHdAr4EGt4CvwSQAd8CwASQAeACwQQa4QLEBJEB4gLFBJcB4wLGBBjkAscEGOUCyAQY5gLJBBjnAsoEGOgCzAQY6QLOBBrqAtAEGOsC0gQa7ALTBBjtAtQEGO4C1QQa7wLYBJgB8ALZBJ4B8QLaBBPyAtsEE_MC3AQT9ALdBBP1At4EE_YC4AQT9wLiBBr4AuQEE_kC5gQa-gLnBBP7AugEE_wC6QQa_QLsBJ8B_gLtBKMB"
 }
 
 async function decodeBase64AsWasm(wasmBase64: string): Promise<WebAssembly.Module> {
@@ -208,6 +208,16 @@ export interface PrismaClient<
     */
   get session(): Prisma.SessionDelegate<ExtArgs, { omit: OmitOpts }>;
 
+  /**
+   * `prisma.sessionInstance`: Exposes CRUD operations for the **SessionInstance** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more SessionInstances
+    * const sessionInstances = await prisma.sessionInstance.findMany()
+    * ```
+    */
+  get sessionInstance(): Prisma.SessionInstanceDelegate<ExtArgs, { omit: OmitOpts }>;
+
   /**
    * `prisma.booking`: Exposes CRUD operations for the **Booking** model.
     * Example usage:
@@ -228,6 +238,66 @@ export interface PrismaClient<
     */
   get bookingStatusHistory(): Prisma.BookingStatusHistoryDelegate<ExtArgs, { omit: OmitOpts }>;
 
+  /**
+   * `prisma.waitlistEntry`: Exposes CRUD operations for the **WaitlistEntry** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more WaitlistEntries
+    * const waitlistEntries = await prisma.waitlistEntry.findMany()
+    * ```
+    */
+  get waitlistEntry(): Prisma.WaitlistEntryDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.suspension`: Exposes CRUD operations for the **Suspension** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more Suspensions
+    * const suspensions = await prisma.suspension.findMany()
+    * ```
+    */
+  get suspension(): Prisma.SuspensionDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.closure`: Exposes CRUD operations for the **Closure** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more Closures
+    * const closures = await prisma.closure.findMany()
+    * ```
+    */
+  get closure(): Prisma.ClosureDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.vehicle`: Exposes CRUD operations for the **Vehicle** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more Vehicles
+    * const vehicles = await prisma.vehicle.findMany()
+    * ```
+    */
+  get vehicle(): Prisma.VehicleDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.vehicleMaintenance`: Exposes CRUD operations for the **VehicleMaintenance** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more VehicleMaintenances
+    * const vehicleMaintenances = await prisma.vehicleMaintenance.findMany()
+    * ```
+    */
+  get vehicleMaintenance(): Prisma.VehicleMaintenanceDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.sessionAssignment`: Exposes CRUD operations for the **SessionAssignment** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more SessionAssignments
+    * const sessionAssignments = await prisma.sessionAssignment.findMany()
+    * ```
+    */
+  get sessionAssignment(): Prisma.SessionAssignmentDelegate<ExtArgs, { omit: OmitOpts }>;
+
   /**
    * `prisma.user`: Exposes CRUD operations for the **User** model.
     * Example usage:
@@ -257,6 +327,106 @@ export interface PrismaClient<
     * ```
     */
   get systemLog(): Prisma.SystemLogDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.notification`: Exposes CRUD operations for the **Notification** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more Notifications
+    * const notifications = await prisma.notification.findMany()
+    * ```
+    */
+  get notification(): Prisma.NotificationDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.job`: Exposes CRUD operations for the **Job** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more Jobs
+    * const jobs = await prisma.job.findMany()
+    * ```
+    */
+  get job(): Prisma.JobDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.jobRun`: Exposes CRUD operations for the **JobRun** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more JobRuns
+    * const jobRuns = await prisma.jobRun.findMany()
+    * ```
+    */
+  get jobRun(): Prisma.JobRunDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.timeSlot`: Exposes CRUD operations for the **TimeSlot** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more TimeSlots
+    * const timeSlots = await prisma.timeSlot.findMany()
+    * ```
+    */
+  get timeSlot(): Prisma.TimeSlotDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.branch`: Exposes CRUD operations for the **Branch** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more Branches
+    * const branches = await prisma.branch.findMany()
+    * ```
+    */
+  get branch(): Prisma.BranchDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.authSession`: Exposes CRUD operations for the **AuthSession** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more AuthSessions
+    * const authSessions = await prisma.authSession.findMany()
+    * ```
+    */
+  get authSession(): Prisma.AuthSessionDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.rateLimit`: Exposes CRUD operations for the **RateLimit** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more RateLimits
+    * const rateLimits = await prisma.rateLimit.findMany()
+    * ```
+    */
+  get rateLimit(): Prisma.RateLimitDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.sessionChange`: Exposes CRUD operations for the **SessionChange** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more SessionChanges
+    * const sessionChanges = await prisma.sessionChange.findMany()
+    * ```
+    */
+  get sessionChange(): Prisma.SessionChangeDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.loginCode`: Exposes CRUD operations for the **LoginCode** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more LoginCodes
+    * const loginCodes = await prisma.loginCode.findMany()
+    * ```
+    */
+  get loginCode(): Prisma.LoginCodeDelegate<ExtArgs, { omit: OmitOpts }>;
+
+  /**
+   * `prisma.studentRegistration`: Exposes CRUD operations for the **StudentRegistration** model.
+    * Example usage:
+    * ```ts
+    * // Fetch zero or more StudentRegistrations
+    * const studentRegistrations = await prisma.studentRegistration.findMany()
+    * ```
+    */
+  get studentRegistration(): Prisma.StudentRegistrationDelegate<ExtArgs, { omit: OmitOpts }>;
 }
 
 export function getPrismaClientClass(): PrismaClientConstructor {
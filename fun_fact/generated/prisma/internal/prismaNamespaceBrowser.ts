@@ -53,11 +53,28 @@ export const AnyNull = runtime.AnyNull
 export const ModelName = {
   Student: 'Student',
   Session: 'Session',
+  SessionInstance: 'SessionInstance',
   Booking: 'Booking',
   BookingStatusHistory: 'BookingStatusHistory',
+  WaitlistEntry: 'WaitlistEntry',
+  Suspension: 'Suspension',
+  Closure: 'Closure',
+  Vehicle: 'Vehicle',
+  VehicleMaintenance: 'VehicleMaintenance',
+  SessionAssignment: 'SessionAssignment',
   User: 'User',
   SystemSetting: 'SystemSetting',
-  SystemLog: 'SystemLog'
+  SystemLog: 'SystemLog',
+  Notification: 'Notification',
+  Job: 'Job',
+  JobRun: 'JobRun',
+  TimeSlot: 'TimeSlot',
+  Branch: 'Branch',
+  AuthSession: 'AuthSession',
+  RateLimit: 'RateLimit',
+  SessionChange: 'SessionChange',
+  LoginCode: 'LoginCode',
+  StudentRegistration: 'StudentRegistration'
 } as const
 
 export type ModelName = (typeof ModelName)[keyof typeof ModelName]
@@ -83,6 +100,7 @@ export const StudentScalarFieldEnum = {
   name: 'name',
   phoneNumber: 'phoneNumber',
   category: 'category',
+  branch: 'branch',
   status: 'status',
   deactivatedAt: 'deactivatedAt',
   createdAt: 'createdAt',
@@ -97,6 +115,7 @@ export const SessionScalarFieldEnum = {
   day: 'day',
   timeSlot: 'timeSlot',
   category: 'category',
+  branch: 'branch',
   capacity: 'capacity',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt',
@@ -106,6 +125,23 @@ export const SessionScalarFieldEnum = {
 export type SessionScalarFieldEnum = (typeof SessionScalarFieldEnum)[keyof typeof SessionScalarFieldEnum]
 
 
+export const SessionInstanceScalarFieldEnum = {
+  id: 'id',
+  sessionId: 'sessionId',
+  weekOf: 'weekOf',
+  date: 'date',
+  capacity: 'capacity',
+  status: 'status',
+  isExtra: 'isExtra',
+  note: 'note',
+  updatedById: 'updatedById',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+} as const
+
+export type SessionInstanceScalarFieldEnum = (typeof SessionInstanceScalarFieldEnum)[keyof typeof SessionInstanceScalarFieldEnum]
+
+
 export const BookingScalarFieldEnum = {
   id: 'id',
   studentId: 'studentId',
@@ -132,18 +168,109 @@ export const BookingStatusHistoryScalarFieldEnum = {
   toStatus: 'toStatus',
   changedById: 'changedById',
   reason: 'reason',
+  batchId: 'batchId',
   createdAt: 'createdAt'
 } as const
 
 export type BookingStatusHistoryScalarFieldEnum = (typeof BookingStatusHistoryScalarFieldEnum)[keyof typeof BookingStatusHistoryScalarFieldEnum]
 
 
+export const WaitlistEntryScalarFieldEnum = {
+  id: 'id',
+  studentId: 'studentId',
+  sessionId: 'sessionId',
+  weekOf: 'weekOf',
+  status: 'status',
+  bookingId: 'bookingId',
+  promotedAt: 'promotedAt',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+} as const
+
+export type WaitlistEntryScalarFieldEnum = (typeof WaitlistEntryScalarFieldEnum)[keyof typeof WaitlistEntryScalarFieldEnum]
+
+
+export const SuspensionScalarFieldEnum = {
+  id: 'id',
+  studentId: 'studentId',
+  startsAt: 'startsAt',
+  endsAt: 'endsAt',
+  reason: 'reason',
+  liftedAt: 'liftedAt',
+  liftedById: 'liftedById',
+  createdAt: 'createdAt'
+} as const
+
+export type SuspensionScalarFieldEnum = (typeof SuspensionScalarFieldEnum)[keyof typeof SuspensionScalarFieldEnum]
+
+
+export const ClosureScalarFieldEnum = {
+  id: 'id',
+  date: 'date',
+  branch: 'branch',
+  timeSlot: 'timeSlot',
+  category: 'category',
+  reason: 'reason',
+  createdById: 'createdById',
+  createdAt: 'createdAt'
+} as const
+
+export type ClosureScalarFieldEnum = (typeof ClosureScalarFieldEnum)[keyof typeof ClosureScalarFieldEnum]
+
+
+export const VehicleScalarFieldEnum = {
+  id: 'id',
+  registration: 'registration',
+  name: 'name',
+  category: 'category',
+  branch: 'branch',
+  isActive: 'isActive',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+} as const
+
+export type VehicleScalarFieldEnum = (typeof VehicleScalarFieldEnum)[keyof typeof VehicleScalarFieldEnum]
+
+
+export const VehicleMaintenanceScalarFieldEnum = {
+  id: 'id',
+  vehicleId: 'vehicleId',
+  startDate: 'startDate',
+  endDate: 'endDate',
+  reason: 'reason',
+  createdById: 'createdById',
+  createdAt: 'createdAt'
+} as const
+
+export type VehicleMaintenanceScalarFieldEnum = (typeof VehicleMaintenanceScalarFieldEnum)[keyof typeof VehicleMaintenanceScalarFieldEnum]
+
+
+export const SessionAssignmentScalarFieldEnum = {
+  id: 'id',
+  sessionId: 'sessionId',
+  weekOf: 'weekOf',
+  instructorId: 'instructorId',
+  vehicleId: 'vehicleId',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+} as const
+
+export type SessionAssignmentScalarFieldEnum = (typeof SessionAssignmentScalarFieldEnum)[keyof typeof SessionAssignmentScalarFieldEnum]
+
+
 export const UserScalarFieldEnum = {
   id: 'id',
   email: 'email',
   name: 'name',
   password: 'password',
   role: 'role',
+  branch: 'branch',
+  lastLoginAt: 'lastLoginAt',
+  disabledAt: 'disabledAt',
+  totpSecret: 'totpSecret',
+  totpEnabledAt: 'totpEnabledAt',
+  totpLastStep: 'totpLastStep',
+  recoveryCodes: 'recoveryCodes',
   createdAt: 'createdAt',
   updatedAt: 'updatedAt'
 } as const
@@ -167,12 +294,152 @@ export const SystemLogScalarFieldEnum = {
   action: 'action',
   message: 'message',
   data: 'data',
+  actorId: 'actorId',
+  studentId: 'studentId',
+  bookingId: 'bookingId',
   createdAt: 'createdAt'
 } as const
 
 export type SystemLogScalarFieldEnum = (typeof SystemLogScalarFieldEnum)[keyof typeof SystemLogScalarFieldEnum]
 
 
+export const NotificationScalarFieldEnum = {
+  id: 'id',
+  channel: 'channel',
+  type: 'type',
+  transport: 'transport',
+  recipient: 'recipient',
+  subject: 'subject',
+  body: 'body',
+  status: 'status',
+  error: 'error',
+  studentId: 'studentId',
+  bookingId: 'bookingId',
+  createdAt: 'createdAt'
+} as const
+
+export type NotificationScalarFieldEnum = (typeof NotificationScalarFieldEnum)[keyof typeof NotificationScalarFieldEnum]
+
+
+export const JobScalarFieldEnum = {
+  name: 'name',
+  lockedBy: 'lockedBy',
+  lockedUntil: 'lockedUntil',
+  createdAt: 'createdAt'
+} as const
+
+export type JobScalarFieldEnum = (typeof JobScalarFieldEnum)[keyof typeof JobScalarFieldEnum]
+
+
+export const JobRunScalarFieldEnum = {
+  id: 'id',
+  jobName: 'jobName',
+  trigger: 'trigger',
+  status: 'status',
+  result: 'result',
+  error: 'error',
+  triggeredById: 'triggeredById',
+  startedAt: 'startedAt',
+  finishedAt: 'finishedAt'
+} as const
+
+export type JobRunScalarFieldEnum = (typeof JobRunScalarFieldEnum)[keyof typeof JobRunScalarFieldEnum]
+
+
+export const TimeSlotScalarFieldEnum = {
+  code: 'code',
+  label: 'label',
+  startTime: 'startTime',
+  endTime: 'endTime',
+  days: 'days',
+  isActive: 'isActive',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+} as const
+
+export type TimeSlotScalarFieldEnum = (typeof TimeSlotScalarFieldEnum)[keyof typeof TimeSlotScalarFieldEnum]
+
+
+export const BranchScalarFieldEnum = {
+  code: 'code',
+  name: 'name',
+  address: 'address',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+} as const
+
+export type BranchScalarFieldEnum = (typeof BranchScalarFieldEnum)[keyof typeof BranchScalarFieldEnum]
+
+
+export const AuthSessionScalarFieldEnum = {
+  id: 'id',
+  userId: 'userId',
+  studentId: 'studentId',
+  userAgent: 'userAgent',
+  ipAddress: 'ipAddress',
+  createdAt: 'createdAt',
+  lastSeenAt: 'lastSeenAt',
+  expiresAt: 'expiresAt',
+  revokedAt: 'revokedAt'
+} as const
+
+export type AuthSessionScalarFieldEnum = (typeof AuthSessionScalarFieldEnum)[keyof typeof AuthSessionScalarFieldEnum]
+
+
+export const RateLimitScalarFieldEnum = {
+  key: 'key',
+  count: 'count',
+  windowStart: 'windowStart',
+  lockedUntil: 'lockedUntil',
+  updatedAt: 'updatedAt'
+} as const
+
+export type RateLimitScalarFieldEnum = (typeof RateLimitScalarFieldEnum)[keyof typeof RateLimitScalarFieldEnum]
+
+
+export const SessionChangeScalarFieldEnum = {
+  id: 'id',
+  branch: 'branch',
+  category: 'category',
+  payload: 'payload',
+  createdAt: 'createdAt'
+} as const
+
+export type SessionChangeScalarFieldEnum = (typeof SessionChangeScalarFieldEnum)[keyof typeof SessionChangeScalarFieldEnum]
+
+
+export const LoginCodeScalarFieldEnum = {
+  id: 'id',
+  studentId: 'studentId',
+  codeHash: 'codeHash',
+  channel: 'channel',
+  attempts: 'attempts',
+  expiresAt: 'expiresAt',
+  usedAt: 'usedAt',
+  createdAt: 'createdAt'
+} as const
+
+export type LoginCodeScalarFieldEnum = (typeof LoginCodeScalarFieldEnum)[keyof typeof LoginCodeScalarFieldEnum]
+
+
+export const StudentRegistrationScalarFieldEnum = {
+  id: 'id',
+  studentId: 'studentId',
+  name: 'name',
+  email: 'email',
+  phoneNumber: 'phoneNumber',
+  category: 'category',
+  branch: 'branch',
+  status: 'status',
+  reviewedById: 'reviewedById',
+  reviewedAt: 'reviewedAt',
+  rejectionReason: 'rejectionReason',
+  createdAt: 'createdAt'
+} as const
+
+export type StudentRegistrationScalarFieldEnum = (typeof StudentRegistrationScalarFieldEnum)[keyof typeof StudentRegistrationScalarFieldEnum]
+
+
 export const SortOrder = {
   asc: 'asc',
   desc: 'desc'
@@ -189,6 +456,13 @@ export const NullableJsonNullValueInput = {
 export type NullableJsonNullValueInput = (typeof NullableJsonNullValueInput)[keyof typeof NullableJsonNullValueInput]
 
 
+export const JsonNullValueInput = {
+  JsonNull: JsonNull
+} as const
+
+export type JsonNullValueInput = (typeof JsonNullValueInput)[keyof typeof JsonNullValueInput]
+
+
 export const NullsOrder = {
   first: 'first',
   last: 'last'
@@ -202,7 +476,8 @@ export const StudentOrderByRelevanceFieldEnum = {
   studentNumber: 'studentNumber',
   email: 'email',
   name: 'name',
-  phoneNumber: 'phoneNumber'
+  phoneNumber: 'phoneNumber',
+  branch: 'branch'
 } as const
 
 export type StudentOrderByRelevanceFieldEnum = (typeof StudentOrderByRelevanceFieldEnum)[keyof typeof StudentOrderByRelevanceFieldEnum]
@@ -226,12 +501,24 @@ export type QueryMode = (typeof QueryMode)[keyof typeof QueryMode]
 
 
 export const SessionOrderByRelevanceFieldEnum = {
-  id: 'id'
+  id: 'id',
+  timeSlot: 'timeSlot',
+  branch: 'branch'
 } as const
 
 export type SessionOrderByRelevanceFieldEnum = (typeof SessionOrderByRelevanceFieldEnum)[keyof typeof SessionOrderByRelevanceFieldEnum]
 
 
+export const SessionInstanceOrderByRelevanceFieldEnum = {
+  id: 'id',
+  sessionId: 'sessionId',
+  note: 'note',
+  updatedById: 'updatedById'
+} as const
+
+export type SessionInstanceOrderByRelevanceFieldEnum = (typeof SessionInstanceOrderByRelevanceFieldEnum)[keyof typeof SessionInstanceOrderByRelevanceFieldEnum]
+
+
 export const BookingOrderByRelevanceFieldEnum = {
   id: 'id',
   studentId: 'studentId',
@@ -247,17 +534,81 @@ export const BookingStatusHistoryOrderByRelevanceFieldEnum = {
   id: 'id',
   bookingId: 'bookingId',
   changedById: 'changedById',
-  reason: 'reason'
+  reason: 'reason',
+  batchId: 'batchId'
 } as const
 
 export type BookingStatusHistoryOrderByRelevanceFieldEnum = (typeof BookingStatusHistoryOrderByRelevanceFieldEnum)[keyof typeof BookingStatusHistoryOrderByRelevanceFieldEnum]
 
 
+export const WaitlistEntryOrderByRelevanceFieldEnum = {
+  id: 'id',
+  studentId: 'studentId',
+  sessionId: 'sessionId',
+  bookingId: 'bookingId'
+} as const
+
+export type WaitlistEntryOrderByRelevanceFieldEnum = (typeof WaitlistEntryOrderByRelevanceFieldEnum)[keyof typeof WaitlistEntryOrderByRelevanceFieldEnum]
+
+
+export const SuspensionOrderByRelevanceFieldEnum = {
+  id: 'id',
+  studentId: 'studentId',
+  reason: 'reason',
+  liftedById: 'liftedById'
+} as const
+
+export type SuspensionOrderByRelevanceFieldEnum = (typeof SuspensionOrderByRelevanceFieldEnum)[keyof typeof SuspensionOrderByRelevanceFieldEnum]
+
+
+export const ClosureOrderByRelevanceFieldEnum = {
+  id: 'id',
+  branch: 'branch',
+  timeSlot: 'timeSlot',
+  reason: 'reason',
+  createdById: 'createdById'
+} as const
+
+export type ClosureOrderByRelevanceFieldEnum = (typeof ClosureOrderByRelevanceFieldEnum)[keyof typeof ClosureOrderByRelevanceFieldEnum]
+
+
+export const VehicleOrderByRelevanceFieldEnum = {
+  id: 'id',
+  registration: 'registration',
+  name: 'name',
+  branch: 'branch'
+} as const
+
+export type VehicleOrderByRelevanceFieldEnum = (typeof VehicleOrderByRelevanceFieldEnum)[keyof typeof VehicleOrderByRelevanceFieldEnum]
+
+
+export const VehicleMaintenanceOrderByRelevanceFieldEnum = {
+  id: 'id',
+  vehicleId: 'vehicleId',
+  reason: 'reason',
+  createdById: 'createdById'
+} as const
+
+export type VehicleMaintenanceOrderByRelevanceFieldEnum = (typeof VehicleMaintenanceOrderByRelevanceFieldEnum)[keyof typeof VehicleMaintenanceOrderByRelevanceFieldEnum]
+
+
+export const SessionAssignmentOrderByRelevanceFieldEnum = {
+  id: 'id',
+  sessionId: 'sessionId',
+  instructorId: 'instructorId',
+  vehicleId: 'vehicleId'
+} as const
+
+export type SessionAssignmentOrderByRelevanceFieldEnum = (typeof SessionAssignmentOrderByRelevanceFieldEnum)[keyof typeof SessionAssignmentOrderByRelevanceFieldEnum]
+
+
 export const UserOrderByRelevanceFieldEnum = {
   id: 'id',
   email: 'email',
   name: 'name',
-  password: 'password'
+  password: 'password',
+  branch: 'branch',
+  totpSecret: 'totpSecret'
 } as const
 
 export type UserOrderByRelevanceFieldEnum = (typeof UserOrderByRelevanceFieldEnum)[keyof typeof UserOrderByRelevanceFieldEnum]
@@ -276,8 +627,112 @@ export type SystemSettingOrderByRelevanceFieldEnum = (typeof SystemSettingOrderB
 export const SystemLogOrderByRelevanceFieldEnum = {
   id: 'id',
   action: 'action',
-  message: 'message'
+  message: 'message',
+  actorId: 'actorId',
+  studentId: 'studentId',
+  bookingId: 'bookingId'
 } as const
 
 export type SystemLogOrderByRelevanceFieldEnum = (typeof SystemLogOrderByRelevanceFieldEnum)[keyof typeof SystemLogOrderByRelevanceFieldEnum]
 
+
+export const NotificationOrderByRelevanceFieldEnum = {
+  id: 'id',
+  type: 'type',
+  transport: 'transport',
+  recipient: 'recipient',
+  subject: 'subject',
+  body: 'body',
+  error: 'error',
+  studentId: 'studentId',
+  bookingId: 'bookingId'
+} as const
+
+export type NotificationOrderByRelevanceFieldEnum = (typeof NotificationOrderByRelevanceFieldEnum)[keyof typeof NotificationOrderByRelevanceFieldEnum]
+
+
+export const JobOrderByRelevanceFieldEnum = {
+  name: 'name',
+  lockedBy: 'lockedBy'
+} as const
+
+export type JobOrderByRelevanceFieldEnum = (typeof JobOrderByRelevanceFieldEnum)[keyof typeof JobOrderByRelevanceFieldEnum]
+
+
+export const JobRunOrderByRelevanceFieldEnum = {
+  id: 'id',
+  jobName: 'jobName',
+  trigger: 'trigger',
+  error: 'error',
+  triggeredById: 'triggeredById'
+} as const
+
+export type JobRunOrderByRelevanceFieldEnum = (typeof JobRunOrderByRelevanceFieldEnum)[keyof typeof JobRunOrderByRelevanceFieldEnum]
+
+
+export const TimeSlotOrderByRelevanceFieldEnum = {
+  code: 'code',
+  label: 'label',
+  startTime: 'startTime',
+  endTime: 'endTime'
+} as const
+
+export type TimeSlotOrderByRelevanceFieldEnum = (typeof TimeSlotOrderByRelevanceFieldEnum)[keyof typeof TimeSlotOrderByRelevanceFieldEnum]
+
+
+export const BranchOrderByRelevanceFieldEnum = {
+  code: 'code',
+  name: 'name',
+  address: 'address'
+} as const
+
+export type BranchOrderByRelevanceFieldEnum = (typeof BranchOrderByRelevanceFieldEnum)[keyof typeof BranchOrderByRelevanceFieldEnum]
+
+
+export const AuthSessionOrderByRelevanceFieldEnum = {
+  id: 'id',
+  userId: 'userId',
+  studentId: 'studentId',
+  userAgent: 'userAgent',
+  ipAddress: 'ipAddress'
+} as const
+
+export type AuthSessionOrderByRelevanceFieldEnum = (typeof AuthSessionOrderByRelevanceFieldEnum)[keyof typeof AuthSessionOrderByRelevanceFieldEnum]
+
+
+export const RateLimitOrderByRelevanceFieldEnum = {
+  key: 'key'
+} as const
+
+export type RateLimitOrderByRelevanceFieldEnum = (typeof RateLimitOrderByRelevanceFieldEnum)[keyof typeof RateLimitOrderByRelevanceFieldEnum]
+
+
+export const SessionChangeOrderByRelevanceFieldEnum = {
+  branch: 'branch'
+} as const
+
+export type SessionChangeOrderByRelevanceFieldEnum = (typeof SessionChangeOrderByRelevanceFieldEnum)[keyof typeof SessionChangeOrderByRelevanceFieldEnum]
+
+
+export const LoginCodeOrderByRelevanceFieldEnum = {
+  id: 'id',
+  studentId: 'studentId',
+  codeHash: 'codeHash'
+} as const
+
+export type LoginCodeOrderByRelevanceFieldEnum = (typeof LoginCodeOrderByRelevanceFieldEnum)[keyof typeof LoginCodeOrderByRelevanceFieldEnum]
+
+
+export const StudentRegistrationOrderByRelevanceFieldEnum = {
+  id: 'id',
+  studentId: 'studentId',
+  name: 'name',
+  email: 'email',
+  phoneNumber: 'phoneNumber',
+  branch: 'branch',
+  reviewedById: 'reviewedById',
+  rejectionReason: 'rejectionReason'
+} as const
+
+export type StudentRegistrationOrderByRelevanceFieldEnum = (typeof StudentRegistrationOrderByRelevanceFieldEnum)[keyof typeof StudentRegistrationOrderByRelevanceFieldEnum]
+
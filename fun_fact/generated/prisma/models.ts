@@ -10,9 +10,26 @@
  */
 export type * from './models/Student.ts'
 export type * from './models/Session.ts'
+export type * from './models/SessionInstance.ts'
 export type * from './models/Booking.ts'
 export type * from './models/BookingStatusHistory.ts'
+export type * from './models/WaitlistEntry.ts'
+export type * from './models/Suspension.ts'
+export type * from './models/Closure.ts'
+export type * from './models/Vehicle.ts'
+export type * from './models/VehicleMaintenance.ts'
+export type * from './models/SessionAssignment.ts'
 export type * from './models/User.ts'
 export type * from './models/SystemSetting.ts'
 export type * from './models/SystemLog.ts'
+export type * from './models/Notification.ts'
+export type * from './models/Job.ts'
+export type * from './models/JobRun.ts'
+export type * from './models/TimeSlot.ts'
+export type * from './models/Branch.ts'
+export type * from './models/AuthSession.ts'
+export type * from './models/RateLimit.ts'
+export type * from './models/SessionChange.ts'
+export type * from './models/LoginCode.ts'
+export type * from './models/StudentRegistration.ts'
 export type * from './commonInputTypes.ts'
\ No newline at end of file
@@ -0,0 +1,1528 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `AuthSession` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model AuthSession
+ * 
+ */
+export type AuthSessionModel = runtime.Types.Result.DefaultSelection<Prisma.$AuthSessionPayload>
+
+export type AggregateAuthSession = {
+  _count: AuthSessionCountAggregateOutputType | null
+  _min: AuthSessionMinAggregateOutputType | null
+  _max: AuthSessionMaxAggregateOutputType | null
+}
+
+export type AuthSessionMinAggregateOutputType = {
+  id: string | null
+  userId: string | null
+  studentId: string | null
+  userAgent: string | null
+  ipAddress: string | null
+  createdAt: Date | null
+  lastSeenAt: Date | null
+  expiresAt: Date | null
+  revokedAt: Date | null
+}
+
+export type AuthSessionMaxAggregateOutputType = {
+  id: string | null
+  userId: string | null
+  studentId: string | null
+  userAgent: string | null
+  ipAddress: string | null
+  createdAt: Date | null
+  lastSeenAt: Date | null
+  expiresAt: Date | null
+  revokedAt: Date | null
+}
+
+export type AuthSessionCountAggregateOutputType = {
+  id: number
+  userId: number
+  studentId: number
+  userAgent: number
+  ipAddress: number
+  createdAt: number
+  lastSeenAt: number
+  expiresAt: number
+  revokedAt: number
+  _all: number
+}
+
+
+export type AuthSessionMinAggregateInputType = {
+  id?: true
+  userId?: true
+  studentId?: true
+  userAgent?: true
+  ipAddress?: true
+  createdAt?: true
+  lastSeenAt?: true
+  expiresAt?: true
+  revokedAt?: true
+}
+
+export type AuthSessionMaxAggregateInputType = {
+  id?: true
+  userId?: true
+  studentId?: true
+  userAgent?: true
+  ipAddress?: true
+  createdAt?: true
+  lastSeenAt?: true
+  expiresAt?: true
+  revokedAt?: true
+}
+
+export type AuthSessionCountAggregateInputType = {
+  id?: true
+  userId?: true
+  studentId?: true
+  userAgent?: true
+  ipAddress?: true
+  createdAt?: true
+  lastSeenAt?: true
+  expiresAt?: true
+  revokedAt?: true
+  _all?: true
+}
+
+export type AuthSessionAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which AuthSession to aggregate.
+   */
+  where?: Prisma.AuthSessionWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of AuthSessions to fetch.
+   */
+  orderBy?: Prisma.AuthSessionOrderByWithRelationInput | Prisma.AuthSessionOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.AuthSessionWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` AuthSessions from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` AuthSessions.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned AuthSessions
+  **/
+  _count?: true | AuthSessionCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: AuthSessionMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: AuthSessionMaxAggregateInputType
+}
+
+export type GetAuthSessionAggregateType<T extends AuthSessionAggregateArgs> = {
+      [P in keyof T & keyof AggregateAuthSession]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateAuthSession[P]>
+    : Prisma.GetScalarType<T[P], AggregateAuthSession[P]>
+}
+
+
+
+
+export type AuthSessionGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.AuthSessionWhereInput
+  orderBy?: Prisma.AuthSessionOrderByWithAggregationInput | Prisma.AuthSessionOrderByWithAggregationInput[]
+  by: Prisma.AuthSessionScalarFieldEnum[] | Prisma.AuthSessionScalarFieldEnum
+  having?: Prisma.AuthSessionScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: AuthSessionCountAggregateInputType | true
+  _min?: AuthSessionMinAggregateInputType
+  _max?: AuthSessionMaxAggregateInputType
+}
+
+export type AuthSessionGroupByOutputType = {
+  id: string
+  userId: string | null
+  studentId: string | null
+  userAgent: string | null
+  ipAddress: string | null
+  createdAt: Date
+  lastSeenAt: Date
+  expiresAt: Date
+  revokedAt: Date | null
+  _count: AuthSessionCountAggregateOutputType | null
+  _min: AuthSessionMinAggregateOutputType | null
+  _max: AuthSessionMaxAggregateOutputType | null
+}
+
+type GetAuthSessionGroupByPayload<T extends AuthSessionGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<AuthSessionGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof AuthSessionGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], AuthSessionGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], AuthSessionGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type AuthSessionWhereInput = {
+  AND?: Prisma.AuthSessionWhereInput | Prisma.AuthSessionWhereInput[]
+  OR?: Prisma.AuthSessionWhereInput[]
+  NOT?: Prisma.AuthSessionWhereInput | Prisma.AuthSessionWhereInput[]
+  id?: Prisma.StringFilter<"AuthSession"> | string
+  userId?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  studentId?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  userAgent?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  ipAddress?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"AuthSession"> | Date | string
+  lastSeenAt?: Prisma.DateTimeFilter<"AuthSession"> | Date | string
+  expiresAt?: Prisma.DateTimeFilter<"AuthSession"> | Date | string
+  revokedAt?: Prisma.DateTimeNullableFilter<"AuthSession"> | Date | string | null
+  user?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+  student?: Prisma.XOR<Prisma.StudentNullableScalarRelationFilter, Prisma.StudentWhereInput> | null
+}
+
+export type AuthSessionOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  userId?: Prisma.SortOrderInput | Prisma.SortOrder
+  studentId?: Prisma.SortOrderInput | Prisma.SortOrder
+  userAgent?: Prisma.SortOrderInput | Prisma.SortOrder
+  ipAddress?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  lastSeenAt?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  revokedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  user?: Prisma.UserOrderByWithRelationInput
+  student?: Prisma.StudentOrderByWithRelationInput
+  _relevance?: Prisma.AuthSessionOrderByRelevanceInput
+}
+
+export type AuthSessionWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  AND?: Prisma.AuthSessionWhereInput | Prisma.AuthSessionWhereInput[]
+  OR?: Prisma.AuthSessionWhereInput[]
+  NOT?: Prisma.AuthSessionWhereInput | Prisma.AuthSessionWhereInput[]
+  userId?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  studentId?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  userAgent?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  ipAddress?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"AuthSession"> | Date | string
+  lastSeenAt?: Prisma.DateTimeFilter<"AuthSession"> | Date | string
+  expiresAt?: Prisma.DateTimeFilter<"AuthSession"> | Date | string
+  revokedAt?: Prisma.DateTimeNullableFilter<"AuthSession"> | Date | string | null
+  user?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+  student?: Prisma.XOR<Prisma.StudentNullableScalarRelationFilter, Prisma.StudentWhereInput> | null
+}, "id">
+
+export type AuthSessionOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  userId?: Prisma.SortOrderInput | Prisma.SortOrder
+  studentId?: Prisma.SortOrderInput | Prisma.SortOrder
+  userAgent?: Prisma.SortOrderInput | Prisma.SortOrder
+  ipAddress?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  lastSeenAt?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  revokedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  _count?: Prisma.AuthSessionCountOrderByAggregateInput
+  _max?: Prisma.AuthSessionMaxOrderByAggregateInput
+  _min?: Prisma.AuthSessionMinOrderByAggregateInput
+}
+
+export type AuthSessionScalarWhereWithAggregatesInput = {
+  AND?: Prisma.AuthSessionScalarWhereWithAggregatesInput | Prisma.AuthSessionScalarWhereWithAggregatesInput[]
+  OR?: Prisma.AuthSessionScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.AuthSessionScalarWhereWithAggregatesInput | Prisma.AuthSessionScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"AuthSession"> | string
+  userId?: Prisma.StringNullableWithAggregatesFilter<"AuthSession"> | string | null
+  studentId?: Prisma.StringNullableWithAggregatesFilter<"AuthSession"> | string | null
+  userAgent?: Prisma.StringNullableWithAggregatesFilter<"AuthSession"> | string | null
+  ipAddress?: Prisma.StringNullableWithAggregatesFilter<"AuthSession"> | string | null
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"AuthSession"> | Date | string
+  lastSeenAt?: Prisma.DateTimeWithAggregatesFilter<"AuthSession"> | Date | string
+  expiresAt?: Prisma.DateTimeWithAggregatesFilter<"AuthSession"> | Date | string
+  revokedAt?: Prisma.DateTimeNullableWithAggregatesFilter<"AuthSession"> | Date | string | null
+}
+
+export type AuthSessionCreateInput = {
+  id?: string
+  userAgent?: string | null
+  ipAddress?: string | null
+  createdAt?: Date | string
+  lastSeenAt?: Date | string
+  expiresAt: Date | string
+  revokedAt?: Date | string | null
+  user?: Prisma.UserCreateNestedOneWithoutAuthSessionsInput
+  student?: Prisma.StudentCreateNestedOneWithoutAuthSessionsInput
+}
+
+export type AuthSessionUncheckedCreateInput = {
+  id?: string
+  userId?: string | null
+  studentId?: string | null
+  userAgent?: string | null
+  ipAddress?: string | null
+  createdAt?: Date | string
+  lastSeenAt?: Date | string
+  expiresAt: Date | string
+  revokedAt?: Date | string | null
+}
+
+export type AuthSessionUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  user?: Prisma.UserUpdateOneWithoutAuthSessionsNestedInput
+  student?: Prisma.StudentUpdateOneWithoutAuthSessionsNestedInput
+}
+
+export type AuthSessionUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  userId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  studentId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type AuthSessionCreateManyInput = {
+  id?: string
+  userId?: string | null
+  studentId?: string | null
+  userAgent?: string | null
+  ipAddress?: string | null
+  createdAt?: Date | string
+  lastSeenAt?: Date | string
+  expiresAt: Date | string
+  revokedAt?: Date | string | null
+}
+
+export type AuthSessionUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type AuthSessionUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  userId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  studentId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type AuthSessionListRelationFilter = {
+  every?: Prisma.AuthSessionWhereInput
+  some?: Prisma.AuthSessionWhereInput
+  none?: Prisma.AuthSessionWhereInput
+}
+
+export type AuthSessionOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type AuthSessionOrderByRelevanceInput = {
+  fields: Prisma.AuthSessionOrderByRelevanceFieldEnum | Prisma.AuthSessionOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type AuthSessionCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  userId?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  userAgent?: Prisma.SortOrder
+  ipAddress?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  lastSeenAt?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  revokedAt?: Prisma.SortOrder
+}
+
+export type AuthSessionMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  userId?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  userAgent?: Prisma.SortOrder
+  ipAddress?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  lastSeenAt?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  revokedAt?: Prisma.SortOrder
+}
+
+export type AuthSessionMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  userId?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  userAgent?: Prisma.SortOrder
+  ipAddress?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  lastSeenAt?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  revokedAt?: Prisma.SortOrder
+}
+
+export type AuthSessionCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.AuthSessionCreateWithoutStudentInput, Prisma.AuthSessionUncheckedCreateWithoutStudentInput> | Prisma.AuthSessionCreateWithoutStudentInput[] | Prisma.AuthSessionUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.AuthSessionCreateOrConnectWithoutStudentInput | Prisma.AuthSessionCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.AuthSessionCreateManyStudentInputEnvelope
+  connect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+}
+
+export type AuthSessionUncheckedCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.AuthSessionCreateWithoutStudentInput, Prisma.AuthSessionUncheckedCreateWithoutStudentInput> | Prisma.AuthSessionCreateWithoutStudentInput[] | Prisma.AuthSessionUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.AuthSessionCreateOrConnectWithoutStudentInput | Prisma.AuthSessionCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.AuthSessionCreateManyStudentInputEnvelope
+  connect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+}
+
+export type AuthSessionUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.AuthSessionCreateWithoutStudentInput, Prisma.AuthSessionUncheckedCreateWithoutStudentInput> | Prisma.AuthSessionCreateWithoutStudentInput[] | Prisma.AuthSessionUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.AuthSessionCreateOrConnectWithoutStudentInput | Prisma.AuthSessionCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.AuthSessionUpsertWithWhereUniqueWithoutStudentInput | Prisma.AuthSessionUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.AuthSessionCreateManyStudentInputEnvelope
+  set?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  disconnect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  delete?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  connect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  update?: Prisma.AuthSessionUpdateWithWhereUniqueWithoutStudentInput | Prisma.AuthSessionUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.AuthSessionUpdateManyWithWhereWithoutStudentInput | Prisma.AuthSessionUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.AuthSessionScalarWhereInput | Prisma.AuthSessionScalarWhereInput[]
+}
+
+export type AuthSessionUncheckedUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.AuthSessionCreateWithoutStudentInput, Prisma.AuthSessionUncheckedCreateWithoutStudentInput> | Prisma.AuthSessionCreateWithoutStudentInput[] | Prisma.AuthSessionUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.AuthSessionCreateOrConnectWithoutStudentInput | Prisma.AuthSessionCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.AuthSessionUpsertWithWhereUniqueWithoutStudentInput | Prisma.AuthSessionUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.AuthSessionCreateManyStudentInputEnvelope
+  set?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  disconnect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  delete?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  connect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  update?: Prisma.AuthSessionUpdateWithWhereUniqueWithoutStudentInput | Prisma.AuthSessionUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.AuthSessionUpdateManyWithWhereWithoutStudentInput | Prisma.AuthSessionUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.AuthSessionScalarWhereInput | Prisma.AuthSessionScalarWhereInput[]
+}
+
+export type AuthSessionCreateNestedManyWithoutUserInput = {
+  create?: Prisma.XOR<Prisma.AuthSessionCreateWithoutUserInput, Prisma.AuthSessionUncheckedCreateWithoutUserInput> | Prisma.AuthSessionCreateWithoutUserInput[] | Prisma.AuthSessionUncheckedCreateWithoutUserInput[]
+  connectOrCreate?: Prisma.AuthSessionCreateOrConnectWithoutUserInput | Prisma.AuthSessionCreateOrConnectWithoutUserInput[]
+  createMany?: Prisma.AuthSessionCreateManyUserInputEnvelope
+  connect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+}
+
+export type AuthSessionUncheckedCreateNestedManyWithoutUserInput = {
+  create?: Prisma.XOR<Prisma.AuthSessionCreateWithoutUserInput, Prisma.AuthSessionUncheckedCreateWithoutUserInput> | Prisma.AuthSessionCreateWithoutUserInput[] | Prisma.AuthSessionUncheckedCreateWithoutUserInput[]
+  connectOrCreate?: Prisma.AuthSessionCreateOrConnectWithoutUserInput | Prisma.AuthSessionCreateOrConnectWithoutUserInput[]
+  createMany?: Prisma.AuthSessionCreateManyUserInputEnvelope
+  connect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+}
+
+export type AuthSessionUpdateManyWithoutUserNestedInput = {
+  create?: Prisma.XOR<Prisma.AuthSessionCreateWithoutUserInput, Prisma.AuthSessionUncheckedCreateWithoutUserInput> | Prisma.AuthSessionCreateWithoutUserInput[] | Prisma.AuthSessionUncheckedCreateWithoutUserInput[]
+  connectOrCreate?: Prisma.AuthSessionCreateOrConnectWithoutUserInput | Prisma.AuthSessionCreateOrConnectWithoutUserInput[]
+  upsert?: Prisma.AuthSessionUpsertWithWhereUniqueWithoutUserInput | Prisma.AuthSessionUpsertWithWhereUniqueWithoutUserInput[]
+  createMany?: Prisma.AuthSessionCreateManyUserInputEnvelope
+  set?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  disconnect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  delete?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  connect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  update?: Prisma.AuthSessionUpdateWithWhereUniqueWithoutUserInput | Prisma.AuthSessionUpdateWithWhereUniqueWithoutUserInput[]
+  updateMany?: Prisma.AuthSessionUpdateManyWithWhereWithoutUserInput | Prisma.AuthSessionUpdateManyWithWhereWithoutUserInput[]
+  deleteMany?: Prisma.AuthSessionScalarWhereInput | Prisma.AuthSessionScalarWhereInput[]
+}
+
+export type AuthSessionUncheckedUpdateManyWithoutUserNestedInput = {
+  create?: Prisma.XOR<Prisma.AuthSessionCreateWithoutUserInput, Prisma.AuthSessionUncheckedCreateWithoutUserInput> | Prisma.AuthSessionCreateWithoutUserInput[] | Prisma.AuthSessionUncheckedCreateWithoutUserInput[]
+  connectOrCreate?: Prisma.AuthSessionCreateOrConnectWithoutUserInput | Prisma.AuthSessionCreateOrConnectWithoutUserInput[]
+  upsert?: Prisma.AuthSessionUpsertWithWhereUniqueWithoutUserInput | Prisma.AuthSessionUpsertWithWhereUniqueWithoutUserInput[]
+  createMany?: Prisma.AuthSessionCreateManyUserInputEnvelope
+  set?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  disconnect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  delete?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  connect?: Prisma.AuthSessionWhereUniqueInput | Prisma.AuthSessionWhereUniqueInput[]
+  update?: Prisma.AuthSessionUpdateWithWhereUniqueWithoutUserInput | Prisma.AuthSessionUpdateWithWhereUniqueWithoutUserInput[]
+  updateMany?: Prisma.AuthSessionUpdateManyWithWhereWithoutUserInput | Prisma.AuthSessionUpdateManyWithWhereWithoutUserInput[]
+  deleteMany?: Prisma.AuthSessionScalarWhereInput | Prisma.AuthSessionScalarWhereInput[]
+}
+
+export type AuthSessionCreateWithoutStudentInput = {
+  id?: string
+  userAgent?: string | null
+  ipAddress?: string | null
+  createdAt?: Date | string
+  lastSeenAt?: Date | string
+  expiresAt: Date | string
+  revokedAt?: Date | string | null
+  user?: Prisma.UserCreateNestedOneWithoutAuthSessionsInput
+}
+
+export type AuthSessionUncheckedCreateWithoutStudentInput = {
+  id?: string
+  userId?: string | null
+  userAgent?: string | null
+  ipAddress?: string | null
+  createdAt?: Date | string
+  lastSeenAt?: Date | string
+  expiresAt: Date | string
+  revokedAt?: Date | string | null
+}
+
+export type AuthSessionCreateOrConnectWithoutStudentInput = {
+  where: Prisma.AuthSessionWhereUniqueInput
+  create: Prisma.XOR<Prisma.AuthSessionCreateWithoutStudentInput, Prisma.AuthSessionUncheckedCreateWithoutStudentInput>
+}
+
+export type AuthSessionCreateManyStudentInputEnvelope = {
+  data: Prisma.AuthSessionCreateManyStudentInput | Prisma.AuthSessionCreateManyStudentInput[]
+  skipDuplicates?: boolean
+}
+
+export type AuthSessionUpsertWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.AuthSessionWhereUniqueInput
+  update: Prisma.XOR<Prisma.AuthSessionUpdateWithoutStudentInput, Prisma.AuthSessionUncheckedUpdateWithoutStudentInput>
+  create: Prisma.XOR<Prisma.AuthSessionCreateWithoutStudentInput, Prisma.AuthSessionUncheckedCreateWithoutStudentInput>
+}
+
+export type AuthSessionUpdateWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.AuthSessionWhereUniqueInput
+  data: Prisma.XOR<Prisma.AuthSessionUpdateWithoutStudentInput, Prisma.AuthSessionUncheckedUpdateWithoutStudentInput>
+}
+
+export type AuthSessionUpdateManyWithWhereWithoutStudentInput = {
+  where: Prisma.AuthSessionScalarWhereInput
+  data: Prisma.XOR<Prisma.AuthSessionUpdateManyMutationInput, Prisma.AuthSessionUncheckedUpdateManyWithoutStudentInput>
+}
+
+export type AuthSessionScalarWhereInput = {
+  AND?: Prisma.AuthSessionScalarWhereInput | Prisma.AuthSessionScalarWhereInput[]
+  OR?: Prisma.AuthSessionScalarWhereInput[]
+  NOT?: Prisma.AuthSessionScalarWhereInput | Prisma.AuthSessionScalarWhereInput[]
+  id?: Prisma.StringFilter<"AuthSession"> | string
+  userId?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  studentId?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  userAgent?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  ipAddress?: Prisma.StringNullableFilter<"AuthSession"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"AuthSession"> | Date | string
+  lastSeenAt?: Prisma.DateTimeFilter<"AuthSession"> | Date | string
+  expiresAt?: Prisma.DateTimeFilter<"AuthSession"> | Date | string
+  revokedAt?: Prisma.DateTimeNullableFilter<"AuthSession"> | Date | string | null
+}
+
+export type AuthSessionCreateWithoutUserInput = {
+  id?: string
+  userAgent?: string | null
+  ipAddress?: string | null
+  createdAt?: Date | string
+  lastSeenAt?: Date | string
+  expiresAt: Date | string
+  revokedAt?: Date | string | null
+  student?: Prisma.StudentCreateNestedOneWithoutAuthSessionsInput
+}
+
+export type AuthSessionUncheckedCreateWithoutUserInput = {
+  id?: string
+  studentId?: string | null
+  userAgent?: string | null
+  ipAddress?: string | null
+  createdAt?: Date | string
+  lastSeenAt?: Date | string
+  expiresAt: Date | string
+  revokedAt?: Date | string | null
+}
+
+export type AuthSessionCreateOrConnectWithoutUserInput = {
+  where: Prisma.AuthSessionWhereUniqueInput
+  create: Prisma.XOR<Prisma.AuthSessionCreateWithoutUserInput, Prisma.AuthSessionUncheckedCreateWithoutUserInput>
+}
+
+export type AuthSessionCreateManyUserInputEnvelope = {
+  data: Prisma.AuthSessionCreateManyUserInput | Prisma.AuthSessionCreateManyUserInput[]
+  skipDuplicates?: boolean
+}
+
+export type AuthSessionUpsertWithWhereUniqueWithoutUserInput = {
+  where: Prisma.AuthSessionWhereUniqueInput
+  update: Prisma.XOR<Prisma.AuthSessionUpdateWithoutUserInput, Prisma.AuthSessionUncheckedUpdateWithoutUserInput>
+  create: Prisma.XOR<Prisma.AuthSessionCreateWithoutUserInput, Prisma.AuthSessionUncheckedCreateWithoutUserInput>
+}
+
+export type AuthSessionUpdateWithWhereUniqueWithoutUserInput = {
+  where: Prisma.AuthSessionWhereUniqueInput
+  data: Prisma.XOR<Prisma.AuthSessionUpdateWithoutUserInput, Prisma.AuthSessionUncheckedUpdateWithoutUserInput>
+}
+
+export type AuthSessionUpdateManyWithWhereWithoutUserInput = {
+  where: Prisma.AuthSessionScalarWhereInput
+  data: Prisma.XOR<Prisma.AuthSessionUpdateManyMutationInput, Prisma.AuthSessionUncheckedUpdateManyWithoutUserInput>
+}
+
+export type AuthSessionCreateManyStudentInput = {
+  id?: string
+  userId?: string | null
+  userAgent?: string | null
+  ipAddress?: string | null
+  createdAt?: Date | string
+  lastSeenAt?: Date | string
+  expiresAt: Date | string
+  revokedAt?: Date | string | null
+}
+
+export type AuthSessionUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  user?: Prisma.UserUpdateOneWithoutAuthSessionsNestedInput
+}
+
+export type AuthSessionUncheckedUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  userId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type AuthSessionUncheckedUpdateManyWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  userId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type AuthSessionCreateManyUserInput = {
+  id?: string
+  studentId?: string | null
+  userAgent?: string | null
+  ipAddress?: string | null
+  createdAt?: Date | string
+  lastSeenAt?: Date | string
+  expiresAt: Date | string
+  revokedAt?: Date | string | null
+}
+
+export type AuthSessionUpdateWithoutUserInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  student?: Prisma.StudentUpdateOneWithoutAuthSessionsNestedInput
+}
+
+export type AuthSessionUncheckedUpdateWithoutUserInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type AuthSessionUncheckedUpdateManyWithoutUserInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  userAgent?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  ipAddress?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  lastSeenAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  revokedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+
+
+export type AuthSessionSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  userId?: boolean
+  studentId?: boolean
+  userAgent?: boolean
+  ipAddress?: boolean
+  createdAt?: boolean
+  lastSeenAt?: boolean
+  expiresAt?: boolean
+  revokedAt?: boolean
+  user?: boolean | Prisma.AuthSession$userArgs<ExtArgs>
+  student?: boolean | Prisma.AuthSession$studentArgs<ExtArgs>
+}, ExtArgs["result"]["authSession"]>
+
+
+
+export type AuthSessionSelectScalar = {
+  id?: boolean
+  userId?: boolean
+  studentId?: boolean
+  userAgent?: boolean
+  ipAddress?: boolean
+  createdAt?: boolean
+  lastSeenAt?: boolean
+  expiresAt?: boolean
+  revokedAt?: boolean
+}
+
+export type AuthSessionOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "userId" | "studentId" | "userAgent" | "ipAddress" | "createdAt" | "lastSeenAt" | "expiresAt" | "revokedAt", ExtArgs["result"]["authSession"]>
+export type AuthSessionInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  user?: boolean | Prisma.AuthSession$userArgs<ExtArgs>
+  student?: boolean | Prisma.AuthSession$studentArgs<ExtArgs>
+}
+
+export type $AuthSessionPayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "AuthSession"
+  objects: {
+    user: Prisma.$UserPayload<ExtArgs> | null
+    student: Prisma.$StudentPayload<ExtArgs> | null
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    userId: string | null
+    studentId: string | null
+    userAgent: string | null
+    ipAddress: string | null
+    createdAt: Date
+    lastSeenAt: Date
+    expiresAt: Date
+    revokedAt: Date | null
+  }, ExtArgs["result"]["authSession"]>
+  composites: {}
+}
+
+export type AuthSessionGetPayload<S extends boolean | null | undefined | AuthSessionDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload, S>
+
+export type AuthSessionCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<AuthSessionFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: AuthSessionCountAggregateInputType | true
+  }
+
+export interface AuthSessionDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['AuthSession'], meta: { name: 'AuthSession' } }
+  /**
+   * Find zero or one AuthSession that matches the filter.
+   * @param {AuthSessionFindUniqueArgs} args - Arguments to find a AuthSession
+   * @example
+   * // Get one AuthSession
+   * const authSession = await prisma.authSession.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends AuthSessionFindUniqueArgs>(args: Prisma.SelectSubset<T, AuthSessionFindUniqueArgs<ExtArgs>>): Prisma.Prisma__AuthSessionClient<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one AuthSession that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {AuthSessionFindUniqueOrThrowArgs} args - Arguments to find a AuthSession
+   * @example
+   * // Get one AuthSession
+   * const authSession = await prisma.authSession.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends AuthSessionFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, AuthSessionFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__AuthSessionClient<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first AuthSession that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {AuthSessionFindFirstArgs} args - Arguments to find a AuthSession
+   * @example
+   * // Get one AuthSession
+   * const authSession = await prisma.authSession.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends AuthSessionFindFirstArgs>(args?: Prisma.SelectSubset<T, AuthSessionFindFirstArgs<ExtArgs>>): Prisma.Prisma__AuthSessionClient<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first AuthSession that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {AuthSessionFindFirstOrThrowArgs} args - Arguments to find a AuthSession
+   * @example
+   * // Get one AuthSession
+   * const authSession = await prisma.authSession.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends AuthSessionFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, AuthSessionFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__AuthSessionClient<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more AuthSessions that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {AuthSessionFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all AuthSessions
+   * const authSessions = await prisma.authSession.findMany()
+   * 
+   * // Get first 10 AuthSessions
+   * const authSessions = await prisma.authSession.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const authSessionWithIdOnly = await prisma.authSession.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends AuthSessionFindManyArgs>(args?: Prisma.SelectSubset<T, AuthSessionFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a AuthSession.
+   * @param {AuthSessionCreateArgs} args - Arguments to create a AuthSession.
+   * @example
+   * // Create one AuthSession
+   * const AuthSession = await prisma.authSession.create({
+   *   data: {
+   *     // ... data to create a AuthSession
+   *   }
+   * })
+   * 
+   */
+  create<T extends AuthSessionCreateArgs>(args: Prisma.SelectSubset<T, AuthSessionCreateArgs<ExtArgs>>): Prisma.Prisma__AuthSessionClient<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many AuthSessions.
+   * @param {AuthSessionCreateManyArgs} args - Arguments to create many AuthSessions.
+   * @example
+   * // Create many AuthSessions
+   * const authSession = await prisma.authSession.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends AuthSessionCreateManyArgs>(args?: Prisma.SelectSubset<T, AuthSessionCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a AuthSession.
+   * @param {AuthSessionDeleteArgs} args - Arguments to delete one AuthSession.
+   * @example
+   * // Delete one AuthSession
+   * const AuthSession = await prisma.authSession.delete({
+   *   where: {
+   *     // ... filter to delete one AuthSession
+   *   }
+   * })
+   * 
+   */
+  delete<T extends AuthSessionDeleteArgs>(args: Prisma.SelectSubset<T, AuthSessionDeleteArgs<ExtArgs>>): Prisma.Prisma__AuthSessionClient<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one AuthSession.
+   * @param {AuthSessionUpdateArgs} args - Arguments to update one AuthSession.
+   * @example
+   * // Update one AuthSession
+   * const authSession = await prisma.authSession.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends AuthSessionUpdateArgs>(args: Prisma.SelectSubset<T, AuthSessionUpdateArgs<ExtArgs>>): Prisma.Prisma__AuthSessionClient<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more AuthSessions.
+   * @param {AuthSessionDeleteManyArgs} args - Arguments to filter AuthSessions to delete.
+   * @example
+   * // Delete a few AuthSessions
+   * const { count } = await prisma.authSession.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends AuthSessionDeleteManyArgs>(args?: Prisma.SelectSubset<T, AuthSessionDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more AuthSessions.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {AuthSessionUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many AuthSessions
+   * const authSession = await prisma.authSession.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends AuthSessionUpdateManyArgs>(args: Prisma.SelectSubset<T, AuthSessionUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one AuthSession.
+   * @param {AuthSessionUpsertArgs} args - Arguments to update or create a AuthSession.
+   * @example
+   * // Update or create a AuthSession
+   * const authSession = await prisma.authSession.upsert({
+   *   create: {
+   *     // ... data to create a AuthSession
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the AuthSession we want to update
+   *   }
+   * })
+   */
+  upsert<T extends AuthSessionUpsertArgs>(args: Prisma.SelectSubset<T, AuthSessionUpsertArgs<ExtArgs>>): Prisma.Prisma__AuthSessionClient<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of AuthSessions.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {AuthSessionCountArgs} args - Arguments to filter AuthSessions to count.
+   * @example
+   * // Count the number of AuthSessions
+   * const count = await prisma.authSession.count({
+   *   where: {
+   *     // ... the filter for the AuthSessions we want to count
+   *   }
+   * })
+  **/
+  count<T extends AuthSessionCountArgs>(
+    args?: Prisma.Subset<T, AuthSessionCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], AuthSessionCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a AuthSession.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {AuthSessionAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends AuthSessionAggregateArgs>(args: Prisma.Subset<T, AuthSessionAggregateArgs>): Prisma.PrismaPromise<GetAuthSessionAggregateType<T>>
+
+  /**
+   * Group by AuthSession.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {AuthSessionGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends AuthSessionGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: AuthSessionGroupByArgs['orderBy'] }
+      : { orderBy?: AuthSessionGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, AuthSessionGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetAuthSessionGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the AuthSession model
+ */
+readonly fields: AuthSessionFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for AuthSession.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__AuthSessionClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  user<T extends Prisma.AuthSession$userArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.AuthSession$userArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  student<T extends Prisma.AuthSession$studentArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.AuthSession$studentArgs<ExtArgs>>): Prisma.Prisma__StudentClient<runtime.Types.Result.GetResult<Prisma.$StudentPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the AuthSession model
+ */
+export interface AuthSessionFieldRefs {
+  readonly id: Prisma.FieldRef<"AuthSession", 'String'>
+  readonly userId: Prisma.FieldRef<"AuthSession", 'String'>
+  readonly studentId: Prisma.FieldRef<"AuthSession", 'String'>
+  readonly userAgent: Prisma.FieldRef<"AuthSession", 'String'>
+  readonly ipAddress: Prisma.FieldRef<"AuthSession", 'String'>
+  readonly createdAt: Prisma.FieldRef<"AuthSession", 'DateTime'>
+  readonly lastSeenAt: Prisma.FieldRef<"AuthSession", 'DateTime'>
+  readonly expiresAt: Prisma.FieldRef<"AuthSession", 'DateTime'>
+  readonly revokedAt: Prisma.FieldRef<"AuthSession", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * AuthSession findUnique
+ */
+export type AuthSessionFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  /**
+   * Filter, which AuthSession to fetch.
+   */
+  where: Prisma.AuthSessionWhereUniqueInput
+}
+
+/**
+ * AuthSession findUniqueOrThrow
+ */
+export type AuthSessionFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  /**
+   * Filter, which AuthSession to fetch.
+   */
+  where: Prisma.AuthSessionWhereUniqueInput
+}
+
+/**
+ * AuthSession findFirst
+ */
+export type AuthSessionFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  /**
+   * Filter, which AuthSession to fetch.
+   */
+  where?: Prisma.AuthSessionWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of AuthSessions to fetch.
+   */
+  orderBy?: Prisma.AuthSessionOrderByWithRelationInput | Prisma.AuthSessionOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for AuthSessions.
+   */
+  cursor?: Prisma.AuthSessionWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` AuthSessions from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` AuthSessions.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of AuthSessions.
+   */
+  distinct?: Prisma.AuthSessionScalarFieldEnum | Prisma.AuthSessionScalarFieldEnum[]
+}
+
+/**
+ * AuthSession findFirstOrThrow
+ */
+export type AuthSessionFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  /**
+   * Filter, which AuthSession to fetch.
+   */
+  where?: Prisma.AuthSessionWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of AuthSessions to fetch.
+   */
+  orderBy?: Prisma.AuthSessionOrderByWithRelationInput | Prisma.AuthSessionOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for AuthSessions.
+   */
+  cursor?: Prisma.AuthSessionWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` AuthSessions from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` AuthSessions.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of AuthSessions.
+   */
+  distinct?: Prisma.AuthSessionScalarFieldEnum | Prisma.AuthSessionScalarFieldEnum[]
+}
+
+/**
+ * AuthSession findMany
+ */
+export type AuthSessionFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  /**
+   * Filter, which AuthSessions to fetch.
+   */
+  where?: Prisma.AuthSessionWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of AuthSessions to fetch.
+   */
+  orderBy?: Prisma.AuthSessionOrderByWithRelationInput | Prisma.AuthSessionOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing AuthSessions.
+   */
+  cursor?: Prisma.AuthSessionWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` AuthSessions from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` AuthSessions.
+   */
+  skip?: number
+  distinct?: Prisma.AuthSessionScalarFieldEnum | Prisma.AuthSessionScalarFieldEnum[]
+}
+
+/**
+ * AuthSession create
+ */
+export type AuthSessionCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  /**
+   * The data needed to create a AuthSession.
+   */
+  data: Prisma.XOR<Prisma.AuthSessionCreateInput, Prisma.AuthSessionUncheckedCreateInput>
+}
+
+/**
+ * AuthSession createMany
+ */
+export type AuthSessionCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many AuthSessions.
+   */
+  data: Prisma.AuthSessionCreateManyInput | Prisma.AuthSessionCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * AuthSession update
+ */
+export type AuthSessionUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  /**
+   * The data needed to update a AuthSession.
+   */
+  data: Prisma.XOR<Prisma.AuthSessionUpdateInput, Prisma.AuthSessionUncheckedUpdateInput>
+  /**
+   * Choose, which AuthSession to update.
+   */
+  where: Prisma.AuthSessionWhereUniqueInput
+}
+
+/**
+ * AuthSession updateMany
+ */
+export type AuthSessionUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update AuthSessions.
+   */
+  data: Prisma.XOR<Prisma.AuthSessionUpdateManyMutationInput, Prisma.AuthSessionUncheckedUpdateManyInput>
+  /**
+   * Filter which AuthSessions to update
+   */
+  where?: Prisma.AuthSessionWhereInput
+  /**
+   * Limit how many AuthSessions to update.
+   */
+  limit?: number
+}
+
+/**
+ * AuthSession upsert
+ */
+export type AuthSessionUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  /**
+   * The filter to search for the AuthSession to update in case it exists.
+   */
+  where: Prisma.AuthSessionWhereUniqueInput
+  /**
+   * In case the AuthSession found by the `where` argument doesn't exist, create a new AuthSession with this data.
+   */
+  create: Prisma.XOR<Prisma.AuthSessionCreateInput, Prisma.AuthSessionUncheckedCreateInput>
+  /**
+   * In case the AuthSession was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.AuthSessionUpdateInput, Prisma.AuthSessionUncheckedUpdateInput>
+}
+
+/**
+ * AuthSession delete
+ */
+export type AuthSessionDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  /**
+   * Filter which AuthSession to delete.
+   */
+  where: Prisma.AuthSessionWhereUniqueInput
+}
+
+/**
+ * AuthSession deleteMany
+ */
+export type AuthSessionDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which AuthSessions to delete
+   */
+  where?: Prisma.AuthSessionWhereInput
+  /**
+   * Limit how many AuthSessions to delete.
+   */
+  limit?: number
+}
+
+/**
+ * AuthSession.user
+ */
+export type AuthSession$userArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the User
+   */
+  select?: Prisma.UserSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the User
+   */
+  omit?: Prisma.UserOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.UserInclude<ExtArgs> | null
+  where?: Prisma.UserWhereInput
+}
+
+/**
+ * AuthSession.student
+ */
+export type AuthSession$studentArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Student
+   */
+  select?: Prisma.StudentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Student
+   */
+  omit?: Prisma.StudentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentInclude<ExtArgs> | null
+  where?: Prisma.StudentWhereInput
+}
+
+/**
+ * AuthSession without action
+ */
+export type AuthSessionDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+}
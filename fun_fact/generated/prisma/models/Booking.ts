@@ -250,6 +250,7 @@ export type BookingWhereInput = {
   session?: Prisma.XOR<Prisma.SessionScalarRelationFilter, Prisma.SessionWhereInput>
   markedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
   statusHistory?: Prisma.BookingStatusHistoryListRelationFilter
+  waitlistEntry?: Prisma.XOR<Prisma.WaitlistEntryNullableScalarRelationFilter, Prisma.WaitlistEntryWhereInput> | null
 }
 
 export type BookingOrderByWithRelationInput = {
@@ -270,6 +271,7 @@ export type BookingOrderByWithRelationInput = {
   session?: Prisma.SessionOrderByWithRelationInput
   markedBy?: Prisma.UserOrderByWithRelationInput
   statusHistory?: Prisma.BookingStatusHistoryOrderByRelationAggregateInput
+  waitlistEntry?: Prisma.WaitlistEntryOrderByWithRelationInput
   _relevance?: Prisma.BookingOrderByRelevanceInput
 }
 
@@ -295,6 +297,7 @@ export type BookingWhereUniqueInput = Prisma.AtLeast<{
   session?: Prisma.XOR<Prisma.SessionScalarRelationFilter, Prisma.SessionWhereInput>
   markedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
   statusHistory?: Prisma.BookingStatusHistoryListRelationFilter
+  waitlistEntry?: Prisma.XOR<Prisma.WaitlistEntryNullableScalarRelationFilter, Prisma.WaitlistEntryWhereInput> | null
 }, "id" | "studentId_sessionId_weekOf">
 
 export type BookingOrderByWithAggregationInput = {
@@ -350,6 +353,7 @@ export type BookingCreateInput = {
   session: Prisma.SessionCreateNestedOneWithoutBookingsInput
   markedBy?: Prisma.UserCreateNestedOneWithoutBookingsMarkedInput
   statusHistory?: Prisma.BookingStatusHistoryCreateNestedManyWithoutBookingInput
+  waitlistEntry?: Prisma.WaitlistEntryCreateNestedOneWithoutBookingInput
 }
 
 export type BookingUncheckedCreateInput = {
@@ -367,6 +371,7 @@ export type BookingUncheckedCreateInput = {
   createdAt?: Date | string
   updatedAt?: Date | string
   statusHistory?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutBookingInput
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedCreateNestedOneWithoutBookingInput
 }
 
 export type BookingUpdateInput = {
@@ -384,6 +389,7 @@ export type BookingUpdateInput = {
   session?: Prisma.SessionUpdateOneRequiredWithoutBookingsNestedInput
   markedBy?: Prisma.UserUpdateOneWithoutBookingsMarkedNestedInput
   statusHistory?: Prisma.BookingStatusHistoryUpdateManyWithoutBookingNestedInput
+  waitlistEntry?: Prisma.WaitlistEntryUpdateOneWithoutBookingNestedInput
 }
 
 export type BookingUncheckedUpdateInput = {
@@ -401,6 +407,7 @@ export type BookingUncheckedUpdateInput = {
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   statusHistory?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutBookingNestedInput
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedUpdateOneWithoutBookingNestedInput
 }
 
 export type BookingCreateManyInput = {
@@ -523,6 +530,11 @@ export type BookingScalarRelationFilter = {
   isNot?: Prisma.BookingWhereInput
 }
 
+export type BookingNullableScalarRelationFilter = {
+  is?: Prisma.BookingWhereInput | null
+  isNot?: Prisma.BookingWhereInput | null
+}
+
 export type BookingCreateNestedManyWithoutStudentInput = {
   create?: Prisma.XOR<Prisma.BookingCreateWithoutStudentInput, Prisma.BookingUncheckedCreateWithoutStudentInput> | Prisma.BookingCreateWithoutStudentInput[] | Prisma.BookingUncheckedCreateWithoutStudentInput[]
   connectOrCreate?: Prisma.BookingCreateOrConnectWithoutStudentInput | Prisma.BookingCreateOrConnectWithoutStudentInput[]
@@ -625,6 +637,22 @@ export type BookingUpdateOneRequiredWithoutStatusHistoryNestedInput = {
   update?: Prisma.XOR<Prisma.XOR<Prisma.BookingUpdateToOneWithWhereWithoutStatusHistoryInput, Prisma.BookingUpdateWithoutStatusHistoryInput>, Prisma.BookingUncheckedUpdateWithoutStatusHistoryInput>
 }
 
+export type BookingCreateNestedOneWithoutWaitlistEntryInput = {
+  create?: Prisma.XOR<Prisma.BookingCreateWithoutWaitlistEntryInput, Prisma.BookingUncheckedCreateWithoutWaitlistEntryInput>
+  connectOrCreate?: Prisma.BookingCreateOrConnectWithoutWaitlistEntryInput
+  connect?: Prisma.BookingWhereUniqueInput
+}
+
+export type BookingUpdateOneWithoutWaitlistEntryNestedInput = {
+  create?: Prisma.XOR<Prisma.BookingCreateWithoutWaitlistEntryInput, Prisma.BookingUncheckedCreateWithoutWaitlistEntryInput>
+  connectOrCreate?: Prisma.BookingCreateOrConnectWithoutWaitlistEntryInput
+  upsert?: Prisma.BookingUpsertWithoutWaitlistEntryInput
+  disconnect?: Prisma.BookingWhereInput | boolean
+  delete?: Prisma.BookingWhereInput | boolean
+  connect?: Prisma.BookingWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.BookingUpdateToOneWithWhereWithoutWaitlistEntryInput, Prisma.BookingUpdateWithoutWaitlistEntryInput>, Prisma.BookingUncheckedUpdateWithoutWaitlistEntryInput>
+}
+
 export type BookingCreateNestedManyWithoutMarkedByInput = {
   create?: Prisma.XOR<Prisma.BookingCreateWithoutMarkedByInput, Prisma.BookingUncheckedCreateWithoutMarkedByInput> | Prisma.BookingCreateWithoutMarkedByInput[] | Prisma.BookingUncheckedCreateWithoutMarkedByInput[]
   connectOrCreate?: Prisma.BookingCreateOrConnectWithoutMarkedByInput | Prisma.BookingCreateOrConnectWithoutMarkedByInput[]
@@ -681,6 +709,7 @@ export type BookingCreateWithoutStudentInput = {
   session: Prisma.SessionCreateNestedOneWithoutBookingsInput
   markedBy?: Prisma.UserCreateNestedOneWithoutBookingsMarkedInput
   statusHistory?: Prisma.BookingStatusHistoryCreateNestedManyWithoutBookingInput
+  waitlistEntry?: Prisma.WaitlistEntryCreateNestedOneWithoutBookingInput
 }
 
 export type BookingUncheckedCreateWithoutStudentInput = {
@@ -697,6 +726,7 @@ export type BookingUncheckedCreateWithoutStudentInput = {
   createdAt?: Date | string
   updatedAt?: Date | string
   statusHistory?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutBookingInput
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedCreateNestedOneWithoutBookingInput
 }
 
 export type BookingCreateOrConnectWithoutStudentInput = {
@@ -758,6 +788,7 @@ export type BookingCreateWithoutSessionInput = {
   student: Prisma.StudentCreateNestedOneWithoutBookingsInput
   markedBy?: Prisma.UserCreateNestedOneWithoutBookingsMarkedInput
   statusHistory?: Prisma.BookingStatusHistoryCreateNestedManyWithoutBookingInput
+  waitlistEntry?: Prisma.WaitlistEntryCreateNestedOneWithoutBookingInput
 }
 
 export type BookingUncheckedCreateWithoutSessionInput = {
@@ -774,6 +805,7 @@ export type BookingUncheckedCreateWithoutSessionInput = {
   createdAt?: Date | string
   updatedAt?: Date | string
   statusHistory?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutBookingInput
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedCreateNestedOneWithoutBookingInput
 }
 
 export type BookingCreateOrConnectWithoutSessionInput = {
@@ -816,6 +848,7 @@ export type BookingCreateWithoutStatusHistoryInput = {
   student: Prisma.StudentCreateNestedOneWithoutBookingsInput
   session: Prisma.SessionCreateNestedOneWithoutBookingsInput
   markedBy?: Prisma.UserCreateNestedOneWithoutBookingsMarkedInput
+  waitlistEntry?: Prisma.WaitlistEntryCreateNestedOneWithoutBookingInput
 }
 
 export type BookingUncheckedCreateWithoutStatusHistoryInput = {
@@ -832,6 +865,7 @@ export type BookingUncheckedCreateWithoutStatusHistoryInput = {
   notes?: string | null
   createdAt?: Date | string
   updatedAt?: Date | string
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedCreateNestedOneWithoutBookingInput
 }
 
 export type BookingCreateOrConnectWithoutStatusHistoryInput = {
@@ -864,6 +898,7 @@ export type BookingUpdateWithoutStatusHistoryInput = {
   student?: Prisma.StudentUpdateOneRequiredWithoutBookingsNestedInput
   session?: Prisma.SessionUpdateOneRequiredWithoutBookingsNestedInput
   markedBy?: Prisma.UserUpdateOneWithoutBookingsMarkedNestedInput
+  waitlistEntry?: Prisma.WaitlistEntryUpdateOneWithoutBookingNestedInput
 }
 
 export type BookingUncheckedUpdateWithoutStatusHistoryInput = {
@@ -880,6 +915,91 @@ export type BookingUncheckedUpdateWithoutStatusHistoryInput = {
   notes?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedUpdateOneWithoutBookingNestedInput
+}
+
+export type BookingCreateWithoutWaitlistEntryInput = {
+  id?: string
+  category?: $Enums.LicenceClass
+  status?: $Enums.BookingStatus
+  weekOf?: Date | string
+  attendedAt?: Date | string | null
+  completedAt?: Date | string | null
+  cancelledAt?: Date | string | null
+  notes?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  student: Prisma.StudentCreateNestedOneWithoutBookingsInput
+  session: Prisma.SessionCreateNestedOneWithoutBookingsInput
+  markedBy?: Prisma.UserCreateNestedOneWithoutBookingsMarkedInput
+  statusHistory?: Prisma.BookingStatusHistoryCreateNestedManyWithoutBookingInput
+}
+
+export type BookingUncheckedCreateWithoutWaitlistEntryInput = {
+  id?: string
+  studentId: string
+  sessionId: string
+  category?: $Enums.LicenceClass
+  status?: $Enums.BookingStatus
+  weekOf?: Date | string
+  markedById?: string | null
+  attendedAt?: Date | string | null
+  completedAt?: Date | string | null
+  cancelledAt?: Date | string | null
+  notes?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  statusHistory?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutBookingInput
+}
+
+export type BookingCreateOrConnectWithoutWaitlistEntryInput = {
+  where: Prisma.BookingWhereUniqueInput
+  create: Prisma.XOR<Prisma.BookingCreateWithoutWaitlistEntryInput, Prisma.BookingUncheckedCreateWithoutWaitlistEntryInput>
+}
+
+export type BookingUpsertWithoutWaitlistEntryInput = {
+  update: Prisma.XOR<Prisma.BookingUpdateWithoutWaitlistEntryInput, Prisma.BookingUncheckedUpdateWithoutWaitlistEntryInput>
+  create: Prisma.XOR<Prisma.BookingCreateWithoutWaitlistEntryInput, Prisma.BookingUncheckedCreateWithoutWaitlistEntryInput>
+  where?: Prisma.BookingWhereInput
+}
+
+export type BookingUpdateToOneWithWhereWithoutWaitlistEntryInput = {
+  where?: Prisma.BookingWhereInput
+  data: Prisma.XOR<Prisma.BookingUpdateWithoutWaitlistEntryInput, Prisma.BookingUncheckedUpdateWithoutWaitlistEntryInput>
+}
+
+export type BookingUpdateWithoutWaitlistEntryInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  status?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  attendedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  completedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  cancelledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  notes?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  student?: Prisma.StudentUpdateOneRequiredWithoutBookingsNestedInput
+  session?: Prisma.SessionUpdateOneRequiredWithoutBookingsNestedInput
+  markedBy?: Prisma.UserUpdateOneWithoutBookingsMarkedNestedInput
+  statusHistory?: Prisma.BookingStatusHistoryUpdateManyWithoutBookingNestedInput
+}
+
+export type BookingUncheckedUpdateWithoutWaitlistEntryInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  status?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  markedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  attendedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  completedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  cancelledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  notes?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  statusHistory?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutBookingNestedInput
 }
 
 export type BookingCreateWithoutMarkedByInput = {
@@ -896,6 +1016,7 @@ export type BookingCreateWithoutMarkedByInput = {
   student: Prisma.StudentCreateNestedOneWithoutBookingsInput
   session: Prisma.SessionCreateNestedOneWithoutBookingsInput
   statusHistory?: Prisma.BookingStatusHistoryCreateNestedManyWithoutBookingInput
+  waitlistEntry?: Prisma.WaitlistEntryCreateNestedOneWithoutBookingInput
 }
 
 export type BookingUncheckedCreateWithoutMarkedByInput = {
@@ -912,6 +1033,7 @@ export type BookingUncheckedCreateWithoutMarkedByInput = {
   createdAt?: Date | string
   updatedAt?: Date | string
   statusHistory?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutBookingInput
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedCreateNestedOneWithoutBookingInput
 }
 
 export type BookingCreateOrConnectWithoutMarkedByInput = {
@@ -969,6 +1091,7 @@ export type BookingUpdateWithoutStudentInput = {
   session?: Prisma.SessionUpdateOneRequiredWithoutBookingsNestedInput
   markedBy?: Prisma.UserUpdateOneWithoutBookingsMarkedNestedInput
   statusHistory?: Prisma.BookingStatusHistoryUpdateManyWithoutBookingNestedInput
+  waitlistEntry?: Prisma.WaitlistEntryUpdateOneWithoutBookingNestedInput
 }
 
 export type BookingUncheckedUpdateWithoutStudentInput = {
@@ -985,6 +1108,7 @@ export type BookingUncheckedUpdateWithoutStudentInput = {
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   statusHistory?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutBookingNestedInput
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedUpdateOneWithoutBookingNestedInput
 }
 
 export type BookingUncheckedUpdateManyWithoutStudentInput = {
@@ -1031,6 +1155,7 @@ export type BookingUpdateWithoutSessionInput = {
   student?: Prisma.StudentUpdateOneRequiredWithoutBookingsNestedInput
   markedBy?: Prisma.UserUpdateOneWithoutBookingsMarkedNestedInput
   statusHistory?: Prisma.BookingStatusHistoryUpdateManyWithoutBookingNestedInput
+  waitlistEntry?: Prisma.WaitlistEntryUpdateOneWithoutBookingNestedInput
 }
 
 export type BookingUncheckedUpdateWithoutSessionInput = {
@@ -1047,6 +1172,7 @@ export type BookingUncheckedUpdateWithoutSessionInput = {
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   statusHistory?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutBookingNestedInput
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedUpdateOneWithoutBookingNestedInput
 }
 
 export type BookingUncheckedUpdateManyWithoutSessionInput = {
@@ -1093,6 +1219,7 @@ export type BookingUpdateWithoutMarkedByInput = {
   student?: Prisma.StudentUpdateOneRequiredWithoutBookingsNestedInput
   session?: Prisma.SessionUpdateOneRequiredWithoutBookingsNestedInput
   statusHistory?: Prisma.BookingStatusHistoryUpdateManyWithoutBookingNestedInput
+  waitlistEntry?: Prisma.WaitlistEntryUpdateOneWithoutBookingNestedInput
 }
 
 export type BookingUncheckedUpdateWithoutMarkedByInput = {
@@ -1109,6 +1236,7 @@ export type BookingUncheckedUpdateWithoutMarkedByInput = {
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   statusHistory?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutBookingNestedInput
+  waitlistEntry?: Prisma.WaitlistEntryUncheckedUpdateOneWithoutBookingNestedInput
 }
 
 export type BookingUncheckedUpdateManyWithoutMarkedByInput = {
@@ -1175,6 +1303,7 @@ export type BookingSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs
   session?: boolean | Prisma.SessionDefaultArgs<ExtArgs>
   markedBy?: boolean | Prisma.Booking$markedByArgs<ExtArgs>
   statusHistory?: boolean | Prisma.Booking$statusHistoryArgs<ExtArgs>
+  waitlistEntry?: boolean | Prisma.Booking$waitlistEntryArgs<ExtArgs>
   _count?: boolean | Prisma.BookingCountOutputTypeDefaultArgs<ExtArgs>
 }, ExtArgs["result"]["booking"]>
 
@@ -1202,6 +1331,7 @@ export type BookingInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs
   session?: boolean | Prisma.SessionDefaultArgs<ExtArgs>
   markedBy?: boolean | Prisma.Booking$markedByArgs<ExtArgs>
   statusHistory?: boolean | Prisma.Booking$statusHistoryArgs<ExtArgs>
+  waitlistEntry?: boolean | Prisma.Booking$waitlistEntryArgs<ExtArgs>
   _count?: boolean | Prisma.BookingCountOutputTypeDefaultArgs<ExtArgs>
 }
 
@@ -1212,6 +1342,7 @@ export type $BookingPayload<ExtArgs extends runtime.Types.Extensions.InternalArg
     session: Prisma.$SessionPayload<ExtArgs>
     markedBy: Prisma.$UserPayload<ExtArgs> | null
     statusHistory: Prisma.$BookingStatusHistoryPayload<ExtArgs>[]
+    waitlistEntry: Prisma.$WaitlistEntryPayload<ExtArgs> | null
   }
   scalars: runtime.Types.Extensions.GetPayloadResult<{
     id: string
@@ -1571,6 +1702,7 @@ export interface Prisma__BookingClient<T, Null = never, ExtArgs extends runtime.
   session<T extends Prisma.SessionDefaultArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.SessionDefaultArgs<ExtArgs>>): Prisma.Prisma__SessionClient<runtime.Types.Result.GetResult<Prisma.$SessionPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | Null, Null, ExtArgs, GlobalOmitOptions>
   markedBy<T extends Prisma.Booking$markedByArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Booking$markedByArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
   statusHistory<T extends Prisma.Booking$statusHistoryArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Booking$statusHistoryArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$BookingStatusHistoryPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  waitlistEntry<T extends Prisma.Booking$waitlistEntryArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Booking$waitlistEntryArgs<ExtArgs>>): Prisma.Prisma__WaitlistEntryClient<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
   /**
    * Attaches callbacks for the resolution and/or rejection of the Promise.
    * @param onfulfilled The callback to execute when the Promise is resolved.
@@ -1998,6 +2130,25 @@ export type Booking$statusHistoryArgs<ExtArgs extends runtime.Types.Extensions.I
   distinct?: Prisma.BookingStatusHistoryScalarFieldEnum | Prisma.BookingStatusHistoryScalarFieldEnum[]
 }
 
+/**
+ * Booking.waitlistEntry
+ */
+export type Booking$waitlistEntryArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  where?: Prisma.WaitlistEntryWhereInput
+}
+
 /**
  * Booking without action
  */
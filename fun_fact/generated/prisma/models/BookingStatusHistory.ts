@@ -31,6 +31,7 @@ export type BookingStatusHistoryMinAggregateOutputType = {
   toStatus: $Enums.BookingStatus | null
   changedById: string | null
   reason: string | null
+  batchId: string | null
   createdAt: Date | null
 }
 
@@ -41,6 +42,7 @@ export type BookingStatusHistoryMaxAggregateOutputType = {
   toStatus: $Enums.BookingStatus | null
   changedById: string | null
   reason: string | null
+  batchId: string | null
   createdAt: Date | null
 }
 
@@ -51,6 +53,7 @@ export type BookingStatusHistoryCountAggregateOutputType = {
   toStatus: number
   changedById: number
   reason: number
+  batchId: number
   createdAt: number
   _all: number
 }
@@ -63,6 +66,7 @@ export type BookingStatusHistoryMinAggregateInputType = {
   toStatus?: true
   changedById?: true
   reason?: true
+  batchId?: true
   createdAt?: true
 }
 
@@ -73,6 +77,7 @@ export type BookingStatusHistoryMaxAggregateInputType = {
   toStatus?: true
   changedById?: true
   reason?: true
+  batchId?: true
   createdAt?: true
 }
 
@@ -83,6 +88,7 @@ export type BookingStatusHistoryCountAggregateInputType = {
   toStatus?: true
   changedById?: true
   reason?: true
+  batchId?: true
   createdAt?: true
   _all?: true
 }
@@ -166,6 +172,7 @@ export type BookingStatusHistoryGroupByOutputType = {
   toStatus: $Enums.BookingStatus
   changedById: string | null
   reason: string | null
+  batchId: string | null
   createdAt: Date
   _count: BookingStatusHistoryCountAggregateOutputType | null
   _min: BookingStatusHistoryMinAggregateOutputType | null
@@ -197,6 +204,7 @@ export type BookingStatusHistoryWhereInput = {
   toStatus?: Prisma.EnumBookingStatusFilter<"BookingStatusHistory"> | $Enums.BookingStatus
   changedById?: Prisma.StringNullableFilter<"BookingStatusHistory"> | string | null
   reason?: Prisma.StringNullableFilter<"BookingStatusHistory"> | string | null
+  batchId?: Prisma.StringNullableFilter<"BookingStatusHistory"> | string | null
   createdAt?: Prisma.DateTimeFilter<"BookingStatusHistory"> | Date | string
   booking?: Prisma.XOR<Prisma.BookingScalarRelationFilter, Prisma.BookingWhereInput>
   changedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
@@ -209,6 +217,7 @@ export type BookingStatusHistoryOrderByWithRelationInput = {
   toStatus?: Prisma.SortOrder
   changedById?: Prisma.SortOrderInput | Prisma.SortOrder
   reason?: Prisma.SortOrderInput | Prisma.SortOrder
+  batchId?: Prisma.SortOrderInput | Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   booking?: Prisma.BookingOrderByWithRelationInput
   changedBy?: Prisma.UserOrderByWithRelationInput
@@ -225,6 +234,7 @@ export type BookingStatusHistoryWhereUniqueInput = Prisma.AtLeast<{
   toStatus?: Prisma.EnumBookingStatusFilter<"BookingStatusHistory"> | $Enums.BookingStatus
   changedById?: Prisma.StringNullableFilter<"BookingStatusHistory"> | string | null
   reason?: Prisma.StringNullableFilter<"BookingStatusHistory"> | string | null
+  batchId?: Prisma.StringNullableFilter<"BookingStatusHistory"> | string | null
   createdAt?: Prisma.DateTimeFilter<"BookingStatusHistory"> | Date | string
   booking?: Prisma.XOR<Prisma.BookingScalarRelationFilter, Prisma.BookingWhereInput>
   changedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
@@ -237,6 +247,7 @@ export type BookingStatusHistoryOrderByWithAggregationInput = {
   toStatus?: Prisma.SortOrder
   changedById?: Prisma.SortOrderInput | Prisma.SortOrder
   reason?: Prisma.SortOrderInput | Prisma.SortOrder
+  batchId?: Prisma.SortOrderInput | Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   _count?: Prisma.BookingStatusHistoryCountOrderByAggregateInput
   _max?: Prisma.BookingStatusHistoryMaxOrderByAggregateInput
@@ -253,6 +264,7 @@ export type BookingStatusHistoryScalarWhereWithAggregatesInput = {
   toStatus?: Prisma.EnumBookingStatusWithAggregatesFilter<"BookingStatusHistory"> | $Enums.BookingStatus
   changedById?: Prisma.StringNullableWithAggregatesFilter<"BookingStatusHistory"> | string | null
   reason?: Prisma.StringNullableWithAggregatesFilter<"BookingStatusHistory"> | string | null
+  batchId?: Prisma.StringNullableWithAggregatesFilter<"BookingStatusHistory"> | string | null
   createdAt?: Prisma.DateTimeWithAggregatesFilter<"BookingStatusHistory"> | Date | string
 }
 
@@ -261,6 +273,7 @@ export type BookingStatusHistoryCreateInput = {
   fromStatus?: $Enums.BookingStatus | null
   toStatus: $Enums.BookingStatus
   reason?: string | null
+  batchId?: string | null
   createdAt?: Date | string
   booking: Prisma.BookingCreateNestedOneWithoutStatusHistoryInput
   changedBy?: Prisma.UserCreateNestedOneWithoutStatusChangesInput
@@ -273,6 +286,7 @@ export type BookingStatusHistoryUncheckedCreateInput = {
   toStatus: $Enums.BookingStatus
   changedById?: string | null
   reason?: string | null
+  batchId?: string | null
   createdAt?: Date | string
 }
 
@@ -281,6 +295,7 @@ export type BookingStatusHistoryUpdateInput = {
   fromStatus?: Prisma.NullableEnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus | null
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   booking?: Prisma.BookingUpdateOneRequiredWithoutStatusHistoryNestedInput
   changedBy?: Prisma.UserUpdateOneWithoutStatusChangesNestedInput
@@ -293,6 +308,7 @@ export type BookingStatusHistoryUncheckedUpdateInput = {
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   changedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
@@ -303,6 +319,7 @@ export type BookingStatusHistoryCreateManyInput = {
   toStatus: $Enums.BookingStatus
   changedById?: string | null
   reason?: string | null
+  batchId?: string | null
   createdAt?: Date | string
 }
 
@@ -311,6 +328,7 @@ export type BookingStatusHistoryUpdateManyMutationInput = {
   fromStatus?: Prisma.NullableEnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus | null
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
@@ -321,6 +339,7 @@ export type BookingStatusHistoryUncheckedUpdateManyInput = {
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   changedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
@@ -347,6 +366,7 @@ export type BookingStatusHistoryCountOrderByAggregateInput = {
   toStatus?: Prisma.SortOrder
   changedById?: Prisma.SortOrder
   reason?: Prisma.SortOrder
+  batchId?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
 }
 
@@ -357,6 +377,7 @@ export type BookingStatusHistoryMaxOrderByAggregateInput = {
   toStatus?: Prisma.SortOrder
   changedById?: Prisma.SortOrder
   reason?: Prisma.SortOrder
+  batchId?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
 }
 
@@ -367,6 +388,7 @@ export type BookingStatusHistoryMinOrderByAggregateInput = {
   toStatus?: Prisma.SortOrder
   changedById?: Prisma.SortOrder
   reason?: Prisma.SortOrder
+  batchId?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
 }
 
@@ -463,6 +485,7 @@ export type BookingStatusHistoryCreateWithoutBookingInput = {
   fromStatus?: $Enums.BookingStatus | null
   toStatus: $Enums.BookingStatus
   reason?: string | null
+  batchId?: string | null
   createdAt?: Date | string
   changedBy?: Prisma.UserCreateNestedOneWithoutStatusChangesInput
 }
@@ -473,6 +496,7 @@ export type BookingStatusHistoryUncheckedCreateWithoutBookingInput = {
   toStatus: $Enums.BookingStatus
   changedById?: string | null
   reason?: string | null
+  batchId?: string | null
   createdAt?: Date | string
 }
 
@@ -512,6 +536,7 @@ export type BookingStatusHistoryScalarWhereInput = {
   toStatus?: Prisma.EnumBookingStatusFilter<"BookingStatusHistory"> | $Enums.BookingStatus
   changedById?: Prisma.StringNullableFilter<"BookingStatusHistory"> | string | null
   reason?: Prisma.StringNullableFilter<"BookingStatusHistory"> | string | null
+  batchId?: Prisma.StringNullableFilter<"BookingStatusHistory"> | string | null
   createdAt?: Prisma.DateTimeFilter<"BookingStatusHistory"> | Date | string
 }
 
@@ -520,6 +545,7 @@ export type BookingStatusHistoryCreateWithoutChangedByInput = {
   fromStatus?: $Enums.BookingStatus | null
   toStatus: $Enums.BookingStatus
   reason?: string | null
+  batchId?: string | null
   createdAt?: Date | string
   booking: Prisma.BookingCreateNestedOneWithoutStatusHistoryInput
 }
@@ -530,6 +556,7 @@ export type BookingStatusHistoryUncheckedCreateWithoutChangedByInput = {
   fromStatus?: $Enums.BookingStatus | null
   toStatus: $Enums.BookingStatus
   reason?: string | null
+  batchId?: string | null
   createdAt?: Date | string
 }
 
@@ -565,6 +592,7 @@ export type BookingStatusHistoryCreateManyBookingInput = {
   toStatus: $Enums.BookingStatus
   changedById?: string | null
   reason?: string | null
+  batchId?: string | null
   createdAt?: Date | string
 }
 
@@ -573,6 +601,7 @@ export type BookingStatusHistoryUpdateWithoutBookingInput = {
   fromStatus?: Prisma.NullableEnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus | null
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   changedBy?: Prisma.UserUpdateOneWithoutStatusChangesNestedInput
 }
@@ -583,6 +612,7 @@ export type BookingStatusHistoryUncheckedUpdateWithoutBookingInput = {
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   changedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
@@ -592,6 +622,7 @@ export type BookingStatusHistoryUncheckedUpdateManyWithoutBookingInput = {
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   changedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
@@ -601,6 +632,7 @@ export type BookingStatusHistoryCreateManyChangedByInput = {
   fromStatus?: $Enums.BookingStatus | null
   toStatus: $Enums.BookingStatus
   reason?: string | null
+  batchId?: string | null
   createdAt?: Date | string
 }
 
@@ -609,6 +641,7 @@ export type BookingStatusHistoryUpdateWithoutChangedByInput = {
   fromStatus?: Prisma.NullableEnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus | null
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   booking?: Prisma.BookingUpdateOneRequiredWithoutStatusHistoryNestedInput
 }
@@ -619,6 +652,7 @@ export type BookingStatusHistoryUncheckedUpdateWithoutChangedByInput = {
   fromStatus?: Prisma.NullableEnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus | null
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
@@ -628,6 +662,7 @@ export type BookingStatusHistoryUncheckedUpdateManyWithoutChangedByInput = {
   fromStatus?: Prisma.NullableEnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus | null
   toStatus?: Prisma.EnumBookingStatusFieldUpdateOperationsInput | $Enums.BookingStatus
   reason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  batchId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
@@ -640,6 +675,7 @@ export type BookingStatusHistorySelect<ExtArgs extends runtime.Types.Extensions.
   toStatus?: boolean
   changedById?: boolean
   reason?: boolean
+  batchId?: boolean
   createdAt?: boolean
   booking?: boolean | Prisma.BookingDefaultArgs<ExtArgs>
   changedBy?: boolean | Prisma.BookingStatusHistory$changedByArgs<ExtArgs>
@@ -654,10 +690,11 @@ export type BookingStatusHistorySelectScalar = {
   toStatus?: boolean
   changedById?: boolean
   reason?: boolean
+  batchId?: boolean
   createdAt?: boolean
 }
 
-export type BookingStatusHistoryOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "bookingId" | "fromStatus" | "toStatus" | "changedById" | "reason" | "createdAt", ExtArgs["result"]["bookingStatusHistory"]>
+export type BookingStatusHistoryOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "bookingId" | "fromStatus" | "toStatus" | "changedById" | "reason" | "batchId" | "createdAt", ExtArgs["result"]["bookingStatusHistory"]>
 export type BookingStatusHistoryInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
   booking?: boolean | Prisma.BookingDefaultArgs<ExtArgs>
   changedBy?: boolean | Prisma.BookingStatusHistory$changedByArgs<ExtArgs>
@@ -676,6 +713,7 @@ export type $BookingStatusHistoryPayload<ExtArgs extends runtime.Types.Extension
     toStatus: $Enums.BookingStatus
     changedById: string | null
     reason: string | null
+    batchId: string | null
     createdAt: Date
   }, ExtArgs["result"]["bookingStatusHistory"]>
   composites: {}
@@ -1054,6 +1092,7 @@ export interface BookingStatusHistoryFieldRefs {
   readonly toStatus: Prisma.FieldRef<"BookingStatusHistory", 'BookingStatus'>
   readonly changedById: Prisma.FieldRef<"BookingStatusHistory", 'String'>
   readonly reason: Prisma.FieldRef<"BookingStatusHistory", 'String'>
+  readonly batchId: Prisma.FieldRef<"BookingStatusHistory", 'String'>
   readonly createdAt: Prisma.FieldRef<"BookingStatusHistory", 'DateTime'>
 }
     
@@ -0,0 +1,1340 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `Closure` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model Closure
+ * 
+ */
+export type ClosureModel = runtime.Types.Result.DefaultSelection<Prisma.$ClosurePayload>
+
+export type AggregateClosure = {
+  _count: ClosureCountAggregateOutputType | null
+  _min: ClosureMinAggregateOutputType | null
+  _max: ClosureMaxAggregateOutputType | null
+}
+
+export type ClosureMinAggregateOutputType = {
+  id: string | null
+  date: Date | null
+  branch: string | null
+  timeSlot: string | null
+  category: $Enums.LicenceClass | null
+  reason: string | null
+  createdById: string | null
+  createdAt: Date | null
+}
+
+export type ClosureMaxAggregateOutputType = {
+  id: string | null
+  date: Date | null
+  branch: string | null
+  timeSlot: string | null
+  category: $Enums.LicenceClass | null
+  reason: string | null
+  createdById: string | null
+  createdAt: Date | null
+}
+
+export type ClosureCountAggregateOutputType = {
+  id: number
+  date: number
+  branch: number
+  timeSlot: number
+  category: number
+  reason: number
+  createdById: number
+  createdAt: number
+  _all: number
+}
+
+
+export type ClosureMinAggregateInputType = {
+  id?: true
+  date?: true
+  branch?: true
+  timeSlot?: true
+  category?: true
+  reason?: true
+  createdById?: true
+  createdAt?: true
+}
+
+export type ClosureMaxAggregateInputType = {
+  id?: true
+  date?: true
+  branch?: true
+  timeSlot?: true
+  category?: true
+  reason?: true
+  createdById?: true
+  createdAt?: true
+}
+
+export type ClosureCountAggregateInputType = {
+  id?: true
+  date?: true
+  branch?: true
+  timeSlot?: true
+  category?: true
+  reason?: true
+  createdById?: true
+  createdAt?: true
+  _all?: true
+}
+
+export type ClosureAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which Closure to aggregate.
+   */
+  where?: Prisma.ClosureWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Closures to fetch.
+   */
+  orderBy?: Prisma.ClosureOrderByWithRelationInput | Prisma.ClosureOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.ClosureWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Closures from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Closures.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned Closures
+  **/
+  _count?: true | ClosureCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: ClosureMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: ClosureMaxAggregateInputType
+}
+
+export type GetClosureAggregateType<T extends ClosureAggregateArgs> = {
+      [P in keyof T & keyof AggregateClosure]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateClosure[P]>
+    : Prisma.GetScalarType<T[P], AggregateClosure[P]>
+}
+
+
+
+
+export type ClosureGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.ClosureWhereInput
+  orderBy?: Prisma.ClosureOrderByWithAggregationInput | Prisma.ClosureOrderByWithAggregationInput[]
+  by: Prisma.ClosureScalarFieldEnum[] | Prisma.ClosureScalarFieldEnum
+  having?: Prisma.ClosureScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: ClosureCountAggregateInputType | true
+  _min?: ClosureMinAggregateInputType
+  _max?: ClosureMaxAggregateInputType
+}
+
+export type ClosureGroupByOutputType = {
+  id: string
+  date: Date
+  branch: string | null
+  timeSlot: string | null
+  category: $Enums.LicenceClass | null
+  reason: string
+  createdById: string | null
+  createdAt: Date
+  _count: ClosureCountAggregateOutputType | null
+  _min: ClosureMinAggregateOutputType | null
+  _max: ClosureMaxAggregateOutputType | null
+}
+
+type GetClosureGroupByPayload<T extends ClosureGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<ClosureGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof ClosureGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], ClosureGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], ClosureGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type ClosureWhereInput = {
+  AND?: Prisma.ClosureWhereInput | Prisma.ClosureWhereInput[]
+  OR?: Prisma.ClosureWhereInput[]
+  NOT?: Prisma.ClosureWhereInput | Prisma.ClosureWhereInput[]
+  id?: Prisma.StringFilter<"Closure"> | string
+  date?: Prisma.DateTimeFilter<"Closure"> | Date | string
+  branch?: Prisma.StringNullableFilter<"Closure"> | string | null
+  timeSlot?: Prisma.StringNullableFilter<"Closure"> | string | null
+  category?: Prisma.EnumLicenceClassNullableFilter<"Closure"> | $Enums.LicenceClass | null
+  reason?: Prisma.StringFilter<"Closure"> | string
+  createdById?: Prisma.StringNullableFilter<"Closure"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"Closure"> | Date | string
+  createdBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}
+
+export type ClosureOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  branch?: Prisma.SortOrderInput | Prisma.SortOrder
+  timeSlot?: Prisma.SortOrderInput | Prisma.SortOrder
+  category?: Prisma.SortOrderInput | Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  createdBy?: Prisma.UserOrderByWithRelationInput
+  _relevance?: Prisma.ClosureOrderByRelevanceInput
+}
+
+export type ClosureWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  AND?: Prisma.ClosureWhereInput | Prisma.ClosureWhereInput[]
+  OR?: Prisma.ClosureWhereInput[]
+  NOT?: Prisma.ClosureWhereInput | Prisma.ClosureWhereInput[]
+  date?: Prisma.DateTimeFilter<"Closure"> | Date | string
+  branch?: Prisma.StringNullableFilter<"Closure"> | string | null
+  timeSlot?: Prisma.StringNullableFilter<"Closure"> | string | null
+  category?: Prisma.EnumLicenceClassNullableFilter<"Closure"> | $Enums.LicenceClass | null
+  reason?: Prisma.StringFilter<"Closure"> | string
+  createdById?: Prisma.StringNullableFilter<"Closure"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"Closure"> | Date | string
+  createdBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}, "id">
+
+export type ClosureOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  branch?: Prisma.SortOrderInput | Prisma.SortOrder
+  timeSlot?: Prisma.SortOrderInput | Prisma.SortOrder
+  category?: Prisma.SortOrderInput | Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  _count?: Prisma.ClosureCountOrderByAggregateInput
+  _max?: Prisma.ClosureMaxOrderByAggregateInput
+  _min?: Prisma.ClosureMinOrderByAggregateInput
+}
+
+export type ClosureScalarWhereWithAggregatesInput = {
+  AND?: Prisma.ClosureScalarWhereWithAggregatesInput | Prisma.ClosureScalarWhereWithAggregatesInput[]
+  OR?: Prisma.ClosureScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.ClosureScalarWhereWithAggregatesInput | Prisma.ClosureScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"Closure"> | string
+  date?: Prisma.DateTimeWithAggregatesFilter<"Closure"> | Date | string
+  branch?: Prisma.StringNullableWithAggregatesFilter<"Closure"> | string | null
+  timeSlot?: Prisma.StringNullableWithAggregatesFilter<"Closure"> | string | null
+  category?: Prisma.EnumLicenceClassNullableWithAggregatesFilter<"Closure"> | $Enums.LicenceClass | null
+  reason?: Prisma.StringWithAggregatesFilter<"Closure"> | string
+  createdById?: Prisma.StringNullableWithAggregatesFilter<"Closure"> | string | null
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"Closure"> | Date | string
+}
+
+export type ClosureCreateInput = {
+  id?: string
+  date: Date | string
+  branch?: string | null
+  timeSlot?: string | null
+  category?: $Enums.LicenceClass | null
+  reason: string
+  createdAt?: Date | string
+  createdBy?: Prisma.UserCreateNestedOneWithoutClosuresInput
+}
+
+export type ClosureUncheckedCreateInput = {
+  id?: string
+  date: Date | string
+  branch?: string | null
+  timeSlot?: string | null
+  category?: $Enums.LicenceClass | null
+  reason: string
+  createdById?: string | null
+  createdAt?: Date | string
+}
+
+export type ClosureUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  timeSlot?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.NullableEnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass | null
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  createdBy?: Prisma.UserUpdateOneWithoutClosuresNestedInput
+}
+
+export type ClosureUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  timeSlot?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.NullableEnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass | null
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type ClosureCreateManyInput = {
+  id?: string
+  date: Date | string
+  branch?: string | null
+  timeSlot?: string | null
+  category?: $Enums.LicenceClass | null
+  reason: string
+  createdById?: string | null
+  createdAt?: Date | string
+}
+
+export type ClosureUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  timeSlot?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.NullableEnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass | null
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type ClosureUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  timeSlot?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.NullableEnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass | null
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type ClosureOrderByRelevanceInput = {
+  fields: Prisma.ClosureOrderByRelevanceFieldEnum | Prisma.ClosureOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type ClosureCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  timeSlot?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type ClosureMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  timeSlot?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type ClosureMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  timeSlot?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type ClosureListRelationFilter = {
+  every?: Prisma.ClosureWhereInput
+  some?: Prisma.ClosureWhereInput
+  none?: Prisma.ClosureWhereInput
+}
+
+export type ClosureOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type NullableEnumLicenceClassFieldUpdateOperationsInput = {
+  set?: $Enums.LicenceClass | null
+}
+
+export type ClosureCreateNestedManyWithoutCreatedByInput = {
+  create?: Prisma.XOR<Prisma.ClosureCreateWithoutCreatedByInput, Prisma.ClosureUncheckedCreateWithoutCreatedByInput> | Prisma.ClosureCreateWithoutCreatedByInput[] | Prisma.ClosureUncheckedCreateWithoutCreatedByInput[]
+  connectOrCreate?: Prisma.ClosureCreateOrConnectWithoutCreatedByInput | Prisma.ClosureCreateOrConnectWithoutCreatedByInput[]
+  createMany?: Prisma.ClosureCreateManyCreatedByInputEnvelope
+  connect?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+}
+
+export type ClosureUncheckedCreateNestedManyWithoutCreatedByInput = {
+  create?: Prisma.XOR<Prisma.ClosureCreateWithoutCreatedByInput, Prisma.ClosureUncheckedCreateWithoutCreatedByInput> | Prisma.ClosureCreateWithoutCreatedByInput[] | Prisma.ClosureUncheckedCreateWithoutCreatedByInput[]
+  connectOrCreate?: Prisma.ClosureCreateOrConnectWithoutCreatedByInput | Prisma.ClosureCreateOrConnectWithoutCreatedByInput[]
+  createMany?: Prisma.ClosureCreateManyCreatedByInputEnvelope
+  connect?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+}
+
+export type ClosureUpdateManyWithoutCreatedByNestedInput = {
+  create?: Prisma.XOR<Prisma.ClosureCreateWithoutCreatedByInput, Prisma.ClosureUncheckedCreateWithoutCreatedByInput> | Prisma.ClosureCreateWithoutCreatedByInput[] | Prisma.ClosureUncheckedCreateWithoutCreatedByInput[]
+  connectOrCreate?: Prisma.ClosureCreateOrConnectWithoutCreatedByInput | Prisma.ClosureCreateOrConnectWithoutCreatedByInput[]
+  upsert?: Prisma.ClosureUpsertWithWhereUniqueWithoutCreatedByInput | Prisma.ClosureUpsertWithWhereUniqueWithoutCreatedByInput[]
+  createMany?: Prisma.ClosureCreateManyCreatedByInputEnvelope
+  set?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+  disconnect?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+  delete?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+  connect?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+  update?: Prisma.ClosureUpdateWithWhereUniqueWithoutCreatedByInput | Prisma.ClosureUpdateWithWhereUniqueWithoutCreatedByInput[]
+  updateMany?: Prisma.ClosureUpdateManyWithWhereWithoutCreatedByInput | Prisma.ClosureUpdateManyWithWhereWithoutCreatedByInput[]
+  deleteMany?: Prisma.ClosureScalarWhereInput | Prisma.ClosureScalarWhereInput[]
+}
+
+export type ClosureUncheckedUpdateManyWithoutCreatedByNestedInput = {
+  create?: Prisma.XOR<Prisma.ClosureCreateWithoutCreatedByInput, Prisma.ClosureUncheckedCreateWithoutCreatedByInput> | Prisma.ClosureCreateWithoutCreatedByInput[] | Prisma.ClosureUncheckedCreateWithoutCreatedByInput[]
+  connectOrCreate?: Prisma.ClosureCreateOrConnectWithoutCreatedByInput | Prisma.ClosureCreateOrConnectWithoutCreatedByInput[]
+  upsert?: Prisma.ClosureUpsertWithWhereUniqueWithoutCreatedByInput | Prisma.ClosureUpsertWithWhereUniqueWithoutCreatedByInput[]
+  createMany?: Prisma.ClosureCreateManyCreatedByInputEnvelope
+  set?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+  disconnect?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+  delete?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+  connect?: Prisma.ClosureWhereUniqueInput | Prisma.ClosureWhereUniqueInput[]
+  update?: Prisma.ClosureUpdateWithWhereUniqueWithoutCreatedByInput | Prisma.ClosureUpdateWithWhereUniqueWithoutCreatedByInput[]
+  updateMany?: Prisma.ClosureUpdateManyWithWhereWithoutCreatedByInput | Prisma.ClosureUpdateManyWithWhereWithoutCreatedByInput[]
+  deleteMany?: Prisma.ClosureScalarWhereInput | Prisma.ClosureScalarWhereInput[]
+}
+
+export type ClosureCreateWithoutCreatedByInput = {
+  id?: string
+  date: Date | string
+  branch?: string | null
+  timeSlot?: string | null
+  category?: $Enums.LicenceClass | null
+  reason: string
+  createdAt?: Date | string
+}
+
+export type ClosureUncheckedCreateWithoutCreatedByInput = {
+  id?: string
+  date: Date | string
+  branch?: string | null
+  timeSlot?: string | null
+  category?: $Enums.LicenceClass | null
+  reason: string
+  createdAt?: Date | string
+}
+
+export type ClosureCreateOrConnectWithoutCreatedByInput = {
+  where: Prisma.ClosureWhereUniqueInput
+  create: Prisma.XOR<Prisma.ClosureCreateWithoutCreatedByInput, Prisma.ClosureUncheckedCreateWithoutCreatedByInput>
+}
+
+export type ClosureCreateManyCreatedByInputEnvelope = {
+  data: Prisma.ClosureCreateManyCreatedByInput | Prisma.ClosureCreateManyCreatedByInput[]
+  skipDuplicates?: boolean
+}
+
+export type ClosureUpsertWithWhereUniqueWithoutCreatedByInput = {
+  where: Prisma.ClosureWhereUniqueInput
+  update: Prisma.XOR<Prisma.ClosureUpdateWithoutCreatedByInput, Prisma.ClosureUncheckedUpdateWithoutCreatedByInput>
+  create: Prisma.XOR<Prisma.ClosureCreateWithoutCreatedByInput, Prisma.ClosureUncheckedCreateWithoutCreatedByInput>
+}
+
+export type ClosureUpdateWithWhereUniqueWithoutCreatedByInput = {
+  where: Prisma.ClosureWhereUniqueInput
+  data: Prisma.XOR<Prisma.ClosureUpdateWithoutCreatedByInput, Prisma.ClosureUncheckedUpdateWithoutCreatedByInput>
+}
+
+export type ClosureUpdateManyWithWhereWithoutCreatedByInput = {
+  where: Prisma.ClosureScalarWhereInput
+  data: Prisma.XOR<Prisma.ClosureUpdateManyMutationInput, Prisma.ClosureUncheckedUpdateManyWithoutCreatedByInput>
+}
+
+export type ClosureScalarWhereInput = {
+  AND?: Prisma.ClosureScalarWhereInput | Prisma.ClosureScalarWhereInput[]
+  OR?: Prisma.ClosureScalarWhereInput[]
+  NOT?: Prisma.ClosureScalarWhereInput | Prisma.ClosureScalarWhereInput[]
+  id?: Prisma.StringFilter<"Closure"> | string
+  date?: Prisma.DateTimeFilter<"Closure"> | Date | string
+  branch?: Prisma.StringNullableFilter<"Closure"> | string | null
+  timeSlot?: Prisma.StringNullableFilter<"Closure"> | string | null
+  category?: Prisma.EnumLicenceClassNullableFilter<"Closure"> | $Enums.LicenceClass | null
+  reason?: Prisma.StringFilter<"Closure"> | string
+  createdById?: Prisma.StringNullableFilter<"Closure"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"Closure"> | Date | string
+}
+
+export type ClosureCreateManyCreatedByInput = {
+  id?: string
+  date: Date | string
+  branch?: string | null
+  timeSlot?: string | null
+  category?: $Enums.LicenceClass | null
+  reason: string
+  createdAt?: Date | string
+}
+
+export type ClosureUpdateWithoutCreatedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  timeSlot?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.NullableEnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass | null
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type ClosureUncheckedUpdateWithoutCreatedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  timeSlot?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.NullableEnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass | null
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type ClosureUncheckedUpdateManyWithoutCreatedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  timeSlot?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.NullableEnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass | null
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+
+
+export type ClosureSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  date?: boolean
+  branch?: boolean
+  timeSlot?: boolean
+  category?: boolean
+  reason?: boolean
+  createdById?: boolean
+  createdAt?: boolean
+  createdBy?: boolean | Prisma.Closure$createdByArgs<ExtArgs>
+}, ExtArgs["result"]["closure"]>
+
+
+
+export type ClosureSelectScalar = {
+  id?: boolean
+  date?: boolean
+  branch?: boolean
+  timeSlot?: boolean
+  category?: boolean
+  reason?: boolean
+  createdById?: boolean
+  createdAt?: boolean
+}
+
+export type ClosureOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "date" | "branch" | "timeSlot" | "category" | "reason" | "createdById" | "createdAt", ExtArgs["result"]["closure"]>
+export type ClosureInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  createdBy?: boolean | Prisma.Closure$createdByArgs<ExtArgs>
+}
+
+export type $ClosurePayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "Closure"
+  objects: {
+    createdBy: Prisma.$UserPayload<ExtArgs> | null
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    date: Date
+    branch: string | null
+    timeSlot: string | null
+    category: $Enums.LicenceClass | null
+    reason: string
+    createdById: string | null
+    createdAt: Date
+  }, ExtArgs["result"]["closure"]>
+  composites: {}
+}
+
+export type ClosureGetPayload<S extends boolean | null | undefined | ClosureDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$ClosurePayload, S>
+
+export type ClosureCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<ClosureFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: ClosureCountAggregateInputType | true
+  }
+
+export interface ClosureDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['Closure'], meta: { name: 'Closure' } }
+  /**
+   * Find zero or one Closure that matches the filter.
+   * @param {ClosureFindUniqueArgs} args - Arguments to find a Closure
+   * @example
+   * // Get one Closure
+   * const closure = await prisma.closure.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends ClosureFindUniqueArgs>(args: Prisma.SelectSubset<T, ClosureFindUniqueArgs<ExtArgs>>): Prisma.Prisma__ClosureClient<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one Closure that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {ClosureFindUniqueOrThrowArgs} args - Arguments to find a Closure
+   * @example
+   * // Get one Closure
+   * const closure = await prisma.closure.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends ClosureFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, ClosureFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__ClosureClient<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first Closure that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {ClosureFindFirstArgs} args - Arguments to find a Closure
+   * @example
+   * // Get one Closure
+   * const closure = await prisma.closure.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends ClosureFindFirstArgs>(args?: Prisma.SelectSubset<T, ClosureFindFirstArgs<ExtArgs>>): Prisma.Prisma__ClosureClient<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first Closure that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {ClosureFindFirstOrThrowArgs} args - Arguments to find a Closure
+   * @example
+   * // Get one Closure
+   * const closure = await prisma.closure.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends ClosureFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, ClosureFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__ClosureClient<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more Closures that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {ClosureFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all Closures
+   * const closures = await prisma.closure.findMany()
+   * 
+   * // Get first 10 Closures
+   * const closures = await prisma.closure.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const closureWithIdOnly = await prisma.closure.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends ClosureFindManyArgs>(args?: Prisma.SelectSubset<T, ClosureFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a Closure.
+   * @param {ClosureCreateArgs} args - Arguments to create a Closure.
+   * @example
+   * // Create one Closure
+   * const Closure = await prisma.closure.create({
+   *   data: {
+   *     // ... data to create a Closure
+   *   }
+   * })
+   * 
+   */
+  create<T extends ClosureCreateArgs>(args: Prisma.SelectSubset<T, ClosureCreateArgs<ExtArgs>>): Prisma.Prisma__ClosureClient<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many Closures.
+   * @param {ClosureCreateManyArgs} args - Arguments to create many Closures.
+   * @example
+   * // Create many Closures
+   * const closure = await prisma.closure.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends ClosureCreateManyArgs>(args?: Prisma.SelectSubset<T, ClosureCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a Closure.
+   * @param {ClosureDeleteArgs} args - Arguments to delete one Closure.
+   * @example
+   * // Delete one Closure
+   * const Closure = await prisma.closure.delete({
+   *   where: {
+   *     // ... filter to delete one Closure
+   *   }
+   * })
+   * 
+   */
+  delete<T extends ClosureDeleteArgs>(args: Prisma.SelectSubset<T, ClosureDeleteArgs<ExtArgs>>): Prisma.Prisma__ClosureClient<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one Closure.
+   * @param {ClosureUpdateArgs} args - Arguments to update one Closure.
+   * @example
+   * // Update one Closure
+   * const closure = await prisma.closure.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends ClosureUpdateArgs>(args: Prisma.SelectSubset<T, ClosureUpdateArgs<ExtArgs>>): Prisma.Prisma__ClosureClient<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more Closures.
+   * @param {ClosureDeleteManyArgs} args - Arguments to filter Closures to delete.
+   * @example
+   * // Delete a few Closures
+   * const { count } = await prisma.closure.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends ClosureDeleteManyArgs>(args?: Prisma.SelectSubset<T, ClosureDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more Closures.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {ClosureUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many Closures
+   * const closure = await prisma.closure.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends ClosureUpdateManyArgs>(args: Prisma.SelectSubset<T, ClosureUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one Closure.
+   * @param {ClosureUpsertArgs} args - Arguments to update or create a Closure.
+   * @example
+   * // Update or create a Closure
+   * const closure = await prisma.closure.upsert({
+   *   create: {
+   *     // ... data to create a Closure
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the Closure we want to update
+   *   }
+   * })
+   */
+  upsert<T extends ClosureUpsertArgs>(args: Prisma.SelectSubset<T, ClosureUpsertArgs<ExtArgs>>): Prisma.Prisma__ClosureClient<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of Closures.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {ClosureCountArgs} args - Arguments to filter Closures to count.
+   * @example
+   * // Count the number of Closures
+   * const count = await prisma.closure.count({
+   *   where: {
+   *     // ... the filter for the Closures we want to count
+   *   }
+   * })
+  **/
+  count<T extends ClosureCountArgs>(
+    args?: Prisma.Subset<T, ClosureCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], ClosureCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a Closure.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {ClosureAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends ClosureAggregateArgs>(args: Prisma.Subset<T, ClosureAggregateArgs>): Prisma.PrismaPromise<GetClosureAggregateType<T>>
+
+  /**
+   * Group by Closure.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {ClosureGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends ClosureGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: ClosureGroupByArgs['orderBy'] }
+      : { orderBy?: ClosureGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, ClosureGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetClosureGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the Closure model
+ */
+readonly fields: ClosureFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for Closure.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__ClosureClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  createdBy<T extends Prisma.Closure$createdByArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Closure$createdByArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the Closure model
+ */
+export interface ClosureFieldRefs {
+  readonly id: Prisma.FieldRef<"Closure", 'String'>
+  readonly date: Prisma.FieldRef<"Closure", 'DateTime'>
+  readonly branch: Prisma.FieldRef<"Closure", 'String'>
+  readonly timeSlot: Prisma.FieldRef<"Closure", 'String'>
+  readonly category: Prisma.FieldRef<"Closure", 'LicenceClass'>
+  readonly reason: Prisma.FieldRef<"Closure", 'String'>
+  readonly createdById: Prisma.FieldRef<"Closure", 'String'>
+  readonly createdAt: Prisma.FieldRef<"Closure", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * Closure findUnique
+ */
+export type ClosureFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  /**
+   * Filter, which Closure to fetch.
+   */
+  where: Prisma.ClosureWhereUniqueInput
+}
+
+/**
+ * Closure findUniqueOrThrow
+ */
+export type ClosureFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  /**
+   * Filter, which Closure to fetch.
+   */
+  where: Prisma.ClosureWhereUniqueInput
+}
+
+/**
+ * Closure findFirst
+ */
+export type ClosureFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  /**
+   * Filter, which Closure to fetch.
+   */
+  where?: Prisma.ClosureWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Closures to fetch.
+   */
+  orderBy?: Prisma.ClosureOrderByWithRelationInput | Prisma.ClosureOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for Closures.
+   */
+  cursor?: Prisma.ClosureWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Closures from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Closures.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of Closures.
+   */
+  distinct?: Prisma.ClosureScalarFieldEnum | Prisma.ClosureScalarFieldEnum[]
+}
+
+/**
+ * Closure findFirstOrThrow
+ */
+export type ClosureFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  /**
+   * Filter, which Closure to fetch.
+   */
+  where?: Prisma.ClosureWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Closures to fetch.
+   */
+  orderBy?: Prisma.ClosureOrderByWithRelationInput | Prisma.ClosureOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for Closures.
+   */
+  cursor?: Prisma.ClosureWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Closures from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Closures.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of Closures.
+   */
+  distinct?: Prisma.ClosureScalarFieldEnum | Prisma.ClosureScalarFieldEnum[]
+}
+
+/**
+ * Closure findMany
+ */
+export type ClosureFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  /**
+   * Filter, which Closures to fetch.
+   */
+  where?: Prisma.ClosureWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Closures to fetch.
+   */
+  orderBy?: Prisma.ClosureOrderByWithRelationInput | Prisma.ClosureOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing Closures.
+   */
+  cursor?: Prisma.ClosureWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Closures from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Closures.
+   */
+  skip?: number
+  distinct?: Prisma.ClosureScalarFieldEnum | Prisma.ClosureScalarFieldEnum[]
+}
+
+/**
+ * Closure create
+ */
+export type ClosureCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  /**
+   * The data needed to create a Closure.
+   */
+  data: Prisma.XOR<Prisma.ClosureCreateInput, Prisma.ClosureUncheckedCreateInput>
+}
+
+/**
+ * Closure createMany
+ */
+export type ClosureCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many Closures.
+   */
+  data: Prisma.ClosureCreateManyInput | Prisma.ClosureCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * Closure update
+ */
+export type ClosureUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  /**
+   * The data needed to update a Closure.
+   */
+  data: Prisma.XOR<Prisma.ClosureUpdateInput, Prisma.ClosureUncheckedUpdateInput>
+  /**
+   * Choose, which Closure to update.
+   */
+  where: Prisma.ClosureWhereUniqueInput
+}
+
+/**
+ * Closure updateMany
+ */
+export type ClosureUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update Closures.
+   */
+  data: Prisma.XOR<Prisma.ClosureUpdateManyMutationInput, Prisma.ClosureUncheckedUpdateManyInput>
+  /**
+   * Filter which Closures to update
+   */
+  where?: Prisma.ClosureWhereInput
+  /**
+   * Limit how many Closures to update.
+   */
+  limit?: number
+}
+
+/**
+ * Closure upsert
+ */
+export type ClosureUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  /**
+   * The filter to search for the Closure to update in case it exists.
+   */
+  where: Prisma.ClosureWhereUniqueInput
+  /**
+   * In case the Closure found by the `where` argument doesn't exist, create a new Closure with this data.
+   */
+  create: Prisma.XOR<Prisma.ClosureCreateInput, Prisma.ClosureUncheckedCreateInput>
+  /**
+   * In case the Closure was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.ClosureUpdateInput, Prisma.ClosureUncheckedUpdateInput>
+}
+
+/**
+ * Closure delete
+ */
+export type ClosureDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  /**
+   * Filter which Closure to delete.
+   */
+  where: Prisma.ClosureWhereUniqueInput
+}
+
+/**
+ * Closure deleteMany
+ */
+export type ClosureDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which Closures to delete
+   */
+  where?: Prisma.ClosureWhereInput
+  /**
+   * Limit how many Closures to delete.
+   */
+  limit?: number
+}
+
+/**
+ * Closure.createdBy
+ */
+export type Closure$createdByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the User
+   */
+  select?: Prisma.UserSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the User
+   */
+  omit?: Prisma.UserOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.UserInclude<ExtArgs> | null
+  where?: Prisma.UserWhereInput
+}
+
+/**
+ * Closure without action
+ */
+export type ClosureDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+}
@@ -0,0 +1,1507 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `JobRun` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model JobRun
+ * 
+ */
+export type JobRunModel = runtime.Types.Result.DefaultSelection<Prisma.$JobRunPayload>
+
+export type AggregateJobRun = {
+  _count: JobRunCountAggregateOutputType | null
+  _min: JobRunMinAggregateOutputType | null
+  _max: JobRunMaxAggregateOutputType | null
+}
+
+export type JobRunMinAggregateOutputType = {
+  id: string | null
+  jobName: string | null
+  trigger: string | null
+  status: $Enums.JobRunStatus | null
+  error: string | null
+  triggeredById: string | null
+  startedAt: Date | null
+  finishedAt: Date | null
+}
+
+export type JobRunMaxAggregateOutputType = {
+  id: string | null
+  jobName: string | null
+  trigger: string | null
+  status: $Enums.JobRunStatus | null
+  error: string | null
+  triggeredById: string | null
+  startedAt: Date | null
+  finishedAt: Date | null
+}
+
+export type JobRunCountAggregateOutputType = {
+  id: number
+  jobName: number
+  trigger: number
+  status: number
+  result: number
+  error: number
+  triggeredById: number
+  startedAt: number
+  finishedAt: number
+  _all: number
+}
+
+
+export type JobRunMinAggregateInputType = {
+  id?: true
+  jobName?: true
+  trigger?: true
+  status?: true
+  error?: true
+  triggeredById?: true
+  startedAt?: true
+  finishedAt?: true
+}
+
+export type JobRunMaxAggregateInputType = {
+  id?: true
+  jobName?: true
+  trigger?: true
+  status?: true
+  error?: true
+  triggeredById?: true
+  startedAt?: true
+  finishedAt?: true
+}
+
+export type JobRunCountAggregateInputType = {
+  id?: true
+  jobName?: true
+  trigger?: true
+  status?: true
+  result?: true
+  error?: true
+  triggeredById?: true
+  startedAt?: true
+  finishedAt?: true
+  _all?: true
+}
+
+export type JobRunAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which JobRun to aggregate.
+   */
+  where?: Prisma.JobRunWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of JobRuns to fetch.
+   */
+  orderBy?: Prisma.JobRunOrderByWithRelationInput | Prisma.JobRunOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.JobRunWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` JobRuns from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` JobRuns.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned JobRuns
+  **/
+  _count?: true | JobRunCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: JobRunMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: JobRunMaxAggregateInputType
+}
+
+export type GetJobRunAggregateType<T extends JobRunAggregateArgs> = {
+      [P in keyof T & keyof AggregateJobRun]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateJobRun[P]>
+    : Prisma.GetScalarType<T[P], AggregateJobRun[P]>
+}
+
+
+
+
+export type JobRunGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.JobRunWhereInput
+  orderBy?: Prisma.JobRunOrderByWithAggregationInput | Prisma.JobRunOrderByWithAggregationInput[]
+  by: Prisma.JobRunScalarFieldEnum[] | Prisma.JobRunScalarFieldEnum
+  having?: Prisma.JobRunScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: JobRunCountAggregateInputType | true
+  _min?: JobRunMinAggregateInputType
+  _max?: JobRunMaxAggregateInputType
+}
+
+export type JobRunGroupByOutputType = {
+  id: string
+  jobName: string
+  trigger: string
+  status: $Enums.JobRunStatus
+  result: runtime.JsonValue | null
+  error: string | null
+  triggeredById: string | null
+  startedAt: Date
+  finishedAt: Date | null
+  _count: JobRunCountAggregateOutputType | null
+  _min: JobRunMinAggregateOutputType | null
+  _max: JobRunMaxAggregateOutputType | null
+}
+
+type GetJobRunGroupByPayload<T extends JobRunGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<JobRunGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof JobRunGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], JobRunGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], JobRunGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type JobRunWhereInput = {
+  AND?: Prisma.JobRunWhereInput | Prisma.JobRunWhereInput[]
+  OR?: Prisma.JobRunWhereInput[]
+  NOT?: Prisma.JobRunWhereInput | Prisma.JobRunWhereInput[]
+  id?: Prisma.StringFilter<"JobRun"> | string
+  jobName?: Prisma.StringFilter<"JobRun"> | string
+  trigger?: Prisma.StringFilter<"JobRun"> | string
+  status?: Prisma.EnumJobRunStatusFilter<"JobRun"> | $Enums.JobRunStatus
+  result?: Prisma.JsonNullableFilter<"JobRun">
+  error?: Prisma.StringNullableFilter<"JobRun"> | string | null
+  triggeredById?: Prisma.StringNullableFilter<"JobRun"> | string | null
+  startedAt?: Prisma.DateTimeFilter<"JobRun"> | Date | string
+  finishedAt?: Prisma.DateTimeNullableFilter<"JobRun"> | Date | string | null
+  job?: Prisma.XOR<Prisma.JobScalarRelationFilter, Prisma.JobWhereInput>
+  triggeredBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}
+
+export type JobRunOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  jobName?: Prisma.SortOrder
+  trigger?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  result?: Prisma.SortOrderInput | Prisma.SortOrder
+  error?: Prisma.SortOrderInput | Prisma.SortOrder
+  triggeredById?: Prisma.SortOrderInput | Prisma.SortOrder
+  startedAt?: Prisma.SortOrder
+  finishedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  job?: Prisma.JobOrderByWithRelationInput
+  triggeredBy?: Prisma.UserOrderByWithRelationInput
+  _relevance?: Prisma.JobRunOrderByRelevanceInput
+}
+
+export type JobRunWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  AND?: Prisma.JobRunWhereInput | Prisma.JobRunWhereInput[]
+  OR?: Prisma.JobRunWhereInput[]
+  NOT?: Prisma.JobRunWhereInput | Prisma.JobRunWhereInput[]
+  jobName?: Prisma.StringFilter<"JobRun"> | string
+  trigger?: Prisma.StringFilter<"JobRun"> | string
+  status?: Prisma.EnumJobRunStatusFilter<"JobRun"> | $Enums.JobRunStatus
+  result?: Prisma.JsonNullableFilter<"JobRun">
+  error?: Prisma.StringNullableFilter<"JobRun"> | string | null
+  triggeredById?: Prisma.StringNullableFilter<"JobRun"> | string | null
+  startedAt?: Prisma.DateTimeFilter<"JobRun"> | Date | string
+  finishedAt?: Prisma.DateTimeNullableFilter<"JobRun"> | Date | string | null
+  job?: Prisma.XOR<Prisma.JobScalarRelationFilter, Prisma.JobWhereInput>
+  triggeredBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}, "id">
+
+export type JobRunOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  jobName?: Prisma.SortOrder
+  trigger?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  result?: Prisma.SortOrderInput | Prisma.SortOrder
+  error?: Prisma.SortOrderInput | Prisma.SortOrder
+  triggeredById?: Prisma.SortOrderInput | Prisma.SortOrder
+  startedAt?: Prisma.SortOrder
+  finishedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  _count?: Prisma.JobRunCountOrderByAggregateInput
+  _max?: Prisma.JobRunMaxOrderByAggregateInput
+  _min?: Prisma.JobRunMinOrderByAggregateInput
+}
+
+export type JobRunScalarWhereWithAggregatesInput = {
+  AND?: Prisma.JobRunScalarWhereWithAggregatesInput | Prisma.JobRunScalarWhereWithAggregatesInput[]
+  OR?: Prisma.JobRunScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.JobRunScalarWhereWithAggregatesInput | Prisma.JobRunScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"JobRun"> | string
+  jobName?: Prisma.StringWithAggregatesFilter<"JobRun"> | string
+  trigger?: Prisma.StringWithAggregatesFilter<"JobRun"> | string
+  status?: Prisma.EnumJobRunStatusWithAggregatesFilter<"JobRun"> | $Enums.JobRunStatus
+  result?: Prisma.JsonNullableWithAggregatesFilter<"JobRun">
+  error?: Prisma.StringNullableWithAggregatesFilter<"JobRun"> | string | null
+  triggeredById?: Prisma.StringNullableWithAggregatesFilter<"JobRun"> | string | null
+  startedAt?: Prisma.DateTimeWithAggregatesFilter<"JobRun"> | Date | string
+  finishedAt?: Prisma.DateTimeNullableWithAggregatesFilter<"JobRun"> | Date | string | null
+}
+
+export type JobRunCreateInput = {
+  id?: string
+  trigger: string
+  status?: $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: string | null
+  startedAt?: Date | string
+  finishedAt?: Date | string | null
+  job: Prisma.JobCreateNestedOneWithoutRunsInput
+  triggeredBy?: Prisma.UserCreateNestedOneWithoutJobRunsInput
+}
+
+export type JobRunUncheckedCreateInput = {
+  id?: string
+  jobName: string
+  trigger: string
+  status?: $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: string | null
+  triggeredById?: string | null
+  startedAt?: Date | string
+  finishedAt?: Date | string | null
+}
+
+export type JobRunUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  job?: Prisma.JobUpdateOneRequiredWithoutRunsNestedInput
+  triggeredBy?: Prisma.UserUpdateOneWithoutJobRunsNestedInput
+}
+
+export type JobRunUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  jobName?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  triggeredById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type JobRunCreateManyInput = {
+  id?: string
+  jobName: string
+  trigger: string
+  status?: $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: string | null
+  triggeredById?: string | null
+  startedAt?: Date | string
+  finishedAt?: Date | string | null
+}
+
+export type JobRunUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type JobRunUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  jobName?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  triggeredById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type JobRunListRelationFilter = {
+  every?: Prisma.JobRunWhereInput
+  some?: Prisma.JobRunWhereInput
+  none?: Prisma.JobRunWhereInput
+}
+
+export type JobRunOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type JobRunOrderByRelevanceInput = {
+  fields: Prisma.JobRunOrderByRelevanceFieldEnum | Prisma.JobRunOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type JobRunCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  jobName?: Prisma.SortOrder
+  trigger?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  result?: Prisma.SortOrder
+  error?: Prisma.SortOrder
+  triggeredById?: Prisma.SortOrder
+  startedAt?: Prisma.SortOrder
+  finishedAt?: Prisma.SortOrder
+}
+
+export type JobRunMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  jobName?: Prisma.SortOrder
+  trigger?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  error?: Prisma.SortOrder
+  triggeredById?: Prisma.SortOrder
+  startedAt?: Prisma.SortOrder
+  finishedAt?: Prisma.SortOrder
+}
+
+export type JobRunMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  jobName?: Prisma.SortOrder
+  trigger?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  error?: Prisma.SortOrder
+  triggeredById?: Prisma.SortOrder
+  startedAt?: Prisma.SortOrder
+  finishedAt?: Prisma.SortOrder
+}
+
+export type JobRunCreateNestedManyWithoutTriggeredByInput = {
+  create?: Prisma.XOR<Prisma.JobRunCreateWithoutTriggeredByInput, Prisma.JobRunUncheckedCreateWithoutTriggeredByInput> | Prisma.JobRunCreateWithoutTriggeredByInput[] | Prisma.JobRunUncheckedCreateWithoutTriggeredByInput[]
+  connectOrCreate?: Prisma.JobRunCreateOrConnectWithoutTriggeredByInput | Prisma.JobRunCreateOrConnectWithoutTriggeredByInput[]
+  createMany?: Prisma.JobRunCreateManyTriggeredByInputEnvelope
+  connect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+}
+
+export type JobRunUncheckedCreateNestedManyWithoutTriggeredByInput = {
+  create?: Prisma.XOR<Prisma.JobRunCreateWithoutTriggeredByInput, Prisma.JobRunUncheckedCreateWithoutTriggeredByInput> | Prisma.JobRunCreateWithoutTriggeredByInput[] | Prisma.JobRunUncheckedCreateWithoutTriggeredByInput[]
+  connectOrCreate?: Prisma.JobRunCreateOrConnectWithoutTriggeredByInput | Prisma.JobRunCreateOrConnectWithoutTriggeredByInput[]
+  createMany?: Prisma.JobRunCreateManyTriggeredByInputEnvelope
+  connect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+}
+
+export type JobRunUpdateManyWithoutTriggeredByNestedInput = {
+  create?: Prisma.XOR<Prisma.JobRunCreateWithoutTriggeredByInput, Prisma.JobRunUncheckedCreateWithoutTriggeredByInput> | Prisma.JobRunCreateWithoutTriggeredByInput[] | Prisma.JobRunUncheckedCreateWithoutTriggeredByInput[]
+  connectOrCreate?: Prisma.JobRunCreateOrConnectWithoutTriggeredByInput | Prisma.JobRunCreateOrConnectWithoutTriggeredByInput[]
+  upsert?: Prisma.JobRunUpsertWithWhereUniqueWithoutTriggeredByInput | Prisma.JobRunUpsertWithWhereUniqueWithoutTriggeredByInput[]
+  createMany?: Prisma.JobRunCreateManyTriggeredByInputEnvelope
+  set?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  disconnect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  delete?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  connect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  update?: Prisma.JobRunUpdateWithWhereUniqueWithoutTriggeredByInput | Prisma.JobRunUpdateWithWhereUniqueWithoutTriggeredByInput[]
+  updateMany?: Prisma.JobRunUpdateManyWithWhereWithoutTriggeredByInput | Prisma.JobRunUpdateManyWithWhereWithoutTriggeredByInput[]
+  deleteMany?: Prisma.JobRunScalarWhereInput | Prisma.JobRunScalarWhereInput[]
+}
+
+export type JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput = {
+  create?: Prisma.XOR<Prisma.JobRunCreateWithoutTriggeredByInput, Prisma.JobRunUncheckedCreateWithoutTriggeredByInput> | Prisma.JobRunCreateWithoutTriggeredByInput[] | Prisma.JobRunUncheckedCreateWithoutTriggeredByInput[]
+  connectOrCreate?: Prisma.JobRunCreateOrConnectWithoutTriggeredByInput | Prisma.JobRunCreateOrConnectWithoutTriggeredByInput[]
+  upsert?: Prisma.JobRunUpsertWithWhereUniqueWithoutTriggeredByInput | Prisma.JobRunUpsertWithWhereUniqueWithoutTriggeredByInput[]
+  createMany?: Prisma.JobRunCreateManyTriggeredByInputEnvelope
+  set?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  disconnect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  delete?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  connect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  update?: Prisma.JobRunUpdateWithWhereUniqueWithoutTriggeredByInput | Prisma.JobRunUpdateWithWhereUniqueWithoutTriggeredByInput[]
+  updateMany?: Prisma.JobRunUpdateManyWithWhereWithoutTriggeredByInput | Prisma.JobRunUpdateManyWithWhereWithoutTriggeredByInput[]
+  deleteMany?: Prisma.JobRunScalarWhereInput | Prisma.JobRunScalarWhereInput[]
+}
+
+export type JobRunCreateNestedManyWithoutJobInput = {
+  create?: Prisma.XOR<Prisma.JobRunCreateWithoutJobInput, Prisma.JobRunUncheckedCreateWithoutJobInput> | Prisma.JobRunCreateWithoutJobInput[] | Prisma.JobRunUncheckedCreateWithoutJobInput[]
+  connectOrCreate?: Prisma.JobRunCreateOrConnectWithoutJobInput | Prisma.JobRunCreateOrConnectWithoutJobInput[]
+  createMany?: Prisma.JobRunCreateManyJobInputEnvelope
+  connect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+}
+
+export type JobRunUncheckedCreateNestedManyWithoutJobInput = {
+  create?: Prisma.XOR<Prisma.JobRunCreateWithoutJobInput, Prisma.JobRunUncheckedCreateWithoutJobInput> | Prisma.JobRunCreateWithoutJobInput[] | Prisma.JobRunUncheckedCreateWithoutJobInput[]
+  connectOrCreate?: Prisma.JobRunCreateOrConnectWithoutJobInput | Prisma.JobRunCreateOrConnectWithoutJobInput[]
+  createMany?: Prisma.JobRunCreateManyJobInputEnvelope
+  connect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+}
+
+export type JobRunUpdateManyWithoutJobNestedInput = {
+  create?: Prisma.XOR<Prisma.JobRunCreateWithoutJobInput, Prisma.JobRunUncheckedCreateWithoutJobInput> | Prisma.JobRunCreateWithoutJobInput[] | Prisma.JobRunUncheckedCreateWithoutJobInput[]
+  connectOrCreate?: Prisma.JobRunCreateOrConnectWithoutJobInput | Prisma.JobRunCreateOrConnectWithoutJobInput[]
+  upsert?: Prisma.JobRunUpsertWithWhereUniqueWithoutJobInput | Prisma.JobRunUpsertWithWhereUniqueWithoutJobInput[]
+  createMany?: Prisma.JobRunCreateManyJobInputEnvelope
+  set?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  disconnect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  delete?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  connect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  update?: Prisma.JobRunUpdateWithWhereUniqueWithoutJobInput | Prisma.JobRunUpdateWithWhereUniqueWithoutJobInput[]
+  updateMany?: Prisma.JobRunUpdateManyWithWhereWithoutJobInput | Prisma.JobRunUpdateManyWithWhereWithoutJobInput[]
+  deleteMany?: Prisma.JobRunScalarWhereInput | Prisma.JobRunScalarWhereInput[]
+}
+
+export type JobRunUncheckedUpdateManyWithoutJobNestedInput = {
+  create?: Prisma.XOR<Prisma.JobRunCreateWithoutJobInput, Prisma.JobRunUncheckedCreateWithoutJobInput> | Prisma.JobRunCreateWithoutJobInput[] | Prisma.JobRunUncheckedCreateWithoutJobInput[]
+  connectOrCreate?: Prisma.JobRunCreateOrConnectWithoutJobInput | Prisma.JobRunCreateOrConnectWithoutJobInput[]
+  upsert?: Prisma.JobRunUpsertWithWhereUniqueWithoutJobInput | Prisma.JobRunUpsertWithWhereUniqueWithoutJobInput[]
+  createMany?: Prisma.JobRunCreateManyJobInputEnvelope
+  set?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  disconnect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  delete?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  connect?: Prisma.JobRunWhereUniqueInput | Prisma.JobRunWhereUniqueInput[]
+  update?: Prisma.JobRunUpdateWithWhereUniqueWithoutJobInput | Prisma.JobRunUpdateWithWhereUniqueWithoutJobInput[]
+  updateMany?: Prisma.JobRunUpdateManyWithWhereWithoutJobInput | Prisma.JobRunUpdateManyWithWhereWithoutJobInput[]
+  deleteMany?: Prisma.JobRunScalarWhereInput | Prisma.JobRunScalarWhereInput[]
+}
+
+export type EnumJobRunStatusFieldUpdateOperationsInput = {
+  set?: $Enums.JobRunStatus
+}
+
+export type JobRunCreateWithoutTriggeredByInput = {
+  id?: string
+  trigger: string
+  status?: $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: string | null
+  startedAt?: Date | string
+  finishedAt?: Date | string | null
+  job: Prisma.JobCreateNestedOneWithoutRunsInput
+}
+
+export type JobRunUncheckedCreateWithoutTriggeredByInput = {
+  id?: string
+  jobName: string
+  trigger: string
+  status?: $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: string | null
+  startedAt?: Date | string
+  finishedAt?: Date | string | null
+}
+
+export type JobRunCreateOrConnectWithoutTriggeredByInput = {
+  where: Prisma.JobRunWhereUniqueInput
+  create: Prisma.XOR<Prisma.JobRunCreateWithoutTriggeredByInput, Prisma.JobRunUncheckedCreateWithoutTriggeredByInput>
+}
+
+export type JobRunCreateManyTriggeredByInputEnvelope = {
+  data: Prisma.JobRunCreateManyTriggeredByInput | Prisma.JobRunCreateManyTriggeredByInput[]
+  skipDuplicates?: boolean
+}
+
+export type JobRunUpsertWithWhereUniqueWithoutTriggeredByInput = {
+  where: Prisma.JobRunWhereUniqueInput
+  update: Prisma.XOR<Prisma.JobRunUpdateWithoutTriggeredByInput, Prisma.JobRunUncheckedUpdateWithoutTriggeredByInput>
+  create: Prisma.XOR<Prisma.JobRunCreateWithoutTriggeredByInput, Prisma.JobRunUncheckedCreateWithoutTriggeredByInput>
+}
+
+export type JobRunUpdateWithWhereUniqueWithoutTriggeredByInput = {
+  where: Prisma.JobRunWhereUniqueInput
+  data: Prisma.XOR<Prisma.JobRunUpdateWithoutTriggeredByInput, Prisma.JobRunUncheckedUpdateWithoutTriggeredByInput>
+}
+
+export type JobRunUpdateManyWithWhereWithoutTriggeredByInput = {
+  where: Prisma.JobRunScalarWhereInput
+  data: Prisma.XOR<Prisma.JobRunUpdateManyMutationInput, Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByInput>
+}
+
+export type JobRunScalarWhereInput = {
+  AND?: Prisma.JobRunScalarWhereInput | Prisma.JobRunScalarWhereInput[]
+  OR?: Prisma.JobRunScalarWhereInput[]
+  NOT?: Prisma.JobRunScalarWhereInput | Prisma.JobRunScalarWhereInput[]
+  id?: Prisma.StringFilter<"JobRun"> | string
+  jobName?: Prisma.StringFilter<"JobRun"> | string
+  trigger?: Prisma.StringFilter<"JobRun"> | string
+  status?: Prisma.EnumJobRunStatusFilter<"JobRun"> | $Enums.JobRunStatus
+  result?: Prisma.JsonNullableFilter<"JobRun">
+  error?: Prisma.StringNullableFilter<"JobRun"> | string | null
+  triggeredById?: Prisma.StringNullableFilter<"JobRun"> | string | null
+  startedAt?: Prisma.DateTimeFilter<"JobRun"> | Date | string
+  finishedAt?: Prisma.DateTimeNullableFilter<"JobRun"> | Date | string | null
+}
+
+export type JobRunCreateWithoutJobInput = {
+  id?: string
+  trigger: string
+  status?: $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: string | null
+  startedAt?: Date | string
+  finishedAt?: Date | string | null
+  triggeredBy?: Prisma.UserCreateNestedOneWithoutJobRunsInput
+}
+
+export type JobRunUncheckedCreateWithoutJobInput = {
+  id?: string
+  trigger: string
+  status?: $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: string | null
+  triggeredById?: string | null
+  startedAt?: Date | string
+  finishedAt?: Date | string | null
+}
+
+export type JobRunCreateOrConnectWithoutJobInput = {
+  where: Prisma.JobRunWhereUniqueInput
+  create: Prisma.XOR<Prisma.JobRunCreateWithoutJobInput, Prisma.JobRunUncheckedCreateWithoutJobInput>
+}
+
+export type JobRunCreateManyJobInputEnvelope = {
+  data: Prisma.JobRunCreateManyJobInput | Prisma.JobRunCreateManyJobInput[]
+  skipDuplicates?: boolean
+}
+
+export type JobRunUpsertWithWhereUniqueWithoutJobInput = {
+  where: Prisma.JobRunWhereUniqueInput
+  update: Prisma.XOR<Prisma.JobRunUpdateWithoutJobInput, Prisma.JobRunUncheckedUpdateWithoutJobInput>
+  create: Prisma.XOR<Prisma.JobRunCreateWithoutJobInput, Prisma.JobRunUncheckedCreateWithoutJobInput>
+}
+
+export type JobRunUpdateWithWhereUniqueWithoutJobInput = {
+  where: Prisma.JobRunWhereUniqueInput
+  data: Prisma.XOR<Prisma.JobRunUpdateWithoutJobInput, Prisma.JobRunUncheckedUpdateWithoutJobInput>
+}
+
+export type JobRunUpdateManyWithWhereWithoutJobInput = {
+  where: Prisma.JobRunScalarWhereInput
+  data: Prisma.XOR<Prisma.JobRunUpdateManyMutationInput, Prisma.JobRunUncheckedUpdateManyWithoutJobInput>
+}
+
+export type JobRunCreateManyTriggeredByInput = {
+  id?: string
+  jobName: string
+  trigger: string
+  status?: $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: string | null
+  startedAt?: Date | string
+  finishedAt?: Date | string | null
+}
+
+export type JobRunUpdateWithoutTriggeredByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  job?: Prisma.JobUpdateOneRequiredWithoutRunsNestedInput
+}
+
+export type JobRunUncheckedUpdateWithoutTriggeredByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  jobName?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type JobRunUncheckedUpdateManyWithoutTriggeredByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  jobName?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type JobRunCreateManyJobInput = {
+  id?: string
+  trigger: string
+  status?: $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: string | null
+  triggeredById?: string | null
+  startedAt?: Date | string
+  finishedAt?: Date | string | null
+}
+
+export type JobRunUpdateWithoutJobInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  triggeredBy?: Prisma.UserUpdateOneWithoutJobRunsNestedInput
+}
+
+export type JobRunUncheckedUpdateWithoutJobInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  triggeredById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+export type JobRunUncheckedUpdateManyWithoutJobInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  trigger?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumJobRunStatusFieldUpdateOperationsInput | $Enums.JobRunStatus
+  result?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  error?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  triggeredById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  startedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  finishedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+}
+
+
+
+export type JobRunSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  jobName?: boolean
+  trigger?: boolean
+  status?: boolean
+  result?: boolean
+  error?: boolean
+  triggeredById?: boolean
+  startedAt?: boolean
+  finishedAt?: boolean
+  job?: boolean | Prisma.JobDefaultArgs<ExtArgs>
+  triggeredBy?: boolean | Prisma.JobRun$triggeredByArgs<ExtArgs>
+}, ExtArgs["result"]["jobRun"]>
+
+
+
+export type JobRunSelectScalar = {
+  id?: boolean
+  jobName?: boolean
+  trigger?: boolean
+  status?: boolean
+  result?: boolean
+  error?: boolean
+  triggeredById?: boolean
+  startedAt?: boolean
+  finishedAt?: boolean
+}
+
+export type JobRunOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "jobName" | "trigger" | "status" | "result" | "error" | "triggeredById" | "startedAt" | "finishedAt", ExtArgs["result"]["jobRun"]>
+export type JobRunInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  job?: boolean | Prisma.JobDefaultArgs<ExtArgs>
+  triggeredBy?: boolean | Prisma.JobRun$triggeredByArgs<ExtArgs>
+}
+
+export type $JobRunPayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "JobRun"
+  objects: {
+    job: Prisma.$JobPayload<ExtArgs>
+    triggeredBy: Prisma.$UserPayload<ExtArgs> | null
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    jobName: string
+    trigger: string
+    status: $Enums.JobRunStatus
+    result: runtime.JsonValue | null
+    error: string | null
+    triggeredById: string | null
+    startedAt: Date
+    finishedAt: Date | null
+  }, ExtArgs["result"]["jobRun"]>
+  composites: {}
+}
+
+export type JobRunGetPayload<S extends boolean | null | undefined | JobRunDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$JobRunPayload, S>
+
+export type JobRunCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<JobRunFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: JobRunCountAggregateInputType | true
+  }
+
+export interface JobRunDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['JobRun'], meta: { name: 'JobRun' } }
+  /**
+   * Find zero or one JobRun that matches the filter.
+   * @param {JobRunFindUniqueArgs} args - Arguments to find a JobRun
+   * @example
+   * // Get one JobRun
+   * const jobRun = await prisma.jobRun.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends JobRunFindUniqueArgs>(args: Prisma.SelectSubset<T, JobRunFindUniqueArgs<ExtArgs>>): Prisma.Prisma__JobRunClient<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one JobRun that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {JobRunFindUniqueOrThrowArgs} args - Arguments to find a JobRun
+   * @example
+   * // Get one JobRun
+   * const jobRun = await prisma.jobRun.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends JobRunFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, JobRunFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__JobRunClient<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first JobRun that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {JobRunFindFirstArgs} args - Arguments to find a JobRun
+   * @example
+   * // Get one JobRun
+   * const jobRun = await prisma.jobRun.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends JobRunFindFirstArgs>(args?: Prisma.SelectSubset<T, JobRunFindFirstArgs<ExtArgs>>): Prisma.Prisma__JobRunClient<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first JobRun that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {JobRunFindFirstOrThrowArgs} args - Arguments to find a JobRun
+   * @example
+   * // Get one JobRun
+   * const jobRun = await prisma.jobRun.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends JobRunFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, JobRunFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__JobRunClient<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more JobRuns that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {JobRunFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all JobRuns
+   * const jobRuns = await prisma.jobRun.findMany()
+   * 
+   * // Get first 10 JobRuns
+   * const jobRuns = await prisma.jobRun.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const jobRunWithIdOnly = await prisma.jobRun.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends JobRunFindManyArgs>(args?: Prisma.SelectSubset<T, JobRunFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a JobRun.
+   * @param {JobRunCreateArgs} args - Arguments to create a JobRun.
+   * @example
+   * // Create one JobRun
+   * const JobRun = await prisma.jobRun.create({
+   *   data: {
+   *     // ... data to create a JobRun
+   *   }
+   * })
+   * 
+   */
+  create<T extends JobRunCreateArgs>(args: Prisma.SelectSubset<T, JobRunCreateArgs<ExtArgs>>): Prisma.Prisma__JobRunClient<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many JobRuns.
+   * @param {JobRunCreateManyArgs} args - Arguments to create many JobRuns.
+   * @example
+   * // Create many JobRuns
+   * const jobRun = await prisma.jobRun.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends JobRunCreateManyArgs>(args?: Prisma.SelectSubset<T, JobRunCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a JobRun.
+   * @param {JobRunDeleteArgs} args - Arguments to delete one JobRun.
+   * @example
+   * // Delete one JobRun
+   * const JobRun = await prisma.jobRun.delete({
+   *   where: {
+   *     // ... filter to delete one JobRun
+   *   }
+   * })
+   * 
+   */
+  delete<T extends JobRunDeleteArgs>(args: Prisma.SelectSubset<T, JobRunDeleteArgs<ExtArgs>>): Prisma.Prisma__JobRunClient<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one JobRun.
+   * @param {JobRunUpdateArgs} args - Arguments to update one JobRun.
+   * @example
+   * // Update one JobRun
+   * const jobRun = await prisma.jobRun.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends JobRunUpdateArgs>(args: Prisma.SelectSubset<T, JobRunUpdateArgs<ExtArgs>>): Prisma.Prisma__JobRunClient<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more JobRuns.
+   * @param {JobRunDeleteManyArgs} args - Arguments to filter JobRuns to delete.
+   * @example
+   * // Delete a few JobRuns
+   * const { count } = await prisma.jobRun.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends JobRunDeleteManyArgs>(args?: Prisma.SelectSubset<T, JobRunDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more JobRuns.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {JobRunUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many JobRuns
+   * const jobRun = await prisma.jobRun.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends JobRunUpdateManyArgs>(args: Prisma.SelectSubset<T, JobRunUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one JobRun.
+   * @param {JobRunUpsertArgs} args - Arguments to update or create a JobRun.
+   * @example
+   * // Update or create a JobRun
+   * const jobRun = await prisma.jobRun.upsert({
+   *   create: {
+   *     // ... data to create a JobRun
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the JobRun we want to update
+   *   }
+   * })
+   */
+  upsert<T extends JobRunUpsertArgs>(args: Prisma.SelectSubset<T, JobRunUpsertArgs<ExtArgs>>): Prisma.Prisma__JobRunClient<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of JobRuns.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {JobRunCountArgs} args - Arguments to filter JobRuns to count.
+   * @example
+   * // Count the number of JobRuns
+   * const count = await prisma.jobRun.count({
+   *   where: {
+   *     // ... the filter for the JobRuns we want to count
+   *   }
+   * })
+  **/
+  count<T extends JobRunCountArgs>(
+    args?: Prisma.Subset<T, JobRunCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], JobRunCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a JobRun.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {JobRunAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends JobRunAggregateArgs>(args: Prisma.Subset<T, JobRunAggregateArgs>): Prisma.PrismaPromise<GetJobRunAggregateType<T>>
+
+  /**
+   * Group by JobRun.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {JobRunGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends JobRunGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: JobRunGroupByArgs['orderBy'] }
+      : { orderBy?: JobRunGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, JobRunGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetJobRunGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the JobRun model
+ */
+readonly fields: JobRunFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for JobRun.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__JobRunClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  job<T extends Prisma.JobDefaultArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.JobDefaultArgs<ExtArgs>>): Prisma.Prisma__JobClient<runtime.Types.Result.GetResult<Prisma.$JobPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | Null, Null, ExtArgs, GlobalOmitOptions>
+  triggeredBy<T extends Prisma.JobRun$triggeredByArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.JobRun$triggeredByArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the JobRun model
+ */
+export interface JobRunFieldRefs {
+  readonly id: Prisma.FieldRef<"JobRun", 'String'>
+  readonly jobName: Prisma.FieldRef<"JobRun", 'String'>
+  readonly trigger: Prisma.FieldRef<"JobRun", 'String'>
+  readonly status: Prisma.FieldRef<"JobRun", 'JobRunStatus'>
+  readonly result: Prisma.FieldRef<"JobRun", 'Json'>
+  readonly error: Prisma.FieldRef<"JobRun", 'String'>
+  readonly triggeredById: Prisma.FieldRef<"JobRun", 'String'>
+  readonly startedAt: Prisma.FieldRef<"JobRun", 'DateTime'>
+  readonly finishedAt: Prisma.FieldRef<"JobRun", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * JobRun findUnique
+ */
+export type JobRunFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  /**
+   * Filter, which JobRun to fetch.
+   */
+  where: Prisma.JobRunWhereUniqueInput
+}
+
+/**
+ * JobRun findUniqueOrThrow
+ */
+export type JobRunFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  /**
+   * Filter, which JobRun to fetch.
+   */
+  where: Prisma.JobRunWhereUniqueInput
+}
+
+/**
+ * JobRun findFirst
+ */
+export type JobRunFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  /**
+   * Filter, which JobRun to fetch.
+   */
+  where?: Prisma.JobRunWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of JobRuns to fetch.
+   */
+  orderBy?: Prisma.JobRunOrderByWithRelationInput | Prisma.JobRunOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for JobRuns.
+   */
+  cursor?: Prisma.JobRunWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` JobRuns from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` JobRuns.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of JobRuns.
+   */
+  distinct?: Prisma.JobRunScalarFieldEnum | Prisma.JobRunScalarFieldEnum[]
+}
+
+/**
+ * JobRun findFirstOrThrow
+ */
+export type JobRunFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  /**
+   * Filter, which JobRun to fetch.
+   */
+  where?: Prisma.JobRunWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of JobRuns to fetch.
+   */
+  orderBy?: Prisma.JobRunOrderByWithRelationInput | Prisma.JobRunOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for JobRuns.
+   */
+  cursor?: Prisma.JobRunWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` JobRuns from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` JobRuns.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of JobRuns.
+   */
+  distinct?: Prisma.JobRunScalarFieldEnum | Prisma.JobRunScalarFieldEnum[]
+}
+
+/**
+ * JobRun findMany
+ */
+export type JobRunFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  /**
+   * Filter, which JobRuns to fetch.
+   */
+  where?: Prisma.JobRunWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of JobRuns to fetch.
+   */
+  orderBy?: Prisma.JobRunOrderByWithRelationInput | Prisma.JobRunOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing JobRuns.
+   */
+  cursor?: Prisma.JobRunWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` JobRuns from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` JobRuns.
+   */
+  skip?: number
+  distinct?: Prisma.JobRunScalarFieldEnum | Prisma.JobRunScalarFieldEnum[]
+}
+
+/**
+ * JobRun create
+ */
+export type JobRunCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  /**
+   * The data needed to create a JobRun.
+   */
+  data: Prisma.XOR<Prisma.JobRunCreateInput, Prisma.JobRunUncheckedCreateInput>
+}
+
+/**
+ * JobRun createMany
+ */
+export type JobRunCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many JobRuns.
+   */
+  data: Prisma.JobRunCreateManyInput | Prisma.JobRunCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * JobRun update
+ */
+export type JobRunUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  /**
+   * The data needed to update a JobRun.
+   */
+  data: Prisma.XOR<Prisma.JobRunUpdateInput, Prisma.JobRunUncheckedUpdateInput>
+  /**
+   * Choose, which JobRun to update.
+   */
+  where: Prisma.JobRunWhereUniqueInput
+}
+
+/**
+ * JobRun updateMany
+ */
+export type JobRunUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update JobRuns.
+   */
+  data: Prisma.XOR<Prisma.JobRunUpdateManyMutationInput, Prisma.JobRunUncheckedUpdateManyInput>
+  /**
+   * Filter which JobRuns to update
+   */
+  where?: Prisma.JobRunWhereInput
+  /**
+   * Limit how many JobRuns to update.
+   */
+  limit?: number
+}
+
+/**
+ * JobRun upsert
+ */
+export type JobRunUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  /**
+   * The filter to search for the JobRun to update in case it exists.
+   */
+  where: Prisma.JobRunWhereUniqueInput
+  /**
+   * In case the JobRun found by the `where` argument doesn't exist, create a new JobRun with this data.
+   */
+  create: Prisma.XOR<Prisma.JobRunCreateInput, Prisma.JobRunUncheckedCreateInput>
+  /**
+   * In case the JobRun was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.JobRunUpdateInput, Prisma.JobRunUncheckedUpdateInput>
+}
+
+/**
+ * JobRun delete
+ */
+export type JobRunDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  /**
+   * Filter which JobRun to delete.
+   */
+  where: Prisma.JobRunWhereUniqueInput
+}
+
+/**
+ * JobRun deleteMany
+ */
+export type JobRunDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which JobRuns to delete
+   */
+  where?: Prisma.JobRunWhereInput
+  /**
+   * Limit how many JobRuns to delete.
+   */
+  limit?: number
+}
+
+/**
+ * JobRun.triggeredBy
+ */
+export type JobRun$triggeredByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the User
+   */
+  select?: Prisma.UserSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the User
+   */
+  omit?: Prisma.UserOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.UserInclude<ExtArgs> | null
+  where?: Prisma.UserWhereInput
+}
+
+/**
+ * JobRun without action
+ */
+export type JobRunDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+}
@@ -0,0 +1,1361 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `LoginCode` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model LoginCode
+ * 
+ */
+export type LoginCodeModel = runtime.Types.Result.DefaultSelection<Prisma.$LoginCodePayload>
+
+export type AggregateLoginCode = {
+  _count: LoginCodeCountAggregateOutputType | null
+  _avg: LoginCodeAvgAggregateOutputType | null
+  _sum: LoginCodeSumAggregateOutputType | null
+  _min: LoginCodeMinAggregateOutputType | null
+  _max: LoginCodeMaxAggregateOutputType | null
+}
+
+export type LoginCodeAvgAggregateOutputType = {
+  attempts: number | null
+}
+
+export type LoginCodeSumAggregateOutputType = {
+  attempts: number | null
+}
+
+export type LoginCodeMinAggregateOutputType = {
+  id: string | null
+  studentId: string | null
+  codeHash: string | null
+  channel: $Enums.NotificationChannel | null
+  attempts: number | null
+  expiresAt: Date | null
+  usedAt: Date | null
+  createdAt: Date | null
+}
+
+export type LoginCodeMaxAggregateOutputType = {
+  id: string | null
+  studentId: string | null
+  codeHash: string | null
+  channel: $Enums.NotificationChannel | null
+  attempts: number | null
+  expiresAt: Date | null
+  usedAt: Date | null
+  createdAt: Date | null
+}
+
+export type LoginCodeCountAggregateOutputType = {
+  id: number
+  studentId: number
+  codeHash: number
+  channel: number
+  attempts: number
+  expiresAt: number
+  usedAt: number
+  createdAt: number
+  _all: number
+}
+
+
+export type LoginCodeAvgAggregateInputType = {
+  attempts?: true
+}
+
+export type LoginCodeSumAggregateInputType = {
+  attempts?: true
+}
+
+export type LoginCodeMinAggregateInputType = {
+  id?: true
+  studentId?: true
+  codeHash?: true
+  channel?: true
+  attempts?: true
+  expiresAt?: true
+  usedAt?: true
+  createdAt?: true
+}
+
+export type LoginCodeMaxAggregateInputType = {
+  id?: true
+  studentId?: true
+  codeHash?: true
+  channel?: true
+  attempts?: true
+  expiresAt?: true
+  usedAt?: true
+  createdAt?: true
+}
+
+export type LoginCodeCountAggregateInputType = {
+  id?: true
+  studentId?: true
+  codeHash?: true
+  channel?: true
+  attempts?: true
+  expiresAt?: true
+  usedAt?: true
+  createdAt?: true
+  _all?: true
+}
+
+export type LoginCodeAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which LoginCode to aggregate.
+   */
+  where?: Prisma.LoginCodeWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of LoginCodes to fetch.
+   */
+  orderBy?: Prisma.LoginCodeOrderByWithRelationInput | Prisma.LoginCodeOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.LoginCodeWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` LoginCodes from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` LoginCodes.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned LoginCodes
+  **/
+  _count?: true | LoginCodeCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to average
+  **/
+  _avg?: LoginCodeAvgAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to sum
+  **/
+  _sum?: LoginCodeSumAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: LoginCodeMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: LoginCodeMaxAggregateInputType
+}
+
+export type GetLoginCodeAggregateType<T extends LoginCodeAggregateArgs> = {
+      [P in keyof T & keyof AggregateLoginCode]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateLoginCode[P]>
+    : Prisma.GetScalarType<T[P], AggregateLoginCode[P]>
+}
+
+
+
+
+export type LoginCodeGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.LoginCodeWhereInput
+  orderBy?: Prisma.LoginCodeOrderByWithAggregationInput | Prisma.LoginCodeOrderByWithAggregationInput[]
+  by: Prisma.LoginCodeScalarFieldEnum[] | Prisma.LoginCodeScalarFieldEnum
+  having?: Prisma.LoginCodeScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: LoginCodeCountAggregateInputType | true
+  _avg?: LoginCodeAvgAggregateInputType
+  _sum?: LoginCodeSumAggregateInputType
+  _min?: LoginCodeMinAggregateInputType
+  _max?: LoginCodeMaxAggregateInputType
+}
+
+export type LoginCodeGroupByOutputType = {
+  id: string
+  studentId: string
+  codeHash: string
+  channel: $Enums.NotificationChannel
+  attempts: number
+  expiresAt: Date
+  usedAt: Date | null
+  createdAt: Date
+  _count: LoginCodeCountAggregateOutputType | null
+  _avg: LoginCodeAvgAggregateOutputType | null
+  _sum: LoginCodeSumAggregateOutputType | null
+  _min: LoginCodeMinAggregateOutputType | null
+  _max: LoginCodeMaxAggregateOutputType | null
+}
+
+type GetLoginCodeGroupByPayload<T extends LoginCodeGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<LoginCodeGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof LoginCodeGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], LoginCodeGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], LoginCodeGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type LoginCodeWhereInput = {
+  AND?: Prisma.LoginCodeWhereInput | Prisma.LoginCodeWhereInput[]
+  OR?: Prisma.LoginCodeWhereInput[]
+  NOT?: Prisma.LoginCodeWhereInput | Prisma.LoginCodeWhereInput[]
+  id?: Prisma.StringFilter<"LoginCode"> | string
+  studentId?: Prisma.StringFilter<"LoginCode"> | string
+  codeHash?: Prisma.StringFilter<"LoginCode"> | string
+  channel?: Prisma.EnumNotificationChannelFilter<"LoginCode"> | $Enums.NotificationChannel
+  attempts?: Prisma.IntFilter<"LoginCode"> | number
+  expiresAt?: Prisma.DateTimeFilter<"LoginCode"> | Date | string
+  usedAt?: Prisma.DateTimeNullableFilter<"LoginCode"> | Date | string | null
+  createdAt?: Prisma.DateTimeFilter<"LoginCode"> | Date | string
+  student?: Prisma.XOR<Prisma.StudentScalarRelationFilter, Prisma.StudentWhereInput>
+}
+
+export type LoginCodeOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  codeHash?: Prisma.SortOrder
+  channel?: Prisma.SortOrder
+  attempts?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  usedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  student?: Prisma.StudentOrderByWithRelationInput
+  _relevance?: Prisma.LoginCodeOrderByRelevanceInput
+}
+
+export type LoginCodeWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  AND?: Prisma.LoginCodeWhereInput | Prisma.LoginCodeWhereInput[]
+  OR?: Prisma.LoginCodeWhereInput[]
+  NOT?: Prisma.LoginCodeWhereInput | Prisma.LoginCodeWhereInput[]
+  studentId?: Prisma.StringFilter<"LoginCode"> | string
+  codeHash?: Prisma.StringFilter<"LoginCode"> | string
+  channel?: Prisma.EnumNotificationChannelFilter<"LoginCode"> | $Enums.NotificationChannel
+  attempts?: Prisma.IntFilter<"LoginCode"> | number
+  expiresAt?: Prisma.DateTimeFilter<"LoginCode"> | Date | string
+  usedAt?: Prisma.DateTimeNullableFilter<"LoginCode"> | Date | string | null
+  createdAt?: Prisma.DateTimeFilter<"LoginCode"> | Date | string
+  student?: Prisma.XOR<Prisma.StudentScalarRelationFilter, Prisma.StudentWhereInput>
+}, "id">
+
+export type LoginCodeOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  codeHash?: Prisma.SortOrder
+  channel?: Prisma.SortOrder
+  attempts?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  usedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  _count?: Prisma.LoginCodeCountOrderByAggregateInput
+  _avg?: Prisma.LoginCodeAvgOrderByAggregateInput
+  _max?: Prisma.LoginCodeMaxOrderByAggregateInput
+  _min?: Prisma.LoginCodeMinOrderByAggregateInput
+  _sum?: Prisma.LoginCodeSumOrderByAggregateInput
+}
+
+export type LoginCodeScalarWhereWithAggregatesInput = {
+  AND?: Prisma.LoginCodeScalarWhereWithAggregatesInput | Prisma.LoginCodeScalarWhereWithAggregatesInput[]
+  OR?: Prisma.LoginCodeScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.LoginCodeScalarWhereWithAggregatesInput | Prisma.LoginCodeScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"LoginCode"> | string
+  studentId?: Prisma.StringWithAggregatesFilter<"LoginCode"> | string
+  codeHash?: Prisma.StringWithAggregatesFilter<"LoginCode"> | string
+  channel?: Prisma.EnumNotificationChannelWithAggregatesFilter<"LoginCode"> | $Enums.NotificationChannel
+  attempts?: Prisma.IntWithAggregatesFilter<"LoginCode"> | number
+  expiresAt?: Prisma.DateTimeWithAggregatesFilter<"LoginCode"> | Date | string
+  usedAt?: Prisma.DateTimeNullableWithAggregatesFilter<"LoginCode"> | Date | string | null
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"LoginCode"> | Date | string
+}
+
+export type LoginCodeCreateInput = {
+  id?: string
+  codeHash: string
+  channel: $Enums.NotificationChannel
+  attempts?: number
+  expiresAt: Date | string
+  usedAt?: Date | string | null
+  createdAt?: Date | string
+  student: Prisma.StudentCreateNestedOneWithoutLoginCodesInput
+}
+
+export type LoginCodeUncheckedCreateInput = {
+  id?: string
+  studentId: string
+  codeHash: string
+  channel: $Enums.NotificationChannel
+  attempts?: number
+  expiresAt: Date | string
+  usedAt?: Date | string | null
+  createdAt?: Date | string
+}
+
+export type LoginCodeUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  codeHash?: Prisma.StringFieldUpdateOperationsInput | string
+  channel?: Prisma.EnumNotificationChannelFieldUpdateOperationsInput | $Enums.NotificationChannel
+  attempts?: Prisma.IntFieldUpdateOperationsInput | number
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  usedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  student?: Prisma.StudentUpdateOneRequiredWithoutLoginCodesNestedInput
+}
+
+export type LoginCodeUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  codeHash?: Prisma.StringFieldUpdateOperationsInput | string
+  channel?: Prisma.EnumNotificationChannelFieldUpdateOperationsInput | $Enums.NotificationChannel
+  attempts?: Prisma.IntFieldUpdateOperationsInput | number
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  usedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type LoginCodeCreateManyInput = {
+  id?: string
+  studentId: string
+  codeHash: string
+  channel: $Enums.NotificationChannel
+  attempts?: number
+  expiresAt: Date | string
+  usedAt?: Date | string | null
+  createdAt?: Date | string
+}
+
+export type LoginCodeUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  codeHash?: Prisma.StringFieldUpdateOperationsInput | string
+  channel?: Prisma.EnumNotificationChannelFieldUpdateOperationsInput | $Enums.NotificationChannel
+  attempts?: Prisma.IntFieldUpdateOperationsInput | number
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  usedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type LoginCodeUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  codeHash?: Prisma.StringFieldUpdateOperationsInput | string
+  channel?: Prisma.EnumNotificationChannelFieldUpdateOperationsInput | $Enums.NotificationChannel
+  attempts?: Prisma.IntFieldUpdateOperationsInput | number
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  usedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type LoginCodeListRelationFilter = {
+  every?: Prisma.LoginCodeWhereInput
+  some?: Prisma.LoginCodeWhereInput
+  none?: Prisma.LoginCodeWhereInput
+}
+
+export type LoginCodeOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type LoginCodeOrderByRelevanceInput = {
+  fields: Prisma.LoginCodeOrderByRelevanceFieldEnum | Prisma.LoginCodeOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type LoginCodeCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  codeHash?: Prisma.SortOrder
+  channel?: Prisma.SortOrder
+  attempts?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  usedAt?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type LoginCodeAvgOrderByAggregateInput = {
+  attempts?: Prisma.SortOrder
+}
+
+export type LoginCodeMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  codeHash?: Prisma.SortOrder
+  channel?: Prisma.SortOrder
+  attempts?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  usedAt?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type LoginCodeMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  codeHash?: Prisma.SortOrder
+  channel?: Prisma.SortOrder
+  attempts?: Prisma.SortOrder
+  expiresAt?: Prisma.SortOrder
+  usedAt?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type LoginCodeSumOrderByAggregateInput = {
+  attempts?: Prisma.SortOrder
+}
+
+export type LoginCodeCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.LoginCodeCreateWithoutStudentInput, Prisma.LoginCodeUncheckedCreateWithoutStudentInput> | Prisma.LoginCodeCreateWithoutStudentInput[] | Prisma.LoginCodeUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.LoginCodeCreateOrConnectWithoutStudentInput | Prisma.LoginCodeCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.LoginCodeCreateManyStudentInputEnvelope
+  connect?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+}
+
+export type LoginCodeUncheckedCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.LoginCodeCreateWithoutStudentInput, Prisma.LoginCodeUncheckedCreateWithoutStudentInput> | Prisma.LoginCodeCreateWithoutStudentInput[] | Prisma.LoginCodeUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.LoginCodeCreateOrConnectWithoutStudentInput | Prisma.LoginCodeCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.LoginCodeCreateManyStudentInputEnvelope
+  connect?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+}
+
+export type LoginCodeUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.LoginCodeCreateWithoutStudentInput, Prisma.LoginCodeUncheckedCreateWithoutStudentInput> | Prisma.LoginCodeCreateWithoutStudentInput[] | Prisma.LoginCodeUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.LoginCodeCreateOrConnectWithoutStudentInput | Prisma.LoginCodeCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.LoginCodeUpsertWithWhereUniqueWithoutStudentInput | Prisma.LoginCodeUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.LoginCodeCreateManyStudentInputEnvelope
+  set?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+  disconnect?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+  delete?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+  connect?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+  update?: Prisma.LoginCodeUpdateWithWhereUniqueWithoutStudentInput | Prisma.LoginCodeUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.LoginCodeUpdateManyWithWhereWithoutStudentInput | Prisma.LoginCodeUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.LoginCodeScalarWhereInput | Prisma.LoginCodeScalarWhereInput[]
+}
+
+export type LoginCodeUncheckedUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.LoginCodeCreateWithoutStudentInput, Prisma.LoginCodeUncheckedCreateWithoutStudentInput> | Prisma.LoginCodeCreateWithoutStudentInput[] | Prisma.LoginCodeUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.LoginCodeCreateOrConnectWithoutStudentInput | Prisma.LoginCodeCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.LoginCodeUpsertWithWhereUniqueWithoutStudentInput | Prisma.LoginCodeUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.LoginCodeCreateManyStudentInputEnvelope
+  set?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+  disconnect?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+  delete?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+  connect?: Prisma.LoginCodeWhereUniqueInput | Prisma.LoginCodeWhereUniqueInput[]
+  update?: Prisma.LoginCodeUpdateWithWhereUniqueWithoutStudentInput | Prisma.LoginCodeUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.LoginCodeUpdateManyWithWhereWithoutStudentInput | Prisma.LoginCodeUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.LoginCodeScalarWhereInput | Prisma.LoginCodeScalarWhereInput[]
+}
+
+export type LoginCodeCreateWithoutStudentInput = {
+  id?: string
+  codeHash: string
+  channel: $Enums.NotificationChannel
+  attempts?: number
+  expiresAt: Date | string
+  usedAt?: Date | string | null
+  createdAt?: Date | string
+}
+
+export type LoginCodeUncheckedCreateWithoutStudentInput = {
+  id?: string
+  codeHash: string
+  channel: $Enums.NotificationChannel
+  attempts?: number
+  expiresAt: Date | string
+  usedAt?: Date | string | null
+  createdAt?: Date | string
+}
+
+export type LoginCodeCreateOrConnectWithoutStudentInput = {
+  where: Prisma.LoginCodeWhereUniqueInput
+  create: Prisma.XOR<Prisma.LoginCodeCreateWithoutStudentInput, Prisma.LoginCodeUncheckedCreateWithoutStudentInput>
+}
+
+export type LoginCodeCreateManyStudentInputEnvelope = {
+  data: Prisma.LoginCodeCreateManyStudentInput | Prisma.LoginCodeCreateManyStudentInput[]
+  skipDuplicates?: boolean
+}
+
+export type LoginCodeUpsertWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.LoginCodeWhereUniqueInput
+  update: Prisma.XOR<Prisma.LoginCodeUpdateWithoutStudentInput, Prisma.LoginCodeUncheckedUpdateWithoutStudentInput>
+  create: Prisma.XOR<Prisma.LoginCodeCreateWithoutStudentInput, Prisma.LoginCodeUncheckedCreateWithoutStudentInput>
+}
+
+export type LoginCodeUpdateWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.LoginCodeWhereUniqueInput
+  data: Prisma.XOR<Prisma.LoginCodeUpdateWithoutStudentInput, Prisma.LoginCodeUncheckedUpdateWithoutStudentInput>
+}
+
+export type LoginCodeUpdateManyWithWhereWithoutStudentInput = {
+  where: Prisma.LoginCodeScalarWhereInput
+  data: Prisma.XOR<Prisma.LoginCodeUpdateManyMutationInput, Prisma.LoginCodeUncheckedUpdateManyWithoutStudentInput>
+}
+
+export type LoginCodeScalarWhereInput = {
+  AND?: Prisma.LoginCodeScalarWhereInput | Prisma.LoginCodeScalarWhereInput[]
+  OR?: Prisma.LoginCodeScalarWhereInput[]
+  NOT?: Prisma.LoginCodeScalarWhereInput | Prisma.LoginCodeScalarWhereInput[]
+  id?: Prisma.StringFilter<"LoginCode"> | string
+  studentId?: Prisma.StringFilter<"LoginCode"> | string
+  codeHash?: Prisma.StringFilter<"LoginCode"> | string
+  channel?: Prisma.EnumNotificationChannelFilter<"LoginCode"> | $Enums.NotificationChannel
+  attempts?: Prisma.IntFilter<"LoginCode"> | number
+  expiresAt?: Prisma.DateTimeFilter<"LoginCode"> | Date | string
+  usedAt?: Prisma.DateTimeNullableFilter<"LoginCode"> | Date | string | null
+  createdAt?: Prisma.DateTimeFilter<"LoginCode"> | Date | string
+}
+
+export type LoginCodeCreateManyStudentInput = {
+  id?: string
+  codeHash: string
+  channel: $Enums.NotificationChannel
+  attempts?: number
+  expiresAt: Date | string
+  usedAt?: Date | string | null
+  createdAt?: Date | string
+}
+
+export type LoginCodeUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  codeHash?: Prisma.StringFieldUpdateOperationsInput | string
+  channel?: Prisma.EnumNotificationChannelFieldUpdateOperationsInput | $Enums.NotificationChannel
+  attempts?: Prisma.IntFieldUpdateOperationsInput | number
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  usedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type LoginCodeUncheckedUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  codeHash?: Prisma.StringFieldUpdateOperationsInput | string
+  channel?: Prisma.EnumNotificationChannelFieldUpdateOperationsInput | $Enums.NotificationChannel
+  attempts?: Prisma.IntFieldUpdateOperationsInput | number
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  usedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type LoginCodeUncheckedUpdateManyWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  codeHash?: Prisma.StringFieldUpdateOperationsInput | string
+  channel?: Prisma.EnumNotificationChannelFieldUpdateOperationsInput | $Enums.NotificationChannel
+  attempts?: Prisma.IntFieldUpdateOperationsInput | number
+  expiresAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  usedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+
+
+export type LoginCodeSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  studentId?: boolean
+  codeHash?: boolean
+  channel?: boolean
+  attempts?: boolean
+  expiresAt?: boolean
+  usedAt?: boolean
+  createdAt?: boolean
+  student?: boolean | Prisma.StudentDefaultArgs<ExtArgs>
+}, ExtArgs["result"]["loginCode"]>
+
+
+
+export type LoginCodeSelectScalar = {
+  id?: boolean
+  studentId?: boolean
+  codeHash?: boolean
+  channel?: boolean
+  attempts?: boolean
+  expiresAt?: boolean
+  usedAt?: boolean
+  createdAt?: boolean
+}
+
+export type LoginCodeOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "studentId" | "codeHash" | "channel" | "attempts" | "expiresAt" | "usedAt" | "createdAt", ExtArgs["result"]["loginCode"]>
+export type LoginCodeInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  student?: boolean | Prisma.StudentDefaultArgs<ExtArgs>
+}
+
+export type $LoginCodePayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "LoginCode"
+  objects: {
+    student: Prisma.$StudentPayload<ExtArgs>
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    studentId: string
+    codeHash: string
+    channel: $Enums.NotificationChannel
+    attempts: number
+    expiresAt: Date
+    usedAt: Date | null
+    createdAt: Date
+  }, ExtArgs["result"]["loginCode"]>
+  composites: {}
+}
+
+export type LoginCodeGetPayload<S extends boolean | null | undefined | LoginCodeDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$LoginCodePayload, S>
+
+export type LoginCodeCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<LoginCodeFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: LoginCodeCountAggregateInputType | true
+  }
+
+export interface LoginCodeDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['LoginCode'], meta: { name: 'LoginCode' } }
+  /**
+   * Find zero or one LoginCode that matches the filter.
+   * @param {LoginCodeFindUniqueArgs} args - Arguments to find a LoginCode
+   * @example
+   * // Get one LoginCode
+   * const loginCode = await prisma.loginCode.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends LoginCodeFindUniqueArgs>(args: Prisma.SelectSubset<T, LoginCodeFindUniqueArgs<ExtArgs>>): Prisma.Prisma__LoginCodeClient<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one LoginCode that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {LoginCodeFindUniqueOrThrowArgs} args - Arguments to find a LoginCode
+   * @example
+   * // Get one LoginCode
+   * const loginCode = await prisma.loginCode.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends LoginCodeFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, LoginCodeFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__LoginCodeClient<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first LoginCode that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {LoginCodeFindFirstArgs} args - Arguments to find a LoginCode
+   * @example
+   * // Get one LoginCode
+   * const loginCode = await prisma.loginCode.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends LoginCodeFindFirstArgs>(args?: Prisma.SelectSubset<T, LoginCodeFindFirstArgs<ExtArgs>>): Prisma.Prisma__LoginCodeClient<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first LoginCode that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {LoginCodeFindFirstOrThrowArgs} args - Arguments to find a LoginCode
+   * @example
+   * // Get one LoginCode
+   * const loginCode = await prisma.loginCode.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends LoginCodeFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, LoginCodeFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__LoginCodeClient<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more LoginCodes that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {LoginCodeFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all LoginCodes
+   * const loginCodes = await prisma.loginCode.findMany()
+   * 
+   * // Get first 10 LoginCodes
+   * const loginCodes = await prisma.loginCode.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const loginCodeWithIdOnly = await prisma.loginCode.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends LoginCodeFindManyArgs>(args?: Prisma.SelectSubset<T, LoginCodeFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a LoginCode.
+   * @param {LoginCodeCreateArgs} args - Arguments to create a LoginCode.
+   * @example
+   * // Create one LoginCode
+   * const LoginCode = await prisma.loginCode.create({
+   *   data: {
+   *     // ... data to create a LoginCode
+   *   }
+   * })
+   * 
+   */
+  create<T extends LoginCodeCreateArgs>(args: Prisma.SelectSubset<T, LoginCodeCreateArgs<ExtArgs>>): Prisma.Prisma__LoginCodeClient<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many LoginCodes.
+   * @param {LoginCodeCreateManyArgs} args - Arguments to create many LoginCodes.
+   * @example
+   * // Create many LoginCodes
+   * const loginCode = await prisma.loginCode.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends LoginCodeCreateManyArgs>(args?: Prisma.SelectSubset<T, LoginCodeCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a LoginCode.
+   * @param {LoginCodeDeleteArgs} args - Arguments to delete one LoginCode.
+   * @example
+   * // Delete one LoginCode
+   * const LoginCode = await prisma.loginCode.delete({
+   *   where: {
+   *     // ... filter to delete one LoginCode
+   *   }
+   * })
+   * 
+   */
+  delete<T extends LoginCodeDeleteArgs>(args: Prisma.SelectSubset<T, LoginCodeDeleteArgs<ExtArgs>>): Prisma.Prisma__LoginCodeClient<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one LoginCode.
+   * @param {LoginCodeUpdateArgs} args - Arguments to update one LoginCode.
+   * @example
+   * // Update one LoginCode
+   * const loginCode = await prisma.loginCode.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends LoginCodeUpdateArgs>(args: Prisma.SelectSubset<T, LoginCodeUpdateArgs<ExtArgs>>): Prisma.Prisma__LoginCodeClient<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more LoginCodes.
+   * @param {LoginCodeDeleteManyArgs} args - Arguments to filter LoginCodes to delete.
+   * @example
+   * // Delete a few LoginCodes
+   * const { count } = await prisma.loginCode.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends LoginCodeDeleteManyArgs>(args?: Prisma.SelectSubset<T, LoginCodeDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more LoginCodes.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {LoginCodeUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many LoginCodes
+   * const loginCode = await prisma.loginCode.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends LoginCodeUpdateManyArgs>(args: Prisma.SelectSubset<T, LoginCodeUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one LoginCode.
+   * @param {LoginCodeUpsertArgs} args - Arguments to update or create a LoginCode.
+   * @example
+   * // Update or create a LoginCode
+   * const loginCode = await prisma.loginCode.upsert({
+   *   create: {
+   *     // ... data to create a LoginCode
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the LoginCode we want to update
+   *   }
+   * })
+   */
+  upsert<T extends LoginCodeUpsertArgs>(args: Prisma.SelectSubset<T, LoginCodeUpsertArgs<ExtArgs>>): Prisma.Prisma__LoginCodeClient<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of LoginCodes.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {LoginCodeCountArgs} args - Arguments to filter LoginCodes to count.
+   * @example
+   * // Count the number of LoginCodes
+   * const count = await prisma.loginCode.count({
+   *   where: {
+   *     // ... the filter for the LoginCodes we want to count
+   *   }
+   * })
+  **/
+  count<T extends LoginCodeCountArgs>(
+    args?: Prisma.Subset<T, LoginCodeCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], LoginCodeCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a LoginCode.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {LoginCodeAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends LoginCodeAggregateArgs>(args: Prisma.Subset<T, LoginCodeAggregateArgs>): Prisma.PrismaPromise<GetLoginCodeAggregateType<T>>
+
+  /**
+   * Group by LoginCode.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {LoginCodeGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends LoginCodeGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: LoginCodeGroupByArgs['orderBy'] }
+      : { orderBy?: LoginCodeGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, LoginCodeGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetLoginCodeGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the LoginCode model
+ */
+readonly fields: LoginCodeFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for LoginCode.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__LoginCodeClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  student<T extends Prisma.StudentDefaultArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.StudentDefaultArgs<ExtArgs>>): Prisma.Prisma__StudentClient<runtime.Types.Result.GetResult<Prisma.$StudentPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | Null, Null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the LoginCode model
+ */
+export interface LoginCodeFieldRefs {
+  readonly id: Prisma.FieldRef<"LoginCode", 'String'>
+  readonly studentId: Prisma.FieldRef<"LoginCode", 'String'>
+  readonly codeHash: Prisma.FieldRef<"LoginCode", 'String'>
+  readonly channel: Prisma.FieldRef<"LoginCode", 'NotificationChannel'>
+  readonly attempts: Prisma.FieldRef<"LoginCode", 'Int'>
+  readonly expiresAt: Prisma.FieldRef<"LoginCode", 'DateTime'>
+  readonly usedAt: Prisma.FieldRef<"LoginCode", 'DateTime'>
+  readonly createdAt: Prisma.FieldRef<"LoginCode", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * LoginCode findUnique
+ */
+export type LoginCodeFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  /**
+   * Filter, which LoginCode to fetch.
+   */
+  where: Prisma.LoginCodeWhereUniqueInput
+}
+
+/**
+ * LoginCode findUniqueOrThrow
+ */
+export type LoginCodeFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  /**
+   * Filter, which LoginCode to fetch.
+   */
+  where: Prisma.LoginCodeWhereUniqueInput
+}
+
+/**
+ * LoginCode findFirst
+ */
+export type LoginCodeFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  /**
+   * Filter, which LoginCode to fetch.
+   */
+  where?: Prisma.LoginCodeWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of LoginCodes to fetch.
+   */
+  orderBy?: Prisma.LoginCodeOrderByWithRelationInput | Prisma.LoginCodeOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for LoginCodes.
+   */
+  cursor?: Prisma.LoginCodeWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` LoginCodes from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` LoginCodes.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of LoginCodes.
+   */
+  distinct?: Prisma.LoginCodeScalarFieldEnum | Prisma.LoginCodeScalarFieldEnum[]
+}
+
+/**
+ * LoginCode findFirstOrThrow
+ */
+export type LoginCodeFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  /**
+   * Filter, which LoginCode to fetch.
+   */
+  where?: Prisma.LoginCodeWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of LoginCodes to fetch.
+   */
+  orderBy?: Prisma.LoginCodeOrderByWithRelationInput | Prisma.LoginCodeOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for LoginCodes.
+   */
+  cursor?: Prisma.LoginCodeWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` LoginCodes from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` LoginCodes.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of LoginCodes.
+   */
+  distinct?: Prisma.LoginCodeScalarFieldEnum | Prisma.LoginCodeScalarFieldEnum[]
+}
+
+/**
+ * LoginCode findMany
+ */
+export type LoginCodeFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  /**
+   * Filter, which LoginCodes to fetch.
+   */
+  where?: Prisma.LoginCodeWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of LoginCodes to fetch.
+   */
+  orderBy?: Prisma.LoginCodeOrderByWithRelationInput | Prisma.LoginCodeOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing LoginCodes.
+   */
+  cursor?: Prisma.LoginCodeWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` LoginCodes from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` LoginCodes.
+   */
+  skip?: number
+  distinct?: Prisma.LoginCodeScalarFieldEnum | Prisma.LoginCodeScalarFieldEnum[]
+}
+
+/**
+ * LoginCode create
+ */
+export type LoginCodeCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  /**
+   * The data needed to create a LoginCode.
+   */
+  data: Prisma.XOR<Prisma.LoginCodeCreateInput, Prisma.LoginCodeUncheckedCreateInput>
+}
+
+/**
+ * LoginCode createMany
+ */
+export type LoginCodeCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many LoginCodes.
+   */
+  data: Prisma.LoginCodeCreateManyInput | Prisma.LoginCodeCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * LoginCode update
+ */
+export type LoginCodeUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  /**
+   * The data needed to update a LoginCode.
+   */
+  data: Prisma.XOR<Prisma.LoginCodeUpdateInput, Prisma.LoginCodeUncheckedUpdateInput>
+  /**
+   * Choose, which LoginCode to update.
+   */
+  where: Prisma.LoginCodeWhereUniqueInput
+}
+
+/**
+ * LoginCode updateMany
+ */
+export type LoginCodeUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update LoginCodes.
+   */
+  data: Prisma.XOR<Prisma.LoginCodeUpdateManyMutationInput, Prisma.LoginCodeUncheckedUpdateManyInput>
+  /**
+   * Filter which LoginCodes to update
+   */
+  where?: Prisma.LoginCodeWhereInput
+  /**
+   * Limit how many LoginCodes to update.
+   */
+  limit?: number
+}
+
+/**
+ * LoginCode upsert
+ */
+export type LoginCodeUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  /**
+   * The filter to search for the LoginCode to update in case it exists.
+   */
+  where: Prisma.LoginCodeWhereUniqueInput
+  /**
+   * In case the LoginCode found by the `where` argument doesn't exist, create a new LoginCode with this data.
+   */
+  create: Prisma.XOR<Prisma.LoginCodeCreateInput, Prisma.LoginCodeUncheckedCreateInput>
+  /**
+   * In case the LoginCode was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.LoginCodeUpdateInput, Prisma.LoginCodeUncheckedUpdateInput>
+}
+
+/**
+ * LoginCode delete
+ */
+export type LoginCodeDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  /**
+   * Filter which LoginCode to delete.
+   */
+  where: Prisma.LoginCodeWhereUniqueInput
+}
+
+/**
+ * LoginCode deleteMany
+ */
+export type LoginCodeDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which LoginCodes to delete
+   */
+  where?: Prisma.LoginCodeWhereInput
+  /**
+   * Limit how many LoginCodes to delete.
+   */
+  limit?: number
+}
+
+/**
+ * LoginCode without action
+ */
+export type LoginCodeDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+}
@@ -37,8 +37,9 @@ export type SessionSumAggregateOutputType = {
 export type SessionMinAggregateOutputType = {
   id: string | null
   day: $Enums.Day | null
-  timeSlot: $Enums.TimeSlot | null
+  timeSlot: string | null
   category: $Enums.LicenceClass | null
+  branch: string | null
   capacity: number | null
   createdAt: Date | null
   updatedAt: Date | null
@@ -47,8 +48,9 @@ export type SessionMinAggregateOutputType = {
 export type SessionMaxAggregateOutputType = {
   id: string | null
   day: $Enums.Day | null
-  timeSlot: $Enums.TimeSlot | null
+  timeSlot: string | null
   category: $Enums.LicenceClass | null
+  branch: string | null
   capacity: number | null
   createdAt: Date | null
   updatedAt: Date | null
@@ -59,6 +61,7 @@ export type SessionCountAggregateOutputType = {
   day: number
   timeSlot: number
   category: number
+  branch: number
   capacity: number
   createdAt: number
   updatedAt: number
@@ -80,6 +83,7 @@ export type SessionMinAggregateInputType = {
   day?: true
   timeSlot?: true
   category?: true
+  branch?: true
   capacity?: true
   createdAt?: true
   updatedAt?: true
@@ -90,6 +94,7 @@ export type SessionMaxAggregateInputType = {
   day?: true
   timeSlot?: true
   category?: true
+  branch?: true
   capacity?: true
   createdAt?: true
   updatedAt?: true
@@ -100,6 +105,7 @@ export type SessionCountAggregateInputType = {
   day?: true
   timeSlot?: true
   category?: true
+  branch?: true
   capacity?: true
   createdAt?: true
   updatedAt?: true
@@ -196,8 +202,9 @@ export type SessionGroupByArgs<ExtArgs extends runtime.Types.Extensions.Internal
 export type SessionGroupByOutputType = {
   id: string
   day: $Enums.Day
-  timeSlot: $Enums.TimeSlot
+  timeSlot: string
   category: $Enums.LicenceClass
+  branch: string
   capacity: number
   createdAt: Date
   updatedAt: Date
@@ -230,13 +237,17 @@ export type SessionWhereInput = {
   NOT?: Prisma.SessionWhereInput | Prisma.SessionWhereInput[]
   id?: Prisma.StringFilter<"Session"> | string
   day?: Prisma.EnumDayFilter<"Session"> | $Enums.Day
-  timeSlot?: Prisma.EnumTimeSlotFilter<"Session"> | $Enums.TimeSlot
+  timeSlot?: Prisma.StringFilter<"Session"> | string
   category?: Prisma.EnumLicenceClassFilter<"Session"> | $Enums.LicenceClass
+  branch?: Prisma.StringFilter<"Session"> | string
   capacity?: Prisma.IntFilter<"Session"> | number
   createdAt?: Prisma.DateTimeFilter<"Session"> | Date | string
   updatedAt?: Prisma.DateTimeFilter<"Session"> | Date | string
   metadata?: Prisma.JsonNullableFilter<"Session">
   bookings?: Prisma.BookingListRelationFilter
+  waitlist?: Prisma.WaitlistEntryListRelationFilter
+  assignments?: Prisma.SessionAssignmentListRelationFilter
+  instances?: Prisma.SessionInstanceListRelationFilter
 }
 
 export type SessionOrderByWithRelationInput = {
@@ -244,35 +255,44 @@ export type SessionOrderByWithRelationInput = {
   day?: Prisma.SortOrder
   timeSlot?: Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   capacity?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
   metadata?: Prisma.SortOrderInput | Prisma.SortOrder
   bookings?: Prisma.BookingOrderByRelationAggregateInput
+  waitlist?: Prisma.WaitlistEntryOrderByRelationAggregateInput
+  assignments?: Prisma.SessionAssignmentOrderByRelationAggregateInput
+  instances?: Prisma.SessionInstanceOrderByRelationAggregateInput
   _relevance?: Prisma.SessionOrderByRelevanceInput
 }
 
 export type SessionWhereUniqueInput = Prisma.AtLeast<{
   id?: string
-  day_timeSlot_category?: Prisma.SessionDayTimeSlotCategoryCompoundUniqueInput
+  branch_day_timeSlot_category?: Prisma.SessionBranchDayTimeSlotCategoryCompoundUniqueInput
   AND?: Prisma.SessionWhereInput | Prisma.SessionWhereInput[]
   OR?: Prisma.SessionWhereInput[]
   NOT?: Prisma.SessionWhereInput | Prisma.SessionWhereInput[]
   day?: Prisma.EnumDayFilter<"Session"> | $Enums.Day
-  timeSlot?: Prisma.EnumTimeSlotFilter<"Session"> | $Enums.TimeSlot
+  timeSlot?: Prisma.StringFilter<"Session"> | string
   category?: Prisma.EnumLicenceClassFilter<"Session"> | $Enums.LicenceClass
+  branch?: Prisma.StringFilter<"Session"> | string
   capacity?: Prisma.IntFilter<"Session"> | number
   createdAt?: Prisma.DateTimeFilter<"Session"> | Date | string
   updatedAt?: Prisma.DateTimeFilter<"Session"> | Date | string
   metadata?: Prisma.JsonNullableFilter<"Session">
   bookings?: Prisma.BookingListRelationFilter
-}, "id" | "day_timeSlot_category">
+  waitlist?: Prisma.WaitlistEntryListRelationFilter
+  assignments?: Prisma.SessionAssignmentListRelationFilter
+  instances?: Prisma.SessionInstanceListRelationFilter
+}, "id" | "branch_day_timeSlot_category">
 
 export type SessionOrderByWithAggregationInput = {
   id?: Prisma.SortOrder
   day?: Prisma.SortOrder
   timeSlot?: Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   capacity?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
@@ -290,8 +310,9 @@ export type SessionScalarWhereWithAggregatesInput = {
   NOT?: Prisma.SessionScalarWhereWithAggregatesInput | Prisma.SessionScalarWhereWithAggregatesInput[]
   id?: Prisma.StringWithAggregatesFilter<"Session"> | string
   day?: Prisma.EnumDayWithAggregatesFilter<"Session"> | $Enums.Day
-  timeSlot?: Prisma.EnumTimeSlotWithAggregatesFilter<"Session"> | $Enums.TimeSlot
+  timeSlot?: Prisma.StringWithAggregatesFilter<"Session"> | string
   category?: Prisma.EnumLicenceClassWithAggregatesFilter<"Session"> | $Enums.LicenceClass
+  branch?: Prisma.StringWithAggregatesFilter<"Session"> | string
   capacity?: Prisma.IntWithAggregatesFilter<"Session"> | number
   createdAt?: Prisma.DateTimeWithAggregatesFilter<"Session"> | Date | string
   updatedAt?: Prisma.DateTimeWithAggregatesFilter<"Session"> | Date | string
@@ -301,56 +322,73 @@ export type SessionScalarWhereWithAggregatesInput = {
 export type SessionCreateInput = {
   id?: string
   day: $Enums.Day
-  timeSlot: $Enums.TimeSlot
+  timeSlot: string
   category?: $Enums.LicenceClass
+  branch?: string
   capacity?: number
   createdAt?: Date | string
   updatedAt?: Date | string
   metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   bookings?: Prisma.BookingCreateNestedManyWithoutSessionInput
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutSessionInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutSessionInput
+  instances?: Prisma.SessionInstanceCreateNestedManyWithoutSessionInput
 }
 
 export type SessionUncheckedCreateInput = {
   id?: string
   day: $Enums.Day
-  timeSlot: $Enums.TimeSlot
+  timeSlot: string
   category?: $Enums.LicenceClass
+  branch?: string
   capacity?: number
   createdAt?: Date | string
   updatedAt?: Date | string
   metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutSessionInput
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutSessionInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutSessionInput
+  instances?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutSessionInput
 }
 
 export type SessionUpdateInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
-  timeSlot?: Prisma.EnumTimeSlotFieldUpdateOperationsInput | $Enums.TimeSlot
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   capacity?: Prisma.IntFieldUpdateOperationsInput | number
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   bookings?: Prisma.BookingUpdateManyWithoutSessionNestedInput
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutSessionNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutSessionNestedInput
+  instances?: Prisma.SessionInstanceUpdateManyWithoutSessionNestedInput
 }
 
 export type SessionUncheckedUpdateInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
-  timeSlot?: Prisma.EnumTimeSlotFieldUpdateOperationsInput | $Enums.TimeSlot
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   capacity?: Prisma.IntFieldUpdateOperationsInput | number
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   bookings?: Prisma.BookingUncheckedUpdateManyWithoutSessionNestedInput
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutSessionNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutSessionNestedInput
+  instances?: Prisma.SessionInstanceUncheckedUpdateManyWithoutSessionNestedInput
 }
 
 export type SessionCreateManyInput = {
   id?: string
   day: $Enums.Day
-  timeSlot: $Enums.TimeSlot
+  timeSlot: string
   category?: $Enums.LicenceClass
+  branch?: string
   capacity?: number
   createdAt?: Date | string
   updatedAt?: Date | string
@@ -360,8 +398,9 @@ export type SessionCreateManyInput = {
 export type SessionUpdateManyMutationInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
-  timeSlot?: Prisma.EnumTimeSlotFieldUpdateOperationsInput | $Enums.TimeSlot
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   capacity?: Prisma.IntFieldUpdateOperationsInput | number
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
@@ -371,8 +410,9 @@ export type SessionUpdateManyMutationInput = {
 export type SessionUncheckedUpdateManyInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
-  timeSlot?: Prisma.EnumTimeSlotFieldUpdateOperationsInput | $Enums.TimeSlot
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   capacity?: Prisma.IntFieldUpdateOperationsInput | number
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
@@ -385,9 +425,10 @@ export type SessionOrderByRelevanceInput = {
   search: string
 }
 
-export type SessionDayTimeSlotCategoryCompoundUniqueInput = {
+export type SessionBranchDayTimeSlotCategoryCompoundUniqueInput = {
+  branch: string
   day: $Enums.Day
-  timeSlot: $Enums.TimeSlot
+  timeSlot: string
   category: $Enums.LicenceClass
 }
 
@@ -396,6 +437,7 @@ export type SessionCountOrderByAggregateInput = {
   day?: Prisma.SortOrder
   timeSlot?: Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   capacity?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
@@ -411,6 +453,7 @@ export type SessionMaxOrderByAggregateInput = {
   day?: Prisma.SortOrder
   timeSlot?: Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   capacity?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
@@ -421,6 +464,7 @@ export type SessionMinOrderByAggregateInput = {
   day?: Prisma.SortOrder
   timeSlot?: Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   capacity?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
@@ -439,10 +483,6 @@ export type EnumDayFieldUpdateOperationsInput = {
   set?: $Enums.Day
 }
 
-export type EnumTimeSlotFieldUpdateOperationsInput = {
-  set?: $Enums.TimeSlot
-}
-
 export type IntFieldUpdateOperationsInput = {
   set?: number
   increment?: number
@@ -451,6 +491,20 @@ export type IntFieldUpdateOperationsInput = {
   divide?: number
 }
 
+export type SessionCreateNestedOneWithoutInstancesInput = {
+  create?: Prisma.XOR<Prisma.SessionCreateWithoutInstancesInput, Prisma.SessionUncheckedCreateWithoutInstancesInput>
+  connectOrCreate?: Prisma.SessionCreateOrConnectWithoutInstancesInput
+  connect?: Prisma.SessionWhereUniqueInput
+}
+
+export type SessionUpdateOneRequiredWithoutInstancesNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionCreateWithoutInstancesInput, Prisma.SessionUncheckedCreateWithoutInstancesInput>
+  connectOrCreate?: Prisma.SessionCreateOrConnectWithoutInstancesInput
+  upsert?: Prisma.SessionUpsertWithoutInstancesInput
+  connect?: Prisma.SessionWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.SessionUpdateToOneWithWhereWithoutInstancesInput, Prisma.SessionUpdateWithoutInstancesInput>, Prisma.SessionUncheckedUpdateWithoutInstancesInput>
+}
+
 export type SessionCreateNestedOneWithoutBookingsInput = {
   create?: Prisma.XOR<Prisma.SessionCreateWithoutBookingsInput, Prisma.SessionUncheckedCreateWithoutBookingsInput>
   connectOrCreate?: Prisma.SessionCreateOrConnectWithoutBookingsInput
@@ -465,26 +519,138 @@ export type SessionUpdateOneRequiredWithoutBookingsNestedInput = {
   update?: Prisma.XOR<Prisma.XOR<Prisma.SessionUpdateToOneWithWhereWithoutBookingsInput, Prisma.SessionUpdateWithoutBookingsInput>, Prisma.SessionUncheckedUpdateWithoutBookingsInput>
 }
 
+export type SessionCreateNestedOneWithoutWaitlistInput = {
+  create?: Prisma.XOR<Prisma.SessionCreateWithoutWaitlistInput, Prisma.SessionUncheckedCreateWithoutWaitlistInput>
+  connectOrCreate?: Prisma.SessionCreateOrConnectWithoutWaitlistInput
+  connect?: Prisma.SessionWhereUniqueInput
+}
+
+export type SessionUpdateOneRequiredWithoutWaitlistNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionCreateWithoutWaitlistInput, Prisma.SessionUncheckedCreateWithoutWaitlistInput>
+  connectOrCreate?: Prisma.SessionCreateOrConnectWithoutWaitlistInput
+  upsert?: Prisma.SessionUpsertWithoutWaitlistInput
+  connect?: Prisma.SessionWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.SessionUpdateToOneWithWhereWithoutWaitlistInput, Prisma.SessionUpdateWithoutWaitlistInput>, Prisma.SessionUncheckedUpdateWithoutWaitlistInput>
+}
+
+export type SessionCreateNestedOneWithoutAssignmentsInput = {
+  create?: Prisma.XOR<Prisma.SessionCreateWithoutAssignmentsInput, Prisma.SessionUncheckedCreateWithoutAssignmentsInput>
+  connectOrCreate?: Prisma.SessionCreateOrConnectWithoutAssignmentsInput
+  connect?: Prisma.SessionWhereUniqueInput
+}
+
+export type SessionUpdateOneRequiredWithoutAssignmentsNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionCreateWithoutAssignmentsInput, Prisma.SessionUncheckedCreateWithoutAssignmentsInput>
+  connectOrCreate?: Prisma.SessionCreateOrConnectWithoutAssignmentsInput
+  upsert?: Prisma.SessionUpsertWithoutAssignmentsInput
+  connect?: Prisma.SessionWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.SessionUpdateToOneWithWhereWithoutAssignmentsInput, Prisma.SessionUpdateWithoutAssignmentsInput>, Prisma.SessionUncheckedUpdateWithoutAssignmentsInput>
+}
+
+export type SessionCreateWithoutInstancesInput = {
+  id?: string
+  day: $Enums.Day
+  timeSlot: string
+  category?: $Enums.LicenceClass
+  branch?: string
+  capacity?: number
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingCreateNestedManyWithoutSessionInput
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutSessionInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutSessionInput
+}
+
+export type SessionUncheckedCreateWithoutInstancesInput = {
+  id?: string
+  day: $Enums.Day
+  timeSlot: string
+  category?: $Enums.LicenceClass
+  branch?: string
+  capacity?: number
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutSessionInput
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutSessionInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutSessionInput
+}
+
+export type SessionCreateOrConnectWithoutInstancesInput = {
+  where: Prisma.SessionWhereUniqueInput
+  create: Prisma.XOR<Prisma.SessionCreateWithoutInstancesInput, Prisma.SessionUncheckedCreateWithoutInstancesInput>
+}
+
+export type SessionUpsertWithoutInstancesInput = {
+  update: Prisma.XOR<Prisma.SessionUpdateWithoutInstancesInput, Prisma.SessionUncheckedUpdateWithoutInstancesInput>
+  create: Prisma.XOR<Prisma.SessionCreateWithoutInstancesInput, Prisma.SessionUncheckedCreateWithoutInstancesInput>
+  where?: Prisma.SessionWhereInput
+}
+
+export type SessionUpdateToOneWithWhereWithoutInstancesInput = {
+  where?: Prisma.SessionWhereInput
+  data: Prisma.XOR<Prisma.SessionUpdateWithoutInstancesInput, Prisma.SessionUncheckedUpdateWithoutInstancesInput>
+}
+
+export type SessionUpdateWithoutInstancesInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  capacity?: Prisma.IntFieldUpdateOperationsInput | number
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingUpdateManyWithoutSessionNestedInput
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutSessionNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutSessionNestedInput
+}
+
+export type SessionUncheckedUpdateWithoutInstancesInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  capacity?: Prisma.IntFieldUpdateOperationsInput | number
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingUncheckedUpdateManyWithoutSessionNestedInput
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutSessionNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutSessionNestedInput
+}
+
 export type SessionCreateWithoutBookingsInput = {
   id?: string
   day: $Enums.Day
-  timeSlot: $Enums.TimeSlot
+  timeSlot: string
   category?: $Enums.LicenceClass
+  branch?: string
   capacity?: number
   createdAt?: Date | string
   updatedAt?: Date | string
   metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutSessionInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutSessionInput
+  instances?: Prisma.SessionInstanceCreateNestedManyWithoutSessionInput
 }
 
 export type SessionUncheckedCreateWithoutBookingsInput = {
   id?: string
   day: $Enums.Day
-  timeSlot: $Enums.TimeSlot
+  timeSlot: string
   category?: $Enums.LicenceClass
+  branch?: string
   capacity?: number
   createdAt?: Date | string
   updatedAt?: Date | string
   metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutSessionInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutSessionInput
+  instances?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutSessionInput
 }
 
 export type SessionCreateOrConnectWithoutBookingsInput = {
@@ -506,23 +672,183 @@ export type SessionUpdateToOneWithWhereWithoutBookingsInput = {
 export type SessionUpdateWithoutBookingsInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
-  timeSlot?: Prisma.EnumTimeSlotFieldUpdateOperationsInput | $Enums.TimeSlot
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   capacity?: Prisma.IntFieldUpdateOperationsInput | number
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutSessionNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutSessionNestedInput
+  instances?: Prisma.SessionInstanceUpdateManyWithoutSessionNestedInput
 }
 
 export type SessionUncheckedUpdateWithoutBookingsInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
-  timeSlot?: Prisma.EnumTimeSlotFieldUpdateOperationsInput | $Enums.TimeSlot
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   capacity?: Prisma.IntFieldUpdateOperationsInput | number
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutSessionNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutSessionNestedInput
+  instances?: Prisma.SessionInstanceUncheckedUpdateManyWithoutSessionNestedInput
+}
+
+export type SessionCreateWithoutWaitlistInput = {
+  id?: string
+  day: $Enums.Day
+  timeSlot: string
+  category?: $Enums.LicenceClass
+  branch?: string
+  capacity?: number
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingCreateNestedManyWithoutSessionInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutSessionInput
+  instances?: Prisma.SessionInstanceCreateNestedManyWithoutSessionInput
+}
+
+export type SessionUncheckedCreateWithoutWaitlistInput = {
+  id?: string
+  day: $Enums.Day
+  timeSlot: string
+  category?: $Enums.LicenceClass
+  branch?: string
+  capacity?: number
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutSessionInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutSessionInput
+  instances?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutSessionInput
+}
+
+export type SessionCreateOrConnectWithoutWaitlistInput = {
+  where: Prisma.SessionWhereUniqueInput
+  create: Prisma.XOR<Prisma.SessionCreateWithoutWaitlistInput, Prisma.SessionUncheckedCreateWithoutWaitlistInput>
+}
+
+export type SessionUpsertWithoutWaitlistInput = {
+  update: Prisma.XOR<Prisma.SessionUpdateWithoutWaitlistInput, Prisma.SessionUncheckedUpdateWithoutWaitlistInput>
+  create: Prisma.XOR<Prisma.SessionCreateWithoutWaitlistInput, Prisma.SessionUncheckedCreateWithoutWaitlistInput>
+  where?: Prisma.SessionWhereInput
+}
+
+export type SessionUpdateToOneWithWhereWithoutWaitlistInput = {
+  where?: Prisma.SessionWhereInput
+  data: Prisma.XOR<Prisma.SessionUpdateWithoutWaitlistInput, Prisma.SessionUncheckedUpdateWithoutWaitlistInput>
+}
+
+export type SessionUpdateWithoutWaitlistInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  capacity?: Prisma.IntFieldUpdateOperationsInput | number
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingUpdateManyWithoutSessionNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutSessionNestedInput
+  instances?: Prisma.SessionInstanceUpdateManyWithoutSessionNestedInput
+}
+
+export type SessionUncheckedUpdateWithoutWaitlistInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  capacity?: Prisma.IntFieldUpdateOperationsInput | number
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingUncheckedUpdateManyWithoutSessionNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutSessionNestedInput
+  instances?: Prisma.SessionInstanceUncheckedUpdateManyWithoutSessionNestedInput
+}
+
+export type SessionCreateWithoutAssignmentsInput = {
+  id?: string
+  day: $Enums.Day
+  timeSlot: string
+  category?: $Enums.LicenceClass
+  branch?: string
+  capacity?: number
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingCreateNestedManyWithoutSessionInput
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutSessionInput
+  instances?: Prisma.SessionInstanceCreateNestedManyWithoutSessionInput
+}
+
+export type SessionUncheckedCreateWithoutAssignmentsInput = {
+  id?: string
+  day: $Enums.Day
+  timeSlot: string
+  category?: $Enums.LicenceClass
+  branch?: string
+  capacity?: number
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutSessionInput
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutSessionInput
+  instances?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutSessionInput
+}
+
+export type SessionCreateOrConnectWithoutAssignmentsInput = {
+  where: Prisma.SessionWhereUniqueInput
+  create: Prisma.XOR<Prisma.SessionCreateWithoutAssignmentsInput, Prisma.SessionUncheckedCreateWithoutAssignmentsInput>
+}
+
+export type SessionUpsertWithoutAssignmentsInput = {
+  update: Prisma.XOR<Prisma.SessionUpdateWithoutAssignmentsInput, Prisma.SessionUncheckedUpdateWithoutAssignmentsInput>
+  create: Prisma.XOR<Prisma.SessionCreateWithoutAssignmentsInput, Prisma.SessionUncheckedCreateWithoutAssignmentsInput>
+  where?: Prisma.SessionWhereInput
+}
+
+export type SessionUpdateToOneWithWhereWithoutAssignmentsInput = {
+  where?: Prisma.SessionWhereInput
+  data: Prisma.XOR<Prisma.SessionUpdateWithoutAssignmentsInput, Prisma.SessionUncheckedUpdateWithoutAssignmentsInput>
+}
+
+export type SessionUpdateWithoutAssignmentsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  capacity?: Prisma.IntFieldUpdateOperationsInput | number
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingUpdateManyWithoutSessionNestedInput
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutSessionNestedInput
+  instances?: Prisma.SessionInstanceUpdateManyWithoutSessionNestedInput
+}
+
+export type SessionUncheckedUpdateWithoutAssignmentsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  day?: Prisma.EnumDayFieldUpdateOperationsInput | $Enums.Day
+  timeSlot?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  capacity?: Prisma.IntFieldUpdateOperationsInput | number
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  metadata?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookings?: Prisma.BookingUncheckedUpdateManyWithoutSessionNestedInput
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutSessionNestedInput
+  instances?: Prisma.SessionInstanceUncheckedUpdateManyWithoutSessionNestedInput
 }
 
 
@@ -532,10 +858,16 @@ export type SessionUncheckedUpdateWithoutBookingsInput = {
 
 export type SessionCountOutputType = {
   bookings: number
+  waitlist: number
+  assignments: number
+  instances: number
 }
 
 export type SessionCountOutputTypeSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
   bookings?: boolean | SessionCountOutputTypeCountBookingsArgs
+  waitlist?: boolean | SessionCountOutputTypeCountWaitlistArgs
+  assignments?: boolean | SessionCountOutputTypeCountAssignmentsArgs
+  instances?: boolean | SessionCountOutputTypeCountInstancesArgs
 }
 
 /**
@@ -555,17 +887,42 @@ export type SessionCountOutputTypeCountBookingsArgs<ExtArgs extends runtime.Type
   where?: Prisma.BookingWhereInput
 }
 
+/**
+ * SessionCountOutputType without action
+ */
+export type SessionCountOutputTypeCountWaitlistArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.WaitlistEntryWhereInput
+}
+
+/**
+ * SessionCountOutputType without action
+ */
+export type SessionCountOutputTypeCountAssignmentsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SessionAssignmentWhereInput
+}
+
+/**
+ * SessionCountOutputType without action
+ */
+export type SessionCountOutputTypeCountInstancesArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SessionInstanceWhereInput
+}
+
 
 export type SessionSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
   id?: boolean
   day?: boolean
   timeSlot?: boolean
   category?: boolean
+  branch?: boolean
   capacity?: boolean
   createdAt?: boolean
   updatedAt?: boolean
   metadata?: boolean
   bookings?: boolean | Prisma.Session$bookingsArgs<ExtArgs>
+  waitlist?: boolean | Prisma.Session$waitlistArgs<ExtArgs>
+  assignments?: boolean | Prisma.Session$assignmentsArgs<ExtArgs>
+  instances?: boolean | Prisma.Session$instancesArgs<ExtArgs>
   _count?: boolean | Prisma.SessionCountOutputTypeDefaultArgs<ExtArgs>
 }, ExtArgs["result"]["session"]>
 
@@ -576,15 +933,19 @@ export type SessionSelectScalar = {
   day?: boolean
   timeSlot?: boolean
   category?: boolean
+  branch?: boolean
   capacity?: boolean
   createdAt?: boolean
   updatedAt?: boolean
   metadata?: boolean
 }
 
-export type SessionOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "day" | "timeSlot" | "category" | "capacity" | "createdAt" | "updatedAt" | "metadata", ExtArgs["result"]["session"]>
+export type SessionOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "day" | "timeSlot" | "category" | "branch" | "capacity" | "createdAt" | "updatedAt" | "metadata", ExtArgs["result"]["session"]>
 export type SessionInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
   bookings?: boolean | Prisma.Session$bookingsArgs<ExtArgs>
+  waitlist?: boolean | Prisma.Session$waitlistArgs<ExtArgs>
+  assignments?: boolean | Prisma.Session$assignmentsArgs<ExtArgs>
+  instances?: boolean | Prisma.Session$instancesArgs<ExtArgs>
   _count?: boolean | Prisma.SessionCountOutputTypeDefaultArgs<ExtArgs>
 }
 
@@ -592,12 +953,16 @@ export type $SessionPayload<ExtArgs extends runtime.Types.Extensions.InternalArg
   name: "Session"
   objects: {
     bookings: Prisma.$BookingPayload<ExtArgs>[]
+    waitlist: Prisma.$WaitlistEntryPayload<ExtArgs>[]
+    assignments: Prisma.$SessionAssignmentPayload<ExtArgs>[]
+    instances: Prisma.$SessionInstancePayload<ExtArgs>[]
   }
   scalars: runtime.Types.Extensions.GetPayloadResult<{
     id: string
     day: $Enums.Day
-    timeSlot: $Enums.TimeSlot
+    timeSlot: string
     category: $Enums.LicenceClass
+    branch: string
     capacity: number
     createdAt: Date
     updatedAt: Date
@@ -943,6 +1308,9 @@ readonly fields: SessionFieldRefs;
 export interface Prisma__SessionClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
   readonly [Symbol.toStringTag]: "PrismaPromise"
   bookings<T extends Prisma.Session$bookingsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Session$bookingsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$BookingPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  waitlist<T extends Prisma.Session$waitlistArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Session$waitlistArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  assignments<T extends Prisma.Session$assignmentsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Session$assignmentsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  instances<T extends Prisma.Session$instancesArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Session$instancesArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
   /**
    * Attaches callbacks for the resolution and/or rejection of the Promise.
    * @param onfulfilled The callback to execute when the Promise is resolved.
@@ -974,8 +1342,9 @@ export interface Prisma__SessionClient<T, Null = never, ExtArgs extends runtime.
 export interface SessionFieldRefs {
   readonly id: Prisma.FieldRef<"Session", 'String'>
   readonly day: Prisma.FieldRef<"Session", 'Day'>
-  readonly timeSlot: Prisma.FieldRef<"Session", 'TimeSlot'>
+  readonly timeSlot: Prisma.FieldRef<"Session", 'String'>
   readonly category: Prisma.FieldRef<"Session", 'LicenceClass'>
+  readonly branch: Prisma.FieldRef<"Session", 'String'>
   readonly capacity: Prisma.FieldRef<"Session", 'Int'>
   readonly createdAt: Prisma.FieldRef<"Session", 'DateTime'>
   readonly updatedAt: Prisma.FieldRef<"Session", 'DateTime'>
@@ -1346,6 +1715,78 @@ export type Session$bookingsArgs<ExtArgs extends runtime.Types.Extensions.Intern
   distinct?: Prisma.BookingScalarFieldEnum | Prisma.BookingScalarFieldEnum[]
 }
 
+/**
+ * Session.waitlist
+ */
+export type Session$waitlistArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  where?: Prisma.WaitlistEntryWhereInput
+  orderBy?: Prisma.WaitlistEntryOrderByWithRelationInput | Prisma.WaitlistEntryOrderByWithRelationInput[]
+  cursor?: Prisma.WaitlistEntryWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.WaitlistEntryScalarFieldEnum | Prisma.WaitlistEntryScalarFieldEnum[]
+}
+
+/**
+ * Session.assignments
+ */
+export type Session$assignmentsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  where?: Prisma.SessionAssignmentWhereInput
+  orderBy?: Prisma.SessionAssignmentOrderByWithRelationInput | Prisma.SessionAssignmentOrderByWithRelationInput[]
+  cursor?: Prisma.SessionAssignmentWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.SessionAssignmentScalarFieldEnum | Prisma.SessionAssignmentScalarFieldEnum[]
+}
+
+/**
+ * Session.instances
+ */
+export type Session$instancesArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  where?: Prisma.SessionInstanceWhereInput
+  orderBy?: Prisma.SessionInstanceOrderByWithRelationInput | Prisma.SessionInstanceOrderByWithRelationInput[]
+  cursor?: Prisma.SessionInstanceWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.SessionInstanceScalarFieldEnum | Prisma.SessionInstanceScalarFieldEnum[]
+}
+
 /**
  * Session without action
  */
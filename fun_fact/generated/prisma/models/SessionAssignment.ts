@@ -0,0 +1,1584 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `SessionAssignment` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model SessionAssignment
+ * 
+ */
+export type SessionAssignmentModel = runtime.Types.Result.DefaultSelection<Prisma.$SessionAssignmentPayload>
+
+export type AggregateSessionAssignment = {
+  _count: SessionAssignmentCountAggregateOutputType | null
+  _min: SessionAssignmentMinAggregateOutputType | null
+  _max: SessionAssignmentMaxAggregateOutputType | null
+}
+
+export type SessionAssignmentMinAggregateOutputType = {
+  id: string | null
+  sessionId: string | null
+  weekOf: Date | null
+  instructorId: string | null
+  vehicleId: string | null
+  createdAt: Date | null
+  updatedAt: Date | null
+}
+
+export type SessionAssignmentMaxAggregateOutputType = {
+  id: string | null
+  sessionId: string | null
+  weekOf: Date | null
+  instructorId: string | null
+  vehicleId: string | null
+  createdAt: Date | null
+  updatedAt: Date | null
+}
+
+export type SessionAssignmentCountAggregateOutputType = {
+  id: number
+  sessionId: number
+  weekOf: number
+  instructorId: number
+  vehicleId: number
+  createdAt: number
+  updatedAt: number
+  _all: number
+}
+
+
+export type SessionAssignmentMinAggregateInputType = {
+  id?: true
+  sessionId?: true
+  weekOf?: true
+  instructorId?: true
+  vehicleId?: true
+  createdAt?: true
+  updatedAt?: true
+}
+
+export type SessionAssignmentMaxAggregateInputType = {
+  id?: true
+  sessionId?: true
+  weekOf?: true
+  instructorId?: true
+  vehicleId?: true
+  createdAt?: true
+  updatedAt?: true
+}
+
+export type SessionAssignmentCountAggregateInputType = {
+  id?: true
+  sessionId?: true
+  weekOf?: true
+  instructorId?: true
+  vehicleId?: true
+  createdAt?: true
+  updatedAt?: true
+  _all?: true
+}
+
+export type SessionAssignmentAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which SessionAssignment to aggregate.
+   */
+  where?: Prisma.SessionAssignmentWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionAssignments to fetch.
+   */
+  orderBy?: Prisma.SessionAssignmentOrderByWithRelationInput | Prisma.SessionAssignmentOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.SessionAssignmentWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionAssignments from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionAssignments.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned SessionAssignments
+  **/
+  _count?: true | SessionAssignmentCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: SessionAssignmentMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: SessionAssignmentMaxAggregateInputType
+}
+
+export type GetSessionAssignmentAggregateType<T extends SessionAssignmentAggregateArgs> = {
+      [P in keyof T & keyof AggregateSessionAssignment]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateSessionAssignment[P]>
+    : Prisma.GetScalarType<T[P], AggregateSessionAssignment[P]>
+}
+
+
+
+
+export type SessionAssignmentGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SessionAssignmentWhereInput
+  orderBy?: Prisma.SessionAssignmentOrderByWithAggregationInput | Prisma.SessionAssignmentOrderByWithAggregationInput[]
+  by: Prisma.SessionAssignmentScalarFieldEnum[] | Prisma.SessionAssignmentScalarFieldEnum
+  having?: Prisma.SessionAssignmentScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: SessionAssignmentCountAggregateInputType | true
+  _min?: SessionAssignmentMinAggregateInputType
+  _max?: SessionAssignmentMaxAggregateInputType
+}
+
+export type SessionAssignmentGroupByOutputType = {
+  id: string
+  sessionId: string
+  weekOf: Date | null
+  instructorId: string | null
+  vehicleId: string | null
+  createdAt: Date
+  updatedAt: Date
+  _count: SessionAssignmentCountAggregateOutputType | null
+  _min: SessionAssignmentMinAggregateOutputType | null
+  _max: SessionAssignmentMaxAggregateOutputType | null
+}
+
+type GetSessionAssignmentGroupByPayload<T extends SessionAssignmentGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<SessionAssignmentGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof SessionAssignmentGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], SessionAssignmentGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], SessionAssignmentGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type SessionAssignmentWhereInput = {
+  AND?: Prisma.SessionAssignmentWhereInput | Prisma.SessionAssignmentWhereInput[]
+  OR?: Prisma.SessionAssignmentWhereInput[]
+  NOT?: Prisma.SessionAssignmentWhereInput | Prisma.SessionAssignmentWhereInput[]
+  id?: Prisma.StringFilter<"SessionAssignment"> | string
+  sessionId?: Prisma.StringFilter<"SessionAssignment"> | string
+  weekOf?: Prisma.DateTimeNullableFilter<"SessionAssignment"> | Date | string | null
+  instructorId?: Prisma.StringNullableFilter<"SessionAssignment"> | string | null
+  vehicleId?: Prisma.StringNullableFilter<"SessionAssignment"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"SessionAssignment"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"SessionAssignment"> | Date | string
+  session?: Prisma.XOR<Prisma.SessionScalarRelationFilter, Prisma.SessionWhereInput>
+  instructor?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+  vehicle?: Prisma.XOR<Prisma.VehicleNullableScalarRelationFilter, Prisma.VehicleWhereInput> | null
+}
+
+export type SessionAssignmentOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrderInput | Prisma.SortOrder
+  instructorId?: Prisma.SortOrderInput | Prisma.SortOrder
+  vehicleId?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+  session?: Prisma.SessionOrderByWithRelationInput
+  instructor?: Prisma.UserOrderByWithRelationInput
+  vehicle?: Prisma.VehicleOrderByWithRelationInput
+  _relevance?: Prisma.SessionAssignmentOrderByRelevanceInput
+}
+
+export type SessionAssignmentWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  sessionId_weekOf?: Prisma.SessionAssignmentSessionIdWeekOfCompoundUniqueInput
+  AND?: Prisma.SessionAssignmentWhereInput | Prisma.SessionAssignmentWhereInput[]
+  OR?: Prisma.SessionAssignmentWhereInput[]
+  NOT?: Prisma.SessionAssignmentWhereInput | Prisma.SessionAssignmentWhereInput[]
+  sessionId?: Prisma.StringFilter<"SessionAssignment"> | string
+  weekOf?: Prisma.DateTimeNullableFilter<"SessionAssignment"> | Date | string | null
+  instructorId?: Prisma.StringNullableFilter<"SessionAssignment"> | string | null
+  vehicleId?: Prisma.StringNullableFilter<"SessionAssignment"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"SessionAssignment"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"SessionAssignment"> | Date | string
+  session?: Prisma.XOR<Prisma.SessionScalarRelationFilter, Prisma.SessionWhereInput>
+  instructor?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+  vehicle?: Prisma.XOR<Prisma.VehicleNullableScalarRelationFilter, Prisma.VehicleWhereInput> | null
+}, "id" | "sessionId_weekOf">
+
+export type SessionAssignmentOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrderInput | Prisma.SortOrder
+  instructorId?: Prisma.SortOrderInput | Prisma.SortOrder
+  vehicleId?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+  _count?: Prisma.SessionAssignmentCountOrderByAggregateInput
+  _max?: Prisma.SessionAssignmentMaxOrderByAggregateInput
+  _min?: Prisma.SessionAssignmentMinOrderByAggregateInput
+}
+
+export type SessionAssignmentScalarWhereWithAggregatesInput = {
+  AND?: Prisma.SessionAssignmentScalarWhereWithAggregatesInput | Prisma.SessionAssignmentScalarWhereWithAggregatesInput[]
+  OR?: Prisma.SessionAssignmentScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.SessionAssignmentScalarWhereWithAggregatesInput | Prisma.SessionAssignmentScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"SessionAssignment"> | string
+  sessionId?: Prisma.StringWithAggregatesFilter<"SessionAssignment"> | string
+  weekOf?: Prisma.DateTimeNullableWithAggregatesFilter<"SessionAssignment"> | Date | string | null
+  instructorId?: Prisma.StringNullableWithAggregatesFilter<"SessionAssignment"> | string | null
+  vehicleId?: Prisma.StringNullableWithAggregatesFilter<"SessionAssignment"> | string | null
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"SessionAssignment"> | Date | string
+  updatedAt?: Prisma.DateTimeWithAggregatesFilter<"SessionAssignment"> | Date | string
+}
+
+export type SessionAssignmentCreateInput = {
+  id?: string
+  weekOf?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  session: Prisma.SessionCreateNestedOneWithoutAssignmentsInput
+  instructor?: Prisma.UserCreateNestedOneWithoutAssignmentsInput
+  vehicle?: Prisma.VehicleCreateNestedOneWithoutAssignmentsInput
+}
+
+export type SessionAssignmentUncheckedCreateInput = {
+  id?: string
+  sessionId: string
+  weekOf?: Date | string | null
+  instructorId?: string | null
+  vehicleId?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionAssignmentUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  session?: Prisma.SessionUpdateOneRequiredWithoutAssignmentsNestedInput
+  instructor?: Prisma.UserUpdateOneWithoutAssignmentsNestedInput
+  vehicle?: Prisma.VehicleUpdateOneWithoutAssignmentsNestedInput
+}
+
+export type SessionAssignmentUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  instructorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  vehicleId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionAssignmentCreateManyInput = {
+  id?: string
+  sessionId: string
+  weekOf?: Date | string | null
+  instructorId?: string | null
+  vehicleId?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionAssignmentUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionAssignmentUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  instructorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  vehicleId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionAssignmentListRelationFilter = {
+  every?: Prisma.SessionAssignmentWhereInput
+  some?: Prisma.SessionAssignmentWhereInput
+  none?: Prisma.SessionAssignmentWhereInput
+}
+
+export type SessionAssignmentOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type SessionAssignmentOrderByRelevanceInput = {
+  fields: Prisma.SessionAssignmentOrderByRelevanceFieldEnum | Prisma.SessionAssignmentOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type SessionAssignmentSessionIdWeekOfCompoundUniqueInput = {
+  sessionId: string
+  weekOf: Date | string
+}
+
+export type SessionAssignmentCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  instructorId?: Prisma.SortOrder
+  vehicleId?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type SessionAssignmentMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  instructorId?: Prisma.SortOrder
+  vehicleId?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type SessionAssignmentMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  instructorId?: Prisma.SortOrder
+  vehicleId?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type SessionAssignmentCreateNestedManyWithoutSessionInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutSessionInput, Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput> | Prisma.SessionAssignmentCreateWithoutSessionInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutSessionInput | Prisma.SessionAssignmentCreateOrConnectWithoutSessionInput[]
+  createMany?: Prisma.SessionAssignmentCreateManySessionInputEnvelope
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+}
+
+export type SessionAssignmentUncheckedCreateNestedManyWithoutSessionInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutSessionInput, Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput> | Prisma.SessionAssignmentCreateWithoutSessionInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutSessionInput | Prisma.SessionAssignmentCreateOrConnectWithoutSessionInput[]
+  createMany?: Prisma.SessionAssignmentCreateManySessionInputEnvelope
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+}
+
+export type SessionAssignmentUpdateManyWithoutSessionNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutSessionInput, Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput> | Prisma.SessionAssignmentCreateWithoutSessionInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutSessionInput | Prisma.SessionAssignmentCreateOrConnectWithoutSessionInput[]
+  upsert?: Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutSessionInput | Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutSessionInput[]
+  createMany?: Prisma.SessionAssignmentCreateManySessionInputEnvelope
+  set?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  disconnect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  delete?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  update?: Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutSessionInput | Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutSessionInput[]
+  updateMany?: Prisma.SessionAssignmentUpdateManyWithWhereWithoutSessionInput | Prisma.SessionAssignmentUpdateManyWithWhereWithoutSessionInput[]
+  deleteMany?: Prisma.SessionAssignmentScalarWhereInput | Prisma.SessionAssignmentScalarWhereInput[]
+}
+
+export type SessionAssignmentUncheckedUpdateManyWithoutSessionNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutSessionInput, Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput> | Prisma.SessionAssignmentCreateWithoutSessionInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutSessionInput | Prisma.SessionAssignmentCreateOrConnectWithoutSessionInput[]
+  upsert?: Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutSessionInput | Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutSessionInput[]
+  createMany?: Prisma.SessionAssignmentCreateManySessionInputEnvelope
+  set?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  disconnect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  delete?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  update?: Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutSessionInput | Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutSessionInput[]
+  updateMany?: Prisma.SessionAssignmentUpdateManyWithWhereWithoutSessionInput | Prisma.SessionAssignmentUpdateManyWithWhereWithoutSessionInput[]
+  deleteMany?: Prisma.SessionAssignmentScalarWhereInput | Prisma.SessionAssignmentScalarWhereInput[]
+}
+
+export type SessionAssignmentCreateNestedManyWithoutVehicleInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutVehicleInput, Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput> | Prisma.SessionAssignmentCreateWithoutVehicleInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutVehicleInput | Prisma.SessionAssignmentCreateOrConnectWithoutVehicleInput[]
+  createMany?: Prisma.SessionAssignmentCreateManyVehicleInputEnvelope
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+}
+
+export type SessionAssignmentUncheckedCreateNestedManyWithoutVehicleInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutVehicleInput, Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput> | Prisma.SessionAssignmentCreateWithoutVehicleInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutVehicleInput | Prisma.SessionAssignmentCreateOrConnectWithoutVehicleInput[]
+  createMany?: Prisma.SessionAssignmentCreateManyVehicleInputEnvelope
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+}
+
+export type SessionAssignmentUpdateManyWithoutVehicleNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutVehicleInput, Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput> | Prisma.SessionAssignmentCreateWithoutVehicleInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutVehicleInput | Prisma.SessionAssignmentCreateOrConnectWithoutVehicleInput[]
+  upsert?: Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutVehicleInput | Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutVehicleInput[]
+  createMany?: Prisma.SessionAssignmentCreateManyVehicleInputEnvelope
+  set?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  disconnect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  delete?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  update?: Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutVehicleInput | Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutVehicleInput[]
+  updateMany?: Prisma.SessionAssignmentUpdateManyWithWhereWithoutVehicleInput | Prisma.SessionAssignmentUpdateManyWithWhereWithoutVehicleInput[]
+  deleteMany?: Prisma.SessionAssignmentScalarWhereInput | Prisma.SessionAssignmentScalarWhereInput[]
+}
+
+export type SessionAssignmentUncheckedUpdateManyWithoutVehicleNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutVehicleInput, Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput> | Prisma.SessionAssignmentCreateWithoutVehicleInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutVehicleInput | Prisma.SessionAssignmentCreateOrConnectWithoutVehicleInput[]
+  upsert?: Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutVehicleInput | Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutVehicleInput[]
+  createMany?: Prisma.SessionAssignmentCreateManyVehicleInputEnvelope
+  set?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  disconnect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  delete?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  update?: Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutVehicleInput | Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutVehicleInput[]
+  updateMany?: Prisma.SessionAssignmentUpdateManyWithWhereWithoutVehicleInput | Prisma.SessionAssignmentUpdateManyWithWhereWithoutVehicleInput[]
+  deleteMany?: Prisma.SessionAssignmentScalarWhereInput | Prisma.SessionAssignmentScalarWhereInput[]
+}
+
+export type SessionAssignmentCreateNestedManyWithoutInstructorInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutInstructorInput, Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput> | Prisma.SessionAssignmentCreateWithoutInstructorInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutInstructorInput | Prisma.SessionAssignmentCreateOrConnectWithoutInstructorInput[]
+  createMany?: Prisma.SessionAssignmentCreateManyInstructorInputEnvelope
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+}
+
+export type SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutInstructorInput, Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput> | Prisma.SessionAssignmentCreateWithoutInstructorInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutInstructorInput | Prisma.SessionAssignmentCreateOrConnectWithoutInstructorInput[]
+  createMany?: Prisma.SessionAssignmentCreateManyInstructorInputEnvelope
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+}
+
+export type SessionAssignmentUpdateManyWithoutInstructorNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutInstructorInput, Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput> | Prisma.SessionAssignmentCreateWithoutInstructorInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutInstructorInput | Prisma.SessionAssignmentCreateOrConnectWithoutInstructorInput[]
+  upsert?: Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutInstructorInput | Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutInstructorInput[]
+  createMany?: Prisma.SessionAssignmentCreateManyInstructorInputEnvelope
+  set?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  disconnect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  delete?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  update?: Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutInstructorInput | Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutInstructorInput[]
+  updateMany?: Prisma.SessionAssignmentUpdateManyWithWhereWithoutInstructorInput | Prisma.SessionAssignmentUpdateManyWithWhereWithoutInstructorInput[]
+  deleteMany?: Prisma.SessionAssignmentScalarWhereInput | Prisma.SessionAssignmentScalarWhereInput[]
+}
+
+export type SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutInstructorInput, Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput> | Prisma.SessionAssignmentCreateWithoutInstructorInput[] | Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput[]
+  connectOrCreate?: Prisma.SessionAssignmentCreateOrConnectWithoutInstructorInput | Prisma.SessionAssignmentCreateOrConnectWithoutInstructorInput[]
+  upsert?: Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutInstructorInput | Prisma.SessionAssignmentUpsertWithWhereUniqueWithoutInstructorInput[]
+  createMany?: Prisma.SessionAssignmentCreateManyInstructorInputEnvelope
+  set?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  disconnect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  delete?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  connect?: Prisma.SessionAssignmentWhereUniqueInput | Prisma.SessionAssignmentWhereUniqueInput[]
+  update?: Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutInstructorInput | Prisma.SessionAssignmentUpdateWithWhereUniqueWithoutInstructorInput[]
+  updateMany?: Prisma.SessionAssignmentUpdateManyWithWhereWithoutInstructorInput | Prisma.SessionAssignmentUpdateManyWithWhereWithoutInstructorInput[]
+  deleteMany?: Prisma.SessionAssignmentScalarWhereInput | Prisma.SessionAssignmentScalarWhereInput[]
+}
+
+export type SessionAssignmentCreateWithoutSessionInput = {
+  id?: string
+  weekOf?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  instructor?: Prisma.UserCreateNestedOneWithoutAssignmentsInput
+  vehicle?: Prisma.VehicleCreateNestedOneWithoutAssignmentsInput
+}
+
+export type SessionAssignmentUncheckedCreateWithoutSessionInput = {
+  id?: string
+  weekOf?: Date | string | null
+  instructorId?: string | null
+  vehicleId?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionAssignmentCreateOrConnectWithoutSessionInput = {
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  create: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutSessionInput, Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput>
+}
+
+export type SessionAssignmentCreateManySessionInputEnvelope = {
+  data: Prisma.SessionAssignmentCreateManySessionInput | Prisma.SessionAssignmentCreateManySessionInput[]
+  skipDuplicates?: boolean
+}
+
+export type SessionAssignmentUpsertWithWhereUniqueWithoutSessionInput = {
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  update: Prisma.XOR<Prisma.SessionAssignmentUpdateWithoutSessionInput, Prisma.SessionAssignmentUncheckedUpdateWithoutSessionInput>
+  create: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutSessionInput, Prisma.SessionAssignmentUncheckedCreateWithoutSessionInput>
+}
+
+export type SessionAssignmentUpdateWithWhereUniqueWithoutSessionInput = {
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  data: Prisma.XOR<Prisma.SessionAssignmentUpdateWithoutSessionInput, Prisma.SessionAssignmentUncheckedUpdateWithoutSessionInput>
+}
+
+export type SessionAssignmentUpdateManyWithWhereWithoutSessionInput = {
+  where: Prisma.SessionAssignmentScalarWhereInput
+  data: Prisma.XOR<Prisma.SessionAssignmentUpdateManyMutationInput, Prisma.SessionAssignmentUncheckedUpdateManyWithoutSessionInput>
+}
+
+export type SessionAssignmentScalarWhereInput = {
+  AND?: Prisma.SessionAssignmentScalarWhereInput | Prisma.SessionAssignmentScalarWhereInput[]
+  OR?: Prisma.SessionAssignmentScalarWhereInput[]
+  NOT?: Prisma.SessionAssignmentScalarWhereInput | Prisma.SessionAssignmentScalarWhereInput[]
+  id?: Prisma.StringFilter<"SessionAssignment"> | string
+  sessionId?: Prisma.StringFilter<"SessionAssignment"> | string
+  weekOf?: Prisma.DateTimeNullableFilter<"SessionAssignment"> | Date | string | null
+  instructorId?: Prisma.StringNullableFilter<"SessionAssignment"> | string | null
+  vehicleId?: Prisma.StringNullableFilter<"SessionAssignment"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"SessionAssignment"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"SessionAssignment"> | Date | string
+}
+
+export type SessionAssignmentCreateWithoutVehicleInput = {
+  id?: string
+  weekOf?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  session: Prisma.SessionCreateNestedOneWithoutAssignmentsInput
+  instructor?: Prisma.UserCreateNestedOneWithoutAssignmentsInput
+}
+
+export type SessionAssignmentUncheckedCreateWithoutVehicleInput = {
+  id?: string
+  sessionId: string
+  weekOf?: Date | string | null
+  instructorId?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionAssignmentCreateOrConnectWithoutVehicleInput = {
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  create: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutVehicleInput, Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput>
+}
+
+export type SessionAssignmentCreateManyVehicleInputEnvelope = {
+  data: Prisma.SessionAssignmentCreateManyVehicleInput | Prisma.SessionAssignmentCreateManyVehicleInput[]
+  skipDuplicates?: boolean
+}
+
+export type SessionAssignmentUpsertWithWhereUniqueWithoutVehicleInput = {
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  update: Prisma.XOR<Prisma.SessionAssignmentUpdateWithoutVehicleInput, Prisma.SessionAssignmentUncheckedUpdateWithoutVehicleInput>
+  create: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutVehicleInput, Prisma.SessionAssignmentUncheckedCreateWithoutVehicleInput>
+}
+
+export type SessionAssignmentUpdateWithWhereUniqueWithoutVehicleInput = {
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  data: Prisma.XOR<Prisma.SessionAssignmentUpdateWithoutVehicleInput, Prisma.SessionAssignmentUncheckedUpdateWithoutVehicleInput>
+}
+
+export type SessionAssignmentUpdateManyWithWhereWithoutVehicleInput = {
+  where: Prisma.SessionAssignmentScalarWhereInput
+  data: Prisma.XOR<Prisma.SessionAssignmentUpdateManyMutationInput, Prisma.SessionAssignmentUncheckedUpdateManyWithoutVehicleInput>
+}
+
+export type SessionAssignmentCreateWithoutInstructorInput = {
+  id?: string
+  weekOf?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  session: Prisma.SessionCreateNestedOneWithoutAssignmentsInput
+  vehicle?: Prisma.VehicleCreateNestedOneWithoutAssignmentsInput
+}
+
+export type SessionAssignmentUncheckedCreateWithoutInstructorInput = {
+  id?: string
+  sessionId: string
+  weekOf?: Date | string | null
+  vehicleId?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionAssignmentCreateOrConnectWithoutInstructorInput = {
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  create: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutInstructorInput, Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput>
+}
+
+export type SessionAssignmentCreateManyInstructorInputEnvelope = {
+  data: Prisma.SessionAssignmentCreateManyInstructorInput | Prisma.SessionAssignmentCreateManyInstructorInput[]
+  skipDuplicates?: boolean
+}
+
+export type SessionAssignmentUpsertWithWhereUniqueWithoutInstructorInput = {
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  update: Prisma.XOR<Prisma.SessionAssignmentUpdateWithoutInstructorInput, Prisma.SessionAssignmentUncheckedUpdateWithoutInstructorInput>
+  create: Prisma.XOR<Prisma.SessionAssignmentCreateWithoutInstructorInput, Prisma.SessionAssignmentUncheckedCreateWithoutInstructorInput>
+}
+
+export type SessionAssignmentUpdateWithWhereUniqueWithoutInstructorInput = {
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  data: Prisma.XOR<Prisma.SessionAssignmentUpdateWithoutInstructorInput, Prisma.SessionAssignmentUncheckedUpdateWithoutInstructorInput>
+}
+
+export type SessionAssignmentUpdateManyWithWhereWithoutInstructorInput = {
+  where: Prisma.SessionAssignmentScalarWhereInput
+  data: Prisma.XOR<Prisma.SessionAssignmentUpdateManyMutationInput, Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorInput>
+}
+
+export type SessionAssignmentCreateManySessionInput = {
+  id?: string
+  weekOf?: Date | string | null
+  instructorId?: string | null
+  vehicleId?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionAssignmentUpdateWithoutSessionInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  instructor?: Prisma.UserUpdateOneWithoutAssignmentsNestedInput
+  vehicle?: Prisma.VehicleUpdateOneWithoutAssignmentsNestedInput
+}
+
+export type SessionAssignmentUncheckedUpdateWithoutSessionInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  instructorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  vehicleId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionAssignmentUncheckedUpdateManyWithoutSessionInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  instructorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  vehicleId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionAssignmentCreateManyVehicleInput = {
+  id?: string
+  sessionId: string
+  weekOf?: Date | string | null
+  instructorId?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionAssignmentUpdateWithoutVehicleInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  session?: Prisma.SessionUpdateOneRequiredWithoutAssignmentsNestedInput
+  instructor?: Prisma.UserUpdateOneWithoutAssignmentsNestedInput
+}
+
+export type SessionAssignmentUncheckedUpdateWithoutVehicleInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  instructorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionAssignmentUncheckedUpdateManyWithoutVehicleInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  instructorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionAssignmentCreateManyInstructorInput = {
+  id?: string
+  sessionId: string
+  weekOf?: Date | string | null
+  vehicleId?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionAssignmentUpdateWithoutInstructorInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  session?: Prisma.SessionUpdateOneRequiredWithoutAssignmentsNestedInput
+  vehicle?: Prisma.VehicleUpdateOneWithoutAssignmentsNestedInput
+}
+
+export type SessionAssignmentUncheckedUpdateWithoutInstructorInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  vehicleId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionAssignmentUncheckedUpdateManyWithoutInstructorInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  vehicleId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+
+
+export type SessionAssignmentSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  sessionId?: boolean
+  weekOf?: boolean
+  instructorId?: boolean
+  vehicleId?: boolean
+  createdAt?: boolean
+  updatedAt?: boolean
+  session?: boolean | Prisma.SessionDefaultArgs<ExtArgs>
+  instructor?: boolean | Prisma.SessionAssignment$instructorArgs<ExtArgs>
+  vehicle?: boolean | Prisma.SessionAssignment$vehicleArgs<ExtArgs>
+}, ExtArgs["result"]["sessionAssignment"]>
+
+
+
+export type SessionAssignmentSelectScalar = {
+  id?: boolean
+  sessionId?: boolean
+  weekOf?: boolean
+  instructorId?: boolean
+  vehicleId?: boolean
+  createdAt?: boolean
+  updatedAt?: boolean
+}
+
+export type SessionAssignmentOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "sessionId" | "weekOf" | "instructorId" | "vehicleId" | "createdAt" | "updatedAt", ExtArgs["result"]["sessionAssignment"]>
+export type SessionAssignmentInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  session?: boolean | Prisma.SessionDefaultArgs<ExtArgs>
+  instructor?: boolean | Prisma.SessionAssignment$instructorArgs<ExtArgs>
+  vehicle?: boolean | Prisma.SessionAssignment$vehicleArgs<ExtArgs>
+}
+
+export type $SessionAssignmentPayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "SessionAssignment"
+  objects: {
+    session: Prisma.$SessionPayload<ExtArgs>
+    instructor: Prisma.$UserPayload<ExtArgs> | null
+    vehicle: Prisma.$VehiclePayload<ExtArgs> | null
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    sessionId: string
+    weekOf: Date | null
+    instructorId: string | null
+    vehicleId: string | null
+    createdAt: Date
+    updatedAt: Date
+  }, ExtArgs["result"]["sessionAssignment"]>
+  composites: {}
+}
+
+export type SessionAssignmentGetPayload<S extends boolean | null | undefined | SessionAssignmentDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload, S>
+
+export type SessionAssignmentCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<SessionAssignmentFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: SessionAssignmentCountAggregateInputType | true
+  }
+
+export interface SessionAssignmentDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['SessionAssignment'], meta: { name: 'SessionAssignment' } }
+  /**
+   * Find zero or one SessionAssignment that matches the filter.
+   * @param {SessionAssignmentFindUniqueArgs} args - Arguments to find a SessionAssignment
+   * @example
+   * // Get one SessionAssignment
+   * const sessionAssignment = await prisma.sessionAssignment.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends SessionAssignmentFindUniqueArgs>(args: Prisma.SelectSubset<T, SessionAssignmentFindUniqueArgs<ExtArgs>>): Prisma.Prisma__SessionAssignmentClient<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one SessionAssignment that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {SessionAssignmentFindUniqueOrThrowArgs} args - Arguments to find a SessionAssignment
+   * @example
+   * // Get one SessionAssignment
+   * const sessionAssignment = await prisma.sessionAssignment.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends SessionAssignmentFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, SessionAssignmentFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__SessionAssignmentClient<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first SessionAssignment that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionAssignmentFindFirstArgs} args - Arguments to find a SessionAssignment
+   * @example
+   * // Get one SessionAssignment
+   * const sessionAssignment = await prisma.sessionAssignment.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends SessionAssignmentFindFirstArgs>(args?: Prisma.SelectSubset<T, SessionAssignmentFindFirstArgs<ExtArgs>>): Prisma.Prisma__SessionAssignmentClient<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first SessionAssignment that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionAssignmentFindFirstOrThrowArgs} args - Arguments to find a SessionAssignment
+   * @example
+   * // Get one SessionAssignment
+   * const sessionAssignment = await prisma.sessionAssignment.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends SessionAssignmentFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, SessionAssignmentFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__SessionAssignmentClient<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more SessionAssignments that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionAssignmentFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all SessionAssignments
+   * const sessionAssignments = await prisma.sessionAssignment.findMany()
+   * 
+   * // Get first 10 SessionAssignments
+   * const sessionAssignments = await prisma.sessionAssignment.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const sessionAssignmentWithIdOnly = await prisma.sessionAssignment.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends SessionAssignmentFindManyArgs>(args?: Prisma.SelectSubset<T, SessionAssignmentFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a SessionAssignment.
+   * @param {SessionAssignmentCreateArgs} args - Arguments to create a SessionAssignment.
+   * @example
+   * // Create one SessionAssignment
+   * const SessionAssignment = await prisma.sessionAssignment.create({
+   *   data: {
+   *     // ... data to create a SessionAssignment
+   *   }
+   * })
+   * 
+   */
+  create<T extends SessionAssignmentCreateArgs>(args: Prisma.SelectSubset<T, SessionAssignmentCreateArgs<ExtArgs>>): Prisma.Prisma__SessionAssignmentClient<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many SessionAssignments.
+   * @param {SessionAssignmentCreateManyArgs} args - Arguments to create many SessionAssignments.
+   * @example
+   * // Create many SessionAssignments
+   * const sessionAssignment = await prisma.sessionAssignment.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends SessionAssignmentCreateManyArgs>(args?: Prisma.SelectSubset<T, SessionAssignmentCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a SessionAssignment.
+   * @param {SessionAssignmentDeleteArgs} args - Arguments to delete one SessionAssignment.
+   * @example
+   * // Delete one SessionAssignment
+   * const SessionAssignment = await prisma.sessionAssignment.delete({
+   *   where: {
+   *     // ... filter to delete one SessionAssignment
+   *   }
+   * })
+   * 
+   */
+  delete<T extends SessionAssignmentDeleteArgs>(args: Prisma.SelectSubset<T, SessionAssignmentDeleteArgs<ExtArgs>>): Prisma.Prisma__SessionAssignmentClient<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one SessionAssignment.
+   * @param {SessionAssignmentUpdateArgs} args - Arguments to update one SessionAssignment.
+   * @example
+   * // Update one SessionAssignment
+   * const sessionAssignment = await prisma.sessionAssignment.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends SessionAssignmentUpdateArgs>(args: Prisma.SelectSubset<T, SessionAssignmentUpdateArgs<ExtArgs>>): Prisma.Prisma__SessionAssignmentClient<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more SessionAssignments.
+   * @param {SessionAssignmentDeleteManyArgs} args - Arguments to filter SessionAssignments to delete.
+   * @example
+   * // Delete a few SessionAssignments
+   * const { count } = await prisma.sessionAssignment.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends SessionAssignmentDeleteManyArgs>(args?: Prisma.SelectSubset<T, SessionAssignmentDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more SessionAssignments.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionAssignmentUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many SessionAssignments
+   * const sessionAssignment = await prisma.sessionAssignment.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends SessionAssignmentUpdateManyArgs>(args: Prisma.SelectSubset<T, SessionAssignmentUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one SessionAssignment.
+   * @param {SessionAssignmentUpsertArgs} args - Arguments to update or create a SessionAssignment.
+   * @example
+   * // Update or create a SessionAssignment
+   * const sessionAssignment = await prisma.sessionAssignment.upsert({
+   *   create: {
+   *     // ... data to create a SessionAssignment
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the SessionAssignment we want to update
+   *   }
+   * })
+   */
+  upsert<T extends SessionAssignmentUpsertArgs>(args: Prisma.SelectSubset<T, SessionAssignmentUpsertArgs<ExtArgs>>): Prisma.Prisma__SessionAssignmentClient<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of SessionAssignments.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionAssignmentCountArgs} args - Arguments to filter SessionAssignments to count.
+   * @example
+   * // Count the number of SessionAssignments
+   * const count = await prisma.sessionAssignment.count({
+   *   where: {
+   *     // ... the filter for the SessionAssignments we want to count
+   *   }
+   * })
+  **/
+  count<T extends SessionAssignmentCountArgs>(
+    args?: Prisma.Subset<T, SessionAssignmentCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], SessionAssignmentCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a SessionAssignment.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionAssignmentAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends SessionAssignmentAggregateArgs>(args: Prisma.Subset<T, SessionAssignmentAggregateArgs>): Prisma.PrismaPromise<GetSessionAssignmentAggregateType<T>>
+
+  /**
+   * Group by SessionAssignment.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionAssignmentGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends SessionAssignmentGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: SessionAssignmentGroupByArgs['orderBy'] }
+      : { orderBy?: SessionAssignmentGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, SessionAssignmentGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetSessionAssignmentGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the SessionAssignment model
+ */
+readonly fields: SessionAssignmentFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for SessionAssignment.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__SessionAssignmentClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  session<T extends Prisma.SessionDefaultArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.SessionDefaultArgs<ExtArgs>>): Prisma.Prisma__SessionClient<runtime.Types.Result.GetResult<Prisma.$SessionPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | Null, Null, ExtArgs, GlobalOmitOptions>
+  instructor<T extends Prisma.SessionAssignment$instructorArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.SessionAssignment$instructorArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  vehicle<T extends Prisma.SessionAssignment$vehicleArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.SessionAssignment$vehicleArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the SessionAssignment model
+ */
+export interface SessionAssignmentFieldRefs {
+  readonly id: Prisma.FieldRef<"SessionAssignment", 'String'>
+  readonly sessionId: Prisma.FieldRef<"SessionAssignment", 'String'>
+  readonly weekOf: Prisma.FieldRef<"SessionAssignment", 'DateTime'>
+  readonly instructorId: Prisma.FieldRef<"SessionAssignment", 'String'>
+  readonly vehicleId: Prisma.FieldRef<"SessionAssignment", 'String'>
+  readonly createdAt: Prisma.FieldRef<"SessionAssignment", 'DateTime'>
+  readonly updatedAt: Prisma.FieldRef<"SessionAssignment", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * SessionAssignment findUnique
+ */
+export type SessionAssignmentFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionAssignment to fetch.
+   */
+  where: Prisma.SessionAssignmentWhereUniqueInput
+}
+
+/**
+ * SessionAssignment findUniqueOrThrow
+ */
+export type SessionAssignmentFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionAssignment to fetch.
+   */
+  where: Prisma.SessionAssignmentWhereUniqueInput
+}
+
+/**
+ * SessionAssignment findFirst
+ */
+export type SessionAssignmentFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionAssignment to fetch.
+   */
+  where?: Prisma.SessionAssignmentWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionAssignments to fetch.
+   */
+  orderBy?: Prisma.SessionAssignmentOrderByWithRelationInput | Prisma.SessionAssignmentOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for SessionAssignments.
+   */
+  cursor?: Prisma.SessionAssignmentWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionAssignments from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionAssignments.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of SessionAssignments.
+   */
+  distinct?: Prisma.SessionAssignmentScalarFieldEnum | Prisma.SessionAssignmentScalarFieldEnum[]
+}
+
+/**
+ * SessionAssignment findFirstOrThrow
+ */
+export type SessionAssignmentFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionAssignment to fetch.
+   */
+  where?: Prisma.SessionAssignmentWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionAssignments to fetch.
+   */
+  orderBy?: Prisma.SessionAssignmentOrderByWithRelationInput | Prisma.SessionAssignmentOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for SessionAssignments.
+   */
+  cursor?: Prisma.SessionAssignmentWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionAssignments from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionAssignments.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of SessionAssignments.
+   */
+  distinct?: Prisma.SessionAssignmentScalarFieldEnum | Prisma.SessionAssignmentScalarFieldEnum[]
+}
+
+/**
+ * SessionAssignment findMany
+ */
+export type SessionAssignmentFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionAssignments to fetch.
+   */
+  where?: Prisma.SessionAssignmentWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionAssignments to fetch.
+   */
+  orderBy?: Prisma.SessionAssignmentOrderByWithRelationInput | Prisma.SessionAssignmentOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing SessionAssignments.
+   */
+  cursor?: Prisma.SessionAssignmentWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionAssignments from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionAssignments.
+   */
+  skip?: number
+  distinct?: Prisma.SessionAssignmentScalarFieldEnum | Prisma.SessionAssignmentScalarFieldEnum[]
+}
+
+/**
+ * SessionAssignment create
+ */
+export type SessionAssignmentCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  /**
+   * The data needed to create a SessionAssignment.
+   */
+  data: Prisma.XOR<Prisma.SessionAssignmentCreateInput, Prisma.SessionAssignmentUncheckedCreateInput>
+}
+
+/**
+ * SessionAssignment createMany
+ */
+export type SessionAssignmentCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many SessionAssignments.
+   */
+  data: Prisma.SessionAssignmentCreateManyInput | Prisma.SessionAssignmentCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * SessionAssignment update
+ */
+export type SessionAssignmentUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  /**
+   * The data needed to update a SessionAssignment.
+   */
+  data: Prisma.XOR<Prisma.SessionAssignmentUpdateInput, Prisma.SessionAssignmentUncheckedUpdateInput>
+  /**
+   * Choose, which SessionAssignment to update.
+   */
+  where: Prisma.SessionAssignmentWhereUniqueInput
+}
+
+/**
+ * SessionAssignment updateMany
+ */
+export type SessionAssignmentUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update SessionAssignments.
+   */
+  data: Prisma.XOR<Prisma.SessionAssignmentUpdateManyMutationInput, Prisma.SessionAssignmentUncheckedUpdateManyInput>
+  /**
+   * Filter which SessionAssignments to update
+   */
+  where?: Prisma.SessionAssignmentWhereInput
+  /**
+   * Limit how many SessionAssignments to update.
+   */
+  limit?: number
+}
+
+/**
+ * SessionAssignment upsert
+ */
+export type SessionAssignmentUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  /**
+   * The filter to search for the SessionAssignment to update in case it exists.
+   */
+  where: Prisma.SessionAssignmentWhereUniqueInput
+  /**
+   * In case the SessionAssignment found by the `where` argument doesn't exist, create a new SessionAssignment with this data.
+   */
+  create: Prisma.XOR<Prisma.SessionAssignmentCreateInput, Prisma.SessionAssignmentUncheckedCreateInput>
+  /**
+   * In case the SessionAssignment was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.SessionAssignmentUpdateInput, Prisma.SessionAssignmentUncheckedUpdateInput>
+}
+
+/**
+ * SessionAssignment delete
+ */
+export type SessionAssignmentDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  /**
+   * Filter which SessionAssignment to delete.
+   */
+  where: Prisma.SessionAssignmentWhereUniqueInput
+}
+
+/**
+ * SessionAssignment deleteMany
+ */
+export type SessionAssignmentDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which SessionAssignments to delete
+   */
+  where?: Prisma.SessionAssignmentWhereInput
+  /**
+   * Limit how many SessionAssignments to delete.
+   */
+  limit?: number
+}
+
+/**
+ * SessionAssignment.instructor
+ */
+export type SessionAssignment$instructorArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the User
+   */
+  select?: Prisma.UserSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the User
+   */
+  omit?: Prisma.UserOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.UserInclude<ExtArgs> | null
+  where?: Prisma.UserWhereInput
+}
+
+/**
+ * SessionAssignment.vehicle
+ */
+export type SessionAssignment$vehicleArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  where?: Prisma.VehicleWhereInput
+}
+
+/**
+ * SessionAssignment without action
+ */
+export type SessionAssignmentDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+}
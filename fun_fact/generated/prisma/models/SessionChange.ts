@@ -0,0 +1,1073 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `SessionChange` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model SessionChange
+ * 
+ */
+export type SessionChangeModel = runtime.Types.Result.DefaultSelection<Prisma.$SessionChangePayload>
+
+export type AggregateSessionChange = {
+  _count: SessionChangeCountAggregateOutputType | null
+  _avg: SessionChangeAvgAggregateOutputType | null
+  _sum: SessionChangeSumAggregateOutputType | null
+  _min: SessionChangeMinAggregateOutputType | null
+  _max: SessionChangeMaxAggregateOutputType | null
+}
+
+export type SessionChangeAvgAggregateOutputType = {
+  id: number | null
+}
+
+export type SessionChangeSumAggregateOutputType = {
+  id: number | null
+}
+
+export type SessionChangeMinAggregateOutputType = {
+  id: number | null
+  branch: string | null
+  category: $Enums.LicenceClass | null
+  createdAt: Date | null
+}
+
+export type SessionChangeMaxAggregateOutputType = {
+  id: number | null
+  branch: string | null
+  category: $Enums.LicenceClass | null
+  createdAt: Date | null
+}
+
+export type SessionChangeCountAggregateOutputType = {
+  id: number
+  branch: number
+  category: number
+  payload: number
+  createdAt: number
+  _all: number
+}
+
+
+export type SessionChangeAvgAggregateInputType = {
+  id?: true
+}
+
+export type SessionChangeSumAggregateInputType = {
+  id?: true
+}
+
+export type SessionChangeMinAggregateInputType = {
+  id?: true
+  branch?: true
+  category?: true
+  createdAt?: true
+}
+
+export type SessionChangeMaxAggregateInputType = {
+  id?: true
+  branch?: true
+  category?: true
+  createdAt?: true
+}
+
+export type SessionChangeCountAggregateInputType = {
+  id?: true
+  branch?: true
+  category?: true
+  payload?: true
+  createdAt?: true
+  _all?: true
+}
+
+export type SessionChangeAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which SessionChange to aggregate.
+   */
+  where?: Prisma.SessionChangeWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionChanges to fetch.
+   */
+  orderBy?: Prisma.SessionChangeOrderByWithRelationInput | Prisma.SessionChangeOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.SessionChangeWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionChanges from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionChanges.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned SessionChanges
+  **/
+  _count?: true | SessionChangeCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to average
+  **/
+  _avg?: SessionChangeAvgAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to sum
+  **/
+  _sum?: SessionChangeSumAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: SessionChangeMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: SessionChangeMaxAggregateInputType
+}
+
+export type GetSessionChangeAggregateType<T extends SessionChangeAggregateArgs> = {
+      [P in keyof T & keyof AggregateSessionChange]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateSessionChange[P]>
+    : Prisma.GetScalarType<T[P], AggregateSessionChange[P]>
+}
+
+
+
+
+export type SessionChangeGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SessionChangeWhereInput
+  orderBy?: Prisma.SessionChangeOrderByWithAggregationInput | Prisma.SessionChangeOrderByWithAggregationInput[]
+  by: Prisma.SessionChangeScalarFieldEnum[] | Prisma.SessionChangeScalarFieldEnum
+  having?: Prisma.SessionChangeScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: SessionChangeCountAggregateInputType | true
+  _avg?: SessionChangeAvgAggregateInputType
+  _sum?: SessionChangeSumAggregateInputType
+  _min?: SessionChangeMinAggregateInputType
+  _max?: SessionChangeMaxAggregateInputType
+}
+
+export type SessionChangeGroupByOutputType = {
+  id: number
+  branch: string
+  category: $Enums.LicenceClass
+  payload: runtime.JsonValue
+  createdAt: Date
+  _count: SessionChangeCountAggregateOutputType | null
+  _avg: SessionChangeAvgAggregateOutputType | null
+  _sum: SessionChangeSumAggregateOutputType | null
+  _min: SessionChangeMinAggregateOutputType | null
+  _max: SessionChangeMaxAggregateOutputType | null
+}
+
+type GetSessionChangeGroupByPayload<T extends SessionChangeGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<SessionChangeGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof SessionChangeGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], SessionChangeGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], SessionChangeGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type SessionChangeWhereInput = {
+  AND?: Prisma.SessionChangeWhereInput | Prisma.SessionChangeWhereInput[]
+  OR?: Prisma.SessionChangeWhereInput[]
+  NOT?: Prisma.SessionChangeWhereInput | Prisma.SessionChangeWhereInput[]
+  id?: Prisma.IntFilter<"SessionChange"> | number
+  branch?: Prisma.StringFilter<"SessionChange"> | string
+  category?: Prisma.EnumLicenceClassFilter<"SessionChange"> | $Enums.LicenceClass
+  payload?: Prisma.JsonFilter<"SessionChange">
+  createdAt?: Prisma.DateTimeFilter<"SessionChange"> | Date | string
+}
+
+export type SessionChangeOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  payload?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  _relevance?: Prisma.SessionChangeOrderByRelevanceInput
+}
+
+export type SessionChangeWhereUniqueInput = Prisma.AtLeast<{
+  id?: number
+  AND?: Prisma.SessionChangeWhereInput | Prisma.SessionChangeWhereInput[]
+  OR?: Prisma.SessionChangeWhereInput[]
+  NOT?: Prisma.SessionChangeWhereInput | Prisma.SessionChangeWhereInput[]
+  branch?: Prisma.StringFilter<"SessionChange"> | string
+  category?: Prisma.EnumLicenceClassFilter<"SessionChange"> | $Enums.LicenceClass
+  payload?: Prisma.JsonFilter<"SessionChange">
+  createdAt?: Prisma.DateTimeFilter<"SessionChange"> | Date | string
+}, "id">
+
+export type SessionChangeOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  payload?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  _count?: Prisma.SessionChangeCountOrderByAggregateInput
+  _avg?: Prisma.SessionChangeAvgOrderByAggregateInput
+  _max?: Prisma.SessionChangeMaxOrderByAggregateInput
+  _min?: Prisma.SessionChangeMinOrderByAggregateInput
+  _sum?: Prisma.SessionChangeSumOrderByAggregateInput
+}
+
+export type SessionChangeScalarWhereWithAggregatesInput = {
+  AND?: Prisma.SessionChangeScalarWhereWithAggregatesInput | Prisma.SessionChangeScalarWhereWithAggregatesInput[]
+  OR?: Prisma.SessionChangeScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.SessionChangeScalarWhereWithAggregatesInput | Prisma.SessionChangeScalarWhereWithAggregatesInput[]
+  id?: Prisma.IntWithAggregatesFilter<"SessionChange"> | number
+  branch?: Prisma.StringWithAggregatesFilter<"SessionChange"> | string
+  category?: Prisma.EnumLicenceClassWithAggregatesFilter<"SessionChange"> | $Enums.LicenceClass
+  payload?: Prisma.JsonWithAggregatesFilter<"SessionChange">
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"SessionChange"> | Date | string
+}
+
+export type SessionChangeCreateInput = {
+  branch: string
+  category: $Enums.LicenceClass
+  payload: Prisma.JsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+}
+
+export type SessionChangeUncheckedCreateInput = {
+  id?: number
+  branch: string
+  category: $Enums.LicenceClass
+  payload: Prisma.JsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+}
+
+export type SessionChangeUpdateInput = {
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  payload?: Prisma.JsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionChangeUncheckedUpdateInput = {
+  id?: Prisma.IntFieldUpdateOperationsInput | number
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  payload?: Prisma.JsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionChangeCreateManyInput = {
+  id?: number
+  branch: string
+  category: $Enums.LicenceClass
+  payload: Prisma.JsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+}
+
+export type SessionChangeUpdateManyMutationInput = {
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  payload?: Prisma.JsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionChangeUncheckedUpdateManyInput = {
+  id?: Prisma.IntFieldUpdateOperationsInput | number
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  payload?: Prisma.JsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionChangeOrderByRelevanceInput = {
+  fields: Prisma.SessionChangeOrderByRelevanceFieldEnum | Prisma.SessionChangeOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type SessionChangeCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  payload?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type SessionChangeAvgOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+}
+
+export type SessionChangeMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type SessionChangeMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type SessionChangeSumOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+}
+
+
+
+export type SessionChangeSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  branch?: boolean
+  category?: boolean
+  payload?: boolean
+  createdAt?: boolean
+}, ExtArgs["result"]["sessionChange"]>
+
+
+
+export type SessionChangeSelectScalar = {
+  id?: boolean
+  branch?: boolean
+  category?: boolean
+  payload?: boolean
+  createdAt?: boolean
+}
+
+export type SessionChangeOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "branch" | "category" | "payload" | "createdAt", ExtArgs["result"]["sessionChange"]>
+
+export type $SessionChangePayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "SessionChange"
+  objects: {}
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: number
+    branch: string
+    category: $Enums.LicenceClass
+    payload: runtime.JsonValue
+    createdAt: Date
+  }, ExtArgs["result"]["sessionChange"]>
+  composites: {}
+}
+
+export type SessionChangeGetPayload<S extends boolean | null | undefined | SessionChangeDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$SessionChangePayload, S>
+
+export type SessionChangeCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<SessionChangeFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: SessionChangeCountAggregateInputType | true
+  }
+
+export interface SessionChangeDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['SessionChange'], meta: { name: 'SessionChange' } }
+  /**
+   * Find zero or one SessionChange that matches the filter.
+   * @param {SessionChangeFindUniqueArgs} args - Arguments to find a SessionChange
+   * @example
+   * // Get one SessionChange
+   * const sessionChange = await prisma.sessionChange.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends SessionChangeFindUniqueArgs>(args: Prisma.SelectSubset<T, SessionChangeFindUniqueArgs<ExtArgs>>): Prisma.Prisma__SessionChangeClient<runtime.Types.Result.GetResult<Prisma.$SessionChangePayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one SessionChange that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {SessionChangeFindUniqueOrThrowArgs} args - Arguments to find a SessionChange
+   * @example
+   * // Get one SessionChange
+   * const sessionChange = await prisma.sessionChange.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends SessionChangeFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, SessionChangeFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__SessionChangeClient<runtime.Types.Result.GetResult<Prisma.$SessionChangePayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first SessionChange that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionChangeFindFirstArgs} args - Arguments to find a SessionChange
+   * @example
+   * // Get one SessionChange
+   * const sessionChange = await prisma.sessionChange.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends SessionChangeFindFirstArgs>(args?: Prisma.SelectSubset<T, SessionChangeFindFirstArgs<ExtArgs>>): Prisma.Prisma__SessionChangeClient<runtime.Types.Result.GetResult<Prisma.$SessionChangePayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first SessionChange that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionChangeFindFirstOrThrowArgs} args - Arguments to find a SessionChange
+   * @example
+   * // Get one SessionChange
+   * const sessionChange = await prisma.sessionChange.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends SessionChangeFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, SessionChangeFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__SessionChangeClient<runtime.Types.Result.GetResult<Prisma.$SessionChangePayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more SessionChanges that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionChangeFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all SessionChanges
+   * const sessionChanges = await prisma.sessionChange.findMany()
+   * 
+   * // Get first 10 SessionChanges
+   * const sessionChanges = await prisma.sessionChange.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const sessionChangeWithIdOnly = await prisma.sessionChange.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends SessionChangeFindManyArgs>(args?: Prisma.SelectSubset<T, SessionChangeFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SessionChangePayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a SessionChange.
+   * @param {SessionChangeCreateArgs} args - Arguments to create a SessionChange.
+   * @example
+   * // Create one SessionChange
+   * const SessionChange = await prisma.sessionChange.create({
+   *   data: {
+   *     // ... data to create a SessionChange
+   *   }
+   * })
+   * 
+   */
+  create<T extends SessionChangeCreateArgs>(args: Prisma.SelectSubset<T, SessionChangeCreateArgs<ExtArgs>>): Prisma.Prisma__SessionChangeClient<runtime.Types.Result.GetResult<Prisma.$SessionChangePayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many SessionChanges.
+   * @param {SessionChangeCreateManyArgs} args - Arguments to create many SessionChanges.
+   * @example
+   * // Create many SessionChanges
+   * const sessionChange = await prisma.sessionChange.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends SessionChangeCreateManyArgs>(args?: Prisma.SelectSubset<T, SessionChangeCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a SessionChange.
+   * @param {SessionChangeDeleteArgs} args - Arguments to delete one SessionChange.
+   * @example
+   * // Delete one SessionChange
+   * const SessionChange = await prisma.sessionChange.delete({
+   *   where: {
+   *     // ... filter to delete one SessionChange
+   *   }
+   * })
+   * 
+   */
+  delete<T extends SessionChangeDeleteArgs>(args: Prisma.SelectSubset<T, SessionChangeDeleteArgs<ExtArgs>>): Prisma.Prisma__SessionChangeClient<runtime.Types.Result.GetResult<Prisma.$SessionChangePayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one SessionChange.
+   * @param {SessionChangeUpdateArgs} args - Arguments to update one SessionChange.
+   * @example
+   * // Update one SessionChange
+   * const sessionChange = await prisma.sessionChange.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends SessionChangeUpdateArgs>(args: Prisma.SelectSubset<T, SessionChangeUpdateArgs<ExtArgs>>): Prisma.Prisma__SessionChangeClient<runtime.Types.Result.GetResult<Prisma.$SessionChangePayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more SessionChanges.
+   * @param {SessionChangeDeleteManyArgs} args - Arguments to filter SessionChanges to delete.
+   * @example
+   * // Delete a few SessionChanges
+   * const { count } = await prisma.sessionChange.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends SessionChangeDeleteManyArgs>(args?: Prisma.SelectSubset<T, SessionChangeDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more SessionChanges.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionChangeUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many SessionChanges
+   * const sessionChange = await prisma.sessionChange.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends SessionChangeUpdateManyArgs>(args: Prisma.SelectSubset<T, SessionChangeUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one SessionChange.
+   * @param {SessionChangeUpsertArgs} args - Arguments to update or create a SessionChange.
+   * @example
+   * // Update or create a SessionChange
+   * const sessionChange = await prisma.sessionChange.upsert({
+   *   create: {
+   *     // ... data to create a SessionChange
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the SessionChange we want to update
+   *   }
+   * })
+   */
+  upsert<T extends SessionChangeUpsertArgs>(args: Prisma.SelectSubset<T, SessionChangeUpsertArgs<ExtArgs>>): Prisma.Prisma__SessionChangeClient<runtime.Types.Result.GetResult<Prisma.$SessionChangePayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of SessionChanges.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionChangeCountArgs} args - Arguments to filter SessionChanges to count.
+   * @example
+   * // Count the number of SessionChanges
+   * const count = await prisma.sessionChange.count({
+   *   where: {
+   *     // ... the filter for the SessionChanges we want to count
+   *   }
+   * })
+  **/
+  count<T extends SessionChangeCountArgs>(
+    args?: Prisma.Subset<T, SessionChangeCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], SessionChangeCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a SessionChange.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionChangeAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends SessionChangeAggregateArgs>(args: Prisma.Subset<T, SessionChangeAggregateArgs>): Prisma.PrismaPromise<GetSessionChangeAggregateType<T>>
+
+  /**
+   * Group by SessionChange.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionChangeGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends SessionChangeGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: SessionChangeGroupByArgs['orderBy'] }
+      : { orderBy?: SessionChangeGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, SessionChangeGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetSessionChangeGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the SessionChange model
+ */
+readonly fields: SessionChangeFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for SessionChange.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__SessionChangeClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the SessionChange model
+ */
+export interface SessionChangeFieldRefs {
+  readonly id: Prisma.FieldRef<"SessionChange", 'Int'>
+  readonly branch: Prisma.FieldRef<"SessionChange", 'String'>
+  readonly category: Prisma.FieldRef<"SessionChange", 'LicenceClass'>
+  readonly payload: Prisma.FieldRef<"SessionChange", 'Json'>
+  readonly createdAt: Prisma.FieldRef<"SessionChange", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * SessionChange findUnique
+ */
+export type SessionChangeFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+  /**
+   * Filter, which SessionChange to fetch.
+   */
+  where: Prisma.SessionChangeWhereUniqueInput
+}
+
+/**
+ * SessionChange findUniqueOrThrow
+ */
+export type SessionChangeFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+  /**
+   * Filter, which SessionChange to fetch.
+   */
+  where: Prisma.SessionChangeWhereUniqueInput
+}
+
+/**
+ * SessionChange findFirst
+ */
+export type SessionChangeFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+  /**
+   * Filter, which SessionChange to fetch.
+   */
+  where?: Prisma.SessionChangeWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionChanges to fetch.
+   */
+  orderBy?: Prisma.SessionChangeOrderByWithRelationInput | Prisma.SessionChangeOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for SessionChanges.
+   */
+  cursor?: Prisma.SessionChangeWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionChanges from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionChanges.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of SessionChanges.
+   */
+  distinct?: Prisma.SessionChangeScalarFieldEnum | Prisma.SessionChangeScalarFieldEnum[]
+}
+
+/**
+ * SessionChange findFirstOrThrow
+ */
+export type SessionChangeFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+  /**
+   * Filter, which SessionChange to fetch.
+   */
+  where?: Prisma.SessionChangeWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionChanges to fetch.
+   */
+  orderBy?: Prisma.SessionChangeOrderByWithRelationInput | Prisma.SessionChangeOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for SessionChanges.
+   */
+  cursor?: Prisma.SessionChangeWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionChanges from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionChanges.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of SessionChanges.
+   */
+  distinct?: Prisma.SessionChangeScalarFieldEnum | Prisma.SessionChangeScalarFieldEnum[]
+}
+
+/**
+ * SessionChange findMany
+ */
+export type SessionChangeFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+  /**
+   * Filter, which SessionChanges to fetch.
+   */
+  where?: Prisma.SessionChangeWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionChanges to fetch.
+   */
+  orderBy?: Prisma.SessionChangeOrderByWithRelationInput | Prisma.SessionChangeOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing SessionChanges.
+   */
+  cursor?: Prisma.SessionChangeWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionChanges from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionChanges.
+   */
+  skip?: number
+  distinct?: Prisma.SessionChangeScalarFieldEnum | Prisma.SessionChangeScalarFieldEnum[]
+}
+
+/**
+ * SessionChange create
+ */
+export type SessionChangeCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+  /**
+   * The data needed to create a SessionChange.
+   */
+  data: Prisma.XOR<Prisma.SessionChangeCreateInput, Prisma.SessionChangeUncheckedCreateInput>
+}
+
+/**
+ * SessionChange createMany
+ */
+export type SessionChangeCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many SessionChanges.
+   */
+  data: Prisma.SessionChangeCreateManyInput | Prisma.SessionChangeCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * SessionChange update
+ */
+export type SessionChangeUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+  /**
+   * The data needed to update a SessionChange.
+   */
+  data: Prisma.XOR<Prisma.SessionChangeUpdateInput, Prisma.SessionChangeUncheckedUpdateInput>
+  /**
+   * Choose, which SessionChange to update.
+   */
+  where: Prisma.SessionChangeWhereUniqueInput
+}
+
+/**
+ * SessionChange updateMany
+ */
+export type SessionChangeUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update SessionChanges.
+   */
+  data: Prisma.XOR<Prisma.SessionChangeUpdateManyMutationInput, Prisma.SessionChangeUncheckedUpdateManyInput>
+  /**
+   * Filter which SessionChanges to update
+   */
+  where?: Prisma.SessionChangeWhereInput
+  /**
+   * Limit how many SessionChanges to update.
+   */
+  limit?: number
+}
+
+/**
+ * SessionChange upsert
+ */
+export type SessionChangeUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+  /**
+   * The filter to search for the SessionChange to update in case it exists.
+   */
+  where: Prisma.SessionChangeWhereUniqueInput
+  /**
+   * In case the SessionChange found by the `where` argument doesn't exist, create a new SessionChange with this data.
+   */
+  create: Prisma.XOR<Prisma.SessionChangeCreateInput, Prisma.SessionChangeUncheckedCreateInput>
+  /**
+   * In case the SessionChange was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.SessionChangeUpdateInput, Prisma.SessionChangeUncheckedUpdateInput>
+}
+
+/**
+ * SessionChange delete
+ */
+export type SessionChangeDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+  /**
+   * Filter which SessionChange to delete.
+   */
+  where: Prisma.SessionChangeWhereUniqueInput
+}
+
+/**
+ * SessionChange deleteMany
+ */
+export type SessionChangeDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which SessionChanges to delete
+   */
+  where?: Prisma.SessionChangeWhereInput
+  /**
+   * Limit how many SessionChanges to delete.
+   */
+  limit?: number
+}
+
+/**
+ * SessionChange without action
+ */
+export type SessionChangeDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionChange
+   */
+  select?: Prisma.SessionChangeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionChange
+   */
+  omit?: Prisma.SessionChangeOmit<ExtArgs> | null
+}
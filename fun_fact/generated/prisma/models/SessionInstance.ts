@@ -0,0 +1,1653 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `SessionInstance` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model SessionInstance
+ * 
+ */
+export type SessionInstanceModel = runtime.Types.Result.DefaultSelection<Prisma.$SessionInstancePayload>
+
+export type AggregateSessionInstance = {
+  _count: SessionInstanceCountAggregateOutputType | null
+  _avg: SessionInstanceAvgAggregateOutputType | null
+  _sum: SessionInstanceSumAggregateOutputType | null
+  _min: SessionInstanceMinAggregateOutputType | null
+  _max: SessionInstanceMaxAggregateOutputType | null
+}
+
+export type SessionInstanceAvgAggregateOutputType = {
+  capacity: number | null
+}
+
+export type SessionInstanceSumAggregateOutputType = {
+  capacity: number | null
+}
+
+export type SessionInstanceMinAggregateOutputType = {
+  id: string | null
+  sessionId: string | null
+  weekOf: Date | null
+  date: Date | null
+  capacity: number | null
+  status: $Enums.SessionInstanceStatus | null
+  isExtra: boolean | null
+  note: string | null
+  updatedById: string | null
+  createdAt: Date | null
+  updatedAt: Date | null
+}
+
+export type SessionInstanceMaxAggregateOutputType = {
+  id: string | null
+  sessionId: string | null
+  weekOf: Date | null
+  date: Date | null
+  capacity: number | null
+  status: $Enums.SessionInstanceStatus | null
+  isExtra: boolean | null
+  note: string | null
+  updatedById: string | null
+  createdAt: Date | null
+  updatedAt: Date | null
+}
+
+export type SessionInstanceCountAggregateOutputType = {
+  id: number
+  sessionId: number
+  weekOf: number
+  date: number
+  capacity: number
+  status: number
+  isExtra: number
+  note: number
+  updatedById: number
+  createdAt: number
+  updatedAt: number
+  _all: number
+}
+
+
+export type SessionInstanceAvgAggregateInputType = {
+  capacity?: true
+}
+
+export type SessionInstanceSumAggregateInputType = {
+  capacity?: true
+}
+
+export type SessionInstanceMinAggregateInputType = {
+  id?: true
+  sessionId?: true
+  weekOf?: true
+  date?: true
+  capacity?: true
+  status?: true
+  isExtra?: true
+  note?: true
+  updatedById?: true
+  createdAt?: true
+  updatedAt?: true
+}
+
+export type SessionInstanceMaxAggregateInputType = {
+  id?: true
+  sessionId?: true
+  weekOf?: true
+  date?: true
+  capacity?: true
+  status?: true
+  isExtra?: true
+  note?: true
+  updatedById?: true
+  createdAt?: true
+  updatedAt?: true
+}
+
+export type SessionInstanceCountAggregateInputType = {
+  id?: true
+  sessionId?: true
+  weekOf?: true
+  date?: true
+  capacity?: true
+  status?: true
+  isExtra?: true
+  note?: true
+  updatedById?: true
+  createdAt?: true
+  updatedAt?: true
+  _all?: true
+}
+
+export type SessionInstanceAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which SessionInstance to aggregate.
+   */
+  where?: Prisma.SessionInstanceWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionInstances to fetch.
+   */
+  orderBy?: Prisma.SessionInstanceOrderByWithRelationInput | Prisma.SessionInstanceOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.SessionInstanceWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionInstances from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionInstances.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned SessionInstances
+  **/
+  _count?: true | SessionInstanceCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to average
+  **/
+  _avg?: SessionInstanceAvgAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to sum
+  **/
+  _sum?: SessionInstanceSumAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: SessionInstanceMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: SessionInstanceMaxAggregateInputType
+}
+
+export type GetSessionInstanceAggregateType<T extends SessionInstanceAggregateArgs> = {
+      [P in keyof T & keyof AggregateSessionInstance]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateSessionInstance[P]>
+    : Prisma.GetScalarType<T[P], AggregateSessionInstance[P]>
+}
+
+
+
+
+export type SessionInstanceGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SessionInstanceWhereInput
+  orderBy?: Prisma.SessionInstanceOrderByWithAggregationInput | Prisma.SessionInstanceOrderByWithAggregationInput[]
+  by: Prisma.SessionInstanceScalarFieldEnum[] | Prisma.SessionInstanceScalarFieldEnum
+  having?: Prisma.SessionInstanceScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: SessionInstanceCountAggregateInputType | true
+  _avg?: SessionInstanceAvgAggregateInputType
+  _sum?: SessionInstanceSumAggregateInputType
+  _min?: SessionInstanceMinAggregateInputType
+  _max?: SessionInstanceMaxAggregateInputType
+}
+
+export type SessionInstanceGroupByOutputType = {
+  id: string
+  sessionId: string
+  weekOf: Date
+  date: Date
+  capacity: number | null
+  status: $Enums.SessionInstanceStatus
+  isExtra: boolean
+  note: string | null
+  updatedById: string | null
+  createdAt: Date
+  updatedAt: Date
+  _count: SessionInstanceCountAggregateOutputType | null
+  _avg: SessionInstanceAvgAggregateOutputType | null
+  _sum: SessionInstanceSumAggregateOutputType | null
+  _min: SessionInstanceMinAggregateOutputType | null
+  _max: SessionInstanceMaxAggregateOutputType | null
+}
+
+type GetSessionInstanceGroupByPayload<T extends SessionInstanceGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<SessionInstanceGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof SessionInstanceGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], SessionInstanceGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], SessionInstanceGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type SessionInstanceWhereInput = {
+  AND?: Prisma.SessionInstanceWhereInput | Prisma.SessionInstanceWhereInput[]
+  OR?: Prisma.SessionInstanceWhereInput[]
+  NOT?: Prisma.SessionInstanceWhereInput | Prisma.SessionInstanceWhereInput[]
+  id?: Prisma.StringFilter<"SessionInstance"> | string
+  sessionId?: Prisma.StringFilter<"SessionInstance"> | string
+  weekOf?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  date?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  capacity?: Prisma.IntNullableFilter<"SessionInstance"> | number | null
+  status?: Prisma.EnumSessionInstanceStatusFilter<"SessionInstance"> | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFilter<"SessionInstance"> | boolean
+  note?: Prisma.StringNullableFilter<"SessionInstance"> | string | null
+  updatedById?: Prisma.StringNullableFilter<"SessionInstance"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  session?: Prisma.XOR<Prisma.SessionScalarRelationFilter, Prisma.SessionWhereInput>
+  updatedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}
+
+export type SessionInstanceOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  capacity?: Prisma.SortOrderInput | Prisma.SortOrder
+  status?: Prisma.SortOrder
+  isExtra?: Prisma.SortOrder
+  note?: Prisma.SortOrderInput | Prisma.SortOrder
+  updatedById?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+  session?: Prisma.SessionOrderByWithRelationInput
+  updatedBy?: Prisma.UserOrderByWithRelationInput
+  _relevance?: Prisma.SessionInstanceOrderByRelevanceInput
+}
+
+export type SessionInstanceWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  sessionId_weekOf?: Prisma.SessionInstanceSessionIdWeekOfCompoundUniqueInput
+  AND?: Prisma.SessionInstanceWhereInput | Prisma.SessionInstanceWhereInput[]
+  OR?: Prisma.SessionInstanceWhereInput[]
+  NOT?: Prisma.SessionInstanceWhereInput | Prisma.SessionInstanceWhereInput[]
+  sessionId?: Prisma.StringFilter<"SessionInstance"> | string
+  weekOf?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  date?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  capacity?: Prisma.IntNullableFilter<"SessionInstance"> | number | null
+  status?: Prisma.EnumSessionInstanceStatusFilter<"SessionInstance"> | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFilter<"SessionInstance"> | boolean
+  note?: Prisma.StringNullableFilter<"SessionInstance"> | string | null
+  updatedById?: Prisma.StringNullableFilter<"SessionInstance"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  session?: Prisma.XOR<Prisma.SessionScalarRelationFilter, Prisma.SessionWhereInput>
+  updatedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}, "id" | "sessionId_weekOf">
+
+export type SessionInstanceOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  capacity?: Prisma.SortOrderInput | Prisma.SortOrder
+  status?: Prisma.SortOrder
+  isExtra?: Prisma.SortOrder
+  note?: Prisma.SortOrderInput | Prisma.SortOrder
+  updatedById?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+  _count?: Prisma.SessionInstanceCountOrderByAggregateInput
+  _avg?: Prisma.SessionInstanceAvgOrderByAggregateInput
+  _max?: Prisma.SessionInstanceMaxOrderByAggregateInput
+  _min?: Prisma.SessionInstanceMinOrderByAggregateInput
+  _sum?: Prisma.SessionInstanceSumOrderByAggregateInput
+}
+
+export type SessionInstanceScalarWhereWithAggregatesInput = {
+  AND?: Prisma.SessionInstanceScalarWhereWithAggregatesInput | Prisma.SessionInstanceScalarWhereWithAggregatesInput[]
+  OR?: Prisma.SessionInstanceScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.SessionInstanceScalarWhereWithAggregatesInput | Prisma.SessionInstanceScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"SessionInstance"> | string
+  sessionId?: Prisma.StringWithAggregatesFilter<"SessionInstance"> | string
+  weekOf?: Prisma.DateTimeWithAggregatesFilter<"SessionInstance"> | Date | string
+  date?: Prisma.DateTimeWithAggregatesFilter<"SessionInstance"> | Date | string
+  capacity?: Prisma.IntNullableWithAggregatesFilter<"SessionInstance"> | number | null
+  status?: Prisma.EnumSessionInstanceStatusWithAggregatesFilter<"SessionInstance"> | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolWithAggregatesFilter<"SessionInstance"> | boolean
+  note?: Prisma.StringNullableWithAggregatesFilter<"SessionInstance"> | string | null
+  updatedById?: Prisma.StringNullableWithAggregatesFilter<"SessionInstance"> | string | null
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"SessionInstance"> | Date | string
+  updatedAt?: Prisma.DateTimeWithAggregatesFilter<"SessionInstance"> | Date | string
+}
+
+export type SessionInstanceCreateInput = {
+  id?: string
+  weekOf: Date | string
+  date: Date | string
+  capacity?: number | null
+  status?: $Enums.SessionInstanceStatus
+  isExtra?: boolean
+  note?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  session: Prisma.SessionCreateNestedOneWithoutInstancesInput
+  updatedBy?: Prisma.UserCreateNestedOneWithoutInstancesUpdatedInput
+}
+
+export type SessionInstanceUncheckedCreateInput = {
+  id?: string
+  sessionId: string
+  weekOf: Date | string
+  date: Date | string
+  capacity?: number | null
+  status?: $Enums.SessionInstanceStatus
+  isExtra?: boolean
+  note?: string | null
+  updatedById?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionInstanceUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  session?: Prisma.SessionUpdateOneRequiredWithoutInstancesNestedInput
+  updatedBy?: Prisma.UserUpdateOneWithoutInstancesUpdatedNestedInput
+}
+
+export type SessionInstanceUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  updatedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionInstanceCreateManyInput = {
+  id?: string
+  sessionId: string
+  weekOf: Date | string
+  date: Date | string
+  capacity?: number | null
+  status?: $Enums.SessionInstanceStatus
+  isExtra?: boolean
+  note?: string | null
+  updatedById?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionInstanceUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionInstanceUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  updatedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionInstanceListRelationFilter = {
+  every?: Prisma.SessionInstanceWhereInput
+  some?: Prisma.SessionInstanceWhereInput
+  none?: Prisma.SessionInstanceWhereInput
+}
+
+export type SessionInstanceOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type SessionInstanceOrderByRelevanceInput = {
+  fields: Prisma.SessionInstanceOrderByRelevanceFieldEnum | Prisma.SessionInstanceOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type SessionInstanceSessionIdWeekOfCompoundUniqueInput = {
+  sessionId: string
+  weekOf: Date | string
+}
+
+export type SessionInstanceCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  capacity?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  isExtra?: Prisma.SortOrder
+  note?: Prisma.SortOrder
+  updatedById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type SessionInstanceAvgOrderByAggregateInput = {
+  capacity?: Prisma.SortOrder
+}
+
+export type SessionInstanceMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  capacity?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  isExtra?: Prisma.SortOrder
+  note?: Prisma.SortOrder
+  updatedById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type SessionInstanceMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  date?: Prisma.SortOrder
+  capacity?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  isExtra?: Prisma.SortOrder
+  note?: Prisma.SortOrder
+  updatedById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type SessionInstanceSumOrderByAggregateInput = {
+  capacity?: Prisma.SortOrder
+}
+
+export type SessionInstanceCreateNestedManyWithoutSessionInput = {
+  create?: Prisma.XOR<Prisma.SessionInstanceCreateWithoutSessionInput, Prisma.SessionInstanceUncheckedCreateWithoutSessionInput> | Prisma.SessionInstanceCreateWithoutSessionInput[] | Prisma.SessionInstanceUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.SessionInstanceCreateOrConnectWithoutSessionInput | Prisma.SessionInstanceCreateOrConnectWithoutSessionInput[]
+  createMany?: Prisma.SessionInstanceCreateManySessionInputEnvelope
+  connect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+}
+
+export type SessionInstanceUncheckedCreateNestedManyWithoutSessionInput = {
+  create?: Prisma.XOR<Prisma.SessionInstanceCreateWithoutSessionInput, Prisma.SessionInstanceUncheckedCreateWithoutSessionInput> | Prisma.SessionInstanceCreateWithoutSessionInput[] | Prisma.SessionInstanceUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.SessionInstanceCreateOrConnectWithoutSessionInput | Prisma.SessionInstanceCreateOrConnectWithoutSessionInput[]
+  createMany?: Prisma.SessionInstanceCreateManySessionInputEnvelope
+  connect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+}
+
+export type SessionInstanceUpdateManyWithoutSessionNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionInstanceCreateWithoutSessionInput, Prisma.SessionInstanceUncheckedCreateWithoutSessionInput> | Prisma.SessionInstanceCreateWithoutSessionInput[] | Prisma.SessionInstanceUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.SessionInstanceCreateOrConnectWithoutSessionInput | Prisma.SessionInstanceCreateOrConnectWithoutSessionInput[]
+  upsert?: Prisma.SessionInstanceUpsertWithWhereUniqueWithoutSessionInput | Prisma.SessionInstanceUpsertWithWhereUniqueWithoutSessionInput[]
+  createMany?: Prisma.SessionInstanceCreateManySessionInputEnvelope
+  set?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  disconnect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  delete?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  connect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  update?: Prisma.SessionInstanceUpdateWithWhereUniqueWithoutSessionInput | Prisma.SessionInstanceUpdateWithWhereUniqueWithoutSessionInput[]
+  updateMany?: Prisma.SessionInstanceUpdateManyWithWhereWithoutSessionInput | Prisma.SessionInstanceUpdateManyWithWhereWithoutSessionInput[]
+  deleteMany?: Prisma.SessionInstanceScalarWhereInput | Prisma.SessionInstanceScalarWhereInput[]
+}
+
+export type SessionInstanceUncheckedUpdateManyWithoutSessionNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionInstanceCreateWithoutSessionInput, Prisma.SessionInstanceUncheckedCreateWithoutSessionInput> | Prisma.SessionInstanceCreateWithoutSessionInput[] | Prisma.SessionInstanceUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.SessionInstanceCreateOrConnectWithoutSessionInput | Prisma.SessionInstanceCreateOrConnectWithoutSessionInput[]
+  upsert?: Prisma.SessionInstanceUpsertWithWhereUniqueWithoutSessionInput | Prisma.SessionInstanceUpsertWithWhereUniqueWithoutSessionInput[]
+  createMany?: Prisma.SessionInstanceCreateManySessionInputEnvelope
+  set?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  disconnect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  delete?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  connect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  update?: Prisma.SessionInstanceUpdateWithWhereUniqueWithoutSessionInput | Prisma.SessionInstanceUpdateWithWhereUniqueWithoutSessionInput[]
+  updateMany?: Prisma.SessionInstanceUpdateManyWithWhereWithoutSessionInput | Prisma.SessionInstanceUpdateManyWithWhereWithoutSessionInput[]
+  deleteMany?: Prisma.SessionInstanceScalarWhereInput | Prisma.SessionInstanceScalarWhereInput[]
+}
+
+export type NullableIntFieldUpdateOperationsInput = {
+  set?: number | null
+  increment?: number
+  decrement?: number
+  multiply?: number
+  divide?: number
+}
+
+export type EnumSessionInstanceStatusFieldUpdateOperationsInput = {
+  set?: $Enums.SessionInstanceStatus
+}
+
+export type BoolFieldUpdateOperationsInput = {
+  set?: boolean
+}
+
+export type SessionInstanceCreateNestedManyWithoutUpdatedByInput = {
+  create?: Prisma.XOR<Prisma.SessionInstanceCreateWithoutUpdatedByInput, Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput> | Prisma.SessionInstanceCreateWithoutUpdatedByInput[] | Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput[]
+  connectOrCreate?: Prisma.SessionInstanceCreateOrConnectWithoutUpdatedByInput | Prisma.SessionInstanceCreateOrConnectWithoutUpdatedByInput[]
+  createMany?: Prisma.SessionInstanceCreateManyUpdatedByInputEnvelope
+  connect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+}
+
+export type SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput = {
+  create?: Prisma.XOR<Prisma.SessionInstanceCreateWithoutUpdatedByInput, Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput> | Prisma.SessionInstanceCreateWithoutUpdatedByInput[] | Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput[]
+  connectOrCreate?: Prisma.SessionInstanceCreateOrConnectWithoutUpdatedByInput | Prisma.SessionInstanceCreateOrConnectWithoutUpdatedByInput[]
+  createMany?: Prisma.SessionInstanceCreateManyUpdatedByInputEnvelope
+  connect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+}
+
+export type SessionInstanceUpdateManyWithoutUpdatedByNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionInstanceCreateWithoutUpdatedByInput, Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput> | Prisma.SessionInstanceCreateWithoutUpdatedByInput[] | Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput[]
+  connectOrCreate?: Prisma.SessionInstanceCreateOrConnectWithoutUpdatedByInput | Prisma.SessionInstanceCreateOrConnectWithoutUpdatedByInput[]
+  upsert?: Prisma.SessionInstanceUpsertWithWhereUniqueWithoutUpdatedByInput | Prisma.SessionInstanceUpsertWithWhereUniqueWithoutUpdatedByInput[]
+  createMany?: Prisma.SessionInstanceCreateManyUpdatedByInputEnvelope
+  set?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  disconnect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  delete?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  connect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  update?: Prisma.SessionInstanceUpdateWithWhereUniqueWithoutUpdatedByInput | Prisma.SessionInstanceUpdateWithWhereUniqueWithoutUpdatedByInput[]
+  updateMany?: Prisma.SessionInstanceUpdateManyWithWhereWithoutUpdatedByInput | Prisma.SessionInstanceUpdateManyWithWhereWithoutUpdatedByInput[]
+  deleteMany?: Prisma.SessionInstanceScalarWhereInput | Prisma.SessionInstanceScalarWhereInput[]
+}
+
+export type SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput = {
+  create?: Prisma.XOR<Prisma.SessionInstanceCreateWithoutUpdatedByInput, Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput> | Prisma.SessionInstanceCreateWithoutUpdatedByInput[] | Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput[]
+  connectOrCreate?: Prisma.SessionInstanceCreateOrConnectWithoutUpdatedByInput | Prisma.SessionInstanceCreateOrConnectWithoutUpdatedByInput[]
+  upsert?: Prisma.SessionInstanceUpsertWithWhereUniqueWithoutUpdatedByInput | Prisma.SessionInstanceUpsertWithWhereUniqueWithoutUpdatedByInput[]
+  createMany?: Prisma.SessionInstanceCreateManyUpdatedByInputEnvelope
+  set?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  disconnect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  delete?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  connect?: Prisma.SessionInstanceWhereUniqueInput | Prisma.SessionInstanceWhereUniqueInput[]
+  update?: Prisma.SessionInstanceUpdateWithWhereUniqueWithoutUpdatedByInput | Prisma.SessionInstanceUpdateWithWhereUniqueWithoutUpdatedByInput[]
+  updateMany?: Prisma.SessionInstanceUpdateManyWithWhereWithoutUpdatedByInput | Prisma.SessionInstanceUpdateManyWithWhereWithoutUpdatedByInput[]
+  deleteMany?: Prisma.SessionInstanceScalarWhereInput | Prisma.SessionInstanceScalarWhereInput[]
+}
+
+export type SessionInstanceCreateWithoutSessionInput = {
+  id?: string
+  weekOf: Date | string
+  date: Date | string
+  capacity?: number | null
+  status?: $Enums.SessionInstanceStatus
+  isExtra?: boolean
+  note?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  updatedBy?: Prisma.UserCreateNestedOneWithoutInstancesUpdatedInput
+}
+
+export type SessionInstanceUncheckedCreateWithoutSessionInput = {
+  id?: string
+  weekOf: Date | string
+  date: Date | string
+  capacity?: number | null
+  status?: $Enums.SessionInstanceStatus
+  isExtra?: boolean
+  note?: string | null
+  updatedById?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionInstanceCreateOrConnectWithoutSessionInput = {
+  where: Prisma.SessionInstanceWhereUniqueInput
+  create: Prisma.XOR<Prisma.SessionInstanceCreateWithoutSessionInput, Prisma.SessionInstanceUncheckedCreateWithoutSessionInput>
+}
+
+export type SessionInstanceCreateManySessionInputEnvelope = {
+  data: Prisma.SessionInstanceCreateManySessionInput | Prisma.SessionInstanceCreateManySessionInput[]
+  skipDuplicates?: boolean
+}
+
+export type SessionInstanceUpsertWithWhereUniqueWithoutSessionInput = {
+  where: Prisma.SessionInstanceWhereUniqueInput
+  update: Prisma.XOR<Prisma.SessionInstanceUpdateWithoutSessionInput, Prisma.SessionInstanceUncheckedUpdateWithoutSessionInput>
+  create: Prisma.XOR<Prisma.SessionInstanceCreateWithoutSessionInput, Prisma.SessionInstanceUncheckedCreateWithoutSessionInput>
+}
+
+export type SessionInstanceUpdateWithWhereUniqueWithoutSessionInput = {
+  where: Prisma.SessionInstanceWhereUniqueInput
+  data: Prisma.XOR<Prisma.SessionInstanceUpdateWithoutSessionInput, Prisma.SessionInstanceUncheckedUpdateWithoutSessionInput>
+}
+
+export type SessionInstanceUpdateManyWithWhereWithoutSessionInput = {
+  where: Prisma.SessionInstanceScalarWhereInput
+  data: Prisma.XOR<Prisma.SessionInstanceUpdateManyMutationInput, Prisma.SessionInstanceUncheckedUpdateManyWithoutSessionInput>
+}
+
+export type SessionInstanceScalarWhereInput = {
+  AND?: Prisma.SessionInstanceScalarWhereInput | Prisma.SessionInstanceScalarWhereInput[]
+  OR?: Prisma.SessionInstanceScalarWhereInput[]
+  NOT?: Prisma.SessionInstanceScalarWhereInput | Prisma.SessionInstanceScalarWhereInput[]
+  id?: Prisma.StringFilter<"SessionInstance"> | string
+  sessionId?: Prisma.StringFilter<"SessionInstance"> | string
+  weekOf?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  date?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  capacity?: Prisma.IntNullableFilter<"SessionInstance"> | number | null
+  status?: Prisma.EnumSessionInstanceStatusFilter<"SessionInstance"> | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFilter<"SessionInstance"> | boolean
+  note?: Prisma.StringNullableFilter<"SessionInstance"> | string | null
+  updatedById?: Prisma.StringNullableFilter<"SessionInstance"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"SessionInstance"> | Date | string
+}
+
+export type SessionInstanceCreateWithoutUpdatedByInput = {
+  id?: string
+  weekOf: Date | string
+  date: Date | string
+  capacity?: number | null
+  status?: $Enums.SessionInstanceStatus
+  isExtra?: boolean
+  note?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  session: Prisma.SessionCreateNestedOneWithoutInstancesInput
+}
+
+export type SessionInstanceUncheckedCreateWithoutUpdatedByInput = {
+  id?: string
+  sessionId: string
+  weekOf: Date | string
+  date: Date | string
+  capacity?: number | null
+  status?: $Enums.SessionInstanceStatus
+  isExtra?: boolean
+  note?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionInstanceCreateOrConnectWithoutUpdatedByInput = {
+  where: Prisma.SessionInstanceWhereUniqueInput
+  create: Prisma.XOR<Prisma.SessionInstanceCreateWithoutUpdatedByInput, Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput>
+}
+
+export type SessionInstanceCreateManyUpdatedByInputEnvelope = {
+  data: Prisma.SessionInstanceCreateManyUpdatedByInput | Prisma.SessionInstanceCreateManyUpdatedByInput[]
+  skipDuplicates?: boolean
+}
+
+export type SessionInstanceUpsertWithWhereUniqueWithoutUpdatedByInput = {
+  where: Prisma.SessionInstanceWhereUniqueInput
+  update: Prisma.XOR<Prisma.SessionInstanceUpdateWithoutUpdatedByInput, Prisma.SessionInstanceUncheckedUpdateWithoutUpdatedByInput>
+  create: Prisma.XOR<Prisma.SessionInstanceCreateWithoutUpdatedByInput, Prisma.SessionInstanceUncheckedCreateWithoutUpdatedByInput>
+}
+
+export type SessionInstanceUpdateWithWhereUniqueWithoutUpdatedByInput = {
+  where: Prisma.SessionInstanceWhereUniqueInput
+  data: Prisma.XOR<Prisma.SessionInstanceUpdateWithoutUpdatedByInput, Prisma.SessionInstanceUncheckedUpdateWithoutUpdatedByInput>
+}
+
+export type SessionInstanceUpdateManyWithWhereWithoutUpdatedByInput = {
+  where: Prisma.SessionInstanceScalarWhereInput
+  data: Prisma.XOR<Prisma.SessionInstanceUpdateManyMutationInput, Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByInput>
+}
+
+export type SessionInstanceCreateManySessionInput = {
+  id?: string
+  weekOf: Date | string
+  date: Date | string
+  capacity?: number | null
+  status?: $Enums.SessionInstanceStatus
+  isExtra?: boolean
+  note?: string | null
+  updatedById?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionInstanceUpdateWithoutSessionInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedBy?: Prisma.UserUpdateOneWithoutInstancesUpdatedNestedInput
+}
+
+export type SessionInstanceUncheckedUpdateWithoutSessionInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  updatedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionInstanceUncheckedUpdateManyWithoutSessionInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  updatedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionInstanceCreateManyUpdatedByInput = {
+  id?: string
+  sessionId: string
+  weekOf: Date | string
+  date: Date | string
+  capacity?: number | null
+  status?: $Enums.SessionInstanceStatus
+  isExtra?: boolean
+  note?: string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type SessionInstanceUpdateWithoutUpdatedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  session?: Prisma.SessionUpdateOneRequiredWithoutInstancesNestedInput
+}
+
+export type SessionInstanceUncheckedUpdateWithoutUpdatedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SessionInstanceUncheckedUpdateManyWithoutUpdatedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  date?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  capacity?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  status?: Prisma.EnumSessionInstanceStatusFieldUpdateOperationsInput | $Enums.SessionInstanceStatus
+  isExtra?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  note?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+
+
+export type SessionInstanceSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  sessionId?: boolean
+  weekOf?: boolean
+  date?: boolean
+  capacity?: boolean
+  status?: boolean
+  isExtra?: boolean
+  note?: boolean
+  updatedById?: boolean
+  createdAt?: boolean
+  updatedAt?: boolean
+  session?: boolean | Prisma.SessionDefaultArgs<ExtArgs>
+  updatedBy?: boolean | Prisma.SessionInstance$updatedByArgs<ExtArgs>
+}, ExtArgs["result"]["sessionInstance"]>
+
+
+
+export type SessionInstanceSelectScalar = {
+  id?: boolean
+  sessionId?: boolean
+  weekOf?: boolean
+  date?: boolean
+  capacity?: boolean
+  status?: boolean
+  isExtra?: boolean
+  note?: boolean
+  updatedById?: boolean
+  createdAt?: boolean
+  updatedAt?: boolean
+}
+
+export type SessionInstanceOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "sessionId" | "weekOf" | "date" | "capacity" | "status" | "isExtra" | "note" | "updatedById" | "createdAt" | "updatedAt", ExtArgs["result"]["sessionInstance"]>
+export type SessionInstanceInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  session?: boolean | Prisma.SessionDefaultArgs<ExtArgs>
+  updatedBy?: boolean | Prisma.SessionInstance$updatedByArgs<ExtArgs>
+}
+
+export type $SessionInstancePayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "SessionInstance"
+  objects: {
+    session: Prisma.$SessionPayload<ExtArgs>
+    updatedBy: Prisma.$UserPayload<ExtArgs> | null
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    sessionId: string
+    weekOf: Date
+    date: Date
+    capacity: number | null
+    status: $Enums.SessionInstanceStatus
+    isExtra: boolean
+    note: string | null
+    updatedById: string | null
+    createdAt: Date
+    updatedAt: Date
+  }, ExtArgs["result"]["sessionInstance"]>
+  composites: {}
+}
+
+export type SessionInstanceGetPayload<S extends boolean | null | undefined | SessionInstanceDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload, S>
+
+export type SessionInstanceCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<SessionInstanceFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: SessionInstanceCountAggregateInputType | true
+  }
+
+export interface SessionInstanceDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['SessionInstance'], meta: { name: 'SessionInstance' } }
+  /**
+   * Find zero or one SessionInstance that matches the filter.
+   * @param {SessionInstanceFindUniqueArgs} args - Arguments to find a SessionInstance
+   * @example
+   * // Get one SessionInstance
+   * const sessionInstance = await prisma.sessionInstance.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends SessionInstanceFindUniqueArgs>(args: Prisma.SelectSubset<T, SessionInstanceFindUniqueArgs<ExtArgs>>): Prisma.Prisma__SessionInstanceClient<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one SessionInstance that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {SessionInstanceFindUniqueOrThrowArgs} args - Arguments to find a SessionInstance
+   * @example
+   * // Get one SessionInstance
+   * const sessionInstance = await prisma.sessionInstance.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends SessionInstanceFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, SessionInstanceFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__SessionInstanceClient<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first SessionInstance that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionInstanceFindFirstArgs} args - Arguments to find a SessionInstance
+   * @example
+   * // Get one SessionInstance
+   * const sessionInstance = await prisma.sessionInstance.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends SessionInstanceFindFirstArgs>(args?: Prisma.SelectSubset<T, SessionInstanceFindFirstArgs<ExtArgs>>): Prisma.Prisma__SessionInstanceClient<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first SessionInstance that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionInstanceFindFirstOrThrowArgs} args - Arguments to find a SessionInstance
+   * @example
+   * // Get one SessionInstance
+   * const sessionInstance = await prisma.sessionInstance.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends SessionInstanceFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, SessionInstanceFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__SessionInstanceClient<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more SessionInstances that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionInstanceFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all SessionInstances
+   * const sessionInstances = await prisma.sessionInstance.findMany()
+   * 
+   * // Get first 10 SessionInstances
+   * const sessionInstances = await prisma.sessionInstance.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const sessionInstanceWithIdOnly = await prisma.sessionInstance.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends SessionInstanceFindManyArgs>(args?: Prisma.SelectSubset<T, SessionInstanceFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a SessionInstance.
+   * @param {SessionInstanceCreateArgs} args - Arguments to create a SessionInstance.
+   * @example
+   * // Create one SessionInstance
+   * const SessionInstance = await prisma.sessionInstance.create({
+   *   data: {
+   *     // ... data to create a SessionInstance
+   *   }
+   * })
+   * 
+   */
+  create<T extends SessionInstanceCreateArgs>(args: Prisma.SelectSubset<T, SessionInstanceCreateArgs<ExtArgs>>): Prisma.Prisma__SessionInstanceClient<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many SessionInstances.
+   * @param {SessionInstanceCreateManyArgs} args - Arguments to create many SessionInstances.
+   * @example
+   * // Create many SessionInstances
+   * const sessionInstance = await prisma.sessionInstance.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends SessionInstanceCreateManyArgs>(args?: Prisma.SelectSubset<T, SessionInstanceCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a SessionInstance.
+   * @param {SessionInstanceDeleteArgs} args - Arguments to delete one SessionInstance.
+   * @example
+   * // Delete one SessionInstance
+   * const SessionInstance = await prisma.sessionInstance.delete({
+   *   where: {
+   *     // ... filter to delete one SessionInstance
+   *   }
+   * })
+   * 
+   */
+  delete<T extends SessionInstanceDeleteArgs>(args: Prisma.SelectSubset<T, SessionInstanceDeleteArgs<ExtArgs>>): Prisma.Prisma__SessionInstanceClient<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one SessionInstance.
+   * @param {SessionInstanceUpdateArgs} args - Arguments to update one SessionInstance.
+   * @example
+   * // Update one SessionInstance
+   * const sessionInstance = await prisma.sessionInstance.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends SessionInstanceUpdateArgs>(args: Prisma.SelectSubset<T, SessionInstanceUpdateArgs<ExtArgs>>): Prisma.Prisma__SessionInstanceClient<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more SessionInstances.
+   * @param {SessionInstanceDeleteManyArgs} args - Arguments to filter SessionInstances to delete.
+   * @example
+   * // Delete a few SessionInstances
+   * const { count } = await prisma.sessionInstance.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends SessionInstanceDeleteManyArgs>(args?: Prisma.SelectSubset<T, SessionInstanceDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more SessionInstances.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionInstanceUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many SessionInstances
+   * const sessionInstance = await prisma.sessionInstance.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends SessionInstanceUpdateManyArgs>(args: Prisma.SelectSubset<T, SessionInstanceUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one SessionInstance.
+   * @param {SessionInstanceUpsertArgs} args - Arguments to update or create a SessionInstance.
+   * @example
+   * // Update or create a SessionInstance
+   * const sessionInstance = await prisma.sessionInstance.upsert({
+   *   create: {
+   *     // ... data to create a SessionInstance
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the SessionInstance we want to update
+   *   }
+   * })
+   */
+  upsert<T extends SessionInstanceUpsertArgs>(args: Prisma.SelectSubset<T, SessionInstanceUpsertArgs<ExtArgs>>): Prisma.Prisma__SessionInstanceClient<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of SessionInstances.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionInstanceCountArgs} args - Arguments to filter SessionInstances to count.
+   * @example
+   * // Count the number of SessionInstances
+   * const count = await prisma.sessionInstance.count({
+   *   where: {
+   *     // ... the filter for the SessionInstances we want to count
+   *   }
+   * })
+  **/
+  count<T extends SessionInstanceCountArgs>(
+    args?: Prisma.Subset<T, SessionInstanceCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], SessionInstanceCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a SessionInstance.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionInstanceAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends SessionInstanceAggregateArgs>(args: Prisma.Subset<T, SessionInstanceAggregateArgs>): Prisma.PrismaPromise<GetSessionInstanceAggregateType<T>>
+
+  /**
+   * Group by SessionInstance.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SessionInstanceGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends SessionInstanceGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: SessionInstanceGroupByArgs['orderBy'] }
+      : { orderBy?: SessionInstanceGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, SessionInstanceGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetSessionInstanceGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the SessionInstance model
+ */
+readonly fields: SessionInstanceFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for SessionInstance.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__SessionInstanceClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  session<T extends Prisma.SessionDefaultArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.SessionDefaultArgs<ExtArgs>>): Prisma.Prisma__SessionClient<runtime.Types.Result.GetResult<Prisma.$SessionPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | Null, Null, ExtArgs, GlobalOmitOptions>
+  updatedBy<T extends Prisma.SessionInstance$updatedByArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.SessionInstance$updatedByArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the SessionInstance model
+ */
+export interface SessionInstanceFieldRefs {
+  readonly id: Prisma.FieldRef<"SessionInstance", 'String'>
+  readonly sessionId: Prisma.FieldRef<"SessionInstance", 'String'>
+  readonly weekOf: Prisma.FieldRef<"SessionInstance", 'DateTime'>
+  readonly date: Prisma.FieldRef<"SessionInstance", 'DateTime'>
+  readonly capacity: Prisma.FieldRef<"SessionInstance", 'Int'>
+  readonly status: Prisma.FieldRef<"SessionInstance", 'SessionInstanceStatus'>
+  readonly isExtra: Prisma.FieldRef<"SessionInstance", 'Boolean'>
+  readonly note: Prisma.FieldRef<"SessionInstance", 'String'>
+  readonly updatedById: Prisma.FieldRef<"SessionInstance", 'String'>
+  readonly createdAt: Prisma.FieldRef<"SessionInstance", 'DateTime'>
+  readonly updatedAt: Prisma.FieldRef<"SessionInstance", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * SessionInstance findUnique
+ */
+export type SessionInstanceFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionInstance to fetch.
+   */
+  where: Prisma.SessionInstanceWhereUniqueInput
+}
+
+/**
+ * SessionInstance findUniqueOrThrow
+ */
+export type SessionInstanceFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionInstance to fetch.
+   */
+  where: Prisma.SessionInstanceWhereUniqueInput
+}
+
+/**
+ * SessionInstance findFirst
+ */
+export type SessionInstanceFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionInstance to fetch.
+   */
+  where?: Prisma.SessionInstanceWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionInstances to fetch.
+   */
+  orderBy?: Prisma.SessionInstanceOrderByWithRelationInput | Prisma.SessionInstanceOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for SessionInstances.
+   */
+  cursor?: Prisma.SessionInstanceWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionInstances from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionInstances.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of SessionInstances.
+   */
+  distinct?: Prisma.SessionInstanceScalarFieldEnum | Prisma.SessionInstanceScalarFieldEnum[]
+}
+
+/**
+ * SessionInstance findFirstOrThrow
+ */
+export type SessionInstanceFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionInstance to fetch.
+   */
+  where?: Prisma.SessionInstanceWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionInstances to fetch.
+   */
+  orderBy?: Prisma.SessionInstanceOrderByWithRelationInput | Prisma.SessionInstanceOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for SessionInstances.
+   */
+  cursor?: Prisma.SessionInstanceWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionInstances from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionInstances.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of SessionInstances.
+   */
+  distinct?: Prisma.SessionInstanceScalarFieldEnum | Prisma.SessionInstanceScalarFieldEnum[]
+}
+
+/**
+ * SessionInstance findMany
+ */
+export type SessionInstanceFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  /**
+   * Filter, which SessionInstances to fetch.
+   */
+  where?: Prisma.SessionInstanceWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of SessionInstances to fetch.
+   */
+  orderBy?: Prisma.SessionInstanceOrderByWithRelationInput | Prisma.SessionInstanceOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing SessionInstances.
+   */
+  cursor?: Prisma.SessionInstanceWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` SessionInstances from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` SessionInstances.
+   */
+  skip?: number
+  distinct?: Prisma.SessionInstanceScalarFieldEnum | Prisma.SessionInstanceScalarFieldEnum[]
+}
+
+/**
+ * SessionInstance create
+ */
+export type SessionInstanceCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  /**
+   * The data needed to create a SessionInstance.
+   */
+  data: Prisma.XOR<Prisma.SessionInstanceCreateInput, Prisma.SessionInstanceUncheckedCreateInput>
+}
+
+/**
+ * SessionInstance createMany
+ */
+export type SessionInstanceCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many SessionInstances.
+   */
+  data: Prisma.SessionInstanceCreateManyInput | Prisma.SessionInstanceCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * SessionInstance update
+ */
+export type SessionInstanceUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  /**
+   * The data needed to update a SessionInstance.
+   */
+  data: Prisma.XOR<Prisma.SessionInstanceUpdateInput, Prisma.SessionInstanceUncheckedUpdateInput>
+  /**
+   * Choose, which SessionInstance to update.
+   */
+  where: Prisma.SessionInstanceWhereUniqueInput
+}
+
+/**
+ * SessionInstance updateMany
+ */
+export type SessionInstanceUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update SessionInstances.
+   */
+  data: Prisma.XOR<Prisma.SessionInstanceUpdateManyMutationInput, Prisma.SessionInstanceUncheckedUpdateManyInput>
+  /**
+   * Filter which SessionInstances to update
+   */
+  where?: Prisma.SessionInstanceWhereInput
+  /**
+   * Limit how many SessionInstances to update.
+   */
+  limit?: number
+}
+
+/**
+ * SessionInstance upsert
+ */
+export type SessionInstanceUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  /**
+   * The filter to search for the SessionInstance to update in case it exists.
+   */
+  where: Prisma.SessionInstanceWhereUniqueInput
+  /**
+   * In case the SessionInstance found by the `where` argument doesn't exist, create a new SessionInstance with this data.
+   */
+  create: Prisma.XOR<Prisma.SessionInstanceCreateInput, Prisma.SessionInstanceUncheckedCreateInput>
+  /**
+   * In case the SessionInstance was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.SessionInstanceUpdateInput, Prisma.SessionInstanceUncheckedUpdateInput>
+}
+
+/**
+ * SessionInstance delete
+ */
+export type SessionInstanceDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  /**
+   * Filter which SessionInstance to delete.
+   */
+  where: Prisma.SessionInstanceWhereUniqueInput
+}
+
+/**
+ * SessionInstance deleteMany
+ */
+export type SessionInstanceDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which SessionInstances to delete
+   */
+  where?: Prisma.SessionInstanceWhereInput
+  /**
+   * Limit how many SessionInstances to delete.
+   */
+  limit?: number
+}
+
+/**
+ * SessionInstance.updatedBy
+ */
+export type SessionInstance$updatedByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the User
+   */
+  select?: Prisma.UserSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the User
+   */
+  omit?: Prisma.UserOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.UserInclude<ExtArgs> | null
+  where?: Prisma.UserWhereInput
+}
+
+/**
+ * SessionInstance without action
+ */
+export type SessionInstanceDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+}
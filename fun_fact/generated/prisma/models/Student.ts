@@ -31,6 +31,7 @@ export type StudentMinAggregateOutputType = {
   name: string | null
   phoneNumber: string | null
   category: $Enums.LicenceClass | null
+  branch: string | null
   status: $Enums.StudentStatus | null
   deactivatedAt: Date | null
   createdAt: Date | null
@@ -44,6 +45,7 @@ export type StudentMaxAggregateOutputType = {
   name: string | null
   phoneNumber: string | null
   category: $Enums.LicenceClass | null
+  branch: string | null
   status: $Enums.StudentStatus | null
   deactivatedAt: Date | null
   createdAt: Date | null
@@ -57,6 +59,7 @@ export type StudentCountAggregateOutputType = {
   name: number
   phoneNumber: number
   category: number
+  branch: number
   status: number
   deactivatedAt: number
   createdAt: number
@@ -72,6 +75,7 @@ export type StudentMinAggregateInputType = {
   name?: true
   phoneNumber?: true
   category?: true
+  branch?: true
   status?: true
   deactivatedAt?: true
   createdAt?: true
@@ -85,6 +89,7 @@ export type StudentMaxAggregateInputType = {
   name?: true
   phoneNumber?: true
   category?: true
+  branch?: true
   status?: true
   deactivatedAt?: true
   createdAt?: true
@@ -98,6 +103,7 @@ export type StudentCountAggregateInputType = {
   name?: true
   phoneNumber?: true
   category?: true
+  branch?: true
   status?: true
   deactivatedAt?: true
   createdAt?: true
@@ -184,6 +190,7 @@ export type StudentGroupByOutputType = {
   name: string
   phoneNumber: string | null
   category: $Enums.LicenceClass
+  branch: string
   status: $Enums.StudentStatus
   deactivatedAt: Date | null
   createdAt: Date
@@ -218,11 +225,18 @@ export type StudentWhereInput = {
   name?: Prisma.StringFilter<"Student"> | string
   phoneNumber?: Prisma.StringNullableFilter<"Student"> | string | null
   category?: Prisma.EnumLicenceClassFilter<"Student"> | $Enums.LicenceClass
+  branch?: Prisma.StringFilter<"Student"> | string
   status?: Prisma.EnumStudentStatusFilter<"Student"> | $Enums.StudentStatus
   deactivatedAt?: Prisma.DateTimeNullableFilter<"Student"> | Date | string | null
   createdAt?: Prisma.DateTimeFilter<"Student"> | Date | string
   updatedAt?: Prisma.DateTimeFilter<"Student"> | Date | string
   bookings?: Prisma.BookingListRelationFilter
+  waitlist?: Prisma.WaitlistEntryListRelationFilter
+  suspensions?: Prisma.SuspensionListRelationFilter
+  notifications?: Prisma.NotificationListRelationFilter
+  systemLogs?: Prisma.SystemLogListRelationFilter
+  authSessions?: Prisma.AuthSessionListRelationFilter
+  loginCodes?: Prisma.LoginCodeListRelationFilter
 }
 
 export type StudentOrderByWithRelationInput = {
@@ -232,11 +246,18 @@ export type StudentOrderByWithRelationInput = {
   name?: Prisma.SortOrder
   phoneNumber?: Prisma.SortOrderInput | Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   status?: Prisma.SortOrder
   deactivatedAt?: Prisma.SortOrderInput | Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
   bookings?: Prisma.BookingOrderByRelationAggregateInput
+  waitlist?: Prisma.WaitlistEntryOrderByRelationAggregateInput
+  suspensions?: Prisma.SuspensionOrderByRelationAggregateInput
+  notifications?: Prisma.NotificationOrderByRelationAggregateInput
+  systemLogs?: Prisma.SystemLogOrderByRelationAggregateInput
+  authSessions?: Prisma.AuthSessionOrderByRelationAggregateInput
+  loginCodes?: Prisma.LoginCodeOrderByRelationAggregateInput
   _relevance?: Prisma.StudentOrderByRelevanceInput
 }
 
@@ -250,11 +271,18 @@ export type StudentWhereUniqueInput = Prisma.AtLeast<{
   name?: Prisma.StringFilter<"Student"> | string
   phoneNumber?: Prisma.StringNullableFilter<"Student"> | string | null
   category?: Prisma.EnumLicenceClassFilter<"Student"> | $Enums.LicenceClass
+  branch?: Prisma.StringFilter<"Student"> | string
   status?: Prisma.EnumStudentStatusFilter<"Student"> | $Enums.StudentStatus
   deactivatedAt?: Prisma.DateTimeNullableFilter<"Student"> | Date | string | null
   createdAt?: Prisma.DateTimeFilter<"Student"> | Date | string
   updatedAt?: Prisma.DateTimeFilter<"Student"> | Date | string
   bookings?: Prisma.BookingListRelationFilter
+  waitlist?: Prisma.WaitlistEntryListRelationFilter
+  suspensions?: Prisma.SuspensionListRelationFilter
+  notifications?: Prisma.NotificationListRelationFilter
+  systemLogs?: Prisma.SystemLogListRelationFilter
+  authSessions?: Prisma.AuthSessionListRelationFilter
+  loginCodes?: Prisma.LoginCodeListRelationFilter
 }, "id" | "email">
 
 export type StudentOrderByWithAggregationInput = {
@@ -264,6 +292,7 @@ export type StudentOrderByWithAggregationInput = {
   name?: Prisma.SortOrder
   phoneNumber?: Prisma.SortOrderInput | Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   status?: Prisma.SortOrder
   deactivatedAt?: Prisma.SortOrderInput | Prisma.SortOrder
   createdAt?: Prisma.SortOrder
@@ -283,6 +312,7 @@ export type StudentScalarWhereWithAggregatesInput = {
   name?: Prisma.StringWithAggregatesFilter<"Student"> | string
   phoneNumber?: Prisma.StringNullableWithAggregatesFilter<"Student"> | string | null
   category?: Prisma.EnumLicenceClassWithAggregatesFilter<"Student"> | $Enums.LicenceClass
+  branch?: Prisma.StringWithAggregatesFilter<"Student"> | string
   status?: Prisma.EnumStudentStatusWithAggregatesFilter<"Student"> | $Enums.StudentStatus
   deactivatedAt?: Prisma.DateTimeNullableWithAggregatesFilter<"Student"> | Date | string | null
   createdAt?: Prisma.DateTimeWithAggregatesFilter<"Student"> | Date | string
@@ -296,11 +326,18 @@ export type StudentCreateInput = {
   name: string
   phoneNumber?: string | null
   category?: $Enums.LicenceClass
+  branch?: string
   status?: $Enums.StudentStatus
   deactivatedAt?: Date | string | null
   createdAt?: Date | string
   updatedAt?: Date | string
   bookings?: Prisma.BookingCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeCreateNestedManyWithoutStudentInput
 }
 
 export type StudentUncheckedCreateInput = {
@@ -310,11 +347,18 @@ export type StudentUncheckedCreateInput = {
   name: string
   phoneNumber?: string | null
   category?: $Enums.LicenceClass
+  branch?: string
   status?: $Enums.StudentStatus
   deactivatedAt?: Date | string | null
   createdAt?: Date | string
   updatedAt?: Date | string
   bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationUncheckedCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeUncheckedCreateNestedManyWithoutStudentInput
 }
 
 export type StudentUpdateInput = {
@@ -324,11 +368,18 @@ export type StudentUpdateInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
   deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   bookings?: Prisma.BookingUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUpdateManyWithoutStudentNestedInput
 }
 
 export type StudentUncheckedUpdateInput = {
@@ -338,11 +389,18 @@ export type StudentUncheckedUpdateInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
   deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   bookings?: Prisma.BookingUncheckedUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUncheckedUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUncheckedUpdateManyWithoutStudentNestedInput
 }
 
 export type StudentCreateManyInput = {
@@ -352,6 +410,7 @@ export type StudentCreateManyInput = {
   name: string
   phoneNumber?: string | null
   category?: $Enums.LicenceClass
+  branch?: string
   status?: $Enums.StudentStatus
   deactivatedAt?: Date | string | null
   createdAt?: Date | string
@@ -365,6 +424,7 @@ export type StudentUpdateManyMutationInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
   deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
@@ -378,6 +438,7 @@ export type StudentUncheckedUpdateManyInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
   deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
@@ -397,6 +458,7 @@ export type StudentCountOrderByAggregateInput = {
   name?: Prisma.SortOrder
   phoneNumber?: Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   status?: Prisma.SortOrder
   deactivatedAt?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
@@ -410,6 +472,7 @@ export type StudentMaxOrderByAggregateInput = {
   name?: Prisma.SortOrder
   phoneNumber?: Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   status?: Prisma.SortOrder
   deactivatedAt?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
@@ -423,6 +486,7 @@ export type StudentMinOrderByAggregateInput = {
   name?: Prisma.SortOrder
   phoneNumber?: Prisma.SortOrder
   category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
   status?: Prisma.SortOrder
   deactivatedAt?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
@@ -434,6 +498,11 @@ export type StudentScalarRelationFilter = {
   isNot?: Prisma.StudentWhereInput
 }
 
+export type StudentNullableScalarRelationFilter = {
+  is?: Prisma.StudentWhereInput | null
+  isNot?: Prisma.StudentWhereInput | null
+}
+
 export type StringFieldUpdateOperationsInput = {
   set?: string
 }
@@ -472,6 +541,96 @@ export type StudentUpdateOneRequiredWithoutBookingsNestedInput = {
   update?: Prisma.XOR<Prisma.XOR<Prisma.StudentUpdateToOneWithWhereWithoutBookingsInput, Prisma.StudentUpdateWithoutBookingsInput>, Prisma.StudentUncheckedUpdateWithoutBookingsInput>
 }
 
+export type StudentCreateNestedOneWithoutWaitlistInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutWaitlistInput, Prisma.StudentUncheckedCreateWithoutWaitlistInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutWaitlistInput
+  connect?: Prisma.StudentWhereUniqueInput
+}
+
+export type StudentUpdateOneRequiredWithoutWaitlistNestedInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutWaitlistInput, Prisma.StudentUncheckedCreateWithoutWaitlistInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutWaitlistInput
+  upsert?: Prisma.StudentUpsertWithoutWaitlistInput
+  connect?: Prisma.StudentWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.StudentUpdateToOneWithWhereWithoutWaitlistInput, Prisma.StudentUpdateWithoutWaitlistInput>, Prisma.StudentUncheckedUpdateWithoutWaitlistInput>
+}
+
+export type StudentCreateNestedOneWithoutSuspensionsInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutSuspensionsInput, Prisma.StudentUncheckedCreateWithoutSuspensionsInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutSuspensionsInput
+  connect?: Prisma.StudentWhereUniqueInput
+}
+
+export type StudentUpdateOneRequiredWithoutSuspensionsNestedInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutSuspensionsInput, Prisma.StudentUncheckedCreateWithoutSuspensionsInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutSuspensionsInput
+  upsert?: Prisma.StudentUpsertWithoutSuspensionsInput
+  connect?: Prisma.StudentWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.StudentUpdateToOneWithWhereWithoutSuspensionsInput, Prisma.StudentUpdateWithoutSuspensionsInput>, Prisma.StudentUncheckedUpdateWithoutSuspensionsInput>
+}
+
+export type StudentCreateNestedOneWithoutSystemLogsInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutSystemLogsInput, Prisma.StudentUncheckedCreateWithoutSystemLogsInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutSystemLogsInput
+  connect?: Prisma.StudentWhereUniqueInput
+}
+
+export type StudentUpdateOneWithoutSystemLogsNestedInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutSystemLogsInput, Prisma.StudentUncheckedCreateWithoutSystemLogsInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutSystemLogsInput
+  upsert?: Prisma.StudentUpsertWithoutSystemLogsInput
+  disconnect?: Prisma.StudentWhereInput | boolean
+  delete?: Prisma.StudentWhereInput | boolean
+  connect?: Prisma.StudentWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.StudentUpdateToOneWithWhereWithoutSystemLogsInput, Prisma.StudentUpdateWithoutSystemLogsInput>, Prisma.StudentUncheckedUpdateWithoutSystemLogsInput>
+}
+
+export type StudentCreateNestedOneWithoutNotificationsInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutNotificationsInput, Prisma.StudentUncheckedCreateWithoutNotificationsInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutNotificationsInput
+  connect?: Prisma.StudentWhereUniqueInput
+}
+
+export type StudentUpdateOneWithoutNotificationsNestedInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutNotificationsInput, Prisma.StudentUncheckedCreateWithoutNotificationsInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutNotificationsInput
+  upsert?: Prisma.StudentUpsertWithoutNotificationsInput
+  disconnect?: Prisma.StudentWhereInput | boolean
+  delete?: Prisma.StudentWhereInput | boolean
+  connect?: Prisma.StudentWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.StudentUpdateToOneWithWhereWithoutNotificationsInput, Prisma.StudentUpdateWithoutNotificationsInput>, Prisma.StudentUncheckedUpdateWithoutNotificationsInput>
+}
+
+export type StudentCreateNestedOneWithoutAuthSessionsInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutAuthSessionsInput, Prisma.StudentUncheckedCreateWithoutAuthSessionsInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutAuthSessionsInput
+  connect?: Prisma.StudentWhereUniqueInput
+}
+
+export type StudentUpdateOneWithoutAuthSessionsNestedInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutAuthSessionsInput, Prisma.StudentUncheckedCreateWithoutAuthSessionsInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutAuthSessionsInput
+  upsert?: Prisma.StudentUpsertWithoutAuthSessionsInput
+  disconnect?: Prisma.StudentWhereInput | boolean
+  delete?: Prisma.StudentWhereInput | boolean
+  connect?: Prisma.StudentWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.StudentUpdateToOneWithWhereWithoutAuthSessionsInput, Prisma.StudentUpdateWithoutAuthSessionsInput>, Prisma.StudentUncheckedUpdateWithoutAuthSessionsInput>
+}
+
+export type StudentCreateNestedOneWithoutLoginCodesInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutLoginCodesInput, Prisma.StudentUncheckedCreateWithoutLoginCodesInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutLoginCodesInput
+  connect?: Prisma.StudentWhereUniqueInput
+}
+
+export type StudentUpdateOneRequiredWithoutLoginCodesNestedInput = {
+  create?: Prisma.XOR<Prisma.StudentCreateWithoutLoginCodesInput, Prisma.StudentUncheckedCreateWithoutLoginCodesInput>
+  connectOrCreate?: Prisma.StudentCreateOrConnectWithoutLoginCodesInput
+  upsert?: Prisma.StudentUpsertWithoutLoginCodesInput
+  connect?: Prisma.StudentWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.StudentUpdateToOneWithWhereWithoutLoginCodesInput, Prisma.StudentUpdateWithoutLoginCodesInput>, Prisma.StudentUncheckedUpdateWithoutLoginCodesInput>
+}
+
 export type StudentCreateWithoutBookingsInput = {
   id: string
   studentNumber?: string | null
@@ -479,10 +638,17 @@ export type StudentCreateWithoutBookingsInput = {
   name: string
   phoneNumber?: string | null
   category?: $Enums.LicenceClass
+  branch?: string
   status?: $Enums.StudentStatus
   deactivatedAt?: Date | string | null
   createdAt?: Date | string
   updatedAt?: Date | string
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeCreateNestedManyWithoutStudentInput
 }
 
 export type StudentUncheckedCreateWithoutBookingsInput = {
@@ -492,10 +658,17 @@ export type StudentUncheckedCreateWithoutBookingsInput = {
   name: string
   phoneNumber?: string | null
   category?: $Enums.LicenceClass
+  branch?: string
   status?: $Enums.StudentStatus
   deactivatedAt?: Date | string | null
   createdAt?: Date | string
   updatedAt?: Date | string
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationUncheckedCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeUncheckedCreateNestedManyWithoutStudentInput
 }
 
 export type StudentCreateOrConnectWithoutBookingsInput = {
@@ -521,10 +694,17 @@ export type StudentUpdateWithoutBookingsInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
   deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUpdateManyWithoutStudentNestedInput
 }
 
 export type StudentUncheckedUpdateWithoutBookingsInput = {
@@ -534,10 +714,593 @@ export type StudentUncheckedUpdateWithoutBookingsInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUncheckedUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUncheckedUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentCreateWithoutWaitlistInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeCreateNestedManyWithoutStudentInput
+}
+
+export type StudentUncheckedCreateWithoutWaitlistInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationUncheckedCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeUncheckedCreateNestedManyWithoutStudentInput
+}
+
+export type StudentCreateOrConnectWithoutWaitlistInput = {
+  where: Prisma.StudentWhereUniqueInput
+  create: Prisma.XOR<Prisma.StudentCreateWithoutWaitlistInput, Prisma.StudentUncheckedCreateWithoutWaitlistInput>
+}
+
+export type StudentUpsertWithoutWaitlistInput = {
+  update: Prisma.XOR<Prisma.StudentUpdateWithoutWaitlistInput, Prisma.StudentUncheckedUpdateWithoutWaitlistInput>
+  create: Prisma.XOR<Prisma.StudentCreateWithoutWaitlistInput, Prisma.StudentUncheckedCreateWithoutWaitlistInput>
+  where?: Prisma.StudentWhereInput
+}
+
+export type StudentUpdateToOneWithWhereWithoutWaitlistInput = {
+  where?: Prisma.StudentWhereInput
+  data: Prisma.XOR<Prisma.StudentUpdateWithoutWaitlistInput, Prisma.StudentUncheckedUpdateWithoutWaitlistInput>
+}
+
+export type StudentUpdateWithoutWaitlistInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentUncheckedUpdateWithoutWaitlistInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUncheckedUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUncheckedUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUncheckedUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentCreateWithoutSuspensionsInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeCreateNestedManyWithoutStudentInput
+}
+
+export type StudentUncheckedCreateWithoutSuspensionsInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationUncheckedCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeUncheckedCreateNestedManyWithoutStudentInput
+}
+
+export type StudentCreateOrConnectWithoutSuspensionsInput = {
+  where: Prisma.StudentWhereUniqueInput
+  create: Prisma.XOR<Prisma.StudentCreateWithoutSuspensionsInput, Prisma.StudentUncheckedCreateWithoutSuspensionsInput>
+}
+
+export type StudentUpsertWithoutSuspensionsInput = {
+  update: Prisma.XOR<Prisma.StudentUpdateWithoutSuspensionsInput, Prisma.StudentUncheckedUpdateWithoutSuspensionsInput>
+  create: Prisma.XOR<Prisma.StudentCreateWithoutSuspensionsInput, Prisma.StudentUncheckedCreateWithoutSuspensionsInput>
+  where?: Prisma.StudentWhereInput
+}
+
+export type StudentUpdateToOneWithWhereWithoutSuspensionsInput = {
+  where?: Prisma.StudentWhereInput
+  data: Prisma.XOR<Prisma.StudentUpdateWithoutSuspensionsInput, Prisma.StudentUncheckedUpdateWithoutSuspensionsInput>
+}
+
+export type StudentUpdateWithoutSuspensionsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentUncheckedUpdateWithoutSuspensionsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUncheckedUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUncheckedUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUncheckedUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentCreateWithoutSystemLogsInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeCreateNestedManyWithoutStudentInput
+}
+
+export type StudentUncheckedCreateWithoutSystemLogsInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationUncheckedCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeUncheckedCreateNestedManyWithoutStudentInput
+}
+
+export type StudentCreateOrConnectWithoutSystemLogsInput = {
+  where: Prisma.StudentWhereUniqueInput
+  create: Prisma.XOR<Prisma.StudentCreateWithoutSystemLogsInput, Prisma.StudentUncheckedCreateWithoutSystemLogsInput>
+}
+
+export type StudentUpsertWithoutSystemLogsInput = {
+  update: Prisma.XOR<Prisma.StudentUpdateWithoutSystemLogsInput, Prisma.StudentUncheckedUpdateWithoutSystemLogsInput>
+  create: Prisma.XOR<Prisma.StudentCreateWithoutSystemLogsInput, Prisma.StudentUncheckedCreateWithoutSystemLogsInput>
+  where?: Prisma.StudentWhereInput
+}
+
+export type StudentUpdateToOneWithWhereWithoutSystemLogsInput = {
+  where?: Prisma.StudentWhereInput
+  data: Prisma.XOR<Prisma.StudentUpdateWithoutSystemLogsInput, Prisma.StudentUncheckedUpdateWithoutSystemLogsInput>
+}
+
+export type StudentUpdateWithoutSystemLogsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentUncheckedUpdateWithoutSystemLogsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUncheckedUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUncheckedUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUncheckedUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentCreateWithoutNotificationsInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeCreateNestedManyWithoutStudentInput
+}
+
+export type StudentUncheckedCreateWithoutNotificationsInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeUncheckedCreateNestedManyWithoutStudentInput
+}
+
+export type StudentCreateOrConnectWithoutNotificationsInput = {
+  where: Prisma.StudentWhereUniqueInput
+  create: Prisma.XOR<Prisma.StudentCreateWithoutNotificationsInput, Prisma.StudentUncheckedCreateWithoutNotificationsInput>
+}
+
+export type StudentUpsertWithoutNotificationsInput = {
+  update: Prisma.XOR<Prisma.StudentUpdateWithoutNotificationsInput, Prisma.StudentUncheckedUpdateWithoutNotificationsInput>
+  create: Prisma.XOR<Prisma.StudentCreateWithoutNotificationsInput, Prisma.StudentUncheckedCreateWithoutNotificationsInput>
+  where?: Prisma.StudentWhereInput
+}
+
+export type StudentUpdateToOneWithWhereWithoutNotificationsInput = {
+  where?: Prisma.StudentWhereInput
+  data: Prisma.XOR<Prisma.StudentUpdateWithoutNotificationsInput, Prisma.StudentUncheckedUpdateWithoutNotificationsInput>
+}
+
+export type StudentUpdateWithoutNotificationsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentUncheckedUpdateWithoutNotificationsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUncheckedUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUncheckedUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentCreateWithoutAuthSessionsInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeCreateNestedManyWithoutStudentInput
+}
+
+export type StudentUncheckedCreateWithoutAuthSessionsInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationUncheckedCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutStudentInput
+  loginCodes?: Prisma.LoginCodeUncheckedCreateNestedManyWithoutStudentInput
+}
+
+export type StudentCreateOrConnectWithoutAuthSessionsInput = {
+  where: Prisma.StudentWhereUniqueInput
+  create: Prisma.XOR<Prisma.StudentCreateWithoutAuthSessionsInput, Prisma.StudentUncheckedCreateWithoutAuthSessionsInput>
+}
+
+export type StudentUpsertWithoutAuthSessionsInput = {
+  update: Prisma.XOR<Prisma.StudentUpdateWithoutAuthSessionsInput, Prisma.StudentUncheckedUpdateWithoutAuthSessionsInput>
+  create: Prisma.XOR<Prisma.StudentCreateWithoutAuthSessionsInput, Prisma.StudentUncheckedCreateWithoutAuthSessionsInput>
+  where?: Prisma.StudentWhereInput
+}
+
+export type StudentUpdateToOneWithWhereWithoutAuthSessionsInput = {
+  where?: Prisma.StudentWhereInput
+  data: Prisma.XOR<Prisma.StudentUpdateWithoutAuthSessionsInput, Prisma.StudentUncheckedUpdateWithoutAuthSessionsInput>
+}
+
+export type StudentUpdateWithoutAuthSessionsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentUncheckedUpdateWithoutAuthSessionsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUncheckedUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUncheckedUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutStudentNestedInput
+  loginCodes?: Prisma.LoginCodeUncheckedUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentCreateWithoutLoginCodesInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutStudentInput
+}
+
+export type StudentUncheckedCreateWithoutLoginCodesInput = {
+  id: string
+  studentNumber?: string | null
+  email: string
+  name: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.StudentStatus
+  deactivatedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookings?: Prisma.BookingUncheckedCreateNestedManyWithoutStudentInput
+  waitlist?: Prisma.WaitlistEntryUncheckedCreateNestedManyWithoutStudentInput
+  suspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutStudentInput
+  notifications?: Prisma.NotificationUncheckedCreateNestedManyWithoutStudentInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutStudentInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutStudentInput
+}
+
+export type StudentCreateOrConnectWithoutLoginCodesInput = {
+  where: Prisma.StudentWhereUniqueInput
+  create: Prisma.XOR<Prisma.StudentCreateWithoutLoginCodesInput, Prisma.StudentUncheckedCreateWithoutLoginCodesInput>
+}
+
+export type StudentUpsertWithoutLoginCodesInput = {
+  update: Prisma.XOR<Prisma.StudentUpdateWithoutLoginCodesInput, Prisma.StudentUncheckedUpdateWithoutLoginCodesInput>
+  create: Prisma.XOR<Prisma.StudentCreateWithoutLoginCodesInput, Prisma.StudentUncheckedCreateWithoutLoginCodesInput>
+  where?: Prisma.StudentWhereInput
+}
+
+export type StudentUpdateToOneWithWhereWithoutLoginCodesInput = {
+  where?: Prisma.StudentWhereInput
+  data: Prisma.XOR<Prisma.StudentUpdateWithoutLoginCodesInput, Prisma.StudentUncheckedUpdateWithoutLoginCodesInput>
+}
+
+export type StudentUpdateWithoutLoginCodesInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
+  deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutStudentNestedInput
+}
+
+export type StudentUncheckedUpdateWithoutLoginCodesInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
   status?: Prisma.EnumStudentStatusFieldUpdateOperationsInput | $Enums.StudentStatus
   deactivatedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookings?: Prisma.BookingUncheckedUpdateManyWithoutStudentNestedInput
+  waitlist?: Prisma.WaitlistEntryUncheckedUpdateManyWithoutStudentNestedInput
+  suspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutStudentNestedInput
+  notifications?: Prisma.NotificationUncheckedUpdateManyWithoutStudentNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutStudentNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutStudentNestedInput
 }
 
 
@@ -547,10 +1310,22 @@ export type StudentUncheckedUpdateWithoutBookingsInput = {
 
 export type StudentCountOutputType = {
   bookings: number
+  waitlist: number
+  suspensions: number
+  notifications: number
+  systemLogs: number
+  authSessions: number
+  loginCodes: number
 }
 
 export type StudentCountOutputTypeSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
   bookings?: boolean | StudentCountOutputTypeCountBookingsArgs
+  waitlist?: boolean | StudentCountOutputTypeCountWaitlistArgs
+  suspensions?: boolean | StudentCountOutputTypeCountSuspensionsArgs
+  notifications?: boolean | StudentCountOutputTypeCountNotificationsArgs
+  systemLogs?: boolean | StudentCountOutputTypeCountSystemLogsArgs
+  authSessions?: boolean | StudentCountOutputTypeCountAuthSessionsArgs
+  loginCodes?: boolean | StudentCountOutputTypeCountLoginCodesArgs
 }
 
 /**
@@ -570,6 +1345,48 @@ export type StudentCountOutputTypeCountBookingsArgs<ExtArgs extends runtime.Type
   where?: Prisma.BookingWhereInput
 }
 
+/**
+ * StudentCountOutputType without action
+ */
+export type StudentCountOutputTypeCountWaitlistArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.WaitlistEntryWhereInput
+}
+
+/**
+ * StudentCountOutputType without action
+ */
+export type StudentCountOutputTypeCountSuspensionsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SuspensionWhereInput
+}
+
+/**
+ * StudentCountOutputType without action
+ */
+export type StudentCountOutputTypeCountNotificationsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.NotificationWhereInput
+}
+
+/**
+ * StudentCountOutputType without action
+ */
+export type StudentCountOutputTypeCountSystemLogsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SystemLogWhereInput
+}
+
+/**
+ * StudentCountOutputType without action
+ */
+export type StudentCountOutputTypeCountAuthSessionsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.AuthSessionWhereInput
+}
+
+/**
+ * StudentCountOutputType without action
+ */
+export type StudentCountOutputTypeCountLoginCodesArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.LoginCodeWhereInput
+}
+
 
 export type StudentSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
   id?: boolean
@@ -578,11 +1395,18 @@ export type StudentSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs
   name?: boolean
   phoneNumber?: boolean
   category?: boolean
+  branch?: boolean
   status?: boolean
   deactivatedAt?: boolean
   createdAt?: boolean
   updatedAt?: boolean
   bookings?: boolean | Prisma.Student$bookingsArgs<ExtArgs>
+  waitlist?: boolean | Prisma.Student$waitlistArgs<ExtArgs>
+  suspensions?: boolean | Prisma.Student$suspensionsArgs<ExtArgs>
+  notifications?: boolean | Prisma.Student$notificationsArgs<ExtArgs>
+  systemLogs?: boolean | Prisma.Student$systemLogsArgs<ExtArgs>
+  authSessions?: boolean | Prisma.Student$authSessionsArgs<ExtArgs>
+  loginCodes?: boolean | Prisma.Student$loginCodesArgs<ExtArgs>
   _count?: boolean | Prisma.StudentCountOutputTypeDefaultArgs<ExtArgs>
 }, ExtArgs["result"]["student"]>
 
@@ -595,15 +1419,22 @@ export type StudentSelectScalar = {
   name?: boolean
   phoneNumber?: boolean
   category?: boolean
+  branch?: boolean
   status?: boolean
   deactivatedAt?: boolean
   createdAt?: boolean
   updatedAt?: boolean
 }
 
-export type StudentOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "studentNumber" | "email" | "name" | "phoneNumber" | "category" | "status" | "deactivatedAt" | "createdAt" | "updatedAt", ExtArgs["result"]["student"]>
+export type StudentOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "studentNumber" | "email" | "name" | "phoneNumber" | "category" | "branch" | "status" | "deactivatedAt" | "createdAt" | "updatedAt", ExtArgs["result"]["student"]>
 export type StudentInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
   bookings?: boolean | Prisma.Student$bookingsArgs<ExtArgs>
+  waitlist?: boolean | Prisma.Student$waitlistArgs<ExtArgs>
+  suspensions?: boolean | Prisma.Student$suspensionsArgs<ExtArgs>
+  notifications?: boolean | Prisma.Student$notificationsArgs<ExtArgs>
+  systemLogs?: boolean | Prisma.Student$systemLogsArgs<ExtArgs>
+  authSessions?: boolean | Prisma.Student$authSessionsArgs<ExtArgs>
+  loginCodes?: boolean | Prisma.Student$loginCodesArgs<ExtArgs>
   _count?: boolean | Prisma.StudentCountOutputTypeDefaultArgs<ExtArgs>
 }
 
@@ -611,6 +1442,12 @@ export type $StudentPayload<ExtArgs extends runtime.Types.Extensions.InternalArg
   name: "Student"
   objects: {
     bookings: Prisma.$BookingPayload<ExtArgs>[]
+    waitlist: Prisma.$WaitlistEntryPayload<ExtArgs>[]
+    suspensions: Prisma.$SuspensionPayload<ExtArgs>[]
+    notifications: Prisma.$NotificationPayload<ExtArgs>[]
+    systemLogs: Prisma.$SystemLogPayload<ExtArgs>[]
+    authSessions: Prisma.$AuthSessionPayload<ExtArgs>[]
+    loginCodes: Prisma.$LoginCodePayload<ExtArgs>[]
   }
   scalars: runtime.Types.Extensions.GetPayloadResult<{
     id: string
@@ -619,6 +1456,7 @@ export type $StudentPayload<ExtArgs extends runtime.Types.Extensions.InternalArg
     name: string
     phoneNumber: string | null
     category: $Enums.LicenceClass
+    branch: string
     status: $Enums.StudentStatus
     deactivatedAt: Date | null
     createdAt: Date
@@ -964,6 +1802,12 @@ readonly fields: StudentFieldRefs;
 export interface Prisma__StudentClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
   readonly [Symbol.toStringTag]: "PrismaPromise"
   bookings<T extends Prisma.Student$bookingsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Student$bookingsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$BookingPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  waitlist<T extends Prisma.Student$waitlistArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Student$waitlistArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  suspensions<T extends Prisma.Student$suspensionsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Student$suspensionsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  notifications<T extends Prisma.Student$notificationsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Student$notificationsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$NotificationPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  systemLogs<T extends Prisma.Student$systemLogsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Student$systemLogsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SystemLogPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  authSessions<T extends Prisma.Student$authSessionsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Student$authSessionsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  loginCodes<T extends Prisma.Student$loginCodesArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Student$loginCodesArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$LoginCodePayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
   /**
    * Attaches callbacks for the resolution and/or rejection of the Promise.
    * @param onfulfilled The callback to execute when the Promise is resolved.
@@ -999,6 +1843,7 @@ export interface StudentFieldRefs {
   readonly name: Prisma.FieldRef<"Student", 'String'>
   readonly phoneNumber: Prisma.FieldRef<"Student", 'String'>
   readonly category: Prisma.FieldRef<"Student", 'LicenceClass'>
+  readonly branch: Prisma.FieldRef<"Student", 'String'>
   readonly status: Prisma.FieldRef<"Student", 'StudentStatus'>
   readonly deactivatedAt: Prisma.FieldRef<"Student", 'DateTime'>
   readonly createdAt: Prisma.FieldRef<"Student", 'DateTime'>
@@ -1369,6 +2214,150 @@ export type Student$bookingsArgs<ExtArgs extends runtime.Types.Extensions.Intern
   distinct?: Prisma.BookingScalarFieldEnum | Prisma.BookingScalarFieldEnum[]
 }
 
+/**
+ * Student.waitlist
+ */
+export type Student$waitlistArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  where?: Prisma.WaitlistEntryWhereInput
+  orderBy?: Prisma.WaitlistEntryOrderByWithRelationInput | Prisma.WaitlistEntryOrderByWithRelationInput[]
+  cursor?: Prisma.WaitlistEntryWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.WaitlistEntryScalarFieldEnum | Prisma.WaitlistEntryScalarFieldEnum[]
+}
+
+/**
+ * Student.suspensions
+ */
+export type Student$suspensionsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  where?: Prisma.SuspensionWhereInput
+  orderBy?: Prisma.SuspensionOrderByWithRelationInput | Prisma.SuspensionOrderByWithRelationInput[]
+  cursor?: Prisma.SuspensionWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.SuspensionScalarFieldEnum | Prisma.SuspensionScalarFieldEnum[]
+}
+
+/**
+ * Student.notifications
+ */
+export type Student$notificationsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Notification
+   */
+  select?: Prisma.NotificationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Notification
+   */
+  omit?: Prisma.NotificationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.NotificationInclude<ExtArgs> | null
+  where?: Prisma.NotificationWhereInput
+  orderBy?: Prisma.NotificationOrderByWithRelationInput | Prisma.NotificationOrderByWithRelationInput[]
+  cursor?: Prisma.NotificationWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.NotificationScalarFieldEnum | Prisma.NotificationScalarFieldEnum[]
+}
+
+/**
+ * Student.systemLogs
+ */
+export type Student$systemLogsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SystemLog
+   */
+  select?: Prisma.SystemLogSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SystemLog
+   */
+  omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
+  where?: Prisma.SystemLogWhereInput
+  orderBy?: Prisma.SystemLogOrderByWithRelationInput | Prisma.SystemLogOrderByWithRelationInput[]
+  cursor?: Prisma.SystemLogWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.SystemLogScalarFieldEnum | Prisma.SystemLogScalarFieldEnum[]
+}
+
+/**
+ * Student.authSessions
+ */
+export type Student$authSessionsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  where?: Prisma.AuthSessionWhereInput
+  orderBy?: Prisma.AuthSessionOrderByWithRelationInput | Prisma.AuthSessionOrderByWithRelationInput[]
+  cursor?: Prisma.AuthSessionWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.AuthSessionScalarFieldEnum | Prisma.AuthSessionScalarFieldEnum[]
+}
+
+/**
+ * Student.loginCodes
+ */
+export type Student$loginCodesArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the LoginCode
+   */
+  select?: Prisma.LoginCodeSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the LoginCode
+   */
+  omit?: Prisma.LoginCodeOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.LoginCodeInclude<ExtArgs> | null
+  where?: Prisma.LoginCodeWhereInput
+  orderBy?: Prisma.LoginCodeOrderByWithRelationInput | Prisma.LoginCodeOrderByWithRelationInput[]
+  cursor?: Prisma.LoginCodeWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.LoginCodeScalarFieldEnum | Prisma.LoginCodeScalarFieldEnum[]
+}
+
 /**
  * Student without action
  */
@@ -0,0 +1,1472 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `StudentRegistration` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model StudentRegistration
+ * 
+ */
+export type StudentRegistrationModel = runtime.Types.Result.DefaultSelection<Prisma.$StudentRegistrationPayload>
+
+export type AggregateStudentRegistration = {
+  _count: StudentRegistrationCountAggregateOutputType | null
+  _min: StudentRegistrationMinAggregateOutputType | null
+  _max: StudentRegistrationMaxAggregateOutputType | null
+}
+
+export type StudentRegistrationMinAggregateOutputType = {
+  id: string | null
+  studentId: string | null
+  name: string | null
+  email: string | null
+  phoneNumber: string | null
+  category: $Enums.LicenceClass | null
+  branch: string | null
+  status: $Enums.RegistrationStatus | null
+  reviewedById: string | null
+  reviewedAt: Date | null
+  rejectionReason: string | null
+  createdAt: Date | null
+}
+
+export type StudentRegistrationMaxAggregateOutputType = {
+  id: string | null
+  studentId: string | null
+  name: string | null
+  email: string | null
+  phoneNumber: string | null
+  category: $Enums.LicenceClass | null
+  branch: string | null
+  status: $Enums.RegistrationStatus | null
+  reviewedById: string | null
+  reviewedAt: Date | null
+  rejectionReason: string | null
+  createdAt: Date | null
+}
+
+export type StudentRegistrationCountAggregateOutputType = {
+  id: number
+  studentId: number
+  name: number
+  email: number
+  phoneNumber: number
+  category: number
+  branch: number
+  status: number
+  reviewedById: number
+  reviewedAt: number
+  rejectionReason: number
+  createdAt: number
+  _all: number
+}
+
+
+export type StudentRegistrationMinAggregateInputType = {
+  id?: true
+  studentId?: true
+  name?: true
+  email?: true
+  phoneNumber?: true
+  category?: true
+  branch?: true
+  status?: true
+  reviewedById?: true
+  reviewedAt?: true
+  rejectionReason?: true
+  createdAt?: true
+}
+
+export type StudentRegistrationMaxAggregateInputType = {
+  id?: true
+  studentId?: true
+  name?: true
+  email?: true
+  phoneNumber?: true
+  category?: true
+  branch?: true
+  status?: true
+  reviewedById?: true
+  reviewedAt?: true
+  rejectionReason?: true
+  createdAt?: true
+}
+
+export type StudentRegistrationCountAggregateInputType = {
+  id?: true
+  studentId?: true
+  name?: true
+  email?: true
+  phoneNumber?: true
+  category?: true
+  branch?: true
+  status?: true
+  reviewedById?: true
+  reviewedAt?: true
+  rejectionReason?: true
+  createdAt?: true
+  _all?: true
+}
+
+export type StudentRegistrationAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which StudentRegistration to aggregate.
+   */
+  where?: Prisma.StudentRegistrationWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of StudentRegistrations to fetch.
+   */
+  orderBy?: Prisma.StudentRegistrationOrderByWithRelationInput | Prisma.StudentRegistrationOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.StudentRegistrationWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` StudentRegistrations from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` StudentRegistrations.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned StudentRegistrations
+  **/
+  _count?: true | StudentRegistrationCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: StudentRegistrationMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: StudentRegistrationMaxAggregateInputType
+}
+
+export type GetStudentRegistrationAggregateType<T extends StudentRegistrationAggregateArgs> = {
+      [P in keyof T & keyof AggregateStudentRegistration]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateStudentRegistration[P]>
+    : Prisma.GetScalarType<T[P], AggregateStudentRegistration[P]>
+}
+
+
+
+
+export type StudentRegistrationGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.StudentRegistrationWhereInput
+  orderBy?: Prisma.StudentRegistrationOrderByWithAggregationInput | Prisma.StudentRegistrationOrderByWithAggregationInput[]
+  by: Prisma.StudentRegistrationScalarFieldEnum[] | Prisma.StudentRegistrationScalarFieldEnum
+  having?: Prisma.StudentRegistrationScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: StudentRegistrationCountAggregateInputType | true
+  _min?: StudentRegistrationMinAggregateInputType
+  _max?: StudentRegistrationMaxAggregateInputType
+}
+
+export type StudentRegistrationGroupByOutputType = {
+  id: string
+  studentId: string
+  name: string
+  email: string
+  phoneNumber: string | null
+  category: $Enums.LicenceClass
+  branch: string
+  status: $Enums.RegistrationStatus
+  reviewedById: string | null
+  reviewedAt: Date | null
+  rejectionReason: string | null
+  createdAt: Date
+  _count: StudentRegistrationCountAggregateOutputType | null
+  _min: StudentRegistrationMinAggregateOutputType | null
+  _max: StudentRegistrationMaxAggregateOutputType | null
+}
+
+type GetStudentRegistrationGroupByPayload<T extends StudentRegistrationGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<StudentRegistrationGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof StudentRegistrationGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], StudentRegistrationGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], StudentRegistrationGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type StudentRegistrationWhereInput = {
+  AND?: Prisma.StudentRegistrationWhereInput | Prisma.StudentRegistrationWhereInput[]
+  OR?: Prisma.StudentRegistrationWhereInput[]
+  NOT?: Prisma.StudentRegistrationWhereInput | Prisma.StudentRegistrationWhereInput[]
+  id?: Prisma.StringFilter<"StudentRegistration"> | string
+  studentId?: Prisma.StringFilter<"StudentRegistration"> | string
+  name?: Prisma.StringFilter<"StudentRegistration"> | string
+  email?: Prisma.StringFilter<"StudentRegistration"> | string
+  phoneNumber?: Prisma.StringNullableFilter<"StudentRegistration"> | string | null
+  category?: Prisma.EnumLicenceClassFilter<"StudentRegistration"> | $Enums.LicenceClass
+  branch?: Prisma.StringFilter<"StudentRegistration"> | string
+  status?: Prisma.EnumRegistrationStatusFilter<"StudentRegistration"> | $Enums.RegistrationStatus
+  reviewedById?: Prisma.StringNullableFilter<"StudentRegistration"> | string | null
+  reviewedAt?: Prisma.DateTimeNullableFilter<"StudentRegistration"> | Date | string | null
+  rejectionReason?: Prisma.StringNullableFilter<"StudentRegistration"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"StudentRegistration"> | Date | string
+  reviewedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}
+
+export type StudentRegistrationOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  email?: Prisma.SortOrder
+  phoneNumber?: Prisma.SortOrderInput | Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  reviewedById?: Prisma.SortOrderInput | Prisma.SortOrder
+  reviewedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  rejectionReason?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  reviewedBy?: Prisma.UserOrderByWithRelationInput
+  _relevance?: Prisma.StudentRegistrationOrderByRelevanceInput
+}
+
+export type StudentRegistrationWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  AND?: Prisma.StudentRegistrationWhereInput | Prisma.StudentRegistrationWhereInput[]
+  OR?: Prisma.StudentRegistrationWhereInput[]
+  NOT?: Prisma.StudentRegistrationWhereInput | Prisma.StudentRegistrationWhereInput[]
+  studentId?: Prisma.StringFilter<"StudentRegistration"> | string
+  name?: Prisma.StringFilter<"StudentRegistration"> | string
+  email?: Prisma.StringFilter<"StudentRegistration"> | string
+  phoneNumber?: Prisma.StringNullableFilter<"StudentRegistration"> | string | null
+  category?: Prisma.EnumLicenceClassFilter<"StudentRegistration"> | $Enums.LicenceClass
+  branch?: Prisma.StringFilter<"StudentRegistration"> | string
+  status?: Prisma.EnumRegistrationStatusFilter<"StudentRegistration"> | $Enums.RegistrationStatus
+  reviewedById?: Prisma.StringNullableFilter<"StudentRegistration"> | string | null
+  reviewedAt?: Prisma.DateTimeNullableFilter<"StudentRegistration"> | Date | string | null
+  rejectionReason?: Prisma.StringNullableFilter<"StudentRegistration"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"StudentRegistration"> | Date | string
+  reviewedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}, "id">
+
+export type StudentRegistrationOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  email?: Prisma.SortOrder
+  phoneNumber?: Prisma.SortOrderInput | Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  reviewedById?: Prisma.SortOrderInput | Prisma.SortOrder
+  reviewedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  rejectionReason?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  _count?: Prisma.StudentRegistrationCountOrderByAggregateInput
+  _max?: Prisma.StudentRegistrationMaxOrderByAggregateInput
+  _min?: Prisma.StudentRegistrationMinOrderByAggregateInput
+}
+
+export type StudentRegistrationScalarWhereWithAggregatesInput = {
+  AND?: Prisma.StudentRegistrationScalarWhereWithAggregatesInput | Prisma.StudentRegistrationScalarWhereWithAggregatesInput[]
+  OR?: Prisma.StudentRegistrationScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.StudentRegistrationScalarWhereWithAggregatesInput | Prisma.StudentRegistrationScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"StudentRegistration"> | string
+  studentId?: Prisma.StringWithAggregatesFilter<"StudentRegistration"> | string
+  name?: Prisma.StringWithAggregatesFilter<"StudentRegistration"> | string
+  email?: Prisma.StringWithAggregatesFilter<"StudentRegistration"> | string
+  phoneNumber?: Prisma.StringNullableWithAggregatesFilter<"StudentRegistration"> | string | null
+  category?: Prisma.EnumLicenceClassWithAggregatesFilter<"StudentRegistration"> | $Enums.LicenceClass
+  branch?: Prisma.StringWithAggregatesFilter<"StudentRegistration"> | string
+  status?: Prisma.EnumRegistrationStatusWithAggregatesFilter<"StudentRegistration"> | $Enums.RegistrationStatus
+  reviewedById?: Prisma.StringNullableWithAggregatesFilter<"StudentRegistration"> | string | null
+  reviewedAt?: Prisma.DateTimeNullableWithAggregatesFilter<"StudentRegistration"> | Date | string | null
+  rejectionReason?: Prisma.StringNullableWithAggregatesFilter<"StudentRegistration"> | string | null
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"StudentRegistration"> | Date | string
+}
+
+export type StudentRegistrationCreateInput = {
+  id?: string
+  studentId: string
+  name: string
+  email: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.RegistrationStatus
+  reviewedAt?: Date | string | null
+  rejectionReason?: string | null
+  createdAt?: Date | string
+  reviewedBy?: Prisma.UserCreateNestedOneWithoutRegistrationsInput
+}
+
+export type StudentRegistrationUncheckedCreateInput = {
+  id?: string
+  studentId: string
+  name: string
+  email: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.RegistrationStatus
+  reviewedById?: string | null
+  reviewedAt?: Date | string | null
+  rejectionReason?: string | null
+  createdAt?: Date | string
+}
+
+export type StudentRegistrationUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumRegistrationStatusFieldUpdateOperationsInput | $Enums.RegistrationStatus
+  reviewedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  rejectionReason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reviewedBy?: Prisma.UserUpdateOneWithoutRegistrationsNestedInput
+}
+
+export type StudentRegistrationUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumRegistrationStatusFieldUpdateOperationsInput | $Enums.RegistrationStatus
+  reviewedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  reviewedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  rejectionReason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type StudentRegistrationCreateManyInput = {
+  id?: string
+  studentId: string
+  name: string
+  email: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.RegistrationStatus
+  reviewedById?: string | null
+  reviewedAt?: Date | string | null
+  rejectionReason?: string | null
+  createdAt?: Date | string
+}
+
+export type StudentRegistrationUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumRegistrationStatusFieldUpdateOperationsInput | $Enums.RegistrationStatus
+  reviewedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  rejectionReason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type StudentRegistrationUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumRegistrationStatusFieldUpdateOperationsInput | $Enums.RegistrationStatus
+  reviewedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  reviewedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  rejectionReason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type StudentRegistrationListRelationFilter = {
+  every?: Prisma.StudentRegistrationWhereInput
+  some?: Prisma.StudentRegistrationWhereInput
+  none?: Prisma.StudentRegistrationWhereInput
+}
+
+export type StudentRegistrationOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type StudentRegistrationOrderByRelevanceInput = {
+  fields: Prisma.StudentRegistrationOrderByRelevanceFieldEnum | Prisma.StudentRegistrationOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type StudentRegistrationCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  email?: Prisma.SortOrder
+  phoneNumber?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  reviewedById?: Prisma.SortOrder
+  reviewedAt?: Prisma.SortOrder
+  rejectionReason?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type StudentRegistrationMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  email?: Prisma.SortOrder
+  phoneNumber?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  reviewedById?: Prisma.SortOrder
+  reviewedAt?: Prisma.SortOrder
+  rejectionReason?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type StudentRegistrationMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  email?: Prisma.SortOrder
+  phoneNumber?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  reviewedById?: Prisma.SortOrder
+  reviewedAt?: Prisma.SortOrder
+  rejectionReason?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type StudentRegistrationCreateNestedManyWithoutReviewedByInput = {
+  create?: Prisma.XOR<Prisma.StudentRegistrationCreateWithoutReviewedByInput, Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput> | Prisma.StudentRegistrationCreateWithoutReviewedByInput[] | Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput[]
+  connectOrCreate?: Prisma.StudentRegistrationCreateOrConnectWithoutReviewedByInput | Prisma.StudentRegistrationCreateOrConnectWithoutReviewedByInput[]
+  createMany?: Prisma.StudentRegistrationCreateManyReviewedByInputEnvelope
+  connect?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+}
+
+export type StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput = {
+  create?: Prisma.XOR<Prisma.StudentRegistrationCreateWithoutReviewedByInput, Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput> | Prisma.StudentRegistrationCreateWithoutReviewedByInput[] | Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput[]
+  connectOrCreate?: Prisma.StudentRegistrationCreateOrConnectWithoutReviewedByInput | Prisma.StudentRegistrationCreateOrConnectWithoutReviewedByInput[]
+  createMany?: Prisma.StudentRegistrationCreateManyReviewedByInputEnvelope
+  connect?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+}
+
+export type StudentRegistrationUpdateManyWithoutReviewedByNestedInput = {
+  create?: Prisma.XOR<Prisma.StudentRegistrationCreateWithoutReviewedByInput, Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput> | Prisma.StudentRegistrationCreateWithoutReviewedByInput[] | Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput[]
+  connectOrCreate?: Prisma.StudentRegistrationCreateOrConnectWithoutReviewedByInput | Prisma.StudentRegistrationCreateOrConnectWithoutReviewedByInput[]
+  upsert?: Prisma.StudentRegistrationUpsertWithWhereUniqueWithoutReviewedByInput | Prisma.StudentRegistrationUpsertWithWhereUniqueWithoutReviewedByInput[]
+  createMany?: Prisma.StudentRegistrationCreateManyReviewedByInputEnvelope
+  set?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+  disconnect?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+  delete?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+  connect?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+  update?: Prisma.StudentRegistrationUpdateWithWhereUniqueWithoutReviewedByInput | Prisma.StudentRegistrationUpdateWithWhereUniqueWithoutReviewedByInput[]
+  updateMany?: Prisma.StudentRegistrationUpdateManyWithWhereWithoutReviewedByInput | Prisma.StudentRegistrationUpdateManyWithWhereWithoutReviewedByInput[]
+  deleteMany?: Prisma.StudentRegistrationScalarWhereInput | Prisma.StudentRegistrationScalarWhereInput[]
+}
+
+export type StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput = {
+  create?: Prisma.XOR<Prisma.StudentRegistrationCreateWithoutReviewedByInput, Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput> | Prisma.StudentRegistrationCreateWithoutReviewedByInput[] | Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput[]
+  connectOrCreate?: Prisma.StudentRegistrationCreateOrConnectWithoutReviewedByInput | Prisma.StudentRegistrationCreateOrConnectWithoutReviewedByInput[]
+  upsert?: Prisma.StudentRegistrationUpsertWithWhereUniqueWithoutReviewedByInput | Prisma.StudentRegistrationUpsertWithWhereUniqueWithoutReviewedByInput[]
+  createMany?: Prisma.StudentRegistrationCreateManyReviewedByInputEnvelope
+  set?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+  disconnect?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+  delete?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+  connect?: Prisma.StudentRegistrationWhereUniqueInput | Prisma.StudentRegistrationWhereUniqueInput[]
+  update?: Prisma.StudentRegistrationUpdateWithWhereUniqueWithoutReviewedByInput | Prisma.StudentRegistrationUpdateWithWhereUniqueWithoutReviewedByInput[]
+  updateMany?: Prisma.StudentRegistrationUpdateManyWithWhereWithoutReviewedByInput | Prisma.StudentRegistrationUpdateManyWithWhereWithoutReviewedByInput[]
+  deleteMany?: Prisma.StudentRegistrationScalarWhereInput | Prisma.StudentRegistrationScalarWhereInput[]
+}
+
+export type EnumRegistrationStatusFieldUpdateOperationsInput = {
+  set?: $Enums.RegistrationStatus
+}
+
+export type StudentRegistrationCreateWithoutReviewedByInput = {
+  id?: string
+  studentId: string
+  name: string
+  email: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.RegistrationStatus
+  reviewedAt?: Date | string | null
+  rejectionReason?: string | null
+  createdAt?: Date | string
+}
+
+export type StudentRegistrationUncheckedCreateWithoutReviewedByInput = {
+  id?: string
+  studentId: string
+  name: string
+  email: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.RegistrationStatus
+  reviewedAt?: Date | string | null
+  rejectionReason?: string | null
+  createdAt?: Date | string
+}
+
+export type StudentRegistrationCreateOrConnectWithoutReviewedByInput = {
+  where: Prisma.StudentRegistrationWhereUniqueInput
+  create: Prisma.XOR<Prisma.StudentRegistrationCreateWithoutReviewedByInput, Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput>
+}
+
+export type StudentRegistrationCreateManyReviewedByInputEnvelope = {
+  data: Prisma.StudentRegistrationCreateManyReviewedByInput | Prisma.StudentRegistrationCreateManyReviewedByInput[]
+  skipDuplicates?: boolean
+}
+
+export type StudentRegistrationUpsertWithWhereUniqueWithoutReviewedByInput = {
+  where: Prisma.StudentRegistrationWhereUniqueInput
+  update: Prisma.XOR<Prisma.StudentRegistrationUpdateWithoutReviewedByInput, Prisma.StudentRegistrationUncheckedUpdateWithoutReviewedByInput>
+  create: Prisma.XOR<Prisma.StudentRegistrationCreateWithoutReviewedByInput, Prisma.StudentRegistrationUncheckedCreateWithoutReviewedByInput>
+}
+
+export type StudentRegistrationUpdateWithWhereUniqueWithoutReviewedByInput = {
+  where: Prisma.StudentRegistrationWhereUniqueInput
+  data: Prisma.XOR<Prisma.StudentRegistrationUpdateWithoutReviewedByInput, Prisma.StudentRegistrationUncheckedUpdateWithoutReviewedByInput>
+}
+
+export type StudentRegistrationUpdateManyWithWhereWithoutReviewedByInput = {
+  where: Prisma.StudentRegistrationScalarWhereInput
+  data: Prisma.XOR<Prisma.StudentRegistrationUpdateManyMutationInput, Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByInput>
+}
+
+export type StudentRegistrationScalarWhereInput = {
+  AND?: Prisma.StudentRegistrationScalarWhereInput | Prisma.StudentRegistrationScalarWhereInput[]
+  OR?: Prisma.StudentRegistrationScalarWhereInput[]
+  NOT?: Prisma.StudentRegistrationScalarWhereInput | Prisma.StudentRegistrationScalarWhereInput[]
+  id?: Prisma.StringFilter<"StudentRegistration"> | string
+  studentId?: Prisma.StringFilter<"StudentRegistration"> | string
+  name?: Prisma.StringFilter<"StudentRegistration"> | string
+  email?: Prisma.StringFilter<"StudentRegistration"> | string
+  phoneNumber?: Prisma.StringNullableFilter<"StudentRegistration"> | string | null
+  category?: Prisma.EnumLicenceClassFilter<"StudentRegistration"> | $Enums.LicenceClass
+  branch?: Prisma.StringFilter<"StudentRegistration"> | string
+  status?: Prisma.EnumRegistrationStatusFilter<"StudentRegistration"> | $Enums.RegistrationStatus
+  reviewedById?: Prisma.StringNullableFilter<"StudentRegistration"> | string | null
+  reviewedAt?: Prisma.DateTimeNullableFilter<"StudentRegistration"> | Date | string | null
+  rejectionReason?: Prisma.StringNullableFilter<"StudentRegistration"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"StudentRegistration"> | Date | string
+}
+
+export type StudentRegistrationCreateManyReviewedByInput = {
+  id?: string
+  studentId: string
+  name: string
+  email: string
+  phoneNumber?: string | null
+  category?: $Enums.LicenceClass
+  branch?: string
+  status?: $Enums.RegistrationStatus
+  reviewedAt?: Date | string | null
+  rejectionReason?: string | null
+  createdAt?: Date | string
+}
+
+export type StudentRegistrationUpdateWithoutReviewedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumRegistrationStatusFieldUpdateOperationsInput | $Enums.RegistrationStatus
+  reviewedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  rejectionReason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type StudentRegistrationUncheckedUpdateWithoutReviewedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumRegistrationStatusFieldUpdateOperationsInput | $Enums.RegistrationStatus
+  reviewedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  rejectionReason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type StudentRegistrationUncheckedUpdateManyWithoutReviewedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  phoneNumber?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  status?: Prisma.EnumRegistrationStatusFieldUpdateOperationsInput | $Enums.RegistrationStatus
+  reviewedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  rejectionReason?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+
+
+export type StudentRegistrationSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  studentId?: boolean
+  name?: boolean
+  email?: boolean
+  phoneNumber?: boolean
+  category?: boolean
+  branch?: boolean
+  status?: boolean
+  reviewedById?: boolean
+  reviewedAt?: boolean
+  rejectionReason?: boolean
+  createdAt?: boolean
+  reviewedBy?: boolean | Prisma.StudentRegistration$reviewedByArgs<ExtArgs>
+}, ExtArgs["result"]["studentRegistration"]>
+
+
+
+export type StudentRegistrationSelectScalar = {
+  id?: boolean
+  studentId?: boolean
+  name?: boolean
+  email?: boolean
+  phoneNumber?: boolean
+  category?: boolean
+  branch?: boolean
+  status?: boolean
+  reviewedById?: boolean
+  reviewedAt?: boolean
+  rejectionReason?: boolean
+  createdAt?: boolean
+}
+
+export type StudentRegistrationOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "studentId" | "name" | "email" | "phoneNumber" | "category" | "branch" | "status" | "reviewedById" | "reviewedAt" | "rejectionReason" | "createdAt", ExtArgs["result"]["studentRegistration"]>
+export type StudentRegistrationInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  reviewedBy?: boolean | Prisma.StudentRegistration$reviewedByArgs<ExtArgs>
+}
+
+export type $StudentRegistrationPayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "StudentRegistration"
+  objects: {
+    reviewedBy: Prisma.$UserPayload<ExtArgs> | null
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    studentId: string
+    name: string
+    email: string
+    phoneNumber: string | null
+    category: $Enums.LicenceClass
+    branch: string
+    status: $Enums.RegistrationStatus
+    reviewedById: string | null
+    reviewedAt: Date | null
+    rejectionReason: string | null
+    createdAt: Date
+  }, ExtArgs["result"]["studentRegistration"]>
+  composites: {}
+}
+
+export type StudentRegistrationGetPayload<S extends boolean | null | undefined | StudentRegistrationDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload, S>
+
+export type StudentRegistrationCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<StudentRegistrationFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: StudentRegistrationCountAggregateInputType | true
+  }
+
+export interface StudentRegistrationDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['StudentRegistration'], meta: { name: 'StudentRegistration' } }
+  /**
+   * Find zero or one StudentRegistration that matches the filter.
+   * @param {StudentRegistrationFindUniqueArgs} args - Arguments to find a StudentRegistration
+   * @example
+   * // Get one StudentRegistration
+   * const studentRegistration = await prisma.studentRegistration.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends StudentRegistrationFindUniqueArgs>(args: Prisma.SelectSubset<T, StudentRegistrationFindUniqueArgs<ExtArgs>>): Prisma.Prisma__StudentRegistrationClient<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one StudentRegistration that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {StudentRegistrationFindUniqueOrThrowArgs} args - Arguments to find a StudentRegistration
+   * @example
+   * // Get one StudentRegistration
+   * const studentRegistration = await prisma.studentRegistration.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends StudentRegistrationFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, StudentRegistrationFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__StudentRegistrationClient<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first StudentRegistration that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {StudentRegistrationFindFirstArgs} args - Arguments to find a StudentRegistration
+   * @example
+   * // Get one StudentRegistration
+   * const studentRegistration = await prisma.studentRegistration.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends StudentRegistrationFindFirstArgs>(args?: Prisma.SelectSubset<T, StudentRegistrationFindFirstArgs<ExtArgs>>): Prisma.Prisma__StudentRegistrationClient<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first StudentRegistration that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {StudentRegistrationFindFirstOrThrowArgs} args - Arguments to find a StudentRegistration
+   * @example
+   * // Get one StudentRegistration
+   * const studentRegistration = await prisma.studentRegistration.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends StudentRegistrationFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, StudentRegistrationFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__StudentRegistrationClient<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more StudentRegistrations that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {StudentRegistrationFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all StudentRegistrations
+   * const studentRegistrations = await prisma.studentRegistration.findMany()
+   * 
+   * // Get first 10 StudentRegistrations
+   * const studentRegistrations = await prisma.studentRegistration.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const studentRegistrationWithIdOnly = await prisma.studentRegistration.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends StudentRegistrationFindManyArgs>(args?: Prisma.SelectSubset<T, StudentRegistrationFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a StudentRegistration.
+   * @param {StudentRegistrationCreateArgs} args - Arguments to create a StudentRegistration.
+   * @example
+   * // Create one StudentRegistration
+   * const StudentRegistration = await prisma.studentRegistration.create({
+   *   data: {
+   *     // ... data to create a StudentRegistration
+   *   }
+   * })
+   * 
+   */
+  create<T extends StudentRegistrationCreateArgs>(args: Prisma.SelectSubset<T, StudentRegistrationCreateArgs<ExtArgs>>): Prisma.Prisma__StudentRegistrationClient<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many StudentRegistrations.
+   * @param {StudentRegistrationCreateManyArgs} args - Arguments to create many StudentRegistrations.
+   * @example
+   * // Create many StudentRegistrations
+   * const studentRegistration = await prisma.studentRegistration.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends StudentRegistrationCreateManyArgs>(args?: Prisma.SelectSubset<T, StudentRegistrationCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a StudentRegistration.
+   * @param {StudentRegistrationDeleteArgs} args - Arguments to delete one StudentRegistration.
+   * @example
+   * // Delete one StudentRegistration
+   * const StudentRegistration = await prisma.studentRegistration.delete({
+   *   where: {
+   *     // ... filter to delete one StudentRegistration
+   *   }
+   * })
+   * 
+   */
+  delete<T extends StudentRegistrationDeleteArgs>(args: Prisma.SelectSubset<T, StudentRegistrationDeleteArgs<ExtArgs>>): Prisma.Prisma__StudentRegistrationClient<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one StudentRegistration.
+   * @param {StudentRegistrationUpdateArgs} args - Arguments to update one StudentRegistration.
+   * @example
+   * // Update one StudentRegistration
+   * const studentRegistration = await prisma.studentRegistration.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends StudentRegistrationUpdateArgs>(args: Prisma.SelectSubset<T, StudentRegistrationUpdateArgs<ExtArgs>>): Prisma.Prisma__StudentRegistrationClient<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more StudentRegistrations.
+   * @param {StudentRegistrationDeleteManyArgs} args - Arguments to filter StudentRegistrations to delete.
+   * @example
+   * // Delete a few StudentRegistrations
+   * const { count } = await prisma.studentRegistration.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends StudentRegistrationDeleteManyArgs>(args?: Prisma.SelectSubset<T, StudentRegistrationDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more StudentRegistrations.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {StudentRegistrationUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many StudentRegistrations
+   * const studentRegistration = await prisma.studentRegistration.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends StudentRegistrationUpdateManyArgs>(args: Prisma.SelectSubset<T, StudentRegistrationUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one StudentRegistration.
+   * @param {StudentRegistrationUpsertArgs} args - Arguments to update or create a StudentRegistration.
+   * @example
+   * // Update or create a StudentRegistration
+   * const studentRegistration = await prisma.studentRegistration.upsert({
+   *   create: {
+   *     // ... data to create a StudentRegistration
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the StudentRegistration we want to update
+   *   }
+   * })
+   */
+  upsert<T extends StudentRegistrationUpsertArgs>(args: Prisma.SelectSubset<T, StudentRegistrationUpsertArgs<ExtArgs>>): Prisma.Prisma__StudentRegistrationClient<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of StudentRegistrations.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {StudentRegistrationCountArgs} args - Arguments to filter StudentRegistrations to count.
+   * @example
+   * // Count the number of StudentRegistrations
+   * const count = await prisma.studentRegistration.count({
+   *   where: {
+   *     // ... the filter for the StudentRegistrations we want to count
+   *   }
+   * })
+  **/
+  count<T extends StudentRegistrationCountArgs>(
+    args?: Prisma.Subset<T, StudentRegistrationCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], StudentRegistrationCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a StudentRegistration.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {StudentRegistrationAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends StudentRegistrationAggregateArgs>(args: Prisma.Subset<T, StudentRegistrationAggregateArgs>): Prisma.PrismaPromise<GetStudentRegistrationAggregateType<T>>
+
+  /**
+   * Group by StudentRegistration.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {StudentRegistrationGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends StudentRegistrationGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: StudentRegistrationGroupByArgs['orderBy'] }
+      : { orderBy?: StudentRegistrationGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, StudentRegistrationGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetStudentRegistrationGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the StudentRegistration model
+ */
+readonly fields: StudentRegistrationFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for StudentRegistration.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__StudentRegistrationClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  reviewedBy<T extends Prisma.StudentRegistration$reviewedByArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.StudentRegistration$reviewedByArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the StudentRegistration model
+ */
+export interface StudentRegistrationFieldRefs {
+  readonly id: Prisma.FieldRef<"StudentRegistration", 'String'>
+  readonly studentId: Prisma.FieldRef<"StudentRegistration", 'String'>
+  readonly name: Prisma.FieldRef<"StudentRegistration", 'String'>
+  readonly email: Prisma.FieldRef<"StudentRegistration", 'String'>
+  readonly phoneNumber: Prisma.FieldRef<"StudentRegistration", 'String'>
+  readonly category: Prisma.FieldRef<"StudentRegistration", 'LicenceClass'>
+  readonly branch: Prisma.FieldRef<"StudentRegistration", 'String'>
+  readonly status: Prisma.FieldRef<"StudentRegistration", 'RegistrationStatus'>
+  readonly reviewedById: Prisma.FieldRef<"StudentRegistration", 'String'>
+  readonly reviewedAt: Prisma.FieldRef<"StudentRegistration", 'DateTime'>
+  readonly rejectionReason: Prisma.FieldRef<"StudentRegistration", 'String'>
+  readonly createdAt: Prisma.FieldRef<"StudentRegistration", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * StudentRegistration findUnique
+ */
+export type StudentRegistrationFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  /**
+   * Filter, which StudentRegistration to fetch.
+   */
+  where: Prisma.StudentRegistrationWhereUniqueInput
+}
+
+/**
+ * StudentRegistration findUniqueOrThrow
+ */
+export type StudentRegistrationFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  /**
+   * Filter, which StudentRegistration to fetch.
+   */
+  where: Prisma.StudentRegistrationWhereUniqueInput
+}
+
+/**
+ * StudentRegistration findFirst
+ */
+export type StudentRegistrationFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  /**
+   * Filter, which StudentRegistration to fetch.
+   */
+  where?: Prisma.StudentRegistrationWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of StudentRegistrations to fetch.
+   */
+  orderBy?: Prisma.StudentRegistrationOrderByWithRelationInput | Prisma.StudentRegistrationOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for StudentRegistrations.
+   */
+  cursor?: Prisma.StudentRegistrationWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` StudentRegistrations from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` StudentRegistrations.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of StudentRegistrations.
+   */
+  distinct?: Prisma.StudentRegistrationScalarFieldEnum | Prisma.StudentRegistrationScalarFieldEnum[]
+}
+
+/**
+ * StudentRegistration findFirstOrThrow
+ */
+export type StudentRegistrationFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  /**
+   * Filter, which StudentRegistration to fetch.
+   */
+  where?: Prisma.StudentRegistrationWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of StudentRegistrations to fetch.
+   */
+  orderBy?: Prisma.StudentRegistrationOrderByWithRelationInput | Prisma.StudentRegistrationOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for StudentRegistrations.
+   */
+  cursor?: Prisma.StudentRegistrationWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` StudentRegistrations from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` StudentRegistrations.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of StudentRegistrations.
+   */
+  distinct?: Prisma.StudentRegistrationScalarFieldEnum | Prisma.StudentRegistrationScalarFieldEnum[]
+}
+
+/**
+ * StudentRegistration findMany
+ */
+export type StudentRegistrationFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  /**
+   * Filter, which StudentRegistrations to fetch.
+   */
+  where?: Prisma.StudentRegistrationWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of StudentRegistrations to fetch.
+   */
+  orderBy?: Prisma.StudentRegistrationOrderByWithRelationInput | Prisma.StudentRegistrationOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing StudentRegistrations.
+   */
+  cursor?: Prisma.StudentRegistrationWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` StudentRegistrations from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` StudentRegistrations.
+   */
+  skip?: number
+  distinct?: Prisma.StudentRegistrationScalarFieldEnum | Prisma.StudentRegistrationScalarFieldEnum[]
+}
+
+/**
+ * StudentRegistration create
+ */
+export type StudentRegistrationCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  /**
+   * The data needed to create a StudentRegistration.
+   */
+  data: Prisma.XOR<Prisma.StudentRegistrationCreateInput, Prisma.StudentRegistrationUncheckedCreateInput>
+}
+
+/**
+ * StudentRegistration createMany
+ */
+export type StudentRegistrationCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many StudentRegistrations.
+   */
+  data: Prisma.StudentRegistrationCreateManyInput | Prisma.StudentRegistrationCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * StudentRegistration update
+ */
+export type StudentRegistrationUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  /**
+   * The data needed to update a StudentRegistration.
+   */
+  data: Prisma.XOR<Prisma.StudentRegistrationUpdateInput, Prisma.StudentRegistrationUncheckedUpdateInput>
+  /**
+   * Choose, which StudentRegistration to update.
+   */
+  where: Prisma.StudentRegistrationWhereUniqueInput
+}
+
+/**
+ * StudentRegistration updateMany
+ */
+export type StudentRegistrationUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update StudentRegistrations.
+   */
+  data: Prisma.XOR<Prisma.StudentRegistrationUpdateManyMutationInput, Prisma.StudentRegistrationUncheckedUpdateManyInput>
+  /**
+   * Filter which StudentRegistrations to update
+   */
+  where?: Prisma.StudentRegistrationWhereInput
+  /**
+   * Limit how many StudentRegistrations to update.
+   */
+  limit?: number
+}
+
+/**
+ * StudentRegistration upsert
+ */
+export type StudentRegistrationUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  /**
+   * The filter to search for the StudentRegistration to update in case it exists.
+   */
+  where: Prisma.StudentRegistrationWhereUniqueInput
+  /**
+   * In case the StudentRegistration found by the `where` argument doesn't exist, create a new StudentRegistration with this data.
+   */
+  create: Prisma.XOR<Prisma.StudentRegistrationCreateInput, Prisma.StudentRegistrationUncheckedCreateInput>
+  /**
+   * In case the StudentRegistration was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.StudentRegistrationUpdateInput, Prisma.StudentRegistrationUncheckedUpdateInput>
+}
+
+/**
+ * StudentRegistration delete
+ */
+export type StudentRegistrationDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  /**
+   * Filter which StudentRegistration to delete.
+   */
+  where: Prisma.StudentRegistrationWhereUniqueInput
+}
+
+/**
+ * StudentRegistration deleteMany
+ */
+export type StudentRegistrationDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which StudentRegistrations to delete
+   */
+  where?: Prisma.StudentRegistrationWhereInput
+  /**
+   * Limit how many StudentRegistrations to delete.
+   */
+  limit?: number
+}
+
+/**
+ * StudentRegistration.reviewedBy
+ */
+export type StudentRegistration$reviewedByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the User
+   */
+  select?: Prisma.UserSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the User
+   */
+  omit?: Prisma.UserOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.UserInclude<ExtArgs> | null
+  where?: Prisma.UserWhereInput
+}
+
+/**
+ * StudentRegistration without action
+ */
+export type StudentRegistrationDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+}
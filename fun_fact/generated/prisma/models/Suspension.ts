@@ -0,0 +1,1470 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `Suspension` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model Suspension
+ * 
+ */
+export type SuspensionModel = runtime.Types.Result.DefaultSelection<Prisma.$SuspensionPayload>
+
+export type AggregateSuspension = {
+  _count: SuspensionCountAggregateOutputType | null
+  _min: SuspensionMinAggregateOutputType | null
+  _max: SuspensionMaxAggregateOutputType | null
+}
+
+export type SuspensionMinAggregateOutputType = {
+  id: string | null
+  studentId: string | null
+  startsAt: Date | null
+  endsAt: Date | null
+  reason: string | null
+  liftedAt: Date | null
+  liftedById: string | null
+  createdAt: Date | null
+}
+
+export type SuspensionMaxAggregateOutputType = {
+  id: string | null
+  studentId: string | null
+  startsAt: Date | null
+  endsAt: Date | null
+  reason: string | null
+  liftedAt: Date | null
+  liftedById: string | null
+  createdAt: Date | null
+}
+
+export type SuspensionCountAggregateOutputType = {
+  id: number
+  studentId: number
+  startsAt: number
+  endsAt: number
+  reason: number
+  liftedAt: number
+  liftedById: number
+  createdAt: number
+  _all: number
+}
+
+
+export type SuspensionMinAggregateInputType = {
+  id?: true
+  studentId?: true
+  startsAt?: true
+  endsAt?: true
+  reason?: true
+  liftedAt?: true
+  liftedById?: true
+  createdAt?: true
+}
+
+export type SuspensionMaxAggregateInputType = {
+  id?: true
+  studentId?: true
+  startsAt?: true
+  endsAt?: true
+  reason?: true
+  liftedAt?: true
+  liftedById?: true
+  createdAt?: true
+}
+
+export type SuspensionCountAggregateInputType = {
+  id?: true
+  studentId?: true
+  startsAt?: true
+  endsAt?: true
+  reason?: true
+  liftedAt?: true
+  liftedById?: true
+  createdAt?: true
+  _all?: true
+}
+
+export type SuspensionAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which Suspension to aggregate.
+   */
+  where?: Prisma.SuspensionWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Suspensions to fetch.
+   */
+  orderBy?: Prisma.SuspensionOrderByWithRelationInput | Prisma.SuspensionOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.SuspensionWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Suspensions from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Suspensions.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned Suspensions
+  **/
+  _count?: true | SuspensionCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: SuspensionMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: SuspensionMaxAggregateInputType
+}
+
+export type GetSuspensionAggregateType<T extends SuspensionAggregateArgs> = {
+      [P in keyof T & keyof AggregateSuspension]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateSuspension[P]>
+    : Prisma.GetScalarType<T[P], AggregateSuspension[P]>
+}
+
+
+
+
+export type SuspensionGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SuspensionWhereInput
+  orderBy?: Prisma.SuspensionOrderByWithAggregationInput | Prisma.SuspensionOrderByWithAggregationInput[]
+  by: Prisma.SuspensionScalarFieldEnum[] | Prisma.SuspensionScalarFieldEnum
+  having?: Prisma.SuspensionScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: SuspensionCountAggregateInputType | true
+  _min?: SuspensionMinAggregateInputType
+  _max?: SuspensionMaxAggregateInputType
+}
+
+export type SuspensionGroupByOutputType = {
+  id: string
+  studentId: string
+  startsAt: Date
+  endsAt: Date
+  reason: string
+  liftedAt: Date | null
+  liftedById: string | null
+  createdAt: Date
+  _count: SuspensionCountAggregateOutputType | null
+  _min: SuspensionMinAggregateOutputType | null
+  _max: SuspensionMaxAggregateOutputType | null
+}
+
+type GetSuspensionGroupByPayload<T extends SuspensionGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<SuspensionGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof SuspensionGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], SuspensionGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], SuspensionGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type SuspensionWhereInput = {
+  AND?: Prisma.SuspensionWhereInput | Prisma.SuspensionWhereInput[]
+  OR?: Prisma.SuspensionWhereInput[]
+  NOT?: Prisma.SuspensionWhereInput | Prisma.SuspensionWhereInput[]
+  id?: Prisma.StringFilter<"Suspension"> | string
+  studentId?: Prisma.StringFilter<"Suspension"> | string
+  startsAt?: Prisma.DateTimeFilter<"Suspension"> | Date | string
+  endsAt?: Prisma.DateTimeFilter<"Suspension"> | Date | string
+  reason?: Prisma.StringFilter<"Suspension"> | string
+  liftedAt?: Prisma.DateTimeNullableFilter<"Suspension"> | Date | string | null
+  liftedById?: Prisma.StringNullableFilter<"Suspension"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"Suspension"> | Date | string
+  student?: Prisma.XOR<Prisma.StudentScalarRelationFilter, Prisma.StudentWhereInput>
+  liftedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}
+
+export type SuspensionOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  startsAt?: Prisma.SortOrder
+  endsAt?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  liftedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  liftedById?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  student?: Prisma.StudentOrderByWithRelationInput
+  liftedBy?: Prisma.UserOrderByWithRelationInput
+  _relevance?: Prisma.SuspensionOrderByRelevanceInput
+}
+
+export type SuspensionWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  AND?: Prisma.SuspensionWhereInput | Prisma.SuspensionWhereInput[]
+  OR?: Prisma.SuspensionWhereInput[]
+  NOT?: Prisma.SuspensionWhereInput | Prisma.SuspensionWhereInput[]
+  studentId?: Prisma.StringFilter<"Suspension"> | string
+  startsAt?: Prisma.DateTimeFilter<"Suspension"> | Date | string
+  endsAt?: Prisma.DateTimeFilter<"Suspension"> | Date | string
+  reason?: Prisma.StringFilter<"Suspension"> | string
+  liftedAt?: Prisma.DateTimeNullableFilter<"Suspension"> | Date | string | null
+  liftedById?: Prisma.StringNullableFilter<"Suspension"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"Suspension"> | Date | string
+  student?: Prisma.XOR<Prisma.StudentScalarRelationFilter, Prisma.StudentWhereInput>
+  liftedBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}, "id">
+
+export type SuspensionOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  startsAt?: Prisma.SortOrder
+  endsAt?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  liftedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  liftedById?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  _count?: Prisma.SuspensionCountOrderByAggregateInput
+  _max?: Prisma.SuspensionMaxOrderByAggregateInput
+  _min?: Prisma.SuspensionMinOrderByAggregateInput
+}
+
+export type SuspensionScalarWhereWithAggregatesInput = {
+  AND?: Prisma.SuspensionScalarWhereWithAggregatesInput | Prisma.SuspensionScalarWhereWithAggregatesInput[]
+  OR?: Prisma.SuspensionScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.SuspensionScalarWhereWithAggregatesInput | Prisma.SuspensionScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"Suspension"> | string
+  studentId?: Prisma.StringWithAggregatesFilter<"Suspension"> | string
+  startsAt?: Prisma.DateTimeWithAggregatesFilter<"Suspension"> | Date | string
+  endsAt?: Prisma.DateTimeWithAggregatesFilter<"Suspension"> | Date | string
+  reason?: Prisma.StringWithAggregatesFilter<"Suspension"> | string
+  liftedAt?: Prisma.DateTimeNullableWithAggregatesFilter<"Suspension"> | Date | string | null
+  liftedById?: Prisma.StringNullableWithAggregatesFilter<"Suspension"> | string | null
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"Suspension"> | Date | string
+}
+
+export type SuspensionCreateInput = {
+  id?: string
+  startsAt: Date | string
+  endsAt: Date | string
+  reason: string
+  liftedAt?: Date | string | null
+  createdAt?: Date | string
+  student: Prisma.StudentCreateNestedOneWithoutSuspensionsInput
+  liftedBy?: Prisma.UserCreateNestedOneWithoutLiftedSuspensionsInput
+}
+
+export type SuspensionUncheckedCreateInput = {
+  id?: string
+  studentId: string
+  startsAt: Date | string
+  endsAt: Date | string
+  reason: string
+  liftedAt?: Date | string | null
+  liftedById?: string | null
+  createdAt?: Date | string
+}
+
+export type SuspensionUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  student?: Prisma.StudentUpdateOneRequiredWithoutSuspensionsNestedInput
+  liftedBy?: Prisma.UserUpdateOneWithoutLiftedSuspensionsNestedInput
+}
+
+export type SuspensionUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  liftedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SuspensionCreateManyInput = {
+  id?: string
+  studentId: string
+  startsAt: Date | string
+  endsAt: Date | string
+  reason: string
+  liftedAt?: Date | string | null
+  liftedById?: string | null
+  createdAt?: Date | string
+}
+
+export type SuspensionUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SuspensionUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  liftedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SuspensionListRelationFilter = {
+  every?: Prisma.SuspensionWhereInput
+  some?: Prisma.SuspensionWhereInput
+  none?: Prisma.SuspensionWhereInput
+}
+
+export type SuspensionOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type SuspensionOrderByRelevanceInput = {
+  fields: Prisma.SuspensionOrderByRelevanceFieldEnum | Prisma.SuspensionOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type SuspensionCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  startsAt?: Prisma.SortOrder
+  endsAt?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  liftedAt?: Prisma.SortOrder
+  liftedById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type SuspensionMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  startsAt?: Prisma.SortOrder
+  endsAt?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  liftedAt?: Prisma.SortOrder
+  liftedById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type SuspensionMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  startsAt?: Prisma.SortOrder
+  endsAt?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  liftedAt?: Prisma.SortOrder
+  liftedById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type SuspensionCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.SuspensionCreateWithoutStudentInput, Prisma.SuspensionUncheckedCreateWithoutStudentInput> | Prisma.SuspensionCreateWithoutStudentInput[] | Prisma.SuspensionUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.SuspensionCreateOrConnectWithoutStudentInput | Prisma.SuspensionCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.SuspensionCreateManyStudentInputEnvelope
+  connect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+}
+
+export type SuspensionUncheckedCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.SuspensionCreateWithoutStudentInput, Prisma.SuspensionUncheckedCreateWithoutStudentInput> | Prisma.SuspensionCreateWithoutStudentInput[] | Prisma.SuspensionUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.SuspensionCreateOrConnectWithoutStudentInput | Prisma.SuspensionCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.SuspensionCreateManyStudentInputEnvelope
+  connect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+}
+
+export type SuspensionUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.SuspensionCreateWithoutStudentInput, Prisma.SuspensionUncheckedCreateWithoutStudentInput> | Prisma.SuspensionCreateWithoutStudentInput[] | Prisma.SuspensionUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.SuspensionCreateOrConnectWithoutStudentInput | Prisma.SuspensionCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.SuspensionUpsertWithWhereUniqueWithoutStudentInput | Prisma.SuspensionUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.SuspensionCreateManyStudentInputEnvelope
+  set?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  disconnect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  delete?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  connect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  update?: Prisma.SuspensionUpdateWithWhereUniqueWithoutStudentInput | Prisma.SuspensionUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.SuspensionUpdateManyWithWhereWithoutStudentInput | Prisma.SuspensionUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.SuspensionScalarWhereInput | Prisma.SuspensionScalarWhereInput[]
+}
+
+export type SuspensionUncheckedUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.SuspensionCreateWithoutStudentInput, Prisma.SuspensionUncheckedCreateWithoutStudentInput> | Prisma.SuspensionCreateWithoutStudentInput[] | Prisma.SuspensionUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.SuspensionCreateOrConnectWithoutStudentInput | Prisma.SuspensionCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.SuspensionUpsertWithWhereUniqueWithoutStudentInput | Prisma.SuspensionUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.SuspensionCreateManyStudentInputEnvelope
+  set?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  disconnect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  delete?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  connect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  update?: Prisma.SuspensionUpdateWithWhereUniqueWithoutStudentInput | Prisma.SuspensionUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.SuspensionUpdateManyWithWhereWithoutStudentInput | Prisma.SuspensionUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.SuspensionScalarWhereInput | Prisma.SuspensionScalarWhereInput[]
+}
+
+export type SuspensionCreateNestedManyWithoutLiftedByInput = {
+  create?: Prisma.XOR<Prisma.SuspensionCreateWithoutLiftedByInput, Prisma.SuspensionUncheckedCreateWithoutLiftedByInput> | Prisma.SuspensionCreateWithoutLiftedByInput[] | Prisma.SuspensionUncheckedCreateWithoutLiftedByInput[]
+  connectOrCreate?: Prisma.SuspensionCreateOrConnectWithoutLiftedByInput | Prisma.SuspensionCreateOrConnectWithoutLiftedByInput[]
+  createMany?: Prisma.SuspensionCreateManyLiftedByInputEnvelope
+  connect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+}
+
+export type SuspensionUncheckedCreateNestedManyWithoutLiftedByInput = {
+  create?: Prisma.XOR<Prisma.SuspensionCreateWithoutLiftedByInput, Prisma.SuspensionUncheckedCreateWithoutLiftedByInput> | Prisma.SuspensionCreateWithoutLiftedByInput[] | Prisma.SuspensionUncheckedCreateWithoutLiftedByInput[]
+  connectOrCreate?: Prisma.SuspensionCreateOrConnectWithoutLiftedByInput | Prisma.SuspensionCreateOrConnectWithoutLiftedByInput[]
+  createMany?: Prisma.SuspensionCreateManyLiftedByInputEnvelope
+  connect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+}
+
+export type SuspensionUpdateManyWithoutLiftedByNestedInput = {
+  create?: Prisma.XOR<Prisma.SuspensionCreateWithoutLiftedByInput, Prisma.SuspensionUncheckedCreateWithoutLiftedByInput> | Prisma.SuspensionCreateWithoutLiftedByInput[] | Prisma.SuspensionUncheckedCreateWithoutLiftedByInput[]
+  connectOrCreate?: Prisma.SuspensionCreateOrConnectWithoutLiftedByInput | Prisma.SuspensionCreateOrConnectWithoutLiftedByInput[]
+  upsert?: Prisma.SuspensionUpsertWithWhereUniqueWithoutLiftedByInput | Prisma.SuspensionUpsertWithWhereUniqueWithoutLiftedByInput[]
+  createMany?: Prisma.SuspensionCreateManyLiftedByInputEnvelope
+  set?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  disconnect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  delete?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  connect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  update?: Prisma.SuspensionUpdateWithWhereUniqueWithoutLiftedByInput | Prisma.SuspensionUpdateWithWhereUniqueWithoutLiftedByInput[]
+  updateMany?: Prisma.SuspensionUpdateManyWithWhereWithoutLiftedByInput | Prisma.SuspensionUpdateManyWithWhereWithoutLiftedByInput[]
+  deleteMany?: Prisma.SuspensionScalarWhereInput | Prisma.SuspensionScalarWhereInput[]
+}
+
+export type SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput = {
+  create?: Prisma.XOR<Prisma.SuspensionCreateWithoutLiftedByInput, Prisma.SuspensionUncheckedCreateWithoutLiftedByInput> | Prisma.SuspensionCreateWithoutLiftedByInput[] | Prisma.SuspensionUncheckedCreateWithoutLiftedByInput[]
+  connectOrCreate?: Prisma.SuspensionCreateOrConnectWithoutLiftedByInput | Prisma.SuspensionCreateOrConnectWithoutLiftedByInput[]
+  upsert?: Prisma.SuspensionUpsertWithWhereUniqueWithoutLiftedByInput | Prisma.SuspensionUpsertWithWhereUniqueWithoutLiftedByInput[]
+  createMany?: Prisma.SuspensionCreateManyLiftedByInputEnvelope
+  set?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  disconnect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  delete?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  connect?: Prisma.SuspensionWhereUniqueInput | Prisma.SuspensionWhereUniqueInput[]
+  update?: Prisma.SuspensionUpdateWithWhereUniqueWithoutLiftedByInput | Prisma.SuspensionUpdateWithWhereUniqueWithoutLiftedByInput[]
+  updateMany?: Prisma.SuspensionUpdateManyWithWhereWithoutLiftedByInput | Prisma.SuspensionUpdateManyWithWhereWithoutLiftedByInput[]
+  deleteMany?: Prisma.SuspensionScalarWhereInput | Prisma.SuspensionScalarWhereInput[]
+}
+
+export type SuspensionCreateWithoutStudentInput = {
+  id?: string
+  startsAt: Date | string
+  endsAt: Date | string
+  reason: string
+  liftedAt?: Date | string | null
+  createdAt?: Date | string
+  liftedBy?: Prisma.UserCreateNestedOneWithoutLiftedSuspensionsInput
+}
+
+export type SuspensionUncheckedCreateWithoutStudentInput = {
+  id?: string
+  startsAt: Date | string
+  endsAt: Date | string
+  reason: string
+  liftedAt?: Date | string | null
+  liftedById?: string | null
+  createdAt?: Date | string
+}
+
+export type SuspensionCreateOrConnectWithoutStudentInput = {
+  where: Prisma.SuspensionWhereUniqueInput
+  create: Prisma.XOR<Prisma.SuspensionCreateWithoutStudentInput, Prisma.SuspensionUncheckedCreateWithoutStudentInput>
+}
+
+export type SuspensionCreateManyStudentInputEnvelope = {
+  data: Prisma.SuspensionCreateManyStudentInput | Prisma.SuspensionCreateManyStudentInput[]
+  skipDuplicates?: boolean
+}
+
+export type SuspensionUpsertWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.SuspensionWhereUniqueInput
+  update: Prisma.XOR<Prisma.SuspensionUpdateWithoutStudentInput, Prisma.SuspensionUncheckedUpdateWithoutStudentInput>
+  create: Prisma.XOR<Prisma.SuspensionCreateWithoutStudentInput, Prisma.SuspensionUncheckedCreateWithoutStudentInput>
+}
+
+export type SuspensionUpdateWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.SuspensionWhereUniqueInput
+  data: Prisma.XOR<Prisma.SuspensionUpdateWithoutStudentInput, Prisma.SuspensionUncheckedUpdateWithoutStudentInput>
+}
+
+export type SuspensionUpdateManyWithWhereWithoutStudentInput = {
+  where: Prisma.SuspensionScalarWhereInput
+  data: Prisma.XOR<Prisma.SuspensionUpdateManyMutationInput, Prisma.SuspensionUncheckedUpdateManyWithoutStudentInput>
+}
+
+export type SuspensionScalarWhereInput = {
+  AND?: Prisma.SuspensionScalarWhereInput | Prisma.SuspensionScalarWhereInput[]
+  OR?: Prisma.SuspensionScalarWhereInput[]
+  NOT?: Prisma.SuspensionScalarWhereInput | Prisma.SuspensionScalarWhereInput[]
+  id?: Prisma.StringFilter<"Suspension"> | string
+  studentId?: Prisma.StringFilter<"Suspension"> | string
+  startsAt?: Prisma.DateTimeFilter<"Suspension"> | Date | string
+  endsAt?: Prisma.DateTimeFilter<"Suspension"> | Date | string
+  reason?: Prisma.StringFilter<"Suspension"> | string
+  liftedAt?: Prisma.DateTimeNullableFilter<"Suspension"> | Date | string | null
+  liftedById?: Prisma.StringNullableFilter<"Suspension"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"Suspension"> | Date | string
+}
+
+export type SuspensionCreateWithoutLiftedByInput = {
+  id?: string
+  startsAt: Date | string
+  endsAt: Date | string
+  reason: string
+  liftedAt?: Date | string | null
+  createdAt?: Date | string
+  student: Prisma.StudentCreateNestedOneWithoutSuspensionsInput
+}
+
+export type SuspensionUncheckedCreateWithoutLiftedByInput = {
+  id?: string
+  studentId: string
+  startsAt: Date | string
+  endsAt: Date | string
+  reason: string
+  liftedAt?: Date | string | null
+  createdAt?: Date | string
+}
+
+export type SuspensionCreateOrConnectWithoutLiftedByInput = {
+  where: Prisma.SuspensionWhereUniqueInput
+  create: Prisma.XOR<Prisma.SuspensionCreateWithoutLiftedByInput, Prisma.SuspensionUncheckedCreateWithoutLiftedByInput>
+}
+
+export type SuspensionCreateManyLiftedByInputEnvelope = {
+  data: Prisma.SuspensionCreateManyLiftedByInput | Prisma.SuspensionCreateManyLiftedByInput[]
+  skipDuplicates?: boolean
+}
+
+export type SuspensionUpsertWithWhereUniqueWithoutLiftedByInput = {
+  where: Prisma.SuspensionWhereUniqueInput
+  update: Prisma.XOR<Prisma.SuspensionUpdateWithoutLiftedByInput, Prisma.SuspensionUncheckedUpdateWithoutLiftedByInput>
+  create: Prisma.XOR<Prisma.SuspensionCreateWithoutLiftedByInput, Prisma.SuspensionUncheckedCreateWithoutLiftedByInput>
+}
+
+export type SuspensionUpdateWithWhereUniqueWithoutLiftedByInput = {
+  where: Prisma.SuspensionWhereUniqueInput
+  data: Prisma.XOR<Prisma.SuspensionUpdateWithoutLiftedByInput, Prisma.SuspensionUncheckedUpdateWithoutLiftedByInput>
+}
+
+export type SuspensionUpdateManyWithWhereWithoutLiftedByInput = {
+  where: Prisma.SuspensionScalarWhereInput
+  data: Prisma.XOR<Prisma.SuspensionUpdateManyMutationInput, Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByInput>
+}
+
+export type SuspensionCreateManyStudentInput = {
+  id?: string
+  startsAt: Date | string
+  endsAt: Date | string
+  reason: string
+  liftedAt?: Date | string | null
+  liftedById?: string | null
+  createdAt?: Date | string
+}
+
+export type SuspensionUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  liftedBy?: Prisma.UserUpdateOneWithoutLiftedSuspensionsNestedInput
+}
+
+export type SuspensionUncheckedUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  liftedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SuspensionUncheckedUpdateManyWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  liftedById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SuspensionCreateManyLiftedByInput = {
+  id?: string
+  studentId: string
+  startsAt: Date | string
+  endsAt: Date | string
+  reason: string
+  liftedAt?: Date | string | null
+  createdAt?: Date | string
+}
+
+export type SuspensionUpdateWithoutLiftedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  student?: Prisma.StudentUpdateOneRequiredWithoutSuspensionsNestedInput
+}
+
+export type SuspensionUncheckedUpdateWithoutLiftedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SuspensionUncheckedUpdateManyWithoutLiftedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  startsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endsAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  liftedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+
+
+export type SuspensionSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  studentId?: boolean
+  startsAt?: boolean
+  endsAt?: boolean
+  reason?: boolean
+  liftedAt?: boolean
+  liftedById?: boolean
+  createdAt?: boolean
+  student?: boolean | Prisma.StudentDefaultArgs<ExtArgs>
+  liftedBy?: boolean | Prisma.Suspension$liftedByArgs<ExtArgs>
+}, ExtArgs["result"]["suspension"]>
+
+
+
+export type SuspensionSelectScalar = {
+  id?: boolean
+  studentId?: boolean
+  startsAt?: boolean
+  endsAt?: boolean
+  reason?: boolean
+  liftedAt?: boolean
+  liftedById?: boolean
+  createdAt?: boolean
+}
+
+export type SuspensionOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "studentId" | "startsAt" | "endsAt" | "reason" | "liftedAt" | "liftedById" | "createdAt", ExtArgs["result"]["suspension"]>
+export type SuspensionInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  student?: boolean | Prisma.StudentDefaultArgs<ExtArgs>
+  liftedBy?: boolean | Prisma.Suspension$liftedByArgs<ExtArgs>
+}
+
+export type $SuspensionPayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "Suspension"
+  objects: {
+    student: Prisma.$StudentPayload<ExtArgs>
+    liftedBy: Prisma.$UserPayload<ExtArgs> | null
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    studentId: string
+    startsAt: Date
+    endsAt: Date
+    reason: string
+    liftedAt: Date | null
+    liftedById: string | null
+    createdAt: Date
+  }, ExtArgs["result"]["suspension"]>
+  composites: {}
+}
+
+export type SuspensionGetPayload<S extends boolean | null | undefined | SuspensionDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$SuspensionPayload, S>
+
+export type SuspensionCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<SuspensionFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: SuspensionCountAggregateInputType | true
+  }
+
+export interface SuspensionDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['Suspension'], meta: { name: 'Suspension' } }
+  /**
+   * Find zero or one Suspension that matches the filter.
+   * @param {SuspensionFindUniqueArgs} args - Arguments to find a Suspension
+   * @example
+   * // Get one Suspension
+   * const suspension = await prisma.suspension.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends SuspensionFindUniqueArgs>(args: Prisma.SelectSubset<T, SuspensionFindUniqueArgs<ExtArgs>>): Prisma.Prisma__SuspensionClient<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one Suspension that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {SuspensionFindUniqueOrThrowArgs} args - Arguments to find a Suspension
+   * @example
+   * // Get one Suspension
+   * const suspension = await prisma.suspension.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends SuspensionFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, SuspensionFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__SuspensionClient<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first Suspension that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SuspensionFindFirstArgs} args - Arguments to find a Suspension
+   * @example
+   * // Get one Suspension
+   * const suspension = await prisma.suspension.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends SuspensionFindFirstArgs>(args?: Prisma.SelectSubset<T, SuspensionFindFirstArgs<ExtArgs>>): Prisma.Prisma__SuspensionClient<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first Suspension that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SuspensionFindFirstOrThrowArgs} args - Arguments to find a Suspension
+   * @example
+   * // Get one Suspension
+   * const suspension = await prisma.suspension.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends SuspensionFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, SuspensionFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__SuspensionClient<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more Suspensions that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SuspensionFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all Suspensions
+   * const suspensions = await prisma.suspension.findMany()
+   * 
+   * // Get first 10 Suspensions
+   * const suspensions = await prisma.suspension.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const suspensionWithIdOnly = await prisma.suspension.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends SuspensionFindManyArgs>(args?: Prisma.SelectSubset<T, SuspensionFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a Suspension.
+   * @param {SuspensionCreateArgs} args - Arguments to create a Suspension.
+   * @example
+   * // Create one Suspension
+   * const Suspension = await prisma.suspension.create({
+   *   data: {
+   *     // ... data to create a Suspension
+   *   }
+   * })
+   * 
+   */
+  create<T extends SuspensionCreateArgs>(args: Prisma.SelectSubset<T, SuspensionCreateArgs<ExtArgs>>): Prisma.Prisma__SuspensionClient<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many Suspensions.
+   * @param {SuspensionCreateManyArgs} args - Arguments to create many Suspensions.
+   * @example
+   * // Create many Suspensions
+   * const suspension = await prisma.suspension.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends SuspensionCreateManyArgs>(args?: Prisma.SelectSubset<T, SuspensionCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a Suspension.
+   * @param {SuspensionDeleteArgs} args - Arguments to delete one Suspension.
+   * @example
+   * // Delete one Suspension
+   * const Suspension = await prisma.suspension.delete({
+   *   where: {
+   *     // ... filter to delete one Suspension
+   *   }
+   * })
+   * 
+   */
+  delete<T extends SuspensionDeleteArgs>(args: Prisma.SelectSubset<T, SuspensionDeleteArgs<ExtArgs>>): Prisma.Prisma__SuspensionClient<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one Suspension.
+   * @param {SuspensionUpdateArgs} args - Arguments to update one Suspension.
+   * @example
+   * // Update one Suspension
+   * const suspension = await prisma.suspension.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends SuspensionUpdateArgs>(args: Prisma.SelectSubset<T, SuspensionUpdateArgs<ExtArgs>>): Prisma.Prisma__SuspensionClient<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more Suspensions.
+   * @param {SuspensionDeleteManyArgs} args - Arguments to filter Suspensions to delete.
+   * @example
+   * // Delete a few Suspensions
+   * const { count } = await prisma.suspension.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends SuspensionDeleteManyArgs>(args?: Prisma.SelectSubset<T, SuspensionDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more Suspensions.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SuspensionUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many Suspensions
+   * const suspension = await prisma.suspension.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends SuspensionUpdateManyArgs>(args: Prisma.SelectSubset<T, SuspensionUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one Suspension.
+   * @param {SuspensionUpsertArgs} args - Arguments to update or create a Suspension.
+   * @example
+   * // Update or create a Suspension
+   * const suspension = await prisma.suspension.upsert({
+   *   create: {
+   *     // ... data to create a Suspension
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the Suspension we want to update
+   *   }
+   * })
+   */
+  upsert<T extends SuspensionUpsertArgs>(args: Prisma.SelectSubset<T, SuspensionUpsertArgs<ExtArgs>>): Prisma.Prisma__SuspensionClient<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of Suspensions.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SuspensionCountArgs} args - Arguments to filter Suspensions to count.
+   * @example
+   * // Count the number of Suspensions
+   * const count = await prisma.suspension.count({
+   *   where: {
+   *     // ... the filter for the Suspensions we want to count
+   *   }
+   * })
+  **/
+  count<T extends SuspensionCountArgs>(
+    args?: Prisma.Subset<T, SuspensionCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], SuspensionCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a Suspension.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SuspensionAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends SuspensionAggregateArgs>(args: Prisma.Subset<T, SuspensionAggregateArgs>): Prisma.PrismaPromise<GetSuspensionAggregateType<T>>
+
+  /**
+   * Group by Suspension.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {SuspensionGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends SuspensionGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: SuspensionGroupByArgs['orderBy'] }
+      : { orderBy?: SuspensionGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, SuspensionGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetSuspensionGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the Suspension model
+ */
+readonly fields: SuspensionFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for Suspension.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__SuspensionClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  student<T extends Prisma.StudentDefaultArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.StudentDefaultArgs<ExtArgs>>): Prisma.Prisma__StudentClient<runtime.Types.Result.GetResult<Prisma.$StudentPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | Null, Null, ExtArgs, GlobalOmitOptions>
+  liftedBy<T extends Prisma.Suspension$liftedByArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Suspension$liftedByArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the Suspension model
+ */
+export interface SuspensionFieldRefs {
+  readonly id: Prisma.FieldRef<"Suspension", 'String'>
+  readonly studentId: Prisma.FieldRef<"Suspension", 'String'>
+  readonly startsAt: Prisma.FieldRef<"Suspension", 'DateTime'>
+  readonly endsAt: Prisma.FieldRef<"Suspension", 'DateTime'>
+  readonly reason: Prisma.FieldRef<"Suspension", 'String'>
+  readonly liftedAt: Prisma.FieldRef<"Suspension", 'DateTime'>
+  readonly liftedById: Prisma.FieldRef<"Suspension", 'String'>
+  readonly createdAt: Prisma.FieldRef<"Suspension", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * Suspension findUnique
+ */
+export type SuspensionFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  /**
+   * Filter, which Suspension to fetch.
+   */
+  where: Prisma.SuspensionWhereUniqueInput
+}
+
+/**
+ * Suspension findUniqueOrThrow
+ */
+export type SuspensionFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  /**
+   * Filter, which Suspension to fetch.
+   */
+  where: Prisma.SuspensionWhereUniqueInput
+}
+
+/**
+ * Suspension findFirst
+ */
+export type SuspensionFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  /**
+   * Filter, which Suspension to fetch.
+   */
+  where?: Prisma.SuspensionWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Suspensions to fetch.
+   */
+  orderBy?: Prisma.SuspensionOrderByWithRelationInput | Prisma.SuspensionOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for Suspensions.
+   */
+  cursor?: Prisma.SuspensionWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Suspensions from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Suspensions.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of Suspensions.
+   */
+  distinct?: Prisma.SuspensionScalarFieldEnum | Prisma.SuspensionScalarFieldEnum[]
+}
+
+/**
+ * Suspension findFirstOrThrow
+ */
+export type SuspensionFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  /**
+   * Filter, which Suspension to fetch.
+   */
+  where?: Prisma.SuspensionWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Suspensions to fetch.
+   */
+  orderBy?: Prisma.SuspensionOrderByWithRelationInput | Prisma.SuspensionOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for Suspensions.
+   */
+  cursor?: Prisma.SuspensionWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Suspensions from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Suspensions.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of Suspensions.
+   */
+  distinct?: Prisma.SuspensionScalarFieldEnum | Prisma.SuspensionScalarFieldEnum[]
+}
+
+/**
+ * Suspension findMany
+ */
+export type SuspensionFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  /**
+   * Filter, which Suspensions to fetch.
+   */
+  where?: Prisma.SuspensionWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Suspensions to fetch.
+   */
+  orderBy?: Prisma.SuspensionOrderByWithRelationInput | Prisma.SuspensionOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing Suspensions.
+   */
+  cursor?: Prisma.SuspensionWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Suspensions from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Suspensions.
+   */
+  skip?: number
+  distinct?: Prisma.SuspensionScalarFieldEnum | Prisma.SuspensionScalarFieldEnum[]
+}
+
+/**
+ * Suspension create
+ */
+export type SuspensionCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  /**
+   * The data needed to create a Suspension.
+   */
+  data: Prisma.XOR<Prisma.SuspensionCreateInput, Prisma.SuspensionUncheckedCreateInput>
+}
+
+/**
+ * Suspension createMany
+ */
+export type SuspensionCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many Suspensions.
+   */
+  data: Prisma.SuspensionCreateManyInput | Prisma.SuspensionCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * Suspension update
+ */
+export type SuspensionUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  /**
+   * The data needed to update a Suspension.
+   */
+  data: Prisma.XOR<Prisma.SuspensionUpdateInput, Prisma.SuspensionUncheckedUpdateInput>
+  /**
+   * Choose, which Suspension to update.
+   */
+  where: Prisma.SuspensionWhereUniqueInput
+}
+
+/**
+ * Suspension updateMany
+ */
+export type SuspensionUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update Suspensions.
+   */
+  data: Prisma.XOR<Prisma.SuspensionUpdateManyMutationInput, Prisma.SuspensionUncheckedUpdateManyInput>
+  /**
+   * Filter which Suspensions to update
+   */
+  where?: Prisma.SuspensionWhereInput
+  /**
+   * Limit how many Suspensions to update.
+   */
+  limit?: number
+}
+
+/**
+ * Suspension upsert
+ */
+export type SuspensionUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  /**
+   * The filter to search for the Suspension to update in case it exists.
+   */
+  where: Prisma.SuspensionWhereUniqueInput
+  /**
+   * In case the Suspension found by the `where` argument doesn't exist, create a new Suspension with this data.
+   */
+  create: Prisma.XOR<Prisma.SuspensionCreateInput, Prisma.SuspensionUncheckedCreateInput>
+  /**
+   * In case the Suspension was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.SuspensionUpdateInput, Prisma.SuspensionUncheckedUpdateInput>
+}
+
+/**
+ * Suspension delete
+ */
+export type SuspensionDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  /**
+   * Filter which Suspension to delete.
+   */
+  where: Prisma.SuspensionWhereUniqueInput
+}
+
+/**
+ * Suspension deleteMany
+ */
+export type SuspensionDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which Suspensions to delete
+   */
+  where?: Prisma.SuspensionWhereInput
+  /**
+   * Limit how many Suspensions to delete.
+   */
+  limit?: number
+}
+
+/**
+ * Suspension.liftedBy
+ */
+export type Suspension$liftedByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the User
+   */
+  select?: Prisma.UserSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the User
+   */
+  omit?: Prisma.UserOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.UserInclude<ExtArgs> | null
+  where?: Prisma.UserWhereInput
+}
+
+/**
+ * Suspension without action
+ */
+export type SuspensionDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+}
@@ -28,6 +28,9 @@ export type SystemLogMinAggregateOutputType = {
   id: string | null
   action: string | null
   message: string | null
+  actorId: string | null
+  studentId: string | null
+  bookingId: string | null
   createdAt: Date | null
 }
 
@@ -35,6 +38,9 @@ export type SystemLogMaxAggregateOutputType = {
   id: string | null
   action: string | null
   message: string | null
+  actorId: string | null
+  studentId: string | null
+  bookingId: string | null
   createdAt: Date | null
 }
 
@@ -43,6 +49,9 @@ export type SystemLogCountAggregateOutputType = {
   action: number
   message: number
   data: number
+  actorId: number
+  studentId: number
+  bookingId: number
   createdAt: number
   _all: number
 }
@@ -52,6 +61,9 @@ export type SystemLogMinAggregateInputType = {
   id?: true
   action?: true
   message?: true
+  actorId?: true
+  studentId?: true
+  bookingId?: true
   createdAt?: true
 }
 
@@ -59,6 +71,9 @@ export type SystemLogMaxAggregateInputType = {
   id?: true
   action?: true
   message?: true
+  actorId?: true
+  studentId?: true
+  bookingId?: true
   createdAt?: true
 }
 
@@ -67,6 +82,9 @@ export type SystemLogCountAggregateInputType = {
   action?: true
   message?: true
   data?: true
+  actorId?: true
+  studentId?: true
+  bookingId?: true
   createdAt?: true
   _all?: true
 }
@@ -148,6 +166,9 @@ export type SystemLogGroupByOutputType = {
   action: string
   message: string
   data: runtime.JsonValue | null
+  actorId: string | null
+  studentId: string | null
+  bookingId: string | null
   createdAt: Date
   _count: SystemLogCountAggregateOutputType | null
   _min: SystemLogMinAggregateOutputType | null
@@ -177,7 +198,12 @@ export type SystemLogWhereInput = {
   action?: Prisma.StringFilter<"SystemLog"> | string
   message?: Prisma.StringFilter<"SystemLog"> | string
   data?: Prisma.JsonNullableFilter<"SystemLog">
+  actorId?: Prisma.StringNullableFilter<"SystemLog"> | string | null
+  studentId?: Prisma.StringNullableFilter<"SystemLog"> | string | null
+  bookingId?: Prisma.StringNullableFilter<"SystemLog"> | string | null
   createdAt?: Prisma.DateTimeFilter<"SystemLog"> | Date | string
+  actor?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+  student?: Prisma.XOR<Prisma.StudentNullableScalarRelationFilter, Prisma.StudentWhereInput> | null
 }
 
 export type SystemLogOrderByWithRelationInput = {
@@ -185,7 +211,12 @@ export type SystemLogOrderByWithRelationInput = {
   action?: Prisma.SortOrder
   message?: Prisma.SortOrder
   data?: Prisma.SortOrderInput | Prisma.SortOrder
+  actorId?: Prisma.SortOrderInput | Prisma.SortOrder
+  studentId?: Prisma.SortOrderInput | Prisma.SortOrder
+  bookingId?: Prisma.SortOrderInput | Prisma.SortOrder
   createdAt?: Prisma.SortOrder
+  actor?: Prisma.UserOrderByWithRelationInput
+  student?: Prisma.StudentOrderByWithRelationInput
   _relevance?: Prisma.SystemLogOrderByRelevanceInput
 }
 
@@ -197,7 +228,12 @@ export type SystemLogWhereUniqueInput = Prisma.AtLeast<{
   action?: Prisma.StringFilter<"SystemLog"> | string
   message?: Prisma.StringFilter<"SystemLog"> | string
   data?: Prisma.JsonNullableFilter<"SystemLog">
+  actorId?: Prisma.StringNullableFilter<"SystemLog"> | string | null
+  studentId?: Prisma.StringNullableFilter<"SystemLog"> | string | null
+  bookingId?: Prisma.StringNullableFilter<"SystemLog"> | string | null
   createdAt?: Prisma.DateTimeFilter<"SystemLog"> | Date | string
+  actor?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+  student?: Prisma.XOR<Prisma.StudentNullableScalarRelationFilter, Prisma.StudentWhereInput> | null
 }, "id">
 
 export type SystemLogOrderByWithAggregationInput = {
@@ -205,6 +241,9 @@ export type SystemLogOrderByWithAggregationInput = {
   action?: Prisma.SortOrder
   message?: Prisma.SortOrder
   data?: Prisma.SortOrderInput | Prisma.SortOrder
+  actorId?: Prisma.SortOrderInput | Prisma.SortOrder
+  studentId?: Prisma.SortOrderInput | Prisma.SortOrder
+  bookingId?: Prisma.SortOrderInput | Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   _count?: Prisma.SystemLogCountOrderByAggregateInput
   _max?: Prisma.SystemLogMaxOrderByAggregateInput
@@ -219,6 +258,9 @@ export type SystemLogScalarWhereWithAggregatesInput = {
   action?: Prisma.StringWithAggregatesFilter<"SystemLog"> | string
   message?: Prisma.StringWithAggregatesFilter<"SystemLog"> | string
   data?: Prisma.JsonNullableWithAggregatesFilter<"SystemLog">
+  actorId?: Prisma.StringNullableWithAggregatesFilter<"SystemLog"> | string | null
+  studentId?: Prisma.StringNullableWithAggregatesFilter<"SystemLog"> | string | null
+  bookingId?: Prisma.StringNullableWithAggregatesFilter<"SystemLog"> | string | null
   createdAt?: Prisma.DateTimeWithAggregatesFilter<"SystemLog"> | Date | string
 }
 
@@ -227,7 +269,10 @@ export type SystemLogCreateInput = {
   action: string
   message: string
   data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookingId?: string | null
   createdAt?: Date | string
+  actor?: Prisma.UserCreateNestedOneWithoutSystemLogsInput
+  student?: Prisma.StudentCreateNestedOneWithoutSystemLogsInput
 }
 
 export type SystemLogUncheckedCreateInput = {
@@ -235,6 +280,9 @@ export type SystemLogUncheckedCreateInput = {
   action: string
   message: string
   data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  actorId?: string | null
+  studentId?: string | null
+  bookingId?: string | null
   createdAt?: Date | string
 }
 
@@ -243,7 +291,10 @@ export type SystemLogUpdateInput = {
   action?: Prisma.StringFieldUpdateOperationsInput | string
   message?: Prisma.StringFieldUpdateOperationsInput | string
   data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  actor?: Prisma.UserUpdateOneWithoutSystemLogsNestedInput
+  student?: Prisma.StudentUpdateOneWithoutSystemLogsNestedInput
 }
 
 export type SystemLogUncheckedUpdateInput = {
@@ -251,6 +302,9 @@ export type SystemLogUncheckedUpdateInput = {
   action?: Prisma.StringFieldUpdateOperationsInput | string
   message?: Prisma.StringFieldUpdateOperationsInput | string
   data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  actorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  studentId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
@@ -259,6 +313,9 @@ export type SystemLogCreateManyInput = {
   action: string
   message: string
   data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  actorId?: string | null
+  studentId?: string | null
+  bookingId?: string | null
   createdAt?: Date | string
 }
 
@@ -267,6 +324,7 @@ export type SystemLogUpdateManyMutationInput = {
   action?: Prisma.StringFieldUpdateOperationsInput | string
   message?: Prisma.StringFieldUpdateOperationsInput | string
   data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
@@ -275,9 +333,22 @@ export type SystemLogUncheckedUpdateManyInput = {
   action?: Prisma.StringFieldUpdateOperationsInput | string
   message?: Prisma.StringFieldUpdateOperationsInput | string
   data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  actorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  studentId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
 
+export type SystemLogListRelationFilter = {
+  every?: Prisma.SystemLogWhereInput
+  some?: Prisma.SystemLogWhereInput
+  none?: Prisma.SystemLogWhereInput
+}
+
+export type SystemLogOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
 export type SystemLogOrderByRelevanceInput = {
   fields: Prisma.SystemLogOrderByRelevanceFieldEnum | Prisma.SystemLogOrderByRelevanceFieldEnum[]
   sort: Prisma.SortOrder
@@ -289,6 +360,9 @@ export type SystemLogCountOrderByAggregateInput = {
   action?: Prisma.SortOrder
   message?: Prisma.SortOrder
   data?: Prisma.SortOrder
+  actorId?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  bookingId?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
 }
 
@@ -296,6 +370,9 @@ export type SystemLogMaxOrderByAggregateInput = {
   id?: Prisma.SortOrder
   action?: Prisma.SortOrder
   message?: Prisma.SortOrder
+  actorId?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  bookingId?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
 }
 
@@ -303,9 +380,282 @@ export type SystemLogMinOrderByAggregateInput = {
   id?: Prisma.SortOrder
   action?: Prisma.SortOrder
   message?: Prisma.SortOrder
+  actorId?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  bookingId?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
 }
 
+export type SystemLogCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.SystemLogCreateWithoutStudentInput, Prisma.SystemLogUncheckedCreateWithoutStudentInput> | Prisma.SystemLogCreateWithoutStudentInput[] | Prisma.SystemLogUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.SystemLogCreateOrConnectWithoutStudentInput | Prisma.SystemLogCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.SystemLogCreateManyStudentInputEnvelope
+  connect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+}
+
+export type SystemLogUncheckedCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.SystemLogCreateWithoutStudentInput, Prisma.SystemLogUncheckedCreateWithoutStudentInput> | Prisma.SystemLogCreateWithoutStudentInput[] | Prisma.SystemLogUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.SystemLogCreateOrConnectWithoutStudentInput | Prisma.SystemLogCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.SystemLogCreateManyStudentInputEnvelope
+  connect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+}
+
+export type SystemLogUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.SystemLogCreateWithoutStudentInput, Prisma.SystemLogUncheckedCreateWithoutStudentInput> | Prisma.SystemLogCreateWithoutStudentInput[] | Prisma.SystemLogUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.SystemLogCreateOrConnectWithoutStudentInput | Prisma.SystemLogCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.SystemLogUpsertWithWhereUniqueWithoutStudentInput | Prisma.SystemLogUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.SystemLogCreateManyStudentInputEnvelope
+  set?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  disconnect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  delete?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  connect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  update?: Prisma.SystemLogUpdateWithWhereUniqueWithoutStudentInput | Prisma.SystemLogUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.SystemLogUpdateManyWithWhereWithoutStudentInput | Prisma.SystemLogUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.SystemLogScalarWhereInput | Prisma.SystemLogScalarWhereInput[]
+}
+
+export type SystemLogUncheckedUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.SystemLogCreateWithoutStudentInput, Prisma.SystemLogUncheckedCreateWithoutStudentInput> | Prisma.SystemLogCreateWithoutStudentInput[] | Prisma.SystemLogUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.SystemLogCreateOrConnectWithoutStudentInput | Prisma.SystemLogCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.SystemLogUpsertWithWhereUniqueWithoutStudentInput | Prisma.SystemLogUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.SystemLogCreateManyStudentInputEnvelope
+  set?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  disconnect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  delete?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  connect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  update?: Prisma.SystemLogUpdateWithWhereUniqueWithoutStudentInput | Prisma.SystemLogUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.SystemLogUpdateManyWithWhereWithoutStudentInput | Prisma.SystemLogUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.SystemLogScalarWhereInput | Prisma.SystemLogScalarWhereInput[]
+}
+
+export type SystemLogCreateNestedManyWithoutActorInput = {
+  create?: Prisma.XOR<Prisma.SystemLogCreateWithoutActorInput, Prisma.SystemLogUncheckedCreateWithoutActorInput> | Prisma.SystemLogCreateWithoutActorInput[] | Prisma.SystemLogUncheckedCreateWithoutActorInput[]
+  connectOrCreate?: Prisma.SystemLogCreateOrConnectWithoutActorInput | Prisma.SystemLogCreateOrConnectWithoutActorInput[]
+  createMany?: Prisma.SystemLogCreateManyActorInputEnvelope
+  connect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+}
+
+export type SystemLogUncheckedCreateNestedManyWithoutActorInput = {
+  create?: Prisma.XOR<Prisma.SystemLogCreateWithoutActorInput, Prisma.SystemLogUncheckedCreateWithoutActorInput> | Prisma.SystemLogCreateWithoutActorInput[] | Prisma.SystemLogUncheckedCreateWithoutActorInput[]
+  connectOrCreate?: Prisma.SystemLogCreateOrConnectWithoutActorInput | Prisma.SystemLogCreateOrConnectWithoutActorInput[]
+  createMany?: Prisma.SystemLogCreateManyActorInputEnvelope
+  connect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+}
+
+export type SystemLogUpdateManyWithoutActorNestedInput = {
+  create?: Prisma.XOR<Prisma.SystemLogCreateWithoutActorInput, Prisma.SystemLogUncheckedCreateWithoutActorInput> | Prisma.SystemLogCreateWithoutActorInput[] | Prisma.SystemLogUncheckedCreateWithoutActorInput[]
+  connectOrCreate?: Prisma.SystemLogCreateOrConnectWithoutActorInput | Prisma.SystemLogCreateOrConnectWithoutActorInput[]
+  upsert?: Prisma.SystemLogUpsertWithWhereUniqueWithoutActorInput | Prisma.SystemLogUpsertWithWhereUniqueWithoutActorInput[]
+  createMany?: Prisma.SystemLogCreateManyActorInputEnvelope
+  set?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  disconnect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  delete?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  connect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  update?: Prisma.SystemLogUpdateWithWhereUniqueWithoutActorInput | Prisma.SystemLogUpdateWithWhereUniqueWithoutActorInput[]
+  updateMany?: Prisma.SystemLogUpdateManyWithWhereWithoutActorInput | Prisma.SystemLogUpdateManyWithWhereWithoutActorInput[]
+  deleteMany?: Prisma.SystemLogScalarWhereInput | Prisma.SystemLogScalarWhereInput[]
+}
+
+export type SystemLogUncheckedUpdateManyWithoutActorNestedInput = {
+  create?: Prisma.XOR<Prisma.SystemLogCreateWithoutActorInput, Prisma.SystemLogUncheckedCreateWithoutActorInput> | Prisma.SystemLogCreateWithoutActorInput[] | Prisma.SystemLogUncheckedCreateWithoutActorInput[]
+  connectOrCreate?: Prisma.SystemLogCreateOrConnectWithoutActorInput | Prisma.SystemLogCreateOrConnectWithoutActorInput[]
+  upsert?: Prisma.SystemLogUpsertWithWhereUniqueWithoutActorInput | Prisma.SystemLogUpsertWithWhereUniqueWithoutActorInput[]
+  createMany?: Prisma.SystemLogCreateManyActorInputEnvelope
+  set?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  disconnect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  delete?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  connect?: Prisma.SystemLogWhereUniqueInput | Prisma.SystemLogWhereUniqueInput[]
+  update?: Prisma.SystemLogUpdateWithWhereUniqueWithoutActorInput | Prisma.SystemLogUpdateWithWhereUniqueWithoutActorInput[]
+  updateMany?: Prisma.SystemLogUpdateManyWithWhereWithoutActorInput | Prisma.SystemLogUpdateManyWithWhereWithoutActorInput[]
+  deleteMany?: Prisma.SystemLogScalarWhereInput | Prisma.SystemLogScalarWhereInput[]
+}
+
+export type SystemLogCreateWithoutStudentInput = {
+  id?: string
+  action: string
+  message: string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookingId?: string | null
+  createdAt?: Date | string
+  actor?: Prisma.UserCreateNestedOneWithoutSystemLogsInput
+}
+
+export type SystemLogUncheckedCreateWithoutStudentInput = {
+  id?: string
+  action: string
+  message: string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  actorId?: string | null
+  bookingId?: string | null
+  createdAt?: Date | string
+}
+
+export type SystemLogCreateOrConnectWithoutStudentInput = {
+  where: Prisma.SystemLogWhereUniqueInput
+  create: Prisma.XOR<Prisma.SystemLogCreateWithoutStudentInput, Prisma.SystemLogUncheckedCreateWithoutStudentInput>
+}
+
+export type SystemLogCreateManyStudentInputEnvelope = {
+  data: Prisma.SystemLogCreateManyStudentInput | Prisma.SystemLogCreateManyStudentInput[]
+  skipDuplicates?: boolean
+}
+
+export type SystemLogUpsertWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.SystemLogWhereUniqueInput
+  update: Prisma.XOR<Prisma.SystemLogUpdateWithoutStudentInput, Prisma.SystemLogUncheckedUpdateWithoutStudentInput>
+  create: Prisma.XOR<Prisma.SystemLogCreateWithoutStudentInput, Prisma.SystemLogUncheckedCreateWithoutStudentInput>
+}
+
+export type SystemLogUpdateWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.SystemLogWhereUniqueInput
+  data: Prisma.XOR<Prisma.SystemLogUpdateWithoutStudentInput, Prisma.SystemLogUncheckedUpdateWithoutStudentInput>
+}
+
+export type SystemLogUpdateManyWithWhereWithoutStudentInput = {
+  where: Prisma.SystemLogScalarWhereInput
+  data: Prisma.XOR<Prisma.SystemLogUpdateManyMutationInput, Prisma.SystemLogUncheckedUpdateManyWithoutStudentInput>
+}
+
+export type SystemLogScalarWhereInput = {
+  AND?: Prisma.SystemLogScalarWhereInput | Prisma.SystemLogScalarWhereInput[]
+  OR?: Prisma.SystemLogScalarWhereInput[]
+  NOT?: Prisma.SystemLogScalarWhereInput | Prisma.SystemLogScalarWhereInput[]
+  id?: Prisma.StringFilter<"SystemLog"> | string
+  action?: Prisma.StringFilter<"SystemLog"> | string
+  message?: Prisma.StringFilter<"SystemLog"> | string
+  data?: Prisma.JsonNullableFilter<"SystemLog">
+  actorId?: Prisma.StringNullableFilter<"SystemLog"> | string | null
+  studentId?: Prisma.StringNullableFilter<"SystemLog"> | string | null
+  bookingId?: Prisma.StringNullableFilter<"SystemLog"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"SystemLog"> | Date | string
+}
+
+export type SystemLogCreateWithoutActorInput = {
+  id?: string
+  action: string
+  message: string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookingId?: string | null
+  createdAt?: Date | string
+  student?: Prisma.StudentCreateNestedOneWithoutSystemLogsInput
+}
+
+export type SystemLogUncheckedCreateWithoutActorInput = {
+  id?: string
+  action: string
+  message: string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  studentId?: string | null
+  bookingId?: string | null
+  createdAt?: Date | string
+}
+
+export type SystemLogCreateOrConnectWithoutActorInput = {
+  where: Prisma.SystemLogWhereUniqueInput
+  create: Prisma.XOR<Prisma.SystemLogCreateWithoutActorInput, Prisma.SystemLogUncheckedCreateWithoutActorInput>
+}
+
+export type SystemLogCreateManyActorInputEnvelope = {
+  data: Prisma.SystemLogCreateManyActorInput | Prisma.SystemLogCreateManyActorInput[]
+  skipDuplicates?: boolean
+}
+
+export type SystemLogUpsertWithWhereUniqueWithoutActorInput = {
+  where: Prisma.SystemLogWhereUniqueInput
+  update: Prisma.XOR<Prisma.SystemLogUpdateWithoutActorInput, Prisma.SystemLogUncheckedUpdateWithoutActorInput>
+  create: Prisma.XOR<Prisma.SystemLogCreateWithoutActorInput, Prisma.SystemLogUncheckedCreateWithoutActorInput>
+}
+
+export type SystemLogUpdateWithWhereUniqueWithoutActorInput = {
+  where: Prisma.SystemLogWhereUniqueInput
+  data: Prisma.XOR<Prisma.SystemLogUpdateWithoutActorInput, Prisma.SystemLogUncheckedUpdateWithoutActorInput>
+}
+
+export type SystemLogUpdateManyWithWhereWithoutActorInput = {
+  where: Prisma.SystemLogScalarWhereInput
+  data: Prisma.XOR<Prisma.SystemLogUpdateManyMutationInput, Prisma.SystemLogUncheckedUpdateManyWithoutActorInput>
+}
+
+export type SystemLogCreateManyStudentInput = {
+  id?: string
+  action: string
+  message: string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  actorId?: string | null
+  bookingId?: string | null
+  createdAt?: Date | string
+}
+
+export type SystemLogUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  action?: Prisma.StringFieldUpdateOperationsInput | string
+  message?: Prisma.StringFieldUpdateOperationsInput | string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  actor?: Prisma.UserUpdateOneWithoutSystemLogsNestedInput
+}
+
+export type SystemLogUncheckedUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  action?: Prisma.StringFieldUpdateOperationsInput | string
+  message?: Prisma.StringFieldUpdateOperationsInput | string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  actorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SystemLogUncheckedUpdateManyWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  action?: Prisma.StringFieldUpdateOperationsInput | string
+  message?: Prisma.StringFieldUpdateOperationsInput | string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  actorId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SystemLogCreateManyActorInput = {
+  id?: string
+  action: string
+  message: string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  studentId?: string | null
+  bookingId?: string | null
+  createdAt?: Date | string
+}
+
+export type SystemLogUpdateWithoutActorInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  action?: Prisma.StringFieldUpdateOperationsInput | string
+  message?: Prisma.StringFieldUpdateOperationsInput | string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  student?: Prisma.StudentUpdateOneWithoutSystemLogsNestedInput
+}
+
+export type SystemLogUncheckedUpdateWithoutActorInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  action?: Prisma.StringFieldUpdateOperationsInput | string
+  message?: Prisma.StringFieldUpdateOperationsInput | string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  studentId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type SystemLogUncheckedUpdateManyWithoutActorInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  action?: Prisma.StringFieldUpdateOperationsInput | string
+  message?: Prisma.StringFieldUpdateOperationsInput | string
+  data?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  studentId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
 
 
 export type SystemLogSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
@@ -313,7 +663,12 @@ export type SystemLogSelect<ExtArgs extends runtime.Types.Extensions.InternalArg
   action?: boolean
   message?: boolean
   data?: boolean
+  actorId?: boolean
+  studentId?: boolean
+  bookingId?: boolean
   createdAt?: boolean
+  actor?: boolean | Prisma.SystemLog$actorArgs<ExtArgs>
+  student?: boolean | Prisma.SystemLog$studentArgs<ExtArgs>
 }, ExtArgs["result"]["systemLog"]>
 
 
@@ -323,19 +678,32 @@ export type SystemLogSelectScalar = {
   action?: boolean
   message?: boolean
   data?: boolean
+  actorId?: boolean
+  studentId?: boolean
+  bookingId?: boolean
   createdAt?: boolean
 }
 
-export type SystemLogOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "action" | "message" | "data" | "createdAt", ExtArgs["result"]["systemLog"]>
+export type SystemLogOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "action" | "message" | "data" | "actorId" | "studentId" | "bookingId" | "createdAt", ExtArgs["result"]["systemLog"]>
+export type SystemLogInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  actor?: boolean | Prisma.SystemLog$actorArgs<ExtArgs>
+  student?: boolean | Prisma.SystemLog$studentArgs<ExtArgs>
+}
 
 export type $SystemLogPayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
   name: "SystemLog"
-  objects: {}
+  objects: {
+    actor: Prisma.$UserPayload<ExtArgs> | null
+    student: Prisma.$StudentPayload<ExtArgs> | null
+  }
   scalars: runtime.Types.Extensions.GetPayloadResult<{
     id: string
     action: string
     message: string
     data: runtime.JsonValue | null
+    actorId: string | null
+    studentId: string | null
+    bookingId: string | null
     createdAt: Date
   }, ExtArgs["result"]["systemLog"]>
   composites: {}
@@ -677,6 +1045,8 @@ readonly fields: SystemLogFieldRefs;
  */
 export interface Prisma__SystemLogClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
   readonly [Symbol.toStringTag]: "PrismaPromise"
+  actor<T extends Prisma.SystemLog$actorArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.SystemLog$actorArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  student<T extends Prisma.SystemLog$studentArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.SystemLog$studentArgs<ExtArgs>>): Prisma.Prisma__StudentClient<runtime.Types.Result.GetResult<Prisma.$StudentPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
   /**
    * Attaches callbacks for the resolution and/or rejection of the Promise.
    * @param onfulfilled The callback to execute when the Promise is resolved.
@@ -710,6 +1080,9 @@ export interface SystemLogFieldRefs {
   readonly action: Prisma.FieldRef<"SystemLog", 'String'>
   readonly message: Prisma.FieldRef<"SystemLog", 'String'>
   readonly data: Prisma.FieldRef<"SystemLog", 'Json'>
+  readonly actorId: Prisma.FieldRef<"SystemLog", 'String'>
+  readonly studentId: Prisma.FieldRef<"SystemLog", 'String'>
+  readonly bookingId: Prisma.FieldRef<"SystemLog", 'String'>
   readonly createdAt: Prisma.FieldRef<"SystemLog", 'DateTime'>
 }
     
@@ -727,6 +1100,10 @@ export type SystemLogFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.Int
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
   /**
    * Filter, which SystemLog to fetch.
    */
@@ -745,6 +1122,10 @@ export type SystemLogFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensi
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
   /**
    * Filter, which SystemLog to fetch.
    */
@@ -763,6 +1144,10 @@ export type SystemLogFindFirstArgs<ExtArgs extends runtime.Types.Extensions.Inte
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
   /**
    * Filter, which SystemLog to fetch.
    */
@@ -811,6 +1196,10 @@ export type SystemLogFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensio
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
   /**
    * Filter, which SystemLog to fetch.
    */
@@ -859,6 +1248,10 @@ export type SystemLogFindManyArgs<ExtArgs extends runtime.Types.Extensions.Inter
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
   /**
    * Filter, which SystemLogs to fetch.
    */
@@ -902,6 +1295,10 @@ export type SystemLogCreateArgs<ExtArgs extends runtime.Types.Extensions.Interna
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
   /**
    * The data needed to create a SystemLog.
    */
@@ -931,6 +1328,10 @@ export type SystemLogUpdateArgs<ExtArgs extends runtime.Types.Extensions.Interna
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
   /**
    * The data needed to update a SystemLog.
    */
@@ -971,6 +1372,10 @@ export type SystemLogUpsertArgs<ExtArgs extends runtime.Types.Extensions.Interna
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
   /**
    * The filter to search for the SystemLog to update in case it exists.
    */
@@ -997,6 +1402,10 @@ export type SystemLogDeleteArgs<ExtArgs extends runtime.Types.Extensions.Interna
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
   /**
    * Filter which SystemLog to delete.
    */
@@ -1017,6 +1426,44 @@ export type SystemLogDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.Int
   limit?: number
 }
 
+/**
+ * SystemLog.actor
+ */
+export type SystemLog$actorArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the User
+   */
+  select?: Prisma.UserSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the User
+   */
+  omit?: Prisma.UserOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.UserInclude<ExtArgs> | null
+  where?: Prisma.UserWhereInput
+}
+
+/**
+ * SystemLog.student
+ */
+export type SystemLog$studentArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Student
+   */
+  select?: Prisma.StudentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Student
+   */
+  omit?: Prisma.StudentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentInclude<ExtArgs> | null
+  where?: Prisma.StudentWhereInput
+}
+
 /**
  * SystemLog without action
  */
@@ -1029,4 +1476,8 @@ export type SystemLogDefaultArgs<ExtArgs extends runtime.Types.Extensions.Intern
    * Omit specific fields from the SystemLog
    */
   omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
 }
@@ -20,16 +20,32 @@ export type UserModel = runtime.Types.Result.DefaultSelection<Prisma.$UserPayloa
 
 export type AggregateUser = {
   _count: UserCountAggregateOutputType | null
+  _avg: UserAvgAggregateOutputType | null
+  _sum: UserSumAggregateOutputType | null
   _min: UserMinAggregateOutputType | null
   _max: UserMaxAggregateOutputType | null
 }
 
+export type UserAvgAggregateOutputType = {
+  totpLastStep: number | null
+}
+
+export type UserSumAggregateOutputType = {
+  totpLastStep: number | null
+}
+
 export type UserMinAggregateOutputType = {
   id: string | null
   email: string | null
   name: string | null
   password: string | null
   role: $Enums.Role | null
+  branch: string | null
+  lastLoginAt: Date | null
+  disabledAt: Date | null
+  totpSecret: string | null
+  totpEnabledAt: Date | null
+  totpLastStep: number | null
   createdAt: Date | null
   updatedAt: Date | null
 }
@@ -40,6 +56,12 @@ export type UserMaxAggregateOutputType = {
   name: string | null
   password: string | null
   role: $Enums.Role | null
+  branch: string | null
+  lastLoginAt: Date | null
+  disabledAt: Date | null
+  totpSecret: string | null
+  totpEnabledAt: Date | null
+  totpLastStep: number | null
   createdAt: Date | null
   updatedAt: Date | null
 }
@@ -50,18 +72,39 @@ export type UserCountAggregateOutputType = {
   name: number
   password: number
   role: number
+  branch: number
+  lastLoginAt: number
+  disabledAt: number
+  totpSecret: number
+  totpEnabledAt: number
+  totpLastStep: number
+  recoveryCodes: number
   createdAt: number
   updatedAt: number
   _all: number
 }
 
 
+export type UserAvgAggregateInputType = {
+  totpLastStep?: true
+}
+
+export type UserSumAggregateInputType = {
+  totpLastStep?: true
+}
+
 export type UserMinAggregateInputType = {
   id?: true
   email?: true
   name?: true
   password?: true
   role?: true
+  branch?: true
+  lastLoginAt?: true
+  disabledAt?: true
+  totpSecret?: true
+  totpEnabledAt?: true
+  totpLastStep?: true
   createdAt?: true
   updatedAt?: true
 }
@@ -72,6 +115,12 @@ export type UserMaxAggregateInputType = {
   name?: true
   password?: true
   role?: true
+  branch?: true
+  lastLoginAt?: true
+  disabledAt?: true
+  totpSecret?: true
+  totpEnabledAt?: true
+  totpLastStep?: true
   createdAt?: true
   updatedAt?: true
 }
@@ -82,6 +131,13 @@ export type UserCountAggregateInputType = {
   name?: true
   password?: true
   role?: true
+  branch?: true
+  lastLoginAt?: true
+  disabledAt?: true
+  totpSecret?: true
+  totpEnabledAt?: true
+  totpLastStep?: true
+  recoveryCodes?: true
   createdAt?: true
   updatedAt?: true
   _all?: true
@@ -122,6 +178,18 @@ export type UserAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalA
    * Count returned Users
   **/
   _count?: true | UserCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to average
+  **/
+  _avg?: UserAvgAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to sum
+  **/
+  _sum?: UserSumAggregateInputType
   /**
    * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
    * 
@@ -155,6 +223,8 @@ export type UserGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArg
   take?: number
   skip?: number
   _count?: UserCountAggregateInputType | true
+  _avg?: UserAvgAggregateInputType
+  _sum?: UserSumAggregateInputType
   _min?: UserMinAggregateInputType
   _max?: UserMaxAggregateInputType
 }
@@ -165,9 +235,18 @@ export type UserGroupByOutputType = {
   name: string
   password: string
   role: $Enums.Role
+  branch: string | null
+  lastLoginAt: Date | null
+  disabledAt: Date | null
+  totpSecret: string | null
+  totpEnabledAt: Date | null
+  totpLastStep: number | null
+  recoveryCodes: runtime.JsonValue | null
   createdAt: Date
   updatedAt: Date
   _count: UserCountAggregateOutputType | null
+  _avg: UserAvgAggregateOutputType | null
+  _sum: UserSumAggregateOutputType | null
   _min: UserMinAggregateOutputType | null
   _max: UserMaxAggregateOutputType | null
 }
@@ -196,10 +275,26 @@ export type UserWhereInput = {
   name?: Prisma.StringFilter<"User"> | string
   password?: Prisma.StringFilter<"User"> | string
   role?: Prisma.EnumRoleFilter<"User"> | $Enums.Role
+  branch?: Prisma.StringNullableFilter<"User"> | string | null
+  lastLoginAt?: Prisma.DateTimeNullableFilter<"User"> | Date | string | null
+  disabledAt?: Prisma.DateTimeNullableFilter<"User"> | Date | string | null
+  totpSecret?: Prisma.StringNullableFilter<"User"> | string | null
+  totpEnabledAt?: Prisma.DateTimeNullableFilter<"User"> | Date | string | null
+  totpLastStep?: Prisma.IntNullableFilter<"User"> | number | null
+  recoveryCodes?: Prisma.JsonNullableFilter<"User">
   createdAt?: Prisma.DateTimeFilter<"User"> | Date | string
   updatedAt?: Prisma.DateTimeFilter<"User"> | Date | string
   bookingsMarked?: Prisma.BookingListRelationFilter
   statusChanges?: Prisma.BookingStatusHistoryListRelationFilter
+  closures?: Prisma.ClosureListRelationFilter
+  assignments?: Prisma.SessionAssignmentListRelationFilter
+  maintenance?: Prisma.VehicleMaintenanceListRelationFilter
+  liftedSuspensions?: Prisma.SuspensionListRelationFilter
+  instancesUpdated?: Prisma.SessionInstanceListRelationFilter
+  jobRuns?: Prisma.JobRunListRelationFilter
+  systemLogs?: Prisma.SystemLogListRelationFilter
+  authSessions?: Prisma.AuthSessionListRelationFilter
+  registrations?: Prisma.StudentRegistrationListRelationFilter
 }
 
 export type UserOrderByWithRelationInput = {
@@ -208,10 +303,26 @@ export type UserOrderByWithRelationInput = {
   name?: Prisma.SortOrder
   password?: Prisma.SortOrder
   role?: Prisma.SortOrder
+  branch?: Prisma.SortOrderInput | Prisma.SortOrder
+  lastLoginAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  disabledAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  totpSecret?: Prisma.SortOrderInput | Prisma.SortOrder
+  totpEnabledAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  totpLastStep?: Prisma.SortOrderInput | Prisma.SortOrder
+  recoveryCodes?: Prisma.SortOrderInput | Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
   bookingsMarked?: Prisma.BookingOrderByRelationAggregateInput
   statusChanges?: Prisma.BookingStatusHistoryOrderByRelationAggregateInput
+  closures?: Prisma.ClosureOrderByRelationAggregateInput
+  assignments?: Prisma.SessionAssignmentOrderByRelationAggregateInput
+  maintenance?: Prisma.VehicleMaintenanceOrderByRelationAggregateInput
+  liftedSuspensions?: Prisma.SuspensionOrderByRelationAggregateInput
+  instancesUpdated?: Prisma.SessionInstanceOrderByRelationAggregateInput
+  jobRuns?: Prisma.JobRunOrderByRelationAggregateInput
+  systemLogs?: Prisma.SystemLogOrderByRelationAggregateInput
+  authSessions?: Prisma.AuthSessionOrderByRelationAggregateInput
+  registrations?: Prisma.StudentRegistrationOrderByRelationAggregateInput
   _relevance?: Prisma.UserOrderByRelevanceInput
 }
 
@@ -224,10 +335,26 @@ export type UserWhereUniqueInput = Prisma.AtLeast<{
   name?: Prisma.StringFilter<"User"> | string
   password?: Prisma.StringFilter<"User"> | string
   role?: Prisma.EnumRoleFilter<"User"> | $Enums.Role
+  branch?: Prisma.StringNullableFilter<"User"> | string | null
+  lastLoginAt?: Prisma.DateTimeNullableFilter<"User"> | Date | string | null
+  disabledAt?: Prisma.DateTimeNullableFilter<"User"> | Date | string | null
+  totpSecret?: Prisma.StringNullableFilter<"User"> | string | null
+  totpEnabledAt?: Prisma.DateTimeNullableFilter<"User"> | Date | string | null
+  totpLastStep?: Prisma.IntNullableFilter<"User"> | number | null
+  recoveryCodes?: Prisma.JsonNullableFilter<"User">
   createdAt?: Prisma.DateTimeFilter<"User"> | Date | string
   updatedAt?: Prisma.DateTimeFilter<"User"> | Date | string
   bookingsMarked?: Prisma.BookingListRelationFilter
   statusChanges?: Prisma.BookingStatusHistoryListRelationFilter
+  closures?: Prisma.ClosureListRelationFilter
+  assignments?: Prisma.SessionAssignmentListRelationFilter
+  maintenance?: Prisma.VehicleMaintenanceListRelationFilter
+  liftedSuspensions?: Prisma.SuspensionListRelationFilter
+  instancesUpdated?: Prisma.SessionInstanceListRelationFilter
+  jobRuns?: Prisma.JobRunListRelationFilter
+  systemLogs?: Prisma.SystemLogListRelationFilter
+  authSessions?: Prisma.AuthSessionListRelationFilter
+  registrations?: Prisma.StudentRegistrationListRelationFilter
 }, "id" | "email">
 
 export type UserOrderByWithAggregationInput = {
@@ -236,11 +363,20 @@ export type UserOrderByWithAggregationInput = {
   name?: Prisma.SortOrder
   password?: Prisma.SortOrder
   role?: Prisma.SortOrder
+  branch?: Prisma.SortOrderInput | Prisma.SortOrder
+  lastLoginAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  disabledAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  totpSecret?: Prisma.SortOrderInput | Prisma.SortOrder
+  totpEnabledAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  totpLastStep?: Prisma.SortOrderInput | Prisma.SortOrder
+  recoveryCodes?: Prisma.SortOrderInput | Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
   _count?: Prisma.UserCountOrderByAggregateInput
+  _avg?: Prisma.UserAvgOrderByAggregateInput
   _max?: Prisma.UserMaxOrderByAggregateInput
   _min?: Prisma.UserMinOrderByAggregateInput
+  _sum?: Prisma.UserSumOrderByAggregateInput
 }
 
 export type UserScalarWhereWithAggregatesInput = {
@@ -252,6 +388,13 @@ export type UserScalarWhereWithAggregatesInput = {
   name?: Prisma.StringWithAggregatesFilter<"User"> | string
   password?: Prisma.StringWithAggregatesFilter<"User"> | string
   role?: Prisma.EnumRoleWithAggregatesFilter<"User"> | $Enums.Role
+  branch?: Prisma.StringNullableWithAggregatesFilter<"User"> | string | null
+  lastLoginAt?: Prisma.DateTimeNullableWithAggregatesFilter<"User"> | Date | string | null
+  disabledAt?: Prisma.DateTimeNullableWithAggregatesFilter<"User"> | Date | string | null
+  totpSecret?: Prisma.StringNullableWithAggregatesFilter<"User"> | string | null
+  totpEnabledAt?: Prisma.DateTimeNullableWithAggregatesFilter<"User"> | Date | string | null
+  totpLastStep?: Prisma.IntNullableWithAggregatesFilter<"User"> | number | null
+  recoveryCodes?: Prisma.JsonNullableWithAggregatesFilter<"User">
   createdAt?: Prisma.DateTimeWithAggregatesFilter<"User"> | Date | string
   updatedAt?: Prisma.DateTimeWithAggregatesFilter<"User"> | Date | string
 }
@@ -262,10 +405,26 @@ export type UserCreateInput = {
   name: string
   password: string
   role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Date | string
   updatedAt?: Date | string
   bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
   statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
 }
 
 export type UserUncheckedCreateInput = {
@@ -274,10 +433,26 @@ export type UserUncheckedCreateInput = {
   name: string
   password: string
   role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Date | string
   updatedAt?: Date | string
   bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
   statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
 }
 
 export type UserUpdateInput = {
@@ -286,10 +461,26 @@ export type UserUpdateInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   password?: Prisma.StringFieldUpdateOperationsInput | string
   role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
   statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
 }
 
 export type UserUncheckedUpdateInput = {
@@ -298,10 +489,26 @@ export type UserUncheckedUpdateInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   password?: Prisma.StringFieldUpdateOperationsInput | string
   role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
   statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
 }
 
 export type UserCreateManyInput = {
@@ -310,6 +517,13 @@ export type UserCreateManyInput = {
   name: string
   password: string
   role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Date | string
   updatedAt?: Date | string
 }
@@ -320,6 +534,13 @@ export type UserUpdateManyMutationInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   password?: Prisma.StringFieldUpdateOperationsInput | string
   role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
@@ -330,6 +551,13 @@ export type UserUncheckedUpdateManyInput = {
   name?: Prisma.StringFieldUpdateOperationsInput | string
   password?: Prisma.StringFieldUpdateOperationsInput | string
   role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
 }
@@ -351,184 +579,1599 @@ export type UserCountOrderByAggregateInput = {
   name?: Prisma.SortOrder
   password?: Prisma.SortOrder
   role?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  lastLoginAt?: Prisma.SortOrder
+  disabledAt?: Prisma.SortOrder
+  totpSecret?: Prisma.SortOrder
+  totpEnabledAt?: Prisma.SortOrder
+  totpLastStep?: Prisma.SortOrder
+  recoveryCodes?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
 }
 
+export type UserAvgOrderByAggregateInput = {
+  totpLastStep?: Prisma.SortOrder
+}
+
 export type UserMaxOrderByAggregateInput = {
   id?: Prisma.SortOrder
   email?: Prisma.SortOrder
   name?: Prisma.SortOrder
   password?: Prisma.SortOrder
   role?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  lastLoginAt?: Prisma.SortOrder
+  disabledAt?: Prisma.SortOrder
+  totpSecret?: Prisma.SortOrder
+  totpEnabledAt?: Prisma.SortOrder
+  totpLastStep?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type UserMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  email?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  password?: Prisma.SortOrder
+  role?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  lastLoginAt?: Prisma.SortOrder
+  disabledAt?: Prisma.SortOrder
+  totpSecret?: Prisma.SortOrder
+  totpEnabledAt?: Prisma.SortOrder
+  totpLastStep?: Prisma.SortOrder
   createdAt?: Prisma.SortOrder
   updatedAt?: Prisma.SortOrder
 }
 
-export type UserMinOrderByAggregateInput = {
-  id?: Prisma.SortOrder
-  email?: Prisma.SortOrder
-  name?: Prisma.SortOrder
-  password?: Prisma.SortOrder
-  role?: Prisma.SortOrder
-  createdAt?: Prisma.SortOrder
-  updatedAt?: Prisma.SortOrder
+export type UserSumOrderByAggregateInput = {
+  totpLastStep?: Prisma.SortOrder
+}
+
+export type UserCreateNestedOneWithoutInstancesUpdatedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutInstancesUpdatedInput, Prisma.UserUncheckedCreateWithoutInstancesUpdatedInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutInstancesUpdatedInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutInstancesUpdatedNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutInstancesUpdatedInput, Prisma.UserUncheckedCreateWithoutInstancesUpdatedInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutInstancesUpdatedInput
+  upsert?: Prisma.UserUpsertWithoutInstancesUpdatedInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutInstancesUpdatedInput, Prisma.UserUpdateWithoutInstancesUpdatedInput>, Prisma.UserUncheckedUpdateWithoutInstancesUpdatedInput>
+}
+
+export type UserCreateNestedOneWithoutBookingsMarkedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutBookingsMarkedInput, Prisma.UserUncheckedCreateWithoutBookingsMarkedInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutBookingsMarkedInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutBookingsMarkedNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutBookingsMarkedInput, Prisma.UserUncheckedCreateWithoutBookingsMarkedInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutBookingsMarkedInput
+  upsert?: Prisma.UserUpsertWithoutBookingsMarkedInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutBookingsMarkedInput, Prisma.UserUpdateWithoutBookingsMarkedInput>, Prisma.UserUncheckedUpdateWithoutBookingsMarkedInput>
+}
+
+export type UserCreateNestedOneWithoutStatusChangesInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutStatusChangesInput, Prisma.UserUncheckedCreateWithoutStatusChangesInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutStatusChangesInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutStatusChangesNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutStatusChangesInput, Prisma.UserUncheckedCreateWithoutStatusChangesInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutStatusChangesInput
+  upsert?: Prisma.UserUpsertWithoutStatusChangesInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutStatusChangesInput, Prisma.UserUpdateWithoutStatusChangesInput>, Prisma.UserUncheckedUpdateWithoutStatusChangesInput>
+}
+
+export type UserCreateNestedOneWithoutLiftedSuspensionsInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutLiftedSuspensionsInput, Prisma.UserUncheckedCreateWithoutLiftedSuspensionsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutLiftedSuspensionsInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutLiftedSuspensionsNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutLiftedSuspensionsInput, Prisma.UserUncheckedCreateWithoutLiftedSuspensionsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutLiftedSuspensionsInput
+  upsert?: Prisma.UserUpsertWithoutLiftedSuspensionsInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutLiftedSuspensionsInput, Prisma.UserUpdateWithoutLiftedSuspensionsInput>, Prisma.UserUncheckedUpdateWithoutLiftedSuspensionsInput>
+}
+
+export type UserCreateNestedOneWithoutClosuresInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutClosuresInput, Prisma.UserUncheckedCreateWithoutClosuresInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutClosuresInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutClosuresNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutClosuresInput, Prisma.UserUncheckedCreateWithoutClosuresInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutClosuresInput
+  upsert?: Prisma.UserUpsertWithoutClosuresInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutClosuresInput, Prisma.UserUpdateWithoutClosuresInput>, Prisma.UserUncheckedUpdateWithoutClosuresInput>
+}
+
+export type UserCreateNestedOneWithoutMaintenanceInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutMaintenanceInput, Prisma.UserUncheckedCreateWithoutMaintenanceInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutMaintenanceInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutMaintenanceNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutMaintenanceInput, Prisma.UserUncheckedCreateWithoutMaintenanceInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutMaintenanceInput
+  upsert?: Prisma.UserUpsertWithoutMaintenanceInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutMaintenanceInput, Prisma.UserUpdateWithoutMaintenanceInput>, Prisma.UserUncheckedUpdateWithoutMaintenanceInput>
+}
+
+export type UserCreateNestedOneWithoutAssignmentsInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutAssignmentsInput, Prisma.UserUncheckedCreateWithoutAssignmentsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutAssignmentsInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutAssignmentsNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutAssignmentsInput, Prisma.UserUncheckedCreateWithoutAssignmentsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutAssignmentsInput
+  upsert?: Prisma.UserUpsertWithoutAssignmentsInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutAssignmentsInput, Prisma.UserUpdateWithoutAssignmentsInput>, Prisma.UserUncheckedUpdateWithoutAssignmentsInput>
+}
+
+export type EnumRoleFieldUpdateOperationsInput = {
+  set?: $Enums.Role
+}
+
+export type UserCreateNestedOneWithoutSystemLogsInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutSystemLogsInput, Prisma.UserUncheckedCreateWithoutSystemLogsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutSystemLogsInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutSystemLogsNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutSystemLogsInput, Prisma.UserUncheckedCreateWithoutSystemLogsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutSystemLogsInput
+  upsert?: Prisma.UserUpsertWithoutSystemLogsInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutSystemLogsInput, Prisma.UserUpdateWithoutSystemLogsInput>, Prisma.UserUncheckedUpdateWithoutSystemLogsInput>
+}
+
+export type UserCreateNestedOneWithoutJobRunsInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutJobRunsInput, Prisma.UserUncheckedCreateWithoutJobRunsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutJobRunsInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutJobRunsNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutJobRunsInput, Prisma.UserUncheckedCreateWithoutJobRunsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutJobRunsInput
+  upsert?: Prisma.UserUpsertWithoutJobRunsInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutJobRunsInput, Prisma.UserUpdateWithoutJobRunsInput>, Prisma.UserUncheckedUpdateWithoutJobRunsInput>
+}
+
+export type UserCreateNestedOneWithoutAuthSessionsInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutAuthSessionsInput, Prisma.UserUncheckedCreateWithoutAuthSessionsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutAuthSessionsInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutAuthSessionsNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutAuthSessionsInput, Prisma.UserUncheckedCreateWithoutAuthSessionsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutAuthSessionsInput
+  upsert?: Prisma.UserUpsertWithoutAuthSessionsInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutAuthSessionsInput, Prisma.UserUpdateWithoutAuthSessionsInput>, Prisma.UserUncheckedUpdateWithoutAuthSessionsInput>
+}
+
+export type UserCreateNestedOneWithoutRegistrationsInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutRegistrationsInput, Prisma.UserUncheckedCreateWithoutRegistrationsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutRegistrationsInput
+  connect?: Prisma.UserWhereUniqueInput
+}
+
+export type UserUpdateOneWithoutRegistrationsNestedInput = {
+  create?: Prisma.XOR<Prisma.UserCreateWithoutRegistrationsInput, Prisma.UserUncheckedCreateWithoutRegistrationsInput>
+  connectOrCreate?: Prisma.UserCreateOrConnectWithoutRegistrationsInput
+  upsert?: Prisma.UserUpsertWithoutRegistrationsInput
+  disconnect?: Prisma.UserWhereInput | boolean
+  delete?: Prisma.UserWhereInput | boolean
+  connect?: Prisma.UserWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutRegistrationsInput, Prisma.UserUpdateWithoutRegistrationsInput>, Prisma.UserUncheckedUpdateWithoutRegistrationsInput>
+}
+
+export type UserCreateWithoutInstancesUpdatedInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserUncheckedCreateWithoutInstancesUpdatedInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserCreateOrConnectWithoutInstancesUpdatedInput = {
+  where: Prisma.UserWhereUniqueInput
+  create: Prisma.XOR<Prisma.UserCreateWithoutInstancesUpdatedInput, Prisma.UserUncheckedCreateWithoutInstancesUpdatedInput>
+}
+
+export type UserUpsertWithoutInstancesUpdatedInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutInstancesUpdatedInput, Prisma.UserUncheckedUpdateWithoutInstancesUpdatedInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutInstancesUpdatedInput, Prisma.UserUncheckedCreateWithoutInstancesUpdatedInput>
+  where?: Prisma.UserWhereInput
+}
+
+export type UserUpdateToOneWithWhereWithoutInstancesUpdatedInput = {
+  where?: Prisma.UserWhereInput
+  data: Prisma.XOR<Prisma.UserUpdateWithoutInstancesUpdatedInput, Prisma.UserUncheckedUpdateWithoutInstancesUpdatedInput>
+}
+
+export type UserUpdateWithoutInstancesUpdatedInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserUncheckedUpdateWithoutInstancesUpdatedInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserCreateWithoutBookingsMarkedInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserUncheckedCreateWithoutBookingsMarkedInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserCreateOrConnectWithoutBookingsMarkedInput = {
+  where: Prisma.UserWhereUniqueInput
+  create: Prisma.XOR<Prisma.UserCreateWithoutBookingsMarkedInput, Prisma.UserUncheckedCreateWithoutBookingsMarkedInput>
+}
+
+export type UserUpsertWithoutBookingsMarkedInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutBookingsMarkedInput, Prisma.UserUncheckedUpdateWithoutBookingsMarkedInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutBookingsMarkedInput, Prisma.UserUncheckedCreateWithoutBookingsMarkedInput>
+  where?: Prisma.UserWhereInput
+}
+
+export type UserUpdateToOneWithWhereWithoutBookingsMarkedInput = {
+  where?: Prisma.UserWhereInput
+  data: Prisma.XOR<Prisma.UserUpdateWithoutBookingsMarkedInput, Prisma.UserUncheckedUpdateWithoutBookingsMarkedInput>
+}
+
+export type UserUpdateWithoutBookingsMarkedInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserUncheckedUpdateWithoutBookingsMarkedInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserCreateWithoutStatusChangesInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserUncheckedCreateWithoutStatusChangesInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserCreateOrConnectWithoutStatusChangesInput = {
+  where: Prisma.UserWhereUniqueInput
+  create: Prisma.XOR<Prisma.UserCreateWithoutStatusChangesInput, Prisma.UserUncheckedCreateWithoutStatusChangesInput>
+}
+
+export type UserUpsertWithoutStatusChangesInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutStatusChangesInput, Prisma.UserUncheckedUpdateWithoutStatusChangesInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutStatusChangesInput, Prisma.UserUncheckedCreateWithoutStatusChangesInput>
+  where?: Prisma.UserWhereInput
+}
+
+export type UserUpdateToOneWithWhereWithoutStatusChangesInput = {
+  where?: Prisma.UserWhereInput
+  data: Prisma.XOR<Prisma.UserUpdateWithoutStatusChangesInput, Prisma.UserUncheckedUpdateWithoutStatusChangesInput>
+}
+
+export type UserUpdateWithoutStatusChangesInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserUncheckedUpdateWithoutStatusChangesInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserCreateWithoutLiftedSuspensionsInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserUncheckedCreateWithoutLiftedSuspensionsInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserCreateOrConnectWithoutLiftedSuspensionsInput = {
+  where: Prisma.UserWhereUniqueInput
+  create: Prisma.XOR<Prisma.UserCreateWithoutLiftedSuspensionsInput, Prisma.UserUncheckedCreateWithoutLiftedSuspensionsInput>
+}
+
+export type UserUpsertWithoutLiftedSuspensionsInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutLiftedSuspensionsInput, Prisma.UserUncheckedUpdateWithoutLiftedSuspensionsInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutLiftedSuspensionsInput, Prisma.UserUncheckedCreateWithoutLiftedSuspensionsInput>
+  where?: Prisma.UserWhereInput
+}
+
+export type UserUpdateToOneWithWhereWithoutLiftedSuspensionsInput = {
+  where?: Prisma.UserWhereInput
+  data: Prisma.XOR<Prisma.UserUpdateWithoutLiftedSuspensionsInput, Prisma.UserUncheckedUpdateWithoutLiftedSuspensionsInput>
+}
+
+export type UserUpdateWithoutLiftedSuspensionsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserUncheckedUpdateWithoutLiftedSuspensionsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserCreateWithoutClosuresInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserUncheckedCreateWithoutClosuresInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserCreateOrConnectWithoutClosuresInput = {
+  where: Prisma.UserWhereUniqueInput
+  create: Prisma.XOR<Prisma.UserCreateWithoutClosuresInput, Prisma.UserUncheckedCreateWithoutClosuresInput>
+}
+
+export type UserUpsertWithoutClosuresInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutClosuresInput, Prisma.UserUncheckedUpdateWithoutClosuresInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutClosuresInput, Prisma.UserUncheckedCreateWithoutClosuresInput>
+  where?: Prisma.UserWhereInput
+}
+
+export type UserUpdateToOneWithWhereWithoutClosuresInput = {
+  where?: Prisma.UserWhereInput
+  data: Prisma.XOR<Prisma.UserUpdateWithoutClosuresInput, Prisma.UserUncheckedUpdateWithoutClosuresInput>
+}
+
+export type UserUpdateWithoutClosuresInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserUncheckedUpdateWithoutClosuresInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserCreateWithoutMaintenanceInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserUncheckedCreateWithoutMaintenanceInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserCreateOrConnectWithoutMaintenanceInput = {
+  where: Prisma.UserWhereUniqueInput
+  create: Prisma.XOR<Prisma.UserCreateWithoutMaintenanceInput, Prisma.UserUncheckedCreateWithoutMaintenanceInput>
+}
+
+export type UserUpsertWithoutMaintenanceInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutMaintenanceInput, Prisma.UserUncheckedUpdateWithoutMaintenanceInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutMaintenanceInput, Prisma.UserUncheckedCreateWithoutMaintenanceInput>
+  where?: Prisma.UserWhereInput
+}
+
+export type UserUpdateToOneWithWhereWithoutMaintenanceInput = {
+  where?: Prisma.UserWhereInput
+  data: Prisma.XOR<Prisma.UserUpdateWithoutMaintenanceInput, Prisma.UserUncheckedUpdateWithoutMaintenanceInput>
+}
+
+export type UserUpdateWithoutMaintenanceInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserUncheckedUpdateWithoutMaintenanceInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserCreateWithoutAssignmentsInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserUncheckedCreateWithoutAssignmentsInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserCreateOrConnectWithoutAssignmentsInput = {
+  where: Prisma.UserWhereUniqueInput
+  create: Prisma.XOR<Prisma.UserCreateWithoutAssignmentsInput, Prisma.UserUncheckedCreateWithoutAssignmentsInput>
+}
+
+export type UserUpsertWithoutAssignmentsInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutAssignmentsInput, Prisma.UserUncheckedUpdateWithoutAssignmentsInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutAssignmentsInput, Prisma.UserUncheckedCreateWithoutAssignmentsInput>
+  where?: Prisma.UserWhereInput
+}
+
+export type UserUpdateToOneWithWhereWithoutAssignmentsInput = {
+  where?: Prisma.UserWhereInput
+  data: Prisma.XOR<Prisma.UserUpdateWithoutAssignmentsInput, Prisma.UserUncheckedUpdateWithoutAssignmentsInput>
+}
+
+export type UserUpdateWithoutAssignmentsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserUncheckedUpdateWithoutAssignmentsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserCreateWithoutSystemLogsInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserUncheckedCreateWithoutSystemLogsInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserCreateOrConnectWithoutSystemLogsInput = {
+  where: Prisma.UserWhereUniqueInput
+  create: Prisma.XOR<Prisma.UserCreateWithoutSystemLogsInput, Prisma.UserUncheckedCreateWithoutSystemLogsInput>
+}
+
+export type UserUpsertWithoutSystemLogsInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutSystemLogsInput, Prisma.UserUncheckedUpdateWithoutSystemLogsInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutSystemLogsInput, Prisma.UserUncheckedCreateWithoutSystemLogsInput>
+  where?: Prisma.UserWhereInput
+}
+
+export type UserUpdateToOneWithWhereWithoutSystemLogsInput = {
+  where?: Prisma.UserWhereInput
+  data: Prisma.XOR<Prisma.UserUpdateWithoutSystemLogsInput, Prisma.UserUncheckedUpdateWithoutSystemLogsInput>
+}
+
+export type UserUpdateWithoutSystemLogsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserUncheckedUpdateWithoutSystemLogsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
+}
+
+export type UserCreateWithoutJobRunsInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
+}
+
+export type UserUncheckedCreateWithoutJobRunsInput = {
+  id?: string
+  email: string
+  name: string
+  password: string
+  role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
 }
 
-export type UserCreateNestedOneWithoutBookingsMarkedInput = {
-  create?: Prisma.XOR<Prisma.UserCreateWithoutBookingsMarkedInput, Prisma.UserUncheckedCreateWithoutBookingsMarkedInput>
-  connectOrCreate?: Prisma.UserCreateOrConnectWithoutBookingsMarkedInput
-  connect?: Prisma.UserWhereUniqueInput
+export type UserCreateOrConnectWithoutJobRunsInput = {
+  where: Prisma.UserWhereUniqueInput
+  create: Prisma.XOR<Prisma.UserCreateWithoutJobRunsInput, Prisma.UserUncheckedCreateWithoutJobRunsInput>
 }
 
-export type UserUpdateOneWithoutBookingsMarkedNestedInput = {
-  create?: Prisma.XOR<Prisma.UserCreateWithoutBookingsMarkedInput, Prisma.UserUncheckedCreateWithoutBookingsMarkedInput>
-  connectOrCreate?: Prisma.UserCreateOrConnectWithoutBookingsMarkedInput
-  upsert?: Prisma.UserUpsertWithoutBookingsMarkedInput
-  disconnect?: Prisma.UserWhereInput | boolean
-  delete?: Prisma.UserWhereInput | boolean
-  connect?: Prisma.UserWhereUniqueInput
-  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutBookingsMarkedInput, Prisma.UserUpdateWithoutBookingsMarkedInput>, Prisma.UserUncheckedUpdateWithoutBookingsMarkedInput>
+export type UserUpsertWithoutJobRunsInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutJobRunsInput, Prisma.UserUncheckedUpdateWithoutJobRunsInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutJobRunsInput, Prisma.UserUncheckedCreateWithoutJobRunsInput>
+  where?: Prisma.UserWhereInput
 }
 
-export type UserCreateNestedOneWithoutStatusChangesInput = {
-  create?: Prisma.XOR<Prisma.UserCreateWithoutStatusChangesInput, Prisma.UserUncheckedCreateWithoutStatusChangesInput>
-  connectOrCreate?: Prisma.UserCreateOrConnectWithoutStatusChangesInput
-  connect?: Prisma.UserWhereUniqueInput
+export type UserUpdateToOneWithWhereWithoutJobRunsInput = {
+  where?: Prisma.UserWhereInput
+  data: Prisma.XOR<Prisma.UserUpdateWithoutJobRunsInput, Prisma.UserUncheckedUpdateWithoutJobRunsInput>
 }
 
-export type UserUpdateOneWithoutStatusChangesNestedInput = {
-  create?: Prisma.XOR<Prisma.UserCreateWithoutStatusChangesInput, Prisma.UserUncheckedCreateWithoutStatusChangesInput>
-  connectOrCreate?: Prisma.UserCreateOrConnectWithoutStatusChangesInput
-  upsert?: Prisma.UserUpsertWithoutStatusChangesInput
-  disconnect?: Prisma.UserWhereInput | boolean
-  delete?: Prisma.UserWhereInput | boolean
-  connect?: Prisma.UserWhereUniqueInput
-  update?: Prisma.XOR<Prisma.XOR<Prisma.UserUpdateToOneWithWhereWithoutStatusChangesInput, Prisma.UserUpdateWithoutStatusChangesInput>, Prisma.UserUncheckedUpdateWithoutStatusChangesInput>
+export type UserUpdateWithoutJobRunsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
 }
 
-export type EnumRoleFieldUpdateOperationsInput = {
-  set?: $Enums.Role
+export type UserUncheckedUpdateWithoutJobRunsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  email?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  password?: Prisma.StringFieldUpdateOperationsInput | string
+  role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
 }
 
-export type UserCreateWithoutBookingsMarkedInput = {
+export type UserCreateWithoutAuthSessionsInput = {
   id?: string
   email: string
   name: string
   password: string
   role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Date | string
   updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
   statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  registrations?: Prisma.StudentRegistrationCreateNestedManyWithoutReviewedByInput
 }
 
-export type UserUncheckedCreateWithoutBookingsMarkedInput = {
+export type UserUncheckedCreateWithoutAuthSessionsInput = {
   id?: string
   email: string
   name: string
   password: string
   role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Date | string
   updatedAt?: Date | string
+  bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
   statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  registrations?: Prisma.StudentRegistrationUncheckedCreateNestedManyWithoutReviewedByInput
 }
 
-export type UserCreateOrConnectWithoutBookingsMarkedInput = {
+export type UserCreateOrConnectWithoutAuthSessionsInput = {
   where: Prisma.UserWhereUniqueInput
-  create: Prisma.XOR<Prisma.UserCreateWithoutBookingsMarkedInput, Prisma.UserUncheckedCreateWithoutBookingsMarkedInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutAuthSessionsInput, Prisma.UserUncheckedCreateWithoutAuthSessionsInput>
 }
 
-export type UserUpsertWithoutBookingsMarkedInput = {
-  update: Prisma.XOR<Prisma.UserUpdateWithoutBookingsMarkedInput, Prisma.UserUncheckedUpdateWithoutBookingsMarkedInput>
-  create: Prisma.XOR<Prisma.UserCreateWithoutBookingsMarkedInput, Prisma.UserUncheckedCreateWithoutBookingsMarkedInput>
+export type UserUpsertWithoutAuthSessionsInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutAuthSessionsInput, Prisma.UserUncheckedUpdateWithoutAuthSessionsInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutAuthSessionsInput, Prisma.UserUncheckedCreateWithoutAuthSessionsInput>
   where?: Prisma.UserWhereInput
 }
 
-export type UserUpdateToOneWithWhereWithoutBookingsMarkedInput = {
+export type UserUpdateToOneWithWhereWithoutAuthSessionsInput = {
   where?: Prisma.UserWhereInput
-  data: Prisma.XOR<Prisma.UserUpdateWithoutBookingsMarkedInput, Prisma.UserUncheckedUpdateWithoutBookingsMarkedInput>
+  data: Prisma.XOR<Prisma.UserUpdateWithoutAuthSessionsInput, Prisma.UserUncheckedUpdateWithoutAuthSessionsInput>
 }
 
-export type UserUpdateWithoutBookingsMarkedInput = {
+export type UserUpdateWithoutAuthSessionsInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   email?: Prisma.StringFieldUpdateOperationsInput | string
   name?: Prisma.StringFieldUpdateOperationsInput | string
   password?: Prisma.StringFieldUpdateOperationsInput | string
   role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
   statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  registrations?: Prisma.StudentRegistrationUpdateManyWithoutReviewedByNestedInput
 }
 
-export type UserUncheckedUpdateWithoutBookingsMarkedInput = {
+export type UserUncheckedUpdateWithoutAuthSessionsInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   email?: Prisma.StringFieldUpdateOperationsInput | string
   name?: Prisma.StringFieldUpdateOperationsInput | string
   password?: Prisma.StringFieldUpdateOperationsInput | string
   role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
   statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  registrations?: Prisma.StudentRegistrationUncheckedUpdateManyWithoutReviewedByNestedInput
 }
 
-export type UserCreateWithoutStatusChangesInput = {
+export type UserCreateWithoutRegistrationsInput = {
   id?: string
   email: string
   name: string
   password: string
   role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Date | string
   updatedAt?: Date | string
   bookingsMarked?: Prisma.BookingCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionCreateNestedManyWithoutUserInput
 }
 
-export type UserUncheckedCreateWithoutStatusChangesInput = {
+export type UserUncheckedCreateWithoutRegistrationsInput = {
   id?: string
   email: string
   name: string
   password: string
   role?: $Enums.Role
+  branch?: string | null
+  lastLoginAt?: Date | string | null
+  disabledAt?: Date | string | null
+  totpSecret?: string | null
+  totpEnabledAt?: Date | string | null
+  totpLastStep?: number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Date | string
   updatedAt?: Date | string
   bookingsMarked?: Prisma.BookingUncheckedCreateNestedManyWithoutMarkedByInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedCreateNestedManyWithoutChangedByInput
+  closures?: Prisma.ClosureUncheckedCreateNestedManyWithoutCreatedByInput
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutInstructorInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedCreateNestedManyWithoutLiftedByInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedCreateNestedManyWithoutUpdatedByInput
+  jobRuns?: Prisma.JobRunUncheckedCreateNestedManyWithoutTriggeredByInput
+  systemLogs?: Prisma.SystemLogUncheckedCreateNestedManyWithoutActorInput
+  authSessions?: Prisma.AuthSessionUncheckedCreateNestedManyWithoutUserInput
 }
 
-export type UserCreateOrConnectWithoutStatusChangesInput = {
+export type UserCreateOrConnectWithoutRegistrationsInput = {
   where: Prisma.UserWhereUniqueInput
-  create: Prisma.XOR<Prisma.UserCreateWithoutStatusChangesInput, Prisma.UserUncheckedCreateWithoutStatusChangesInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutRegistrationsInput, Prisma.UserUncheckedCreateWithoutRegistrationsInput>
 }
 
-export type UserUpsertWithoutStatusChangesInput = {
-  update: Prisma.XOR<Prisma.UserUpdateWithoutStatusChangesInput, Prisma.UserUncheckedUpdateWithoutStatusChangesInput>
-  create: Prisma.XOR<Prisma.UserCreateWithoutStatusChangesInput, Prisma.UserUncheckedCreateWithoutStatusChangesInput>
+export type UserUpsertWithoutRegistrationsInput = {
+  update: Prisma.XOR<Prisma.UserUpdateWithoutRegistrationsInput, Prisma.UserUncheckedUpdateWithoutRegistrationsInput>
+  create: Prisma.XOR<Prisma.UserCreateWithoutRegistrationsInput, Prisma.UserUncheckedCreateWithoutRegistrationsInput>
   where?: Prisma.UserWhereInput
 }
 
-export type UserUpdateToOneWithWhereWithoutStatusChangesInput = {
+export type UserUpdateToOneWithWhereWithoutRegistrationsInput = {
   where?: Prisma.UserWhereInput
-  data: Prisma.XOR<Prisma.UserUpdateWithoutStatusChangesInput, Prisma.UserUncheckedUpdateWithoutStatusChangesInput>
+  data: Prisma.XOR<Prisma.UserUpdateWithoutRegistrationsInput, Prisma.UserUncheckedUpdateWithoutRegistrationsInput>
 }
 
-export type UserUpdateWithoutStatusChangesInput = {
+export type UserUpdateWithoutRegistrationsInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   email?: Prisma.StringFieldUpdateOperationsInput | string
   name?: Prisma.StringFieldUpdateOperationsInput | string
   password?: Prisma.StringFieldUpdateOperationsInput | string
   role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   bookingsMarked?: Prisma.BookingUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUpdateManyWithoutUserNestedInput
 }
 
-export type UserUncheckedUpdateWithoutStatusChangesInput = {
+export type UserUncheckedUpdateWithoutRegistrationsInput = {
   id?: Prisma.StringFieldUpdateOperationsInput | string
   email?: Prisma.StringFieldUpdateOperationsInput | string
   name?: Prisma.StringFieldUpdateOperationsInput | string
   password?: Prisma.StringFieldUpdateOperationsInput | string
   role?: Prisma.EnumRoleFieldUpdateOperationsInput | $Enums.Role
+  branch?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  lastLoginAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  disabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpSecret?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  totpEnabledAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  totpLastStep?: Prisma.NullableIntFieldUpdateOperationsInput | number | null
+  recoveryCodes?: Prisma.NullableJsonNullValueInput | runtime.InputJsonValue
   createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
   bookingsMarked?: Prisma.BookingUncheckedUpdateManyWithoutMarkedByNestedInput
+  statusChanges?: Prisma.BookingStatusHistoryUncheckedUpdateManyWithoutChangedByNestedInput
+  closures?: Prisma.ClosureUncheckedUpdateManyWithoutCreatedByNestedInput
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutInstructorNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput
+  liftedSuspensions?: Prisma.SuspensionUncheckedUpdateManyWithoutLiftedByNestedInput
+  instancesUpdated?: Prisma.SessionInstanceUncheckedUpdateManyWithoutUpdatedByNestedInput
+  jobRuns?: Prisma.JobRunUncheckedUpdateManyWithoutTriggeredByNestedInput
+  systemLogs?: Prisma.SystemLogUncheckedUpdateManyWithoutActorNestedInput
+  authSessions?: Prisma.AuthSessionUncheckedUpdateManyWithoutUserNestedInput
 }
 
 
@@ -539,11 +2182,29 @@ export type UserUncheckedUpdateWithoutStatusChangesInput = {
 export type UserCountOutputType = {
   bookingsMarked: number
   statusChanges: number
+  closures: number
+  assignments: number
+  maintenance: number
+  liftedSuspensions: number
+  instancesUpdated: number
+  jobRuns: number
+  systemLogs: number
+  authSessions: number
+  registrations: number
 }
 
 export type UserCountOutputTypeSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
   bookingsMarked?: boolean | UserCountOutputTypeCountBookingsMarkedArgs
   statusChanges?: boolean | UserCountOutputTypeCountStatusChangesArgs
+  closures?: boolean | UserCountOutputTypeCountClosuresArgs
+  assignments?: boolean | UserCountOutputTypeCountAssignmentsArgs
+  maintenance?: boolean | UserCountOutputTypeCountMaintenanceArgs
+  liftedSuspensions?: boolean | UserCountOutputTypeCountLiftedSuspensionsArgs
+  instancesUpdated?: boolean | UserCountOutputTypeCountInstancesUpdatedArgs
+  jobRuns?: boolean | UserCountOutputTypeCountJobRunsArgs
+  systemLogs?: boolean | UserCountOutputTypeCountSystemLogsArgs
+  authSessions?: boolean | UserCountOutputTypeCountAuthSessionsArgs
+  registrations?: boolean | UserCountOutputTypeCountRegistrationsArgs
 }
 
 /**
@@ -570,6 +2231,69 @@ export type UserCountOutputTypeCountStatusChangesArgs<ExtArgs extends runtime.Ty
   where?: Prisma.BookingStatusHistoryWhereInput
 }
 
+/**
+ * UserCountOutputType without action
+ */
+export type UserCountOutputTypeCountClosuresArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.ClosureWhereInput
+}
+
+/**
+ * UserCountOutputType without action
+ */
+export type UserCountOutputTypeCountAssignmentsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SessionAssignmentWhereInput
+}
+
+/**
+ * UserCountOutputType without action
+ */
+export type UserCountOutputTypeCountMaintenanceArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.VehicleMaintenanceWhereInput
+}
+
+/**
+ * UserCountOutputType without action
+ */
+export type UserCountOutputTypeCountLiftedSuspensionsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SuspensionWhereInput
+}
+
+/**
+ * UserCountOutputType without action
+ */
+export type UserCountOutputTypeCountInstancesUpdatedArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SessionInstanceWhereInput
+}
+
+/**
+ * UserCountOutputType without action
+ */
+export type UserCountOutputTypeCountJobRunsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.JobRunWhereInput
+}
+
+/**
+ * UserCountOutputType without action
+ */
+export type UserCountOutputTypeCountSystemLogsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SystemLogWhereInput
+}
+
+/**
+ * UserCountOutputType without action
+ */
+export type UserCountOutputTypeCountAuthSessionsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.AuthSessionWhereInput
+}
+
+/**
+ * UserCountOutputType without action
+ */
+export type UserCountOutputTypeCountRegistrationsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.StudentRegistrationWhereInput
+}
+
 
 export type UserSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
   id?: boolean
@@ -577,10 +2301,26 @@ export type UserSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = r
   name?: boolean
   password?: boolean
   role?: boolean
+  branch?: boolean
+  lastLoginAt?: boolean
+  disabledAt?: boolean
+  totpSecret?: boolean
+  totpEnabledAt?: boolean
+  totpLastStep?: boolean
+  recoveryCodes?: boolean
   createdAt?: boolean
   updatedAt?: boolean
   bookingsMarked?: boolean | Prisma.User$bookingsMarkedArgs<ExtArgs>
   statusChanges?: boolean | Prisma.User$statusChangesArgs<ExtArgs>
+  closures?: boolean | Prisma.User$closuresArgs<ExtArgs>
+  assignments?: boolean | Prisma.User$assignmentsArgs<ExtArgs>
+  maintenance?: boolean | Prisma.User$maintenanceArgs<ExtArgs>
+  liftedSuspensions?: boolean | Prisma.User$liftedSuspensionsArgs<ExtArgs>
+  instancesUpdated?: boolean | Prisma.User$instancesUpdatedArgs<ExtArgs>
+  jobRuns?: boolean | Prisma.User$jobRunsArgs<ExtArgs>
+  systemLogs?: boolean | Prisma.User$systemLogsArgs<ExtArgs>
+  authSessions?: boolean | Prisma.User$authSessionsArgs<ExtArgs>
+  registrations?: boolean | Prisma.User$registrationsArgs<ExtArgs>
   _count?: boolean | Prisma.UserCountOutputTypeDefaultArgs<ExtArgs>
 }, ExtArgs["result"]["user"]>
 
@@ -592,14 +2332,30 @@ export type UserSelectScalar = {
   name?: boolean
   password?: boolean
   role?: boolean
+  branch?: boolean
+  lastLoginAt?: boolean
+  disabledAt?: boolean
+  totpSecret?: boolean
+  totpEnabledAt?: boolean
+  totpLastStep?: boolean
+  recoveryCodes?: boolean
   createdAt?: boolean
   updatedAt?: boolean
 }
 
-export type UserOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "email" | "name" | "password" | "role" | "createdAt" | "updatedAt", ExtArgs["result"]["user"]>
+export type UserOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "email" | "name" | "password" | "role" | "branch" | "lastLoginAt" | "disabledAt" | "totpSecret" | "totpEnabledAt" | "totpLastStep" | "recoveryCodes" | "createdAt" | "updatedAt", ExtArgs["result"]["user"]>
 export type UserInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
   bookingsMarked?: boolean | Prisma.User$bookingsMarkedArgs<ExtArgs>
   statusChanges?: boolean | Prisma.User$statusChangesArgs<ExtArgs>
+  closures?: boolean | Prisma.User$closuresArgs<ExtArgs>
+  assignments?: boolean | Prisma.User$assignmentsArgs<ExtArgs>
+  maintenance?: boolean | Prisma.User$maintenanceArgs<ExtArgs>
+  liftedSuspensions?: boolean | Prisma.User$liftedSuspensionsArgs<ExtArgs>
+  instancesUpdated?: boolean | Prisma.User$instancesUpdatedArgs<ExtArgs>
+  jobRuns?: boolean | Prisma.User$jobRunsArgs<ExtArgs>
+  systemLogs?: boolean | Prisma.User$systemLogsArgs<ExtArgs>
+  authSessions?: boolean | Prisma.User$authSessionsArgs<ExtArgs>
+  registrations?: boolean | Prisma.User$registrationsArgs<ExtArgs>
   _count?: boolean | Prisma.UserCountOutputTypeDefaultArgs<ExtArgs>
 }
 
@@ -608,6 +2364,15 @@ export type $UserPayload<ExtArgs extends runtime.Types.Extensions.InternalArgs =
   objects: {
     bookingsMarked: Prisma.$BookingPayload<ExtArgs>[]
     statusChanges: Prisma.$BookingStatusHistoryPayload<ExtArgs>[]
+    closures: Prisma.$ClosurePayload<ExtArgs>[]
+    assignments: Prisma.$SessionAssignmentPayload<ExtArgs>[]
+    maintenance: Prisma.$VehicleMaintenancePayload<ExtArgs>[]
+    liftedSuspensions: Prisma.$SuspensionPayload<ExtArgs>[]
+    instancesUpdated: Prisma.$SessionInstancePayload<ExtArgs>[]
+    jobRuns: Prisma.$JobRunPayload<ExtArgs>[]
+    systemLogs: Prisma.$SystemLogPayload<ExtArgs>[]
+    authSessions: Prisma.$AuthSessionPayload<ExtArgs>[]
+    registrations: Prisma.$StudentRegistrationPayload<ExtArgs>[]
   }
   scalars: runtime.Types.Extensions.GetPayloadResult<{
     id: string
@@ -615,6 +2380,13 @@ export type $UserPayload<ExtArgs extends runtime.Types.Extensions.InternalArgs =
     name: string
     password: string
     role: $Enums.Role
+    branch: string | null
+    lastLoginAt: Date | null
+    disabledAt: Date | null
+    totpSecret: string | null
+    totpEnabledAt: Date | null
+    totpLastStep: number | null
+    recoveryCodes: runtime.JsonValue | null
     createdAt: Date
     updatedAt: Date
   }, ExtArgs["result"]["user"]>
@@ -959,6 +2731,15 @@ export interface Prisma__UserClient<T, Null = never, ExtArgs extends runtime.Typ
   readonly [Symbol.toStringTag]: "PrismaPromise"
   bookingsMarked<T extends Prisma.User$bookingsMarkedArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$bookingsMarkedArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$BookingPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
   statusChanges<T extends Prisma.User$statusChangesArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$statusChangesArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$BookingStatusHistoryPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  closures<T extends Prisma.User$closuresArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$closuresArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$ClosurePayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  assignments<T extends Prisma.User$assignmentsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$assignmentsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  maintenance<T extends Prisma.User$maintenanceArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$maintenanceArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  liftedSuspensions<T extends Prisma.User$liftedSuspensionsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$liftedSuspensionsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SuspensionPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  instancesUpdated<T extends Prisma.User$instancesUpdatedArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$instancesUpdatedArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SessionInstancePayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  jobRuns<T extends Prisma.User$jobRunsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$jobRunsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$JobRunPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  systemLogs<T extends Prisma.User$systemLogsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$systemLogsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SystemLogPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  authSessions<T extends Prisma.User$authSessionsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$authSessionsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$AuthSessionPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  registrations<T extends Prisma.User$registrationsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.User$registrationsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$StudentRegistrationPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
   /**
    * Attaches callbacks for the resolution and/or rejection of the Promise.
    * @param onfulfilled The callback to execute when the Promise is resolved.
@@ -993,6 +2774,13 @@ export interface UserFieldRefs {
   readonly name: Prisma.FieldRef<"User", 'String'>
   readonly password: Prisma.FieldRef<"User", 'String'>
   readonly role: Prisma.FieldRef<"User", 'Role'>
+  readonly branch: Prisma.FieldRef<"User", 'String'>
+  readonly lastLoginAt: Prisma.FieldRef<"User", 'DateTime'>
+  readonly disabledAt: Prisma.FieldRef<"User", 'DateTime'>
+  readonly totpSecret: Prisma.FieldRef<"User", 'String'>
+  readonly totpEnabledAt: Prisma.FieldRef<"User", 'DateTime'>
+  readonly totpLastStep: Prisma.FieldRef<"User", 'Int'>
+  readonly recoveryCodes: Prisma.FieldRef<"User", 'Json'>
   readonly createdAt: Prisma.FieldRef<"User", 'DateTime'>
   readonly updatedAt: Prisma.FieldRef<"User", 'DateTime'>
 }
@@ -1385,6 +3173,222 @@ export type User$statusChangesArgs<ExtArgs extends runtime.Types.Extensions.Inte
   distinct?: Prisma.BookingStatusHistoryScalarFieldEnum | Prisma.BookingStatusHistoryScalarFieldEnum[]
 }
 
+/**
+ * User.closures
+ */
+export type User$closuresArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Closure
+   */
+  select?: Prisma.ClosureSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Closure
+   */
+  omit?: Prisma.ClosureOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.ClosureInclude<ExtArgs> | null
+  where?: Prisma.ClosureWhereInput
+  orderBy?: Prisma.ClosureOrderByWithRelationInput | Prisma.ClosureOrderByWithRelationInput[]
+  cursor?: Prisma.ClosureWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.ClosureScalarFieldEnum | Prisma.ClosureScalarFieldEnum[]
+}
+
+/**
+ * User.assignments
+ */
+export type User$assignmentsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  where?: Prisma.SessionAssignmentWhereInput
+  orderBy?: Prisma.SessionAssignmentOrderByWithRelationInput | Prisma.SessionAssignmentOrderByWithRelationInput[]
+  cursor?: Prisma.SessionAssignmentWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.SessionAssignmentScalarFieldEnum | Prisma.SessionAssignmentScalarFieldEnum[]
+}
+
+/**
+ * User.maintenance
+ */
+export type User$maintenanceArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  where?: Prisma.VehicleMaintenanceWhereInput
+  orderBy?: Prisma.VehicleMaintenanceOrderByWithRelationInput | Prisma.VehicleMaintenanceOrderByWithRelationInput[]
+  cursor?: Prisma.VehicleMaintenanceWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.VehicleMaintenanceScalarFieldEnum | Prisma.VehicleMaintenanceScalarFieldEnum[]
+}
+
+/**
+ * User.liftedSuspensions
+ */
+export type User$liftedSuspensionsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Suspension
+   */
+  select?: Prisma.SuspensionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Suspension
+   */
+  omit?: Prisma.SuspensionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SuspensionInclude<ExtArgs> | null
+  where?: Prisma.SuspensionWhereInput
+  orderBy?: Prisma.SuspensionOrderByWithRelationInput | Prisma.SuspensionOrderByWithRelationInput[]
+  cursor?: Prisma.SuspensionWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.SuspensionScalarFieldEnum | Prisma.SuspensionScalarFieldEnum[]
+}
+
+/**
+ * User.instancesUpdated
+ */
+export type User$instancesUpdatedArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionInstance
+   */
+  select?: Prisma.SessionInstanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionInstance
+   */
+  omit?: Prisma.SessionInstanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionInstanceInclude<ExtArgs> | null
+  where?: Prisma.SessionInstanceWhereInput
+  orderBy?: Prisma.SessionInstanceOrderByWithRelationInput | Prisma.SessionInstanceOrderByWithRelationInput[]
+  cursor?: Prisma.SessionInstanceWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.SessionInstanceScalarFieldEnum | Prisma.SessionInstanceScalarFieldEnum[]
+}
+
+/**
+ * User.jobRuns
+ */
+export type User$jobRunsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the JobRun
+   */
+  select?: Prisma.JobRunSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the JobRun
+   */
+  omit?: Prisma.JobRunOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.JobRunInclude<ExtArgs> | null
+  where?: Prisma.JobRunWhereInput
+  orderBy?: Prisma.JobRunOrderByWithRelationInput | Prisma.JobRunOrderByWithRelationInput[]
+  cursor?: Prisma.JobRunWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.JobRunScalarFieldEnum | Prisma.JobRunScalarFieldEnum[]
+}
+
+/**
+ * User.systemLogs
+ */
+export type User$systemLogsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SystemLog
+   */
+  select?: Prisma.SystemLogSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SystemLog
+   */
+  omit?: Prisma.SystemLogOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SystemLogInclude<ExtArgs> | null
+  where?: Prisma.SystemLogWhereInput
+  orderBy?: Prisma.SystemLogOrderByWithRelationInput | Prisma.SystemLogOrderByWithRelationInput[]
+  cursor?: Prisma.SystemLogWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.SystemLogScalarFieldEnum | Prisma.SystemLogScalarFieldEnum[]
+}
+
+/**
+ * User.authSessions
+ */
+export type User$authSessionsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the AuthSession
+   */
+  select?: Prisma.AuthSessionSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the AuthSession
+   */
+  omit?: Prisma.AuthSessionOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.AuthSessionInclude<ExtArgs> | null
+  where?: Prisma.AuthSessionWhereInput
+  orderBy?: Prisma.AuthSessionOrderByWithRelationInput | Prisma.AuthSessionOrderByWithRelationInput[]
+  cursor?: Prisma.AuthSessionWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.AuthSessionScalarFieldEnum | Prisma.AuthSessionScalarFieldEnum[]
+}
+
+/**
+ * User.registrations
+ */
+export type User$registrationsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the StudentRegistration
+   */
+  select?: Prisma.StudentRegistrationSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the StudentRegistration
+   */
+  omit?: Prisma.StudentRegistrationOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.StudentRegistrationInclude<ExtArgs> | null
+  where?: Prisma.StudentRegistrationWhereInput
+  orderBy?: Prisma.StudentRegistrationOrderByWithRelationInput | Prisma.StudentRegistrationOrderByWithRelationInput[]
+  cursor?: Prisma.StudentRegistrationWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.StudentRegistrationScalarFieldEnum | Prisma.StudentRegistrationScalarFieldEnum[]
+}
+
 /**
  * User without action
  */
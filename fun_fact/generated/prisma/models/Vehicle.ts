@@ -0,0 +1,1437 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `Vehicle` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model Vehicle
+ * 
+ */
+export type VehicleModel = runtime.Types.Result.DefaultSelection<Prisma.$VehiclePayload>
+
+export type AggregateVehicle = {
+  _count: VehicleCountAggregateOutputType | null
+  _min: VehicleMinAggregateOutputType | null
+  _max: VehicleMaxAggregateOutputType | null
+}
+
+export type VehicleMinAggregateOutputType = {
+  id: string | null
+  registration: string | null
+  name: string | null
+  category: $Enums.LicenceClass | null
+  branch: string | null
+  isActive: boolean | null
+  createdAt: Date | null
+  updatedAt: Date | null
+}
+
+export type VehicleMaxAggregateOutputType = {
+  id: string | null
+  registration: string | null
+  name: string | null
+  category: $Enums.LicenceClass | null
+  branch: string | null
+  isActive: boolean | null
+  createdAt: Date | null
+  updatedAt: Date | null
+}
+
+export type VehicleCountAggregateOutputType = {
+  id: number
+  registration: number
+  name: number
+  category: number
+  branch: number
+  isActive: number
+  createdAt: number
+  updatedAt: number
+  _all: number
+}
+
+
+export type VehicleMinAggregateInputType = {
+  id?: true
+  registration?: true
+  name?: true
+  category?: true
+  branch?: true
+  isActive?: true
+  createdAt?: true
+  updatedAt?: true
+}
+
+export type VehicleMaxAggregateInputType = {
+  id?: true
+  registration?: true
+  name?: true
+  category?: true
+  branch?: true
+  isActive?: true
+  createdAt?: true
+  updatedAt?: true
+}
+
+export type VehicleCountAggregateInputType = {
+  id?: true
+  registration?: true
+  name?: true
+  category?: true
+  branch?: true
+  isActive?: true
+  createdAt?: true
+  updatedAt?: true
+  _all?: true
+}
+
+export type VehicleAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which Vehicle to aggregate.
+   */
+  where?: Prisma.VehicleWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Vehicles to fetch.
+   */
+  orderBy?: Prisma.VehicleOrderByWithRelationInput | Prisma.VehicleOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.VehicleWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Vehicles from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Vehicles.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned Vehicles
+  **/
+  _count?: true | VehicleCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: VehicleMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: VehicleMaxAggregateInputType
+}
+
+export type GetVehicleAggregateType<T extends VehicleAggregateArgs> = {
+      [P in keyof T & keyof AggregateVehicle]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateVehicle[P]>
+    : Prisma.GetScalarType<T[P], AggregateVehicle[P]>
+}
+
+
+
+
+export type VehicleGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.VehicleWhereInput
+  orderBy?: Prisma.VehicleOrderByWithAggregationInput | Prisma.VehicleOrderByWithAggregationInput[]
+  by: Prisma.VehicleScalarFieldEnum[] | Prisma.VehicleScalarFieldEnum
+  having?: Prisma.VehicleScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: VehicleCountAggregateInputType | true
+  _min?: VehicleMinAggregateInputType
+  _max?: VehicleMaxAggregateInputType
+}
+
+export type VehicleGroupByOutputType = {
+  id: string
+  registration: string
+  name: string
+  category: $Enums.LicenceClass
+  branch: string
+  isActive: boolean
+  createdAt: Date
+  updatedAt: Date
+  _count: VehicleCountAggregateOutputType | null
+  _min: VehicleMinAggregateOutputType | null
+  _max: VehicleMaxAggregateOutputType | null
+}
+
+type GetVehicleGroupByPayload<T extends VehicleGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<VehicleGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof VehicleGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], VehicleGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], VehicleGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type VehicleWhereInput = {
+  AND?: Prisma.VehicleWhereInput | Prisma.VehicleWhereInput[]
+  OR?: Prisma.VehicleWhereInput[]
+  NOT?: Prisma.VehicleWhereInput | Prisma.VehicleWhereInput[]
+  id?: Prisma.StringFilter<"Vehicle"> | string
+  registration?: Prisma.StringFilter<"Vehicle"> | string
+  name?: Prisma.StringFilter<"Vehicle"> | string
+  category?: Prisma.EnumLicenceClassFilter<"Vehicle"> | $Enums.LicenceClass
+  branch?: Prisma.StringFilter<"Vehicle"> | string
+  isActive?: Prisma.BoolFilter<"Vehicle"> | boolean
+  createdAt?: Prisma.DateTimeFilter<"Vehicle"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"Vehicle"> | Date | string
+  assignments?: Prisma.SessionAssignmentListRelationFilter
+  maintenance?: Prisma.VehicleMaintenanceListRelationFilter
+}
+
+export type VehicleOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  registration?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  isActive?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+  assignments?: Prisma.SessionAssignmentOrderByRelationAggregateInput
+  maintenance?: Prisma.VehicleMaintenanceOrderByRelationAggregateInput
+  _relevance?: Prisma.VehicleOrderByRelevanceInput
+}
+
+export type VehicleWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  registration?: string
+  AND?: Prisma.VehicleWhereInput | Prisma.VehicleWhereInput[]
+  OR?: Prisma.VehicleWhereInput[]
+  NOT?: Prisma.VehicleWhereInput | Prisma.VehicleWhereInput[]
+  name?: Prisma.StringFilter<"Vehicle"> | string
+  category?: Prisma.EnumLicenceClassFilter<"Vehicle"> | $Enums.LicenceClass
+  branch?: Prisma.StringFilter<"Vehicle"> | string
+  isActive?: Prisma.BoolFilter<"Vehicle"> | boolean
+  createdAt?: Prisma.DateTimeFilter<"Vehicle"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"Vehicle"> | Date | string
+  assignments?: Prisma.SessionAssignmentListRelationFilter
+  maintenance?: Prisma.VehicleMaintenanceListRelationFilter
+}, "id" | "registration">
+
+export type VehicleOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  registration?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  isActive?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+  _count?: Prisma.VehicleCountOrderByAggregateInput
+  _max?: Prisma.VehicleMaxOrderByAggregateInput
+  _min?: Prisma.VehicleMinOrderByAggregateInput
+}
+
+export type VehicleScalarWhereWithAggregatesInput = {
+  AND?: Prisma.VehicleScalarWhereWithAggregatesInput | Prisma.VehicleScalarWhereWithAggregatesInput[]
+  OR?: Prisma.VehicleScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.VehicleScalarWhereWithAggregatesInput | Prisma.VehicleScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"Vehicle"> | string
+  registration?: Prisma.StringWithAggregatesFilter<"Vehicle"> | string
+  name?: Prisma.StringWithAggregatesFilter<"Vehicle"> | string
+  category?: Prisma.EnumLicenceClassWithAggregatesFilter<"Vehicle"> | $Enums.LicenceClass
+  branch?: Prisma.StringWithAggregatesFilter<"Vehicle"> | string
+  isActive?: Prisma.BoolWithAggregatesFilter<"Vehicle"> | boolean
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"Vehicle"> | Date | string
+  updatedAt?: Prisma.DateTimeWithAggregatesFilter<"Vehicle"> | Date | string
+}
+
+export type VehicleCreateInput = {
+  id?: string
+  registration: string
+  name: string
+  category: $Enums.LicenceClass
+  branch?: string
+  isActive?: boolean
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutVehicleInput
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutVehicleInput
+}
+
+export type VehicleUncheckedCreateInput = {
+  id?: string
+  registration: string
+  name: string
+  category: $Enums.LicenceClass
+  branch?: string
+  isActive?: boolean
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutVehicleInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutVehicleInput
+}
+
+export type VehicleUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  registration?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  isActive?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutVehicleNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutVehicleNestedInput
+}
+
+export type VehicleUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  registration?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  isActive?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutVehicleNestedInput
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutVehicleNestedInput
+}
+
+export type VehicleCreateManyInput = {
+  id?: string
+  registration: string
+  name: string
+  category: $Enums.LicenceClass
+  branch?: string
+  isActive?: boolean
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type VehicleUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  registration?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  isActive?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type VehicleUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  registration?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  isActive?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type VehicleOrderByRelevanceInput = {
+  fields: Prisma.VehicleOrderByRelevanceFieldEnum | Prisma.VehicleOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type VehicleCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  registration?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  isActive?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type VehicleMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  registration?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  isActive?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type VehicleMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  registration?: Prisma.SortOrder
+  name?: Prisma.SortOrder
+  category?: Prisma.SortOrder
+  branch?: Prisma.SortOrder
+  isActive?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type VehicleScalarRelationFilter = {
+  is?: Prisma.VehicleWhereInput
+  isNot?: Prisma.VehicleWhereInput
+}
+
+export type VehicleNullableScalarRelationFilter = {
+  is?: Prisma.VehicleWhereInput | null
+  isNot?: Prisma.VehicleWhereInput | null
+}
+
+export type VehicleCreateNestedOneWithoutMaintenanceInput = {
+  create?: Prisma.XOR<Prisma.VehicleCreateWithoutMaintenanceInput, Prisma.VehicleUncheckedCreateWithoutMaintenanceInput>
+  connectOrCreate?: Prisma.VehicleCreateOrConnectWithoutMaintenanceInput
+  connect?: Prisma.VehicleWhereUniqueInput
+}
+
+export type VehicleUpdateOneRequiredWithoutMaintenanceNestedInput = {
+  create?: Prisma.XOR<Prisma.VehicleCreateWithoutMaintenanceInput, Prisma.VehicleUncheckedCreateWithoutMaintenanceInput>
+  connectOrCreate?: Prisma.VehicleCreateOrConnectWithoutMaintenanceInput
+  upsert?: Prisma.VehicleUpsertWithoutMaintenanceInput
+  connect?: Prisma.VehicleWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.VehicleUpdateToOneWithWhereWithoutMaintenanceInput, Prisma.VehicleUpdateWithoutMaintenanceInput>, Prisma.VehicleUncheckedUpdateWithoutMaintenanceInput>
+}
+
+export type VehicleCreateNestedOneWithoutAssignmentsInput = {
+  create?: Prisma.XOR<Prisma.VehicleCreateWithoutAssignmentsInput, Prisma.VehicleUncheckedCreateWithoutAssignmentsInput>
+  connectOrCreate?: Prisma.VehicleCreateOrConnectWithoutAssignmentsInput
+  connect?: Prisma.VehicleWhereUniqueInput
+}
+
+export type VehicleUpdateOneWithoutAssignmentsNestedInput = {
+  create?: Prisma.XOR<Prisma.VehicleCreateWithoutAssignmentsInput, Prisma.VehicleUncheckedCreateWithoutAssignmentsInput>
+  connectOrCreate?: Prisma.VehicleCreateOrConnectWithoutAssignmentsInput
+  upsert?: Prisma.VehicleUpsertWithoutAssignmentsInput
+  disconnect?: Prisma.VehicleWhereInput | boolean
+  delete?: Prisma.VehicleWhereInput | boolean
+  connect?: Prisma.VehicleWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.VehicleUpdateToOneWithWhereWithoutAssignmentsInput, Prisma.VehicleUpdateWithoutAssignmentsInput>, Prisma.VehicleUncheckedUpdateWithoutAssignmentsInput>
+}
+
+export type VehicleCreateWithoutMaintenanceInput = {
+  id?: string
+  registration: string
+  name: string
+  category: $Enums.LicenceClass
+  branch?: string
+  isActive?: boolean
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  assignments?: Prisma.SessionAssignmentCreateNestedManyWithoutVehicleInput
+}
+
+export type VehicleUncheckedCreateWithoutMaintenanceInput = {
+  id?: string
+  registration: string
+  name: string
+  category: $Enums.LicenceClass
+  branch?: string
+  isActive?: boolean
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  assignments?: Prisma.SessionAssignmentUncheckedCreateNestedManyWithoutVehicleInput
+}
+
+export type VehicleCreateOrConnectWithoutMaintenanceInput = {
+  where: Prisma.VehicleWhereUniqueInput
+  create: Prisma.XOR<Prisma.VehicleCreateWithoutMaintenanceInput, Prisma.VehicleUncheckedCreateWithoutMaintenanceInput>
+}
+
+export type VehicleUpsertWithoutMaintenanceInput = {
+  update: Prisma.XOR<Prisma.VehicleUpdateWithoutMaintenanceInput, Prisma.VehicleUncheckedUpdateWithoutMaintenanceInput>
+  create: Prisma.XOR<Prisma.VehicleCreateWithoutMaintenanceInput, Prisma.VehicleUncheckedCreateWithoutMaintenanceInput>
+  where?: Prisma.VehicleWhereInput
+}
+
+export type VehicleUpdateToOneWithWhereWithoutMaintenanceInput = {
+  where?: Prisma.VehicleWhereInput
+  data: Prisma.XOR<Prisma.VehicleUpdateWithoutMaintenanceInput, Prisma.VehicleUncheckedUpdateWithoutMaintenanceInput>
+}
+
+export type VehicleUpdateWithoutMaintenanceInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  registration?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  isActive?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  assignments?: Prisma.SessionAssignmentUpdateManyWithoutVehicleNestedInput
+}
+
+export type VehicleUncheckedUpdateWithoutMaintenanceInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  registration?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  isActive?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  assignments?: Prisma.SessionAssignmentUncheckedUpdateManyWithoutVehicleNestedInput
+}
+
+export type VehicleCreateWithoutAssignmentsInput = {
+  id?: string
+  registration: string
+  name: string
+  category: $Enums.LicenceClass
+  branch?: string
+  isActive?: boolean
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  maintenance?: Prisma.VehicleMaintenanceCreateNestedManyWithoutVehicleInput
+}
+
+export type VehicleUncheckedCreateWithoutAssignmentsInput = {
+  id?: string
+  registration: string
+  name: string
+  category: $Enums.LicenceClass
+  branch?: string
+  isActive?: boolean
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  maintenance?: Prisma.VehicleMaintenanceUncheckedCreateNestedManyWithoutVehicleInput
+}
+
+export type VehicleCreateOrConnectWithoutAssignmentsInput = {
+  where: Prisma.VehicleWhereUniqueInput
+  create: Prisma.XOR<Prisma.VehicleCreateWithoutAssignmentsInput, Prisma.VehicleUncheckedCreateWithoutAssignmentsInput>
+}
+
+export type VehicleUpsertWithoutAssignmentsInput = {
+  update: Prisma.XOR<Prisma.VehicleUpdateWithoutAssignmentsInput, Prisma.VehicleUncheckedUpdateWithoutAssignmentsInput>
+  create: Prisma.XOR<Prisma.VehicleCreateWithoutAssignmentsInput, Prisma.VehicleUncheckedCreateWithoutAssignmentsInput>
+  where?: Prisma.VehicleWhereInput
+}
+
+export type VehicleUpdateToOneWithWhereWithoutAssignmentsInput = {
+  where?: Prisma.VehicleWhereInput
+  data: Prisma.XOR<Prisma.VehicleUpdateWithoutAssignmentsInput, Prisma.VehicleUncheckedUpdateWithoutAssignmentsInput>
+}
+
+export type VehicleUpdateWithoutAssignmentsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  registration?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  isActive?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  maintenance?: Prisma.VehicleMaintenanceUpdateManyWithoutVehicleNestedInput
+}
+
+export type VehicleUncheckedUpdateWithoutAssignmentsInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  registration?: Prisma.StringFieldUpdateOperationsInput | string
+  name?: Prisma.StringFieldUpdateOperationsInput | string
+  category?: Prisma.EnumLicenceClassFieldUpdateOperationsInput | $Enums.LicenceClass
+  branch?: Prisma.StringFieldUpdateOperationsInput | string
+  isActive?: Prisma.BoolFieldUpdateOperationsInput | boolean
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  maintenance?: Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutVehicleNestedInput
+}
+
+
+/**
+ * Count Type VehicleCountOutputType
+ */
+
+export type VehicleCountOutputType = {
+  assignments: number
+  maintenance: number
+}
+
+export type VehicleCountOutputTypeSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  assignments?: boolean | VehicleCountOutputTypeCountAssignmentsArgs
+  maintenance?: boolean | VehicleCountOutputTypeCountMaintenanceArgs
+}
+
+/**
+ * VehicleCountOutputType without action
+ */
+export type VehicleCountOutputTypeDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleCountOutputType
+   */
+  select?: Prisma.VehicleCountOutputTypeSelect<ExtArgs> | null
+}
+
+/**
+ * VehicleCountOutputType without action
+ */
+export type VehicleCountOutputTypeCountAssignmentsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.SessionAssignmentWhereInput
+}
+
+/**
+ * VehicleCountOutputType without action
+ */
+export type VehicleCountOutputTypeCountMaintenanceArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.VehicleMaintenanceWhereInput
+}
+
+
+export type VehicleSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  registration?: boolean
+  name?: boolean
+  category?: boolean
+  branch?: boolean
+  isActive?: boolean
+  createdAt?: boolean
+  updatedAt?: boolean
+  assignments?: boolean | Prisma.Vehicle$assignmentsArgs<ExtArgs>
+  maintenance?: boolean | Prisma.Vehicle$maintenanceArgs<ExtArgs>
+  _count?: boolean | Prisma.VehicleCountOutputTypeDefaultArgs<ExtArgs>
+}, ExtArgs["result"]["vehicle"]>
+
+
+
+export type VehicleSelectScalar = {
+  id?: boolean
+  registration?: boolean
+  name?: boolean
+  category?: boolean
+  branch?: boolean
+  isActive?: boolean
+  createdAt?: boolean
+  updatedAt?: boolean
+}
+
+export type VehicleOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "registration" | "name" | "category" | "branch" | "isActive" | "createdAt" | "updatedAt", ExtArgs["result"]["vehicle"]>
+export type VehicleInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  assignments?: boolean | Prisma.Vehicle$assignmentsArgs<ExtArgs>
+  maintenance?: boolean | Prisma.Vehicle$maintenanceArgs<ExtArgs>
+  _count?: boolean | Prisma.VehicleCountOutputTypeDefaultArgs<ExtArgs>
+}
+
+export type $VehiclePayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "Vehicle"
+  objects: {
+    assignments: Prisma.$SessionAssignmentPayload<ExtArgs>[]
+    maintenance: Prisma.$VehicleMaintenancePayload<ExtArgs>[]
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    registration: string
+    name: string
+    category: $Enums.LicenceClass
+    branch: string
+    isActive: boolean
+    createdAt: Date
+    updatedAt: Date
+  }, ExtArgs["result"]["vehicle"]>
+  composites: {}
+}
+
+export type VehicleGetPayload<S extends boolean | null | undefined | VehicleDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$VehiclePayload, S>
+
+export type VehicleCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<VehicleFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: VehicleCountAggregateInputType | true
+  }
+
+export interface VehicleDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['Vehicle'], meta: { name: 'Vehicle' } }
+  /**
+   * Find zero or one Vehicle that matches the filter.
+   * @param {VehicleFindUniqueArgs} args - Arguments to find a Vehicle
+   * @example
+   * // Get one Vehicle
+   * const vehicle = await prisma.vehicle.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends VehicleFindUniqueArgs>(args: Prisma.SelectSubset<T, VehicleFindUniqueArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one Vehicle that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {VehicleFindUniqueOrThrowArgs} args - Arguments to find a Vehicle
+   * @example
+   * // Get one Vehicle
+   * const vehicle = await prisma.vehicle.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends VehicleFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, VehicleFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first Vehicle that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleFindFirstArgs} args - Arguments to find a Vehicle
+   * @example
+   * // Get one Vehicle
+   * const vehicle = await prisma.vehicle.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends VehicleFindFirstArgs>(args?: Prisma.SelectSubset<T, VehicleFindFirstArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first Vehicle that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleFindFirstOrThrowArgs} args - Arguments to find a Vehicle
+   * @example
+   * // Get one Vehicle
+   * const vehicle = await prisma.vehicle.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends VehicleFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, VehicleFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more Vehicles that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all Vehicles
+   * const vehicles = await prisma.vehicle.findMany()
+   * 
+   * // Get first 10 Vehicles
+   * const vehicles = await prisma.vehicle.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const vehicleWithIdOnly = await prisma.vehicle.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends VehicleFindManyArgs>(args?: Prisma.SelectSubset<T, VehicleFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a Vehicle.
+   * @param {VehicleCreateArgs} args - Arguments to create a Vehicle.
+   * @example
+   * // Create one Vehicle
+   * const Vehicle = await prisma.vehicle.create({
+   *   data: {
+   *     // ... data to create a Vehicle
+   *   }
+   * })
+   * 
+   */
+  create<T extends VehicleCreateArgs>(args: Prisma.SelectSubset<T, VehicleCreateArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many Vehicles.
+   * @param {VehicleCreateManyArgs} args - Arguments to create many Vehicles.
+   * @example
+   * // Create many Vehicles
+   * const vehicle = await prisma.vehicle.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends VehicleCreateManyArgs>(args?: Prisma.SelectSubset<T, VehicleCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a Vehicle.
+   * @param {VehicleDeleteArgs} args - Arguments to delete one Vehicle.
+   * @example
+   * // Delete one Vehicle
+   * const Vehicle = await prisma.vehicle.delete({
+   *   where: {
+   *     // ... filter to delete one Vehicle
+   *   }
+   * })
+   * 
+   */
+  delete<T extends VehicleDeleteArgs>(args: Prisma.SelectSubset<T, VehicleDeleteArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one Vehicle.
+   * @param {VehicleUpdateArgs} args - Arguments to update one Vehicle.
+   * @example
+   * // Update one Vehicle
+   * const vehicle = await prisma.vehicle.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends VehicleUpdateArgs>(args: Prisma.SelectSubset<T, VehicleUpdateArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more Vehicles.
+   * @param {VehicleDeleteManyArgs} args - Arguments to filter Vehicles to delete.
+   * @example
+   * // Delete a few Vehicles
+   * const { count } = await prisma.vehicle.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends VehicleDeleteManyArgs>(args?: Prisma.SelectSubset<T, VehicleDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more Vehicles.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many Vehicles
+   * const vehicle = await prisma.vehicle.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends VehicleUpdateManyArgs>(args: Prisma.SelectSubset<T, VehicleUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one Vehicle.
+   * @param {VehicleUpsertArgs} args - Arguments to update or create a Vehicle.
+   * @example
+   * // Update or create a Vehicle
+   * const vehicle = await prisma.vehicle.upsert({
+   *   create: {
+   *     // ... data to create a Vehicle
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the Vehicle we want to update
+   *   }
+   * })
+   */
+  upsert<T extends VehicleUpsertArgs>(args: Prisma.SelectSubset<T, VehicleUpsertArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of Vehicles.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleCountArgs} args - Arguments to filter Vehicles to count.
+   * @example
+   * // Count the number of Vehicles
+   * const count = await prisma.vehicle.count({
+   *   where: {
+   *     // ... the filter for the Vehicles we want to count
+   *   }
+   * })
+  **/
+  count<T extends VehicleCountArgs>(
+    args?: Prisma.Subset<T, VehicleCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], VehicleCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a Vehicle.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends VehicleAggregateArgs>(args: Prisma.Subset<T, VehicleAggregateArgs>): Prisma.PrismaPromise<GetVehicleAggregateType<T>>
+
+  /**
+   * Group by Vehicle.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends VehicleGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: VehicleGroupByArgs['orderBy'] }
+      : { orderBy?: VehicleGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, VehicleGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetVehicleGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the Vehicle model
+ */
+readonly fields: VehicleFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for Vehicle.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__VehicleClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  assignments<T extends Prisma.Vehicle$assignmentsArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Vehicle$assignmentsArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$SessionAssignmentPayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  maintenance<T extends Prisma.Vehicle$maintenanceArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.Vehicle$maintenanceArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "findMany", GlobalOmitOptions> | Null>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the Vehicle model
+ */
+export interface VehicleFieldRefs {
+  readonly id: Prisma.FieldRef<"Vehicle", 'String'>
+  readonly registration: Prisma.FieldRef<"Vehicle", 'String'>
+  readonly name: Prisma.FieldRef<"Vehicle", 'String'>
+  readonly category: Prisma.FieldRef<"Vehicle", 'LicenceClass'>
+  readonly branch: Prisma.FieldRef<"Vehicle", 'String'>
+  readonly isActive: Prisma.FieldRef<"Vehicle", 'Boolean'>
+  readonly createdAt: Prisma.FieldRef<"Vehicle", 'DateTime'>
+  readonly updatedAt: Prisma.FieldRef<"Vehicle", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * Vehicle findUnique
+ */
+export type VehicleFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  /**
+   * Filter, which Vehicle to fetch.
+   */
+  where: Prisma.VehicleWhereUniqueInput
+}
+
+/**
+ * Vehicle findUniqueOrThrow
+ */
+export type VehicleFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  /**
+   * Filter, which Vehicle to fetch.
+   */
+  where: Prisma.VehicleWhereUniqueInput
+}
+
+/**
+ * Vehicle findFirst
+ */
+export type VehicleFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  /**
+   * Filter, which Vehicle to fetch.
+   */
+  where?: Prisma.VehicleWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Vehicles to fetch.
+   */
+  orderBy?: Prisma.VehicleOrderByWithRelationInput | Prisma.VehicleOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for Vehicles.
+   */
+  cursor?: Prisma.VehicleWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Vehicles from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Vehicles.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of Vehicles.
+   */
+  distinct?: Prisma.VehicleScalarFieldEnum | Prisma.VehicleScalarFieldEnum[]
+}
+
+/**
+ * Vehicle findFirstOrThrow
+ */
+export type VehicleFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  /**
+   * Filter, which Vehicle to fetch.
+   */
+  where?: Prisma.VehicleWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Vehicles to fetch.
+   */
+  orderBy?: Prisma.VehicleOrderByWithRelationInput | Prisma.VehicleOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for Vehicles.
+   */
+  cursor?: Prisma.VehicleWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Vehicles from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Vehicles.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of Vehicles.
+   */
+  distinct?: Prisma.VehicleScalarFieldEnum | Prisma.VehicleScalarFieldEnum[]
+}
+
+/**
+ * Vehicle findMany
+ */
+export type VehicleFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  /**
+   * Filter, which Vehicles to fetch.
+   */
+  where?: Prisma.VehicleWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of Vehicles to fetch.
+   */
+  orderBy?: Prisma.VehicleOrderByWithRelationInput | Prisma.VehicleOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing Vehicles.
+   */
+  cursor?: Prisma.VehicleWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` Vehicles from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` Vehicles.
+   */
+  skip?: number
+  distinct?: Prisma.VehicleScalarFieldEnum | Prisma.VehicleScalarFieldEnum[]
+}
+
+/**
+ * Vehicle create
+ */
+export type VehicleCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  /**
+   * The data needed to create a Vehicle.
+   */
+  data: Prisma.XOR<Prisma.VehicleCreateInput, Prisma.VehicleUncheckedCreateInput>
+}
+
+/**
+ * Vehicle createMany
+ */
+export type VehicleCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many Vehicles.
+   */
+  data: Prisma.VehicleCreateManyInput | Prisma.VehicleCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * Vehicle update
+ */
+export type VehicleUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  /**
+   * The data needed to update a Vehicle.
+   */
+  data: Prisma.XOR<Prisma.VehicleUpdateInput, Prisma.VehicleUncheckedUpdateInput>
+  /**
+   * Choose, which Vehicle to update.
+   */
+  where: Prisma.VehicleWhereUniqueInput
+}
+
+/**
+ * Vehicle updateMany
+ */
+export type VehicleUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update Vehicles.
+   */
+  data: Prisma.XOR<Prisma.VehicleUpdateManyMutationInput, Prisma.VehicleUncheckedUpdateManyInput>
+  /**
+   * Filter which Vehicles to update
+   */
+  where?: Prisma.VehicleWhereInput
+  /**
+   * Limit how many Vehicles to update.
+   */
+  limit?: number
+}
+
+/**
+ * Vehicle upsert
+ */
+export type VehicleUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  /**
+   * The filter to search for the Vehicle to update in case it exists.
+   */
+  where: Prisma.VehicleWhereUniqueInput
+  /**
+   * In case the Vehicle found by the `where` argument doesn't exist, create a new Vehicle with this data.
+   */
+  create: Prisma.XOR<Prisma.VehicleCreateInput, Prisma.VehicleUncheckedCreateInput>
+  /**
+   * In case the Vehicle was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.VehicleUpdateInput, Prisma.VehicleUncheckedUpdateInput>
+}
+
+/**
+ * Vehicle delete
+ */
+export type VehicleDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+  /**
+   * Filter which Vehicle to delete.
+   */
+  where: Prisma.VehicleWhereUniqueInput
+}
+
+/**
+ * Vehicle deleteMany
+ */
+export type VehicleDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which Vehicles to delete
+   */
+  where?: Prisma.VehicleWhereInput
+  /**
+   * Limit how many Vehicles to delete.
+   */
+  limit?: number
+}
+
+/**
+ * Vehicle.assignments
+ */
+export type Vehicle$assignmentsArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the SessionAssignment
+   */
+  select?: Prisma.SessionAssignmentSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the SessionAssignment
+   */
+  omit?: Prisma.SessionAssignmentOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.SessionAssignmentInclude<ExtArgs> | null
+  where?: Prisma.SessionAssignmentWhereInput
+  orderBy?: Prisma.SessionAssignmentOrderByWithRelationInput | Prisma.SessionAssignmentOrderByWithRelationInput[]
+  cursor?: Prisma.SessionAssignmentWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.SessionAssignmentScalarFieldEnum | Prisma.SessionAssignmentScalarFieldEnum[]
+}
+
+/**
+ * Vehicle.maintenance
+ */
+export type Vehicle$maintenanceArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  where?: Prisma.VehicleMaintenanceWhereInput
+  orderBy?: Prisma.VehicleMaintenanceOrderByWithRelationInput | Prisma.VehicleMaintenanceOrderByWithRelationInput[]
+  cursor?: Prisma.VehicleMaintenanceWhereUniqueInput
+  take?: number
+  skip?: number
+  distinct?: Prisma.VehicleMaintenanceScalarFieldEnum | Prisma.VehicleMaintenanceScalarFieldEnum[]
+}
+
+/**
+ * Vehicle without action
+ */
+export type VehicleDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Vehicle
+   */
+  select?: Prisma.VehicleSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Vehicle
+   */
+  omit?: Prisma.VehicleOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleInclude<ExtArgs> | null
+}
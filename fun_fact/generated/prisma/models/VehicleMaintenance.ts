@@ -0,0 +1,1431 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `VehicleMaintenance` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model VehicleMaintenance
+ * 
+ */
+export type VehicleMaintenanceModel = runtime.Types.Result.DefaultSelection<Prisma.$VehicleMaintenancePayload>
+
+export type AggregateVehicleMaintenance = {
+  _count: VehicleMaintenanceCountAggregateOutputType | null
+  _min: VehicleMaintenanceMinAggregateOutputType | null
+  _max: VehicleMaintenanceMaxAggregateOutputType | null
+}
+
+export type VehicleMaintenanceMinAggregateOutputType = {
+  id: string | null
+  vehicleId: string | null
+  startDate: Date | null
+  endDate: Date | null
+  reason: string | null
+  createdById: string | null
+  createdAt: Date | null
+}
+
+export type VehicleMaintenanceMaxAggregateOutputType = {
+  id: string | null
+  vehicleId: string | null
+  startDate: Date | null
+  endDate: Date | null
+  reason: string | null
+  createdById: string | null
+  createdAt: Date | null
+}
+
+export type VehicleMaintenanceCountAggregateOutputType = {
+  id: number
+  vehicleId: number
+  startDate: number
+  endDate: number
+  reason: number
+  createdById: number
+  createdAt: number
+  _all: number
+}
+
+
+export type VehicleMaintenanceMinAggregateInputType = {
+  id?: true
+  vehicleId?: true
+  startDate?: true
+  endDate?: true
+  reason?: true
+  createdById?: true
+  createdAt?: true
+}
+
+export type VehicleMaintenanceMaxAggregateInputType = {
+  id?: true
+  vehicleId?: true
+  startDate?: true
+  endDate?: true
+  reason?: true
+  createdById?: true
+  createdAt?: true
+}
+
+export type VehicleMaintenanceCountAggregateInputType = {
+  id?: true
+  vehicleId?: true
+  startDate?: true
+  endDate?: true
+  reason?: true
+  createdById?: true
+  createdAt?: true
+  _all?: true
+}
+
+export type VehicleMaintenanceAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which VehicleMaintenance to aggregate.
+   */
+  where?: Prisma.VehicleMaintenanceWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of VehicleMaintenances to fetch.
+   */
+  orderBy?: Prisma.VehicleMaintenanceOrderByWithRelationInput | Prisma.VehicleMaintenanceOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.VehicleMaintenanceWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` VehicleMaintenances from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` VehicleMaintenances.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned VehicleMaintenances
+  **/
+  _count?: true | VehicleMaintenanceCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: VehicleMaintenanceMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: VehicleMaintenanceMaxAggregateInputType
+}
+
+export type GetVehicleMaintenanceAggregateType<T extends VehicleMaintenanceAggregateArgs> = {
+      [P in keyof T & keyof AggregateVehicleMaintenance]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateVehicleMaintenance[P]>
+    : Prisma.GetScalarType<T[P], AggregateVehicleMaintenance[P]>
+}
+
+
+
+
+export type VehicleMaintenanceGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.VehicleMaintenanceWhereInput
+  orderBy?: Prisma.VehicleMaintenanceOrderByWithAggregationInput | Prisma.VehicleMaintenanceOrderByWithAggregationInput[]
+  by: Prisma.VehicleMaintenanceScalarFieldEnum[] | Prisma.VehicleMaintenanceScalarFieldEnum
+  having?: Prisma.VehicleMaintenanceScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: VehicleMaintenanceCountAggregateInputType | true
+  _min?: VehicleMaintenanceMinAggregateInputType
+  _max?: VehicleMaintenanceMaxAggregateInputType
+}
+
+export type VehicleMaintenanceGroupByOutputType = {
+  id: string
+  vehicleId: string
+  startDate: Date
+  endDate: Date
+  reason: string
+  createdById: string | null
+  createdAt: Date
+  _count: VehicleMaintenanceCountAggregateOutputType | null
+  _min: VehicleMaintenanceMinAggregateOutputType | null
+  _max: VehicleMaintenanceMaxAggregateOutputType | null
+}
+
+type GetVehicleMaintenanceGroupByPayload<T extends VehicleMaintenanceGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<VehicleMaintenanceGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof VehicleMaintenanceGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], VehicleMaintenanceGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], VehicleMaintenanceGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type VehicleMaintenanceWhereInput = {
+  AND?: Prisma.VehicleMaintenanceWhereInput | Prisma.VehicleMaintenanceWhereInput[]
+  OR?: Prisma.VehicleMaintenanceWhereInput[]
+  NOT?: Prisma.VehicleMaintenanceWhereInput | Prisma.VehicleMaintenanceWhereInput[]
+  id?: Prisma.StringFilter<"VehicleMaintenance"> | string
+  vehicleId?: Prisma.StringFilter<"VehicleMaintenance"> | string
+  startDate?: Prisma.DateTimeFilter<"VehicleMaintenance"> | Date | string
+  endDate?: Prisma.DateTimeFilter<"VehicleMaintenance"> | Date | string
+  reason?: Prisma.StringFilter<"VehicleMaintenance"> | string
+  createdById?: Prisma.StringNullableFilter<"VehicleMaintenance"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"VehicleMaintenance"> | Date | string
+  vehicle?: Prisma.XOR<Prisma.VehicleScalarRelationFilter, Prisma.VehicleWhereInput>
+  createdBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}
+
+export type VehicleMaintenanceOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  vehicleId?: Prisma.SortOrder
+  startDate?: Prisma.SortOrder
+  endDate?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  vehicle?: Prisma.VehicleOrderByWithRelationInput
+  createdBy?: Prisma.UserOrderByWithRelationInput
+  _relevance?: Prisma.VehicleMaintenanceOrderByRelevanceInput
+}
+
+export type VehicleMaintenanceWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  AND?: Prisma.VehicleMaintenanceWhereInput | Prisma.VehicleMaintenanceWhereInput[]
+  OR?: Prisma.VehicleMaintenanceWhereInput[]
+  NOT?: Prisma.VehicleMaintenanceWhereInput | Prisma.VehicleMaintenanceWhereInput[]
+  vehicleId?: Prisma.StringFilter<"VehicleMaintenance"> | string
+  startDate?: Prisma.DateTimeFilter<"VehicleMaintenance"> | Date | string
+  endDate?: Prisma.DateTimeFilter<"VehicleMaintenance"> | Date | string
+  reason?: Prisma.StringFilter<"VehicleMaintenance"> | string
+  createdById?: Prisma.StringNullableFilter<"VehicleMaintenance"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"VehicleMaintenance"> | Date | string
+  vehicle?: Prisma.XOR<Prisma.VehicleScalarRelationFilter, Prisma.VehicleWhereInput>
+  createdBy?: Prisma.XOR<Prisma.UserNullableScalarRelationFilter, Prisma.UserWhereInput> | null
+}, "id">
+
+export type VehicleMaintenanceOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  vehicleId?: Prisma.SortOrder
+  startDate?: Prisma.SortOrder
+  endDate?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  _count?: Prisma.VehicleMaintenanceCountOrderByAggregateInput
+  _max?: Prisma.VehicleMaintenanceMaxOrderByAggregateInput
+  _min?: Prisma.VehicleMaintenanceMinOrderByAggregateInput
+}
+
+export type VehicleMaintenanceScalarWhereWithAggregatesInput = {
+  AND?: Prisma.VehicleMaintenanceScalarWhereWithAggregatesInput | Prisma.VehicleMaintenanceScalarWhereWithAggregatesInput[]
+  OR?: Prisma.VehicleMaintenanceScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.VehicleMaintenanceScalarWhereWithAggregatesInput | Prisma.VehicleMaintenanceScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"VehicleMaintenance"> | string
+  vehicleId?: Prisma.StringWithAggregatesFilter<"VehicleMaintenance"> | string
+  startDate?: Prisma.DateTimeWithAggregatesFilter<"VehicleMaintenance"> | Date | string
+  endDate?: Prisma.DateTimeWithAggregatesFilter<"VehicleMaintenance"> | Date | string
+  reason?: Prisma.StringWithAggregatesFilter<"VehicleMaintenance"> | string
+  createdById?: Prisma.StringNullableWithAggregatesFilter<"VehicleMaintenance"> | string | null
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"VehicleMaintenance"> | Date | string
+}
+
+export type VehicleMaintenanceCreateInput = {
+  id?: string
+  startDate: Date | string
+  endDate: Date | string
+  reason: string
+  createdAt?: Date | string
+  vehicle: Prisma.VehicleCreateNestedOneWithoutMaintenanceInput
+  createdBy?: Prisma.UserCreateNestedOneWithoutMaintenanceInput
+}
+
+export type VehicleMaintenanceUncheckedCreateInput = {
+  id?: string
+  vehicleId: string
+  startDate: Date | string
+  endDate: Date | string
+  reason: string
+  createdById?: string | null
+  createdAt?: Date | string
+}
+
+export type VehicleMaintenanceUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  vehicle?: Prisma.VehicleUpdateOneRequiredWithoutMaintenanceNestedInput
+  createdBy?: Prisma.UserUpdateOneWithoutMaintenanceNestedInput
+}
+
+export type VehicleMaintenanceUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  vehicleId?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type VehicleMaintenanceCreateManyInput = {
+  id?: string
+  vehicleId: string
+  startDate: Date | string
+  endDate: Date | string
+  reason: string
+  createdById?: string | null
+  createdAt?: Date | string
+}
+
+export type VehicleMaintenanceUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type VehicleMaintenanceUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  vehicleId?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type VehicleMaintenanceListRelationFilter = {
+  every?: Prisma.VehicleMaintenanceWhereInput
+  some?: Prisma.VehicleMaintenanceWhereInput
+  none?: Prisma.VehicleMaintenanceWhereInput
+}
+
+export type VehicleMaintenanceOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type VehicleMaintenanceOrderByRelevanceInput = {
+  fields: Prisma.VehicleMaintenanceOrderByRelevanceFieldEnum | Prisma.VehicleMaintenanceOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type VehicleMaintenanceCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  vehicleId?: Prisma.SortOrder
+  startDate?: Prisma.SortOrder
+  endDate?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type VehicleMaintenanceMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  vehicleId?: Prisma.SortOrder
+  startDate?: Prisma.SortOrder
+  endDate?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type VehicleMaintenanceMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  vehicleId?: Prisma.SortOrder
+  startDate?: Prisma.SortOrder
+  endDate?: Prisma.SortOrder
+  reason?: Prisma.SortOrder
+  createdById?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+}
+
+export type VehicleMaintenanceCreateNestedManyWithoutVehicleInput = {
+  create?: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutVehicleInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput> | Prisma.VehicleMaintenanceCreateWithoutVehicleInput[] | Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput[]
+  connectOrCreate?: Prisma.VehicleMaintenanceCreateOrConnectWithoutVehicleInput | Prisma.VehicleMaintenanceCreateOrConnectWithoutVehicleInput[]
+  createMany?: Prisma.VehicleMaintenanceCreateManyVehicleInputEnvelope
+  connect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+}
+
+export type VehicleMaintenanceUncheckedCreateNestedManyWithoutVehicleInput = {
+  create?: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutVehicleInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput> | Prisma.VehicleMaintenanceCreateWithoutVehicleInput[] | Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput[]
+  connectOrCreate?: Prisma.VehicleMaintenanceCreateOrConnectWithoutVehicleInput | Prisma.VehicleMaintenanceCreateOrConnectWithoutVehicleInput[]
+  createMany?: Prisma.VehicleMaintenanceCreateManyVehicleInputEnvelope
+  connect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+}
+
+export type VehicleMaintenanceUpdateManyWithoutVehicleNestedInput = {
+  create?: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutVehicleInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput> | Prisma.VehicleMaintenanceCreateWithoutVehicleInput[] | Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput[]
+  connectOrCreate?: Prisma.VehicleMaintenanceCreateOrConnectWithoutVehicleInput | Prisma.VehicleMaintenanceCreateOrConnectWithoutVehicleInput[]
+  upsert?: Prisma.VehicleMaintenanceUpsertWithWhereUniqueWithoutVehicleInput | Prisma.VehicleMaintenanceUpsertWithWhereUniqueWithoutVehicleInput[]
+  createMany?: Prisma.VehicleMaintenanceCreateManyVehicleInputEnvelope
+  set?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  disconnect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  delete?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  connect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  update?: Prisma.VehicleMaintenanceUpdateWithWhereUniqueWithoutVehicleInput | Prisma.VehicleMaintenanceUpdateWithWhereUniqueWithoutVehicleInput[]
+  updateMany?: Prisma.VehicleMaintenanceUpdateManyWithWhereWithoutVehicleInput | Prisma.VehicleMaintenanceUpdateManyWithWhereWithoutVehicleInput[]
+  deleteMany?: Prisma.VehicleMaintenanceScalarWhereInput | Prisma.VehicleMaintenanceScalarWhereInput[]
+}
+
+export type VehicleMaintenanceUncheckedUpdateManyWithoutVehicleNestedInput = {
+  create?: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutVehicleInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput> | Prisma.VehicleMaintenanceCreateWithoutVehicleInput[] | Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput[]
+  connectOrCreate?: Prisma.VehicleMaintenanceCreateOrConnectWithoutVehicleInput | Prisma.VehicleMaintenanceCreateOrConnectWithoutVehicleInput[]
+  upsert?: Prisma.VehicleMaintenanceUpsertWithWhereUniqueWithoutVehicleInput | Prisma.VehicleMaintenanceUpsertWithWhereUniqueWithoutVehicleInput[]
+  createMany?: Prisma.VehicleMaintenanceCreateManyVehicleInputEnvelope
+  set?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  disconnect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  delete?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  connect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  update?: Prisma.VehicleMaintenanceUpdateWithWhereUniqueWithoutVehicleInput | Prisma.VehicleMaintenanceUpdateWithWhereUniqueWithoutVehicleInput[]
+  updateMany?: Prisma.VehicleMaintenanceUpdateManyWithWhereWithoutVehicleInput | Prisma.VehicleMaintenanceUpdateManyWithWhereWithoutVehicleInput[]
+  deleteMany?: Prisma.VehicleMaintenanceScalarWhereInput | Prisma.VehicleMaintenanceScalarWhereInput[]
+}
+
+export type VehicleMaintenanceCreateNestedManyWithoutCreatedByInput = {
+  create?: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutCreatedByInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput> | Prisma.VehicleMaintenanceCreateWithoutCreatedByInput[] | Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput[]
+  connectOrCreate?: Prisma.VehicleMaintenanceCreateOrConnectWithoutCreatedByInput | Prisma.VehicleMaintenanceCreateOrConnectWithoutCreatedByInput[]
+  createMany?: Prisma.VehicleMaintenanceCreateManyCreatedByInputEnvelope
+  connect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+}
+
+export type VehicleMaintenanceUncheckedCreateNestedManyWithoutCreatedByInput = {
+  create?: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutCreatedByInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput> | Prisma.VehicleMaintenanceCreateWithoutCreatedByInput[] | Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput[]
+  connectOrCreate?: Prisma.VehicleMaintenanceCreateOrConnectWithoutCreatedByInput | Prisma.VehicleMaintenanceCreateOrConnectWithoutCreatedByInput[]
+  createMany?: Prisma.VehicleMaintenanceCreateManyCreatedByInputEnvelope
+  connect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+}
+
+export type VehicleMaintenanceUpdateManyWithoutCreatedByNestedInput = {
+  create?: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutCreatedByInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput> | Prisma.VehicleMaintenanceCreateWithoutCreatedByInput[] | Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput[]
+  connectOrCreate?: Prisma.VehicleMaintenanceCreateOrConnectWithoutCreatedByInput | Prisma.VehicleMaintenanceCreateOrConnectWithoutCreatedByInput[]
+  upsert?: Prisma.VehicleMaintenanceUpsertWithWhereUniqueWithoutCreatedByInput | Prisma.VehicleMaintenanceUpsertWithWhereUniqueWithoutCreatedByInput[]
+  createMany?: Prisma.VehicleMaintenanceCreateManyCreatedByInputEnvelope
+  set?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  disconnect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  delete?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  connect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  update?: Prisma.VehicleMaintenanceUpdateWithWhereUniqueWithoutCreatedByInput | Prisma.VehicleMaintenanceUpdateWithWhereUniqueWithoutCreatedByInput[]
+  updateMany?: Prisma.VehicleMaintenanceUpdateManyWithWhereWithoutCreatedByInput | Prisma.VehicleMaintenanceUpdateManyWithWhereWithoutCreatedByInput[]
+  deleteMany?: Prisma.VehicleMaintenanceScalarWhereInput | Prisma.VehicleMaintenanceScalarWhereInput[]
+}
+
+export type VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByNestedInput = {
+  create?: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutCreatedByInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput> | Prisma.VehicleMaintenanceCreateWithoutCreatedByInput[] | Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput[]
+  connectOrCreate?: Prisma.VehicleMaintenanceCreateOrConnectWithoutCreatedByInput | Prisma.VehicleMaintenanceCreateOrConnectWithoutCreatedByInput[]
+  upsert?: Prisma.VehicleMaintenanceUpsertWithWhereUniqueWithoutCreatedByInput | Prisma.VehicleMaintenanceUpsertWithWhereUniqueWithoutCreatedByInput[]
+  createMany?: Prisma.VehicleMaintenanceCreateManyCreatedByInputEnvelope
+  set?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  disconnect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  delete?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  connect?: Prisma.VehicleMaintenanceWhereUniqueInput | Prisma.VehicleMaintenanceWhereUniqueInput[]
+  update?: Prisma.VehicleMaintenanceUpdateWithWhereUniqueWithoutCreatedByInput | Prisma.VehicleMaintenanceUpdateWithWhereUniqueWithoutCreatedByInput[]
+  updateMany?: Prisma.VehicleMaintenanceUpdateManyWithWhereWithoutCreatedByInput | Prisma.VehicleMaintenanceUpdateManyWithWhereWithoutCreatedByInput[]
+  deleteMany?: Prisma.VehicleMaintenanceScalarWhereInput | Prisma.VehicleMaintenanceScalarWhereInput[]
+}
+
+export type VehicleMaintenanceCreateWithoutVehicleInput = {
+  id?: string
+  startDate: Date | string
+  endDate: Date | string
+  reason: string
+  createdAt?: Date | string
+  createdBy?: Prisma.UserCreateNestedOneWithoutMaintenanceInput
+}
+
+export type VehicleMaintenanceUncheckedCreateWithoutVehicleInput = {
+  id?: string
+  startDate: Date | string
+  endDate: Date | string
+  reason: string
+  createdById?: string | null
+  createdAt?: Date | string
+}
+
+export type VehicleMaintenanceCreateOrConnectWithoutVehicleInput = {
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+  create: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutVehicleInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput>
+}
+
+export type VehicleMaintenanceCreateManyVehicleInputEnvelope = {
+  data: Prisma.VehicleMaintenanceCreateManyVehicleInput | Prisma.VehicleMaintenanceCreateManyVehicleInput[]
+  skipDuplicates?: boolean
+}
+
+export type VehicleMaintenanceUpsertWithWhereUniqueWithoutVehicleInput = {
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+  update: Prisma.XOR<Prisma.VehicleMaintenanceUpdateWithoutVehicleInput, Prisma.VehicleMaintenanceUncheckedUpdateWithoutVehicleInput>
+  create: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutVehicleInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutVehicleInput>
+}
+
+export type VehicleMaintenanceUpdateWithWhereUniqueWithoutVehicleInput = {
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+  data: Prisma.XOR<Prisma.VehicleMaintenanceUpdateWithoutVehicleInput, Prisma.VehicleMaintenanceUncheckedUpdateWithoutVehicleInput>
+}
+
+export type VehicleMaintenanceUpdateManyWithWhereWithoutVehicleInput = {
+  where: Prisma.VehicleMaintenanceScalarWhereInput
+  data: Prisma.XOR<Prisma.VehicleMaintenanceUpdateManyMutationInput, Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutVehicleInput>
+}
+
+export type VehicleMaintenanceScalarWhereInput = {
+  AND?: Prisma.VehicleMaintenanceScalarWhereInput | Prisma.VehicleMaintenanceScalarWhereInput[]
+  OR?: Prisma.VehicleMaintenanceScalarWhereInput[]
+  NOT?: Prisma.VehicleMaintenanceScalarWhereInput | Prisma.VehicleMaintenanceScalarWhereInput[]
+  id?: Prisma.StringFilter<"VehicleMaintenance"> | string
+  vehicleId?: Prisma.StringFilter<"VehicleMaintenance"> | string
+  startDate?: Prisma.DateTimeFilter<"VehicleMaintenance"> | Date | string
+  endDate?: Prisma.DateTimeFilter<"VehicleMaintenance"> | Date | string
+  reason?: Prisma.StringFilter<"VehicleMaintenance"> | string
+  createdById?: Prisma.StringNullableFilter<"VehicleMaintenance"> | string | null
+  createdAt?: Prisma.DateTimeFilter<"VehicleMaintenance"> | Date | string
+}
+
+export type VehicleMaintenanceCreateWithoutCreatedByInput = {
+  id?: string
+  startDate: Date | string
+  endDate: Date | string
+  reason: string
+  createdAt?: Date | string
+  vehicle: Prisma.VehicleCreateNestedOneWithoutMaintenanceInput
+}
+
+export type VehicleMaintenanceUncheckedCreateWithoutCreatedByInput = {
+  id?: string
+  vehicleId: string
+  startDate: Date | string
+  endDate: Date | string
+  reason: string
+  createdAt?: Date | string
+}
+
+export type VehicleMaintenanceCreateOrConnectWithoutCreatedByInput = {
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+  create: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutCreatedByInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput>
+}
+
+export type VehicleMaintenanceCreateManyCreatedByInputEnvelope = {
+  data: Prisma.VehicleMaintenanceCreateManyCreatedByInput | Prisma.VehicleMaintenanceCreateManyCreatedByInput[]
+  skipDuplicates?: boolean
+}
+
+export type VehicleMaintenanceUpsertWithWhereUniqueWithoutCreatedByInput = {
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+  update: Prisma.XOR<Prisma.VehicleMaintenanceUpdateWithoutCreatedByInput, Prisma.VehicleMaintenanceUncheckedUpdateWithoutCreatedByInput>
+  create: Prisma.XOR<Prisma.VehicleMaintenanceCreateWithoutCreatedByInput, Prisma.VehicleMaintenanceUncheckedCreateWithoutCreatedByInput>
+}
+
+export type VehicleMaintenanceUpdateWithWhereUniqueWithoutCreatedByInput = {
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+  data: Prisma.XOR<Prisma.VehicleMaintenanceUpdateWithoutCreatedByInput, Prisma.VehicleMaintenanceUncheckedUpdateWithoutCreatedByInput>
+}
+
+export type VehicleMaintenanceUpdateManyWithWhereWithoutCreatedByInput = {
+  where: Prisma.VehicleMaintenanceScalarWhereInput
+  data: Prisma.XOR<Prisma.VehicleMaintenanceUpdateManyMutationInput, Prisma.VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByInput>
+}
+
+export type VehicleMaintenanceCreateManyVehicleInput = {
+  id?: string
+  startDate: Date | string
+  endDate: Date | string
+  reason: string
+  createdById?: string | null
+  createdAt?: Date | string
+}
+
+export type VehicleMaintenanceUpdateWithoutVehicleInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  createdBy?: Prisma.UserUpdateOneWithoutMaintenanceNestedInput
+}
+
+export type VehicleMaintenanceUncheckedUpdateWithoutVehicleInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type VehicleMaintenanceUncheckedUpdateManyWithoutVehicleInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdById?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type VehicleMaintenanceCreateManyCreatedByInput = {
+  id?: string
+  vehicleId: string
+  startDate: Date | string
+  endDate: Date | string
+  reason: string
+  createdAt?: Date | string
+}
+
+export type VehicleMaintenanceUpdateWithoutCreatedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  vehicle?: Prisma.VehicleUpdateOneRequiredWithoutMaintenanceNestedInput
+}
+
+export type VehicleMaintenanceUncheckedUpdateWithoutCreatedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  vehicleId?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type VehicleMaintenanceUncheckedUpdateManyWithoutCreatedByInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  vehicleId?: Prisma.StringFieldUpdateOperationsInput | string
+  startDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  endDate?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  reason?: Prisma.StringFieldUpdateOperationsInput | string
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+
+
+export type VehicleMaintenanceSelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  vehicleId?: boolean
+  startDate?: boolean
+  endDate?: boolean
+  reason?: boolean
+  createdById?: boolean
+  createdAt?: boolean
+  vehicle?: boolean | Prisma.VehicleDefaultArgs<ExtArgs>
+  createdBy?: boolean | Prisma.VehicleMaintenance$createdByArgs<ExtArgs>
+}, ExtArgs["result"]["vehicleMaintenance"]>
+
+
+
+export type VehicleMaintenanceSelectScalar = {
+  id?: boolean
+  vehicleId?: boolean
+  startDate?: boolean
+  endDate?: boolean
+  reason?: boolean
+  createdById?: boolean
+  createdAt?: boolean
+}
+
+export type VehicleMaintenanceOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "vehicleId" | "startDate" | "endDate" | "reason" | "createdById" | "createdAt", ExtArgs["result"]["vehicleMaintenance"]>
+export type VehicleMaintenanceInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  vehicle?: boolean | Prisma.VehicleDefaultArgs<ExtArgs>
+  createdBy?: boolean | Prisma.VehicleMaintenance$createdByArgs<ExtArgs>
+}
+
+export type $VehicleMaintenancePayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "VehicleMaintenance"
+  objects: {
+    vehicle: Prisma.$VehiclePayload<ExtArgs>
+    createdBy: Prisma.$UserPayload<ExtArgs> | null
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    vehicleId: string
+    startDate: Date
+    endDate: Date
+    reason: string
+    createdById: string | null
+    createdAt: Date
+  }, ExtArgs["result"]["vehicleMaintenance"]>
+  composites: {}
+}
+
+export type VehicleMaintenanceGetPayload<S extends boolean | null | undefined | VehicleMaintenanceDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload, S>
+
+export type VehicleMaintenanceCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<VehicleMaintenanceFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: VehicleMaintenanceCountAggregateInputType | true
+  }
+
+export interface VehicleMaintenanceDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['VehicleMaintenance'], meta: { name: 'VehicleMaintenance' } }
+  /**
+   * Find zero or one VehicleMaintenance that matches the filter.
+   * @param {VehicleMaintenanceFindUniqueArgs} args - Arguments to find a VehicleMaintenance
+   * @example
+   * // Get one VehicleMaintenance
+   * const vehicleMaintenance = await prisma.vehicleMaintenance.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends VehicleMaintenanceFindUniqueArgs>(args: Prisma.SelectSubset<T, VehicleMaintenanceFindUniqueArgs<ExtArgs>>): Prisma.Prisma__VehicleMaintenanceClient<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one VehicleMaintenance that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {VehicleMaintenanceFindUniqueOrThrowArgs} args - Arguments to find a VehicleMaintenance
+   * @example
+   * // Get one VehicleMaintenance
+   * const vehicleMaintenance = await prisma.vehicleMaintenance.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends VehicleMaintenanceFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, VehicleMaintenanceFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__VehicleMaintenanceClient<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first VehicleMaintenance that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleMaintenanceFindFirstArgs} args - Arguments to find a VehicleMaintenance
+   * @example
+   * // Get one VehicleMaintenance
+   * const vehicleMaintenance = await prisma.vehicleMaintenance.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends VehicleMaintenanceFindFirstArgs>(args?: Prisma.SelectSubset<T, VehicleMaintenanceFindFirstArgs<ExtArgs>>): Prisma.Prisma__VehicleMaintenanceClient<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first VehicleMaintenance that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleMaintenanceFindFirstOrThrowArgs} args - Arguments to find a VehicleMaintenance
+   * @example
+   * // Get one VehicleMaintenance
+   * const vehicleMaintenance = await prisma.vehicleMaintenance.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends VehicleMaintenanceFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, VehicleMaintenanceFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__VehicleMaintenanceClient<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more VehicleMaintenances that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleMaintenanceFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all VehicleMaintenances
+   * const vehicleMaintenances = await prisma.vehicleMaintenance.findMany()
+   * 
+   * // Get first 10 VehicleMaintenances
+   * const vehicleMaintenances = await prisma.vehicleMaintenance.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const vehicleMaintenanceWithIdOnly = await prisma.vehicleMaintenance.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends VehicleMaintenanceFindManyArgs>(args?: Prisma.SelectSubset<T, VehicleMaintenanceFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a VehicleMaintenance.
+   * @param {VehicleMaintenanceCreateArgs} args - Arguments to create a VehicleMaintenance.
+   * @example
+   * // Create one VehicleMaintenance
+   * const VehicleMaintenance = await prisma.vehicleMaintenance.create({
+   *   data: {
+   *     // ... data to create a VehicleMaintenance
+   *   }
+   * })
+   * 
+   */
+  create<T extends VehicleMaintenanceCreateArgs>(args: Prisma.SelectSubset<T, VehicleMaintenanceCreateArgs<ExtArgs>>): Prisma.Prisma__VehicleMaintenanceClient<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many VehicleMaintenances.
+   * @param {VehicleMaintenanceCreateManyArgs} args - Arguments to create many VehicleMaintenances.
+   * @example
+   * // Create many VehicleMaintenances
+   * const vehicleMaintenance = await prisma.vehicleMaintenance.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends VehicleMaintenanceCreateManyArgs>(args?: Prisma.SelectSubset<T, VehicleMaintenanceCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a VehicleMaintenance.
+   * @param {VehicleMaintenanceDeleteArgs} args - Arguments to delete one VehicleMaintenance.
+   * @example
+   * // Delete one VehicleMaintenance
+   * const VehicleMaintenance = await prisma.vehicleMaintenance.delete({
+   *   where: {
+   *     // ... filter to delete one VehicleMaintenance
+   *   }
+   * })
+   * 
+   */
+  delete<T extends VehicleMaintenanceDeleteArgs>(args: Prisma.SelectSubset<T, VehicleMaintenanceDeleteArgs<ExtArgs>>): Prisma.Prisma__VehicleMaintenanceClient<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one VehicleMaintenance.
+   * @param {VehicleMaintenanceUpdateArgs} args - Arguments to update one VehicleMaintenance.
+   * @example
+   * // Update one VehicleMaintenance
+   * const vehicleMaintenance = await prisma.vehicleMaintenance.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends VehicleMaintenanceUpdateArgs>(args: Prisma.SelectSubset<T, VehicleMaintenanceUpdateArgs<ExtArgs>>): Prisma.Prisma__VehicleMaintenanceClient<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more VehicleMaintenances.
+   * @param {VehicleMaintenanceDeleteManyArgs} args - Arguments to filter VehicleMaintenances to delete.
+   * @example
+   * // Delete a few VehicleMaintenances
+   * const { count } = await prisma.vehicleMaintenance.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends VehicleMaintenanceDeleteManyArgs>(args?: Prisma.SelectSubset<T, VehicleMaintenanceDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more VehicleMaintenances.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleMaintenanceUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many VehicleMaintenances
+   * const vehicleMaintenance = await prisma.vehicleMaintenance.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends VehicleMaintenanceUpdateManyArgs>(args: Prisma.SelectSubset<T, VehicleMaintenanceUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one VehicleMaintenance.
+   * @param {VehicleMaintenanceUpsertArgs} args - Arguments to update or create a VehicleMaintenance.
+   * @example
+   * // Update or create a VehicleMaintenance
+   * const vehicleMaintenance = await prisma.vehicleMaintenance.upsert({
+   *   create: {
+   *     // ... data to create a VehicleMaintenance
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the VehicleMaintenance we want to update
+   *   }
+   * })
+   */
+  upsert<T extends VehicleMaintenanceUpsertArgs>(args: Prisma.SelectSubset<T, VehicleMaintenanceUpsertArgs<ExtArgs>>): Prisma.Prisma__VehicleMaintenanceClient<runtime.Types.Result.GetResult<Prisma.$VehicleMaintenancePayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of VehicleMaintenances.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleMaintenanceCountArgs} args - Arguments to filter VehicleMaintenances to count.
+   * @example
+   * // Count the number of VehicleMaintenances
+   * const count = await prisma.vehicleMaintenance.count({
+   *   where: {
+   *     // ... the filter for the VehicleMaintenances we want to count
+   *   }
+   * })
+  **/
+  count<T extends VehicleMaintenanceCountArgs>(
+    args?: Prisma.Subset<T, VehicleMaintenanceCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], VehicleMaintenanceCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a VehicleMaintenance.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleMaintenanceAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends VehicleMaintenanceAggregateArgs>(args: Prisma.Subset<T, VehicleMaintenanceAggregateArgs>): Prisma.PrismaPromise<GetVehicleMaintenanceAggregateType<T>>
+
+  /**
+   * Group by VehicleMaintenance.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {VehicleMaintenanceGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends VehicleMaintenanceGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: VehicleMaintenanceGroupByArgs['orderBy'] }
+      : { orderBy?: VehicleMaintenanceGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, VehicleMaintenanceGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetVehicleMaintenanceGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the VehicleMaintenance model
+ */
+readonly fields: VehicleMaintenanceFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for VehicleMaintenance.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__VehicleMaintenanceClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  vehicle<T extends Prisma.VehicleDefaultArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.VehicleDefaultArgs<ExtArgs>>): Prisma.Prisma__VehicleClient<runtime.Types.Result.GetResult<Prisma.$VehiclePayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | Null, Null, ExtArgs, GlobalOmitOptions>
+  createdBy<T extends Prisma.VehicleMaintenance$createdByArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.VehicleMaintenance$createdByArgs<ExtArgs>>): Prisma.Prisma__UserClient<runtime.Types.Result.GetResult<Prisma.$UserPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the VehicleMaintenance model
+ */
+export interface VehicleMaintenanceFieldRefs {
+  readonly id: Prisma.FieldRef<"VehicleMaintenance", 'String'>
+  readonly vehicleId: Prisma.FieldRef<"VehicleMaintenance", 'String'>
+  readonly startDate: Prisma.FieldRef<"VehicleMaintenance", 'DateTime'>
+  readonly endDate: Prisma.FieldRef<"VehicleMaintenance", 'DateTime'>
+  readonly reason: Prisma.FieldRef<"VehicleMaintenance", 'String'>
+  readonly createdById: Prisma.FieldRef<"VehicleMaintenance", 'String'>
+  readonly createdAt: Prisma.FieldRef<"VehicleMaintenance", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * VehicleMaintenance findUnique
+ */
+export type VehicleMaintenanceFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  /**
+   * Filter, which VehicleMaintenance to fetch.
+   */
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+}
+
+/**
+ * VehicleMaintenance findUniqueOrThrow
+ */
+export type VehicleMaintenanceFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  /**
+   * Filter, which VehicleMaintenance to fetch.
+   */
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+}
+
+/**
+ * VehicleMaintenance findFirst
+ */
+export type VehicleMaintenanceFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  /**
+   * Filter, which VehicleMaintenance to fetch.
+   */
+  where?: Prisma.VehicleMaintenanceWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of VehicleMaintenances to fetch.
+   */
+  orderBy?: Prisma.VehicleMaintenanceOrderByWithRelationInput | Prisma.VehicleMaintenanceOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for VehicleMaintenances.
+   */
+  cursor?: Prisma.VehicleMaintenanceWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` VehicleMaintenances from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` VehicleMaintenances.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of VehicleMaintenances.
+   */
+  distinct?: Prisma.VehicleMaintenanceScalarFieldEnum | Prisma.VehicleMaintenanceScalarFieldEnum[]
+}
+
+/**
+ * VehicleMaintenance findFirstOrThrow
+ */
+export type VehicleMaintenanceFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  /**
+   * Filter, which VehicleMaintenance to fetch.
+   */
+  where?: Prisma.VehicleMaintenanceWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of VehicleMaintenances to fetch.
+   */
+  orderBy?: Prisma.VehicleMaintenanceOrderByWithRelationInput | Prisma.VehicleMaintenanceOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for VehicleMaintenances.
+   */
+  cursor?: Prisma.VehicleMaintenanceWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` VehicleMaintenances from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` VehicleMaintenances.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of VehicleMaintenances.
+   */
+  distinct?: Prisma.VehicleMaintenanceScalarFieldEnum | Prisma.VehicleMaintenanceScalarFieldEnum[]
+}
+
+/**
+ * VehicleMaintenance findMany
+ */
+export type VehicleMaintenanceFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  /**
+   * Filter, which VehicleMaintenances to fetch.
+   */
+  where?: Prisma.VehicleMaintenanceWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of VehicleMaintenances to fetch.
+   */
+  orderBy?: Prisma.VehicleMaintenanceOrderByWithRelationInput | Prisma.VehicleMaintenanceOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing VehicleMaintenances.
+   */
+  cursor?: Prisma.VehicleMaintenanceWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` VehicleMaintenances from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` VehicleMaintenances.
+   */
+  skip?: number
+  distinct?: Prisma.VehicleMaintenanceScalarFieldEnum | Prisma.VehicleMaintenanceScalarFieldEnum[]
+}
+
+/**
+ * VehicleMaintenance create
+ */
+export type VehicleMaintenanceCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  /**
+   * The data needed to create a VehicleMaintenance.
+   */
+  data: Prisma.XOR<Prisma.VehicleMaintenanceCreateInput, Prisma.VehicleMaintenanceUncheckedCreateInput>
+}
+
+/**
+ * VehicleMaintenance createMany
+ */
+export type VehicleMaintenanceCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many VehicleMaintenances.
+   */
+  data: Prisma.VehicleMaintenanceCreateManyInput | Prisma.VehicleMaintenanceCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * VehicleMaintenance update
+ */
+export type VehicleMaintenanceUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  /**
+   * The data needed to update a VehicleMaintenance.
+   */
+  data: Prisma.XOR<Prisma.VehicleMaintenanceUpdateInput, Prisma.VehicleMaintenanceUncheckedUpdateInput>
+  /**
+   * Choose, which VehicleMaintenance to update.
+   */
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+}
+
+/**
+ * VehicleMaintenance updateMany
+ */
+export type VehicleMaintenanceUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update VehicleMaintenances.
+   */
+  data: Prisma.XOR<Prisma.VehicleMaintenanceUpdateManyMutationInput, Prisma.VehicleMaintenanceUncheckedUpdateManyInput>
+  /**
+   * Filter which VehicleMaintenances to update
+   */
+  where?: Prisma.VehicleMaintenanceWhereInput
+  /**
+   * Limit how many VehicleMaintenances to update.
+   */
+  limit?: number
+}
+
+/**
+ * VehicleMaintenance upsert
+ */
+export type VehicleMaintenanceUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  /**
+   * The filter to search for the VehicleMaintenance to update in case it exists.
+   */
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+  /**
+   * In case the VehicleMaintenance found by the `where` argument doesn't exist, create a new VehicleMaintenance with this data.
+   */
+  create: Prisma.XOR<Prisma.VehicleMaintenanceCreateInput, Prisma.VehicleMaintenanceUncheckedCreateInput>
+  /**
+   * In case the VehicleMaintenance was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.VehicleMaintenanceUpdateInput, Prisma.VehicleMaintenanceUncheckedUpdateInput>
+}
+
+/**
+ * VehicleMaintenance delete
+ */
+export type VehicleMaintenanceDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+  /**
+   * Filter which VehicleMaintenance to delete.
+   */
+  where: Prisma.VehicleMaintenanceWhereUniqueInput
+}
+
+/**
+ * VehicleMaintenance deleteMany
+ */
+export type VehicleMaintenanceDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which VehicleMaintenances to delete
+   */
+  where?: Prisma.VehicleMaintenanceWhereInput
+  /**
+   * Limit how many VehicleMaintenances to delete.
+   */
+  limit?: number
+}
+
+/**
+ * VehicleMaintenance.createdBy
+ */
+export type VehicleMaintenance$createdByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the User
+   */
+  select?: Prisma.UserSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the User
+   */
+  omit?: Prisma.UserOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.UserInclude<ExtArgs> | null
+  where?: Prisma.UserWhereInput
+}
+
+/**
+ * VehicleMaintenance without action
+ */
+export type VehicleMaintenanceDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the VehicleMaintenance
+   */
+  select?: Prisma.VehicleMaintenanceSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the VehicleMaintenance
+   */
+  omit?: Prisma.VehicleMaintenanceOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.VehicleMaintenanceInclude<ExtArgs> | null
+}
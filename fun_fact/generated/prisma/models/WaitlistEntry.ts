@@ -0,0 +1,1623 @@
+
+/* !!! This is code generated by Prisma. Do not edit directly. !!! */
+/* eslint-disable */
+// biome-ignore-all lint: generated file
+// @ts-nocheck 
+/*
+ * This file exports the `WaitlistEntry` model and its related types.
+ *
+ * 🟢 You can import this file directly.
+ */
+import type * as runtime from "@prisma/client/runtime/client"
+import type * as $Enums from "../enums.ts"
+import type * as Prisma from "../internal/prismaNamespace.ts"
+
+/**
+ * Model WaitlistEntry
+ * 
+ */
+export type WaitlistEntryModel = runtime.Types.Result.DefaultSelection<Prisma.$WaitlistEntryPayload>
+
+export type AggregateWaitlistEntry = {
+  _count: WaitlistEntryCountAggregateOutputType | null
+  _min: WaitlistEntryMinAggregateOutputType | null
+  _max: WaitlistEntryMaxAggregateOutputType | null
+}
+
+export type WaitlistEntryMinAggregateOutputType = {
+  id: string | null
+  studentId: string | null
+  sessionId: string | null
+  weekOf: Date | null
+  status: $Enums.WaitlistStatus | null
+  bookingId: string | null
+  promotedAt: Date | null
+  createdAt: Date | null
+  updatedAt: Date | null
+}
+
+export type WaitlistEntryMaxAggregateOutputType = {
+  id: string | null
+  studentId: string | null
+  sessionId: string | null
+  weekOf: Date | null
+  status: $Enums.WaitlistStatus | null
+  bookingId: string | null
+  promotedAt: Date | null
+  createdAt: Date | null
+  updatedAt: Date | null
+}
+
+export type WaitlistEntryCountAggregateOutputType = {
+  id: number
+  studentId: number
+  sessionId: number
+  weekOf: number
+  status: number
+  bookingId: number
+  promotedAt: number
+  createdAt: number
+  updatedAt: number
+  _all: number
+}
+
+
+export type WaitlistEntryMinAggregateInputType = {
+  id?: true
+  studentId?: true
+  sessionId?: true
+  weekOf?: true
+  status?: true
+  bookingId?: true
+  promotedAt?: true
+  createdAt?: true
+  updatedAt?: true
+}
+
+export type WaitlistEntryMaxAggregateInputType = {
+  id?: true
+  studentId?: true
+  sessionId?: true
+  weekOf?: true
+  status?: true
+  bookingId?: true
+  promotedAt?: true
+  createdAt?: true
+  updatedAt?: true
+}
+
+export type WaitlistEntryCountAggregateInputType = {
+  id?: true
+  studentId?: true
+  sessionId?: true
+  weekOf?: true
+  status?: true
+  bookingId?: true
+  promotedAt?: true
+  createdAt?: true
+  updatedAt?: true
+  _all?: true
+}
+
+export type WaitlistEntryAggregateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which WaitlistEntry to aggregate.
+   */
+  where?: Prisma.WaitlistEntryWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of WaitlistEntries to fetch.
+   */
+  orderBy?: Prisma.WaitlistEntryOrderByWithRelationInput | Prisma.WaitlistEntryOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the start position
+   */
+  cursor?: Prisma.WaitlistEntryWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` WaitlistEntries from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` WaitlistEntries.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Count returned WaitlistEntries
+  **/
+  _count?: true | WaitlistEntryCountAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the minimum value
+  **/
+  _min?: WaitlistEntryMinAggregateInputType
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/aggregations Aggregation Docs}
+   * 
+   * Select which fields to find the maximum value
+  **/
+  _max?: WaitlistEntryMaxAggregateInputType
+}
+
+export type GetWaitlistEntryAggregateType<T extends WaitlistEntryAggregateArgs> = {
+      [P in keyof T & keyof AggregateWaitlistEntry]: P extends '_count' | 'count'
+    ? T[P] extends true
+      ? number
+      : Prisma.GetScalarType<T[P], AggregateWaitlistEntry[P]>
+    : Prisma.GetScalarType<T[P], AggregateWaitlistEntry[P]>
+}
+
+
+
+
+export type WaitlistEntryGroupByArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  where?: Prisma.WaitlistEntryWhereInput
+  orderBy?: Prisma.WaitlistEntryOrderByWithAggregationInput | Prisma.WaitlistEntryOrderByWithAggregationInput[]
+  by: Prisma.WaitlistEntryScalarFieldEnum[] | Prisma.WaitlistEntryScalarFieldEnum
+  having?: Prisma.WaitlistEntryScalarWhereWithAggregatesInput
+  take?: number
+  skip?: number
+  _count?: WaitlistEntryCountAggregateInputType | true
+  _min?: WaitlistEntryMinAggregateInputType
+  _max?: WaitlistEntryMaxAggregateInputType
+}
+
+export type WaitlistEntryGroupByOutputType = {
+  id: string
+  studentId: string
+  sessionId: string
+  weekOf: Date
+  status: $Enums.WaitlistStatus
+  bookingId: string | null
+  promotedAt: Date | null
+  createdAt: Date
+  updatedAt: Date
+  _count: WaitlistEntryCountAggregateOutputType | null
+  _min: WaitlistEntryMinAggregateOutputType | null
+  _max: WaitlistEntryMaxAggregateOutputType | null
+}
+
+type GetWaitlistEntryGroupByPayload<T extends WaitlistEntryGroupByArgs> = Prisma.PrismaPromise<
+  Array<
+    Prisma.PickEnumerable<WaitlistEntryGroupByOutputType, T['by']> &
+      {
+        [P in ((keyof T) & (keyof WaitlistEntryGroupByOutputType))]: P extends '_count'
+          ? T[P] extends boolean
+            ? number
+            : Prisma.GetScalarType<T[P], WaitlistEntryGroupByOutputType[P]>
+          : Prisma.GetScalarType<T[P], WaitlistEntryGroupByOutputType[P]>
+      }
+    >
+  >
+
+
+
+export type WaitlistEntryWhereInput = {
+  AND?: Prisma.WaitlistEntryWhereInput | Prisma.WaitlistEntryWhereInput[]
+  OR?: Prisma.WaitlistEntryWhereInput[]
+  NOT?: Prisma.WaitlistEntryWhereInput | Prisma.WaitlistEntryWhereInput[]
+  id?: Prisma.StringFilter<"WaitlistEntry"> | string
+  studentId?: Prisma.StringFilter<"WaitlistEntry"> | string
+  sessionId?: Prisma.StringFilter<"WaitlistEntry"> | string
+  weekOf?: Prisma.DateTimeFilter<"WaitlistEntry"> | Date | string
+  status?: Prisma.EnumWaitlistStatusFilter<"WaitlistEntry"> | $Enums.WaitlistStatus
+  bookingId?: Prisma.StringNullableFilter<"WaitlistEntry"> | string | null
+  promotedAt?: Prisma.DateTimeNullableFilter<"WaitlistEntry"> | Date | string | null
+  createdAt?: Prisma.DateTimeFilter<"WaitlistEntry"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"WaitlistEntry"> | Date | string
+  student?: Prisma.XOR<Prisma.StudentScalarRelationFilter, Prisma.StudentWhereInput>
+  session?: Prisma.XOR<Prisma.SessionScalarRelationFilter, Prisma.SessionWhereInput>
+  booking?: Prisma.XOR<Prisma.BookingNullableScalarRelationFilter, Prisma.BookingWhereInput> | null
+}
+
+export type WaitlistEntryOrderByWithRelationInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  bookingId?: Prisma.SortOrderInput | Prisma.SortOrder
+  promotedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+  student?: Prisma.StudentOrderByWithRelationInput
+  session?: Prisma.SessionOrderByWithRelationInput
+  booking?: Prisma.BookingOrderByWithRelationInput
+  _relevance?: Prisma.WaitlistEntryOrderByRelevanceInput
+}
+
+export type WaitlistEntryWhereUniqueInput = Prisma.AtLeast<{
+  id?: string
+  bookingId?: string
+  studentId_sessionId_weekOf?: Prisma.WaitlistEntryStudentIdSessionIdWeekOfCompoundUniqueInput
+  AND?: Prisma.WaitlistEntryWhereInput | Prisma.WaitlistEntryWhereInput[]
+  OR?: Prisma.WaitlistEntryWhereInput[]
+  NOT?: Prisma.WaitlistEntryWhereInput | Prisma.WaitlistEntryWhereInput[]
+  studentId?: Prisma.StringFilter<"WaitlistEntry"> | string
+  sessionId?: Prisma.StringFilter<"WaitlistEntry"> | string
+  weekOf?: Prisma.DateTimeFilter<"WaitlistEntry"> | Date | string
+  status?: Prisma.EnumWaitlistStatusFilter<"WaitlistEntry"> | $Enums.WaitlistStatus
+  promotedAt?: Prisma.DateTimeNullableFilter<"WaitlistEntry"> | Date | string | null
+  createdAt?: Prisma.DateTimeFilter<"WaitlistEntry"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"WaitlistEntry"> | Date | string
+  student?: Prisma.XOR<Prisma.StudentScalarRelationFilter, Prisma.StudentWhereInput>
+  session?: Prisma.XOR<Prisma.SessionScalarRelationFilter, Prisma.SessionWhereInput>
+  booking?: Prisma.XOR<Prisma.BookingNullableScalarRelationFilter, Prisma.BookingWhereInput> | null
+}, "id" | "bookingId" | "studentId_sessionId_weekOf">
+
+export type WaitlistEntryOrderByWithAggregationInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  bookingId?: Prisma.SortOrderInput | Prisma.SortOrder
+  promotedAt?: Prisma.SortOrderInput | Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+  _count?: Prisma.WaitlistEntryCountOrderByAggregateInput
+  _max?: Prisma.WaitlistEntryMaxOrderByAggregateInput
+  _min?: Prisma.WaitlistEntryMinOrderByAggregateInput
+}
+
+export type WaitlistEntryScalarWhereWithAggregatesInput = {
+  AND?: Prisma.WaitlistEntryScalarWhereWithAggregatesInput | Prisma.WaitlistEntryScalarWhereWithAggregatesInput[]
+  OR?: Prisma.WaitlistEntryScalarWhereWithAggregatesInput[]
+  NOT?: Prisma.WaitlistEntryScalarWhereWithAggregatesInput | Prisma.WaitlistEntryScalarWhereWithAggregatesInput[]
+  id?: Prisma.StringWithAggregatesFilter<"WaitlistEntry"> | string
+  studentId?: Prisma.StringWithAggregatesFilter<"WaitlistEntry"> | string
+  sessionId?: Prisma.StringWithAggregatesFilter<"WaitlistEntry"> | string
+  weekOf?: Prisma.DateTimeWithAggregatesFilter<"WaitlistEntry"> | Date | string
+  status?: Prisma.EnumWaitlistStatusWithAggregatesFilter<"WaitlistEntry"> | $Enums.WaitlistStatus
+  bookingId?: Prisma.StringNullableWithAggregatesFilter<"WaitlistEntry"> | string | null
+  promotedAt?: Prisma.DateTimeNullableWithAggregatesFilter<"WaitlistEntry"> | Date | string | null
+  createdAt?: Prisma.DateTimeWithAggregatesFilter<"WaitlistEntry"> | Date | string
+  updatedAt?: Prisma.DateTimeWithAggregatesFilter<"WaitlistEntry"> | Date | string
+}
+
+export type WaitlistEntryCreateInput = {
+  id?: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  student: Prisma.StudentCreateNestedOneWithoutWaitlistInput
+  session: Prisma.SessionCreateNestedOneWithoutWaitlistInput
+  booking?: Prisma.BookingCreateNestedOneWithoutWaitlistEntryInput
+}
+
+export type WaitlistEntryUncheckedCreateInput = {
+  id?: string
+  studentId: string
+  sessionId: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  bookingId?: string | null
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type WaitlistEntryUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  student?: Prisma.StudentUpdateOneRequiredWithoutWaitlistNestedInput
+  session?: Prisma.SessionUpdateOneRequiredWithoutWaitlistNestedInput
+  booking?: Prisma.BookingUpdateOneWithoutWaitlistEntryNestedInput
+}
+
+export type WaitlistEntryUncheckedUpdateInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type WaitlistEntryCreateManyInput = {
+  id?: string
+  studentId: string
+  sessionId: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  bookingId?: string | null
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type WaitlistEntryUpdateManyMutationInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type WaitlistEntryUncheckedUpdateManyInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type WaitlistEntryListRelationFilter = {
+  every?: Prisma.WaitlistEntryWhereInput
+  some?: Prisma.WaitlistEntryWhereInput
+  none?: Prisma.WaitlistEntryWhereInput
+}
+
+export type WaitlistEntryOrderByRelationAggregateInput = {
+  _count?: Prisma.SortOrder
+}
+
+export type WaitlistEntryNullableScalarRelationFilter = {
+  is?: Prisma.WaitlistEntryWhereInput | null
+  isNot?: Prisma.WaitlistEntryWhereInput | null
+}
+
+export type WaitlistEntryOrderByRelevanceInput = {
+  fields: Prisma.WaitlistEntryOrderByRelevanceFieldEnum | Prisma.WaitlistEntryOrderByRelevanceFieldEnum[]
+  sort: Prisma.SortOrder
+  search: string
+}
+
+export type WaitlistEntryStudentIdSessionIdWeekOfCompoundUniqueInput = {
+  studentId: string
+  sessionId: string
+  weekOf: Date | string
+}
+
+export type WaitlistEntryCountOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  bookingId?: Prisma.SortOrder
+  promotedAt?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type WaitlistEntryMaxOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  bookingId?: Prisma.SortOrder
+  promotedAt?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type WaitlistEntryMinOrderByAggregateInput = {
+  id?: Prisma.SortOrder
+  studentId?: Prisma.SortOrder
+  sessionId?: Prisma.SortOrder
+  weekOf?: Prisma.SortOrder
+  status?: Prisma.SortOrder
+  bookingId?: Prisma.SortOrder
+  promotedAt?: Prisma.SortOrder
+  createdAt?: Prisma.SortOrder
+  updatedAt?: Prisma.SortOrder
+}
+
+export type WaitlistEntryCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutStudentInput, Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput> | Prisma.WaitlistEntryCreateWithoutStudentInput[] | Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutStudentInput | Prisma.WaitlistEntryCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.WaitlistEntryCreateManyStudentInputEnvelope
+  connect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+}
+
+export type WaitlistEntryUncheckedCreateNestedManyWithoutStudentInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutStudentInput, Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput> | Prisma.WaitlistEntryCreateWithoutStudentInput[] | Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutStudentInput | Prisma.WaitlistEntryCreateOrConnectWithoutStudentInput[]
+  createMany?: Prisma.WaitlistEntryCreateManyStudentInputEnvelope
+  connect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+}
+
+export type WaitlistEntryUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutStudentInput, Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput> | Prisma.WaitlistEntryCreateWithoutStudentInput[] | Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutStudentInput | Prisma.WaitlistEntryCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.WaitlistEntryUpsertWithWhereUniqueWithoutStudentInput | Prisma.WaitlistEntryUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.WaitlistEntryCreateManyStudentInputEnvelope
+  set?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  disconnect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  delete?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  connect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  update?: Prisma.WaitlistEntryUpdateWithWhereUniqueWithoutStudentInput | Prisma.WaitlistEntryUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.WaitlistEntryUpdateManyWithWhereWithoutStudentInput | Prisma.WaitlistEntryUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.WaitlistEntryScalarWhereInput | Prisma.WaitlistEntryScalarWhereInput[]
+}
+
+export type WaitlistEntryUncheckedUpdateManyWithoutStudentNestedInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutStudentInput, Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput> | Prisma.WaitlistEntryCreateWithoutStudentInput[] | Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput[]
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutStudentInput | Prisma.WaitlistEntryCreateOrConnectWithoutStudentInput[]
+  upsert?: Prisma.WaitlistEntryUpsertWithWhereUniqueWithoutStudentInput | Prisma.WaitlistEntryUpsertWithWhereUniqueWithoutStudentInput[]
+  createMany?: Prisma.WaitlistEntryCreateManyStudentInputEnvelope
+  set?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  disconnect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  delete?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  connect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  update?: Prisma.WaitlistEntryUpdateWithWhereUniqueWithoutStudentInput | Prisma.WaitlistEntryUpdateWithWhereUniqueWithoutStudentInput[]
+  updateMany?: Prisma.WaitlistEntryUpdateManyWithWhereWithoutStudentInput | Prisma.WaitlistEntryUpdateManyWithWhereWithoutStudentInput[]
+  deleteMany?: Prisma.WaitlistEntryScalarWhereInput | Prisma.WaitlistEntryScalarWhereInput[]
+}
+
+export type WaitlistEntryCreateNestedManyWithoutSessionInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutSessionInput, Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput> | Prisma.WaitlistEntryCreateWithoutSessionInput[] | Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutSessionInput | Prisma.WaitlistEntryCreateOrConnectWithoutSessionInput[]
+  createMany?: Prisma.WaitlistEntryCreateManySessionInputEnvelope
+  connect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+}
+
+export type WaitlistEntryUncheckedCreateNestedManyWithoutSessionInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutSessionInput, Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput> | Prisma.WaitlistEntryCreateWithoutSessionInput[] | Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutSessionInput | Prisma.WaitlistEntryCreateOrConnectWithoutSessionInput[]
+  createMany?: Prisma.WaitlistEntryCreateManySessionInputEnvelope
+  connect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+}
+
+export type WaitlistEntryUpdateManyWithoutSessionNestedInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutSessionInput, Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput> | Prisma.WaitlistEntryCreateWithoutSessionInput[] | Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutSessionInput | Prisma.WaitlistEntryCreateOrConnectWithoutSessionInput[]
+  upsert?: Prisma.WaitlistEntryUpsertWithWhereUniqueWithoutSessionInput | Prisma.WaitlistEntryUpsertWithWhereUniqueWithoutSessionInput[]
+  createMany?: Prisma.WaitlistEntryCreateManySessionInputEnvelope
+  set?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  disconnect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  delete?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  connect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  update?: Prisma.WaitlistEntryUpdateWithWhereUniqueWithoutSessionInput | Prisma.WaitlistEntryUpdateWithWhereUniqueWithoutSessionInput[]
+  updateMany?: Prisma.WaitlistEntryUpdateManyWithWhereWithoutSessionInput | Prisma.WaitlistEntryUpdateManyWithWhereWithoutSessionInput[]
+  deleteMany?: Prisma.WaitlistEntryScalarWhereInput | Prisma.WaitlistEntryScalarWhereInput[]
+}
+
+export type WaitlistEntryUncheckedUpdateManyWithoutSessionNestedInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutSessionInput, Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput> | Prisma.WaitlistEntryCreateWithoutSessionInput[] | Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput[]
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutSessionInput | Prisma.WaitlistEntryCreateOrConnectWithoutSessionInput[]
+  upsert?: Prisma.WaitlistEntryUpsertWithWhereUniqueWithoutSessionInput | Prisma.WaitlistEntryUpsertWithWhereUniqueWithoutSessionInput[]
+  createMany?: Prisma.WaitlistEntryCreateManySessionInputEnvelope
+  set?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  disconnect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  delete?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  connect?: Prisma.WaitlistEntryWhereUniqueInput | Prisma.WaitlistEntryWhereUniqueInput[]
+  update?: Prisma.WaitlistEntryUpdateWithWhereUniqueWithoutSessionInput | Prisma.WaitlistEntryUpdateWithWhereUniqueWithoutSessionInput[]
+  updateMany?: Prisma.WaitlistEntryUpdateManyWithWhereWithoutSessionInput | Prisma.WaitlistEntryUpdateManyWithWhereWithoutSessionInput[]
+  deleteMany?: Prisma.WaitlistEntryScalarWhereInput | Prisma.WaitlistEntryScalarWhereInput[]
+}
+
+export type WaitlistEntryCreateNestedOneWithoutBookingInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutBookingInput, Prisma.WaitlistEntryUncheckedCreateWithoutBookingInput>
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutBookingInput
+  connect?: Prisma.WaitlistEntryWhereUniqueInput
+}
+
+export type WaitlistEntryUncheckedCreateNestedOneWithoutBookingInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutBookingInput, Prisma.WaitlistEntryUncheckedCreateWithoutBookingInput>
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutBookingInput
+  connect?: Prisma.WaitlistEntryWhereUniqueInput
+}
+
+export type WaitlistEntryUpdateOneWithoutBookingNestedInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutBookingInput, Prisma.WaitlistEntryUncheckedCreateWithoutBookingInput>
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutBookingInput
+  upsert?: Prisma.WaitlistEntryUpsertWithoutBookingInput
+  disconnect?: Prisma.WaitlistEntryWhereInput | boolean
+  delete?: Prisma.WaitlistEntryWhereInput | boolean
+  connect?: Prisma.WaitlistEntryWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.WaitlistEntryUpdateToOneWithWhereWithoutBookingInput, Prisma.WaitlistEntryUpdateWithoutBookingInput>, Prisma.WaitlistEntryUncheckedUpdateWithoutBookingInput>
+}
+
+export type WaitlistEntryUncheckedUpdateOneWithoutBookingNestedInput = {
+  create?: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutBookingInput, Prisma.WaitlistEntryUncheckedCreateWithoutBookingInput>
+  connectOrCreate?: Prisma.WaitlistEntryCreateOrConnectWithoutBookingInput
+  upsert?: Prisma.WaitlistEntryUpsertWithoutBookingInput
+  disconnect?: Prisma.WaitlistEntryWhereInput | boolean
+  delete?: Prisma.WaitlistEntryWhereInput | boolean
+  connect?: Prisma.WaitlistEntryWhereUniqueInput
+  update?: Prisma.XOR<Prisma.XOR<Prisma.WaitlistEntryUpdateToOneWithWhereWithoutBookingInput, Prisma.WaitlistEntryUpdateWithoutBookingInput>, Prisma.WaitlistEntryUncheckedUpdateWithoutBookingInput>
+}
+
+export type EnumWaitlistStatusFieldUpdateOperationsInput = {
+  set?: $Enums.WaitlistStatus
+}
+
+export type WaitlistEntryCreateWithoutStudentInput = {
+  id?: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  session: Prisma.SessionCreateNestedOneWithoutWaitlistInput
+  booking?: Prisma.BookingCreateNestedOneWithoutWaitlistEntryInput
+}
+
+export type WaitlistEntryUncheckedCreateWithoutStudentInput = {
+  id?: string
+  sessionId: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  bookingId?: string | null
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type WaitlistEntryCreateOrConnectWithoutStudentInput = {
+  where: Prisma.WaitlistEntryWhereUniqueInput
+  create: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutStudentInput, Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput>
+}
+
+export type WaitlistEntryCreateManyStudentInputEnvelope = {
+  data: Prisma.WaitlistEntryCreateManyStudentInput | Prisma.WaitlistEntryCreateManyStudentInput[]
+  skipDuplicates?: boolean
+}
+
+export type WaitlistEntryUpsertWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.WaitlistEntryWhereUniqueInput
+  update: Prisma.XOR<Prisma.WaitlistEntryUpdateWithoutStudentInput, Prisma.WaitlistEntryUncheckedUpdateWithoutStudentInput>
+  create: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutStudentInput, Prisma.WaitlistEntryUncheckedCreateWithoutStudentInput>
+}
+
+export type WaitlistEntryUpdateWithWhereUniqueWithoutStudentInput = {
+  where: Prisma.WaitlistEntryWhereUniqueInput
+  data: Prisma.XOR<Prisma.WaitlistEntryUpdateWithoutStudentInput, Prisma.WaitlistEntryUncheckedUpdateWithoutStudentInput>
+}
+
+export type WaitlistEntryUpdateManyWithWhereWithoutStudentInput = {
+  where: Prisma.WaitlistEntryScalarWhereInput
+  data: Prisma.XOR<Prisma.WaitlistEntryUpdateManyMutationInput, Prisma.WaitlistEntryUncheckedUpdateManyWithoutStudentInput>
+}
+
+export type WaitlistEntryScalarWhereInput = {
+  AND?: Prisma.WaitlistEntryScalarWhereInput | Prisma.WaitlistEntryScalarWhereInput[]
+  OR?: Prisma.WaitlistEntryScalarWhereInput[]
+  NOT?: Prisma.WaitlistEntryScalarWhereInput | Prisma.WaitlistEntryScalarWhereInput[]
+  id?: Prisma.StringFilter<"WaitlistEntry"> | string
+  studentId?: Prisma.StringFilter<"WaitlistEntry"> | string
+  sessionId?: Prisma.StringFilter<"WaitlistEntry"> | string
+  weekOf?: Prisma.DateTimeFilter<"WaitlistEntry"> | Date | string
+  status?: Prisma.EnumWaitlistStatusFilter<"WaitlistEntry"> | $Enums.WaitlistStatus
+  bookingId?: Prisma.StringNullableFilter<"WaitlistEntry"> | string | null
+  promotedAt?: Prisma.DateTimeNullableFilter<"WaitlistEntry"> | Date | string | null
+  createdAt?: Prisma.DateTimeFilter<"WaitlistEntry"> | Date | string
+  updatedAt?: Prisma.DateTimeFilter<"WaitlistEntry"> | Date | string
+}
+
+export type WaitlistEntryCreateWithoutSessionInput = {
+  id?: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  student: Prisma.StudentCreateNestedOneWithoutWaitlistInput
+  booking?: Prisma.BookingCreateNestedOneWithoutWaitlistEntryInput
+}
+
+export type WaitlistEntryUncheckedCreateWithoutSessionInput = {
+  id?: string
+  studentId: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  bookingId?: string | null
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type WaitlistEntryCreateOrConnectWithoutSessionInput = {
+  where: Prisma.WaitlistEntryWhereUniqueInput
+  create: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutSessionInput, Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput>
+}
+
+export type WaitlistEntryCreateManySessionInputEnvelope = {
+  data: Prisma.WaitlistEntryCreateManySessionInput | Prisma.WaitlistEntryCreateManySessionInput[]
+  skipDuplicates?: boolean
+}
+
+export type WaitlistEntryUpsertWithWhereUniqueWithoutSessionInput = {
+  where: Prisma.WaitlistEntryWhereUniqueInput
+  update: Prisma.XOR<Prisma.WaitlistEntryUpdateWithoutSessionInput, Prisma.WaitlistEntryUncheckedUpdateWithoutSessionInput>
+  create: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutSessionInput, Prisma.WaitlistEntryUncheckedCreateWithoutSessionInput>
+}
+
+export type WaitlistEntryUpdateWithWhereUniqueWithoutSessionInput = {
+  where: Prisma.WaitlistEntryWhereUniqueInput
+  data: Prisma.XOR<Prisma.WaitlistEntryUpdateWithoutSessionInput, Prisma.WaitlistEntryUncheckedUpdateWithoutSessionInput>
+}
+
+export type WaitlistEntryUpdateManyWithWhereWithoutSessionInput = {
+  where: Prisma.WaitlistEntryScalarWhereInput
+  data: Prisma.XOR<Prisma.WaitlistEntryUpdateManyMutationInput, Prisma.WaitlistEntryUncheckedUpdateManyWithoutSessionInput>
+}
+
+export type WaitlistEntryCreateWithoutBookingInput = {
+  id?: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+  student: Prisma.StudentCreateNestedOneWithoutWaitlistInput
+  session: Prisma.SessionCreateNestedOneWithoutWaitlistInput
+}
+
+export type WaitlistEntryUncheckedCreateWithoutBookingInput = {
+  id?: string
+  studentId: string
+  sessionId: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type WaitlistEntryCreateOrConnectWithoutBookingInput = {
+  where: Prisma.WaitlistEntryWhereUniqueInput
+  create: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutBookingInput, Prisma.WaitlistEntryUncheckedCreateWithoutBookingInput>
+}
+
+export type WaitlistEntryUpsertWithoutBookingInput = {
+  update: Prisma.XOR<Prisma.WaitlistEntryUpdateWithoutBookingInput, Prisma.WaitlistEntryUncheckedUpdateWithoutBookingInput>
+  create: Prisma.XOR<Prisma.WaitlistEntryCreateWithoutBookingInput, Prisma.WaitlistEntryUncheckedCreateWithoutBookingInput>
+  where?: Prisma.WaitlistEntryWhereInput
+}
+
+export type WaitlistEntryUpdateToOneWithWhereWithoutBookingInput = {
+  where?: Prisma.WaitlistEntryWhereInput
+  data: Prisma.XOR<Prisma.WaitlistEntryUpdateWithoutBookingInput, Prisma.WaitlistEntryUncheckedUpdateWithoutBookingInput>
+}
+
+export type WaitlistEntryUpdateWithoutBookingInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  student?: Prisma.StudentUpdateOneRequiredWithoutWaitlistNestedInput
+  session?: Prisma.SessionUpdateOneRequiredWithoutWaitlistNestedInput
+}
+
+export type WaitlistEntryUncheckedUpdateWithoutBookingInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type WaitlistEntryCreateManyStudentInput = {
+  id?: string
+  sessionId: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  bookingId?: string | null
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type WaitlistEntryUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  session?: Prisma.SessionUpdateOneRequiredWithoutWaitlistNestedInput
+  booking?: Prisma.BookingUpdateOneWithoutWaitlistEntryNestedInput
+}
+
+export type WaitlistEntryUncheckedUpdateWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type WaitlistEntryUncheckedUpdateManyWithoutStudentInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  sessionId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type WaitlistEntryCreateManySessionInput = {
+  id?: string
+  studentId: string
+  weekOf: Date | string
+  status?: $Enums.WaitlistStatus
+  bookingId?: string | null
+  promotedAt?: Date | string | null
+  createdAt?: Date | string
+  updatedAt?: Date | string
+}
+
+export type WaitlistEntryUpdateWithoutSessionInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  student?: Prisma.StudentUpdateOneRequiredWithoutWaitlistNestedInput
+  booking?: Prisma.BookingUpdateOneWithoutWaitlistEntryNestedInput
+}
+
+export type WaitlistEntryUncheckedUpdateWithoutSessionInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+export type WaitlistEntryUncheckedUpdateManyWithoutSessionInput = {
+  id?: Prisma.StringFieldUpdateOperationsInput | string
+  studentId?: Prisma.StringFieldUpdateOperationsInput | string
+  weekOf?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  status?: Prisma.EnumWaitlistStatusFieldUpdateOperationsInput | $Enums.WaitlistStatus
+  bookingId?: Prisma.NullableStringFieldUpdateOperationsInput | string | null
+  promotedAt?: Prisma.NullableDateTimeFieldUpdateOperationsInput | Date | string | null
+  createdAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+  updatedAt?: Prisma.DateTimeFieldUpdateOperationsInput | Date | string
+}
+
+
+
+export type WaitlistEntrySelect<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetSelect<{
+  id?: boolean
+  studentId?: boolean
+  sessionId?: boolean
+  weekOf?: boolean
+  status?: boolean
+  bookingId?: boolean
+  promotedAt?: boolean
+  createdAt?: boolean
+  updatedAt?: boolean
+  student?: boolean | Prisma.StudentDefaultArgs<ExtArgs>
+  session?: boolean | Prisma.SessionDefaultArgs<ExtArgs>
+  booking?: boolean | Prisma.WaitlistEntry$bookingArgs<ExtArgs>
+}, ExtArgs["result"]["waitlistEntry"]>
+
+
+
+export type WaitlistEntrySelectScalar = {
+  id?: boolean
+  studentId?: boolean
+  sessionId?: boolean
+  weekOf?: boolean
+  status?: boolean
+  bookingId?: boolean
+  promotedAt?: boolean
+  createdAt?: boolean
+  updatedAt?: boolean
+}
+
+export type WaitlistEntryOmit<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = runtime.Types.Extensions.GetOmit<"id" | "studentId" | "sessionId" | "weekOf" | "status" | "bookingId" | "promotedAt" | "createdAt" | "updatedAt", ExtArgs["result"]["waitlistEntry"]>
+export type WaitlistEntryInclude<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  student?: boolean | Prisma.StudentDefaultArgs<ExtArgs>
+  session?: boolean | Prisma.SessionDefaultArgs<ExtArgs>
+  booking?: boolean | Prisma.WaitlistEntry$bookingArgs<ExtArgs>
+}
+
+export type $WaitlistEntryPayload<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  name: "WaitlistEntry"
+  objects: {
+    student: Prisma.$StudentPayload<ExtArgs>
+    session: Prisma.$SessionPayload<ExtArgs>
+    booking: Prisma.$BookingPayload<ExtArgs> | null
+  }
+  scalars: runtime.Types.Extensions.GetPayloadResult<{
+    id: string
+    studentId: string
+    sessionId: string
+    weekOf: Date
+    status: $Enums.WaitlistStatus
+    bookingId: string | null
+    promotedAt: Date | null
+    createdAt: Date
+    updatedAt: Date
+  }, ExtArgs["result"]["waitlistEntry"]>
+  composites: {}
+}
+
+export type WaitlistEntryGetPayload<S extends boolean | null | undefined | WaitlistEntryDefaultArgs> = runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload, S>
+
+export type WaitlistEntryCountArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> =
+  Omit<WaitlistEntryFindManyArgs, 'select' | 'include' | 'distinct' | 'omit'> & {
+    select?: WaitlistEntryCountAggregateInputType | true
+  }
+
+export interface WaitlistEntryDelegate<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> {
+  [K: symbol]: { types: Prisma.TypeMap<ExtArgs>['model']['WaitlistEntry'], meta: { name: 'WaitlistEntry' } }
+  /**
+   * Find zero or one WaitlistEntry that matches the filter.
+   * @param {WaitlistEntryFindUniqueArgs} args - Arguments to find a WaitlistEntry
+   * @example
+   * // Get one WaitlistEntry
+   * const waitlistEntry = await prisma.waitlistEntry.findUnique({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUnique<T extends WaitlistEntryFindUniqueArgs>(args: Prisma.SelectSubset<T, WaitlistEntryFindUniqueArgs<ExtArgs>>): Prisma.Prisma__WaitlistEntryClient<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "findUnique", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find one WaitlistEntry that matches the filter or throw an error with `error.code='P2025'`
+   * if no matches were found.
+   * @param {WaitlistEntryFindUniqueOrThrowArgs} args - Arguments to find a WaitlistEntry
+   * @example
+   * // Get one WaitlistEntry
+   * const waitlistEntry = await prisma.waitlistEntry.findUniqueOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findUniqueOrThrow<T extends WaitlistEntryFindUniqueOrThrowArgs>(args: Prisma.SelectSubset<T, WaitlistEntryFindUniqueOrThrowArgs<ExtArgs>>): Prisma.Prisma__WaitlistEntryClient<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first WaitlistEntry that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {WaitlistEntryFindFirstArgs} args - Arguments to find a WaitlistEntry
+   * @example
+   * // Get one WaitlistEntry
+   * const waitlistEntry = await prisma.waitlistEntry.findFirst({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirst<T extends WaitlistEntryFindFirstArgs>(args?: Prisma.SelectSubset<T, WaitlistEntryFindFirstArgs<ExtArgs>>): Prisma.Prisma__WaitlistEntryClient<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "findFirst", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find the first WaitlistEntry that matches the filter or
+   * throw `PrismaKnownClientError` with `P2025` code if no matches were found.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {WaitlistEntryFindFirstOrThrowArgs} args - Arguments to find a WaitlistEntry
+   * @example
+   * // Get one WaitlistEntry
+   * const waitlistEntry = await prisma.waitlistEntry.findFirstOrThrow({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   */
+  findFirstOrThrow<T extends WaitlistEntryFindFirstOrThrowArgs>(args?: Prisma.SelectSubset<T, WaitlistEntryFindFirstOrThrowArgs<ExtArgs>>): Prisma.Prisma__WaitlistEntryClient<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "findFirstOrThrow", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Find zero or more WaitlistEntries that matches the filter.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {WaitlistEntryFindManyArgs} args - Arguments to filter and select certain fields only.
+   * @example
+   * // Get all WaitlistEntries
+   * const waitlistEntries = await prisma.waitlistEntry.findMany()
+   * 
+   * // Get first 10 WaitlistEntries
+   * const waitlistEntries = await prisma.waitlistEntry.findMany({ take: 10 })
+   * 
+   * // Only select the `id`
+   * const waitlistEntryWithIdOnly = await prisma.waitlistEntry.findMany({ select: { id: true } })
+   * 
+   */
+  findMany<T extends WaitlistEntryFindManyArgs>(args?: Prisma.SelectSubset<T, WaitlistEntryFindManyArgs<ExtArgs>>): Prisma.PrismaPromise<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "findMany", GlobalOmitOptions>>
+
+  /**
+   * Create a WaitlistEntry.
+   * @param {WaitlistEntryCreateArgs} args - Arguments to create a WaitlistEntry.
+   * @example
+   * // Create one WaitlistEntry
+   * const WaitlistEntry = await prisma.waitlistEntry.create({
+   *   data: {
+   *     // ... data to create a WaitlistEntry
+   *   }
+   * })
+   * 
+   */
+  create<T extends WaitlistEntryCreateArgs>(args: Prisma.SelectSubset<T, WaitlistEntryCreateArgs<ExtArgs>>): Prisma.Prisma__WaitlistEntryClient<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "create", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Create many WaitlistEntries.
+   * @param {WaitlistEntryCreateManyArgs} args - Arguments to create many WaitlistEntries.
+   * @example
+   * // Create many WaitlistEntries
+   * const waitlistEntry = await prisma.waitlistEntry.createMany({
+   *   data: [
+   *     // ... provide data here
+   *   ]
+   * })
+   *     
+   */
+  createMany<T extends WaitlistEntryCreateManyArgs>(args?: Prisma.SelectSubset<T, WaitlistEntryCreateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Delete a WaitlistEntry.
+   * @param {WaitlistEntryDeleteArgs} args - Arguments to delete one WaitlistEntry.
+   * @example
+   * // Delete one WaitlistEntry
+   * const WaitlistEntry = await prisma.waitlistEntry.delete({
+   *   where: {
+   *     // ... filter to delete one WaitlistEntry
+   *   }
+   * })
+   * 
+   */
+  delete<T extends WaitlistEntryDeleteArgs>(args: Prisma.SelectSubset<T, WaitlistEntryDeleteArgs<ExtArgs>>): Prisma.Prisma__WaitlistEntryClient<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "delete", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Update one WaitlistEntry.
+   * @param {WaitlistEntryUpdateArgs} args - Arguments to update one WaitlistEntry.
+   * @example
+   * // Update one WaitlistEntry
+   * const waitlistEntry = await prisma.waitlistEntry.update({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  update<T extends WaitlistEntryUpdateArgs>(args: Prisma.SelectSubset<T, WaitlistEntryUpdateArgs<ExtArgs>>): Prisma.Prisma__WaitlistEntryClient<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "update", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+  /**
+   * Delete zero or more WaitlistEntries.
+   * @param {WaitlistEntryDeleteManyArgs} args - Arguments to filter WaitlistEntries to delete.
+   * @example
+   * // Delete a few WaitlistEntries
+   * const { count } = await prisma.waitlistEntry.deleteMany({
+   *   where: {
+   *     // ... provide filter here
+   *   }
+   * })
+   * 
+   */
+  deleteMany<T extends WaitlistEntryDeleteManyArgs>(args?: Prisma.SelectSubset<T, WaitlistEntryDeleteManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Update zero or more WaitlistEntries.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {WaitlistEntryUpdateManyArgs} args - Arguments to update one or more rows.
+   * @example
+   * // Update many WaitlistEntries
+   * const waitlistEntry = await prisma.waitlistEntry.updateMany({
+   *   where: {
+   *     // ... provide filter here
+   *   },
+   *   data: {
+   *     // ... provide data here
+   *   }
+   * })
+   * 
+   */
+  updateMany<T extends WaitlistEntryUpdateManyArgs>(args: Prisma.SelectSubset<T, WaitlistEntryUpdateManyArgs<ExtArgs>>): Prisma.PrismaPromise<Prisma.BatchPayload>
+
+  /**
+   * Create or update one WaitlistEntry.
+   * @param {WaitlistEntryUpsertArgs} args - Arguments to update or create a WaitlistEntry.
+   * @example
+   * // Update or create a WaitlistEntry
+   * const waitlistEntry = await prisma.waitlistEntry.upsert({
+   *   create: {
+   *     // ... data to create a WaitlistEntry
+   *   },
+   *   update: {
+   *     // ... in case it already exists, update
+   *   },
+   *   where: {
+   *     // ... the filter for the WaitlistEntry we want to update
+   *   }
+   * })
+   */
+  upsert<T extends WaitlistEntryUpsertArgs>(args: Prisma.SelectSubset<T, WaitlistEntryUpsertArgs<ExtArgs>>): Prisma.Prisma__WaitlistEntryClient<runtime.Types.Result.GetResult<Prisma.$WaitlistEntryPayload<ExtArgs>, T, "upsert", GlobalOmitOptions>, never, ExtArgs, GlobalOmitOptions>
+
+
+  /**
+   * Count the number of WaitlistEntries.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {WaitlistEntryCountArgs} args - Arguments to filter WaitlistEntries to count.
+   * @example
+   * // Count the number of WaitlistEntries
+   * const count = await prisma.waitlistEntry.count({
+   *   where: {
+   *     // ... the filter for the WaitlistEntries we want to count
+   *   }
+   * })
+  **/
+  count<T extends WaitlistEntryCountArgs>(
+    args?: Prisma.Subset<T, WaitlistEntryCountArgs>,
+  ): Prisma.PrismaPromise<
+    T extends runtime.Types.Utils.Record<'select', any>
+      ? T['select'] extends true
+        ? number
+        : Prisma.GetScalarType<T['select'], WaitlistEntryCountAggregateOutputType>
+      : number
+  >
+
+  /**
+   * Allows you to perform aggregations operations on a WaitlistEntry.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {WaitlistEntryAggregateArgs} args - Select which aggregations you would like to apply and on what fields.
+   * @example
+   * // Ordered by age ascending
+   * // Where email contains prisma.io
+   * // Limited to the 10 users
+   * const aggregations = await prisma.user.aggregate({
+   *   _avg: {
+   *     age: true,
+   *   },
+   *   where: {
+   *     email: {
+   *       contains: "prisma.io",
+   *     },
+   *   },
+   *   orderBy: {
+   *     age: "asc",
+   *   },
+   *   take: 10,
+   * })
+  **/
+  aggregate<T extends WaitlistEntryAggregateArgs>(args: Prisma.Subset<T, WaitlistEntryAggregateArgs>): Prisma.PrismaPromise<GetWaitlistEntryAggregateType<T>>
+
+  /**
+   * Group by WaitlistEntry.
+   * Note, that providing `undefined` is treated as the value not being there.
+   * Read more here: https://pris.ly/d/null-undefined
+   * @param {WaitlistEntryGroupByArgs} args - Group by arguments.
+   * @example
+   * // Group by city, order by createdAt, get count
+   * const result = await prisma.user.groupBy({
+   *   by: ['city', 'createdAt'],
+   *   orderBy: {
+   *     createdAt: true
+   *   },
+   *   _count: {
+   *     _all: true
+   *   },
+   * })
+   * 
+  **/
+  groupBy<
+    T extends WaitlistEntryGroupByArgs,
+    HasSelectOrTake extends Prisma.Or<
+      Prisma.Extends<'skip', Prisma.Keys<T>>,
+      Prisma.Extends<'take', Prisma.Keys<T>>
+    >,
+    OrderByArg extends Prisma.True extends HasSelectOrTake
+      ? { orderBy: WaitlistEntryGroupByArgs['orderBy'] }
+      : { orderBy?: WaitlistEntryGroupByArgs['orderBy'] },
+    OrderFields extends Prisma.ExcludeUnderscoreKeys<Prisma.Keys<Prisma.MaybeTupleToUnion<T['orderBy']>>>,
+    ByFields extends Prisma.MaybeTupleToUnion<T['by']>,
+    ByValid extends Prisma.Has<ByFields, OrderFields>,
+    HavingFields extends Prisma.GetHavingFields<T['having']>,
+    HavingValid extends Prisma.Has<ByFields, HavingFields>,
+    ByEmpty extends T['by'] extends never[] ? Prisma.True : Prisma.False,
+    InputErrors extends ByEmpty extends Prisma.True
+    ? `Error: "by" must not be empty.`
+    : HavingValid extends Prisma.False
+    ? {
+        [P in HavingFields]: P extends ByFields
+          ? never
+          : P extends string
+          ? `Error: Field "${P}" used in "having" needs to be provided in "by".`
+          : [
+              Error,
+              'Field ',
+              P,
+              ` in "having" needs to be provided in "by"`,
+            ]
+      }[HavingFields]
+    : 'take' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "take", you also need to provide "orderBy"'
+    : 'skip' extends Prisma.Keys<T>
+    ? 'orderBy' extends Prisma.Keys<T>
+      ? ByValid extends Prisma.True
+        ? {}
+        : {
+            [P in OrderFields]: P extends ByFields
+              ? never
+              : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+          }[OrderFields]
+      : 'Error: If you provide "skip", you also need to provide "orderBy"'
+    : ByValid extends Prisma.True
+    ? {}
+    : {
+        [P in OrderFields]: P extends ByFields
+          ? never
+          : `Error: Field "${P}" in "orderBy" needs to be provided in "by"`
+      }[OrderFields]
+  >(args: Prisma.SubsetIntersection<T, WaitlistEntryGroupByArgs, OrderByArg> & InputErrors): {} extends InputErrors ? GetWaitlistEntryGroupByPayload<T> : Prisma.PrismaPromise<InputErrors>
+/**
+ * Fields of the WaitlistEntry model
+ */
+readonly fields: WaitlistEntryFieldRefs;
+}
+
+/**
+ * The delegate class that acts as a "Promise-like" for WaitlistEntry.
+ * Why is this prefixed with `Prisma__`?
+ * Because we want to prevent naming conflicts as mentioned in
+ * https://github.com/prisma/prisma-client-js/issues/707
+ */
+export interface Prisma__WaitlistEntryClient<T, Null = never, ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs, GlobalOmitOptions = {}> extends Prisma.PrismaPromise<T> {
+  readonly [Symbol.toStringTag]: "PrismaPromise"
+  student<T extends Prisma.StudentDefaultArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.StudentDefaultArgs<ExtArgs>>): Prisma.Prisma__StudentClient<runtime.Types.Result.GetResult<Prisma.$StudentPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | Null, Null, ExtArgs, GlobalOmitOptions>
+  session<T extends Prisma.SessionDefaultArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.SessionDefaultArgs<ExtArgs>>): Prisma.Prisma__SessionClient<runtime.Types.Result.GetResult<Prisma.$SessionPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | Null, Null, ExtArgs, GlobalOmitOptions>
+  booking<T extends Prisma.WaitlistEntry$bookingArgs<ExtArgs> = {}>(args?: Prisma.Subset<T, Prisma.WaitlistEntry$bookingArgs<ExtArgs>>): Prisma.Prisma__BookingClient<runtime.Types.Result.GetResult<Prisma.$BookingPayload<ExtArgs>, T, "findUniqueOrThrow", GlobalOmitOptions> | null, null, ExtArgs, GlobalOmitOptions>
+  /**
+   * Attaches callbacks for the resolution and/or rejection of the Promise.
+   * @param onfulfilled The callback to execute when the Promise is resolved.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of which ever callback is executed.
+   */
+  then<TResult1 = T, TResult2 = never>(onfulfilled?: ((value: T) => TResult1 | PromiseLike<TResult1>) | undefined | null, onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | undefined | null): runtime.Types.Utils.JsPromise<TResult1 | TResult2>
+  /**
+   * Attaches a callback for only the rejection of the Promise.
+   * @param onrejected The callback to execute when the Promise is rejected.
+   * @returns A Promise for the completion of the callback.
+   */
+  catch<TResult = never>(onrejected?: ((reason: any) => TResult | PromiseLike<TResult>) | undefined | null): runtime.Types.Utils.JsPromise<T | TResult>
+  /**
+   * Attaches a callback that is invoked when the Promise is settled (fulfilled or rejected). The
+   * resolved value cannot be modified from the callback.
+   * @param onfinally The callback to execute when the Promise is settled (fulfilled or rejected).
+   * @returns A Promise for the completion of the callback.
+   */
+  finally(onfinally?: (() => void) | undefined | null): runtime.Types.Utils.JsPromise<T>
+}
+
+
+
+
+/**
+ * Fields of the WaitlistEntry model
+ */
+export interface WaitlistEntryFieldRefs {
+  readonly id: Prisma.FieldRef<"WaitlistEntry", 'String'>
+  readonly studentId: Prisma.FieldRef<"WaitlistEntry", 'String'>
+  readonly sessionId: Prisma.FieldRef<"WaitlistEntry", 'String'>
+  readonly weekOf: Prisma.FieldRef<"WaitlistEntry", 'DateTime'>
+  readonly status: Prisma.FieldRef<"WaitlistEntry", 'WaitlistStatus'>
+  readonly bookingId: Prisma.FieldRef<"WaitlistEntry", 'String'>
+  readonly promotedAt: Prisma.FieldRef<"WaitlistEntry", 'DateTime'>
+  readonly createdAt: Prisma.FieldRef<"WaitlistEntry", 'DateTime'>
+  readonly updatedAt: Prisma.FieldRef<"WaitlistEntry", 'DateTime'>
+}
+    
+
+// Custom InputTypes
+/**
+ * WaitlistEntry findUnique
+ */
+export type WaitlistEntryFindUniqueArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  /**
+   * Filter, which WaitlistEntry to fetch.
+   */
+  where: Prisma.WaitlistEntryWhereUniqueInput
+}
+
+/**
+ * WaitlistEntry findUniqueOrThrow
+ */
+export type WaitlistEntryFindUniqueOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  /**
+   * Filter, which WaitlistEntry to fetch.
+   */
+  where: Prisma.WaitlistEntryWhereUniqueInput
+}
+
+/**
+ * WaitlistEntry findFirst
+ */
+export type WaitlistEntryFindFirstArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  /**
+   * Filter, which WaitlistEntry to fetch.
+   */
+  where?: Prisma.WaitlistEntryWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of WaitlistEntries to fetch.
+   */
+  orderBy?: Prisma.WaitlistEntryOrderByWithRelationInput | Prisma.WaitlistEntryOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for WaitlistEntries.
+   */
+  cursor?: Prisma.WaitlistEntryWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` WaitlistEntries from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` WaitlistEntries.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of WaitlistEntries.
+   */
+  distinct?: Prisma.WaitlistEntryScalarFieldEnum | Prisma.WaitlistEntryScalarFieldEnum[]
+}
+
+/**
+ * WaitlistEntry findFirstOrThrow
+ */
+export type WaitlistEntryFindFirstOrThrowArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  /**
+   * Filter, which WaitlistEntry to fetch.
+   */
+  where?: Prisma.WaitlistEntryWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of WaitlistEntries to fetch.
+   */
+  orderBy?: Prisma.WaitlistEntryOrderByWithRelationInput | Prisma.WaitlistEntryOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for searching for WaitlistEntries.
+   */
+  cursor?: Prisma.WaitlistEntryWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` WaitlistEntries from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` WaitlistEntries.
+   */
+  skip?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/distinct Distinct Docs}
+   * 
+   * Filter by unique combinations of WaitlistEntries.
+   */
+  distinct?: Prisma.WaitlistEntryScalarFieldEnum | Prisma.WaitlistEntryScalarFieldEnum[]
+}
+
+/**
+ * WaitlistEntry findMany
+ */
+export type WaitlistEntryFindManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  /**
+   * Filter, which WaitlistEntries to fetch.
+   */
+  where?: Prisma.WaitlistEntryWhereInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/sorting Sorting Docs}
+   * 
+   * Determine the order of WaitlistEntries to fetch.
+   */
+  orderBy?: Prisma.WaitlistEntryOrderByWithRelationInput | Prisma.WaitlistEntryOrderByWithRelationInput[]
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination#cursor-based-pagination Cursor Docs}
+   * 
+   * Sets the position for listing WaitlistEntries.
+   */
+  cursor?: Prisma.WaitlistEntryWhereUniqueInput
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Take `±n` WaitlistEntries from the position of the cursor.
+   */
+  take?: number
+  /**
+   * {@link https://www.prisma.io/docs/concepts/components/prisma-client/pagination Pagination Docs}
+   * 
+   * Skip the first `n` WaitlistEntries.
+   */
+  skip?: number
+  distinct?: Prisma.WaitlistEntryScalarFieldEnum | Prisma.WaitlistEntryScalarFieldEnum[]
+}
+
+/**
+ * WaitlistEntry create
+ */
+export type WaitlistEntryCreateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  /**
+   * The data needed to create a WaitlistEntry.
+   */
+  data: Prisma.XOR<Prisma.WaitlistEntryCreateInput, Prisma.WaitlistEntryUncheckedCreateInput>
+}
+
+/**
+ * WaitlistEntry createMany
+ */
+export type WaitlistEntryCreateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to create many WaitlistEntries.
+   */
+  data: Prisma.WaitlistEntryCreateManyInput | Prisma.WaitlistEntryCreateManyInput[]
+  skipDuplicates?: boolean
+}
+
+/**
+ * WaitlistEntry update
+ */
+export type WaitlistEntryUpdateArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  /**
+   * The data needed to update a WaitlistEntry.
+   */
+  data: Prisma.XOR<Prisma.WaitlistEntryUpdateInput, Prisma.WaitlistEntryUncheckedUpdateInput>
+  /**
+   * Choose, which WaitlistEntry to update.
+   */
+  where: Prisma.WaitlistEntryWhereUniqueInput
+}
+
+/**
+ * WaitlistEntry updateMany
+ */
+export type WaitlistEntryUpdateManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * The data used to update WaitlistEntries.
+   */
+  data: Prisma.XOR<Prisma.WaitlistEntryUpdateManyMutationInput, Prisma.WaitlistEntryUncheckedUpdateManyInput>
+  /**
+   * Filter which WaitlistEntries to update
+   */
+  where?: Prisma.WaitlistEntryWhereInput
+  /**
+   * Limit how many WaitlistEntries to update.
+   */
+  limit?: number
+}
+
+/**
+ * WaitlistEntry upsert
+ */
+export type WaitlistEntryUpsertArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  /**
+   * The filter to search for the WaitlistEntry to update in case it exists.
+   */
+  where: Prisma.WaitlistEntryWhereUniqueInput
+  /**
+   * In case the WaitlistEntry found by the `where` argument doesn't exist, create a new WaitlistEntry with this data.
+   */
+  create: Prisma.XOR<Prisma.WaitlistEntryCreateInput, Prisma.WaitlistEntryUncheckedCreateInput>
+  /**
+   * In case the WaitlistEntry was found with the provided `where` argument, update it with this data.
+   */
+  update: Prisma.XOR<Prisma.WaitlistEntryUpdateInput, Prisma.WaitlistEntryUncheckedUpdateInput>
+}
+
+/**
+ * WaitlistEntry delete
+ */
+export type WaitlistEntryDeleteArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+  /**
+   * Filter which WaitlistEntry to delete.
+   */
+  where: Prisma.WaitlistEntryWhereUniqueInput
+}
+
+/**
+ * WaitlistEntry deleteMany
+ */
+export type WaitlistEntryDeleteManyArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Filter which WaitlistEntries to delete
+   */
+  where?: Prisma.WaitlistEntryWhereInput
+  /**
+   * Limit how many WaitlistEntries to delete.
+   */
+  limit?: number
+}
+
+/**
+ * WaitlistEntry.booking
+ */
+export type WaitlistEntry$bookingArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the Booking
+   */
+  select?: Prisma.BookingSelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the Booking
+   */
+  omit?: Prisma.BookingOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.BookingInclude<ExtArgs> | null
+  where?: Prisma.BookingWhereInput
+}
+
+/**
+ * WaitlistEntry without action
+ */
+export type WaitlistEntryDefaultArgs<ExtArgs extends runtime.Types.Extensions.InternalArgs = runtime.Types.Extensions.DefaultArgs> = {
+  /**
+   * Select specific fields to fetch from the WaitlistEntry
+   */
+  select?: Prisma.WaitlistEntrySelect<ExtArgs> | null
+  /**
+   * Omit specific fields from the WaitlistEntry
+   */
+  omit?: Prisma.WaitlistEntryOmit<ExtArgs> | null
+  /**
+   * Choose, which related nodes to fetch as well
+   */
+  include?: Prisma.WaitlistEntryInclude<ExtArgs> | null
+}
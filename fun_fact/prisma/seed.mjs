@@ -12,7 +12,7 @@ const __dirname = path.dirname(__filename);
 
 // Import constants (CommonJS module)
 const require = createRequire(import.meta.url);
-const { DAYS, TIME_SLOTS, DAY_TIME_SLOTS, LICENCE_CLASSES, DEFAULT_LICENCE_CLASS } = require('../src/app/lib/constants');
+const { DEFAULT_TIME_SLOTS, LICENCE_CLASSES, DEFAULT_LICENCE_CLASS, DEFAULT_BRANCH } = require('../src/app/lib/constants');
 
 const adapter = new PrismaMariaDb({
   host: process.env.DATABASE_HOST,
@@ -77,6 +77,31 @@ async function main() {
 
   console.log(`Added ${createdStudents} new students`);
 
+  // Seed the default branch. Students, sessions and registrations from before
+  // branches existed were given its code when the column was added.
+  console.log('Seeding branches...');
+  await prisma.branch.upsert({
+    where: { code: DEFAULT_BRANCH },
+    create: { code: DEFAULT_BRANCH, name: 'Main branch' },
+    update: {},
+  });
+  const branches = await prisma.branch.findMany({ select: { code: true } });
+
+  // Seed the time slot catalogue. The original slots keep the codes of the old
+  // TimeSlot enum, so sessions and closures created before the catalogue
+  // existed point at them. Slots already present (possibly edited by an
+  // admin) are left alone.
+  console.log('Seeding time slots...');
+  for (const slot of DEFAULT_TIME_SLOTS) {
+    await prisma.timeSlot.upsert({
+      where: { code: slot.code },
+      create: slot,
+      update: {},
+    });
+  }
+  const catalogue = await prisma.timeSlot.findMany({ where: { isActive: true } });
+  console.log(`${catalogue.length} active time slots`);
+
   // Seed sessions
   console.log('Seeding sessions...');
   let createdSessions = 0;
@@ -90,32 +115,32 @@ async function main() {
     if (capacitySetting) defaultCapacity = parseInt(capacitySetting.value, 10);
   } catch (_) { /* settings table may not exist yet */ }
 
-  // Create the full (day × timeSlot × licence class) matrix. The default class
-  // is opened at `defaultCapacity`; every other class starts at 0 (not offered)
-  // so an admin can open it later via the capacity matrix. Upsert on the
-  // composite unique key keeps this idempotent and never overwrites capacities
-  // an admin has already set.
-  for (const day of Object.values(DAYS)) {
-    const timeSlots = DAY_TIME_SLOTS[day];
-
-    for (const timeSlot of timeSlots) {
-      for (const category of LICENCE_CLASSES) {
-        const capacity = category === DEFAULT_LICENCE_CLASS ? defaultCapacity : 0;
-        try {
-          const existing = tablesExist
-            ? await prisma.session.findUnique({
-                where: { day_timeSlot_category: { day, timeSlot, category } }
-              })
-            : null;
-
-          if (!existing) {
-            await prisma.session.create({
-              data: { day, timeSlot, category, capacity }
-            });
-            createdSessions++;
+  // Create the full (branch × day × timeSlot × licence class) matrix from the
+  // catalogue. The default class is opened at `defaultCapacity`; every other
+  // class starts at 0 (not offered) so an admin can open it later via the
+  // capacity matrix. Upsert on the composite unique key keeps this idempotent
+  // and never overwrites capacities an admin has already set.
+  for (const { code: branch } of branches) {
+    for (const { code: timeSlot, days } of catalogue) {
+      for (const day of days) {
+        for (const category of LICENCE_CLASSES) {
+          const capacity = category === DEFAULT_LICENCE_CLASS ? defaultCapacity : 0;
+          try {
+            const existing = tablesExist
+              ? await prisma.session.findUnique({
+                  where: { branch_day_timeSlot_category: { branch, day, timeSlot, category } }
+                })
+              : null;
+
+            if (!existing) {
+              await prisma.session.create({
+                data: { branch, day, timeSlot, category, capacity }
+              });
+              createdSessions++;
+            }
+          } catch (error) {
+            console.error(`Error processing session for ${branch} ${day} ${timeSlot} ${category}:`, error);
           }
-        } catch (error) {
-          console.error(`Error processing session for ${day} ${timeSlot} ${category}:`, error);
         }
       }
     }
@@ -155,8 +180,22 @@ async function main() {
     { key: 'max_capacity_per_session', value: '4', label: 'Maximum students per session', type: 'number' },
     { key: 'max_days_per_week', value: '3', label: 'Maximum days a student can book per week', type: 'number' },
     { key: 'max_sessions_per_day', value: '1', label: 'Maximum sessions per day per student', type: 'number' },
+    { key: 'booking_horizon_weeks', value: '1', label: 'Weeks ahead students can book (0 = current week only)', type: 'number' },
     { key: 'total_practicals_required', value: '15', label: 'Total practicals to complete the course', type: 'number' },
     { key: 'auto_deactivate_on_completion', value: 'false', label: 'Auto-deactivate students once they complete all required practicals', type: 'boolean' },
+    { key: 'cancel_cutoff_hours', value: '12', label: 'Hours before a session after which a student cancellation is late', type: 'number' },
+    { key: 'block_late_cancellations', value: 'false', label: 'Block cancellations after the cutoff', type: 'boolean' },
+    { key: 'no_show_limit', value: '2', label: 'Missed sessions that suspend booking (0 = never suspend)', type: 'number' },
+    { key: 'no_show_window_weeks', value: '4', label: 'Weeks counted toward the missed-session limit', type: 'number' },
+    { key: 'suspension_weeks', value: '1', label: 'Weeks a suspended student cannot book', type: 'number' },
+    { key: 'late_cancels_count_as_no_shows', value: 'true', label: 'Count late cancellations toward the missed-session limit', type: 'boolean' },
+    { key: 'school_timezone', value: 'Africa/Nairobi', label: 'School timezone', type: 'string' },
+    { key: 'week_rollover_hour', value: '17', label: 'Hour on Sunday when booking moves to the next week', type: 'number' },
+    { key: 'email_notifications', value: 'true', label: 'Email students about their bookings', type: 'boolean' },
+    { key: 'sms_reminder_hours', value: '24', label: 'Hours before a session to text a reminder (0 = no reminders)', type: 'number' },
+    { key: 'log_retention_days', value: '365', label: 'Days system, notification and job logs are kept (0 = forever)', type: 'number' },
+    { key: 'student_login_codes', value: 'false', label: 'Students confirm each login with a one-time code', type: 'boolean' },
+    { key: 'require_admin_2fa', value: 'false', label: 'Admins must use two-factor authentication', type: 'boolean' },
   ];
 
   for (const setting of defaultSettings) {
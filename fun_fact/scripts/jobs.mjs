@@ -0,0 +1,61 @@
+// Run background jobs outside Vercel, e.g. from a system crontab:
+//   */15 * * * * cd /srv/fun_fact && npm run jobs tick
+//
+// Usage: npm run jobs list          every job, its schedule and latest run
+//        npm run jobs tick          run the jobs that are due
+//        npm run jobs run <name>    run one job now
+import 'dotenv/config';
+import { register } from 'module';
+
+register('./resolve-hooks.mjs', import.meta.url);
+
+const { listJobs, runJob, runDueJobs, isJob } = await import('../src/app/lib/utils/jobs.js');
+const { default: prisma } = await import('../src/app/lib/db/prisma-client.js');
+
+const USAGE = 'Usage: npm run jobs [list | tick | run <name>]';
+
+async function main([command, name]) {
+  if (command === 'list') {
+    for (const job of await listJobs()) {
+      const last = job.lastRun ? `${job.lastRun.status} ${job.lastRun.startedAt.toISOString()}` : 'never run';
+      console.log(`${job.name.padEnd(18)} ${job.schedule.padEnd(14)} ${job.running ? 'RUNNING' : last}`);
+      console.log(`${''.padEnd(18)} ${job.description}`);
+    }
+    return 0;
+  }
+
+  if (command === 'tick') {
+    const ran = await runDueJobs('cli');
+    if (ran.length === 0) console.log('No jobs due.');
+    for (const { name: job, status } of ran) console.log(`${job}: ${status}`);
+    return ran.some(r => r.status === 'FAILED') ? 1 : 0;
+  }
+
+  if (command === 'run' && name) {
+    if (!isJob(name)) {
+      console.error(`Unknown job: ${name}`);
+      return 1;
+    }
+    const { status, run } = await runJob(name, { trigger: 'cli' });
+    if (status === 'LOCKED') {
+      console.error(`${name} is already running.`);
+      return 1;
+    }
+    console.log(`${name}: ${status}`);
+    console.log(JSON.stringify(status === 'FAILED' ? run.error : run.result, null, 2));
+    return status === 'FAILED' ? 1 : 0;
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+let code = 1;
+try {
+  code = await main(process.argv.slice(2));
+} catch (error) {
+  console.error(error);
+} finally {
+  await prisma.$disconnect();
+}
+process.exit(code);
@@ -0,0 +1,38 @@
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Module hooks letting plain Node load the app's source the way Next bundles
+// it: `@/` imports resolve to src/, extensionless imports find their .js or
+// .ts file, and .js files under src/ and generated/ are ES modules.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE_URLS = ['src', 'generated'].map(dir => pathToFileURL(path.join(ROOT, dir)).href + '/');
+const EXTENSIONS = ['.js', '.ts', '/index.js'];
+
+const isAppSource = (url) => SOURCE_URLS.some(prefix => url?.startsWith(prefix));
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@/')) {
+    specifier = pathToFileURL(path.join(ROOT, 'src', specifier.slice(2))).href;
+  }
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !(isAppSource(context.parentURL) || isAppSource(specifier))) throw error;
+    for (const extension of EXTENSIONS) {
+      try {
+        return await nextResolve(specifier + extension, context);
+      } catch {
+        // try the next extension
+      }
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (isAppSource(url) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
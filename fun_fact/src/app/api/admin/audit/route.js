@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import { withPermission } from '@/app/lib/utils/auth';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { parseCalendarDate, zonedTimeToUtc, getZonedParts, toLocalDateKey } from '@/app/lib/utils/dates';
+import { getAuditTimeline, getAuditActions } from '@/app/lib/utils/audit';
+import { csvRow } from '@/app/lib/utils/csv';
+
+const MAX_PAGE_SIZE = 200;
+// Deepest row a page may reach — each page reads every row before it
+const MAX_OFFSET = 10000;
+const EXPORT_LIMIT = 10000;
+const BOOKING_STATUSES = ['BOOKED', 'ATTENDED', 'NO_SHOW', 'COMPLETED', 'INCOMPLETE', 'CANCELLED', 'LATE_CANCEL'];
+
+// Instants print as the school's local date and time
+function formatLocalTime(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${toLocalDateKey(date, timeZone)} ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+function buildCsv(entries, timeZone) {
+  let csv = csvRow(['Time', 'Source', 'Action', 'Actor', 'Student ID', 'Student Name', 'Booking ID', 'Message', 'Details']);
+  for (const e of entries) {
+    csv += csvRow([
+      formatLocalTime(e.createdAt, timeZone), e.source, e.action, e.actor?.name || '',
+      e.student?.studentNumber || '', e.student?.name || '', e.bookingId || '', e.message,
+      e.data ? JSON.stringify(e.data) : ''
+    ]);
+  }
+  return csv;
+}
+
+/**
+ * GET /api/admin/audit - Audit timeline of the system log and booking status
+ * history, newest first (needs audit.view)
+ * Query params:
+ *   action=                 system log action, or BOOKING_STATUS_CHANGED for status history only
+ *   status=                 status history rows that moved a booking to this status
+ *   actorId=, studentId=, bookingId=
+ *   from=YYYY-MM-DD, to=YYYY-MM-DD   school-local days, both inclusive
+ *   page= (default 1), pageSize= (default 50)
+ *   format=csv              every matching entry (up to 10,000) as a CSV download
+ */
+export const GET = withPermission('audit.view')(async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const schedule = await getScheduleSettings();
+
+    const filters = {};
+    for (const key of ['action', 'actorId', 'studentId', 'bookingId']) {
+      const value = searchParams.get(key);
+      if (value) filters[key] = value;
+    }
+
+    const status = searchParams.get('status');
+    if (status) {
+      if (!BOOKING_STATUSES.includes(status)) {
+        return NextResponse.json({ error: 'Invalid booking status' }, { status: 400 });
+      }
+      filters.status = status;
+    }
+
+    for (const key of ['from', 'to']) {
+      const value = searchParams.get(key);
+      if (!value) continue;
+      const date = parseCalendarDate(value);
+      if (!date) {
+        return NextResponse.json({ error: `${key} must be a date (YYYY-MM-DD)` }, { status: 400 });
+      }
+      if (key === 'to') date.setUTCDate(date.getUTCDate() + 1);
+      filters[key] = zonedTimeToUtc(date, 0, schedule.timeZone);
+    }
+
+    if (searchParams.get('format') === 'csv') {
+      const { entries } = await getAuditTimeline(filters, { take: EXPORT_LIMIT });
+      const headers = {
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename=audit_${toLocalDateKey(new Date(), schedule.timeZone)}.csv`
+      };
+      return new NextResponse(buildCsv(entries, schedule.timeZone), { headers });
+    }
+
+    const page = Math.max(parseInt(searchParams.get('page'), 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(searchParams.get('pageSize'), 10) || 50, 1), MAX_PAGE_SIZE);
+    const skip = (page - 1) * pageSize;
+    if (skip + pageSize > MAX_OFFSET) {
+      return NextResponse.json({ error: 'Page too deep — narrow the filters or export to CSV' }, { status: 400 });
+    }
+
+    const [{ entries, total }, actions] = await Promise.all([
+      getAuditTimeline(filters, { skip, take: pageSize }),
+      getAuditActions()
+    ]);
+
+    return NextResponse.json({
+      entries,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize),
+      actions
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    return NextResponse.json({ error: 'Failed to fetch audit log' }, { status: 500 });
+  }
+});
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { branchSchema } from '@/app/lib/utils/branches';
+
+const updateBranchSchema = branchSchema.pick({ name: true, address: true }).partial();
+
+/**
+ * PATCH /api/admin/branches/:code - Rename a branch or change its address
+ * (needs branches.manage, which only staff without a branch of their own hold)
+ * Body: { name?, address? }. Branches aren't deleted: their students,
+ * sessions and bookings keep pointing at them.
+ */
+export const PATCH = withPermission('branches.manage')(async function PATCH(request, { params }) {
+  try {
+    const { code } = await params;
+    const body = await request.json().catch(() => ({}));
+
+    const result = updateBranchSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json({ error: result.error.errors[0].message }, { status: 400 });
+    }
+
+    const existing = await prisma.branch.findUnique({ where: { code } });
+    if (!existing) {
+      return NextResponse.json({ error: 'Branch not found' }, { status: 404 });
+    }
+
+    const data = { ...result.data };
+    if (data.address !== undefined) data.address = data.address || null;
+
+    const branch = await prisma.branch.update({ where: { code }, data });
+    auditChange(request, { entity: 'Branch', entityId: code, before: existing, after: branch });
+
+    return NextResponse.json({ branch, message: 'Branch updated' });
+  } catch (error) {
+    console.error('Error updating branch:', error);
+    return NextResponse.json({ error: 'Failed to update branch' }, { status: 500 });
+  }
+});
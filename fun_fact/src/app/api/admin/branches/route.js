@@ -0,0 +1,68 @@
+// file: src/app/api/admin/branches/route.js
+// The school's branches. Adding one gives it its own capacity matrix, every
+// session starting closed, the way adding a time slot does.
+
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { branchSchema, listBranches, createBranch } from '@/app/lib/utils/branches';
+
+/**
+ * GET /api/admin/branches - Every branch with how many students and staff it
+ * has (needs branches.manage)
+ */
+export const GET = withPermission('branches.manage')(async function GET() {
+  try {
+    const [branches, students, staff] = await Promise.all([
+      listBranches(),
+      prisma.student.groupBy({ by: ['branch'], where: { status: { not: 'ARCHIVED' } }, _count: { _all: true } }),
+      prisma.user.groupBy({ by: ['branch'], where: { disabledAt: null }, _count: { _all: true } })
+    ]);
+    const count = (rows, code) => rows.find(r => r.branch === code)?._count._all || 0;
+
+    return NextResponse.json({
+      branches: branches.map(branch => ({
+        ...branch,
+        studentCount: count(students, branch.code),
+        staffCount: count(staff, branch.code)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching branches:', error);
+    return NextResponse.json({ error: 'Failed to fetch branches' }, { status: 500 });
+  }
+});
+
+/**
+ * POST /api/admin/branches - Add a branch (needs branches.manage, which only
+ * staff without a branch of their own hold)
+ * Body: { code: "NORTH", name, address? }. The code is fixed once created.
+ */
+export const POST = withPermission('branches.manage')(async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const result = branchSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json({ error: result.error.errors[0].message }, { status: 400 });
+    }
+
+    if (await prisma.branch.findUnique({ where: { code: result.data.code } })) {
+      return NextResponse.json({ error: `A branch with the code ${result.data.code} already exists` }, { status: 400 });
+    }
+
+    const { branch, sessionsCreated } = await createBranch({
+      ...result.data,
+      address: result.data.address || null
+    });
+    auditChange(request, { entity: 'Branch', entityId: branch.code, after: branch });
+
+    return NextResponse.json(
+      { branch, message: `${branch.name} added with ${sessionsCreated} closed session${sessionsCreated !== 1 ? 's' : ''} — open them from its capacity matrix` },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error creating branch:', error);
+    return NextResponse.json({ error: 'Failed to create branch' }, { status: 500 });
+  }
+});
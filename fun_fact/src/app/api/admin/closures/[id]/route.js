@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { getSessionsForClosure, formatClosureDate } from '@/app/lib/utils/closures';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { isInBranch } from '@/app/lib/utils/branches';
+
+/**
+ * DELETE /api/admin/closures/:id - Reopen a closed date (needs timetable.manage)
+ * A branch's closure can only be removed while working in that branch or
+ * across all of them. Bookings cancelled by the closure are not restored;
+ * students re-book.
+ */
+export const DELETE = withPermission('timetable.manage')(async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const closure = await prisma.closure.findUnique({ where: { id } });
+    if (!closure || (closure.branch && !isInBranch(request.user.activeBranch, closure))) {
+      return NextResponse.json({ error: 'Closure not found' }, { status: 404 });
+    }
+
+    await prisma.closure.delete({ where: { id } });
+
+    auditChange(request, {
+      entity: 'Closure',
+      entityId: id,
+      before: {
+        date: closure.date.toISOString().slice(0, 10),
+        branch: closure.branch,
+        timeSlot: closure.timeSlot,
+        category: closure.category,
+        reason: closure.reason
+      },
+      action: 'CLOSURE_REMOVED',
+      message: `Reopened ${closure.branch ? `${closure.branch} ` : ''}${formatClosureDate(closure.date)}: ${closure.reason}`
+    });
+
+    for (const session of await getSessionsForClosure(prisma, closure)) {
+      await publishSessionChange(session.id, null);
+    }
+
+    return NextResponse.json({ message: 'Closure removed' });
+  } catch (error) {
+    console.error('Error removing closure:', error);
+    return NextResponse.json({ error: 'Failed to remove closure' }, { status: 500 });
+  }
+});
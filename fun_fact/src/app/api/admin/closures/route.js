@@ -0,0 +1,150 @@
+// file: src/app/api/admin/closures/route.js
+// Closure calendar — dates (optionally a single branch, slot and/or licence
+// class) on which the school is closed. GET lists closures for a date range;
+// POST adds one and cancels the bookings it lands on in the same transaction.
+
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { LICENCE_CLASSES } from '@/app/lib/constants';
+import { getCurrentWeekMonday, getDayForDate, getToday, parseCalendarDate, formatTimeSlot } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { getTimeSlotMap, isSlotOffered } from '@/app/lib/utils/timeslots';
+import { cancelBookingsForClosure, getSessionsForClosure, formatClosureDate } from '@/app/lib/utils/closures';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { notifyBookings } from '@/app/lib/utils/notifications';
+
+const formatClosure = (c) => ({
+  id: c.id,
+  date: c.date.toISOString().slice(0, 10),
+  branch: c.branch,
+  timeSlot: c.timeSlot,
+  category: c.category,
+  reason: c.reason,
+  createdBy: c.createdBy?.name || null,
+  createdAt: c.createdAt
+});
+
+/**
+ * GET /api/admin/closures
+ * Optional ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive). Defaults to everything
+ * from the start of the current week onward. Lists the closures of the branch
+ * being worked in and those of every branch.
+ */
+export const GET = withPermission('sessions.view')(async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const fromParam = searchParams.get('from');
+    const toParam = searchParams.get('to');
+
+    const from = fromParam ? parseCalendarDate(fromParam) : getCurrentWeekMonday(await getScheduleSettings());
+    const to = toParam ? parseCalendarDate(toParam) : null;
+    if (!from || (toParam && !to)) {
+      return NextResponse.json({ error: 'Dates must be in YYYY-MM-DD format' }, { status: 400 });
+    }
+
+    const { activeBranch } = request.user;
+    const closures = await prisma.closure.findMany({
+      where: {
+        date: to ? { gte: from, lte: to } : { gte: from },
+        ...(activeBranch && { OR: [{ branch: null }, { branch: activeBranch }] })
+      },
+      include: { createdBy: { select: { name: true } } },
+      orderBy: [{ date: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    return NextResponse.json({ closures: closures.map(formatClosure) });
+  } catch (error) {
+    console.error('Error fetching closures:', error);
+    return NextResponse.json({ error: 'Failed to fetch closures' }, { status: 500 });
+  }
+});
+
+/**
+ * POST /api/admin/closures  (needs timetable.manage)
+ * Body: { date: 'YYYY-MM-DD', branch?, timeSlot?, category?, reason }
+ * The closure is for the branch being worked in; working across every branch,
+ * branch names one, or leaving it out closes them all. BOOKED sessions on the
+ * closed date/slot are cancelled with the closure reason recorded in their
+ * status history.
+ */
+export const POST = withPermission('timetable.manage')(async function POST(request) {
+  try {
+    const user = request.user;
+    const body = await request.json().catch(() => ({}));
+
+    const date = parseCalendarDate(body.date);
+    if (!date) {
+      return NextResponse.json({ error: 'A valid date (YYYY-MM-DD) is required' }, { status: 400 });
+    }
+
+    const today = getToday(await getScheduleSettings());
+    if (date < today) {
+      return NextResponse.json({ error: 'Closures can only be added for today or later' }, { status: 400 });
+    }
+
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (!reason) {
+      return NextResponse.json({ error: 'A reason is required' }, { status: 400 });
+    }
+    if (reason.length > 191) {
+      return NextResponse.json({ error: 'Reason must be 191 characters or fewer' }, { status: 400 });
+    }
+
+    const timeSlot = body.timeSlot || null;
+    const slotMap = await getTimeSlotMap();
+    if (timeSlot && !isSlotOffered(slotMap, { day: getDayForDate(date), timeSlot })) {
+      return NextResponse.json({ error: 'That time slot does not run on this day' }, { status: 400 });
+    }
+
+    const category = body.category || null;
+    if (category && !LICENCE_CLASSES.includes(category)) {
+      return NextResponse.json({ error: `Unknown licence class ${category}` }, { status: 400 });
+    }
+
+    const branch = user.activeBranch || body.branch || null;
+    if (branch && !await prisma.branch.findUnique({ where: { code: branch } })) {
+      return NextResponse.json({ error: 'Branch not found' }, { status: 400 });
+    }
+
+    const { closure, cancelled } = await prisma.$transaction(async (tx) => {
+      const created = await tx.closure.create({
+        data: { date, branch, timeSlot, category, reason, createdById: user.id },
+        include: { createdBy: { select: { name: true } } }
+      });
+      const cancelledBookings = await cancelBookingsForClosure(tx, created, user.id);
+      return { closure: created, cancelled: cancelledBookings };
+    });
+
+    auditChange(request, {
+      entity: 'Closure',
+      entityId: closure.id,
+      after: { date: body.date, branch, timeSlot, category, reason },
+      message: `Closed ${branch ? `${branch} ` : ''}${formatClosureDate(date)}${timeSlot ? ` ${formatTimeSlot(timeSlot, slotMap)}` : ''}${category ? ` (${category})` : ''}: ${reason}`,
+      cancelledBookingIds: cancelled.map(b => b.id)
+    });
+
+    // Affected slots now read as closed — tell open clients to refetch
+    for (const session of await getSessionsForClosure(prisma, closure)) {
+      await publishSessionChange(session.id, null);
+    }
+    await notifyBookings('BOOKING_CANCELLED', cancelled.map(b => b.id), {
+      reason: `The school is closed on ${formatClosureDate(date)}: ${reason}`
+    });
+
+    return NextResponse.json(
+      {
+        closure: formatClosure(closure),
+        cancelled: cancelled.length,
+        message: cancelled.length > 0
+          ? `Closure added — ${cancelled.length} booking${cancelled.length !== 1 ? 's' : ''} cancelled`
+          : 'Closure added'
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error creating closure:', error);
+    return NextResponse.json({ error: 'Failed to create closure' }, { status: 500 });
+  }
+});
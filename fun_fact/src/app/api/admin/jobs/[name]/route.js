@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { isJob, formatJobRun } from '@/app/lib/utils/jobs';
+
+const MAX_LIMIT = 100;
+
+/**
+ * GET /api/admin/jobs/:name - A job's run history, newest first (needs maintenance.run)
+ * Optional ?limit= (default 20)
+ */
+export const GET = withPermission('maintenance.run')(async function GET(request, { params }) {
+  try {
+    const { name } = await params;
+    if (!isJob(name)) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(parseInt(searchParams.get('limit'), 10) || 20, MAX_LIMIT);
+    const runs = await prisma.jobRun.findMany({
+      where: { jobName: name },
+      include: { triggeredBy: { select: { name: true } } },
+      orderBy: { startedAt: 'desc' },
+      take: limit
+    });
+
+    return NextResponse.json({ runs: runs.map(formatJobRun) });
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    return NextResponse.json({ error: 'Failed to fetch job runs' }, { status: 500 });
+  }
+});
@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { isJob, runJob, formatJobRun } from '@/app/lib/utils/jobs';
+
+/**
+ * POST /api/admin/jobs/:name/run - Run a job now (needs maintenance.run)
+ * Refused with 409 while another run of the job holds its lock. A job that
+ * fails still answers 200 with the FAILED run, so the error can be shown.
+ */
+export const POST = withPermission('maintenance.run')(async function POST(request, { params }) {
+  try {
+    const { name } = await params;
+    if (!isJob(name)) {
+      return NextResponse.json({ error: 'Job not found' }, { status: 404 });
+    }
+
+    const { status, run } = await runJob(name, { trigger: 'manual', userId: request.user.id });
+    if (status === 'LOCKED') {
+      return NextResponse.json({ error: 'This job is already running' }, { status: 409 });
+    }
+
+    auditChange(request, {
+      entity: 'JobRun',
+      entityId: run.id,
+      after: run,
+      action: 'JOB_RUN',
+      message: `Ran job ${name}: ${status.toLowerCase()}`
+    });
+
+    return NextResponse.json({
+      run: formatJobRun(run),
+      message: status === 'SUCCEEDED' ? 'Job finished' : 'Job failed'
+    });
+  } catch (error) {
+    console.error('Error running job:', error);
+    return NextResponse.json({ error: 'Failed to run job' }, { status: 500 });
+  }
+});
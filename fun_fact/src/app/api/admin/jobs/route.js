@@ -0,0 +1,16 @@
+import { NextResponse } from 'next/server';
+import { withPermission } from '@/app/lib/utils/auth';
+import { listJobs } from '@/app/lib/utils/jobs';
+
+/**
+ * GET /api/admin/jobs - Background jobs with their schedule, next run and
+ * latest run (needs maintenance.run)
+ */
+export const GET = withPermission('maintenance.run')(async function GET() {
+  try {
+    return NextResponse.json({ jobs: await listJobs() });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    return NextResponse.json({ error: 'Failed to fetch jobs' }, { status: 500 });
+  }
+});
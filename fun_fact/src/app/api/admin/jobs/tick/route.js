@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { runDueJobs } from '@/app/lib/utils/jobs';
+
+/**
+ * GET /api/admin/jobs/tick - Vercel cron trigger: runs every job that is due,
+ * including any whose time came and went since the last tick
+ */
+export async function GET(request) {
+  const authHeader = request.headers.get('authorization');
+  if (authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+    return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const ran = await runDueJobs('cron');
+    return NextResponse.json({ ran, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Job tick failed:', error);
+    return NextResponse.json({ error: 'Job tick failed' }, { status: 500 });
+  }
+}
@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+
+const MAX_LIMIT = 200;
+
+/**
+ * GET /api/admin/notifications - The notifications log, newest first (needs audit.view)
+ * Optional ?studentId=, ?bookingId=, ?channel=EMAIL|SMS, ?status=SENT|FAILED, ?type=,
+ * ?limit= (default 50)
+ */
+export const GET = withPermission('audit.view')(async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const where = {};
+    for (const key of ['studentId', 'bookingId', 'type']) {
+      const value = searchParams.get(key);
+      if (value) where[key] = value;
+    }
+
+    const status = searchParams.get('status');
+    if (status) {
+      if (!['SENT', 'FAILED'].includes(status)) {
+        return NextResponse.json({ error: 'status must be SENT or FAILED' }, { status: 400 });
+      }
+      where.status = status;
+    }
+
+    const channel = searchParams.get('channel');
+    if (channel) {
+      if (!['EMAIL', 'SMS'].includes(channel)) {
+        return NextResponse.json({ error: 'channel must be EMAIL or SMS' }, { status: 400 });
+      }
+      where.channel = channel;
+    }
+
+    const limit = Math.min(parseInt(searchParams.get('limit'), 10) || 50, MAX_LIMIT);
+    const notifications = await prisma.notification.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    return NextResponse.json({ notifications });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    return NextResponse.json({ error: 'Failed to fetch notifications' }, { status: 500 });
+  }
+});
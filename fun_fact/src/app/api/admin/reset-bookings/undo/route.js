@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { withPermission } from "@/app/lib/utils/auth";
+import { auditChange } from "@/app/lib/utils/audit";
+import { undoLastArchive } from "@/app/lib/utils/archive";
+
+/**
+ * POST /api/admin/reset-bookings/undo — Revert the most recent weekly archive (needs maintenance.run)
+ */
+export const POST = withPermission('maintenance.run')(async function POST(request) {
+  try {
+    const result = await undoLastArchive(request.user.id);
+    if (result.error) {
+      return NextResponse.json({ error: result.error }, { status: 409 });
+    }
+
+    const { archivedAt, bookingIds, ...summary } = result;
+    auditChange(request, {
+      entity: 'BookingArchive',
+      entityId: result.batchId,
+      before: { archivedAt, undone: false },
+      after: { archivedAt, undone: true, booked: result.booked, attended: result.attended, skipped: result.skipped },
+      action: 'BOOKING_ARCHIVE_UNDONE',
+      message: result.message,
+      bookingIds
+    });
+
+    return NextResponse.json(summary);
+  } catch (error) {
+    console.error("Undoing the archive failed:", error);
+    return NextResponse.json({ error: "Failed to undo the archive" }, { status: 500 });
+  }
+});
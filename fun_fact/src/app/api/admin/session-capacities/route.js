@@ -1,50 +1,69 @@
 // file: src/app/api/admin/session-capacities/route.js
-// Admin-only per-(day, timeSlot, licence class) capacity matrix.
-// GET returns every session row (all classes) with capacity and current-week
-// enrolment so the admin UI can warn before lowering capacity below enrolment.
+// Per-(branch, day, timeSlot, licence class) capacity matrix, for the branch
+// being worked in.
+// GET returns every offered session row (all classes) with capacity, its current-week
+// fleet cap and enrolment so the admin UI can warn before lowering capacity
+// below enrolment.
 // PATCH bulk-updates capacities. Rows are never created/deleted here — the full
 // matrix is pre-seeded, so every edit is an update on an existing row (FK-safe).
 
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { withRole } from '@/app/lib/utils/auth';
-import { DAY_NAMES, TIME_SLOT_NAMES, LICENCE_CLASSES } from '@/app/lib/constants';
-import { getCurrentWeekMonday } from '@/app/lib/utils/dates';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { DAY_NAMES, LICENCE_CLASSES, INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { getCurrentWeekMonday, formatTimeSlot } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { getFleetAvailability, capCapacity } from '@/app/lib/utils/fleet';
+import { getTimeSlotMap, isSlotOffered, compareSessions } from '@/app/lib/utils/timeslots';
+import { branchWhere } from '@/app/lib/utils/branches';
+import { materialiseBookableWeeks } from '@/app/lib/utils/instances';
 
 /**
  * GET /api/admin/session-capacities
  * Optional ?category= to scope to one licence class.
  */
-export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
+export const GET = withPermission('sessions.view')(async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const category = searchParams.get('category');
-    const weekOf = getCurrentWeekMonday();
+    const weekOf = getCurrentWeekMonday(await getScheduleSettings());
 
     const sessions = await prisma.session.findMany({
-      where: category ? { category } : {},
+      where: { ...branchWhere(request.user.activeBranch), ...(category && { category }) },
       include: {
         bookings: {
-          where: { weekOf, status: { not: 'CANCELLED' } },
+          where: { weekOf, status: { notIn: INACTIVE_BOOKING_STATUSES } },
           select: { id: true }
         }
       },
-      orderBy: [{ category: 'asc' }, { day: 'asc' }, { timeSlot: 'asc' }]
+      orderBy: [{ branch: 'asc' }, { category: 'asc' }]
     });
+    const fleet = await getFleetAvailability(prisma, weekOf, { category: category || undefined, branch: request.user.activeBranch });
 
-    const rows = sessions.map(s => ({
-      id: s.id,
-      day: s.day,
-      dayName: DAY_NAMES[s.day],
-      timeSlot: s.timeSlot,
-      timeSlotName: TIME_SLOT_NAMES[s.timeSlot],
-      category: s.category,
-      capacity: s.capacity,
-      enrolledCount: s.bookings.length,
-      isEnabled: s.metadata?.isEnabled !== false
-    }));
+    // The grid follows the time slot catalogue; rows of slots it no longer runs are left out
+    const slotMap = await getTimeSlotMap();
+    const rows = sessions
+      .filter(s => isSlotOffered(slotMap, s))
+      .sort(compareSessions(slotMap))
+      .map(s => ({
+        id: s.id,
+        branch: s.branch,
+        day: s.day,
+        dayName: DAY_NAMES[s.day],
+        timeSlot: s.timeSlot,
+        timeSlotName: formatTimeSlot(s.timeSlot, slotMap),
+        category: s.category,
+        capacity: s.capacity,
+        // What students can actually book this week once vehicles are counted
+        effectiveCapacity: capCapacity(s, fleet),
+        enrolledCount: s.bookings.length,
+        isEnabled: s.metadata?.isEnabled !== false
+      }));
 
-    return NextResponse.json({ rows });
+    // { [branch]: { [category]: { [day]: vehicles available } } } for classes with a fleet
+    return NextResponse.json({ rows, fleet });
   } catch (error) {
     console.error('Error fetching session capacities:', error);
     return NextResponse.json({ error: 'Failed to fetch session capacities' }, { status: 500 });
@@ -52,12 +71,13 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
 });
 
 /**
- * PATCH /api/admin/session-capacities  (admin only)
- * Body: { updates: [{ id, capacity } | { day, timeSlot, category, capacity }, ...] }
+ * PATCH /api/admin/session-capacities  (needs capacities.manage)
+ * Body: { updates: [{ id, capacity } | { day, timeSlot, category, branch?, capacity }, ...] }
+ * branch defaults to the one being worked in.
  * Lowering capacity below current enrolment is allowed and never auto-cancels
  * bookings — it only prevents new ones.
  */
-export const PATCH = withRole('ADMIN')(async function PATCH(request) {
+export const PATCH = withPermission('capacities.manage')(async function PATCH(request) {
   try {
     const body = await request.json();
     const updates = Array.isArray(body?.updates) ? body.updates : null;
@@ -66,7 +86,9 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request) {
       return NextResponse.json({ error: 'updates array is required' }, { status: 400 });
     }
 
+    const { activeBranch } = request.user;
     const ops = [];
+    const wheres = [];
     for (const u of updates) {
       const capacity = Number(u.capacity);
       if (!Number.isInteger(capacity) || capacity < 0) {
@@ -76,22 +98,44 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request) {
         );
       }
 
+      let where;
       if (u.id) {
-        ops.push(prisma.session.update({ where: { id: u.id }, data: { capacity } }));
+        where = { id: u.id, ...branchWhere(activeBranch) };
       } else if (u.day && u.timeSlot && u.category) {
         if (!LICENCE_CLASSES.includes(u.category)) {
           return NextResponse.json({ error: `Unknown licence class ${u.category}` }, { status: 400 });
         }
-        ops.push(prisma.session.update({
-          where: { day_timeSlot_category: { day: u.day, timeSlot: u.timeSlot, category: u.category } },
-          data: { capacity }
-        }));
+        const branch = activeBranch || u.branch;
+        if (!branch) {
+          return NextResponse.json({ error: 'Each update needs a branch when working across all branches' }, { status: 400 });
+        }
+        where = { branch_day_timeSlot_category: { branch, day: u.day, timeSlot: u.timeSlot, category: u.category } };
       } else {
         return NextResponse.json({ error: 'Each update needs an id or day+timeSlot+category' }, { status: 400 });
       }
+      wheres.push(where);
+      ops.push(prisma.session.update({ where, data: { capacity } }));
     }
 
-    await prisma.$transaction(ops);
+    const before = await Promise.all(wheres.map(where => prisma.session.findUnique({ where })));
+    const updated = await prisma.$transaction(ops);
+    updated.forEach((session, i) => auditChange(request, {
+      entity: 'Session',
+      entityId: session.id,
+      before: { capacity: before[i]?.capacity ?? null },
+      after: { capacity: session.capacity }
+    }));
+
+    // A slot just opened gets its instances now rather than at the next
+    // open-weeks run, so its weeks can be changed one at a time straight away
+    if (updated.some((session, i) => session.capacity > 0 && !(before[i]?.capacity > 0))) {
+      await materialiseBookableWeeks(prisma);
+    }
+
+    // A capacity edit applies to every week of the slot
+    for (const session of updated) {
+      await publishSessionChange(session.id, null);
+    }
 
     return NextResponse.json({ message: `Updated ${ops.length} slot${ops.length !== 1 ? 's' : ''}`, count: ops.length });
   } catch (error) {
@@ -0,0 +1,121 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { getToday, formatSession } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { cancelWeekBookings, formatClosureDate } from '@/app/lib/utils/closures';
+import { promoteFromWaitlist } from '@/app/lib/utils/waitlist';
+import { getTimeSlotMap } from '@/app/lib/utils/timeslots';
+import { formatInstance } from '@/app/lib/utils/instances';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { notifyBookings } from '@/app/lib/utils/notifications';
+import { isInBranch } from '@/app/lib/utils/branches';
+
+/**
+ * PATCH /api/admin/session-instances/:id - Change one week of a session (needs sessions.manage)
+ * Body: { capacity?: number|null, status?: 'SCHEDULED'|'CANCELLED', note? }
+ * A capacity applies to this week only; null goes back to the template's.
+ * Like the capacity matrix, lowering it never cancels bookings. Cancelling
+ * needs a note (students see it) and cancels the week's bookings, the way a
+ * closure does; restoring doesn't bring them back.
+ */
+export const PATCH = withPermission('sessions.manage')(async function PATCH(request, { params }) {
+  try {
+    const user = request.user;
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+
+    const instance = await prisma.sessionInstance.findUnique({
+      where: { id },
+      include: { session: true }
+    });
+    if (!instance || !isInBranch(user.activeBranch, instance.session)) {
+      return NextResponse.json({ error: 'Session instance not found' }, { status: 404 });
+    }
+
+    if (instance.date < getToday(await getScheduleSettings())) {
+      return NextResponse.json({ error: 'This session has already taken place' }, { status: 400 });
+    }
+
+    const data = { updatedById: user.id };
+    if (body.capacity !== undefined) {
+      if (body.capacity === null) {
+        if (instance.isExtra) {
+          return NextResponse.json({ error: 'An extra session needs a capacity — cancel it instead' }, { status: 400 });
+        }
+        data.capacity = null;
+      } else {
+        const capacity = Number(body.capacity);
+        if (!Number.isInteger(capacity) || capacity < 0) {
+          return NextResponse.json({ error: 'Capacity must be a whole number of 0 or more' }, { status: 400 });
+        }
+        data.capacity = capacity;
+      }
+    }
+    if (body.note !== undefined) {
+      const note = typeof body.note === 'string' ? body.note.trim() : '';
+      if (note.length > 191) {
+        return NextResponse.json({ error: 'Note must be 191 characters or fewer' }, { status: 400 });
+      }
+      data.note = note || null;
+    }
+    if (body.status !== undefined) {
+      if (!['SCHEDULED', 'CANCELLED'].includes(body.status)) {
+        return NextResponse.json({ error: 'status must be SCHEDULED or CANCELLED' }, { status: 400 });
+      }
+      data.status = body.status;
+    }
+
+    const cancelling = data.status === 'CANCELLED' && instance.status !== 'CANCELLED';
+    const restoring = data.status === 'SCHEDULED' && instance.status === 'CANCELLED';
+    const note = data.note !== undefined ? data.note : instance.note;
+    if (cancelling && !note) {
+      return NextResponse.json({ error: 'Add a note saying why — students see it' }, { status: 400 });
+    }
+
+    const { updated, cancelled, promoted } = await prisma.$transaction(async (tx) => {
+      const row = await tx.sessionInstance.update({ where: { id }, data });
+      const cancelledBookings = cancelling
+        ? await cancelWeekBookings(tx, [instance.sessionId], instance.weekOf, `Cancelled ${formatClosureDate(instance.date)}: ${note}`, user.id)
+        : [];
+      // More room this week goes to the waitlist first
+      const promotedBookings = !cancelling && row.status === 'SCHEDULED' && data.capacity !== undefined
+        ? await promoteFromWaitlist(tx, instance.sessionId, instance.weekOf, user.id)
+        : [];
+      return { updated: row, cancelled: cancelledBookings, promoted: promotedBookings };
+    });
+
+    const label = `${formatSession(instance.session, await getTimeSlotMap())} (${instance.session.category}) on ${formatClosureDate(instance.date)}`;
+    auditChange(request, {
+      entity: 'SessionInstance',
+      entityId: id,
+      before: { ...instance, session: undefined },
+      after: updated,
+      action: cancelling ? 'SESSION_INSTANCE_CANCELLED' : restoring ? 'SESSION_INSTANCE_RESTORED' : 'SESSION_INSTANCE_UPDATED',
+      message: `${label} ${cancelling ? 'cancelled' : restoring ? 'restored' : 'changed'}${cancelling ? `: ${note}` : ''}`,
+      cancelledBookingIds: cancelled.map(b => b.id),
+      promotedBookingIds: promoted.map(b => b.id)
+    });
+
+    // Sessions appear, disappear or close — like a closure, open clients refetch
+    await publishSessionChange(instance.sessionId, null);
+    await notifyBookings('BOOKING_CANCELLED', cancelled.map(b => b.id), {
+      reason: `The session has been cancelled this week: ${note}`
+    });
+    await notifyBookings('WAITLIST_PROMOTED', promoted.map(b => b.id));
+
+    return NextResponse.json({
+      instance: formatInstance(updated),
+      cancelled: cancelled.length,
+      message: cancelling
+        ? `Session cancelled for the week${cancelled.length > 0 ? ` — ${cancelled.length} booking${cancelled.length !== 1 ? 's' : ''} cancelled` : ''}`
+        : restoring
+          ? 'Session restored for the week'
+          : 'Session updated for the week'
+    });
+  } catch (error) {
+    console.error('Error updating session instance:', error);
+    return NextResponse.json({ error: 'Failed to update session instance' }, { status: 500 });
+  }
+});
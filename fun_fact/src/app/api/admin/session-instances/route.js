@@ -0,0 +1,176 @@
+// file: src/app/api/admin/session-instances/route.js
+// One-week changes to the timetable. GET lists a week's instances that differ
+// from their template; POST adds an extra session for a single week.
+// Overrides and cancellations of an existing instance go through
+// PATCH /api/admin/session-instances/:id.
+
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { z } from 'zod';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { DAYS, DAY_NAMES, LICENCE_CLASSES } from '@/app/lib/constants';
+import { getCurrentWeekMonday, parseWeekOf, getSessionDate, getToday, formatTimeSlot } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { getClosureFor, formatClosureDate } from '@/app/lib/utils/closures';
+import { getTimeSlotMap, compareSessions } from '@/app/lib/utils/timeslots';
+import { getWeekSession, isOfferedInWeek, formatInstance } from '@/app/lib/utils/instances';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { branchWhere } from '@/app/lib/utils/branches';
+
+const addExtraSchema = z.object({
+  weekOf: z.string().min(1, 'weekOf is required'),
+  day: z.enum(Object.values(DAYS)),
+  timeSlot: z.string().min(1, 'timeSlot is required'),
+  category: z.enum(LICENCE_CLASSES),
+  capacity: z.number().int().min(1, 'Capacity must be at least 1').max(100),
+  note: z.string().trim().max(191, 'Note is too long').optional(),
+  branch: z.string().trim().min(1).optional(),
+});
+
+/**
+ * GET /api/admin/session-instances?weekOf= - The week's overridden, cancelled
+ * and extra sessions at the branch being worked in (staff). Defaults to the
+ * current week.
+ */
+export const GET = withPermission('sessions.view')(async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const weekOfParam = searchParams.get('weekOf');
+    const weekOf = weekOfParam ? parseWeekOf(weekOfParam) : getCurrentWeekMonday(await getScheduleSettings());
+    if (!weekOf) {
+      return NextResponse.json({ error: 'Invalid weekOf date' }, { status: 400 });
+    }
+
+    const instances = await prisma.sessionInstance.findMany({
+      where: {
+        weekOf,
+        session: branchWhere(request.user.activeBranch),
+        OR: [{ capacity: { not: null } }, { status: 'CANCELLED' }, { isExtra: true }]
+      },
+      include: {
+        session: { select: { id: true, branch: true, day: true, timeSlot: true, category: true, capacity: true } },
+        updatedBy: { select: { name: true } }
+      }
+    });
+
+    const slotMap = await getTimeSlotMap();
+    const byTimetable = compareSessions(slotMap);
+    return NextResponse.json({
+      weekOf: weekOf.toISOString(),
+      instances: instances
+        .sort((a, b) => byTimetable(a.session, b.session))
+        .map(i => ({
+          ...formatInstance(i),
+          branch: i.session.branch,
+          day: i.session.day,
+          dayName: DAY_NAMES[i.session.day],
+          timeSlot: i.session.timeSlot,
+          timeSlotName: formatTimeSlot(i.session.timeSlot, slotMap),
+          category: i.session.category,
+          templateCapacity: i.session.capacity,
+          updatedBy: i.updatedBy?.name || null
+        }))
+    });
+  } catch (error) {
+    console.error('Error fetching session instances:', error);
+    return NextResponse.json({ error: 'Failed to fetch session instances' }, { status: 500 });
+  }
+});
+
+/**
+ * POST /api/admin/session-instances - Add an extra session for one week (needs sessions.manage)
+ * Body: { weekOf, day, timeSlot, category, capacity, note?, branch? }
+ * branch defaults to the one being worked in.
+ * The slot must be active but needn't run on that day. A class slot that
+ * already runs that week is changed from its roster instead.
+ */
+export const POST = withPermission('sessions.manage')(async function POST(request) {
+  try {
+    const user = request.user;
+    const body = await request.json().catch(() => ({}));
+
+    const result = addExtraSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json({ error: result.error.errors[0].message }, { status: 400 });
+    }
+
+    const { day, timeSlot, category, capacity } = result.data;
+    const branch = user.activeBranch || result.data.branch;
+    if (!branch) {
+      return NextResponse.json({ error: 'Choose a branch in the header first' }, { status: 400 });
+    }
+    if (!await prisma.branch.findUnique({ where: { code: branch } })) {
+      return NextResponse.json({ error: 'Branch not found' }, { status: 400 });
+    }
+    const note = result.data.note || null;
+    const weekOf = parseWeekOf(result.data.weekOf);
+    if (!weekOf) {
+      return NextResponse.json({ error: 'Invalid weekOf date' }, { status: 400 });
+    }
+
+    const date = getSessionDate(weekOf, day);
+    if (date < getToday(await getScheduleSettings())) {
+      return NextResponse.json({ error: 'Extra sessions can only be added for today or later' }, { status: 400 });
+    }
+
+    const slotMap = await getTimeSlotMap();
+    if (!slotMap[timeSlot]?.isActive) {
+      return NextResponse.json({ error: 'Unknown or retired time slot' }, { status: 400 });
+    }
+
+    // Outside the standing timetable the template may not exist yet — it is
+    // created closed (capacity 0), so it only runs in weeks given an extra
+    const session = await prisma.session.upsert({
+      where: { branch_day_timeSlot_category: { branch, day, timeSlot, category } },
+      create: { branch, day, timeSlot, category, capacity: 0 },
+      update: {}
+    });
+
+    const weekSession = await getWeekSession(prisma, session, weekOf);
+    if (isOfferedInWeek(slotMap, weekSession)) {
+      return NextResponse.json(
+        { error: `Class ${category} already runs ${DAY_NAMES[day]} ${formatTimeSlot(timeSlot, slotMap)} that week — change it from its roster` },
+        { status: 400 }
+      );
+    }
+
+    const closure = await getClosureFor(prisma, session, weekOf);
+    if (closure) {
+      return NextResponse.json(
+        { error: `The school is closed on ${formatClosureDate(closure.date)}: ${closure.reason}` },
+        { status: 400 }
+      );
+    }
+
+    const data = { capacity, isExtra: true, status: 'SCHEDULED', note, updatedById: user.id };
+    const existing = await prisma.sessionInstance.findUnique({
+      where: { sessionId_weekOf: { sessionId: session.id, weekOf } }
+    });
+    const instance = await prisma.sessionInstance.upsert({
+      where: { sessionId_weekOf: { sessionId: session.id, weekOf } },
+      create: { sessionId: session.id, weekOf, date, ...data },
+      update: data
+    });
+
+    auditChange(request, {
+      entity: 'SessionInstance',
+      entityId: instance.id,
+      before: existing,
+      after: instance,
+      action: 'SESSION_EXTRA_ADDED',
+      message: `Extra ${category} session on ${formatClosureDate(date)} ${formatTimeSlot(timeSlot, slotMap)} at ${branch} added`
+    });
+
+    // Sessions appear, disappear or close — like a closure, open clients refetch
+    await publishSessionChange(session.id, null);
+
+    return NextResponse.json(
+      { instance: formatInstance(instance), message: 'Extra session added for the week' },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error adding extra session:', error);
+    return NextResponse.json({ error: 'Failed to add extra session' }, { status: 500 });
+  }
+});
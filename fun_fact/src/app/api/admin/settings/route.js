@@ -1,12 +1,20 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { withRole } from '@/app/lib/utils/auth';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
 import { getSettings } from '@/app/lib/utils/settings';
+import { isValidTimeZone } from '@/app/lib/utils/dates';
+
+// Settings the date calculations depend on are checked before saving
+const VALIDATORS = {
+  school_timezone: (value) => isValidTimeZone(String(value)) || 'Unknown timezone',
+  week_rollover_hour: (value) => /^\d+$/.test(String(value)) && Number(value) <= 24 || 'Must be an hour from 0 to 24',
+};
 
 /**
  * GET /api/admin/settings — read all settings (instructor + admin)
  */
-export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET() {
+export const GET = withPermission('sessions.view')(async function GET() {
   try {
     const settings = await getSettings();
     // Also return raw rows for admin UI (labels, types)
@@ -19,10 +27,10 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET() {
 });
 
 /**
- * PATCH /api/admin/settings — update settings (admin only)
+ * PATCH /api/admin/settings — update settings (needs settings.manage)
  * Body: { "key": "value", ... }
  */
-export const PATCH = withRole('ADMIN')(async function PATCH(request) {
+export const PATCH = withPermission('settings.manage')(async function PATCH(request) {
   try {
     const updates = await request.json();
 
@@ -38,10 +46,22 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request) {
         continue;
       }
 
+      const valid = VALIDATORS[key] ? VALIDATORS[key](value) : true;
+      if (valid !== true) {
+        results.push({ key, error: valid });
+        continue;
+      }
+
       await prisma.systemSetting.update({
         where: { key },
         data: { value: String(value) }
       });
+      auditChange(request, {
+        entity: 'SystemSetting',
+        entityId: key,
+        before: { value: existing.value },
+        after: { value: String(value) }
+      });
 
       // Note: per-session capacity is no longer synced from this global setting.
       // Capacity is set per (day, timeSlot, licence class) via the capacity matrix
@@ -0,0 +1,115 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { DAYS, DAY_NAMES } from '@/app/lib/constants';
+import { getCurrentWeekMonday } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import {
+  getTimeSlots,
+  formatSlot,
+  defaultSlotLabel,
+  findSlotClash,
+  ensureSlotSessions,
+  countUpcomingSlotBookings
+} from '@/app/lib/utils/timeslots';
+
+/**
+ * PATCH /api/admin/time-slots/:code - Relabel a slot, change its days, or
+ * retire/reinstate it (needs timetable.manage)
+ * Body: { label?, days?, isActive? }. Times are fixed — add a new slot and
+ * retire this one to move it. Taking days off (or retiring) is refused while
+ * students are booked into it from this week on; its sessions are kept for
+ * their history either way.
+ */
+export const PATCH = withPermission('timetable.manage')(async function PATCH(request, { params }) {
+  try {
+    const { code } = await params;
+    const body = await request.json().catch(() => ({}));
+
+    const slots = await getTimeSlots();
+    const slot = slots.find(s => s.code === code);
+    if (!slot) {
+      return NextResponse.json({ error: 'Time slot not found' }, { status: 404 });
+    }
+
+    const data = {};
+    if (body.label !== undefined) {
+      const label = typeof body.label === 'string' ? body.label.trim() : null;
+      if (label === null || label.length > 191) {
+        return NextResponse.json({ error: 'Label must be at most 191 characters' }, { status: 400 });
+      }
+      data.label = label || defaultSlotLabel(slot.startTime, slot.endTime);
+    }
+    if (body.days !== undefined) {
+      const dayValues = Object.values(DAYS);
+      if (!Array.isArray(body.days) || body.days.length === 0 || body.days.some(d => !dayValues.includes(d))) {
+        return NextResponse.json({ error: 'Pick at least one day' }, { status: 400 });
+      }
+      data.days = dayValues.filter(d => body.days.includes(d));
+    }
+    if (body.isActive !== undefined) {
+      if (typeof body.isActive !== 'boolean') {
+        return NextResponse.json({ error: 'isActive must be a boolean value' }, { status: 400 });
+      }
+      data.isActive = body.isActive;
+    }
+
+    const next = { ...slot, ...data };
+    // Days the slot stops being offered on, and days it starts on
+    const removedDays = slot.isActive ? slot.days.filter(d => !next.isActive || !next.days.includes(d)) : [];
+    const addedDays = next.isActive ? next.days.filter(d => !slot.isActive || !slot.days.includes(d)) : [];
+
+    if (removedDays.length > 0) {
+      const weekOf = getCurrentWeekMonday(await getScheduleSettings());
+      const booked = await countUpcomingSlotBookings(prisma, code, removedDays, weekOf);
+      if (booked > 0) {
+        return NextResponse.json(
+          { error: `${booked} upcoming booking${booked !== 1 ? 's are' : ' is'} in ${slot.label} on ${removedDays.map(d => DAY_NAMES[d]).join(', ')} — move or cancel ${booked !== 1 ? 'them' : 'it'} first` },
+          { status: 400 }
+        );
+      }
+    }
+
+    if (addedDays.length > 0) {
+      const clash = findSlotClash(slots, { ...next, days: addedDays });
+      if (clash) {
+        return NextResponse.json(
+          { error: `Overlaps ${clash.slot.label} on ${DAY_NAMES[clash.day]}` },
+          { status: 400 }
+        );
+      }
+    }
+
+    const { updated, created } = await prisma.$transaction(async (tx) => {
+      const row = await tx.timeSlot.update({ where: { code }, data });
+      return {
+        updated: formatSlot(row),
+        created: addedDays.length > 0 ? await ensureSlotSessions(tx, { code, days: addedDays }) : 0
+      };
+    });
+
+    auditChange(request, {
+      entity: 'TimeSlot',
+      entityId: code,
+      before: slot,
+      after: updated,
+      message: `Time slot ${updated.label} updated`,
+      removedDays,
+      addedDays,
+      sessionsCreated: created
+    });
+
+    return NextResponse.json({
+      timeSlot: updated,
+      message: data.isActive === false && slot.isActive
+        ? 'Time slot retired'
+        : data.isActive === true && !slot.isActive
+          ? 'Time slot reinstated'
+          : 'Time slot updated'
+    });
+  } catch (error) {
+    console.error('Error updating time slot:', error);
+    return NextResponse.json({ error: 'Failed to update time slot' }, { status: 500 });
+  }
+});
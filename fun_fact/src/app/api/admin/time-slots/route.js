@@ -0,0 +1,105 @@
+// file: src/app/api/admin/time-slots/route.js
+// The time slot catalogue: the times of day sessions run and the days each
+// runs on. Adding a slot creates its sessions for every licence class at
+// capacity 0, so it is bookable once the capacity matrix opens it.
+
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { z } from 'zod';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { DAYS, DAY_NAMES } from '@/app/lib/constants';
+import { parseTimeOfDay } from '@/app/lib/utils/dates';
+import {
+  getTimeSlots,
+  formatSlot,
+  slotCodeFor,
+  defaultSlotLabel,
+  findSlotClash,
+  ensureSlotSessions
+} from '@/app/lib/utils/timeslots';
+
+const timeOfDay = z.string().refine(value => parseTimeOfDay(value) !== null, 'Times must be HH:MM (24-hour)');
+
+const createSlotSchema = z.object({
+  startTime: timeOfDay,
+  endTime: timeOfDay,
+  days: z.array(z.enum(Object.values(DAYS))).min(1, 'Pick at least one day'),
+  label: z.string().trim().max(191, 'Label is too long').optional(),
+});
+
+/**
+ * GET /api/admin/time-slots - The catalogue in time-of-day order, retired
+ * slots included (staff)
+ */
+export const GET = withPermission('sessions.view')(async function GET() {
+  try {
+    return NextResponse.json({ timeSlots: await getTimeSlots() });
+  } catch (error) {
+    console.error('Error fetching time slots:', error);
+    return NextResponse.json({ error: 'Failed to fetch time slots' }, { status: 500 });
+  }
+});
+
+/**
+ * POST /api/admin/time-slots - Add a time slot (needs timetable.manage)
+ * Body: { startTime: "17:00", endTime: "19:00", days: ["MONDAY", ...], label? }
+ * The code is derived from the times, so each start/end pair is one slot.
+ */
+export const POST = withPermission('timetable.manage')(async function POST(request) {
+  try {
+    const body = await request.json().catch(() => ({}));
+
+    const result = createSlotSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json({ error: result.error.errors[0].message }, { status: 400 });
+    }
+
+    const { startTime, endTime, days } = result.data;
+    if (parseTimeOfDay(endTime) <= parseTimeOfDay(startTime)) {
+      return NextResponse.json({ error: 'The slot must end after it starts' }, { status: 400 });
+    }
+
+    const code = slotCodeFor(startTime, endTime);
+    const slots = await getTimeSlots();
+    const existing = slots.find(s => s.code === code);
+    if (existing) {
+      return NextResponse.json(
+        { error: `${existing.label} already exists${existing.isActive ? '' : ' (retired) — reinstate it instead'}` },
+        { status: 400 }
+      );
+    }
+
+    const candidate = { code, startTime, endTime, days: [...new Set(days)] };
+    const clash = findSlotClash(slots, candidate);
+    if (clash) {
+      return NextResponse.json(
+        { error: `Overlaps ${clash.slot.label} on ${DAY_NAMES[clash.day]}` },
+        { status: 400 }
+      );
+    }
+
+    const { slot, created } = await prisma.$transaction(async (tx) => {
+      const row = await tx.timeSlot.create({
+        data: { ...candidate, label: result.data.label || defaultSlotLabel(startTime, endTime) }
+      });
+      return { slot: formatSlot(row), created: await ensureSlotSessions(tx, candidate) };
+    });
+
+    auditChange(request, {
+      entity: 'TimeSlot',
+      entityId: code,
+      after: slot,
+      message: `Time slot ${slot.label} added`,
+      sessionsCreated: created
+    });
+
+    return NextResponse.json(
+      { timeSlot: slot, message: 'Time slot added — open it for each class in the capacity matrix' },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error adding time slot:', error);
+    return NextResponse.json({ error: 'Failed to add time slot' }, { status: 500 });
+  }
+});
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { publishCategoryChange } from '@/app/lib/utils/events';
+import { isInBranch } from '@/app/lib/utils/branches';
+
+/**
+ * DELETE /api/admin/vehicles/:id/maintenance/:maintenanceId - Cancel a
+ * maintenance window, putting the vehicle back on the road (needs fleet.manage)
+ */
+export const DELETE = withPermission('fleet.manage')(async function DELETE(request, { params }) {
+  try {
+    const { id: vehicleId, maintenanceId } = await params;
+
+    const maintenance = await prisma.vehicleMaintenance.findUnique({
+      where: { id: maintenanceId },
+      include: { vehicle: { select: { registration: true, category: true, branch: true } } }
+    });
+    if (!maintenance || maintenance.vehicleId !== vehicleId || !isInBranch(request.user.activeBranch, maintenance.vehicle)) {
+      return NextResponse.json({ error: 'Maintenance window not found' }, { status: 404 });
+    }
+
+    await prisma.vehicleMaintenance.delete({ where: { id: maintenanceId } });
+
+    auditChange(request, {
+      entity: 'VehicleMaintenance',
+      entityId: maintenanceId,
+      before: { ...maintenance, vehicle: undefined },
+      action: 'VEHICLE_MAINTENANCE_REMOVED',
+      message: `${maintenance.vehicle.registration} back on the road: ${maintenance.reason}`
+    });
+
+    await publishCategoryChange(maintenance.vehicle.category, maintenance.vehicle.branch);
+
+    return NextResponse.json({ message: 'Maintenance removed' });
+  } catch (error) {
+    console.error('Error removing maintenance:', error);
+    return NextResponse.json({ error: 'Failed to remove maintenance' }, { status: 500 });
+  }
+});
@@ -0,0 +1,97 @@
+// file: src/app/api/admin/vehicles/[id]/maintenance/route.js
+// Maintenance windows take a vehicle off the road for whole days, lowering its
+// class's effective capacity on those days. Existing bookings are never
+// cancelled — the response warns about sessions now enrolled above capacity.
+
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { getToday, parseCalendarDate } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { findOverbookedSessions, formatMaintenance } from '@/app/lib/utils/fleet';
+import { formatClosureDate } from '@/app/lib/utils/closures';
+import { publishCategoryChange } from '@/app/lib/utils/events';
+import { isInBranch } from '@/app/lib/utils/branches';
+
+/**
+ * POST /api/admin/vehicles/:id/maintenance  (needs fleet.manage)
+ * Body: { startDate: 'YYYY-MM-DD', endDate: 'YYYY-MM-DD', reason }
+ */
+export const POST = withPermission('fleet.manage')(async function POST(request, { params }) {
+  try {
+    const { id: vehicleId } = await params;
+    const user = request.user;
+    const body = await request.json().catch(() => ({}));
+
+    const vehicle = await prisma.vehicle.findUnique({ where: { id: vehicleId } });
+    if (!isInBranch(user.activeBranch, vehicle)) {
+      return NextResponse.json({ error: 'Vehicle not found' }, { status: 404 });
+    }
+
+    const startDate = parseCalendarDate(body.startDate);
+    const endDate = parseCalendarDate(body.endDate || body.startDate);
+    if (!startDate || !endDate) {
+      return NextResponse.json({ error: 'Valid start and end dates (YYYY-MM-DD) are required' }, { status: 400 });
+    }
+    if (endDate < startDate) {
+      return NextResponse.json({ error: 'The end date must be on or after the start date' }, { status: 400 });
+    }
+    const today = getToday(await getScheduleSettings());
+    if (endDate < today) {
+      return NextResponse.json({ error: 'Maintenance can only be scheduled for today or later' }, { status: 400 });
+    }
+
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (!reason) {
+      return NextResponse.json({ error: 'A reason is required' }, { status: 400 });
+    }
+    if (reason.length > 191) {
+      return NextResponse.json({ error: 'Reason must be 191 characters or fewer' }, { status: 400 });
+    }
+
+    const maintenance = await prisma.vehicleMaintenance.create({
+      data: { vehicleId, startDate, endDate, reason, createdById: user.id }
+    });
+
+    // Only days still to come can hold bookings that matter
+    const warnings = await findOverbookedSessions(
+      prisma,
+      vehicle.category,
+      vehicle.branch,
+      startDate < today ? today : startDate,
+      endDate
+    );
+
+    const range = startDate.getTime() === endDate.getTime()
+      ? formatClosureDate(startDate)
+      : `${formatClosureDate(startDate)} – ${formatClosureDate(endDate)}`;
+
+    auditChange(request, {
+      entity: 'VehicleMaintenance',
+      entityId: maintenance.id,
+      after: maintenance,
+      action: 'VEHICLE_MAINTENANCE_SCHEDULED',
+      message: `${vehicle.registration} off the road ${range}: ${reason}${
+        warnings.length > 0 ? ` (${warnings.length} session${warnings.length !== 1 ? 's' : ''} over capacity)` : ''
+      }`,
+      overbooked: warnings
+    });
+
+    await publishCategoryChange(vehicle.category, vehicle.branch);
+
+    return NextResponse.json(
+      {
+        maintenance: formatMaintenance(maintenance),
+        warnings,
+        message: warnings.length > 0
+          ? `Maintenance scheduled — ${warnings.length} session${warnings.length !== 1 ? 's are' : ' is'} now over capacity`
+          : 'Maintenance scheduled'
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error('Error scheduling maintenance:', error);
+    return NextResponse.json({ error: 'Failed to schedule maintenance' }, { status: 500 });
+  }
+});
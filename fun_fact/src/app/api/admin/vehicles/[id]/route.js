@@ -0,0 +1,88 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { getCurrentWeekMonday, getToday } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { findOverbookedSessions, getHorizonEnd, formatVehicle } from '@/app/lib/utils/fleet';
+import { publishCategoryChange } from '@/app/lib/utils/events';
+import { isInBranch } from '@/app/lib/utils/branches';
+
+/**
+ * PATCH /api/admin/vehicles/:id - Rename or retire/reinstate a vehicle (needs fleet.manage)
+ * Body: { name?, isActive? }. Retiring clears the vehicle from standing and
+ * upcoming weekly assignments; past weeks keep it for the record. The response
+ * lists sessions whose enrolment now exceeds the fleet-capped capacity.
+ */
+export const PATCH = withPermission('fleet.manage')(async function PATCH(request, { params }) {
+  try {
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+
+    const vehicle = await prisma.vehicle.findUnique({ where: { id } });
+    if (!isInBranch(request.user.activeBranch, vehicle)) {
+      return NextResponse.json({ error: 'Vehicle not found' }, { status: 404 });
+    }
+
+    const data = {};
+    if (body.name !== undefined) {
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      if (!name || name.length > 191) {
+        return NextResponse.json({ error: 'Name must be 1-191 characters' }, { status: 400 });
+      }
+      data.name = name;
+    }
+    if (body.isActive !== undefined) {
+      if (typeof body.isActive !== 'boolean') {
+        return NextResponse.json({ error: 'isActive must be a boolean value' }, { status: 400 });
+      }
+      data.isActive = body.isActive;
+    }
+
+    const schedule = await getScheduleSettings();
+    const { updated, unassigned } = await prisma.$transaction(async (tx) => {
+      const updatedVehicle = await tx.vehicle.update({
+        where: { id },
+        data,
+        include: { maintenance: { where: { endDate: { gte: getToday(schedule) } }, orderBy: { startDate: 'asc' } } }
+      });
+      let cleared = 0;
+      if (data.isActive === false && vehicle.isActive) {
+        ({ count: cleared } = await tx.sessionAssignment.updateMany({
+          where: {
+            vehicleId: id,
+            OR: [{ weekOf: null }, { weekOf: { gte: getCurrentWeekMonday(schedule) } }]
+          },
+          data: { vehicleId: null }
+        }));
+      }
+      return { updated: updatedVehicle, unassigned: cleared };
+    });
+
+    let warnings = [];
+    if (data.isActive !== undefined && data.isActive !== vehicle.isActive) {
+      warnings = await findOverbookedSessions(prisma, vehicle.category, vehicle.branch, getToday(schedule), await getHorizonEnd());
+      await publishCategoryChange(vehicle.category, vehicle.branch);
+    }
+
+    auditChange(request, {
+      entity: 'Vehicle',
+      entityId: id,
+      before: vehicle,
+      after: { ...updated, maintenance: undefined },
+      unassigned
+    });
+
+    return NextResponse.json({
+      vehicle: formatVehicle(updated),
+      unassigned,
+      warnings,
+      message: data.isActive === false && vehicle.isActive
+        ? `Vehicle retired${unassigned > 0 ? ` — removed from ${unassigned} assignment${unassigned !== 1 ? 's' : ''}` : ''}`
+        : 'Vehicle updated'
+    });
+  } catch (error) {
+    console.error('Error updating vehicle:', error);
+    return NextResponse.json({ error: 'Failed to update vehicle' }, { status: 500 });
+  }
+});
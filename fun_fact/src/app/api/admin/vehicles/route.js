@@ -0,0 +1,97 @@
+// file: src/app/api/admin/vehicles/route.js
+// Training fleet. Vehicles are assigned to sessions of their licence class at
+// their branch and cap that class's session capacity there; retired vehicles
+// are kept (isActive false) so past assignments still resolve.
+
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { z } from 'zod';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { LICENCE_CLASSES } from '@/app/lib/constants';
+import { getToday } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { findOverbookedSessions, getHorizonEnd, formatVehicle } from '@/app/lib/utils/fleet';
+import { publishCategoryChange } from '@/app/lib/utils/events';
+import { branchWhere } from '@/app/lib/utils/branches';
+
+const createVehicleSchema = z.object({
+  registration: z.string().trim().min(1, 'Registration is required').max(20, 'Registration is too long'),
+  name: z.string().trim().min(1, 'Name is required').max(191, 'Name is too long'),
+  category: z.enum(LICENCE_CLASSES, { errorMap: () => ({ message: 'Unknown licence class' }) }),
+  branch: z.string().trim().min(1).optional(),
+});
+
+// Plates are stored upper-case with single spaces so "kda 123a" and "KDA  123A" collide
+const normalizeRegistration = (value) => value.trim().toUpperCase().replace(/\s+/g, ' ');
+
+/**
+ * GET /api/admin/vehicles - List the fleet of the branch being worked in with
+ * current and upcoming maintenance windows (needs fleet.manage or sessions.manage)
+ */
+export const GET = withPermission('fleet.manage', 'sessions.manage')(async function GET(request) {
+  try {
+    const vehicles = await prisma.vehicle.findMany({
+      where: branchWhere(request.user.activeBranch),
+      include: {
+        maintenance: {
+          where: { endDate: { gte: getToday(await getScheduleSettings()) } },
+          orderBy: { startDate: 'asc' }
+        }
+      },
+      orderBy: [{ isActive: 'desc' }, { branch: 'asc' }, { category: 'asc' }, { registration: 'asc' }]
+    });
+
+    return NextResponse.json({ vehicles: vehicles.map(formatVehicle) });
+  } catch (error) {
+    console.error('Error fetching vehicles:', error);
+    return NextResponse.json({ error: 'Failed to fetch vehicles' }, { status: 500 });
+  }
+});
+
+/**
+ * POST /api/admin/vehicles - Add a vehicle to the branch being worked in
+ * (needs fleet.manage)
+ * Body: { registration, name, category, branch? } — branch only when working
+ * across every branch
+ */
+export const POST = withPermission('fleet.manage')(async function POST(request) {
+  try {
+    const body = await request.json();
+
+    const result = createVehicleSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json({ error: result.error.errors[0].message }, { status: 400 });
+    }
+
+    const branch = request.user.activeBranch || result.data.branch;
+    if (!branch) {
+      return NextResponse.json({ error: 'Choose a branch in the header first' }, { status: 400 });
+    }
+    if (!await prisma.branch.findUnique({ where: { code: branch } })) {
+      return NextResponse.json({ error: 'Branch not found' }, { status: 400 });
+    }
+
+    const registration = normalizeRegistration(result.data.registration);
+    const existing = await prisma.vehicle.findUnique({ where: { registration } });
+    if (existing) {
+      return NextResponse.json({ error: `${registration} is already in the fleet` }, { status: 400 });
+    }
+
+    const vehicle = await prisma.vehicle.create({
+      data: { registration, name: result.data.name, category: result.data.category, branch },
+      include: { maintenance: true }
+    });
+
+    // The first vehicle of a class at a branch starts capping that class's capacity there
+    const warnings = await findOverbookedSessions(prisma, vehicle.category, branch, getToday(await getScheduleSettings()), await getHorizonEnd());
+    await publishCategoryChange(vehicle.category, branch);
+
+    auditChange(request, { entity: 'Vehicle', entityId: vehicle.id, after: { ...vehicle, maintenance: undefined } });
+
+    return NextResponse.json({ vehicle: formatVehicle(vehicle), warnings, message: 'Vehicle added' }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating vehicle:', error);
+    return NextResponse.json({ error: 'Failed to add vehicle' }, { status: 500 });
+  }
+});
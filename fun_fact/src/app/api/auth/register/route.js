@@ -0,0 +1,69 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { registrationSchema, findRegistrationConflict } from '@/app/lib/utils/registrations';
+import { getClientIp } from '@/app/lib/utils/logins';
+import { checkLoginAllowed, recordLoginFailure, lockoutResponse } from '@/app/lib/utils/ratelimit';
+
+/**
+ * POST /api/auth/register - Ask for a student account
+ * Body: { id, name, email, phoneNumber?, category, branch? }
+ * Creates a pending registration; the student can log in once an admin has
+ * approved it. Every request counts against the caller's address with the
+ * login limits (429 once exceeded), and a taken student ID or email gets the
+ * same answer as any other conflict so the form can't be used to look up who
+ * is registered.
+ */
+export async function POST(request) {
+  try {
+    const client = { ip: getClientIp(request) };
+    const limit = await checkLoginAllowed('register', client);
+    if (!limit.allowed) return lockoutResponse(limit.retryAfter);
+
+    const failure = await recordLoginFailure('register', client);
+    if (failure.locked) return lockoutResponse(failure.retryAfter);
+
+    const body = await request.json();
+
+    const result = registrationSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error.errors[0].message },
+        { status: 400 }
+      );
+    }
+
+    const { id, name, email, phoneNumber, category, branch } = result.data;
+
+    if (!await prisma.branch.findUnique({ where: { code: branch } })) {
+      return NextResponse.json({ error: 'Please choose a branch' }, { status: 400 });
+    }
+
+    if (await findRegistrationConflict({ id, email })) {
+      return NextResponse.json(
+        { error: 'We could not submit your registration. If you already have an account, log in or contact the school.' },
+        { status: 409 }
+      );
+    }
+
+    await prisma.studentRegistration.create({
+      data: {
+        studentId: id,
+        name,
+        email,
+        phoneNumber: phoneNumber ?? null,
+        category,
+        branch
+      }
+    });
+
+    return NextResponse.json({
+      message: "Thanks — we'll email you once the school has approved your account."
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Registration error:', error);
+    return NextResponse.json(
+      { error: 'Registration failed' },
+      { status: 500 }
+    );
+  }
+}
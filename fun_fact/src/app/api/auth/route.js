@@ -3,12 +3,22 @@
 
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { signToken, setAuthCookie, clearAuthCookie, getAuthToken, verifyToken } from '@/app/lib/utils/auth';
+import { startStudentSession, clearAuthCookie, getAuthToken, verifyToken } from '@/app/lib/utils/auth';
+import { findLoginSession, revokeLoginSession, revokeAllLoginSessions, getClientIp } from '@/app/lib/utils/logins';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, lockoutResponse } from '@/app/lib/utils/ratelimit';
+import { issueLoginCode, getResendWait, maskRecipient, LOGIN_CODE_MINUTES } from '@/app/lib/utils/logincodes';
+import { sendLoginCode } from '@/app/lib/utils/notifications';
+import { getSetting } from '@/app/lib/utils/settings';
 import { validateStudentCredentials, studentLoginSchema } from '@/app/lib/utils/validation';
 import { SUCCESS_MESSAGES } from '@/app/lib/constants';
 
 /**
  * POST /api/auth - Login endpoint
+ * Failed attempts are counted per student ID and per address; too many lock
+ * the login out for a while (429). With the student_login_codes setting on,
+ * no cookie is set yet: a one-time code is sent to the student's email (or
+ * phone, with channel: 'SMS') and the response has codeRequired: true. The
+ * code is then exchanged at POST /api/auth/verify.
  */
 export async function POST(request) {
   try {
@@ -24,51 +34,74 @@ export async function POST(request) {
       );
     }
 
-    const { id, email } = result.data;
+    const { id, email, channel = 'EMAIL' } = result.data;
+    const client = { ip: getClientIp(request), identifier: id };
+
+    const limit = await checkLoginAllowed('student', client);
+    if (!limit.allowed) return lockoutResponse(limit.retryAfter);
 
     // Validate student credentials
     const validationResult = await validateStudentCredentials(id, email);
 
     if (!validationResult.valid) {
+      const failure = await recordLoginFailure('student', client);
+      if (failure.locked) return lockoutResponse(failure.retryAfter);
       return NextResponse.json(
         { error: validationResult.error },
         { status: 401 }
       );
     }
 
-    // Block deactivated students from logging back in (data is kept, access is not)
-    const existingStudent = await prisma.student.findUnique({
-      where: { id },
-      select: { status: true }
-    });
+    // Only students an admin has created or approved can log in — login never
+    // creates or changes the student record
+    const { student } = validationResult;
+
     // Archived accounts are permanently closed (their number may now belong to
     // someone else). Deactivated students may still sign in — they just can't book.
-    if (existingStudent && existingStudent.status === 'ARCHIVED') {
+    if (student.status === 'ARCHIVED') {
       return NextResponse.json(
         { error: 'This account is no longer active. Please contact the administrator.' },
         { status: 403 }
       );
     }
 
-    // Create or update student record
-    const student = await prisma.student.upsert({
-        where: { id },
-        update: { email },
-        create: {
-          id,
-          email,
-          name: `Student ${id}` // Default name since it's required but not collected at login
-        }
+    if (await getSetting('student_login_codes', false)) {
+      if (channel === 'SMS' && !student.phoneNumber) {
+        return NextResponse.json(
+          { error: 'There is no phone number on your account. Use email instead.' },
+          { status: 400 }
+        );
+      }
+
+      const wait = await getResendWait(student.id);
+      if (wait > 0) {
+        return NextResponse.json(
+          { error: `Please wait ${wait} seconds before asking for another code.`, retryAfter: wait },
+          { status: 429, headers: { 'Retry-After': String(wait) } }
+        );
+      }
+
+      const { code } = await issueLoginCode(student.id, channel);
+      const sent = await sendLoginCode(student, channel, { code, minutes: LOGIN_CODE_MINUTES });
+      if (sent !== 'SENT') {
+        return NextResponse.json(
+          { error: 'We could not send your login code. Please try again.' },
+          { status: 502 }
+        );
+      }
+
+      return NextResponse.json({
+        message: `We sent a login code to ${maskRecipient(channel === 'SMS' ? student.phoneNumber : student.email)}`,
+        codeRequired: true,
+        channel,
+        smsAvailable: !!student.phoneNumber
       });
+    }
 
-    // Generate JWT token
-    const token = await signToken({
-      id: student.id,
-      email: student.email
-    });
+    await recordLoginSuccess('student', client);
 
-    // Set auth cookie (now async)
-    await setAuthCookie(token);
+    // Set the auth cookie, tied to a session that logout can revoke
+    await startStudentSession(student, request);
 
     return NextResponse.json({
       message: SUCCESS_MESSAGES.LOGIN_SUCCESS,
@@ -92,9 +125,23 @@ export async function POST(request) {
 
 /**
  * DELETE /api/auth - Logout endpoint
+ * ?everywhere=true also logs out every other browser the student is signed in on.
  */
-export async function DELETE() {
+export async function DELETE(request) {
   try {
+    const token = await getAuthToken();
+    const payload = token ? await verifyToken(token) : null;
+
+    if (payload?.sid) {
+      const everywhere = new URL(request.url).searchParams.get('everywhere') === 'true';
+      // Only a live session may end the others, not a stolen revoked token
+      if (everywhere && await findLoginSession(payload, { studentId: payload.id })) {
+        await revokeAllLoginSessions({ studentId: payload.id });
+      } else {
+        await revokeLoginSession(payload.sid);
+      }
+    }
+
     // Clear auth cookie (now async)
     await clearAuthCookie();
 
@@ -136,6 +183,15 @@ export async function GET(request) {
       );
     }
 
+    // Logged out elsewhere, or revoked
+    if (!await findLoginSession(payload, { studentId: payload.id })) {
+      await clearAuthCookie();
+      return NextResponse.json(
+        { error: 'Your session has ended. Please log in again.' },
+        { status: 401 }
+      );
+    }
+
     // Get fresh student data
     const student = await prisma.student.findUnique({
       where: { id: payload.id },
@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import prisma from '@/app/lib/db/prisma-client';
+import { startStaffSession, verifyToken } from '@/app/lib/utils/auth';
+import { getClientIp } from '@/app/lib/utils/logins';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, lockoutResponse } from '@/app/lib/utils/ratelimit';
+import { verifyTwoFactorCode } from '@/app/lib/utils/twofactor';
+
+const twoFactorLoginSchema = z.object({
+  challenge: z.string().min(1, 'Log in with your password first'),
+  code: z.string().trim().min(6, 'Enter the 6-digit code or a recovery code').max(20),
+});
+
+/**
+ * POST /api/auth/staff/2fa - Second staff login step for accounts with
+ * two-factor on
+ * Body: { challenge, code } — the challenge from POST /api/auth/staff and an
+ * authenticator code or unused recovery code. Wrong codes count toward the
+ * same lockout as wrong passwords.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+
+    const result = twoFactorLoginSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error.errors[0].message },
+        { status: 400 }
+      );
+    }
+
+    const { challenge, code } = result.data;
+    const payload = await verifyToken(challenge);
+    if (payload?.purpose !== 'two-factor') {
+      return NextResponse.json(
+        { error: 'This login has expired. Please enter your password again.', challengeExpired: true },
+        { status: 401 }
+      );
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: payload.id } });
+    if (!user || user.disabledAt) {
+      return NextResponse.json(
+        { error: 'This account has been disabled' },
+        { status: 403 }
+      );
+    }
+
+    const client = { ip: getClientIp(request), identifier: user.email };
+
+    const limit = await checkLoginAllowed('staff', client);
+    if (!limit.allowed) return lockoutResponse(limit.retryAfter);
+
+    const check = await verifyTwoFactorCode(user.id, code);
+    if (!check.ok) {
+      const failure = await recordLoginFailure('staff', client);
+      if (failure.locked) return lockoutResponse(failure.retryAfter);
+      return NextResponse.json(
+        { error: 'That code is not right. Try the current code from your app.' },
+        { status: 401 }
+      );
+    }
+
+    await recordLoginSuccess('staff', client);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLoginAt: new Date() }
+    });
+
+    await startStaffSession(user, request);
+
+    return NextResponse.json({
+      message: check.usedRecoveryCode
+        ? `Login successful. ${check.recoveryCodesLeft} recovery code${check.recoveryCodesLeft !== 1 ? 's' : ''} left.`
+        : 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Staff two-factor login error:', error);
+    return NextResponse.json(
+      { error: 'Authentication failed' },
+      { status: 500 }
+    );
+  }
+}
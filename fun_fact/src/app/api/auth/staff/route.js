@@ -2,16 +2,33 @@ import { NextResponse } from 'next/server';
 import bcrypt from 'bcryptjs';
 import prisma from '@/app/lib/db/prisma-client';
 import {
-  signToken,
-  setStaffAuthCookie,
+  startStaffSession,
+  signTwoFactorChallenge,
   clearStaffAuthCookie,
   getStaffAuthToken,
   verifyToken
 } from '@/app/lib/utils/auth';
 import { staffLoginSchema } from '@/app/lib/utils/validation';
+import { findLoginSession, revokeLoginSession, revokeAllLoginSessions, getClientIp } from '@/app/lib/utils/logins';
+import { getRolePermissions } from '@/app/lib/permissions';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, lockoutResponse } from '@/app/lib/utils/ratelimit';
+
+// Count a wrong email or password, answering 429 if that locked the login
+async function rejectLogin(client) {
+  const failure = await recordLoginFailure('staff', client);
+  if (failure.locked) return lockoutResponse(failure.retryAfter);
+  return NextResponse.json(
+    { error: 'Invalid email or password' },
+    { status: 401 }
+  );
+}
 
 /**
  * POST /api/auth/staff - Staff login
+ * Failed attempts are counted per email and per address; too many lock the
+ * login out for a while (429). Accounts with two-factor on get
+ * twoFactorRequired and a challenge to send to POST /api/auth/staff/2fa with
+ * their code, instead of the cookie.
  */
 export async function POST(request) {
   try {
@@ -26,33 +43,49 @@ export async function POST(request) {
     }
 
     const { email, password } = result.data;
+    const client = { ip: getClientIp(request), identifier: email };
+
+    const limit = await checkLoginAllowed('staff', client);
+    if (!limit.allowed) return lockoutResponse(limit.retryAfter);
 
     const user = await prisma.user.findUnique({
       where: { email }
     });
 
     if (!user) {
-      return NextResponse.json(
-        { error: 'Invalid email or password' },
-        { status: 401 }
-      );
+      return rejectLogin(client);
     }
 
     const passwordMatch = await bcrypt.compare(password, user.password);
     if (!passwordMatch) {
+      return rejectLogin(client);
+    }
+
+    if (user.disabledAt) {
       return NextResponse.json(
-        { error: 'Invalid email or password' },
-        { status: 401 }
+        { error: 'This account has been disabled' },
+        { status: 403 }
       );
     }
 
-    const token = await signToken({
-      id: user.id,
-      email: user.email,
-      role: user.role
+    // Right password, but the account also needs its authenticator code:
+    // finished at POST /api/auth/staff/2fa
+    if (user.totpEnabledAt) {
+      return NextResponse.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challenge: await signTwoFactorChallenge({ id: user.id })
+      });
+    }
+
+    await recordLoginSuccess('staff', client);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLoginAt: new Date() }
     });
 
-    await setStaffAuthCookie(token);
+    await startStaffSession(user, request);
 
     return NextResponse.json({
       message: 'Login successful',
@@ -74,6 +107,8 @@ export async function POST(request) {
 
 /**
  * GET /api/auth/staff - Check staff auth
+ * The user comes with the permissions their role grants, for the UI to hide
+ * what they can't do, and their branch (null when they work at every branch).
  */
 export async function GET() {
   try {
@@ -95,13 +130,24 @@ export async function GET() {
       );
     }
 
+    // Logged out elsewhere, or revoked after a password or role change
+    if (!await findLoginSession(payload, { userId: payload.id })) {
+      await clearStaffAuthCookie();
+      return NextResponse.json(
+        { error: 'Your session has ended. Please log in again.' },
+        { status: 401 }
+      );
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: payload.id },
       select: {
         id: true,
         email: true,
         name: true,
-        role: true
+        role: true,
+        branch: true,
+        disabledAt: true
       }
     });
 
@@ -113,8 +159,16 @@ export async function GET() {
       );
     }
 
+    if (user.disabledAt) {
+      await clearStaffAuthCookie();
+      return NextResponse.json(
+        { error: 'This account has been disabled' },
+        { status: 401 }
+      );
+    }
+
     return NextResponse.json({
-      user,
+      user: { ...user, permissions: getRolePermissions(user.role, user.branch) },
       message: 'Authentication successful'
     });
   } catch (error) {
@@ -128,9 +182,23 @@ export async function GET() {
 
 /**
  * DELETE /api/auth/staff - Staff logout
+ * ?everywhere=true also logs out every other browser the account is signed in on.
  */
-export async function DELETE() {
+export async function DELETE(request) {
   try {
+    const token = await getStaffAuthToken();
+    const payload = token ? await verifyToken(token) : null;
+
+    if (payload?.sid) {
+      const everywhere = new URL(request.url).searchParams.get('everywhere') === 'true';
+      // Only a live session may end the others, not a stolen revoked token
+      if (everywhere && await findLoginSession(payload, { userId: payload.id })) {
+        await revokeAllLoginSessions({ userId: payload.id });
+      } else {
+        await revokeLoginSession(payload.sid);
+      }
+    }
+
     await clearStaffAuthCookie();
     return NextResponse.json({ message: 'Logged out successfully' });
   } catch (error) {
@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { startStudentSession } from '@/app/lib/utils/auth';
+import { getClientIp } from '@/app/lib/utils/logins';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, lockoutResponse } from '@/app/lib/utils/ratelimit';
+import { verifyLoginCode } from '@/app/lib/utils/logincodes';
+import { loginCodeSchema } from '@/app/lib/utils/validation';
+import { SUCCESS_MESSAGES } from '@/app/lib/constants';
+
+/**
+ * POST /api/auth/verify - Second login step: exchange the one-time code sent
+ * by POST /api/auth for the auth cookie
+ * Body: { id, code }
+ * Wrong codes count toward the same lockout as wrong credentials.
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+
+    const result = loginCodeSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error.errors[0].message },
+        { status: 400 }
+      );
+    }
+
+    const { id, code } = result.data;
+    const client = { ip: getClientIp(request), identifier: id };
+
+    const limit = await checkLoginAllowed('student', client);
+    if (!limit.allowed) return lockoutResponse(limit.retryAfter);
+
+    const check = await verifyLoginCode(id, code);
+    if (!check.valid) {
+      const failure = await recordLoginFailure('student', client);
+      if (failure.locked) return lockoutResponse(failure.retryAfter);
+      return NextResponse.json({ error: check.error }, { status: 401 });
+    }
+
+    const student = await prisma.student.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        phoneNumber: true,
+        category: true,
+        status: true
+      }
+    });
+
+    // Archived while the code was in flight
+    if (!student || student.status === 'ARCHIVED') {
+      return NextResponse.json(
+        { error: 'This account is no longer active. Please contact the administrator.' },
+        { status: 403 }
+      );
+    }
+
+    await recordLoginSuccess('student', client);
+    await startStudentSession(student, request);
+
+    return NextResponse.json({
+      message: SUCCESS_MESSAGES.LOGIN_SUCCESS,
+      student
+    });
+  } catch (error) {
+    console.error('Login code verification error:', error);
+    return NextResponse.json(
+      { error: 'Authentication failed' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,217 @@
+// file: src/app/api/bookings/[id]/reschedule/route.js
+// Move a booking to another session in one transaction, so the student never
+// loses their old slot to a target that filled up in the meantime.
+
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withAuth } from '@/app/lib/utils/auth';
+import { validateSessionBooking, sessionBookingSchema, checkCancellationCutoff } from '@/app/lib/utils/validation';
+import { SUCCESS_MESSAGES, ERROR_MESSAGES, INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { getCurrentWeekMonday, parseWeekOf, formatSession, formatTimeSlot } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { promoteFromWaitlist } from '@/app/lib/utils/waitlist';
+import { getEffectiveCapacity } from '@/app/lib/utils/fleet';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { applyNoShowRule } from '@/app/lib/utils/penalties';
+import { getTimeSlotMap } from '@/app/lib/utils/timeslots';
+import { notifyBookings } from '@/app/lib/utils/notifications';
+
+/**
+ * Response helper functions
+ */
+const createErrorResponse = (message, status = 400) => {
+  return NextResponse.json({ error: message }, { status });
+};
+
+const createSuccessResponse = (data, message, status = 200) => {
+  return NextResponse.json({ ...data, message }, { status });
+};
+
+const ALREADY_HELD = 'You already have this session booked that week';
+
+/**
+ * POST /api/bookings/:id/reschedule - Move a booking to another session
+ * Body: { sessionId, weekOf? } — weekOf defaults to the booking's own week.
+ * The old booking is cancelled and the new one booked together; if the target
+ * fails any booking rule, nothing changes. Leaving the old slot is subject to
+ * the cancellation cutoff, like DELETE /api/bookings/:id.
+ */
+async function rescheduleBooking(request, { params }) {
+  try {
+    const student = request.student;
+    const { id: bookingId } = await params;
+
+    const body = await request.json().catch(() => ({}));
+    const result = sessionBookingSchema.safeParse(body);
+    if (!result.success) {
+      return createErrorResponse(result.error.errors[0].message);
+    }
+
+    const booking = await prisma.booking.findFirst({
+      where: { id: bookingId, studentId: student.id },
+      include: { session: { select: { id: true, day: true, timeSlot: true } } }
+    });
+
+    if (!booking) {
+      return createErrorResponse('Booking not found or not authorized', 404);
+    }
+
+    if (booking.status !== 'BOOKED') {
+      return createErrorResponse('Only booked sessions can be moved');
+    }
+
+    if (booking.weekOf.getTime() < getCurrentWeekMonday(await getScheduleSettings()).getTime()) {
+      return createErrorResponse('This booking is from a past week and can no longer be moved');
+    }
+
+    const cutoff = await checkCancellationCutoff(booking.weekOf, booking.session);
+    if (cutoff.error) {
+      return createErrorResponse(cutoff.error);
+    }
+    const fromStatus = cutoff.late ? 'LATE_CANCEL' : 'CANCELLED';
+
+    const { sessionId } = result.data;
+    const weekOf = result.data.weekOf ? parseWeekOf(result.data.weekOf) : booking.weekOf;
+    if (!weekOf) {
+      return createErrorResponse('Invalid week');
+    }
+
+    if (sessionId === booking.sessionId && weekOf.getTime() === booking.weekOf.getTime()) {
+      return createErrorResponse('You are already booked into this session');
+    }
+
+    const held = await prisma.booking.findUnique({
+      where: { studentId_sessionId_weekOf: { studentId: student.id, sessionId, weekOf } },
+      select: { status: true }
+    });
+    if (held && !INACTIVE_BOOKING_STATUSES.includes(held.status)) {
+      return createErrorResponse(ALREADY_HELD);
+    }
+
+    // Every booking rule applies, as if the old booking were already gone
+    const validationResult = await validateSessionBooking(student.id, sessionId, weekOf, {
+      excludeBookingId: booking.id
+    });
+    if (!validationResult.valid) {
+      return createErrorResponse(validationResult.error);
+    }
+
+    const target = validationResult.session;
+    const slotMap = await getTimeSlotMap();
+    const fromLabel = formatSession(booking.session, slotMap);
+    const toLabel = formatSession(target, slotMap);
+
+    let promoted = [];
+    const moved = await prisma.$transaction(async (tx) => {
+      // Re-check capacity under the transaction, like POST /api/bookings
+      const activeCount = await tx.booking.count({
+        where: { sessionId, weekOf, status: { notIn: INACTIVE_BOOKING_STATUSES } }
+      });
+      if (activeCount >= await getEffectiveCapacity(tx, target, weekOf)) {
+        throw new Error(ERROR_MESSAGES.SESSION_FULL);
+      }
+
+      // The old booking may have changed since it was read (e.g. staff marked it)
+      const { count } = await tx.booking.updateMany({
+        where: { id: booking.id, status: 'BOOKED' },
+        data: { status: fromStatus, cancelledAt: new Date() }
+      });
+      if (count === 0) {
+        throw new Error('Only booked sessions can be moved');
+      }
+      await tx.bookingStatusHistory.create({
+        data: {
+          bookingId: booking.id,
+          fromStatus: 'BOOKED',
+          toStatus: fromStatus,
+          reason: cutoff.late ? `Moved late by student to ${toLabel}` : `Moved by student to ${toLabel}`
+        }
+      });
+      // Leaving late counts like a late cancellation; the new booking is kept
+      if (cutoff.late) {
+        await applyNoShowRule(tx, booking, fromStatus);
+      }
+
+      await tx.waitlistEntry.updateMany({
+        where: { studentId: student.id, sessionId, weekOf, status: 'WAITING' },
+        data: { status: 'LEFT' }
+      });
+
+      // Same unique-key rule as POST /api/bookings: resurrect a cancelled row
+      const existing = await tx.booking.findUnique({
+        where: {
+          studentId_sessionId_weekOf: { studentId: student.id, sessionId, weekOf }
+        }
+      });
+
+      // Booked directly in the meantime
+      if (existing && !INACTIVE_BOOKING_STATUSES.includes(existing.status)) {
+        throw new Error(ALREADY_HELD);
+      }
+      // A late cancellation stays on the record rather than being resurrected
+      if (existing?.status === 'LATE_CANCEL') {
+        throw new Error(ERROR_MESSAGES.LATE_CANCELLED);
+      }
+
+      const newBooking = existing
+        ? await tx.booking.update({
+            where: { id: existing.id },
+            data: { status: 'BOOKED', category: target.category, cancelledAt: null, markedById: null }
+          })
+        : await tx.booking.create({
+            data: {
+              student: { connect: { id: student.id } },
+              session: { connect: { id: sessionId } },
+              category: target.category,
+              status: 'BOOKED',
+              weekOf
+            }
+          });
+
+      await tx.bookingStatusHistory.create({
+        data: {
+          bookingId: newBooking.id,
+          fromStatus: existing ? existing.status : null,
+          toStatus: 'BOOKED',
+          reason: `Moved by student from ${fromLabel}`
+        }
+      });
+
+      // The freed slot goes to its waitlist, as with a plain cancellation
+      promoted = await promoteFromWaitlist(tx, booking.sessionId, booking.weekOf);
+
+      return newBooking;
+    });
+
+    await publishSessionChange(booking.sessionId, booking.weekOf);
+    await publishSessionChange(sessionId, weekOf);
+    await notifyBookings('BOOKING_CREATED', [moved.id]);
+    await notifyBookings('WAITLIST_PROMOTED', promoted.map(b => b.id));
+
+    return createSuccessResponse(
+      {
+        booking: {
+          id: moved.id,
+          sessionId,
+          day: target.day,
+          timeSlot: target.timeSlot,
+          timeSlotName: formatTimeSlot(target.timeSlot, slotMap),
+          weekOf: moved.weekOf,
+          createdAt: moved.createdAt
+        },
+        cancelledBookingId: booking.id
+      },
+      SUCCESS_MESSAGES.BOOKING_MOVED
+    );
+  } catch (error) {
+    console.error('Booking reschedule error:', error);
+
+    if ([ERROR_MESSAGES.SESSION_FULL, ERROR_MESSAGES.LATE_CANCELLED, 'Only booked sessions can be moved', ALREADY_HELD].includes(error.message)) {
+      return createErrorResponse(error.message);
+    }
+
+    return createErrorResponse('Failed to move booking', 500);
+  }
+}
+
+export const POST = withAuth(rescheduleBooking);
@@ -5,7 +5,13 @@ import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
 import { withAuth } from '@/app/lib/utils/auth';
 import { SUCCESS_MESSAGES } from '@/app/lib/constants';
-import { getCurrentWeekMonday } from '@/app/lib/utils/dates';
+import { checkCancellationCutoff } from '@/app/lib/utils/validation';
+import { applyNoShowRule, formatSuspension } from '@/app/lib/utils/penalties';
+import { formatDate } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { promoteFromWaitlist } from '@/app/lib/utils/waitlist';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { notifyBookings } from '@/app/lib/utils/notifications';
 
 /**
  * Response helper functions
@@ -20,6 +26,8 @@ const createSuccessResponse = (data, message, status = 200) => {
 
 /**
  * DELETE /api/bookings/:id - Cancel a booking
+ * Past the cancellation cutoff the request is refused, or the booking is
+ * recorded as LATE_CANCEL instead of CANCELLED, per the late-cancel setting.
  */
 async function deleteBooking(request, { params }) {
   try {
@@ -59,33 +67,58 @@ async function deleteBooking(request, { params }) {
       return createErrorResponse('Only booked sessions can be cancelled');
     }
 
-    // Soft delete — update status to CANCELLED
-    await prisma.$transaction([
-      prisma.booking.update({
+    const cutoff = await checkCancellationCutoff(booking.weekOf, booking.session);
+    if (cutoff.error) {
+      return createErrorResponse(cutoff.error);
+    }
+    const toStatus = cutoff.late ? 'LATE_CANCEL' : 'CANCELLED';
+
+    // Soft delete — update the status, then hand the freed spot to the next
+    // eligible student on the waitlist in the same transaction
+    let suspension = null;
+    const promoted = await prisma.$transaction(async (tx) => {
+      await tx.booking.update({
         where: { id: bookingId },
         data: {
-          status: 'CANCELLED',
+          status: toStatus,
           cancelledAt: new Date()
         }
-      }),
-      prisma.bookingStatusHistory.create({
+      });
+      await tx.bookingStatusHistory.create({
         data: {
           bookingId,
           fromStatus: 'BOOKED',
-          toStatus: 'CANCELLED',
-          reason: 'Cancelled by student'
+          toStatus,
+          reason: cutoff.late ? 'Cancelled late by student' : 'Cancelled by student'
         }
-      })
-    ]);
+      });
+      if (cutoff.late) {
+        suspension = await applyNoShowRule(tx, booking, toStatus);
+      }
+      return promoteFromWaitlist(tx, booking.sessionId, booking.weekOf);
+    });
+
+    await publishSessionChange(booking.sessionId, booking.weekOf);
+    await notifyBookings('BOOKING_CANCELLED', [bookingId], {
+      reason: cutoff.late ? 'Cancelled by you after the cancellation deadline, so it counts as a late cancellation' : 'Cancelled by you'
+    });
+    await notifyBookings('WAITLIST_PROMOTED', promoted.map(b => b.id));
+
+    let message = cutoff.late ? SUCCESS_MESSAGES.BOOKING_CANCELLED_LATE : SUCCESS_MESSAGES.BOOKING_CANCELLED;
+    if (suspension) {
+      message += ` Booking is now suspended until ${formatDate(suspension.endsAt, (await getScheduleSettings()).timeZone)}.`;
+    }
 
     return createSuccessResponse({
       deletedBooking: {
         id: bookingId,
         sessionId: booking.sessionId,
         day: booking.session.day,
-        timeSlot: booking.session.timeSlot
-      }
-    }, SUCCESS_MESSAGES.BOOKING_CANCELLED);
+        timeSlot: booking.session.timeSlot,
+        status: toStatus
+      },
+      suspension: suspension && formatSuspension(suspension)
+    }, message);
   } catch (error) {
     console.error('Booking deletion error:', error);
     return createErrorResponse('Failed to cancel booking', 500);
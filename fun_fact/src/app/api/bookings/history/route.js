@@ -1,8 +1,11 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
 import { withAuth } from '@/app/lib/utils/auth';
-import { DAY_NAMES, TIME_SLOT_NAMES } from '@/app/lib/constants';
+import { DAY_NAMES } from '@/app/lib/constants';
 import { getSetting } from '@/app/lib/utils/settings';
+import { formatSuspension } from '@/app/lib/utils/penalties';
+import { formatTimeSlot } from '@/app/lib/utils/dates';
+import { getTimeSlotMap } from '@/app/lib/utils/timeslots';
 
 /**
  * GET /api/bookings/history - Get full booking history for the authenticated student
@@ -27,12 +30,13 @@ async function getBookingHistory(request) {
       ]
     });
 
+    const slotMap = await getTimeSlotMap();
     const bookings = rawBookings.map(b => ({
       id: b.id,
       day: b.session.day,
       dayName: DAY_NAMES[b.session.day],
       timeSlot: b.session.timeSlot,
-      timeSlotName: TIME_SLOT_NAMES[b.session.timeSlot],
+      timeSlotName: formatTimeSlot(b.session.timeSlot, slotMap),
       category: b.category,
       status: b.status,
       weekOf: b.weekOf,
@@ -51,6 +55,12 @@ async function getBookingHistory(request) {
       }))
     }));
 
+    const suspensions = await prisma.suspension.findMany({
+      where: { studentId: student.id },
+      include: { liftedBy: { select: { name: true } } },
+      orderBy: { startsAt: 'desc' }
+    });
+
     const totalRequired = await getSetting('total_practicals_required', 15);
     const completedCount = bookings.filter(b => b.status === 'COMPLETED').length;
 
@@ -61,6 +71,7 @@ async function getBookingHistory(request) {
       noShows: bookings.filter(b => b.status === 'NO_SHOW').length,
       incomplete: bookings.filter(b => b.status === 'INCOMPLETE').length,
       cancelled: bookings.filter(b => b.status === 'CANCELLED').length,
+      lateCancels: bookings.filter(b => b.status === 'LATE_CANCEL').length,
       totalRequired,
       progressPercent: Math.min(100, Math.round((completedCount / totalRequired) * 100)),
       isComplete: completedCount >= totalRequired,
@@ -75,6 +86,7 @@ async function getBookingHistory(request) {
         category: student.category
       },
       bookings,
+      suspensions: suspensions.map(formatSuspension),
       summary
     });
   } catch (error) {
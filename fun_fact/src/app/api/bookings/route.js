@@ -5,8 +5,13 @@ import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
 import { withAuth } from '@/app/lib/utils/auth';
 import { validateSessionBooking, sessionBookingSchema } from '@/app/lib/utils/validation';
-import { SUCCESS_MESSAGES, ERROR_MESSAGES } from '@/app/lib/constants';
-import { getCurrentWeekMonday } from '@/app/lib/utils/dates';
+import { SUCCESS_MESSAGES, ERROR_MESSAGES, INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { getCurrentWeekMonday, parseWeekOf, getCancelDeadline, formatTimeSlot } from '@/app/lib/utils/dates';
+import { getSetting, getScheduleSettings } from '@/app/lib/utils/settings';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { getEffectiveCapacity } from '@/app/lib/utils/fleet';
+import { getTimeSlotMap } from '@/app/lib/utils/timeslots';
+import { notifyBookings } from '@/app/lib/utils/notifications';
 
 /**
  * Response helper functions
@@ -37,9 +42,16 @@ async function createBooking(request) {
     }
     
     const { sessionId } = result.data;
+
+    // Target week — omitted means the current week (legacy clients)
+    const schedule = await getScheduleSettings();
+    const weekOf = result.data.weekOf ? parseWeekOf(result.data.weekOf) : getCurrentWeekMonday(schedule);
+    if (!weekOf) {
+      return createErrorResponse('Invalid week');
+    }
     
     // Validate booking against constraints
-    const validationResult = await validateSessionBooking(student.id, sessionId);
+    const validationResult = await validateSessionBooking(student.id, sessionId, weekOf);
     
     if (!validationResult.valid) {
       return createErrorResponse(validationResult.error);
@@ -56,7 +68,6 @@ async function createBooking(request) {
     }
     
     // Create booking with transaction to prevent race conditions
-    const weekOf = getCurrentWeekMonday();
     const booking = await prisma.$transaction(async (tx) => {
       // Lock the session for update (prevent concurrent bookings)
       const session = await tx.session.findUnique({
@@ -65,21 +76,23 @@ async function createBooking(request) {
           bookings: {
             where: {
               weekOf,
-              status: { not: 'CANCELLED' }
+              status: { notIn: INACTIVE_BOOKING_STATUSES }
             }
           }
         }
       });
 
-      // Double-check session capacity
-      if (session.bookings.length >= session.capacity) {
+      // Double-check session capacity (fleet-capped, like the validation above)
+      if (session.bookings.length >= await getEffectiveCapacity(tx, session, weekOf)) {
         throw new Error(ERROR_MESSAGES.SESSION_FULL);
       }
 
       // The unique key (studentId, sessionId, weekOf) means a previously cancelled
       // booking still occupies that row — resurrect it instead of inserting a new one.
-      // Only CANCELLED rows are resurrected; any other status indicates a real
-      // duplicate attempt and must fall through to the P2002 error path below.
+      // Only rows cancelled on time are resurrected: a late cancellation counts
+      // against the student, so its row is kept as it is. Any other status
+      // indicates a real duplicate attempt and must fall through to the P2002
+      // error path below.
       const existing = await tx.booking.findUnique({
         where: {
           studentId_sessionId_weekOf: {
@@ -90,7 +103,17 @@ async function createBooking(request) {
         }
       });
 
-      if (existing && existing.status === 'CANCELLED') {
+      // Booking the slot directly takes the student off its waitlist
+      await tx.waitlistEntry.updateMany({
+        where: { studentId: student.id, sessionId, weekOf, status: 'WAITING' },
+        data: { status: 'LEFT' }
+      });
+
+      if (existing?.status === 'LATE_CANCEL') {
+        throw new Error(ERROR_MESSAGES.LATE_CANCELLED);
+      }
+
+      if (existing?.status === 'CANCELLED') {
         const resurrected = await tx.booking.update({
           where: { id: existing.id },
           data: {
@@ -122,12 +145,20 @@ async function createBooking(request) {
       });
     });
     
+    await publishSessionChange(sessionId, weekOf);
+    await notifyBookings('BOOKING_CREATED', [booking.id]);
+
     // Format booking with session details for client
+    const cutoffHours = await getSetting('cancel_cutoff_hours', 12);
+    const slotMap = await getTimeSlotMap();
     const formattedBooking = {
       id: booking.id,
       sessionId,
       day: sessionBefore.day,
       timeSlot: sessionBefore.timeSlot,
+      timeSlotName: formatTimeSlot(sessionBefore.timeSlot, slotMap),
+      weekOf: booking.weekOf,
+      cancelDeadline: getCancelDeadline(booking.weekOf, sessionBefore.day, slotMap[sessionBefore.timeSlot], cutoffHours, schedule),
       createdAt: booking.createdAt
     };
     
@@ -139,8 +170,8 @@ async function createBooking(request) {
     console.error('Booking creation error:', error);
     
     // Handle specific error cases
-    if (error.message === ERROR_MESSAGES.SESSION_FULL) {
-      return createErrorResponse(ERROR_MESSAGES.SESSION_FULL);
+    if (error.message === ERROR_MESSAGES.SESSION_FULL || error.message === ERROR_MESSAGES.LATE_CANCELLED) {
+      return createErrorResponse(error.message);
     }
     
     // Handle unique constraint violations
@@ -154,19 +185,27 @@ async function createBooking(request) {
 
 /**
  * GET /api/bookings - Get student's bookings
+ * Optional ?weekOf= selects the week (defaults to the current week).
  */
 async function getBookings(request) {
   try {
     // Get student from auth middleware
     const student = request.student;
+
+    const { searchParams } = new URL(request.url);
+    const weekOfParam = searchParams.get('weekOf');
+    const schedule = await getScheduleSettings();
+    const weekOf = weekOfParam ? parseWeekOf(weekOfParam) : getCurrentWeekMonday(schedule);
+    if (!weekOf) {
+      return createErrorResponse('Invalid week');
+    }
     
-    // Get current week's active bookings for the student
-    const weekOf = getCurrentWeekMonday();
+    // Get the week's active bookings for the student
     const bookings = await prisma.booking.findMany({
       where: {
         studentId: student.id,
         weekOf,
-        status: { not: 'CANCELLED' }
+        status: { notIn: INACTIVE_BOOKING_STATUSES }
       },
       include: {
         session: true
@@ -176,17 +215,29 @@ async function getBookings(request) {
       }
     });
 
+    // Each booking carries the last moment it can be cancelled on time
+    const cutoffHours = await getSetting('cancel_cutoff_hours', 12);
+    const blockLateCancellations = await getSetting('block_late_cancellations', false);
+    const slotMap = await getTimeSlotMap();
+
     // Format the bookings
     const formattedBookings = bookings.map(booking => ({
       id: booking.id,
       sessionId: booking.sessionId,
       day: booking.session.day,
       timeSlot: booking.session.timeSlot,
+      timeSlotName: formatTimeSlot(booking.session.timeSlot, slotMap),
       status: booking.status,
+      weekOf: booking.weekOf,
+      cancelDeadline: getCancelDeadline(booking.weekOf, booking.session.day, slotMap[booking.session.timeSlot], cutoffHours, schedule),
       createdAt: booking.createdAt
     }));
     
-    return NextResponse.json({ bookings: formattedBookings });
+    return NextResponse.json({
+      bookings: formattedBookings,
+      weekOf: weekOf.toISOString(),
+      blockLateCancellations
+    });
   } catch (error) {
     console.error('Error fetching bookings:', error);
     return createErrorResponse('Failed to fetch bookings', 500);
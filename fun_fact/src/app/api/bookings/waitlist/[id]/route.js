@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withAuth } from '@/app/lib/utils/auth';
+import { SUCCESS_MESSAGES } from '@/app/lib/constants';
+import { publishSessionChange } from '@/app/lib/utils/events';
+
+/**
+ * DELETE /api/bookings/waitlist/:id - Leave a waitlist
+ */
+async function leaveWaitlist(request, { params }) {
+  try {
+    const student = request.student;
+    const { id } = await params;
+
+    const entry = await prisma.waitlistEntry.findFirst({
+      where: { id, studentId: student.id }
+    });
+
+    if (!entry) {
+      return NextResponse.json({ error: 'Waitlist entry not found' }, { status: 404 });
+    }
+
+    if (entry.status !== 'WAITING') {
+      return NextResponse.json({ error: 'You are no longer on this waitlist' }, { status: 400 });
+    }
+
+    await prisma.waitlistEntry.update({
+      where: { id },
+      data: { status: 'LEFT' }
+    });
+
+    await publishSessionChange(entry.sessionId, entry.weekOf);
+
+    return NextResponse.json({ message: SUCCESS_MESSAGES.WAITLIST_LEFT });
+  } catch (error) {
+    console.error('Waitlist leave error:', error);
+    return NextResponse.json({ error: 'Failed to leave waitlist' }, { status: 500 });
+  }
+}
+
+export const DELETE = withAuth(leaveWaitlist);
@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withAuth } from '@/app/lib/utils/auth';
+import { validateSessionBooking, sessionBookingSchema } from '@/app/lib/utils/validation';
+import { SUCCESS_MESSAGES, INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { getCurrentWeekMonday, parseWeekOf } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { publishSessionChange } from '@/app/lib/utils/events';
+
+/**
+ * Response helper functions
+ */
+const createErrorResponse = (message, status = 400) => {
+  return NextResponse.json({ error: message }, { status });
+};
+
+const createSuccessResponse = (data, message, status = 200) => {
+  return NextResponse.json({ ...data, message }, { status });
+};
+
+/**
+ * POST /api/bookings/waitlist - Join the waitlist for a full session week
+ */
+async function joinWaitlist(request) {
+  try {
+    const student = request.student;
+
+    const body = await request.json().catch(() => ({}));
+
+    const result = sessionBookingSchema.safeParse(body);
+    if (!result.success) {
+      return createErrorResponse(result.error.errors[0].message);
+    }
+
+    const { sessionId } = result.data;
+
+    const weekOf = result.data.weekOf ? parseWeekOf(result.data.weekOf) : getCurrentWeekMonday(await getScheduleSettings());
+    if (!weekOf) {
+      return createErrorResponse('Invalid week');
+    }
+
+    // Same rules as booking (class, status, horizon, day/week limits) — except
+    // capacity. Limits are re-checked again at promotion time.
+    const validationResult = await validateSessionBooking(student.id, sessionId, weekOf, { ignoreCapacity: true });
+    if (!validationResult.valid) {
+      return createErrorResponse(validationResult.error);
+    }
+
+    const { session, capacity } = validationResult;
+    const activeBookings = session.bookings.filter(
+      b => !INACTIVE_BOOKING_STATUSES.includes(b.status) && b.weekOf.getTime() === weekOf.getTime()
+    );
+
+    if (activeBookings.some(b => b.studentId === student.id)) {
+      return createErrorResponse('You have already booked this session');
+    }
+
+    if (activeBookings.length < capacity) {
+      return createErrorResponse('This session still has open spots — book it directly.');
+    }
+
+    const existing = await prisma.waitlistEntry.findUnique({
+      where: {
+        studentId_sessionId_weekOf: { studentId: student.id, sessionId, weekOf }
+      }
+    });
+
+    if (existing?.status === 'WAITING') {
+      return createErrorResponse('You are already on the waitlist for this session');
+    }
+
+    // Rejoining after leaving goes to the back of the queue
+    const entry = existing
+      ? await prisma.waitlistEntry.update({
+          where: { id: existing.id },
+          data: { status: 'WAITING', bookingId: null, promotedAt: null, createdAt: new Date() }
+        })
+      : await prisma.waitlistEntry.create({
+          data: {
+            student: { connect: { id: student.id } },
+            session: { connect: { id: sessionId } },
+            weekOf
+          }
+        });
+
+    const position = await prisma.waitlistEntry.count({
+      where: { sessionId, weekOf, status: 'WAITING', createdAt: { lte: entry.createdAt } }
+    });
+
+    await publishSessionChange(sessionId, weekOf);
+
+    return createSuccessResponse({
+      entry: {
+        id: entry.id,
+        sessionId,
+        weekOf: entry.weekOf,
+        position
+      }
+    }, SUCCESS_MESSAGES.WAITLIST_JOINED);
+  } catch (error) {
+    console.error('Waitlist join error:', error);
+    return createErrorResponse('Failed to join waitlist', 500);
+  }
+}
+
+export const POST = withAuth(joinWaitlist);
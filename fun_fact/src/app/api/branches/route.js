@@ -0,0 +1,18 @@
+import { NextResponse } from 'next/server';
+import { listBranches } from '@/app/lib/utils/branches';
+
+/**
+ * GET /api/branches - The school's branches, e.g. for students to pick the
+ * one they learn at when they register
+ */
+export async function GET() {
+  try {
+    const branches = await listBranches();
+    return NextResponse.json({
+      branches: branches.map(({ code, name, address }) => ({ code, name, address }))
+    });
+  } catch (error) {
+    console.error('Error fetching branches:', error);
+    return NextResponse.json({ error: 'Failed to fetch branches' }, { status: 500 });
+  }
+}
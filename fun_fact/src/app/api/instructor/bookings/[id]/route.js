@@ -1,18 +1,28 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { withRole } from '@/app/lib/utils/auth';
-import { getSetting } from '@/app/lib/utils/settings';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { getSetting, getScheduleSettings } from '@/app/lib/utils/settings';
+import { promoteFromWaitlist } from '@/app/lib/utils/waitlist';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { applyNoShowRule, formatSuspension } from '@/app/lib/utils/penalties';
+import { formatDate } from '@/app/lib/utils/dates';
+import { notifyBookings, notifyStudent } from '@/app/lib/utils/notifications';
+import { branchWhere } from '@/app/lib/utils/branches';
 
 // Valid status transitions
 const VALID_TRANSITIONS = {
   BOOKED: ['ATTENDED', 'NO_SHOW', 'CANCELLED'],
   ATTENDED: ['COMPLETED', 'INCOMPLETE'],
+  // Excuse a late cancellation so it no longer counts against the student
+  LATE_CANCEL: ['CANCELLED'],
 };
 
 /**
  * PATCH /api/instructor/bookings/:id - Update booking status
  */
-export const PATCH = withRole('INSTRUCTOR', 'ADMIN')(async function PATCH(request, { params }) {
+export const PATCH = withPermission('bookings.manage')(async function PATCH(request, { params }) {
   try {
     const { id } = await params;
     const { status, notes } = await request.json();
@@ -22,7 +32,8 @@ export const PATCH = withRole('INSTRUCTOR', 'ADMIN')(async function PATCH(reques
       return NextResponse.json({ error: 'status is required' }, { status: 400 });
     }
 
-    const booking = await prisma.booking.findUnique({ where: { id } });
+    // Only bookings for sessions at the branch being worked in
+    const booking = await prisma.booking.findFirst({ where: { id, session: branchWhere(user.activeBranch) } });
     if (!booking) {
       return NextResponse.json({ error: 'Booking not found' }, { status: 404 });
     }
@@ -45,10 +56,12 @@ export const PATCH = withRole('INSTRUCTOR', 'ADMIN')(async function PATCH(reques
     if (notes !== undefined) updateData.notes = notes;
     if (status === 'ATTENDED') updateData.attendedAt = new Date();
     if (status === 'COMPLETED' || status === 'INCOMPLETE') updateData.completedAt = new Date();
-    if (status === 'CANCELLED') updateData.cancelledAt = new Date();
+    if (status === 'CANCELLED' && !booking.cancelledAt) updateData.cancelledAt = new Date();
 
-    const [updated] = await prisma.$transaction([
-      prisma.booking.update({
+    let suspension = null;
+    let promoted = [];
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.booking.update({
         where: { id },
         data: updateData,
         include: {
@@ -56,8 +69,8 @@ export const PATCH = withRole('INSTRUCTOR', 'ADMIN')(async function PATCH(reques
           session: { select: { day: true, timeSlot: true } },
           markedBy: { select: { name: true } }
         }
-      }),
-      prisma.bookingStatusHistory.create({
+      });
+      await tx.bookingStatusHistory.create({
         data: {
           bookingId: id,
           fromStatus: booking.status,
@@ -65,8 +78,39 @@ export const PATCH = withRole('INSTRUCTOR', 'ADMIN')(async function PATCH(reques
           changedById: user.id,
           reason: notes || null
         }
-      })
-    ]);
+      });
+      // A cancellation frees a spot for the waitlist
+      if (status === 'CANCELLED' && booking.status === 'BOOKED') {
+        promoted = await promoteFromWaitlist(tx, booking.sessionId, booking.weekOf, user.id);
+      }
+      // A no-show may push the student over the missed-session limit
+      if (status === 'NO_SHOW') {
+        suspension = await applyNoShowRule(tx, booking, status, user);
+      }
+      return result;
+    });
+
+    auditChange(request, {
+      entity: 'Booking',
+      entityId: id,
+      before: booking,
+      after: { ...updated, student: undefined, session: undefined, markedBy: undefined },
+      studentId: booking.studentId,
+      bookingId: id,
+      promotedBookingIds: promoted.map(b => b.id)
+    });
+
+    await publishSessionChange(booking.sessionId, booking.weekOf);
+    if (status === 'CANCELLED' && booking.status === 'BOOKED') {
+      await notifyBookings('BOOKING_CANCELLED', [id], { reason: notes || null });
+    } else {
+      await notifyBookings('BOOKING_STATUS_CHANGED', [id], {
+        status,
+        notes: notes || null,
+        suspendedUntil: suspension && formatDate(suspension.endsAt, (await getScheduleSettings()).timeZone)
+      });
+    }
+    await notifyBookings('WAITLIST_PROMOTED', promoted.map(b => b.id));
 
     // Auto-deactivate the student once they reach the required completed practicals,
     // if the admin has enabled this in system settings.
@@ -91,15 +135,23 @@ export const PATCH = withRole('INSTRUCTOR', 'ADMIN')(async function PATCH(reques
               data: {
                 action: 'STUDENT_AUTO_DEACTIVATED',
                 message: `Student ${booking.studentId} auto-deactivated after completing ${completedCount}/${totalRequired} practicals`,
+                actorId: user.id,
+                studentId: booking.studentId,
+                bookingId: booking.id,
                 data: { studentId: booking.studentId, completedCount, totalRequired }
               }
             });
+            await notifyStudent('STUDENT_DEACTIVATED', booking.studentId, { completedCount, totalRequired });
           }
         }
       }
     }
 
-    return NextResponse.json({ booking: updated, autoDeactivated });
+    return NextResponse.json({
+      booking: updated,
+      autoDeactivated,
+      suspension: suspension && formatSuspension(suspension)
+    });
   } catch (error) {
     console.error('Booking status update error:', error);
     return NextResponse.json({ error: 'Failed to update booking status' }, { status: 500 });
@@ -107,32 +159,33 @@ export const PATCH = withRole('INSTRUCTOR', 'ADMIN')(async function PATCH(reques
 });
 
 /**
- * DELETE /api/instructor/bookings/:id - Cancel a booking (admin only)
+ * DELETE /api/instructor/bookings/:id - Cancel a booking (needs bookings.cancel)
  */
-export const DELETE = withRole('ADMIN')(async function DELETE(request, { params }) {
+export const DELETE = withPermission('bookings.cancel')(async function DELETE(request, { params }) {
   try {
     const { id } = await params;
     const user = request.user;
 
-    const booking = await prisma.booking.findUnique({ where: { id } });
+    // Only bookings for sessions at the branch being worked in
+    const booking = await prisma.booking.findFirst({ where: { id, session: branchWhere(user.activeBranch) } });
     if (!booking) {
       return NextResponse.json({ error: 'Booking not found' }, { status: 404 });
     }
 
-    if (booking.status === 'CANCELLED') {
+    if (INACTIVE_BOOKING_STATUSES.includes(booking.status)) {
       return NextResponse.json({ error: 'Booking is already cancelled' }, { status: 400 });
     }
 
-    await prisma.$transaction([
-      prisma.booking.update({
+    const { updated, promoted } = await prisma.$transaction(async (tx) => {
+      const row = await tx.booking.update({
         where: { id },
         data: {
           status: 'CANCELLED',
           cancelledAt: new Date(),
           markedById: user.id
         }
-      }),
-      prisma.bookingStatusHistory.create({
+      });
+      await tx.bookingStatusHistory.create({
         data: {
           bookingId: id,
           fromStatus: booking.status,
@@ -140,10 +193,25 @@ export const DELETE = withRole('ADMIN')(async function DELETE(request, { params
           changedById: user.id,
           reason: 'Cancelled by admin'
         }
-      })
-    ]);
-
-    return NextResponse.json({ message: 'Booking cancelled' });
+      });
+      return { updated: row, promoted: await promoteFromWaitlist(tx, booking.sessionId, booking.weekOf, user.id) };
+    });
+
+    auditChange(request, {
+      entity: 'Booking',
+      entityId: id,
+      before: booking,
+      after: updated,
+      studentId: booking.studentId,
+      bookingId: id,
+      promotedBookingIds: promoted.map(b => b.id)
+    });
+
+    await publishSessionChange(booking.sessionId, booking.weekOf);
+    await notifyBookings('BOOKING_CANCELLED', [id], { reason: 'Cancelled by the school' });
+    await notifyBookings('WAITLIST_PROMOTED', promoted.map(b => b.id));
+
+    return NextResponse.json({ message: 'Booking cancelled', promoted: promoted.length });
   } catch (error) {
     console.error('Booking cancellation error:', error);
     return NextResponse.json({ error: 'Failed to cancel booking' }, { status: 500 });
@@ -1,13 +1,22 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { withRole } from '@/app/lib/utils/auth';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
 import { getCurrentWeekMonday } from '@/app/lib/utils/dates';
-import { SESSION_CONSTRAINTS, ERROR_MESSAGES } from '@/app/lib/constants';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { publishSessionChange } from '@/app/lib/utils/events';
+import { getClosureFor, formatClosureDate } from '@/app/lib/utils/closures';
+import { getEffectiveCapacity } from '@/app/lib/utils/fleet';
+import { getTimeSlotMap } from '@/app/lib/utils/timeslots';
+import { getWeekSession, isOfferedInWeek } from '@/app/lib/utils/instances';
+import { notifyBookings } from '@/app/lib/utils/notifications';
+import { ERROR_MESSAGES, INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { isInBranch } from '@/app/lib/utils/branches';
 
 /**
- * POST /api/instructor/bookings - Add a student to a session (instructor/admin)
+ * POST /api/instructor/bookings - Add a student to a session (needs bookings.manage)
  */
-export const POST = withRole('INSTRUCTOR', 'ADMIN')(async function POST(request) {
+export const POST = withPermission('bookings.manage')(async function POST(request) {
   try {
     const { studentId, sessionId } = await request.json();
 
@@ -18,11 +27,11 @@ export const POST = withRole('INSTRUCTOR', 'ADMIN')(async function POST(request)
       );
     }
 
-    const weekOf = getCurrentWeekMonday();
+    const weekOf = getCurrentWeekMonday(await getScheduleSettings());
 
     // Check student exists and is active (deactivated/archived students can't be booked in)
     const student = await prisma.student.findUnique({ where: { id: studentId } });
-    if (!student) {
+    if (!isInBranch(request.user.activeBranch, student)) {
       return NextResponse.json({ error: 'Student not found' }, { status: 404 });
     }
     if (student.status !== 'ACTIVE') {
@@ -37,17 +46,21 @@ export const POST = withRole('INSTRUCTOR', 'ADMIN')(async function POST(request)
       where: { id: sessionId },
       include: {
         bookings: {
-          where: { weekOf, status: { not: 'CANCELLED' } }
+          where: { weekOf, status: { notIn: INACTIVE_BOOKING_STATUSES } }
         }
       }
     });
 
-    if (!session) {
+    if (!isInBranch(request.user.activeBranch, session)) {
       return NextResponse.json({ error: 'Session not found' }, { status: 404 });
     }
+    if (session.branch !== student.branch) {
+      return NextResponse.json({ error: 'This session is at another branch from the student' }, { status: 400 });
+    }
 
-    // Licence class must match, and the class must be offered at this slot.
-    if (session.capacity <= 0) {
+    // Licence class must match, and the class must be offered at this slot this week.
+    const weekSession = await getWeekSession(prisma, session, weekOf);
+    if (!isOfferedInWeek(await getTimeSlotMap(), weekSession)) {
       return NextResponse.json({ error: 'This session is not offered for its licence class.' }, { status: 400 });
     }
     if (student.category !== session.category) {
@@ -57,14 +70,25 @@ export const POST = withRole('INSTRUCTOR', 'ADMIN')(async function POST(request)
       );
     }
 
-    // Check capacity
-    if (session.bookings.length >= (session.capacity || SESSION_CONSTRAINTS.MAX_CAPACITY)) {
+    const closure = await getClosureFor(prisma, session, weekOf);
+    if (closure) {
+      return NextResponse.json(
+        { error: `This session is closed on ${formatClosureDate(closure.date)}: ${closure.reason}` },
+        { status: 400 }
+      );
+    }
+    if (weekSession.isCancelled) {
+      return NextResponse.json({ error: 'This session is cancelled this week' }, { status: 400 });
+    }
+
+    // Check capacity (capped by the vehicles on the road that day)
+    if (session.bookings.length >= await getEffectiveCapacity(prisma, session, weekOf)) {
       return NextResponse.json({ error: ERROR_MESSAGES.SESSION_FULL }, { status: 400 });
     }
 
     // Check duplicate
     const existing = await prisma.booking.findFirst({
-      where: { studentId, sessionId, weekOf, status: { not: 'CANCELLED' } }
+      where: { studentId, sessionId, weekOf, status: { notIn: INACTIVE_BOOKING_STATUSES } }
     });
     if (existing) {
       return NextResponse.json({ error: 'Student already booked for this session' }, { status: 400 });
@@ -84,6 +108,17 @@ export const POST = withRole('INSTRUCTOR', 'ADMIN')(async function POST(request)
       }
     });
 
+    auditChange(request, {
+      entity: 'Booking',
+      entityId: booking.id,
+      after: { ...booking, student: undefined, session: undefined },
+      studentId,
+      bookingId: booking.id
+    });
+
+    await publishSessionChange(sessionId, weekOf);
+    await notifyBookings('BOOKING_CREATED', [booking.id], { bookedBy: request.user.name });
+
     return NextResponse.json({ booking }, { status: 201 });
   } catch (error) {
     console.error('Instructor booking creation error:', error);
@@ -1,47 +1,68 @@
 // file: src/app/api/instructor/export/route.js
 // Description: Configurable CSV export for instructor/admin. Supports three datasets
 // (session enrollments, student directory, raw bookings) with filters for student
-// status, week scope, and whether cancelled bookings are included.
+// status, week scope, and whether cancelled bookings are included. Only the branch
+// being worked in is exported.
 
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { DAY_NAMES, TIME_SLOT_NAMES } from '@/app/lib/constants';
-import { withRole } from '@/app/lib/utils/auth';
-import { getSetting } from '@/app/lib/utils/settings';
-import { getCurrentWeekMonday } from '@/app/lib/utils/dates';
-
-// Escape a single CSV cell per RFC 4180 (quote when it contains comma, quote, or newline)
-function csvCell(value) {
-  if (value === null || value === undefined) return '';
-  const s = String(value);
-  if (/[",\n\r]/.test(s)) {
-    return `"${s.replace(/"/g, '""')}"`;
-  }
-  return s;
-}
-
-function csvRow(cells) {
-  return cells.map(csvCell).join(',') + '\n';
-}
-
+import { DAY_NAMES, INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { withPermission } from '@/app/lib/utils/auth';
+import { getSetting, getScheduleSettings } from '@/app/lib/utils/settings';
+import { getCurrentWeekMonday, toLocalDateKey, formatTimeSlot } from '@/app/lib/utils/dates';
+import { getTimeSlotMap, compareSessions } from '@/app/lib/utils/timeslots';
+import { resolveAssignment } from '@/app/lib/utils/assignments';
+import { csvRow } from '@/app/lib/utils/csv';
+import { branchWhere } from '@/app/lib/utils/branches';
+
+// Calendar dates (weekOf) are stored at 00:00 UTC and print as-is
 function formatDate(date) {
   if (!date) return '';
   return new Date(date).toISOString().split('T')[0];
 }
 
+// Instants (createdAt, attendedAt, ...) print as the school's local date
+function formatLocalDate(date, timeZone) {
+  if (!date) return '';
+  return toLocalDateKey(new Date(date), timeZone);
+}
+
 // Build the Prisma where-filter for booking-level queries from the request options
-function buildBookingWhere({ week, includeCancelled, studentStatus }) {
-  const where = {};
-  if (week === 'current') where.weekOf = getCurrentWeekMonday();
-  if (!includeCancelled) where.status = { not: 'CANCELLED' };
+function buildBookingWhere({ week, includeCancelled, studentStatus, schedule, branch }) {
+  const where = { session: branchWhere(branch) };
+  if (week === 'current') where.weekOf = getCurrentWeekMonday(schedule);
+  if (!includeCancelled) where.status = { notIn: INACTIVE_BOOKING_STATUSES };
   if (studentStatus !== 'all') where.student = { status: studentStatus.toUpperCase() };
   return where;
 }
 
+// Load every assignment row (standing and weekly) grouped by session, so each
+// booking can be matched to the instructor/vehicle of its own week
+async function loadAssignmentRows() {
+  const rows = await prisma.sessionAssignment.findMany({
+    include: {
+      instructor: { select: { name: true } },
+      vehicle: { select: { registration: true } }
+    }
+  });
+  const bySession = new Map();
+  for (const row of rows) {
+    if (!bySession.has(row.sessionId)) bySession.set(row.sessionId, []);
+    bySession.get(row.sessionId).push(row);
+  }
+  return bySession;
+}
+
+function assignmentCols(bySession, sessionId, weekOf) {
+  const assignment = resolveAssignment(bySession.get(sessionId) || [], weekOf);
+  return [assignment?.instructor?.name || '', assignment?.vehicle?.registration || ''];
+}
+
 async function buildEnrollmentsCsv(opts) {
   const bookingWhere = buildBookingWhere(opts);
 
   const sessions = await prisma.session.findMany({
+    where: branchWhere(opts.branch),
     include: {
       bookings: {
         where: bookingWhere,
@@ -51,17 +72,22 @@ async function buildEnrollmentsCsv(opts) {
         orderBy: { createdAt: 'asc' }
       }
     },
-    orderBy: [{ day: 'asc' }, { timeSlot: 'asc' }]
+    orderBy: { day: 'asc' }
   });
+  sessions.sort(compareSessions(opts.slotMap));
+  const assignments = await loadAssignmentRows();
+  // Sessions without bookings have no week of their own to resolve against
+  const emptyWeek = opts.week === 'current' ? getCurrentWeekMonday(opts.schedule) : null;
 
   let csv = csvRow([
     'Day', 'Time', 'Class', 'Capacity', 'Enrolled', 'Available', 'Week Of',
-    'Student ID', 'Student Name', 'Student Email', 'Student Phone', 'Booking Status'
+    'Student ID', 'Student Name', 'Student Email', 'Student Phone', 'Booking Status',
+    'Instructor', 'Vehicle', 'Branch'
   ]);
 
   for (const session of sessions) {
     const day = DAY_NAMES[session.day];
-    const time = TIME_SLOT_NAMES[session.timeSlot];
+    const time = formatTimeSlot(session.timeSlot, opts.slotMap);
     const enrolled = session.bookings.length;
     const available = session.capacity - enrolled;
 
@@ -69,7 +95,11 @@ async function buildEnrollmentsCsv(opts) {
     if (session.capacity === 0 && enrolled === 0) continue;
 
     if (enrolled === 0) {
-      csv += csvRow([day, time, session.category, session.capacity, enrolled, available, '', '', '', '', '', '']);
+      csv += csvRow([
+        day, time, session.category, session.capacity, enrolled, available, '', '', '', '', '', '',
+        ...assignmentCols(assignments, session.id, emptyWeek),
+        session.branch
+      ]);
       continue;
     }
 
@@ -82,7 +112,9 @@ async function buildEnrollmentsCsv(opts) {
       csv += csvRow([
         ...sessionCols,
         formatDate(booking.weekOf),
-        s.studentNumber || s.id, s.name, s.email, s.phoneNumber || '', booking.status
+        s.studentNumber || s.id, s.name, s.email, s.phoneNumber || '', booking.status,
+        ...assignmentCols(assignments, session.id, booking.weekOf),
+        session.branch
       ]);
     });
   }
@@ -91,7 +123,10 @@ async function buildEnrollmentsCsv(opts) {
 }
 
 async function buildStudentsCsv(opts) {
-  const where = opts.studentStatus === 'all' ? {} : { status: opts.studentStatus.toUpperCase() };
+  const where = {
+    ...branchWhere(opts.branch),
+    ...(opts.studentStatus !== 'all' && { status: opts.studentStatus.toUpperCase() })
+  };
 
   const students = await prisma.student.findMany({
     where,
@@ -103,7 +138,7 @@ async function buildStudentsCsv(opts) {
 
   let csv = csvRow([
     'Student ID', 'Name', 'Email', 'Phone', 'Class', 'Status',
-    'Completed', 'Total Required', 'Complete', 'Total Bookings', 'Created At', 'Deactivated At'
+    'Completed', 'Total Required', 'Complete', 'Total Bookings', 'Created At', 'Deactivated At', 'Branch'
   ]);
 
   for (const student of students) {
@@ -111,7 +146,8 @@ async function buildStudentsCsv(opts) {
     csv += csvRow([
       student.studentNumber || student.id, student.name, student.email, student.phoneNumber || '', student.category, student.status,
       completed, totalRequired, completed >= totalRequired ? 'Yes' : 'No',
-      student.bookings.length, formatDate(student.createdAt), formatDate(student.deactivatedAt)
+      student.bookings.length, formatLocalDate(student.createdAt, opts.schedule.timeZone), formatLocalDate(student.deactivatedAt, opts.schedule.timeZone),
+      student.branch
     ]);
   }
 
@@ -125,23 +161,27 @@ async function buildBookingsCsv(opts) {
     where,
     include: {
       student: { select: { id: true, studentNumber: true, name: true, status: true } },
-      session: { select: { day: true, timeSlot: true } },
+      session: { select: { branch: true, day: true, timeSlot: true } },
       markedBy: { select: { name: true } }
     },
     orderBy: [{ weekOf: 'desc' }, { createdAt: 'desc' }]
   });
+  const assignments = await loadAssignmentRows();
 
   let csv = csvRow([
     'Booking ID', 'Student ID', 'Student Name', 'Student Status', 'Class', 'Day', 'Time',
-    'Week Of', 'Booking Status', 'Marked By', 'Attended At', 'Completed At', 'Notes'
+    'Week Of', 'Booking Status', 'Marked By', 'Attended At', 'Completed At', 'Notes',
+    'Instructor', 'Vehicle', 'Branch'
   ]);
 
   for (const b of bookings) {
     csv += csvRow([
       b.id, b.student.studentNumber || b.student.id, b.student.name, b.student.status, b.category,
-      DAY_NAMES[b.session.day], TIME_SLOT_NAMES[b.session.timeSlot],
+      DAY_NAMES[b.session.day], formatTimeSlot(b.session.timeSlot, opts.slotMap),
       formatDate(b.weekOf), b.status, b.markedBy?.name || '',
-      formatDate(b.attendedAt), formatDate(b.completedAt), b.notes || ''
+      formatLocalDate(b.attendedAt, opts.schedule.timeZone), formatLocalDate(b.completedAt, opts.schedule.timeZone), b.notes || '',
+      ...assignmentCols(assignments, b.sessionId, b.weekOf),
+      b.session.branch
     ]);
   }
 
@@ -156,7 +196,7 @@ async function buildBookingsCsv(opts) {
  *   week=all|current                     (default: all)
  *   includeCancelled=true|false          (default: true — preserves legacy output)
  */
-export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
+export const GET = withPermission('data.export')(async function GET(request) {
   try {
     const { searchParams } = new URL(request.url);
     const type = (searchParams.get('type') || 'enrollments').toLowerCase();
@@ -168,7 +208,9 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
     // Default true keeps the legacy export (which included cancelled bookings) intact
     const includeCancelled = (searchParams.get('includeCancelled') || 'true').toLowerCase() !== 'false';
 
-    const opts = { studentStatus, week, includeCancelled };
+    const schedule = await getScheduleSettings();
+    const slotMap = await getTimeSlotMap();
+    const opts = { studentStatus, week, includeCancelled, schedule, slotMap, branch: request.user.activeBranch };
 
     let csvContent;
     let label;
@@ -185,7 +227,7 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
 
     const headers = {
       'Content-Type': 'text/csv',
-      'Content-Disposition': `attachment; filename=${label}_${new Date().toISOString().split('T')[0]}.csv`
+      'Content-Disposition': `attachment; filename=${label}_${toLocalDateKey(new Date(), schedule.timeZone)}.csv`
     };
 
     return new NextResponse(csvContent, { headers });
@@ -0,0 +1,76 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import prisma from '@/app/lib/db/prisma-client';
+import { withRole } from '@/app/lib/utils/auth';
+import { ROLES } from '@/app/lib/permissions';
+import { BRANCH_COOKIE, listBranches } from '@/app/lib/utils/branches';
+
+const switchBranchSchema = z.object({
+  branch: z.string().trim().min(1).nullable(),
+});
+
+/**
+ * GET /api/instructor/profile/branch - The branch the signed-in staff member
+ * is working in (null for every branch), their own branch (null when they
+ * work at all of them) and the branches they can switch between
+ */
+export const GET = withRole(...ROLES)(async function GET(request) {
+  try {
+    const { branch, activeBranch } = request.user;
+    const branches = await listBranches();
+    return NextResponse.json({
+      branch,
+      activeBranch,
+      branches: branch ? branches.filter(b => b.code === branch) : branches
+    });
+  } catch (error) {
+    console.error('Error fetching branch:', error);
+    return NextResponse.json({ error: 'Failed to fetch branch' }, { status: 500 });
+  }
+});
+
+/**
+ * PUT /api/instructor/profile/branch - Switch the branch being worked in
+ * (staff without a branch of their own)
+ * Body: { branch: "NORTH" | null } — null for every branch
+ */
+export const PUT = withRole(...ROLES)(async function PUT(request) {
+  try {
+    if (request.user.branch) {
+      return NextResponse.json({ error: 'You work at one branch only' }, { status: 400 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const result = switchBranchSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json({ error: 'Choose a branch' }, { status: 400 });
+    }
+
+    const { branch } = result.data;
+    const found = branch ? await prisma.branch.findUnique({ where: { code: branch } }) : null;
+    if (branch && !found) {
+      return NextResponse.json({ error: 'Branch not found' }, { status: 404 });
+    }
+
+    const response = NextResponse.json({
+      activeBranch: branch,
+      message: found ? `Now working in ${found.name}` : 'Now working across all branches'
+    });
+    if (branch) {
+      response.cookies.set({
+        name: BRANCH_COOKIE,
+        value: branch,
+        httpOnly: true,
+        path: '/',
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict'
+      });
+    } else {
+      response.cookies.delete(BRANCH_COOKIE);
+    }
+    return response;
+  } catch (error) {
+    console.error('Error switching branch:', error);
+    return NextResponse.json({ error: 'Failed to switch branch' }, { status: 500 });
+  }
+});
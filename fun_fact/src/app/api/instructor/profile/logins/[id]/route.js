@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { withRole } from '@/app/lib/utils/auth';
+import { ROLES } from '@/app/lib/permissions';
+import { auditChange } from '@/app/lib/utils/audit';
+import { revokeLoginSession } from '@/app/lib/utils/logins';
+
+/**
+ * DELETE /api/instructor/profile/logins/:id - Log one of your other browsers
+ * out. The current browser logs out through DELETE /api/auth/staff.
+ */
+export const DELETE = withRole(...ROLES)(async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (id === request.user.sessionId) {
+      return NextResponse.json(
+        { error: 'Use Log out to end this session' },
+        { status: 400 }
+      );
+    }
+
+    const revoked = await revokeLoginSession(id, { userId: request.user.id });
+    if (!revoked) {
+      return NextResponse.json({ error: 'Session not found' }, { status: 404 });
+    }
+    auditChange(request, {
+      entity: 'AuthSession',
+      entityId: id,
+      before: { revoked: false },
+      after: { revoked: true }
+    });
+
+    return NextResponse.json({ message: 'Session logged out' });
+  } catch (error) {
+    console.error('Error revoking login session:', error);
+    return NextResponse.json({ error: 'Failed to log session out' }, { status: 500 });
+  }
+});
@@ -0,0 +1,19 @@
+import { NextResponse } from 'next/server';
+import { withRole } from '@/app/lib/utils/auth';
+import { ROLES } from '@/app/lib/permissions';
+import { listLoginSessions } from '@/app/lib/utils/logins';
+
+/**
+ * GET /api/instructor/profile/logins - The browsers the signed-in staff member
+ * is logged in on, newest activity first; the one making the request is
+ * flagged as current
+ */
+export const GET = withRole(...ROLES)(async function GET(request) {
+  try {
+    const sessions = await listLoginSessions({ userId: request.user.id }, request.user.sessionId);
+    return NextResponse.json({ sessions });
+  } catch (error) {
+    console.error('Error fetching login sessions:', error);
+    return NextResponse.json({ error: 'Failed to fetch login sessions' }, { status: 500 });
+  }
+});
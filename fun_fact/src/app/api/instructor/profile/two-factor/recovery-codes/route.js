@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { withRole } from '@/app/lib/utils/auth';
+import { ROLES } from '@/app/lib/permissions';
+import { auditChange } from '@/app/lib/utils/audit';
+import { verifyTwoFactorCode, regenerateRecoveryCodes } from '@/app/lib/utils/twofactor';
+
+const codeSchema = z.object({
+  code: z.string().trim().min(6, 'Enter the 6-digit code').max(20),
+});
+
+/**
+ * POST /api/instructor/profile/two-factor/recovery-codes - Replace your
+ * recovery codes; the old ones stop working
+ * Body: { code } — a current authenticator code. Returns the new codes, shown
+ * only this once.
+ */
+export const POST = withRole(...ROLES)(async function POST(request) {
+  try {
+    const result = codeSchema.safeParse(await request.json());
+    if (!result.success) {
+      return NextResponse.json({ error: result.error.errors[0].message }, { status: 400 });
+    }
+
+    if (!request.user.twoFactorEnabled) {
+      return NextResponse.json({ error: 'Two-factor authentication is not on' }, { status: 400 });
+    }
+
+    const check = await verifyTwoFactorCode(request.user.id, result.data.code);
+    if (!check.ok) {
+      return NextResponse.json({ error: 'That code is not right' }, { status: 400 });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(request.user.id);
+    auditChange(request, {
+      entity: 'User',
+      entityId: request.user.id,
+      before: { recoveryCodes: 'previous' },
+      after: { recoveryCodes: 'regenerated' }
+    });
+
+    return NextResponse.json({ message: 'New recovery codes created', recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    return NextResponse.json({ error: 'Failed to create recovery codes' }, { status: 500 });
+  }
+});
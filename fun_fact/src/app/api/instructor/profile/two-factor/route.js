@@ -0,0 +1,134 @@
+import { NextResponse } from 'next/server';
+import QRCode from 'qrcode';
+import { z } from 'zod';
+import { withRole } from '@/app/lib/utils/auth';
+import { ROLES } from '@/app/lib/permissions';
+import { auditChange } from '@/app/lib/utils/audit';
+import { revokeAllLoginSessions } from '@/app/lib/utils/logins';
+import {
+  getTwoFactorStatus,
+  beginTwoFactorSetup,
+  confirmTwoFactor,
+  verifyTwoFactorCode,
+  disableTwoFactor,
+} from '@/app/lib/utils/twofactor';
+
+const codeSchema = z.object({
+  code: z.string().trim().min(6, 'Enter the 6-digit code').max(20),
+});
+
+/**
+ * GET /api/instructor/profile/two-factor - Your two-factor state
+ * Returns { enabled, enabledAt, recoveryCodesLeft, required }
+ */
+export const GET = withRole(...ROLES)(async function GET(request) {
+  try {
+    return NextResponse.json(await getTwoFactorStatus(request.user.id));
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    return NextResponse.json({ error: 'Failed to fetch two-factor status' }, { status: 500 });
+  }
+});
+
+/**
+ * POST /api/instructor/profile/two-factor - Start enrolment
+ * Returns the new secret, its otpauth:// URI and a QR code of it (data URL)
+ * for the authenticator app. Two-factor is off until confirmed with PUT.
+ */
+export const POST = withRole(...ROLES)(async function POST(request) {
+  try {
+    if (request.user.twoFactorEnabled) {
+      return NextResponse.json(
+        { error: 'Two-factor authentication is already on. Turn it off first to move it to a new phone.' },
+        { status: 400 }
+      );
+    }
+
+    const { secret, uri } = await beginTwoFactorSetup(request.user);
+    const qr = await QRCode.toDataURL(uri, { margin: 1, width: 240 });
+
+    return NextResponse.json({ secret, uri, qr });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    return NextResponse.json({ error: 'Failed to start two-factor setup' }, { status: 500 });
+  }
+});
+
+/**
+ * PUT /api/instructor/profile/two-factor - Finish enrolment
+ * Body: { code } from the authenticator app. Returns the recovery codes, shown
+ * only this once. Your other browsers are logged out, since they signed in
+ * without a code.
+ */
+export const PUT = withRole(...ROLES)(async function PUT(request) {
+  try {
+    const result = codeSchema.safeParse(await request.json());
+    if (!result.success) {
+      return NextResponse.json({ error: result.error.errors[0].message }, { status: 400 });
+    }
+
+    const confirmed = await confirmTwoFactor(request.user.id, result.data.code);
+    if (!confirmed.ok) {
+      return NextResponse.json({ error: confirmed.error }, { status: 400 });
+    }
+
+    auditChange(request, {
+      entity: 'User',
+      entityId: request.user.id,
+      before: { twoFactor: false },
+      after: { twoFactor: true }
+    });
+    await revokeAllLoginSessions({ userId: request.user.id }, { exceptId: request.user.sessionId });
+
+    return NextResponse.json({
+      message: 'Two-factor authentication is on',
+      recoveryCodes: confirmed.recoveryCodes
+    });
+  } catch (error) {
+    console.error('Error confirming two-factor setup:', error);
+    return NextResponse.json({ error: 'Failed to turn on two-factor authentication' }, { status: 500 });
+  }
+});
+
+/**
+ * DELETE /api/instructor/profile/two-factor - Turn two-factor off
+ * Body: { code } — a current authenticator code or a recovery code. Not
+ * allowed while the two-factor policy applies to your role.
+ */
+export const DELETE = withRole(...ROLES)(async function DELETE(request) {
+  try {
+    const result = codeSchema.safeParse(await request.json());
+    if (!result.success) {
+      return NextResponse.json({ error: result.error.errors[0].message }, { status: 400 });
+    }
+
+    const status = await getTwoFactorStatus(request.user.id);
+    if (!status.enabled) {
+      return NextResponse.json({ error: 'Two-factor authentication is not on' }, { status: 400 });
+    }
+    if (status.required) {
+      return NextResponse.json(
+        { error: 'Two-factor authentication is required for your role' },
+        { status: 400 }
+      );
+    }
+
+    const check = await verifyTwoFactorCode(request.user.id, result.data.code);
+    if (!check.ok) {
+      return NextResponse.json({ error: 'That code is not right' }, { status: 400 });
+    }
+
+    await disableTwoFactor(request.user.id);
+    auditChange(request, {
+      entity: 'User',
+      entityId: request.user.id,
+      before: { twoFactor: true },
+      after: { twoFactor: false }
+    });
+
+    return NextResponse.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Error turning off two-factor:', error);
+    return NextResponse.json({ error: 'Failed to turn off two-factor authentication' }, { status: 500 });
+  }
+});
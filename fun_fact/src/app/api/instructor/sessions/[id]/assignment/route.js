@@ -0,0 +1,159 @@
+// file: src/app/api/instructor/sessions/[id]/assignment/route.js
+// Assign an instructor and a vehicle to a session — either standing (every
+// week) or for one week only, which replaces the standing assignment that week.
+
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { parseWeekOf, formatSession } from '@/app/lib/utils/dates';
+import { getTimeSlotMap } from '@/app/lib/utils/timeslots';
+import { findAssignmentConflict, formatAssignment } from '@/app/lib/utils/assignments';
+import { branchWhere, isInBranch } from '@/app/lib/utils/branches';
+
+const include = {
+  instructor: { select: { id: true, name: true } },
+  vehicle: { select: { id: true, registration: true, name: true } }
+};
+
+// weekOf absent/null = standing assignment; otherwise any date in the target week
+function readWeekOf(value) {
+  if (value === undefined || value === null || value === '') return { weekOf: null };
+  const weekOf = parseWeekOf(value);
+  return weekOf ? { weekOf } : { error: 'Invalid weekOf date' };
+}
+
+/**
+ * PUT /api/instructor/sessions/:id/assignment  (needs sessions.manage)
+ * Body: { weekOf?: string|null, instructorId: string|null, vehicleId: string|null }
+ * Leaving both ids null on a weekly row means "nobody this week".
+ */
+export const PUT = withPermission('sessions.manage')(async function PUT(request, { params }) {
+  try {
+    const { id: sessionId } = await params;
+    const body = await request.json().catch(() => ({}));
+
+    const { weekOf, error } = readWeekOf(body.weekOf);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const instructorId = body.instructorId || null;
+    const vehicleId = body.vehicleId || null;
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      select: { id: true, branch: true, day: true, timeSlot: true, category: true }
+    });
+    if (!isInBranch(request.user.activeBranch, session)) {
+      return NextResponse.json({ error: 'Session not found' }, { status: 404 });
+    }
+
+    if (instructorId) {
+      const instructor = await prisma.user.findUnique({ where: { id: instructorId }, select: { id: true, name: true, branch: true } });
+      if (!instructor) {
+        return NextResponse.json({ error: 'Instructor not found' }, { status: 400 });
+      }
+      // Staff tied to a branch only teach there; staff without one go anywhere
+      if (instructor.branch && instructor.branch !== session.branch) {
+        return NextResponse.json({ error: `${instructor.name} works at another branch` }, { status: 400 });
+      }
+    }
+
+    if (vehicleId) {
+      const vehicle = await prisma.vehicle.findUnique({ where: { id: vehicleId } });
+      if (!vehicle) {
+        return NextResponse.json({ error: 'Vehicle not found' }, { status: 400 });
+      }
+      if (!vehicle.isActive) {
+        return NextResponse.json({ error: `${vehicle.registration} is retired` }, { status: 400 });
+      }
+      if (vehicle.branch !== session.branch) {
+        return NextResponse.json({ error: `${vehicle.registration} runs from another branch` }, { status: 400 });
+      }
+      if (vehicle.category !== session.category) {
+        return NextResponse.json(
+          { error: `${vehicle.registration} is a class ${vehicle.category} vehicle; this session is class ${session.category}` },
+          { status: 400 }
+        );
+      }
+    }
+
+    const { previous, assignment } = await prisma.$transaction(async (tx) => {
+      const conflict = await findAssignmentConflict(tx, { session, weekOf, instructorId, vehicleId });
+      if (conflict) {
+        const what = instructorId && conflict.instructorId === instructorId
+          ? conflict.instructor.name
+          : conflict.vehicle.registration;
+        const when = conflict.weekOf
+          ? ` in the week of ${conflict.weekOf.toISOString().slice(0, 10)}`
+          : '';
+        const err = new Error(`${what} is already assigned to ${formatSession(conflict.session, await getTimeSlotMap(tx))} (class ${conflict.session.category})${when}`);
+        err.status = 409;
+        throw err;
+      }
+
+      // findFirst rather than the compound key: MySQL lets the standing
+      // (null weekOf) row repeat, so it is looked up by value
+      const existing = await tx.sessionAssignment.findFirst({ where: { sessionId, weekOf } });
+      return {
+        previous: existing,
+        assignment: existing
+          ? await tx.sessionAssignment.update({ where: { id: existing.id }, data: { instructorId, vehicleId }, include })
+          : await tx.sessionAssignment.create({ data: { sessionId, weekOf, instructorId, vehicleId }, include })
+      };
+    });
+
+    auditChange(request, {
+      entity: 'SessionAssignment',
+      entityId: assignment.id,
+      before: previous,
+      after: { ...assignment, instructor: undefined, vehicle: undefined }
+    });
+
+    return NextResponse.json({
+      assignment: formatAssignment(assignment),
+      message: weekOf ? 'Assignment saved for this week' : 'Standing assignment saved'
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return NextResponse.json({ error: error.message }, { status: 409 });
+    }
+    console.error('Error saving session assignment:', error);
+    return NextResponse.json({ error: 'Failed to save assignment' }, { status: 500 });
+  }
+});
+
+/**
+ * DELETE /api/instructor/sessions/:id/assignment?weekOf=  (needs sessions.manage)
+ * Without weekOf removes the standing assignment; with it removes that week's
+ * override so the standing assignment applies again.
+ */
+export const DELETE = withPermission('sessions.manage')(async function DELETE(request, { params }) {
+  try {
+    const { id: sessionId } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const { weekOf, error } = readWeekOf(searchParams.get('weekOf'));
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const assignment = await prisma.sessionAssignment.findFirst({
+      where: { sessionId, weekOf, session: branchWhere(request.user.activeBranch) }
+    });
+    if (!assignment) {
+      return NextResponse.json({ error: 'Assignment not found' }, { status: 404 });
+    }
+
+    await prisma.sessionAssignment.delete({ where: { id: assignment.id } });
+    auditChange(request, { entity: 'SessionAssignment', entityId: assignment.id, before: assignment });
+
+    return NextResponse.json({
+      message: weekOf ? 'Weekly assignment removed' : 'Standing assignment removed'
+    });
+  } catch (error) {
+    console.error('Error removing session assignment:', error);
+    return NextResponse.json({ error: 'Failed to remove assignment' }, { status: 500 });
+  }
+});
@@ -3,7 +3,9 @@
 
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { withRole } from '@/app/lib/utils/auth';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { isInBranch } from '@/app/lib/utils/branches';
 
 /**
  * Response helper functions
@@ -19,7 +21,7 @@ const createSuccessResponse = (data, message, status = 200) => {
 /**
  * PATCH /api/instructor/sessions/:id - Update session status (enabled/disabled)
  */
-export const PATCH = withRole('ADMIN')(async function PATCH(request, { params }) {
+export const PATCH = withPermission('sessions.manage')(async function PATCH(request, { params }) {
   try {
     const { id: sessionId } = await params;
     
@@ -49,7 +51,7 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request, { params })
       }
     });
     
-    if (!existingSession) {
+    if (!isInBranch(request.user.activeBranch, existingSession)) {
       return createErrorResponse('Session not found', 404);
     }
     
@@ -75,6 +77,13 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request, { params })
       }
     });
     
+    auditChange(request, {
+      entity: 'Session',
+      entityId: sessionId,
+      before: { metadata: existingSession.metadata },
+      after: { metadata: updatedSession.metadata }
+    });
+
     // Format response data
     const response = {
       id: updatedSession.id,
@@ -98,7 +107,7 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request, { params })
 /**
  * GET /api/instructor/sessions/:id - Get details of a specific session
  */
-export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request, { params }) {
+export const GET = withPermission('sessions.view')(async function GET(request, { params }) {
   try {
     const { id: sessionId } = await params;
     
@@ -126,13 +135,14 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request, {
       }
     });
     
-    if (!session) {
+    if (!isInBranch(request.user.activeBranch, session)) {
       return createErrorResponse('Session not found', 404);
     }
     
     // Format session data
     const formattedSession = {
       id: session.id,
+      branch: session.branch,
       day: session.day,
       timeSlot: session.timeSlot,
       capacity: session.capacity,
@@ -3,86 +3,104 @@
 
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { DAY_NAMES, TIME_SLOT_NAMES } from '@/app/lib/constants';
-import { withRole } from '@/app/lib/utils/auth';
-import { getCurrentWeekMonday, getWeekMondayFor } from '@/app/lib/utils/dates';
+import { DAY_NAMES, INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { withPermission } from '@/app/lib/utils/auth';
+import { getCurrentWeekMonday, getWeekMondayFor, formatTimeSlot } from '@/app/lib/utils/dates';
+import { getScheduleSettings } from '@/app/lib/utils/settings';
+import { getAssignmentsForWeek, formatAssignment } from '@/app/lib/utils/assignments';
+import { getFleetAvailability, capCapacity } from '@/app/lib/utils/fleet';
+import { getTimeSlotMap, isSlotOffered, compareSessions } from '@/app/lib/utils/timeslots';
+import { applyInstance, isOfferedInWeek } from '@/app/lib/utils/instances';
+import { branchWhere } from '@/app/lib/utils/branches';
 
 /**
  * GET /api/instructor/sessions - Get all sessions with enrolled students
  */
-export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
+export const GET = withPermission('sessions.view')(async function GET(request) {
   try {
     // Support ?weekOf= query param, default to current week
     const { searchParams } = new URL(request.url);
     const weekOfParam = searchParams.get('weekOf');
-    const weekOf = weekOfParam ? getWeekMondayFor(new Date(weekOfParam)) : getCurrentWeekMonday();
+    const weekOf = weekOfParam ? getWeekMondayFor(new Date(weekOfParam)) : getCurrentWeekMonday(await getScheduleSettings());
 
     // Optional ?category= filter, and whether to include closed (capacity 0) slots.
     const categoryParam = searchParams.get('category');
     const includeClosed = searchParams.get('includeClosed') === 'true';
+    // ?mine=true keeps only sessions the signed-in staff member is assigned to this week
+    const mineOnly = searchParams.get('mine') === 'true';
+    const branch = branchWhere(request.user.activeBranch);
 
-    const where = {};
-    if (categoryParam) where.category = categoryParam;
-    // By default show only offered slots or those with active bookings this week,
-    // so the grid isn't flooded with the hundreds of unopened category rows.
-    if (!includeClosed) {
-      where.OR = [
-        { capacity: { gt: 0 } },
-        { bookings: { some: { weekOf, status: { not: 'CANCELLED' } } } }
-      ];
-    }
-
-    // Get all sessions with their bookings for the target week
-    const sessions = await prisma.session.findMany({
-      where,
+    const bookingsInclude = {
+      where: {
+        weekOf,
+        status: { notIn: INACTIVE_BOOKING_STATUSES }
+      },
       include: {
-        bookings: {
-          where: {
-            weekOf,
-            status: { not: 'CANCELLED' }
-          },
-          include: {
-            student: {
-              select: {
-                id: true,
-                studentNumber: true,
-                name: true,
-                email: true,
-                phoneNumber: true
-              }
-            },
-            markedBy: {
-              select: { name: true }
-            }
+        student: {
+          select: {
+            id: true,
+            studentNumber: true,
+            name: true,
+            email: true,
+            phoneNumber: true
           }
+        },
+        markedBy: {
+          select: { name: true }
         }
-      },
-      orderBy: [
-        { day: 'asc' },
-        { timeSlot: 'asc' },
-        { category: 'asc' }
-      ]
+      }
+    };
+
+    // The week's sessions are the templates with that week's instance, if any,
+    // applied. ?includeClosed=true lists every template, unopened class rows too.
+    const slotMap = await getTimeSlotMap();
+    const templates = await prisma.session.findMany({
+      where: { ...branch, ...(categoryParam && { category: categoryParam }) },
+      include: { bookings: bookingsInclude, instances: { where: { weekOf } } }
     });
-    
+    let listed = templates.map(s => applyInstance(s, s.instances[0]));
+    if (!includeClosed) {
+      // Sessions no longer on offer drop out, unless students still hold them
+      // this week; those cancelled for the week stay so they can be restored
+      listed = listed.filter(s => s.bookings.length > 0 || isOfferedInWeek(slotMap, s) || (s.isCancelled && (s.isExtra || isSlotOffered(slotMap, s))));
+    }
+    listed.sort(compareSessions(slotMap));
+
+    const assignments = await getAssignmentsForWeek(prisma, weekOf, listed.map(s => s.id));
+    const fleet = await getFleetAvailability(prisma, weekOf, { category: categoryParam || undefined, branch: request.user.activeBranch });
+    const visibleSessions = mineOnly
+      ? listed.filter(s => assignments.get(s.id)?.instructorId === request.user.id)
+      : listed;
+
     // Format the session data for display
-    const formattedSessions = sessions.map(session => {
-      const { day, timeSlot, category, capacity, bookings, metadata } = session;
+    const formattedSessions = visibleSessions.map(session => {
+      const { day, timeSlot, category, bookings, metadata } = session;
+      // The week's capacity, capped by the class's vehicles on the road that day
+      const capacity = session.isCancelled ? 0 : capCapacity(session, fleet);
 
       // Check if session is enabled (default to true if not specified)
       const isEnabled = metadata?.isEnabled !== false;
 
       return {
         id: session.id,
+        branch: session.branch,
         day: day,
         dayName: DAY_NAMES[day],
         timeSlot: timeSlot,
-        timeSlotName: TIME_SLOT_NAMES[timeSlot],
+        timeSlotName: formatTimeSlot(timeSlot, slotMap),
         category: category,
         capacity: capacity,
+        baseCapacity: session.capacity,
+        templateCapacity: session.templateCapacity,
+        instanceId: session.instanceId,
+        isExtra: session.isExtra,
+        isCancelled: session.isCancelled,
+        note: session.note,
         enrolledCount: bookings.length,
-        availableSpots: capacity - bookings.length,
+        availableSpots: Math.max(0, capacity - bookings.length),
         fillPercentage: capacity > 0 ? Math.round((bookings.length / capacity) * 100) : 0,
         isEnabled: isEnabled,
+        assignment: formatAssignment(assignments.get(session.id)),
         students: bookings.map(booking => ({
           id: booking.student.id,
           // Archived students carry a suffixed id, so prefer the preserved number
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { randomBytes } from 'crypto';
+import bcrypt from 'bcryptjs';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { revokeAllLoginSessions } from '@/app/lib/utils/logins';
+import { canManageStaffMember } from '@/app/lib/utils/staff';
+
+/**
+ * POST /api/instructor/staff/:id/password - Reset a staff member's password
+ * (needs staff.manage)
+ * Sets a new random password and returns it once, for the admin to pass on.
+ * Every browser signed in with the old password is logged out.
+ */
+export const POST = withPermission('staff.manage')(async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const existing = await prisma.user.findUnique({ where: { id }, select: { id: true, name: true, branch: true, password: true } });
+    if (!canManageStaffMember(request.user, existing)) {
+      return NextResponse.json({ error: 'Staff member not found' }, { status: 404 });
+    }
+
+    const password = randomBytes(9).toString('base64url');
+    const hashedPassword = await bcrypt.hash(password, 12);
+
+    await prisma.user.update({
+      where: { id },
+      data: { password: hashedPassword }
+    });
+    auditChange(request, {
+      entity: 'User',
+      entityId: id,
+      before: { password: existing.password },
+      after: { password: hashedPassword }
+    });
+    await revokeAllLoginSessions({ userId: id });
+
+    return NextResponse.json({
+      message: `Password reset for ${existing.name}`,
+      password
+    });
+  } catch (error) {
+    console.error('Error resetting staff password:', error);
+    return NextResponse.json({ error: 'Failed to reset password' }, { status: 500 });
+  }
+});
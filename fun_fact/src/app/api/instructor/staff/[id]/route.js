@@ -0,0 +1,110 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { z } from 'zod';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { STAFF_SELECT, isLastActiveAdmin, canManageStaffMember } from '@/app/lib/utils/staff';
+import { revokeAllLoginSessions } from '@/app/lib/utils/logins';
+import { ROLES } from '@/app/lib/permissions';
+
+const updateStaffSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100).optional(),
+  email: z.string().email('Invalid email format').optional(),
+  role: z.enum(ROLES).optional(),
+  branch: z.string().trim().min(1).nullable().optional(),
+  disabled: z.boolean().optional(),
+});
+
+/**
+ * PATCH /api/instructor/staff/:id - Edit a staff member, change their role or
+ * disable/re-enable their account (needs staff.manage)
+ * Body: { name?, email?, role?, branch?, disabled? } — branch null for every
+ * branch, which only staff without a branch can change
+ * Staff are disabled rather than deleted, so the bookings, closures and
+ * history they recorded keep their author. A role change or disabling logs the
+ * account out everywhere.
+ */
+export const PATCH = withPermission('staff.manage')(async function PATCH(request, { params }) {
+  try {
+    const { id } = await params;
+    const body = await request.json();
+
+    const result = updateStaffSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error.errors[0].message },
+        { status: 400 }
+      );
+    }
+
+    const { disabled, ...fields } = result.data;
+
+    const existing = await prisma.user.findUnique({ where: { id }, select: STAFF_SELECT });
+    if (!canManageStaffMember(request.user, existing)) {
+      return NextResponse.json({ error: 'Staff member not found' }, { status: 404 });
+    }
+
+    const moving = fields.branch !== undefined && fields.branch !== existing.branch;
+    if (moving) {
+      if (request.user.branch) {
+        return NextResponse.json({ error: 'Only staff without a branch can move staff between branches' }, { status: 403 });
+      }
+      if (fields.branch && !await prisma.branch.findUnique({ where: { code: fields.branch } })) {
+        return NextResponse.json({ error: 'Branch not found' }, { status: 400 });
+      }
+    }
+
+    const demoting = !!fields.role && fields.role !== 'ADMIN' && existing.role === 'ADMIN';
+    const disabling = disabled === true && !existing.disabledAt;
+    // Tying an admin of every branch to one takes the others away from them
+    const narrowing = moving && !!fields.branch && !existing.branch;
+
+    if (id === request.user.id && (demoting || disabling || moving)) {
+      return NextResponse.json(
+        { error: demoting ? "You can't remove your own admin role" : disabling ? "You can't disable your own account" : "You can't change your own branch" },
+        { status: 400 }
+      );
+    }
+
+    if (existing.role === 'ADMIN' && !existing.branch && !existing.disabledAt && (demoting || disabling || narrowing) && await isLastActiveAdmin(id)) {
+      return NextResponse.json(
+        { error: 'At least one active admin of every branch is required' },
+        { status: 400 }
+      );
+    }
+
+    if (fields.email && fields.email !== existing.email) {
+      const emailTaken = await prisma.user.findUnique({ where: { email: fields.email } });
+      if (emailTaken) {
+        return NextResponse.json(
+          { error: 'A staff member with this email already exists' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const data = { ...fields };
+    if (disabled !== undefined) {
+      data.disabledAt = disabled ? existing.disabledAt || new Date() : null;
+    }
+
+    const user = await prisma.user.update({
+      where: { id },
+      data,
+      select: STAFF_SELECT
+    });
+    auditChange(request, { entity: 'User', entityId: id, before: existing, after: user });
+
+    if (disabling || (fields.role && fields.role !== existing.role)) {
+      await revokeAllLoginSessions({ userId: id });
+    }
+
+    return NextResponse.json({
+      message: disabling ? 'Account disabled' : disabled === false && existing.disabledAt ? 'Account re-enabled' : 'Staff member updated',
+      user
+    });
+  } catch (error) {
+    console.error('Error updating staff:', error);
+    return NextResponse.json({ error: 'Failed to update staff member' }, { status: 500 });
+  }
+});
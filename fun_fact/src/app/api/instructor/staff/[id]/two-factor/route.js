@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { revokeAllLoginSessions } from '@/app/lib/utils/logins';
+import { canManageStaffMember } from '@/app/lib/utils/staff';
+import { disableTwoFactor } from '@/app/lib/utils/twofactor';
+
+/**
+ * DELETE /api/instructor/staff/:id/two-factor - Turn off a staff member's
+ * two-factor authentication (needs staff.manage), e.g. after a lost phone
+ * with no recovery codes left
+ * They are logged out everywhere and set it up again on their next login.
+ */
+export const DELETE = withPermission('staff.manage')(async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const existing = await prisma.user.findUnique({ where: { id }, select: { id: true, name: true, branch: true, totpEnabledAt: true } });
+    if (!canManageStaffMember(request.user, existing)) {
+      return NextResponse.json({ error: 'Staff member not found' }, { status: 404 });
+    }
+    if (!existing.totpEnabledAt) {
+      return NextResponse.json({ error: `${existing.name} does not use two-factor authentication` }, { status: 400 });
+    }
+
+    await disableTwoFactor(id);
+    auditChange(request, {
+      entity: 'User',
+      entityId: id,
+      before: { twoFactor: true },
+      after: { twoFactor: false }
+    });
+    await revokeAllLoginSessions({ userId: id });
+
+    return NextResponse.json({ message: `Two-factor authentication reset for ${existing.name}` });
+  } catch (error) {
+    console.error('Error resetting staff two-factor:', error);
+    return NextResponse.json({ error: 'Failed to reset two-factor authentication' }, { status: 500 });
+  }
+});
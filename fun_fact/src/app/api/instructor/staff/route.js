@@ -2,19 +2,47 @@ import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
 import bcrypt from 'bcryptjs';
 import { z } from 'zod';
-import { withRole } from '@/app/lib/utils/auth';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { STAFF_SELECT } from '@/app/lib/utils/staff';
+import { ROLES } from '@/app/lib/permissions';
 
 const createStaffSchema = z.object({
   name: z.string().min(1, 'Name is required'),
   email: z.string().email('Invalid email format'),
   password: z.string().min(8, 'Password must be at least 8 characters'),
-  role: z.enum(['INSTRUCTOR', 'ADMIN']).default('INSTRUCTOR'),
+  role: z.enum(ROLES).default('INSTRUCTOR'),
+  branch: z.string().trim().min(1).nullable().default(null),
 });
 
 /**
- * POST /api/instructor/staff - Create a new instructor/admin (admin only)
+ * GET /api/instructor/staff - List staff members with their last login, e.g.
+ * for staff management and assignment pickers (needs staff.manage or
+ * sessions.manage). Disabled accounts are included, with disabledAt set.
+ * Only the branch being worked in, with the staff who work at every branch.
  */
-export const POST = withRole('ADMIN')(async function POST(request) {
+export const GET = withPermission('staff.manage', 'sessions.manage')(async function GET(request) {
+  try {
+    const { activeBranch } = request.user;
+    const staff = await prisma.user.findMany({
+      where: activeBranch ? { OR: [{ branch: activeBranch }, { branch: null }] } : {},
+      select: STAFF_SELECT,
+      orderBy: { name: 'asc' }
+    });
+
+    return NextResponse.json({ staff });
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    return NextResponse.json({ error: 'Failed to fetch staff' }, { status: 500 });
+  }
+});
+
+/**
+ * POST /api/instructor/staff - Create a staff account with any role (needs staff.manage)
+ * Body: { name, email, password, role?, branch? } — branch null for every
+ * branch. Staff tied to a branch can only add staff to it.
+ */
+export const POST = withPermission('staff.manage')(async function POST(request) {
   try {
     const body = await request.json();
 
@@ -27,6 +55,11 @@ export const POST = withRole('ADMIN')(async function POST(request) {
     }
 
     const { name, email, password, role } = result.data;
+    const branch = request.user.branch || result.data.branch;
+
+    if (branch && !await prisma.branch.findUnique({ where: { code: branch } })) {
+      return NextResponse.json({ error: 'Branch not found' }, { status: 400 });
+    }
 
     const existing = await prisma.user.findUnique({ where: { email } });
     if (existing) {
@@ -39,9 +72,10 @@ export const POST = withRole('ADMIN')(async function POST(request) {
     const hashedPassword = await bcrypt.hash(password, 12);
 
     const user = await prisma.user.create({
-      data: { name, email, password: hashedPassword, role },
-      select: { id: true, name: true, email: true, role: true, createdAt: true }
+      data: { name, email, password: hashedPassword, role, branch },
+      select: STAFF_SELECT
     });
+    auditChange(request, { entity: 'User', entityId: user.id, after: user });
 
     return NextResponse.json({ message: 'Staff member created successfully', user }, { status: 201 });
   } catch (error) {
@@ -1,23 +1,30 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { DAY_NAMES, TIME_SLOT_NAMES } from '@/app/lib/constants';
-import { withRole } from '@/app/lib/utils/auth';
+import { DAY_NAMES } from '@/app/lib/constants';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
 import { getSetting } from '@/app/lib/utils/settings';
+import { formatSuspension } from '@/app/lib/utils/penalties';
+import { formatTimeSlot } from '@/app/lib/utils/dates';
+import { getTimeSlotMap } from '@/app/lib/utils/timeslots';
 import { LICENCE_CLASSES } from '@/app/lib/constants';
+import { phoneNumberSchema } from '@/app/lib/utils/phone';
+import { isInBranch } from '@/app/lib/utils/branches';
 import { z } from 'zod';
 
 const updateStudentSchema = z.object({
   id: z.string().regex(/^DR-\d{4,5}-\d{2}$/, 'Student ID must be in format DR-XXXX-XX').optional(),
   name: z.string().min(1, 'Name is required').optional(),
   email: z.string().email('Invalid email format').optional(),
-  phoneNumber: z.string().optional().nullable(),
+  phoneNumber: phoneNumberSchema.optional().nullable(),
   category: z.enum(LICENCE_CLASSES).optional(),
+  branch: z.string().trim().min(1).optional(),
 });
 
 /**
  * GET /api/instructor/students/:id - Get a single student with full booking history
  */
-export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request, { params }) {
+export const GET = withPermission('students.view')(async function GET(request, { params }) {
   try {
     const { id } = await params;
 
@@ -41,16 +48,17 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request, {
       }
     });
 
-    if (!student) {
+    if (!isInBranch(request.user.activeBranch, student)) {
       return NextResponse.json({ error: 'Student not found' }, { status: 404 });
     }
 
+    const slotMap = await getTimeSlotMap();
     const bookings = student.bookings.map(b => ({
       id: b.id,
       day: b.session.day,
       dayName: DAY_NAMES[b.session.day],
       timeSlot: b.session.timeSlot,
-      timeSlotName: TIME_SLOT_NAMES[b.session.timeSlot],
+      timeSlotName: formatTimeSlot(b.session.timeSlot, slotMap),
       category: b.category,
       status: b.status,
       weekOf: b.weekOf,
@@ -70,6 +78,12 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request, {
     }));
 
     // Summary stats
+    const suspensions = await prisma.suspension.findMany({
+      where: { studentId: student.id },
+      include: { liftedBy: { select: { name: true } } },
+      orderBy: { startsAt: 'desc' }
+    });
+
     const totalRequired = await getSetting('total_practicals_required', 15);
     const completedCount = bookings.filter(b => b.status === 'COMPLETED').length;
     const summary = {
@@ -79,6 +93,7 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request, {
       noShows: bookings.filter(b => b.status === 'NO_SHOW').length,
       incomplete: bookings.filter(b => b.status === 'INCOMPLETE').length,
       cancelled: bookings.filter(b => b.status === 'CANCELLED').length,
+      lateCancels: bookings.filter(b => b.status === 'LATE_CANCEL').length,
       totalRequired,
       progressPercent: Math.min(100, Math.round((completedCount / totalRequired) * 100)),
       isComplete: completedCount >= totalRequired,
@@ -92,11 +107,13 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request, {
         email: student.email,
         phoneNumber: student.phoneNumber,
         category: student.category,
+        branch: student.branch,
         status: student.status,
         deactivatedAt: student.deactivatedAt,
         createdAt: student.createdAt
       },
       bookings,
+      suspensions: suspensions.map(formatSuspension),
       summary
     });
   } catch (error) {
@@ -106,9 +123,9 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request, {
 });
 
 /**
- * PATCH /api/instructor/students/:id - Update student details (admin only)
+ * PATCH /api/instructor/students/:id - Update student details (needs students.edit)
  */
-export const PATCH = withRole('ADMIN')(async function PATCH(request, { params }) {
+export const PATCH = withPermission('students.edit')(async function PATCH(request, { params }) {
   try {
     const { id } = await params;
     const body = await request.json();
@@ -122,10 +139,21 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request, { params })
     }
 
     const existing = await prisma.student.findUnique({ where: { id } });
-    if (!existing) {
+    if (!isInBranch(request.user.activeBranch, existing)) {
       return NextResponse.json({ error: 'Student not found' }, { status: 404 });
     }
 
+    // Moving a student to another branch is for staff who work across them all
+    if (result.data.branch && result.data.branch !== existing.branch) {
+      if (request.user.branch) {
+        return NextResponse.json({ error: 'Only staff without a branch can move students between branches' }, { status: 403 });
+      }
+      const branch = await prisma.branch.findUnique({ where: { code: result.data.branch } });
+      if (!branch) {
+        return NextResponse.json({ error: 'Branch not found' }, { status: 400 });
+      }
+    }
+
     // Check ID uniqueness if ID is being changed
     if (result.data.id && result.data.id !== id) {
       const idTaken = await prisma.student.findUnique({
@@ -156,6 +184,7 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request, { params })
       where: { id },
       data: result.data
     });
+    auditChange(request, { entity: 'Student', entityId: id, before: existing, after: updated, studentId: updated.id });
 
     return NextResponse.json({ message: 'Student updated successfully', student: updated });
   } catch (error) {
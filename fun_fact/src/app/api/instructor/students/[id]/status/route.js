@@ -1,6 +1,8 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { withRole } from '@/app/lib/utils/auth';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { isInBranch } from '@/app/lib/utils/branches';
 
 const VALID_STATUSES = ['ACTIVE', 'INACTIVE', 'ARCHIVED'];
 
@@ -14,14 +16,17 @@ const STUDENT_SELECT = {
   deactivatedAt: true,
 };
 
+// The fields a status change touches, for the audit diff
+const pickAudited = ({ id, studentNumber, status, deactivatedAt }) => ({ id, studentNumber, status, deactivatedAt });
+
 /**
- * PATCH /api/instructor/students/:id/status - Change a student's status (admin only).
+ * PATCH /api/instructor/students/:id/status - Change a student's status (needs students.archive).
  *  - ACTIVE/INACTIVE: reversible deactivation; keeps data + the student number.
  *  - ARCHIVED: permanent. Renames the id (freeing the student number for reuse via
  *    the Booking FK's ON UPDATE CASCADE) and records the original number in
  *    studentNumber. Terminal — an archived student cannot be changed back.
  */
-export const PATCH = withRole('ADMIN')(async function PATCH(request, { params }) {
+export const PATCH = withPermission('students.archive')(async function PATCH(request, { params }) {
   try {
     const { id } = await params;
     const { status } = await request.json();
@@ -31,7 +36,7 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request, { params })
     }
 
     const existing = await prisma.student.findUnique({ where: { id } });
-    if (!existing) {
+    if (!isInBranch(request.user.activeBranch, existing)) {
       return NextResponse.json({ error: 'Student not found' }, { status: 404 });
     }
 
@@ -66,12 +71,14 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request, { params })
         select: STUDENT_SELECT,
       });
 
-      await prisma.systemLog.create({
-        data: {
-          action: 'STUDENT_ARCHIVED',
-          message: `Student ${number} archived and number released by ${request.user.name}`,
-          data: { number, releasedId, by: request.user.id },
-        },
+      auditChange(request, {
+        entity: 'Student',
+        entityId: releasedId,
+        before: pickAudited(existing),
+        after: pickAudited(updated),
+        action: 'STUDENT_ARCHIVED',
+        message: `Student ${number} archived and number released`,
+        studentId: releasedId,
       });
 
       return NextResponse.json({
@@ -90,12 +97,14 @@ export const PATCH = withRole('ADMIN')(async function PATCH(request, { params })
       select: STUDENT_SELECT,
     });
 
-    await prisma.systemLog.create({
-      data: {
-        action: status === 'INACTIVE' ? 'STUDENT_DEACTIVATED' : 'STUDENT_REACTIVATED',
-        message: `Student ${id} ${status === 'INACTIVE' ? 'deactivated' : 'reactivated'} by ${request.user.name}`,
-        data: { studentId: id, by: request.user.id },
-      },
+    auditChange(request, {
+      entity: 'Student',
+      entityId: id,
+      before: pickAudited(existing),
+      after: pickAudited(updated),
+      action: status === 'INACTIVE' ? 'STUDENT_DEACTIVATED' : 'STUDENT_REACTIVATED',
+      message: `Student ${id} ${status === 'INACTIVE' ? 'deactivated' : 'reactivated'}`,
+      studentId: id,
     });
 
     return NextResponse.json({
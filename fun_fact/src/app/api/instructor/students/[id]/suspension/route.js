@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { getActiveSuspension, formatSuspension } from '@/app/lib/utils/penalties';
+import { isInBranch } from '@/app/lib/utils/branches';
+
+/**
+ * DELETE /api/instructor/students/:id/suspension - Lift a student's booking
+ * suspension early (needs students.edit). The suspension is kept, marked as lifted.
+ */
+export const DELETE = withPermission('students.edit')(async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const student = await prisma.student.findUnique({ where: { id }, select: { branch: true } });
+    if (!isInBranch(request.user.activeBranch, student)) {
+      return NextResponse.json({ error: 'Student not found' }, { status: 404 });
+    }
+
+    const suspension = await getActiveSuspension(prisma, id);
+    if (!suspension) {
+      return NextResponse.json({ error: 'Student is not suspended' }, { status: 404 });
+    }
+
+    const lifted = await prisma.suspension.update({
+      where: { id: suspension.id },
+      data: { liftedAt: new Date(), liftedById: request.user.id },
+      include: { liftedBy: { select: { name: true } } }
+    });
+
+    auditChange(request, {
+      entity: 'Suspension',
+      entityId: suspension.id,
+      before: suspension,
+      after: { ...lifted, liftedBy: undefined },
+      action: 'STUDENT_SUSPENSION_LIFTED',
+      message: `Booking suspension of student ${id} lifted`,
+      studentId: id
+    });
+
+    return NextResponse.json({ message: 'Suspension lifted', suspension: formatSuspension(lifted) });
+  } catch (error) {
+    console.error('Error lifting suspension:', error);
+    return NextResponse.json({ error: 'Failed to lift suspension' }, { status: 500 });
+  }
+});
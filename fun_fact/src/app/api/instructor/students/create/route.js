@@ -1,8 +1,10 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
 import { z } from 'zod';
-import { withRole } from '@/app/lib/utils/auth';
-import { LICENCE_CLASSES } from '@/app/lib/constants';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { DEFAULT_BRANCH, LICENCE_CLASSES } from '@/app/lib/constants';
+import { phoneNumberSchema } from '@/app/lib/utils/phone';
 
 // Validation schema for student creation
 const createStudentSchema = z.object({
@@ -11,14 +13,17 @@ const createStudentSchema = z.object({
     .regex(/^DR-\d{4,5}-\d{2}$/, 'Student ID must be in format DR-XXXX-XX'),
   name: z.string().min(1, 'Name is required'),
   email: z.string().email('Invalid email format'),
-  phoneNumber: z.string().optional(),
-  category: z.enum(LICENCE_CLASSES, { errorMap: () => ({ message: 'A valid licence class is required' }) })
+  phoneNumber: phoneNumberSchema.optional(),
+  category: z.enum(LICENCE_CLASSES, { errorMap: () => ({ message: 'A valid licence class is required' }) }),
+  branch: z.string().trim().min(1).optional()
 });
 
 /**
- * POST /api/instructor/students/create - Create a new student
+ * POST /api/instructor/students/create - Create a new student at the branch
+ * being worked in. Staff looking at every branch may name one; otherwise the
+ * default branch.
  */
-export const POST = withRole('ADMIN')(async function POST(request) {
+export const POST = withPermission('students.create')(async function POST(request) {
   try {
     // Parse request body
     const body = await request.json();
@@ -34,6 +39,14 @@ export const POST = withRole('ADMIN')(async function POST(request) {
     }
     
     const { id, name, email, phoneNumber, category } = validationResult.data;
+    const branch = request.user.activeBranch || validationResult.data.branch || DEFAULT_BRANCH;
+
+    if (!await prisma.branch.findUnique({ where: { code: branch } })) {
+      return NextResponse.json(
+        { error: 'Branch not found' },
+        { status: 400 }
+      );
+    }
     
     // Check if student ID already exists
     const existingStudentById = await prisma.student.findUnique({
@@ -65,10 +78,12 @@ export const POST = withRole('ADMIN')(async function POST(request) {
         id,
         name,
         email,
-        phoneNumber: phoneNumber || null,
-        category
+        phoneNumber: phoneNumber ?? null,
+        category,
+        branch
       }
     });
+    auditChange(request, { entity: 'Student', entityId: student.id, after: student, studentId: student.id });
     
     return NextResponse.json({
       message: 'Student created successfully',
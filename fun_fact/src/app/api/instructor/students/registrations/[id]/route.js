@@ -0,0 +1,108 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { z } from 'zod';
+import { withPermission } from '@/app/lib/utils/auth';
+import { auditChange } from '@/app/lib/utils/audit';
+import { findRegistrationConflict } from '@/app/lib/utils/registrations';
+import { notifyRegistration } from '@/app/lib/utils/notifications';
+import { isInBranch } from '@/app/lib/utils/branches';
+
+const decisionSchema = z.object({
+  status: z.enum(['APPROVED', 'REJECTED']),
+  reason: z.string().trim().max(255).optional(),
+});
+
+/**
+ * PATCH /api/instructor/students/registrations/:id - Approve or reject a
+ * student account request (needs students.create)
+ * Body: { status: 'APPROVED' | 'REJECTED', reason? }
+ * Approving creates the student at the branch they applied to, who can then log in. The applicant is
+ * emailed either way.
+ */
+export const PATCH = withPermission('students.create')(async function PATCH(request, { params }) {
+  try {
+    const { id } = await params;
+    const body = await request.json();
+
+    const result = decisionSchema.safeParse(body);
+    if (!result.success) {
+      return NextResponse.json(
+        { error: result.error.errors[0].message },
+        { status: 400 }
+      );
+    }
+
+    const { status, reason } = result.data;
+
+    const registration = await prisma.studentRegistration.findUnique({ where: { id } });
+    if (!isInBranch(request.user.activeBranch, registration)) {
+      return NextResponse.json({ error: 'Registration not found' }, { status: 404 });
+    }
+    if (registration.status !== 'PENDING') {
+      return NextResponse.json(
+        { error: `This registration was already ${registration.status.toLowerCase()}` },
+        { status: 400 }
+      );
+    }
+
+    const review = {
+      status,
+      reviewedById: request.user.id,
+      reviewedAt: new Date(),
+      rejectionReason: status === 'REJECTED' ? reason || null : null
+    };
+
+    if (status === 'REJECTED') {
+      const updated = await prisma.studentRegistration.update({ where: { id }, data: review });
+      auditChange(request, {
+        entity: 'StudentRegistration',
+        entityId: id,
+        before: { status: registration.status },
+        after: { status: updated.status, rejectionReason: updated.rejectionReason }
+      });
+      await notifyRegistration('REGISTRATION_REJECTED', registration, { reason: review.rejectionReason });
+
+      return NextResponse.json({ message: 'Registration rejected', registration: updated });
+    }
+
+    // The number or email may have been taken since the request was made
+    const conflict = await findRegistrationConflict(
+      { id: registration.studentId, email: registration.email },
+      { ignoreRegistrationId: id }
+    );
+    if (conflict) {
+      return NextResponse.json({ error: conflict }, { status: 409 });
+    }
+
+    const [student, updated] = await prisma.$transaction([
+      prisma.student.create({
+        data: {
+          id: registration.studentId,
+          name: registration.name,
+          email: registration.email,
+          phoneNumber: registration.phoneNumber,
+          category: registration.category,
+          branch: registration.branch
+        }
+      }),
+      prisma.studentRegistration.update({ where: { id }, data: review })
+    ]);
+    auditChange(request, {
+      entity: 'StudentRegistration',
+      entityId: id,
+      studentId: student.id,
+      before: { status: registration.status },
+      after: { status: updated.status }
+    });
+    await notifyRegistration('REGISTRATION_APPROVED', registration);
+
+    return NextResponse.json({
+      message: `${student.name} can now log in`,
+      registration: updated,
+      student
+    });
+  } catch (error) {
+    console.error('Error reviewing registration:', error);
+    return NextResponse.json({ error: 'Failed to review registration' }, { status: 500 });
+  }
+});
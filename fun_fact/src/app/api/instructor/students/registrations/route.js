@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import prisma from '@/app/lib/db/prisma-client';
+import { withPermission } from '@/app/lib/utils/auth';
+import { branchWhere } from '@/app/lib/utils/branches';
+
+const STATUSES = ['PENDING', 'APPROVED', 'REJECTED'];
+
+/**
+ * GET /api/instructor/students/registrations - Student account requests,
+ * at the branch being worked in, oldest first (needs students.create)
+ * Query: status (PENDING by default, APPROVED or REJECTED)
+ */
+export const GET = withPermission('students.create')(async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status') || 'PENDING';
+    if (!STATUSES.includes(status)) {
+      return NextResponse.json({ error: 'Invalid status' }, { status: 400 });
+    }
+
+    const registrations = await prisma.studentRegistration.findMany({
+      where: { status, ...branchWhere(request.user.activeBranch) },
+      orderBy: { createdAt: status === 'PENDING' ? 'asc' : 'desc' },
+      take: 200,
+      include: { reviewedBy: { select: { id: true, name: true } } }
+    });
+
+    return NextResponse.json({ registrations });
+  } catch (error) {
+    console.error('Error fetching registrations:', error);
+    return NextResponse.json({ error: 'Failed to fetch registrations' }, { status: 500 });
+  }
+});
@@ -3,15 +3,17 @@
 
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
-import { DAY_NAMES, TIME_SLOT_NAMES } from '@/app/lib/constants';
-import { withRole } from '@/app/lib/utils/auth';
-import { getSetting } from '@/app/lib/utils/settings';
-import { getCurrentWeekMonday } from '@/app/lib/utils/dates';
+import { DAY_NAMES, INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { withPermission } from '@/app/lib/utils/auth';
+import { getSetting, getScheduleSettings } from '@/app/lib/utils/settings';
+import { getCurrentWeekMonday, formatTimeSlot } from '@/app/lib/utils/dates';
+import { getTimeSlotMap } from '@/app/lib/utils/timeslots';
+import { branchWhere, isInBranch } from '@/app/lib/utils/branches';
 
 /**
  * GET /api/instructor/students - Get all students with their booking details
  */
-export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
+export const GET = withPermission('students.view')(async function GET(request) {
   try {
     // Parse query parameters for filtering/pagination
     const { searchParams } = new URL(request.url);
@@ -21,7 +23,7 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
     // already booked this week for that session, and not over their weekly limits.
     const sessionId = searchParams.get('sessionId');
     if (sessionId) {
-      return await getEligibleStudentsForSession(sessionId);
+      return await getEligibleStudentsForSession(sessionId, request.user.activeBranch);
     }
 
     const search = searchParams.get('search') || '';
@@ -54,7 +56,8 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
     // Optional licence-class filter
     const categoryFilter = categoryParam ? { category: categoryParam } : {};
 
-    const whereClause = { ...statusFilter, ...categoryFilter, ...searchFilter };
+    const branch = branchWhere(request.user.activeBranch);
+    const whereClause = { ...branch, ...statusFilter, ...categoryFilter, ...searchFilter };
 
     // Get total count for pagination
     const totalCount = await prisma.student.count({ where: whereClause });
@@ -87,6 +90,7 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
     });
 
     const totalRequired = await getSetting('total_practicals_required', 15);
+    const slotMap = await getTimeSlotMap();
 
     // Format student data for the frontend
     const formattedStudents = students.map(student => {
@@ -96,7 +100,7 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
         day: booking.session.day,
         dayName: DAY_NAMES[booking.session.day],
         timeSlot: booking.session.timeSlot,
-        timeSlotName: TIME_SLOT_NAMES[booking.session.timeSlot],
+        timeSlotName: formatTimeSlot(booking.session.timeSlot, slotMap),
         status: booking.status,
         weekOf: booking.weekOf,
         attendedAt: booking.attendedAt,
@@ -107,7 +111,7 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
       }));
 
       // Count active (non-cancelled) bookings
-      const activeBookings = bookings.filter(b => b.status !== 'CANCELLED');
+      const activeBookings = bookings.filter(b => !INACTIVE_BOOKING_STATUSES.includes(b.status));
 
       return {
         id: student.id,
@@ -116,6 +120,7 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
         email: student.email,
         phoneNumber: student.phoneNumber,
         category: student.category,
+        branch: student.branch,
         status: student.status,
         deactivatedAt: student.deactivatedAt,
         createdAt: student.createdAt,
@@ -140,14 +145,14 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
     const studentsWithBookingsCount = await prisma.student.count({
       where: {
         ...whereClause,
-        bookings: { some: { status: { not: 'CANCELLED' } } }
+        bookings: { some: { status: { notIn: INACTIVE_BOOKING_STATUSES } } }
       }
     });
 
     const totalActiveBookings = await prisma.booking.count({
       where: {
-        status: { not: 'CANCELLED' },
-        ...(statusParam === 'all' ? {} : { student: statusFilter })
+        status: { notIn: INACTIVE_BOOKING_STATUSES },
+        student: { ...branch, ...(statusParam === 'all' ? {} : statusFilter) }
       }
     });
 
@@ -189,24 +194,25 @@ export const GET = withRole('INSTRUCTOR', 'ADMIN')(async function GET(request) {
  *  - not already booked (non-cancelled) for that session this week
  *  - no other booking on the same day this week (max_sessions_per_day)
  *  - under the weekly day limit (max_days_per_week)
+ *  - at the session's branch
  */
-async function getEligibleStudentsForSession(sessionId) {
+async function getEligibleStudentsForSession(sessionId, activeBranch) {
   const session = await prisma.session.findUnique({
     where: { id: sessionId },
-    select: { id: true, day: true, category: true, capacity: true }
+    select: { id: true, branch: true, day: true, category: true, capacity: true }
   });
 
-  if (!session) {
+  if (!isInBranch(activeBranch, session)) {
     return NextResponse.json({ error: 'Session not found' }, { status: 404 });
   }
 
-  const weekOf = getCurrentWeekMonday();
+  const weekOf = getCurrentWeekMonday(await getScheduleSettings());
   const maxDaysPerWeek = await getSetting('max_days_per_week', 3);
   const maxSessionsPerDay = await getSetting('max_sessions_per_day', 1);
 
-  // Candidate pool: active students of the matching licence class.
+  // Candidate pool: active students of the matching licence class and branch.
   const candidates = await prisma.student.findMany({
-    where: { status: 'ACTIVE', category: session.category },
+    where: { status: 'ACTIVE', category: session.category, branch: session.branch },
     select: { id: true, name: true, email: true, phoneNumber: true, category: true },
     orderBy: { name: 'asc' }
   });
@@ -216,7 +222,7 @@ async function getEligibleStudentsForSession(sessionId) {
   const candidateIds = candidates.map(c => c.id);
   const weekBookings = candidateIds.length
     ? await prisma.booking.findMany({
-        where: { studentId: { in: candidateIds }, weekOf, status: { not: 'CANCELLED' } },
+        where: { studentId: { in: candidateIds }, weekOf, status: { notIn: INACTIVE_BOOKING_STATUSES } },
         include: { session: { select: { day: true } } }
       })
     : [];
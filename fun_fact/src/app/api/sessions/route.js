@@ -4,7 +4,13 @@
 import { NextResponse } from 'next/server';
 import prisma from '@/app/lib/db/prisma-client';
 import { withAuth } from '@/app/lib/utils/auth';
-import { getCurrentWeekMonday } from '@/app/lib/utils/dates';
+import { INACTIVE_BOOKING_STATUSES } from '@/app/lib/constants';
+import { getCurrentWeekMonday, getBookableWeeks, parseWeekOf, formatTimeSlot } from '@/app/lib/utils/dates';
+import { getSetting, getScheduleSettings } from '@/app/lib/utils/settings';
+import { getClosuresForWeek, findClosure } from '@/app/lib/utils/closures';
+import { getFleetAvailability, capCapacity } from '@/app/lib/utils/fleet';
+import { getTimeSlotMap, compareSessions } from '@/app/lib/utils/timeslots';
+import { applyInstance, isOfferedInWeek } from '@/app/lib/utils/instances';
 
 /**
  * Response helper functions
@@ -15,74 +21,112 @@ const createErrorResponse = (message, status = 400) => {
 
 /**
  * GET /api/sessions - Get all available sessions with booking status
+ * Optional ?weekOf= selects a week inside the booking horizon (defaults to the
+ * current week). The response lists every bookable week for the week switcher.
  */
 async function getSessions(request) {
   try {
     // Get student from auth middleware
     const student = request.student;
-    
-    const weekOf = getCurrentWeekMonday();
 
-    // Students only see sessions for their own licence class that are actually
-    // offered (capacity > 0). Disabled sessions are filtered out below.
-    const sessions = await prisma.session.findMany({
-      where: {
-        category: student.category,
-        capacity: { gt: 0 }
-      },
+    const { searchParams } = new URL(request.url);
+    const weekOfParam = searchParams.get('weekOf');
+    const schedule = await getScheduleSettings();
+    const weekOf = weekOfParam ? parseWeekOf(weekOfParam) : getCurrentWeekMonday(schedule);
+
+    const horizonWeeks = await getSetting('booking_horizon_weeks', 1);
+    const bookableWeeks = getBookableWeeks(horizonWeeks, schedule);
+
+    if (!weekOf || !bookableWeeks.some(w => w.getTime() === weekOf.getTime())) {
+      return createErrorResponse('This week is outside the booking window');
+    }
+
+    // The week's sessions are the templates with that week's instance, if any,
+    // applied. Students only see their own licence class at their branch.
+    const templates = await prisma.session.findMany({
+      where: { category: student.category, branch: student.branch },
       include: {
+        instances: { where: { weekOf } },
         bookings: {
           where: {
             weekOf,
-            status: { not: 'CANCELLED' }
+            status: { notIn: INACTIVE_BOOKING_STATUSES }
           },
           select: {
             id: true,
             studentId: true
           }
+        },
+        waitlist: {
+          where: { weekOf, status: 'WAITING' },
+          select: { id: true, studentId: true },
+          orderBy: { createdAt: 'asc' }
         }
-      },
-      orderBy: [
-        { day: 'asc' },
-        { timeSlot: 'asc' }
-      ]
+      }
     });
 
-    // Get student's current-week bookings to check which sessions they've booked
+    // Get student's bookings for the week to check which sessions they've booked
     const studentBookings = await prisma.booking.findMany({
       where: {
         studentId: student.id,
         weekOf,
-        status: { not: 'CANCELLED' }
+        status: { notIn: INACTIVE_BOOKING_STATUSES }
       },
       select: { sessionId: true }
     });
     
+    // Closed dates/slots for the week — shown, but never bookable
+    const closures = await getClosuresForWeek(prisma, weekOf);
+
+    // Vehicles on the road each day cap the configured capacity
+    const fleet = await getFleetAvailability(prisma, weekOf, { category: student.category, branch: student.branch });
+
+    // Only sessions on offer that week (slot running that day, capacity > 0), in time order
+    const slotMap = await getTimeSlotMap();
+
     // Set of sessionIds the student has booked
     const bookedSessionIds = new Set(
       studentBookings.map(booking => booking.sessionId)
     );
     
-    // Format the sessions. Capacity (> 0, enforced in the query above) is the
-    // single source of truth for whether a class slot is offered — the legacy
-    // metadata.isEnabled flag is no longer consulted.
-    const formattedSessions = sessions
+    // Format the sessions. The week's capacity (> 0) is the single source of
+    // truth for whether a class slot is offered — the legacy metadata.isEnabled
+    // flag is no longer consulted.
+    const formattedSessions = templates
+      .map(session => applyInstance(session, session.instances[0]))
+      .filter(session => isOfferedInWeek(slotMap, session))
+      .sort(compareSessions(slotMap))
       .map(session => {
         // Check if this session is booked by the student
         const isBooked = bookedSessionIds.has(session.id);
         
-        // Check availability
-        const availableSpots = session.capacity - session.bookings.length;
-        const isAvailable = availableSpots > 0;
+        // Check availability. A session cancelled for the week reads as closed.
+        const closure = findClosure(closures, session, weekOf);
+        const isClosed = !!closure || session.isCancelled;
+        const capacity = capCapacity(session, fleet);
+        const availableSpots = Math.max(0, capacity - session.bookings.length);
+        const isAvailable = availableSpots > 0 && !isClosed;
+
+        // Waitlist position is 1-based; 0 when the student isn't queued
+        const waitlistIndex = session.waitlist.findIndex(w => w.studentId === student.id);
         
         return {
           id: session.id,
           day: session.day,
           timeSlot: session.timeSlot,
-          capacity: session.capacity,
+          timeSlotName: formatTimeSlot(session.timeSlot, slotMap),
+          capacity,
           availableSpots,
           isAvailable,
           isBooked,
+          isClosed,
+          closureReason: closure?.reason || (session.isCancelled ? session.note || 'Cancelled this week' : null),
+          isExtra: session.isExtra,
+          waitlist: {
+            count: session.waitlist.length,
+            position: waitlistIndex + 1,
+            entryId: waitlistIndex >= 0 ? session.waitlist[waitlistIndex].id : null
+          },
           bookings: session.bookings.map(b => ({
             id: b.id,
             isCurrentStudent: b.studentId === student.id
@@ -92,6 +136,8 @@ async function getSessions(request) {
     
     return NextResponse.json({ 
       sessions: formattedSessions,
+      weekOf: weekOf.toISOString(),
+      weeks: bookableWeeks.map(w => w.toISOString()),
       // Include last updated time to help with cache validation
       lastUpdated: new Date().toISOString()
     });
@@ -0,0 +1,101 @@
+import { NextResponse } from 'next/server';
+import { getAuthenticatedStudent, getAuthenticatedUser } from '@/app/lib/utils/auth';
+import { getLatestSessionChangeId, readSessionChanges } from '@/app/lib/utils/events';
+
+// Long-lived response — never cache or prerender
+export const dynamic = 'force-dynamic';
+
+// How often the stream checks the change feed for changes from any instance
+const POLL_MS = 2000;
+
+// Comment line sent periodically so proxies don't drop an idle connection
+const HEARTBEAT_MS = 25000;
+
+/**
+ * GET /api/sessions/stream - Server-sent events with live session availability
+ *
+ * Emits a `session` event per change: { sessionId, weekOf, branch, day,
+ * timeSlot, category, capacity, booked, availableSpots, waitlistCount }.
+ * `weekOf` is null (and the counts are omitted) when the change applies to
+ * every week. Students only receive changes for their own licence class at
+ * their branch; staff receive those of the branch they are working in.
+ * Each event carries the feed ID, so a reconnecting browser (Last-Event-ID)
+ * picks up where it left off.
+ */
+export async function GET(request) {
+  const student = await getAuthenticatedStudent();
+  const user = student ? null : await getAuthenticatedUser();
+
+  if (!student && !user) {
+    return NextResponse.json({ error: 'Authentication required' }, { status: 401 });
+  }
+
+  const scope = student
+    ? { branch: student.branch, category: student.category }
+    : { branch: user.activeBranch };
+  const lastEventId = Number(request.headers.get('last-event-id'));
+  let cursor = Number.isInteger(lastEventId) && lastEventId > 0 ? lastEventId : await getLatestSessionChangeId();
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const write = (chunk) => {
+        try {
+          controller.enqueue(encoder.encode(chunk));
+        } catch {
+          cleanup(); // stream already closed
+        }
+      };
+
+      let polling = false;
+      const poll = async () => {
+        if (polling) return; // a slow query is still running
+        polling = true;
+        try {
+          for (const { id, change } of await readSessionChanges(cursor, scope)) {
+            write(`id: ${id}\nevent: session\ndata: ${JSON.stringify(change)}\n\n`);
+            cursor = id;
+          }
+        } catch (error) {
+          console.error('Failed to read session changes:', error);
+        } finally {
+          polling = false;
+        }
+      };
+
+      const poller = setInterval(poll, POLL_MS);
+      const heartbeat = setInterval(() => write(': ping\n\n'), HEARTBEAT_MS);
+
+      cleanup = () => {
+        clearInterval(poller);
+        clearInterval(heartbeat);
+      };
+
+      request.signal.addEventListener('abort', () => {
+        cleanup();
+        try {
+          controller.close();
+        } catch {
+          // already closed
+        }
+      });
+
+      // Tell the browser how long to wait before reconnecting after a drop
+      write('retry: 5000\n\n');
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
@@ -1,6 +1,6 @@
 // file: src/app/dashboard/page.js
 // description: This component serves as the dashboard for students, displaying their selected sessions and available sessions for booking. It includes a header with user information, a session calendar, and a list of selected sessions. The component uses React hooks for state management and Next.js for routing. It also integrates with a toast notification system for error handling.
-//     const timeSlotName = TIME_SLOT_NAMES[session.timeSlot];
+//     const timeSlotName = session.timeSlotName;
 
 'use client';
 
@@ -78,7 +78,9 @@ export default function Dashboard() {
     loading: dataLoading,
     lastRefresh,
     fetchAllData,
-    remainingSlots
+    remainingSlots,
+    weekOf,
+    weeks
   } = useSessionData();
   const { settings } = useSettings();
   const [isRefreshing, setIsRefreshing] = useState(false);
@@ -290,6 +292,12 @@ export default function Dashboard() {
                     <span className="mr-2">•</span>
                     {settings.max_sessions_per_day === 1 ? 'One session per day allowed' : `Up to ${settings.max_sessions_per_day} sessions per day`}
                   </li>
+                  {weeks.length > 1 && (
+                    <li className="flex items-center">
+                      <span className="mr-2">•</span>
+                      Book up to {weeks.length - 1} week{weeks.length > 2 ? 's' : ''} ahead
+                    </li>
+                  )}
                   <li className="flex items-center">
                     <span className="mr-2">•</span>
                     You only see sessions for your licence class{student?.category ? ` (${student.category})` : ''}
@@ -332,6 +340,7 @@ export default function Dashboard() {
             <CardTitle>Your Selected Sessions</CardTitle>
             <CardDescription>
               Review and manage your booked sessions
+              {weekOf && ` for the week of ${new Date(weekOf).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`}
             </CardDescription>
           </CardHeader>
           <CardContent>
@@ -16,6 +16,8 @@ export function AuthProvider({ children }) {
   const [student, setStudent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [loginInProgress, setLoginInProgress] = useState(false);
+  // { message, until } while too many failed logins have locked the form out
+  const [lockout, setLockout] = useState(null);
   const router = useRouter();
 
   // Check if user is already logged in
@@ -81,13 +83,35 @@ export function AuthProvider({ children }) {
     checkAuth();
   }, []);
 
-  // Login function - authenticate first, then navigate
+  // Lift the lockout once its time is up
+  useEffect(() => {
+    if (!lockout) return;
+    const timer = setTimeout(() => setLockout(null), lockout.until - Date.now());
+    return () => clearTimeout(timer);
+  }, [lockout]);
+
+  // Failed login: toast the reason, and hold the form while it is locked out
+  const handleLoginError = (error) => {
+    const message = error.response?.data?.error || 'Login failed';
+    if (error.response?.status === 429) {
+      setLockout({ message, until: Date.now() + (error.response.data.retryAfter || 60) * 1000 });
+    }
+    toast.error(message);
+  };
+
+  // Login function - authenticate first, then navigate. Resolves to true when
+  // logged in, false on failure, or the server's { codeRequired, channel,
+  // smsAvailable } when a one-time code has been sent (see verifyCode).
   const login = async (credentials) => {
     try {
       setLoginInProgress(true);
 
       // Authenticate first
       const { data } = await axios.post('/api/auth', credentials);
+      if (data.codeRequired) {
+        toast.success(data.message);
+        return data;
+      }
       setStudent(data.student);
       toast.success(data.message);
 
@@ -95,8 +119,24 @@ export function AuthProvider({ children }) {
       router.push('/dashboard');
       return true;
     } catch (error) {
-      const message = error.response?.data?.error || 'Login failed';
-      toast.error(message);
+      handleLoginError(error);
+      return false;
+    } finally {
+      setLoginInProgress(false);
+    }
+  };
+
+  // Second login step: exchange the emailed/texted code for the session
+  const verifyCode = async ({ id, code }) => {
+    try {
+      setLoginInProgress(true);
+      const { data } = await axios.post('/api/auth/verify', { id, code });
+      setStudent(data.student);
+      toast.success(data.message);
+      router.push('/dashboard');
+      return true;
+    } catch (error) {
+      handleLoginError(error);
       return false;
     } finally {
       setLoginInProgress(false);
@@ -126,7 +166,9 @@ export function AuthProvider({ children }) {
     student,
     loading,
     loginInProgress,
+    lockout,
     login,
+    verifyCode,
     logout,
     isAuthenticated: !!student
   };
@@ -1,6 +1,6 @@
 // file: src/app/hooks/useBookings.js
 // description: This custom hook manages booking data, including fetching, booking, and canceling sessions. It uses React hooks for state management and Axios for API requests. It also integrates with a toast notification system for error handling and provides utility functions for checking booking status and formatting booking information.
-//     const timeSlotName = TIME_SLOT_NAMES[session.timeSlot];
+//     const timeSlotName = session.timeSlotName;
 
 'use client';
 
@@ -8,7 +8,7 @@ import { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
 import { useAuth } from './useAuth';
-import { DAY_NAMES, TIME_SLOT_NAMES, SESSION_CONSTRAINTS } from '@/app/lib/constants';
+import { DAY_NAMES, SESSION_CONSTRAINTS } from '@/app/lib/constants';
 import { useSettings } from './useSettings';
 
 export default function useBookings() {
@@ -67,6 +67,7 @@ export default function useBookings() {
         sessionId: session.id,
         day: session.day,
         timeSlot: session.timeSlot,
+        timeSlotName: session.timeSlotName,
         isOptimistic: true // Flag to identify optimistic updates
       };
       
@@ -154,8 +155,7 @@ export default function useBookings() {
   // Format booking for display
   const formatBooking = (booking) => {
     const dayName = DAY_NAMES[booking.day];
-    const timeSlotName = TIME_SLOT_NAMES[booking.timeSlot];
-    return `${dayName}, ${timeSlotName}`;
+    return `${dayName}, ${booking.timeSlotName}`;
   };
 
   // Check if max sessions per day reached for a given day
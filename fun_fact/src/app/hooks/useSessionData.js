@@ -4,15 +4,16 @@ import { createContext, useContext, useState, useEffect, useCallback } from 'rea
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
 import { useAuth } from './useAuth';
-import { DAY_NAMES, TIME_SLOT_NAMES, SESSION_CONSTRAINTS } from '@/app/lib/constants';
+import { DAY_NAMES, SESSION_CONSTRAINTS } from '@/app/lib/constants';
 import { useSettings } from './useSettings';
+import { useSessionStream } from './useSessionStream';
 
 // Create context
 const SessionDataContext = createContext(null);
 
 // Provider component
 export function SessionDataProvider({ children }) {
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, student } = useAuth();
   const { settings } = useSettings();
   const maxDaysPerWeek = settings.max_days_per_week ?? SESSION_CONSTRAINTS.MAX_DAYS_PER_STUDENT;
   const maxSessionsPerDay = settings.max_sessions_per_day ?? SESSION_CONSTRAINTS.MAX_SESSIONS_PER_DAY;
@@ -23,6 +24,15 @@ export function SessionDataProvider({ children }) {
   const [error, setError] = useState(null);
   const [lastRefresh, setLastRefresh] = useState(null);
   const [lastAction, setLastAction] = useState(null);
+  // Week being viewed: `selectedWeek` is what the student picked (null = current
+  // week), `weekOf` is the Monday the server resolved it to. `weeks` lists every
+  // week inside the booking horizon.
+  const [selectedWeek, setSelectedWeek] = useState(null);
+  const [weekOf, setWeekOf] = useState(null);
+  const [weeks, setWeeks] = useState([]);
+  // Whether cancelling past a booking's cancelDeadline is refused (true) or
+  // recorded as a late cancellation (false)
+  const [blockLateCancellations, setBlockLateCancellations] = useState(false);
 
   // Group sessions by day - derived state
   const sessionsByDay = sessions.reduce((acc, session) => {
@@ -33,8 +43,9 @@ export function SessionDataProvider({ children }) {
     return acc;
   }, {});
 
-  // Fetch all data in one request to reduce API calls and improve performance
-  const fetchAllData = useCallback(async () => {
+  // Fetch all data in one request to reduce API calls and improve performance.
+  // `silent` skips the loading state for background refreshes (live updates).
+  const fetchAllData = useCallback(async ({ silent = false } = {}) => {
     if (!isAuthenticated) {
       setBookings([]);
       setSessions([]);
@@ -42,18 +53,23 @@ export function SessionDataProvider({ children }) {
       return;
     }
 
-    setLoading(true);
+    if (!silent) setLoading(true);
     setError(null);
     
     try {
+      const params = selectedWeek ? { weekOf: selectedWeek } : {};
+
       // Fetch data in parallel
       const [bookingsResponse, sessionsResponse] = await Promise.all([
-        axios.get('/api/bookings'),
-        axios.get('/api/sessions')
+        axios.get('/api/bookings', { params }),
+        axios.get('/api/sessions', { params })
       ]);
       
       setBookings(bookingsResponse.data.bookings);
+      setBlockLateCancellations(!!bookingsResponse.data.blockLateCancellations);
       setSessions(sessionsResponse.data.sessions);
+      setWeekOf(sessionsResponse.data.weekOf);
+      setWeeks(sessionsResponse.data.weeks || []);
       setLastRefresh(new Date());
     } catch (error) {
       console.error('Error fetching data:', error);
@@ -62,7 +78,12 @@ export function SessionDataProvider({ children }) {
     } finally {
       setLoading(false);
     }
-  }, [isAuthenticated]);
+  }, [isAuthenticated, selectedWeek]);
+
+  // Switch the week being viewed/booked (refetch happens via fetchAllData's deps)
+  const selectWeek = useCallback((week) => {
+    setSelectedWeek(week);
+  }, []);
 
   // Book a session with optimistic UI update
   const bookSession = async (session) => {
@@ -89,6 +110,7 @@ export function SessionDataProvider({ children }) {
         sessionId: session.id,
         day: session.day,
         timeSlot: session.timeSlot,
+        timeSlotName: session.timeSlotName,
         isOptimistic: true
       };
       
@@ -114,7 +136,7 @@ export function SessionDataProvider({ children }) {
       );
       
       // Make API request
-      const { data } = await axios.post('/api/bookings', { sessionId: session.id });
+      const { data } = await axios.post('/api/bookings', { sessionId: session.id, weekOf });
       
       // Update with real data
       setBookings(prevBookings =>
@@ -195,6 +217,11 @@ export function SessionDataProvider({ children }) {
       
       // Make API request
       const { data } = await axios.delete(`/api/bookings/${bookingId}`);
+
+      // The freed spot may have gone straight to a waitlisted student — refetch
+      // rather than trust the optimistic +1.
+      const cancelledSession = sessions.find(s => s.id === bookingToCancel.sessionId);
+      if (cancelledSession?.waitlist?.count > 0) fetchAllData({ silent: true });
       
       toast.success(data.message);
       return true;
@@ -204,7 +231,66 @@ export function SessionDataProvider({ children }) {
       // Revert optimistic updates
       fetchAllData(); // Refetch to restore correct state
       
-      toast.error('Failed to cancel booking');
+      toast.error(error.response?.data?.error || 'Failed to cancel booking');
+      return false;
+    } finally {
+      setBookingInProgress(false);
+    }
+  };
+
+  // Move a booking to another session. The server swaps both in one
+  // transaction, so there is no optimistic update — refetch once it's done.
+  const rescheduleBooking = async (bookingId, session) => {
+    try {
+      setBookingInProgress(true);
+      const { data } = await axios.post(`/api/bookings/${bookingId}/reschedule`, { sessionId: session.id, weekOf });
+      setLastAction({ type: 'MOVE', sessionId: session.id, timestamp: Date.now() });
+      toast.success(data.message);
+      await fetchAllData({ silent: true });
+      return true;
+    } catch (error) {
+      console.error('Reschedule error:', error);
+      toast.error(error.response?.data?.error || 'Failed to move booking');
+      return false;
+    } finally {
+      setBookingInProgress(false);
+    }
+  };
+
+  // Join the waitlist for a full session in the selected week
+  const joinWaitlist = async (session) => {
+    try {
+      setBookingInProgress(true);
+      const { data } = await axios.post('/api/bookings/waitlist', { sessionId: session.id, weekOf });
+      setSessions(prevSessions =>
+        prevSessions.map(s => s.id === session.id
+          ? { ...s, waitlist: { count: s.waitlist.count + 1, position: data.entry.position, entryId: data.entry.id } }
+          : s
+        )
+      );
+      toast.success(data.message);
+      return true;
+    } catch (error) {
+      console.error('Waitlist join error:', error);
+      toast.error(error.response?.data?.error || 'Failed to join waitlist');
+      return false;
+    } finally {
+      setBookingInProgress(false);
+    }
+  };
+
+  // Leave a waitlist; positions behind the student shift, so refetch
+  const leaveWaitlist = async (session) => {
+    if (!session.waitlist?.entryId) return false;
+    try {
+      setBookingInProgress(true);
+      const { data } = await axios.delete(`/api/bookings/waitlist/${session.waitlist.entryId}`);
+      toast.success(data.message);
+      fetchAllData({ silent: true });
+      return true;
+    } catch (error) {
+      console.error('Waitlist leave error:', error);
+      toast.error(error.response?.data?.error || 'Failed to leave waitlist');
       return false;
     } finally {
       setBookingInProgress(false);
@@ -232,16 +318,51 @@ export function SessionDataProvider({ children }) {
   // Format helpers
   const formatBooking = (booking) => {
     const dayName = DAY_NAMES[booking.day];
-    const timeSlotName = TIME_SLOT_NAMES[booking.timeSlot];
-    return `${dayName}, ${timeSlotName}`;
+    return `${dayName}, ${booking.timeSlotName}`;
   };
 
   const formatSession = (session) => {
     const dayName = DAY_NAMES[session.day];
-    const timeSlotName = TIME_SLOT_NAMES[session.timeSlot];
-    return `${dayName}, ${timeSlotName}`;
+    return `${dayName}, ${session.timeSlotName}`;
   };
 
+  // Apply a pushed availability change. Counts are absolute, so patching in
+  // place is safe even if our own optimistic update already applied. Changes
+  // that can move the student's own bookings — a capacity edit, or a slot they
+  // hold or are queued for (admin cancel, waitlist promotion) — refetch instead.
+  const applySessionChange = useCallback((change) => {
+    if (change.weekOf && change.weekOf !== weekOf) return;
+
+    const current = sessions.find(s => s.id === change.sessionId);
+    // Slot-wide changes (capacity edits, closures, one-week changes to a
+    // session) can add or remove sessions: refetch if it's this student's class
+    if (!change.weekOf) {
+      if (current || change.category === student?.category) fetchAllData({ silent: true });
+      return;
+    }
+    if (!current) return;
+
+    if (current.isBooked || current.waitlist?.position > 0) {
+      fetchAllData({ silent: true });
+      return;
+    }
+
+    setSessions(prevSessions =>
+      prevSessions.map(s => s.id === change.sessionId
+        ? {
+            ...s,
+            capacity: change.capacity,
+            availableSpots: change.availableSpots,
+            isAvailable: change.availableSpots > 0,
+            waitlist: { ...s.waitlist, count: change.waitlistCount }
+          }
+        : s
+      )
+    );
+  }, [weekOf, sessions, student?.category, fetchAllData]);
+
+  const { connected: liveConnected } = useSessionStream(applySessionChange, isAuthenticated);
+
   // Fetch data on component mount or auth change
   useEffect(() => {
     fetchAllData();
@@ -278,11 +399,20 @@ export function SessionDataProvider({ children }) {
     bookingInProgress,
     lastRefresh,
     lastAction,
+    liveConnected,
+
+    // Week selection
+    weekOf,
+    weeks,
+    selectWeek,
 
     // Actions
     fetchAllData,
     bookSession,
     cancelBooking,
+    rescheduleBooking,
+    joinWaitlist,
+    leaveWaitlist,
     
     // Utilities
     isDayBooked,
@@ -294,6 +424,8 @@ export function SessionDataProvider({ children }) {
     
     // Settings
     maxDaysPerWeek,
+    maxSessionsPerDay,
+    blockLateCancellations,
 
     // Derived data
     remainingSlots: maxDaysPerWeek - bookings.length
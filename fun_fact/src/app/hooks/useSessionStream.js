@@ -0,0 +1,48 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Subscribe to live session availability from /api/sessions/stream.
+ * The browser's EventSource reconnects on its own after a dropped connection;
+ * `connected` reflects whether the stream is currently open.
+ * @param {Function} onChange - Called with each session change payload
+ * @param {boolean} [enabled=true] - Open the stream only while true (e.g. once authenticated)
+ * @returns {{ connected: boolean }}
+ */
+export function useSessionStream(onChange, enabled = true) {
+  const [connected, setConnected] = useState(false);
+
+  // Keep the latest callback without reopening the stream on every render
+  const onChangeRef = useRef(onChange);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  }, [onChange]);
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource('/api/sessions/stream');
+
+    const handleOpen = () => setConnected(true);
+    const handleError = () => setConnected(false);
+    const handleSession = (event) => {
+      try {
+        onChangeRef.current(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Invalid session stream event:', error);
+      }
+    };
+
+    source.addEventListener('open', handleOpen);
+    source.addEventListener('error', handleError);
+    source.addEventListener('session', handleSession);
+
+    return () => {
+      source.close();
+      setConnected(false);
+    };
+  }, [enabled]);
+
+  return { connected };
+}
@@ -8,14 +8,16 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
 import { useAuth } from './useAuth';
-import { DAY_NAMES, TIME_SLOT_NAMES } from '@/app/lib/constants';
+import { DAY_NAMES } from '@/app/lib/constants';
 import useBookings from './useBookings'; // Import useBookings for coordination
+import { useSessionStream } from './useSessionStream';
 
 export default function useSessions() {
   const { isAuthenticated } = useAuth();
   const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [weekOf, setWeekOf] = useState(null);
   const { lastAction, bookings } = useBookings(); // Get booking state
 
   // Fetch all sessions
@@ -25,6 +27,7 @@ export default function useSessions() {
       const { data } = await axios.get('/api/sessions');
       
       setSessions(data.sessions);
+      setWeekOf(data.weekOf);
       setError(null);
       return data.sessions;
     } catch (err) {
@@ -86,6 +89,21 @@ export default function useSessions() {
     });
   }, [lastAction, bookings]);
   
+  // Live availability: patch counts for the week in view; a capacity edit
+  // (no weekOf) affects every week, so refetch
+  useSessionStream(useCallback((change) => {
+    if (!change.weekOf) {
+      fetchSessions();
+      return;
+    }
+    if (change.weekOf !== weekOf) return;
+
+    setSessions(prevSessions => prevSessions.map(s => s.id === change.sessionId
+      ? { ...s, capacity: change.capacity, availableSpots: change.availableSpots, isAvailable: change.availableSpots > 0 }
+      : s
+    ));
+  }, [weekOf, fetchSessions]), isAuthenticated);
+
   // Refresh sessions - actually fetch from server when needed
   const refreshSessions = useCallback(() => {
     if (isAuthenticated) {
@@ -107,8 +125,7 @@ export default function useSessions() {
   // Format session for display
   const formatSession = (session) => {
     const dayName = DAY_NAMES[session.day];
-    const timeSlotName = TIME_SLOT_NAMES[session.timeSlot];
-    return `${dayName}, ${timeSlotName}`;
+    return `${dayName}, ${session.timeSlotName}`;
   };
 
   // Check if a day is fully booked
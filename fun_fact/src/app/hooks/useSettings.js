@@ -8,6 +8,7 @@ const DEFAULTS = {
   max_capacity_per_session: SESSION_CONSTRAINTS.MAX_CAPACITY,
   max_days_per_week: SESSION_CONSTRAINTS.MAX_DAYS_PER_STUDENT,
   max_sessions_per_day: SESSION_CONSTRAINTS.MAX_SESSIONS_PER_DAY,
+  booking_horizon_weeks: 1,
   total_practicals_required: 15,
 };
 
@@ -85,7 +85,9 @@ export function StaffAuthProvider({ children }) {
     logout,
     isAuthenticated: !!user,
     isAdmin: user?.role === 'ADMIN',
-    isInstructor: user?.role === 'INSTRUCTOR'
+    isInstructor: user?.role === 'INSTRUCTOR',
+    permissions: user?.permissions || [],
+    can: (permission) => !!user?.permissions?.includes(permission)
   };
 
   return (
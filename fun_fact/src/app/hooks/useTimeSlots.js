@@ -0,0 +1,65 @@
+'use client';
+
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import axios from 'axios';
+import { DAYS, DAY_NAMES } from '../lib/constants';
+
+const DAY_ORDER = Object.values(DAYS);
+
+// "Mon–Fri" for a run of consecutive days, "Mon, Wed" otherwise
+function describeDays(days) {
+  const indexes = days.map(d => DAY_ORDER.indexOf(d));
+  const consecutive = indexes.every((n, i) => i === 0 || n === indexes[i - 1] + 1);
+  const short = (d) => DAY_NAMES[d].slice(0, 3);
+  return consecutive && days.length > 1
+    ? `${short(days[0])}–${short(days[days.length - 1])}`
+    : days.map(short).join(', ');
+}
+
+/**
+ * The time slot catalogue for staff screens (GET /api/admin/time-slots).
+ * `dayGroups` puts days that run the same active slots together, so the
+ * timetable and capacity grids render one table per group — Mon–Fri and
+ * Sat–Sun with the original slots.
+ */
+export function useTimeSlots() {
+  const [timeSlots, setTimeSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    try {
+      const { data } = await axios.get('/api/admin/time-slots');
+      setTimeSlots(data.timeSlots || []);
+    } catch (err) {
+      console.error('Failed to fetch time slots:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const slotMap = useMemo(
+    () => Object.fromEntries(timeSlots.map(slot => [slot.code, slot])),
+    [timeSlots]
+  );
+
+  const slotsForDay = useCallback(
+    (day) => timeSlots.filter(slot => slot.isActive && slot.days.includes(day)),
+    [timeSlots]
+  );
+
+  const dayGroups = useMemo(() => {
+    const groups = new Map();
+    for (const day of DAY_ORDER) {
+      const slots = slotsForDay(day);
+      if (slots.length === 0) continue;
+      const key = slots.map(s => s.code).join('|');
+      if (!groups.has(key)) groups.set(key, { days: [], slots });
+      groups.get(key).days.push(day);
+    }
+    return [...groups.values()].map(group => ({ ...group, title: describeDays(group.days) }));
+  }, [slotsForDay]);
+
+  return { timeSlots, setTimeSlots, slotMap, slotsForDay, dayGroups, loading, reload };
+}
@@ -3,11 +3,12 @@
 
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
 import {
   Calendar,
+  CalendarRange,
   Users,
   ChevronDown,
   ChevronUp,
@@ -32,6 +33,21 @@ import {
   CheckCircle2,
   Download,
   MoreVertical,
+  UserCheck,
+  Car,
+  CalendarX,
+  Hourglass,
+  Ban,
+  CalendarClock,
+  Timer,
+  Globe,
+  Mail,
+  MessageSquare,
+  Trash2,
+  Undo2,
+  History,
+  UserCog,
+  ShieldCheck,
 } from 'lucide-react';
 import {
   AlertDialog,
@@ -43,10 +59,10 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from "@/components/ui/alert-dialog";
-import { DAY_NAMES, TIME_SLOT_NAMES, LICENCE_CLASSES, LICENCE_CLASS_NAMES } from '@/app/lib/constants';
+import { DAY_NAMES, LICENCE_CLASSES, LICENCE_CLASS_NAMES } from '@/app/lib/constants';
 
 // Shadcn components
-import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription, CardAction } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Badge } from '@/components/ui/badge';
@@ -86,40 +102,72 @@ import StudentNumber from '@/components/StudentNumber';
 import StudentsList from '@/components/StudentsList';
 import ExportDataSheet from '@/components/ExportDataSheet';
 import SessionCapacityMatrix from '@/components/SessionCapacityMatrix';
+import ClosureCalendar from '@/components/ClosureCalendar';
+import FleetManager from '@/components/FleetManager';
+import TimeSlotManager from '@/components/TimeSlotManager';
+import SessionAssignmentEditor from '@/components/SessionAssignmentEditor';
+import SessionWeekEditor from '@/components/SessionWeekEditor';
+import ExtraSessionDialog from '@/components/ExtraSessionDialog';
+import JobsPanel from '@/components/JobsPanel';
+import AuditLog from '@/components/AuditLog';
+import StaffManager from '@/components/StaffManager';
+import LoginSessions from '@/components/LoginSessions';
+import TwoFactorSettings from '@/components/TwoFactorSettings';
+import BranchSwitcher from '@/components/BranchSwitcher';
 import PoweredByFooter from '@/components/PoweredByFooter';
+import { useSessionStream } from '@/app/hooks/useSessionStream';
 
 export default function InstructorDashboard() {
   // State management
   const [sessions, setSessions] = useState([]);
   const [analytics, setAnalytics] = useState(null);
+  const [weekOf, setWeekOf] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedDay, setSelectedDay] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
   const [addParticipantSession, setAddParticipantSession] = useState(null);
   const [rosterSessionId, setRosterSessionId] = useState(null);
+  const [extraSessionOpen, setExtraSessionOpen] = useState(false);
   const [activeTab, setActiveTab] = useState('sessions');
-  const [userRole, setUserRole] = useState(null);
+  // What the signed-in staff member's role lets them do (lib/permissions.js)
+  const [permissions, setPermissions] = useState([]);
+  // The branch being worked in and the ones to switch between (GET /api/instructor/profile/branch)
+  const [branchInfo, setBranchInfo] = useState(null);
+  // Bumped on a branch switch so the tabs remount and load that branch's data
+  const [branchVersion, setBranchVersion] = useState(0);
   const [categoryFilter, setCategoryFilter] = useState('');
+  const [mineOnly, setMineOnly] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   // Header action sheets — controlled so both desktop buttons and the mobile overflow menu can open them
   const [createStudentOpen, setCreateStudentOpen] = useState(false);
   const [addInstructorOpen, setAddInstructorOpen] = useState(false);
   const [exportOpen, setExportOpen] = useState(false);
+  const [sessionsOpen, setSessionsOpen] = useState(false);
   // Pending terminal status change awaiting confirmation
   const [pendingStatus, setPendingStatus] = useState(null);
   const [applyingStatus, setApplyingStatus] = useState(false);
 
-  const isAdmin = userRole === 'ADMIN';
+  const can = (permission) => permissions.includes(permission);
+  const canOpenSettings = SETTINGS_PERMISSIONS.some(can);
 
-  // Fetch session data (optionally scoped to a licence class)
+  // Across several branches, sessions are labelled with theirs
+  const branchNames = branchInfo && !branchInfo.activeBranch && branchInfo.branches.length > 1
+    ? Object.fromEntries(branchInfo.branches.map((b) => [b.code, b.name]))
+    : null;
+  const branchName = (session) => branchNames?.[session.branch] || null;
+
+  // Fetch session data (optionally scoped to a licence class and/or my assignments)
   const fetchData = async () => {
     try {
       setRefreshing(true);
-      const params = categoryFilter ? `?category=${categoryFilter}` : '';
-      const { data } = await axios.get(`/api/instructor/sessions${params}`);
+      const params = {};
+      if (categoryFilter) params.category = categoryFilter;
+      if (mineOnly) params.mine = 'true';
+      const { data } = await axios.get('/api/instructor/sessions', { params });
       setSessions(data.sessions);
       setAnalytics(data.analytics);
+      setWeekOf(data.weekOf);
       setError(null);
     } catch (err) {
       console.error('Error fetching session data:', err);
@@ -131,11 +179,14 @@ export default function InstructorDashboard() {
     }
   };
 
-  // Fetch user role once on mount
+  // Fetch the user's permissions and branch once on mount
   useEffect(() => {
     axios.get('/api/auth/staff')
-      .then(({ data }) => setUserRole(data.user?.role || null))
-      .catch(() => setUserRole(null));
+      .then(({ data }) => setPermissions(data.user?.permissions || []))
+      .catch(() => setPermissions([]));
+    axios.get('/api/instructor/profile/branch')
+      .then(({ data }) => setBranchInfo(data))
+      .catch(() => setBranchInfo(null));
   }, []);
 
   // Roster opens as a bottom sheet on phones (field-friendly), side drawer on desktop
@@ -147,11 +198,24 @@ export default function InstructorDashboard() {
     return () => mq.removeEventListener('change', update);
   }, []);
 
-  // (Re)fetch sessions on mount and whenever the class filter changes
+  // (Re)fetch sessions on mount and whenever the filters change
   useEffect(() => {
     fetchData();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [categoryFilter]);
+  }, [categoryFilter, mineOnly]);
+
+  // Live refresh: bookings made elsewhere (students, other staff) push a change
+  // over the session stream. Bursts (bulk attend, multi-slot capacity edits)
+  // are coalesced into one refetch.
+  const liveRefreshTimer = useRef(null);
+  const { connected: liveConnected } = useSessionStream((change) => {
+    if (change.weekOf && change.weekOf !== weekOf) return;
+    if (categoryFilter && change.category !== categoryFilter) return;
+    clearTimeout(liveRefreshTimer.current);
+    liveRefreshTimer.current = setTimeout(fetchData, 750);
+  });
+
+  useEffect(() => () => clearTimeout(liveRefreshTimer.current), []);
 
   // Filter sessions by selected day
   const filteredSessions = selectedDay
@@ -176,6 +240,15 @@ export default function InstructorDashboard() {
     setSelectedDay(day === selectedDay ? null : day);
   };
 
+  // Switch branch: reload the sessions and remount the tabs, which load their own data
+  const handleBranchSwitched = (activeBranch) => {
+    setBranchInfo((prev) => ({ ...prev, activeBranch }));
+    setBranchVersion((v) => v + 1);
+    setRosterSessionId(null);
+    setSelectedDay(null);
+    fetchData();
+  };
+
   // Handle staff logout
   const handleLogout = async () => {
     try {
@@ -191,8 +264,11 @@ export default function InstructorDashboard() {
   // Handle booking status update
   const handleStatusUpdate = async (bookingId, newStatus) => {
     try {
-      await axios.patch(`/api/instructor/bookings/${bookingId}`, { status: newStatus });
+      const { data } = await axios.patch(`/api/instructor/bookings/${bookingId}`, { status: newStatus });
       toast.success(`Marked ${STATUS_LABELS[newStatus] || newStatus}`);
+      if (data.suspension) {
+        toast.error(`Booking suspended until ${new Date(data.suspension.endsAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} — ${data.suspension.reason}`);
+      }
       fetchData();
       return true;
     } catch (err) {
@@ -316,32 +392,44 @@ export default function InstructorDashboard() {
           <div className="flex justify-between items-center gap-3">
             <div className="min-w-0">
               <h1 className="text-lg sm:text-2xl font-bold text-white truncate">Instructor Dashboard</h1>
-              <p className="hidden sm:block text-sm text-blue-200">
+              <p className="hidden sm:flex items-center text-sm text-blue-200">
                 Manage sessions and students
+                {liveConnected && (
+                  <span className="flex items-center ml-3 text-xs text-green-300" title="Session grid updates automatically">
+                    <span className="w-2 h-2 rounded-full bg-green-400 mr-1.5 animate-pulse" />
+                    Live
+                  </span>
+                )}
               </p>
             </div>
 
             {/* Desktop actions */}
             <div className="hidden sm:flex items-center gap-3 shrink-0">
-              {isAdmin && (
+              {branchInfo && <BranchSwitcher branchInfo={branchInfo} onSwitched={handleBranchSwitched} />}
+              {can('students.create') && (
                 <Button onClick={() => setCreateStudentOpen(true)} className="bg-white text-blue-900 hover:bg-blue-50">
                   <UserPlus className="mr-2 h-4 w-4" />
                   Create Student
                 </Button>
               )}
-              {isAdmin && (
+              {can('staff.manage') && (
                 <Button variant="outline" onClick={() => setAddInstructorOpen(true)} className="bg-transparent border-blue-300 text-white hover:bg-blue-800 hover:text-white">
                   <Plus className="mr-2 h-4 w-4" />
                   Add Instructor
                 </Button>
               )}
-              <Button variant="outline" onClick={() => setExportOpen(true)} className="bg-transparent text-blue-100 border-blue-400 hover:bg-blue-800 hover:text-white">
-                <Download className="mr-2 h-4 w-4" />
-                Export CSV
-              </Button>
+              {can('data.export') && (
+                <Button variant="outline" onClick={() => setExportOpen(true)} className="bg-transparent text-blue-100 border-blue-400 hover:bg-blue-800 hover:text-white">
+                  <Download className="mr-2 h-4 w-4" />
+                  Export CSV
+                </Button>
+              )}
               <Button size="icon" disabled={refreshing} onClick={fetchData} className="bg-transparent text-blue-200 hover:text-white hover:bg-blue-800 shadow-none">
                 <RefreshCcw className={`h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} />
               </Button>
+              <Button size="icon" onClick={() => setSessionsOpen(true)} title="Account security" className="bg-transparent text-blue-200 hover:text-white hover:bg-blue-800 shadow-none">
+                <ShieldCheck className="h-4 w-4" />
+              </Button>
               <Button size="icon" onClick={handleLogout} className="bg-transparent text-blue-200 hover:text-white hover:bg-blue-800 shadow-none">
                 <LogOut className="h-4 w-4" />
               </Button>
@@ -359,18 +447,23 @@ export default function InstructorDashboard() {
                   </Button>
                 </DropdownMenuTrigger>
                 <DropdownMenuContent align="end" className="w-52">
-                  {isAdmin && (
+                  {can('students.create') && (
                     <DropdownMenuItem onSelect={() => setCreateStudentOpen(true)}>
                       <UserPlus className="mr-2 h-4 w-4" /> Create Student
                     </DropdownMenuItem>
                   )}
-                  {isAdmin && (
+                  {can('staff.manage') && (
                     <DropdownMenuItem onSelect={() => setAddInstructorOpen(true)}>
                       <Plus className="mr-2 h-4 w-4" /> Add Instructor
                     </DropdownMenuItem>
                   )}
-                  <DropdownMenuItem onSelect={() => setExportOpen(true)}>
-                    <Download className="mr-2 h-4 w-4" /> Export CSV
+                  {can('data.export') && (
+                    <DropdownMenuItem onSelect={() => setExportOpen(true)}>
+                      <Download className="mr-2 h-4 w-4" /> Export CSV
+                    </DropdownMenuItem>
+                  )}
+                  <DropdownMenuItem onSelect={() => setSessionsOpen(true)}>
+                    <ShieldCheck className="mr-2 h-4 w-4" /> Account security
                   </DropdownMenuItem>
                   <DropdownMenuSeparator />
                   <DropdownMenuItem onSelect={handleLogout} className="text-red-600 focus:text-red-700">
@@ -380,11 +473,38 @@ export default function InstructorDashboard() {
               </DropdownMenu>
             </div>
           </div>
+          {branchInfo && (
+            <div className="sm:hidden mt-2">
+              <BranchSwitcher branchInfo={branchInfo} onSwitched={handleBranchSwitched} className="w-full" />
+            </div>
+          )}
         </div>
       </header>
 
       {/* Header action sheets (controlled — opened from desktop buttons or the mobile menu) */}
-      {isAdmin && (
+      <Sheet open={sessionsOpen} onOpenChange={setSessionsOpen}>
+        <SheetContent side="right" className="overflow-y-auto">
+          <SheetHeader>
+            <SheetTitle>Account Security</SheetTitle>
+            <SheetDescription>Two-factor authentication and the browsers signed in to your account</SheetDescription>
+          </SheetHeader>
+          <div className="py-4 space-y-6">
+            {sessionsOpen && (
+              <>
+                <section className="space-y-3">
+                  <h3 className="text-sm font-medium text-gray-900">Two-factor authentication</h3>
+                  <TwoFactorSettings />
+                </section>
+                <section className="space-y-3">
+                  <h3 className="text-sm font-medium text-gray-900">Where you&apos;re logged in</h3>
+                  <LoginSessions />
+                </section>
+              </>
+            )}
+          </div>
+        </SheetContent>
+      </Sheet>
+      {can('students.create') && (
         <Sheet open={createStudentOpen} onOpenChange={setCreateStudentOpen}>
           <SheetContent side="right" className="overflow-y-auto">
             <SheetHeader>
@@ -392,28 +512,30 @@ export default function InstructorDashboard() {
               <SheetDescription>Add a new student to the system</SheetDescription>
             </SheetHeader>
             <div className="py-4">
-              <CreateStudentForm onSuccess={(s) => { handleStudentCreated(s); setCreateStudentOpen(false); }} />
+              <CreateStudentForm branchInfo={branchInfo} onSuccess={(s) => { handleStudentCreated(s); setCreateStudentOpen(false); }} />
             </div>
           </SheetContent>
         </Sheet>
       )}
-      {isAdmin && (
+      {can('staff.manage') && (
         <Sheet open={addInstructorOpen} onOpenChange={setAddInstructorOpen}>
           <SheetContent side="right" className="overflow-y-auto">
             <SheetHeader>
               <SheetTitle>Add Staff Member</SheetTitle>
-              <SheetDescription>Create a new instructor or admin account</SheetDescription>
+              <SheetDescription>Create a new staff account</SheetDescription>
             </SheetHeader>
             <div className="py-4">
-              <AddInstructorForm onSuccess={() => { toast.success('Staff member added'); setAddInstructorOpen(false); }} />
+              <AddInstructorForm branchInfo={branchInfo} onSuccess={() => { toast.success('Staff member added'); setAddInstructorOpen(false); }} />
             </div>
           </SheetContent>
         </Sheet>
       )}
-      <ExportDataSheet open={exportOpen} onOpenChange={setExportOpen} showTrigger={false} />
+      {can('data.export') && (
+        <ExportDataSheet open={exportOpen} onOpenChange={setExportOpen} showTrigger={false} />
+      )}
 
       {/* Main content */}
-      <main className="container mx-auto px-4 py-6">
+      <main key={branchVersion} className="container mx-auto px-4 py-6">
         <Card>
           <CardContent className="p-0">
             <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
@@ -433,7 +555,7 @@ export default function InstructorDashboard() {
                     <GraduationCap className="w-4 h-4 mr-1.5" />
                     Students
                   </TabsTrigger>
-                  {isAdmin && (
+                  {canOpenSettings && (
                     <TabsTrigger
                       value="settings"
                       className="flex-1 h-full px-5 text-slate-500 data-[state=active]:bg-blue-900 data-[state=active]:text-white data-[state=active]:shadow-sm rounded-md transition-all"
@@ -448,7 +570,7 @@ export default function InstructorDashboard() {
               {/* Sessions Tab Content */}
               <TabsContent value="sessions" className="p-6 space-y-6">
                 {/* Licence class filter — staff can view any class's sessions */}
-                <div className="flex items-center gap-3">
+                <div className="flex flex-wrap items-center gap-3">
                   <div className="flex items-center gap-2 text-sm text-gray-600">
                     <Filter className="w-4 h-4 text-blue-600" />
                     <span className="font-medium">Licence class</span>
@@ -467,17 +589,34 @@ export default function InstructorDashboard() {
                       ))}
                     </SelectContent>
                   </Select>
+                  <Button
+                    variant={mineOnly ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => setMineOnly((v) => !v)}
+                    className={mineOnly ? 'bg-blue-900 text-white hover:bg-blue-800' : 'text-slate-700'}
+                  >
+                    <UserCheck className="w-4 h-4 mr-1.5" />
+                    My sessions
+                  </Button>
                 </div>
 
+                {/* Nothing assigned to me this week */}
+                {mineOnly && !refreshing && sessions.length === 0 && (
+                  <div className="flex items-start gap-2 text-sm bg-blue-50 border border-blue-200 rounded-lg p-3 text-blue-800">
+                    <Info className="w-4 h-4 shrink-0 mt-0.5" />
+                    <span>You have no sessions assigned this week{categoryFilter ? ` for class ${categoryFilter}` : ''}.</span>
+                  </div>
+                )}
+
                 {/* No open slots for the selected class */}
-                {categoryFilter && !refreshing && sessions.length === 0 && (
+                {categoryFilter && !mineOnly && !refreshing && sessions.length === 0 && (
                   <div className="flex items-start gap-2 text-sm bg-amber-50 border border-amber-200 rounded-lg p-3 text-amber-800">
                     <Info className="w-4 h-4 shrink-0 mt-0.5" />
                     <span>
                       No slots are open for class {categoryFilter}. Open some in{' '}
                       <button className="underline font-medium" onClick={() => setActiveTab('settings')}>
                         Settings → Session capacity
-                      </button>{isAdmin ? '.' : ' (admin only).'}
+                      </button>{can('capacities.manage') ? '.' : ' (ask an admin).'}
                     </span>
                   </div>
                 )}
@@ -598,11 +737,19 @@ export default function InstructorDashboard() {
                     <CardDescription>
                       Every offered class slot this week. Click a class to view its roster and mark attendance.
                     </CardDescription>
+                    {can('sessions.manage') && (
+                      <CardAction>
+                        <Button variant="outline" size="sm" onClick={() => setExtraSessionOpen(true)}>
+                          <Plus className="w-4 h-4 mr-1.5" />
+                          Extra session
+                        </Button>
+                      </CardAction>
+                    )}
                   </CardHeader>
                   <CardContent>
                     {sessions.length > 0 ? (
                       <SessionTimetable
-                        sessions={sessions}
+                        sessions={branchNames ? sessions.map((s) => ({ ...s, branchName: branchName(s) })) : sessions}
                         onOpenSession={(s) => setRosterSessionId(s.id)}
                       />
                     ) : (
@@ -685,11 +832,23 @@ export default function InstructorDashboard() {
                                       {session.category}
                                     </Badge>
                                   )}
+                                  {branchName(session) && (
+                                    <Badge variant="outline" className="text-gray-600 border-gray-200 bg-gray-50">
+                                      {branchName(session)}
+                                    </Badge>
+                                  )}
                                 </div>
                                 <div className="text-sm text-gray-600 flex items-center mt-0.5">
                                   <Users className="w-3 h-3 mr-1" />
-                                  {session.enrolledCount}/{session.capacity} enrolled
+                                  {session.isCancelled
+                                    ? <span className="text-red-700">Cancelled this week</span>
+                                    : <>{session.enrolledCount}/{session.capacity} enrolled{session.isExtra && ' · extra'}</>}
                                 </div>
+                                {session.assignment && (
+                                  <div className="text-xs text-gray-500 truncate mt-0.5">
+                                    <AssignmentSummary assignment={session.assignment} />
+                                  </div>
+                                )}
                               </div>
                               <ChevronRight className="w-5 h-5 text-gray-400 shrink-0" />
                             </button>
@@ -703,13 +862,13 @@ export default function InstructorDashboard() {
 
               {/* Students Tab Content */}
               <TabsContent value="students" className="p-6">
-                <StudentsList isAdmin={isAdmin} />
+                <StudentsList can={can} />
               </TabsContent>
 
-              {/* Settings Tab Content (Admin only) */}
-              {isAdmin && (
+              {/* Settings Tab Content (only the parts the user may manage) */}
+              {canOpenSettings && (
                 <TabsContent value="settings" className="p-6">
-                  <SettingsPanel />
+                  <SettingsPanel can={can} />
                 </TabsContent>
               )}
             </Tabs>
@@ -726,6 +885,16 @@ export default function InstructorDashboard() {
         />
       )}
 
+      {/* Extra session for the week on screen (admin) */}
+      {extraSessionOpen && (
+        <ExtraSessionDialog
+          weekOf={weekOf}
+          category={categoryFilter}
+          onClose={() => setExtraSessionOpen(false)}
+          onAdded={fetchData}
+        />
+      )}
+
       {/* Roster Sheet — opened from the timetable (desktop) or the session list (mobile) */}
       <Sheet open={!!rosterSession} onOpenChange={(o) => { if (!o) setRosterSessionId(null); }}>
         <SheetContent
@@ -740,13 +909,34 @@ export default function InstructorDashboard() {
                   <Badge variant="outline" className="text-blue-700 border-blue-200 bg-blue-50">
                     {rosterSession.category}
                   </Badge>
+                  {branchName(rosterSession) && (
+                    <Badge variant="outline" className="text-gray-600 border-gray-200 bg-gray-50">
+                      {branchName(rosterSession)}
+                    </Badge>
+                  )}
                 </SheetTitle>
                 <SheetDescription>
                   {rosterSession.enrolledCount}/{rosterSession.capacity} enrolled · {rosterSession.fillPercentage}% full
+                  {rosterSession.capacity < rosterSession.baseCapacity && (
+                    <> · capped from {rosterSession.baseCapacity} by vehicles on the road</>
+                  )}
+                  {rosterSession.isExtra && <> · extra session, this week only</>}
+                  {rosterSession.isCancelled && <> · cancelled this week</>}
                 </SheetDescription>
               </SheetHeader>
 
               <div className="px-4 pb-6 space-y-3">
+                {can('sessions.manage') ? (
+                  <>
+                    <SessionWeekEditor session={rosterSession} onSaved={fetchData} />
+                    <SessionAssignmentEditor session={rosterSession} weekOf={weekOf} onSaved={fetchData} />
+                  </>
+                ) : rosterSession.assignment ? (
+                  <div className="text-sm text-gray-600 bg-gray-50 border border-gray-100 rounded-lg p-3">
+                    <AssignmentSummary assignment={rosterSession.assignment} />
+                  </div>
+                ) : null}
+
                 {rosterBooked > 0 && (
                   <Button
                     variant="outline"
@@ -840,6 +1030,7 @@ const STATUS_STYLES = {
   COMPLETED: 'bg-emerald-100 text-emerald-800',
   INCOMPLETE: 'bg-yellow-100 text-yellow-800',
   CANCELLED: 'bg-gray-100 text-gray-500',
+  LATE_CANCEL: 'bg-amber-100 text-amber-800',
 };
 
 const STATUS_LABELS = {
@@ -849,8 +1040,28 @@ const STATUS_LABELS = {
   COMPLETED: 'Completed',
   INCOMPLETE: 'Incomplete',
   CANCELLED: 'Cancelled',
+  LATE_CANCEL: 'Late Cancel',
 };
 
+// "Instructor · Vehicle" line for a session's effective assignment
+function AssignmentSummary({ assignment }) {
+  return (
+    <span className="inline-flex flex-wrap items-center gap-x-3 gap-y-1">
+      <span className="inline-flex items-center gap-1">
+        <UserCheck className="w-3 h-3" />
+        {assignment.instructor?.name || 'No instructor'}
+      </span>
+      {assignment.vehicle && (
+        <span className="inline-flex items-center gap-1">
+          <Car className="w-3 h-3" />
+          {assignment.vehicle.registration}
+        </span>
+      )}
+      {assignment.weekOf && <span className="text-amber-700">this week only</span>}
+    </span>
+  );
+}
+
 // Statuses with no onward transition — marking one cannot be undone.
 const TERMINAL_STATUSES = ['NO_SHOW', 'COMPLETED', 'INCOMPLETE'];
 
@@ -932,7 +1143,19 @@ function StudentRow({ student, onStatusUpdate }) {
   );
 }
 
-// Settings Panel Component (Admin only)
+// Settings Panel Component
+// Each sub-tab shows for the permissions that can use it; the Settings tab
+// itself shows for anyone with at least one of them.
+const SETTINGS_TABS = [
+  { value: 'capacity', permissions: ['capacities.manage', 'timetable.manage', 'fleet.manage'] },
+  { value: 'rules', permissions: ['settings.manage'] },
+  { value: 'automation', permissions: ['settings.manage'] },
+  { value: 'maintenance', permissions: ['maintenance.run'] },
+  { value: 'staff', permissions: ['staff.manage'] },
+  { value: 'audit', permissions: ['audit.view'] },
+];
+const SETTINGS_PERMISSIONS = [...new Set(SETTINGS_TABS.flatMap((tab) => tab.permissions))];
+
 // Presentation metadata for known settings: icon, helper text, units, and
 // (for booleans) the two radio choices with their own descriptions.
 const SETTING_META = {
@@ -951,11 +1174,57 @@ const SETTING_META = {
     description: 'Sessions a student may book on a single day.',
     unit: 'sessions',
   },
+  booking_horizon_weeks: {
+    icon: CalendarRange,
+    description: 'How many weeks beyond the current one students can book. 0 keeps booking to the current week.',
+    unit: 'weeks',
+  },
   total_practicals_required: {
     icon: GraduationCap,
     description: 'Completed practicals required to finish the course.',
     unit: 'practicals',
   },
+  cancel_cutoff_hours: {
+    icon: Hourglass,
+    description: 'Students cancelling or moving a session later than this before it starts are past the deadline. 0 allows it up to the start.',
+    unit: 'hours',
+  },
+  school_timezone: {
+    icon: Globe,
+    description: 'Time slots, cancellation deadlines and the weekly rollover follow this timezone, e.g. Africa/Nairobi.',
+    suggestions: () => (typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []),
+  },
+  week_rollover_hour: {
+    icon: CalendarRange,
+    description: 'From this hour on Sunday (school time) students book the next week. 24 waits until Monday.',
+    unit: ':00 Sunday',
+    max: 24,
+  },
+  sms_reminder_hours: {
+    icon: MessageSquare,
+    description: 'How long before a session students with a phone number get a text reminder. 0 turns reminders off.',
+    unit: 'hours',
+  },
+  log_retention_days: {
+    icon: Trash2,
+    description: 'System logs, the notifications log and job history older than this are deleted nightly. Bookings are never deleted. 0 keeps everything.',
+    unit: 'days',
+  },
+  no_show_limit: {
+    icon: Ban,
+    description: 'Missed sessions within the window below that suspend a student from booking. 0 turns suspensions off.',
+    unit: 'missed',
+  },
+  no_show_window_weeks: {
+    icon: CalendarClock,
+    description: 'How many recent weeks, counting this one, are checked for missed sessions.',
+    unit: 'weeks',
+  },
+  suspension_weeks: {
+    icon: Timer,
+    description: 'How long a suspended student cannot book. Admins can lift a suspension early from the student history.',
+    unit: 'weeks',
+  },
   auto_deactivate_on_completion: {
     icon: UserX,
     description: 'What happens once a student completes all required practicals.',
@@ -972,9 +1241,89 @@ const SETTING_META = {
       },
     ],
   },
+  email_notifications: {
+    icon: Mail,
+    description: 'Whether students get emails when their bookings are made, cancelled or marked.',
+    options: [
+      {
+        value: 'true',
+        title: 'Send emails',
+        description: 'Every email is recorded in the notifications log, including failed ones.',
+      },
+      {
+        value: 'false',
+        title: 'No emails',
+        description: 'Students only see booking changes in the app.',
+      },
+    ],
+  },
+  student_login_codes: {
+    icon: ShieldCheck,
+    description: 'Whether a student ID and email are enough to log in.',
+    options: [
+      {
+        value: 'false',
+        title: 'ID and email',
+        description: 'Students log in with their student ID and email address alone.',
+      },
+      {
+        value: 'true',
+        title: 'Also a one-time code',
+        description: 'Students also enter a code sent to their email, or by text to their phone. Codes expire after 10 minutes.',
+      },
+    ],
+  },
+  require_admin_2fa: {
+    icon: ShieldCheck,
+    description: 'Whether admins must confirm each login with an authenticator app.',
+    options: [
+      {
+        value: 'false',
+        title: 'Optional',
+        description: 'Each staff member chooses whether to turn on two-factor authentication.',
+      },
+      {
+        value: 'true',
+        title: 'Required for admins',
+        description: 'Admins without two-factor can do nothing but set it up. Instructors still choose for themselves.',
+      },
+    ],
+  },
+  late_cancels_count_as_no_shows: {
+    icon: Ban,
+    description: 'Whether late cancellations count toward the missed-session limit.',
+    options: [
+      {
+        value: 'true',
+        title: 'Count as missed',
+        description: 'A late cancellation counts like a no-show toward a suspension.',
+      },
+      {
+        value: 'false',
+        title: 'Only no-shows count',
+        description: 'Late cancellations stay on the record but never lead to a suspension.',
+      },
+    ],
+  },
+  block_late_cancellations: {
+    icon: CalendarX,
+    description: 'What happens when a student cancels or moves a session after the cancellation deadline.',
+    options: [
+      {
+        value: 'false',
+        title: 'Record as late cancel',
+        description: 'The spot is freed and the booking is marked Late Cancel on their record.',
+      },
+      {
+        value: 'true',
+        title: 'Block the cancellation',
+        description: 'The student keeps the booking and must contact an instructor to cancel.',
+      },
+    ],
+  },
 };
 
-function SettingsPanel() {
+function SettingsPanel({ can }) {
   const [settings, setSettings] = useState([]);
   const [loading, setLoading] = useState(true);
   const [numericEdits, setNumericEdits] = useState({});
@@ -982,6 +1331,10 @@ function SettingsPanel() {
   const [savingKey, setSavingKey] = useState({});
   const [archiving, setArchiving] = useState(false);
   const [showArchiveConfirm, setShowArchiveConfirm] = useState(false);
+  const [archivePreview, setArchivePreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [undoing, setUndoing] = useState(false);
+  const [showUndoConfirm, setShowUndoConfirm] = useState(false);
 
   useEffect(() => {
     axios.get('/api/admin/settings')
@@ -1005,10 +1358,17 @@ function SettingsPanel() {
     setSavingAll(true);
     const payload = Object.fromEntries(changedNumeric.map((s) => [s.key, numericEdits[s.key]]));
     try {
-      await axios.patch('/api/admin/settings', payload);
-      setSettings((prev) => prev.map((s) => (payload[s.key] !== undefined ? { ...s, value: String(payload[s.key]) } : s)));
-      setNumericEdits({});
-      toast.success(`Saved ${changedNumeric.length} change${changedNumeric.length !== 1 ? 's' : ''}`);
+      const { data } = await axios.patch('/api/admin/settings', payload);
+      // Keys the server refused stay in the form as unsaved edits
+      const saved = Object.fromEntries(
+        (data.results || []).filter((r) => r.updated).map((r) => [r.key, r.value])
+      );
+      const failed = (data.results || []).filter((r) => r.error);
+      setSettings((prev) => prev.map((s) => (saved[s.key] !== undefined ? { ...s, value: saved[s.key] } : s)));
+      setNumericEdits((prev) => Object.fromEntries(Object.entries(prev).filter(([key]) => saved[key] === undefined)));
+      const count = Object.keys(saved).length;
+      if (count > 0) toast.success(`Saved ${count} change${count !== 1 ? 's' : ''}`);
+      failed.forEach((r) => toast.error(`${settings.find((s) => s.key === r.key)?.label || r.key}: ${r.error}`));
     } catch (err) {
       toast.error(err.response?.data?.error || 'Failed to save settings');
     } finally {
@@ -1030,6 +1390,20 @@ function SettingsPanel() {
     }
   };
 
+  // The confirm dialog lists exactly what the archive would change
+  const openArchiveConfirm = async () => {
+    setPreviewing(true);
+    try {
+      const { data } = await axios.post('/api/admin/reset-bookings?dryRun=true');
+      setArchivePreview(data);
+      setShowArchiveConfirm(true);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to preview the archive');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   const handleArchive = async () => {
     setShowArchiveConfirm(false);
     setArchiving(true);
@@ -1043,6 +1417,21 @@ function SettingsPanel() {
     }
   };
 
+  const handleUndoArchive = async () => {
+    setShowUndoConfirm(false);
+    setUndoing(true);
+    try {
+      const { data } = await axios.post('/api/admin/reset-bookings/undo');
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to undo the archive');
+    } finally {
+      setUndoing(false);
+    }
+  };
+
+  const previewCount = archivePreview ? archivePreview.booked.length + archivePreview.attended.length : 0;
+
   if (loading) {
     return (
       <div className="space-y-4">
@@ -1053,7 +1442,8 @@ function SettingsPanel() {
     );
   }
 
-  const subTab = (value, Icon, label, short) => (
+  const visibleTabs = SETTINGS_TABS.filter((tab) => tab.permissions.some(can)).map((tab) => tab.value);
+  const subTab = (value, Icon, label, short) => visibleTabs.includes(value) && (
     <TabsTrigger
       value={value}
       className="flex-1 h-full px-2 sm:px-4 text-xs sm:text-sm text-slate-500 data-[state=active]:bg-blue-900 data-[state=active]:text-white data-[state=active]:shadow-sm rounded-md transition-all"
@@ -1076,17 +1466,27 @@ function SettingsPanel() {
         </p>
       </div>
 
-      <Tabs defaultValue="capacity" className="w-full">
+      <Tabs defaultValue={visibleTabs[0]} className="w-full">
         <TabsList className="w-full h-11 bg-transparent border border-slate-200 p-1 rounded-lg">
           {subTab('capacity', SlidersHorizontal, 'Schedule & capacity', 'Capacity')}
           {subTab('rules', BarChart3, 'Booking rules', 'Rules')}
           {subTab('automation', Zap, 'Automation', 'Auto')}
           {subTab('maintenance', RefreshCcw, 'Maintenance', 'Archive')}
+          {subTab('staff', UserCog, 'Staff', 'Staff')}
+          {subTab('audit', History, 'Audit log', 'Audit')}
         </TabsList>
 
-        {/* Primary: per-class capacity is how offerings are controlled */}
-        <TabsContent value="capacity" className="pt-4">
-          <SessionCapacityMatrix />
+        {/* Primary: per-class capacity is how offerings are controlled;
+            closures override it for specific dates */}
+        <TabsContent value="capacity" className="pt-4 space-y-4">
+          {can('capacities.manage') && <SessionCapacityMatrix />}
+          {can('timetable.manage') && (
+            <>
+              <TimeSlotManager />
+              <ClosureCalendar />
+            </>
+          )}
+          {can('fleet.manage') && <FleetManager />}
         </TabsContent>
 
         {/* Booking rules — batch save */}
@@ -1133,8 +1533,8 @@ function SettingsPanel() {
           </div>
         </TabsContent>
 
-        {/* Maintenance — weekly archive */}
-        <TabsContent value="maintenance" className="pt-4">
+        {/* Maintenance — weekly archive and the job schedule */}
+        <TabsContent value="maintenance" className="pt-4 space-y-4">
           <div className="rounded-lg border border-gray-200 p-5">
             <h3 className="text-base font-medium text-gray-900 flex items-center mb-1">
               <RefreshCcw className="mr-2 w-5 h-5 text-blue-600" />
@@ -1143,18 +1543,32 @@ function SettingsPanel() {
             <p className="text-sm text-gray-500 mb-4">
               Archive stale bookings from past weeks. Runs automatically every Sunday — use this to trigger manually if needed.
             </p>
-            <Button
-              variant="outline"
-              disabled={archiving}
-              onClick={() => setShowArchiveConfirm(true)}
-              className="border-blue-200 text-blue-700 hover:bg-blue-50"
-            >
-              {archiving ? (
-                <><Loader2 className="mr-2 w-4 h-4 animate-spin" /> Archiving...</>
-              ) : (
-                <><RefreshCcw className="mr-2 w-4 h-4" /> Run Archive Now</>
-              )}
-            </Button>
+            <div className="flex flex-wrap gap-2">
+              <Button
+                variant="outline"
+                disabled={archiving || previewing || undoing}
+                onClick={openArchiveConfirm}
+                className="border-blue-200 text-blue-700 hover:bg-blue-50"
+              >
+                {archiving || previewing ? (
+                  <><Loader2 className="mr-2 w-4 h-4 animate-spin" /> {archiving ? 'Archiving...' : 'Checking...'}</>
+                ) : (
+                  <><RefreshCcw className="mr-2 w-4 h-4" /> Run Archive Now</>
+                )}
+              </Button>
+              <Button
+                variant="outline"
+                disabled={archiving || previewing || undoing}
+                onClick={() => setShowUndoConfirm(true)}
+                className="border-gray-200 text-gray-700 hover:bg-gray-50"
+              >
+                {undoing ? (
+                  <><Loader2 className="mr-2 w-4 h-4 animate-spin" /> Undoing...</>
+                ) : (
+                  <><Undo2 className="mr-2 w-4 h-4" /> Undo Last Archive</>
+                )}
+              </Button>
+            </div>
           </div>
 
           <AlertDialog open={showArchiveConfirm} onOpenChange={setShowArchiveConfirm}>
@@ -1165,16 +1579,37 @@ function SettingsPanel() {
                   Archive Stale Bookings
                 </AlertDialogTitle>
                 <AlertDialogDescription>
-                  This will permanently update the status of all unresolved bookings from past weeks. This action cannot be undone.
+                  This will update the status of all unresolved bookings from past weeks. The last archive can be undone
+                  from this tab.
                 </AlertDialogDescription>
                 <div className="space-y-3 text-sm">
-                  <div className="bg-amber-50 p-3 rounded-md border border-amber-200 space-y-1">
-                    <div className="text-amber-800 font-medium">The following changes will be made:</div>
-                    <ul className="list-disc list-inside text-amber-700 mt-1">
-                      <li>BOOKED (not attended) will be set to CANCELLED</li>
-                      <li>ATTENDED (not finalized) will be set to INCOMPLETE</li>
-                    </ul>
-                  </div>
+                  {previewCount === 0 ? (
+                    <div className="bg-gray-50 p-3 rounded-md border border-gray-200 text-gray-600">
+                      No bookings from past weeks are unresolved — there is nothing to archive.
+                    </div>
+                  ) : (
+                    <div className="bg-amber-50 p-3 rounded-md border border-amber-200 space-y-2">
+                      <div className="text-amber-800 font-medium">
+                        {previewCount} booking{previewCount !== 1 ? 's' : ''} will change:
+                      </div>
+                      <ul className="max-h-60 overflow-y-auto space-y-1 text-amber-700">
+                        {[...archivePreview.booked, ...archivePreview.attended].map((b) => (
+                          <li key={b.id} className="flex justify-between gap-3">
+                            <span className="min-w-0 truncate">
+                              <span className="font-medium">{b.student.name}</span> ({b.student.studentNumber}) ·{' '}
+                              {b.session.dayName} {b.date} {b.session.timeSlotName} · {b.session.category}
+                            </span>
+                            <span className="shrink-0 text-xs">{b.fromStatus} → {b.toStatus}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {archivePreview?.waitlists > 0 && (
+                    <div className="text-muted-foreground">
+                      {archivePreview.waitlists} waitlist entr{archivePreview.waitlists !== 1 ? 'ies' : 'y'} from past weeks will expire.
+                    </div>
+                  )}
                   <div className="text-muted-foreground">
                     Only bookings from previous weeks are affected — current week bookings will not be changed.
                   </div>
@@ -1182,12 +1617,49 @@ function SettingsPanel() {
               </AlertDialogHeader>
               <AlertDialogFooter>
                 <AlertDialogCancel>Cancel</AlertDialogCancel>
-                <AlertDialogAction onClick={handleArchive} className="bg-red-600 hover:bg-red-700">
+                <AlertDialogAction
+                  onClick={handleArchive}
+                  disabled={previewCount === 0}
+                  className="bg-red-600 hover:bg-red-700"
+                >
                   Archive Now
                 </AlertDialogAction>
               </AlertDialogFooter>
             </AlertDialogContent>
           </AlertDialog>
+
+          <AlertDialog open={showUndoConfirm} onOpenChange={setShowUndoConfirm}>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle className="flex items-center">
+                  <Undo2 className="mr-2 h-5 w-5 text-blue-600" />
+                  Undo Last Archive
+                </AlertDialogTitle>
+                <AlertDialogDescription>
+                  Bookings the most recent archive changed go back to BOOKED or ATTENDED. Any booking that has been
+                  changed again since is left as it is, and expired waitlist entries stay expired.
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>Cancel</AlertDialogCancel>
+                <AlertDialogAction onClick={handleUndoArchive}>
+                  Undo Archive
+                </AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+
+          <JobsPanel />
+        </TabsContent>
+
+        {/* Staff — accounts, roles and access */}
+        <TabsContent value="staff" className="pt-4">
+          <StaffManager />
+        </TabsContent>
+
+        {/* Audit — who changed what, from the system log and status history */}
+        <TabsContent value="audit" className="pt-4">
+          <AuditLog />
         </TabsContent>
       </Tabs>
     </div>
@@ -1217,8 +1689,8 @@ function SettingCardHeader({ Icon, label, description, htmlFor, saving }) {
 }
 
 // Individual setting card.
-// Boolean settings auto-save (onSave). Numeric settings are controlled by the
-// parent (value/onChange) and saved together via the batch "Save changes" bar.
+// Boolean settings auto-save (onSave). Numeric and text settings are controlled
+// by the parent (value/onChange) and saved together via the batch "Save changes" bar.
 function SettingCard({ setting, value, onChange, saving, onSave }) {
   const meta = SETTING_META[setting.key] || {};
   const Icon = meta.icon;
@@ -1266,8 +1738,10 @@ function SettingCard({ setting, value, onChange, saving, onSave }) {
     );
   }
 
-  // Numeric setting — controlled, batch-saved by the parent
+  // Numeric or text setting — controlled, batch-saved by the parent
   const changed = value !== setting.value;
+  const isNumber = setting.type === 'number';
+  const suggestions = meta.suggestions?.() || [];
   return (
     <Card className="border-gray-200 shadow-sm">
       <CardContent className="p-5 space-y-3">
@@ -1275,12 +1749,19 @@ function SettingCard({ setting, value, onChange, saving, onSave }) {
         <div className="relative">
           <Input
             id={setting.key}
-            type="number"
+            type={isNumber ? 'number' : 'text'}
             value={value}
             onChange={(e) => onChange(setting.key, e.target.value)}
             className={`${meta.unit ? 'pr-20' : ''} ${changed ? 'border-blue-400 ring-1 ring-blue-100' : ''}`}
-            min={0}
+            min={isNumber ? 0 : undefined}
+            max={isNumber ? meta.max : undefined}
+            list={suggestions.length > 0 ? `${setting.key}-suggestions` : undefined}
           />
+          {suggestions.length > 0 && (
+            <datalist id={`${setting.key}-suggestions`}>
+              {suggestions.map((option) => <option key={option} value={option} />)}
+            </datalist>
+          )}
           {meta.unit && (
             <span className="pointer-events-none absolute right-3 top-1/2 -translate-y-1/2 text-xs text-gray-400">
               {meta.unit}
@@ -0,0 +1,54 @@
+// file: src/app/instructor/security/page.js
+// description: Two-factor setup for staff who must enrol before using the dashboard
+
+'use client';
+
+import { useState } from 'react';
+import axios from 'axios';
+import { useRouter } from 'next/navigation';
+import TwoFactorSettings from '@/components/TwoFactorSettings';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { LogOut, ShieldCheck } from 'lucide-react';
+
+export default function SecurityPage() {
+  const router = useRouter();
+  const [enabled, setEnabled] = useState(false);
+
+  const handleLogout = async () => {
+    try {
+      await axios.delete('/api/auth/staff');
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    window.location.href = '/?tab=staff';
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-800 via-blue-900 to-slate-900 flex flex-col justify-center py-12 px-4">
+      <Card className="relative max-w-md mx-auto w-full shadow-2xl border-0">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <ShieldCheck className="mr-2 h-5 w-5 text-blue-600" />
+            Two-Factor Authentication
+          </CardTitle>
+          <CardDescription>
+            Your account needs a code from an authenticator app, such as Google Authenticator or 1Password, each time you log in.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <TwoFactorSettings onEnabled={() => setEnabled(true)} />
+          {enabled ? (
+            <Button className="w-full" onClick={() => router.push('/instructor')}>
+              Continue to the dashboard
+            </Button>
+          ) : (
+            <Button variant="ghost" className="w-full text-gray-500" onClick={handleLogout}>
+              <LogOut className="mr-2 h-4 w-4" /> Log out
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -9,21 +9,6 @@ export const DAYS = {
     SUNDAY: 'SUNDAY'
   };
   
-  // Time slot definitions
-  export const TIME_SLOTS = {
-    // Weekday slots (Monday-Thursday)
-    SLOT_8_10: 'SLOT_8_10',   // 8-10am
-    SLOT_10_12: 'SLOT_10_12', // 10am-12pm
-    SLOT_13_15: 'SLOT_13_15', // 1-3pm
-    SLOT_15_17: 'SLOT_15_17', // 3-5pm
-    
-    // Weekend slots (Saturday-Sunday)
-    SLOT_9_11: 'SLOT_9_11',   // 9-11am
-    SLOT_11_13: 'SLOT_11_13', // 11am-1pm
-    SLOT_14_16: 'SLOT_14_16', // 2-4pm
-    SLOT_16_18: 'SLOT_16_18'  // 4-6pm
-  };
-  
   // Human-readable day names
   export const DAY_NAMES = {
     [DAYS.MONDAY]: 'Monday',
@@ -35,31 +20,23 @@ export const DAYS = {
     [DAYS.SUNDAY]: 'Sunday'
   };
   
-  // Human-readable time slot names
-  export const TIME_SLOT_NAMES = {
-    // Weekday slots
-    [TIME_SLOTS.SLOT_8_10]: '8:00 AM - 10:00 AM',
-    [TIME_SLOTS.SLOT_10_12]: '10:00 AM - 12:00 PM',
-    [TIME_SLOTS.SLOT_13_15]: '1:00 PM - 3:00 PM',
-    [TIME_SLOTS.SLOT_15_17]: '3:00 PM - 5:00 PM',
-    
-    // Weekend slots
-    [TIME_SLOTS.SLOT_9_11]: '9:00 AM - 11:00 AM',
-    [TIME_SLOTS.SLOT_11_13]: '11:00 AM - 1:00 PM',
-    [TIME_SLOTS.SLOT_14_16]: '2:00 PM - 4:00 PM',
-    [TIME_SLOTS.SLOT_16_18]: '4:00 PM - 6:00 PM'
-  };
-  
-  // Map days to their available time slots
-  export const DAY_TIME_SLOTS = {
-    [DAYS.MONDAY]: [TIME_SLOTS.SLOT_8_10, TIME_SLOTS.SLOT_10_12, TIME_SLOTS.SLOT_13_15, TIME_SLOTS.SLOT_15_17],
-    [DAYS.TUESDAY]: [TIME_SLOTS.SLOT_8_10, TIME_SLOTS.SLOT_10_12, TIME_SLOTS.SLOT_13_15, TIME_SLOTS.SLOT_15_17],
-    [DAYS.WEDNESDAY]: [TIME_SLOTS.SLOT_8_10, TIME_SLOTS.SLOT_10_12, TIME_SLOTS.SLOT_13_15, TIME_SLOTS.SLOT_15_17],
-    [DAYS.THURSDAY]: [TIME_SLOTS.SLOT_8_10, TIME_SLOTS.SLOT_10_12, TIME_SLOTS.SLOT_13_15, TIME_SLOTS.SLOT_15_17],
-    [DAYS.FRIDAY]: [TIME_SLOTS.SLOT_8_10, TIME_SLOTS.SLOT_10_12, TIME_SLOTS.SLOT_13_15, TIME_SLOTS.SLOT_15_17],
-    [DAYS.SATURDAY]: [TIME_SLOTS.SLOT_9_11, TIME_SLOTS.SLOT_11_13, TIME_SLOTS.SLOT_14_16, TIME_SLOTS.SLOT_16_18],
-    [DAYS.SUNDAY]: [TIME_SLOTS.SLOT_9_11, TIME_SLOTS.SLOT_11_13, TIME_SLOTS.SLOT_14_16, TIME_SLOTS.SLOT_16_18]
-  };
+  // The time slots the school started with. The catalogue lives in the
+  // TimeSlot table (managed under Settings); the seed adds these to it, and
+  // their codes are the values of the old TimeSlot enum, so existing sessions
+  // and closures keep pointing at them.
+  const WEEKDAYS = [DAYS.MONDAY, DAYS.TUESDAY, DAYS.WEDNESDAY, DAYS.THURSDAY, DAYS.FRIDAY];
+  const WEEKEND = [DAYS.SATURDAY, DAYS.SUNDAY];
+
+  export const DEFAULT_TIME_SLOTS = [
+    { code: 'SLOT_8_10', label: '8:00 AM - 10:00 AM', startTime: '08:00', endTime: '10:00', days: WEEKDAYS },
+    { code: 'SLOT_10_12', label: '10:00 AM - 12:00 PM', startTime: '10:00', endTime: '12:00', days: WEEKDAYS },
+    { code: 'SLOT_13_15', label: '1:00 PM - 3:00 PM', startTime: '13:00', endTime: '15:00', days: WEEKDAYS },
+    { code: 'SLOT_15_17', label: '3:00 PM - 5:00 PM', startTime: '15:00', endTime: '17:00', days: WEEKDAYS },
+    { code: 'SLOT_9_11', label: '9:00 AM - 11:00 AM', startTime: '09:00', endTime: '11:00', days: WEEKEND },
+    { code: 'SLOT_11_13', label: '11:00 AM - 1:00 PM', startTime: '11:00', endTime: '13:00', days: WEEKEND },
+    { code: 'SLOT_14_16', label: '2:00 PM - 4:00 PM', startTime: '14:00', endTime: '16:00', days: WEEKEND },
+    { code: 'SLOT_16_18', label: '4:00 PM - 6:00 PM', startTime: '16:00', endTime: '18:00', days: WEEKEND }
+  ];
   
   // Kenyan NTSA driving licence classes (base classes only). Order matches the
   // Prisma `LicenceClass` enum. Used for student registration and the per-category
@@ -102,6 +79,9 @@ export const DAYS = {
   // Default licence class assigned to students until an admin sets the real one
   export const DEFAULT_LICENCE_CLASS = 'B2';
 
+  // The branch rows from before there were branches belong to (see the Branch model)
+  export const DEFAULT_BRANCH = 'MAIN';
+
   // Session constraints (fallback defaults — DB SystemSetting takes precedence)
   export const SESSION_CONSTRAINTS = {
     MAX_CAPACITY: 4,
@@ -109,11 +89,16 @@ export const DAYS = {
     MAX_SESSIONS_PER_DAY: 1
   };
 
+  // Booking statuses that no longer hold a spot in the session. A late
+  // cancellation frees the spot but stays on the student's record.
+  export const INACTIVE_BOOKING_STATUSES = ['CANCELLED', 'LATE_CANCEL'];
+
   // Error messages
   export const ERROR_MESSAGES = {
     SESSION_FULL: 'This session is already at full capacity.',
     MAX_DAYS_REACHED: 'You have reached the maximum days per week.',
     DAY_ALREADY_BOOKED: 'You already have a session booked for this day.',
+    LATE_CANCELLED: "You cancelled this session late, so it can't be booked again that week.",
     INVALID_CREDENTIALS: 'Invalid student ID or email.',
     SYSTEM_ERROR: 'Something went wrong. Please try again later.',
     INVALID_SELECTION: 'Your selection does not meet the requirements.'
@@ -123,6 +108,10 @@ export const DAYS = {
   export const SUCCESS_MESSAGES = {
     BOOKING_CREATED: 'Your session has been successfully booked!',
     BOOKING_CANCELLED: 'Your session booking has been cancelled.',
+    BOOKING_CANCELLED_LATE: 'Your session has been cancelled. It was past the cancellation deadline, so it counts as a late cancellation.',
+    BOOKING_MOVED: 'Your session has been moved.',
+    WAITLIST_JOINED: "You're on the waitlist. We'll book you automatically if a spot opens.",
+    WAITLIST_LEFT: 'You have left the waitlist.',
     LOGIN_SUCCESS: 'Login successful! You can now select your sessions.'
   };
   
@@ -0,0 +1,150 @@
+// Staff permissions. Each route checks a named permission (withPermission in
+// utils/auth.js) and each role is a bundle of them, so a new kind of staff
+// member is a new bundle rather than new checks across the routes. Shared by
+// the server and the instructor UI, which hides what a user can't do.
+
+export const PERMISSIONS = {
+  'students.view': 'See students and their booking history',
+  'students.create': 'Create students and review registration requests',
+  'students.edit': 'Edit student details and lift suspensions',
+  'students.archive': 'Deactivate, reactivate and archive students',
+  'bookings.manage': 'Book students into sessions and mark attendance',
+  'bookings.cancel': 'Cancel bookings',
+  'sessions.view': 'See sessions, capacity and booking rules',
+  'sessions.manage': 'Enable sessions, add extra ones and assign instructors and vehicles',
+  'capacities.manage': 'Change session capacity',
+  'timetable.manage': 'Change the time slots and closures every branch shares',
+  'fleet.manage': 'Manage vehicles and their maintenance',
+  'data.export': 'Export data to CSV',
+  'settings.manage': 'Change booking rules and automation',
+  'maintenance.run': 'Run and undo the weekly archive and scheduled jobs',
+  'staff.manage': 'Manage staff accounts',
+  'branches.manage': 'Add and rename branches',
+  'audit.view': 'See the audit and notifications logs',
+};
+
+// Permissions that act on every branch at once. Staff tied to a branch never
+// hold them, whatever their role.
+export const GLOBAL_PERMISSIONS = [
+  'timetable.manage',
+  'settings.manage',
+  'maintenance.run',
+  'branches.manage',
+  'audit.view',
+];
+
+// The Role enum in the schema, with what each can do
+export const ROLE_PERMISSIONS = {
+  ADMIN: Object.keys(PERMISSIONS),
+  BRANCH_MANAGER: [
+    'students.view',
+    'students.create',
+    'students.edit',
+    'bookings.manage',
+    'bookings.cancel',
+    'sessions.view',
+    'sessions.manage',
+    'capacities.manage',
+    'timetable.manage',
+    'fleet.manage',
+    'data.export',
+    'audit.view',
+  ],
+  INSTRUCTOR: [
+    'students.view',
+    'bookings.manage',
+    'sessions.view',
+    'data.export',
+  ],
+  FRONT_DESK: [
+    'students.view',
+    'students.create',
+    'students.edit',
+    'bookings.manage',
+    'sessions.view',
+  ],
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export const ROLE_NAMES = {
+  ADMIN: 'Admin',
+  BRANCH_MANAGER: 'Branch manager',
+  INSTRUCTOR: 'Instructor',
+  FRONT_DESK: 'Front desk',
+};
+
+export const ROLE_DESCRIPTIONS = {
+  ADMIN: 'Full access, including staff accounts, settings and archiving students. Tied to a branch, only that branch.',
+  BRANCH_MANAGER: "Runs sessions, capacity and vehicles, and exports data. Can't archive students or change settings.",
+  INSTRUCTOR: 'Sees sessions and students, books students in and marks attendance.',
+  FRONT_DESK: "Creates and edits students and books them in. Can't change capacity.",
+};
+
+/**
+ * The permissions a role grants
+ * @param {string} role
+ * @param {string|null} [branch] - The staff member's own branch; one leaves
+ *   out the GLOBAL_PERMISSIONS
+ * @returns {string[]}
+ */
+export function getRolePermissions(role, branch = null) {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return branch ? permissions.filter((p) => !GLOBAL_PERMISSIONS.includes(p)) : permissions;
+}
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission - e.g. 'students.archive'
+ * @param {string|null} [branch] - The staff member's own branch
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission, branch = null) {
+  return getRolePermissions(role, branch).includes(permission);
+}
+
+const READ = ['GET'];
+
+// What middleware.js checks before a request reaches its route, by path prefix
+// and (optionally) method; the first match wins. Routes check the same
+// permissions again with withPermission. Where several are listed, any one is
+// enough — e.g. the staff list is also the instructor picker for sessions.
+const PATH_PERMISSIONS = [
+  { path: '/api/admin/branches', permissions: ['branches.manage'] },
+  { path: '/api/admin/audit', permissions: ['audit.view'] },
+  { path: '/api/admin/notifications', permissions: ['audit.view'] },
+  { path: '/api/admin/jobs', permissions: ['maintenance.run'] },
+  { path: '/api/admin/reset-bookings', permissions: ['maintenance.run'] },
+  { path: '/api/admin/vehicles', methods: READ, permissions: ['fleet.manage', 'sessions.manage'] },
+  { path: '/api/admin/vehicles', permissions: ['fleet.manage'] },
+  { path: '/api/admin/settings', methods: READ, permissions: ['sessions.view'] },
+  { path: '/api/admin/settings', permissions: ['settings.manage'] },
+  { path: '/api/admin/time-slots', methods: READ, permissions: ['sessions.view'] },
+  { path: '/api/admin/time-slots', permissions: ['timetable.manage'] },
+  { path: '/api/admin/closures', methods: READ, permissions: ['sessions.view'] },
+  { path: '/api/admin/closures', permissions: ['timetable.manage'] },
+  { path: '/api/admin/session-capacities', methods: READ, permissions: ['sessions.view'] },
+  { path: '/api/admin/session-capacities', permissions: ['capacities.manage'] },
+  { path: '/api/admin/session-instances', methods: READ, permissions: ['sessions.view'] },
+  { path: '/api/admin/session-instances', permissions: ['sessions.manage'] },
+  { path: '/api/instructor/staff', methods: READ, permissions: ['staff.manage', 'sessions.manage'] },
+  { path: '/api/instructor/staff', permissions: ['staff.manage'] },
+  { path: '/api/instructor/export', permissions: ['data.export'] },
+  { path: '/api/instructor/students/create', permissions: ['students.create'] },
+  { path: '/api/instructor/students/registrations', permissions: ['students.create'] },
+];
+
+/**
+ * The permissions middleware.js requires for a request
+ * @param {string} pathname
+ * @param {string} method
+ * @returns {string[]|null} - Any one of these is enough; null when no rule matches
+ */
+export function getPathPermissions(pathname, method) {
+  const rule = PATH_PERMISSIONS.find(({ path, methods }) =>
+    (pathname === path || pathname.startsWith(`${path}/`)) &&
+    (!methods || methods.includes(method))
+  );
+  return rule ? rule.permissions : null;
+}
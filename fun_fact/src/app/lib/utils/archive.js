@@ -0,0 +1,248 @@
+import { randomUUID } from 'crypto';
+import prisma from '../db/prisma-client';
+import { DAY_NAMES } from '../constants';
+import { getCurrentWeekMonday, getSessionDate, formatTimeSlot } from './dates';
+import { getScheduleSettings } from './settings';
+import { getTimeSlotMap } from './timeslots';
+import { promoteFromWaitlist, expireWaitlist } from './waitlist';
+import { notifyBookings } from './notifications';
+
+const BOOKED_REASON = 'Weekly archive — booking not attended';
+const ATTENDED_REASON = 'Weekly archive — attendance not finalized';
+
+/**
+ * Get the bookings from weeks before `before` the archive would change
+ * @param {Date} before - Monday of the current week
+ * @returns {Promise<{ booked: Array, attended: Array }>}
+ */
+async function findStaleBookings(before) {
+  const find = (status) => prisma.booking.findMany({
+    where: { status, weekOf: { lt: before } },
+    include: {
+      student: { select: { id: true, studentNumber: true, name: true } },
+      session: { select: { day: true, timeSlot: true, category: true } }
+    },
+    orderBy: [{ weekOf: 'asc' }, { createdAt: 'asc' }]
+  });
+  const [booked, attended] = await Promise.all([find('BOOKED'), find('ATTENDED')]);
+  return { booked, attended };
+}
+
+/**
+ * List what the archive would change right now, without changing anything
+ * @returns {Promise<Object>} - The bookings per change, with student and session
+ */
+export async function previewArchive() {
+  const currentWeekMonday = getCurrentWeekMonday(await getScheduleSettings());
+  const { booked, attended } = await findStaleBookings(currentWeekMonday);
+  const slotMap = await getTimeSlotMap();
+
+  const format = (b, toStatus) => ({
+    id: b.id,
+    fromStatus: b.status,
+    toStatus,
+    date: getSessionDate(b.weekOf, b.session.day).toISOString().slice(0, 10),
+    weekOf: b.weekOf,
+    student: { id: b.student.id, studentNumber: b.student.studentNumber || b.student.id, name: b.student.name },
+    session: {
+      day: b.session.day,
+      dayName: DAY_NAMES[b.session.day],
+      timeSlot: b.session.timeSlot,
+      timeSlotName: formatTimeSlot(b.session.timeSlot, slotMap),
+      category: b.session.category
+    }
+  });
+
+  const waitlists = await prisma.waitlistEntry.count({
+    where: { weekOf: { lt: currentWeekMonday }, status: 'WAITING' }
+  });
+
+  return {
+    dryRun: true,
+    before: currentWeekMonday.toISOString(),
+    booked: booked.map(b => format(b, 'CANCELLED')),
+    attended: attended.map(b => format(b, 'INCOMPLETE')),
+    waitlists,
+    message: `Would archive ${booked.length} stale booked, ${attended.length} stale attended.`
+  };
+}
+
+/**
+ * Close out past weeks: BOOKED bookings nobody attended are cancelled,
+ * ATTENDED ones never finalised become INCOMPLETE, and past waitlists expire.
+ * Students are emailed about their cancelled bookings.
+ * @param {string} [trigger] - What started the run, recorded in the log
+ * @param {string|null} [userId] - Admin who ran it by hand
+ * @returns {Promise<{ message: string, booked: number, attended: number }>}
+ */
+export async function archiveStaleBookings(trigger = 'cron', userId = null) {
+  const currentWeekMonday = getCurrentWeekMonday(await getScheduleSettings());
+
+  const { booked: staleBooked, attended: staleAttended } = await findStaleBookings(currentWeekMonday);
+
+  const bookedIds = staleBooked.map(b => b.id);
+  const attendedIds = staleAttended.map(b => b.id);
+
+  if (bookedIds.length === 0 && attendedIds.length === 0) {
+    // Nothing to cancel, but last week's waitlists still need closing
+    await expireWaitlist(prisma, { weekOf: { lt: currentWeekMonday } });
+
+    await prisma.systemLog.create({
+      data: {
+        action: 'BOOKING_ARCHIVE',
+        message: 'No stale bookings to archive.',
+        actorId: userId,
+        data: { count: 0, trigger },
+      },
+    });
+
+    return { message: 'No stale bookings to archive.', booked: 0, attended: 0 };
+  }
+
+  const now = new Date();
+  // Tags the status history rows this run writes, so undoLastArchive can find them
+  const batchId = randomUUID();
+
+  // Each (session, week) that loses a booking gets a promotion pass
+  const freedSlots = new Map();
+  for (const b of staleBooked) {
+    freedSlots.set(`${b.sessionId}:${b.weekOf.getTime()}`, b);
+  }
+
+  await prisma.$transaction(async (tx) => {
+    if (bookedIds.length > 0) {
+      await tx.booking.updateMany({
+        where: { id: { in: bookedIds } },
+        data: { status: 'CANCELLED', cancelledAt: now }
+      });
+      await tx.bookingStatusHistory.createMany({
+        data: bookedIds.map(bookingId => ({
+          bookingId,
+          fromStatus: 'BOOKED',
+          toStatus: 'CANCELLED',
+          reason: BOOKED_REASON,
+          changedById: userId,
+          batchId
+        }))
+      });
+
+      // Archived weeks are already over, so promotion expires their queues
+      // rather than booking anyone into a past slot.
+      for (const { sessionId, weekOf } of freedSlots.values()) {
+        await promoteFromWaitlist(tx, sessionId, weekOf);
+      }
+    }
+
+    if (attendedIds.length > 0) {
+      await tx.booking.updateMany({
+        where: { id: { in: attendedIds } },
+        data: { status: 'INCOMPLETE' }
+      });
+      await tx.bookingStatusHistory.createMany({
+        data: attendedIds.map(bookingId => ({
+          bookingId,
+          fromStatus: 'ATTENDED',
+          toStatus: 'INCOMPLETE',
+          reason: ATTENDED_REASON,
+          changedById: userId,
+          batchId
+        }))
+      });
+    }
+
+    // Close any remaining past-week queues (sessions with no freed spot)
+    await expireWaitlist(tx, { weekOf: { lt: currentWeekMonday } });
+  }, { timeout: 30000 });
+
+  // Archived weeks are over and no client views them, so nothing is published
+  // to the availability stream here. Students do hear about their own closed bookings.
+  await notifyBookings('BOOKING_ARCHIVED', bookedIds);
+
+  const message = `Archived ${bookedIds.length} stale booked, ${attendedIds.length} stale attended.`;
+
+  await prisma.systemLog.create({
+    data: {
+      action: 'BOOKING_ARCHIVE',
+      message,
+      actorId: userId,
+      data: { booked: bookedIds.length, attended: attendedIds.length, trigger, batchId },
+    },
+  });
+
+  return { message, booked: bookedIds.length, attended: attendedIds.length, batchId };
+}
+
+/**
+ * Revert the most recent archive run from the status history rows it wrote.
+ * A booking someone has changed since is left alone, waitlist promotions and
+ * expirations stay, and only the latest run can be undone — once. A latest
+ * run that archived nothing leaves nothing to undo. The caller records the
+ * undo in the audit trail.
+ * @param {string} userId - Admin undoing the archive
+ * @returns {Promise<Object>} - { error } when there is nothing to undo
+ */
+export async function undoLastArchive(userId) {
+  const last = await prisma.systemLog.findFirst({
+    where: { action: 'BOOKING_ARCHIVE' },
+    orderBy: { createdAt: 'desc' },
+    select: { data: true, createdAt: true }
+  });
+  if (!last) return { error: 'No archive to undo' };
+
+  const batchId = last.data?.batchId;
+  if (!batchId) return { error: 'The last archive had nothing to archive' };
+
+  const rows = await prisma.bookingStatusHistory.findMany({
+    where: { batchId },
+    include: {
+      booking: {
+        select: {
+          status: true,
+          // The archive's row must still be the booking's latest change
+          statusHistory: { orderBy: { createdAt: 'desc' }, take: 1, select: { id: true } }
+        }
+      }
+    }
+  });
+
+  const revertible = rows.filter(r => r.booking.status === r.toStatus && r.booking.statusHistory[0]?.id === r.id);
+  if (revertible.length === 0) {
+    return { error: 'The last archive has already been undone' };
+  }
+
+  await prisma.$transaction(async (tx) => {
+    for (const row of revertible) {
+      await tx.booking.update({
+        where: { id: row.bookingId },
+        data: {
+          status: row.fromStatus,
+          ...(row.toStatus === 'CANCELLED' && { cancelledAt: null })
+        }
+      });
+    }
+    await tx.bookingStatusHistory.createMany({
+      data: revertible.map(r => ({
+        bookingId: r.bookingId,
+        fromStatus: r.toStatus,
+        toStatus: r.fromStatus,
+        changedById: userId,
+        reason: 'Weekly archive undone'
+      }))
+    });
+  }, { timeout: 30000 });
+
+  const booked = revertible.filter(r => r.fromStatus === 'BOOKED').length;
+  const attended = revertible.length - booked;
+  const skipped = rows.length - revertible.length;
+  const message = `Restored ${booked} booked, ${attended} attended${skipped > 0 ? ` (${skipped} changed since, left as they are)` : ''}.`;
+
+  return {
+    message,
+    booked,
+    attended,
+    skipped,
+    batchId,
+    archivedAt: last.createdAt,
+    bookingIds: revertible.map(r => r.bookingId)
+  };
+}
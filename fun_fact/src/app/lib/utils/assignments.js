@@ -0,0 +1,126 @@
+import { getCurrentWeekMonday, timeSlotsOverlap } from './dates';
+import { getScheduleSettings } from './settings';
+import { getTimeSlotMap } from './timeslots';
+
+const assignmentInclude = {
+  instructor: { select: { id: true, name: true } },
+  vehicle: { select: { id: true, registration: true, name: true } }
+};
+
+/**
+ * Pick the assignment that applies to a week from a session's rows: the row
+ * for that week if there is one, otherwise the standing (weekOf null) row
+ * @param {Array} rows - Assignment rows of a single session
+ * @param {Date|null} weekOf - Monday of the week (null = standing only)
+ * @returns {Object|null}
+ */
+export function resolveAssignment(rows, weekOf) {
+  const time = weekOf ? weekOf.getTime() : null;
+  return (time !== null && rows.find(r => r.weekOf && r.weekOf.getTime() === time))
+    || rows.find(r => r.weekOf === null)
+    || null;
+}
+
+/**
+ * Get the effective assignment of each session for a week
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Date} weekOf - Monday of the week
+ * @param {string[]} [sessionIds] - Limit to these sessions
+ * @returns {Promise<Map<string, Object>>} - sessionId → assignment (with instructor and vehicle)
+ */
+export async function getAssignmentsForWeek(db, weekOf, sessionIds) {
+  const where = { OR: [{ weekOf: null }, { weekOf }] };
+  if (sessionIds) where.sessionId = { in: sessionIds };
+
+  const rows = await db.sessionAssignment.findMany({ where, include: assignmentInclude });
+
+  const bySession = new Map();
+  for (const row of rows) {
+    if (!bySession.has(row.sessionId)) bySession.set(row.sessionId, []);
+    bySession.get(row.sessionId).push(row);
+  }
+
+  const effective = new Map();
+  for (const [sessionId, sessionRows] of bySession) {
+    const assignment = resolveAssignment(sessionRows, weekOf);
+    if (assignment) effective.set(sessionId, assignment);
+  }
+  return effective;
+}
+
+/**
+ * Shape an assignment for API responses
+ * @param {Object|null} assignment - Row with instructor and vehicle included
+ * @returns {Object|null}
+ */
+export function formatAssignment(assignment) {
+  if (!assignment) return null;
+  return {
+    id: assignment.id,
+    weekOf: assignment.weekOf ? assignment.weekOf.toISOString() : null,
+    instructor: assignment.instructor || null,
+    vehicle: assignment.vehicle || null
+  };
+}
+
+/**
+ * Find an assignment that would double-book the instructor or vehicle: the
+ * same person or car on another session of the same day whose slot overlaps.
+ * A standing assignment is checked against other standing rows and against
+ * upcoming weekly rows, except weeks where this session has its own row.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} params
+ * @param {Object} params.session - Target session (id, day, timeSlot)
+ * @param {Date|null} params.weekOf - Week being assigned (null = standing)
+ * @param {string|null} params.instructorId
+ * @param {string|null} params.vehicleId
+ * @returns {Promise<Object|null>} - The clashing assignment (with session, instructor and vehicle) or null
+ */
+export async function findAssignmentConflict(db, { session, weekOf, instructorId, vehicleId }) {
+  if (!instructorId && !vehicleId) return null;
+
+  const sameDay = await db.session.findMany({
+    where: { day: session.day, id: { not: session.id } },
+    select: { id: true, timeSlot: true }
+  });
+  const slotMap = await getTimeSlotMap(db);
+  const candidateIds = sameDay
+    .filter(s => timeSlotsOverlap(slotMap[s.timeSlot], slotMap[session.timeSlot]))
+    .map(s => s.id);
+  if (candidateIds.length === 0) return null;
+
+  const clashes = (row) =>
+    (instructorId && row.instructorId === instructorId) || (vehicleId && row.vehicleId === vehicleId);
+
+  const include = { ...assignmentInclude, session: { select: { id: true, day: true, timeSlot: true, category: true } } };
+
+  if (weekOf) {
+    // A weekly row on the other session hides its standing row, so resolve per session
+    const effective = await getAssignmentsForWeek(db, weekOf, candidateIds);
+    const hit = [...effective.values()].find(clashes);
+    if (!hit) return null;
+    return db.sessionAssignment.findUnique({ where: { id: hit.id }, include });
+  }
+
+  const currentWeek = getCurrentWeekMonday(await getScheduleSettings());
+  const others = await db.sessionAssignment.findMany({
+    where: {
+      sessionId: { in: candidateIds },
+      OR: [{ weekOf: null }, { weekOf: { gte: currentWeek } }],
+      AND: [{ OR: [instructorId && { instructorId }, vehicleId && { vehicleId }].filter(Boolean) }]
+    },
+    include,
+    orderBy: { weekOf: 'asc' }
+  });
+  if (others.length === 0) return null;
+
+  // Weeks where the target session is overridden are unaffected by its standing row
+  const ownWeeks = new Set(
+    (await db.sessionAssignment.findMany({
+      where: { sessionId: session.id, weekOf: { not: null } },
+      select: { weekOf: true }
+    })).map(r => r.weekOf.getTime())
+  );
+
+  return others.find(row => row.weekOf === null || !ownWeeks.has(row.weekOf.getTime())) || null;
+}
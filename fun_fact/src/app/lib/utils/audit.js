@@ -0,0 +1,252 @@
+import prisma from '../db/prisma-client';
+
+// Booking status history rows read as this one action in the audit timeline
+export const STATUS_CHANGE_ACTION = 'BOOKING_STATUS_CHANGED';
+
+const PERSON_SELECT = { id: true, name: true };
+const STUDENT_SELECT = { id: true, studentNumber: true, name: true };
+
+function createdAtRange({ from, to }) {
+  if (!from && !to) return undefined;
+  return { ...(from && { gte: from }), ...(to && { lt: to }) };
+}
+
+function buildLogWhere(filters) {
+  const where = {};
+  if (filters.action) where.action = filters.action;
+  if (filters.actorId) where.actorId = filters.actorId;
+  if (filters.studentId) where.studentId = filters.studentId;
+  if (filters.bookingId) where.bookingId = filters.bookingId;
+  const createdAt = createdAtRange(filters);
+  if (createdAt) where.createdAt = createdAt;
+  return where;
+}
+
+function buildHistoryWhere(filters) {
+  const where = {};
+  if (filters.actorId) where.changedById = filters.actorId;
+  if (filters.studentId) where.booking = { studentId: filters.studentId };
+  if (filters.bookingId) where.bookingId = filters.bookingId;
+  if (filters.status) where.toStatus = filters.status;
+  const createdAt = createdAtRange(filters);
+  if (createdAt) where.createdAt = createdAt;
+  return where;
+}
+
+function formatStudent(student) {
+  return student ? { id: student.id, studentNumber: student.studentNumber || student.id, name: student.name } : null;
+}
+
+function formatLog(log) {
+  return {
+    id: log.id,
+    source: 'SYSTEM_LOG',
+    action: log.action,
+    message: log.message,
+    actor: log.actor,
+    student: formatStudent(log.student),
+    bookingId: log.bookingId,
+    data: log.data,
+    createdAt: log.createdAt
+  };
+}
+
+function formatHistory(row) {
+  const change = row.fromStatus ? `${row.fromStatus} → ${row.toStatus}` : row.toStatus;
+  return {
+    id: row.id,
+    source: 'STATUS_HISTORY',
+    action: STATUS_CHANGE_ACTION,
+    message: `Booking ${change}${row.reason ? ` (${row.reason})` : ''}`,
+    actor: row.changedBy,
+    student: formatStudent(row.booking.student),
+    bookingId: row.bookingId,
+    data: { fromStatus: row.fromStatus, toStatus: row.toStatus, reason: row.reason, batchId: row.batchId },
+    createdAt: row.createdAt
+  };
+}
+
+/**
+ * The audit timeline: system log entries and booking status changes, merged
+ * newest first. A status filter only matches status changes; an action filter
+ * other than BOOKING_STATUS_CHANGED only matches system log entries.
+ * @param {Object} filters - action, actorId, studentId, bookingId, status, from, to (Dates, to exclusive)
+ * @param {Object} [page]
+ * @param {number} [page.skip]
+ * @param {number} [page.take]
+ * @returns {Promise<{ entries: Array, total: number }>}
+ */
+export async function getAuditTimeline(filters, { skip = 0, take = 50 } = {}) {
+  const withLogs = !filters.status && filters.action !== STATUS_CHANGE_ACTION;
+  const withHistory = !filters.action || filters.action === STATUS_CHANGE_ACTION;
+  const logWhere = buildLogWhere(filters);
+  const historyWhere = buildHistoryWhere(filters);
+  const orderBy = [{ createdAt: 'desc' }, { id: 'desc' }];
+
+  // Merging two tables means reading the first skip + take rows of each
+  const [logs, history, logCount, historyCount] = await Promise.all([
+    withLogs
+      ? prisma.systemLog.findMany({
+        where: logWhere,
+        include: { actor: { select: PERSON_SELECT }, student: { select: STUDENT_SELECT } },
+        orderBy,
+        take: skip + take
+      })
+      : [],
+    withHistory
+      ? prisma.bookingStatusHistory.findMany({
+        where: historyWhere,
+        include: {
+          changedBy: { select: PERSON_SELECT },
+          booking: { select: { student: { select: STUDENT_SELECT } } }
+        },
+        orderBy,
+        take: skip + take
+      })
+      : [],
+    withLogs ? prisma.systemLog.count({ where: logWhere }) : 0,
+    withHistory ? prisma.bookingStatusHistory.count({ where: historyWhere }) : 0
+  ]);
+
+  const entries = [...logs.map(formatLog), ...history.map(formatHistory)]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(skip, skip + take);
+
+  return { entries, total: logCount + historyCount };
+}
+
+/**
+ * Every action the audit timeline can be filtered by
+ * @returns {Promise<string[]>}
+ */
+export async function getAuditActions() {
+  const rows = await prisma.systemLog.groupBy({ by: ['action'] });
+  return [...new Set([...rows.map(row => row.action), STATUS_CHANGE_ACTION])].sort();
+}
+
+// ── Staff mutation audit ──
+// withRole and withPermission record every successful POST/PUT/PATCH/DELETE a
+// staff member makes as one system log entry: who, which route, and — when the
+// handler described it with auditChange — what changed, field by field.
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const VERBS = { POST: 'CREATED', PUT: 'UPDATED', PATCH: 'UPDATED', DELETE: 'DELETED' };
+const REDACTED_FIELDS = /password|secret|token/i;
+const IGNORED_FIELDS = ['updatedAt'];
+
+// Comparable, JSON-safe form of a field value
+function normalise(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * Field-by-field difference between two versions of a record
+ * @param {Object|null} before - null when the record was created
+ * @param {Object|null} after - null when the record was deleted
+ * @returns {Object} - { [field]: { from, to } } for the fields that changed
+ */
+export function diffRecords(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const diff = {};
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+    const from = normalise(before?.[key]);
+    const to = normalise(after?.[key]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    // A changed secret is recorded as changed, never its value
+    diff[key] = REDACTED_FIELDS.test(key)
+      ? { from: from === null ? null : '[redacted]', to: to === null ? null : '[redacted]' }
+      : { from, to };
+  }
+  return diff;
+}
+
+/**
+ * Describe a record a staff request changed, for the audit entry withRole
+ * writes once the handler succeeds. Call once per record. Fields beyond those
+ * below (e.g. cancelledBookingIds) are kept with the change.
+ * @param {Request} request
+ * @param {Object} change
+ * @param {string} change.entity - e.g. Student, Session, SystemSetting
+ * @param {string} change.entityId
+ * @param {Object|null} [change.before]
+ * @param {Object|null} [change.after]
+ * @param {string} [change.studentId] - Student the record belongs to, for the audit filters
+ * @param {string} [change.bookingId]
+ * @param {string} [change.action] - Action name for the entry, instead of
+ *   <ENTITY>_<VERB> (e.g. CLOSURE_REMOVED); used when it is the only change
+ * @param {string} [change.message] - Message for the entry, likewise
+ */
+export function auditChange(request, change) {
+  request.auditChanges = [...(request.auditChanges || []), change];
+}
+
+/**
+ * Leave a request that changes nothing (e.g. a dry run) out of the audit trail
+ * @param {Request} request
+ */
+export function skipAudit(request) {
+  request.auditSkipped = true;
+}
+
+// SESSION_CAPACITY from SessionCapacity
+function toActionName(entity) {
+  return entity.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Write the audit entry for a staff request, if it changed something. Never
+ * throws — a failed audit write must not fail the request.
+ * @param {Request} request - With request.user set by withRole
+ * @param {Response} response - The handler's response
+ * @param {Object} [context] - The route context, with params
+ */
+export async function recordStaffMutation(request, response, context) {
+  if (!MUTATING_METHODS.includes(request.method) || request.auditSkipped) return;
+  if (!response || response.status >= 400) return;
+
+  try {
+    const { pathname } = new URL(request.url);
+    const user = request.user;
+    const described = (request.auditChanges || [])
+      .map(({ before = null, after = null, ...change }) => ({ ...change, diff: diffRecords(before, after) }))
+      .filter(change => Object.keys(change.diff).length > 0);
+    const changes = described.map(({ action, message, ...change }) => change);
+
+    const verb = VERBS[request.method];
+    const entities = [...new Set(changes.map(change => change.entity))];
+    const named = changes.length === 1 ? described[0] : {};
+    const action = named.action || (entities.length === 1 ? `${toActionName(entities[0])}_${verb}` : `REQUEST_${request.method}`);
+    const message = named.message
+      ? `${named.message} (by ${user.name})`
+      : changes.length === 1
+      ? `${entities[0]} ${changes[0].entityId} ${verb.toLowerCase()} by ${user.name}: ${Object.keys(changes[0].diff).join(', ')}`
+      : changes.length > 1
+        ? `${changes.length} records ${verb.toLowerCase()} by ${user.name} (${entities.join(', ')})`
+        : `${request.method} ${pathname} by ${user.name}`;
+
+    // Only a lone change pins the entry to a student or booking
+    const [only] = changes.length === 1 ? changes : [];
+
+    await prisma.systemLog.create({
+      data: {
+        action,
+        message: message.slice(0, 191),
+        actorId: user.id,
+        studentId: only?.studentId || null,
+        bookingId: only?.bookingId || null,
+        data: {
+          method: request.method,
+          route: pathname,
+          params: context?.params ? await context.params : null,
+          status: response.status,
+          changes
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Failed to record audit entry:', error);
+  }
+}
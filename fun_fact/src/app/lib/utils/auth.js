@@ -4,6 +4,8 @@
 import { SignJWT, jwtVerify } from 'jose';
 import { cookies } from 'next/headers';
 import { NextResponse } from 'next/server';
+import { SESSION_HOURS, createLoginSession } from './logins';
+import { hasPermission } from '../permissions';
 
 if (!process.env.NEXTAUTH_SECRET) {
   throw new Error('NEXTAUTH_SECRET environment variable is required');
@@ -12,16 +14,18 @@ if (!process.env.NEXTAUTH_SECRET) {
 // JWT signing key
 const secretKey = new TextEncoder().encode(process.env.NEXTAUTH_SECRET);
 
-// Token expiration (24 hours)
-const tokenExpiration = '24h';
+// Token and cookie expiration — the same as the AuthSession the token names
+const tokenExpiration = `${SESSION_HOURS}h`;
+const cookieMaxAge = SESSION_HOURS * 60 * 60;
 
 // Cookie name for the auth token
 const AUTH_COOKIE = 'auth-token';
 const STAFF_AUTH_COOKIE = 'staff-token';
 
 /**
- * Sign a JWT token for a student
- * @param {Object} payload - The data to include in the token
+ * Sign a JWT token for a student or staff member
+ * @param {Object} payload - The data to include in the token, with the
+ *   AuthSession id as `sid`
  * @returns {Promise<string>} - The signed token
  */
 export async function signToken(payload) {
@@ -34,6 +38,21 @@ export async function signToken(payload) {
   return token;
 }
 
+/**
+ * Sign a short-lived token standing for a password that was right, while the
+ * staff member still has to give their two-factor code. It carries no session,
+ * so it never works as a login on its own.
+ * @param {Object} payload - { id }
+ * @returns {Promise<string>}
+ */
+export async function signTwoFactorChallenge(payload) {
+  return new SignJWT({ ...payload, purpose: 'two-factor' })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuedAt()
+    .setExpirationTime('5m')
+    .sign(secretKey);
+}
+
 /**
  * Verify a JWT token
  * @param {string} token - The token to verify
@@ -61,7 +80,7 @@ export async function setAuthCookie(token) {
     httpOnly: true,
     path: '/',
     secure: process.env.NODE_ENV === 'production',
-    maxAge: 60 * 60 * 24 * 30, // 30 days in seconds
+    maxAge: cookieMaxAge,
     sameSite: 'strict'
   });
 }
@@ -90,7 +109,8 @@ export async function getAuthToken() {
 
 /**
  * Helper function to check authentication for API handlers - ASYNC version
- * @returns {Promise<Object|null>} - The authenticated student or null
+ * @returns {Promise<Object|null>} - The authenticated student, with the id of
+ *   their AuthSession as sessionId, or null
  */
 export async function getAuthenticatedStudent() {
   try {
@@ -105,7 +125,15 @@ export async function getAuthenticatedStudent() {
     
     // Import the prisma client here to avoid circular dependencies
     const { default: prisma } = await import('@/app/lib/db/prisma-client');
-    
+    const { findLoginSession } = await import('@/app/lib/utils/logins');
+
+    // A logged-out or revoked session ends the token before it expires
+    const session = await findLoginSession(payload, { studentId: payload.id });
+    if (!session) {
+      await clearAuthCookie();
+      return null;
+    }
+
     const student = await prisma.student.findUnique({
       where: { id: payload.id },
       select: {
@@ -114,6 +142,7 @@ export async function getAuthenticatedStudent() {
         name: true,
         phoneNumber: true,
         category: true,
+        branch: true,
         status: true
       }
     });
@@ -131,13 +160,28 @@ export async function getAuthenticatedStudent() {
       return null;
     }
 
-    return student;
+    return { ...student, sessionId: session.id };
   } catch (error) {
     console.error('Authentication error:', error);
     return null;
   }
 }
 
+/**
+ * Log a student in: start their session and set the auth cookie
+ * @param {Object} student - With id and email
+ * @param {Request} request - The login request
+ */
+export async function startStudentSession(student, request) {
+  const session = await createLoginSession({ studentId: student.id }, request);
+  const token = await signToken({
+    id: student.id,
+    email: student.email,
+    sid: session.id
+  });
+  await setAuthCookie(token);
+}
+
 /**
  * Authentication middleware for API routes - Updated for async cookies
  * @param {Function} handler - The route handler
@@ -183,7 +227,7 @@ export async function setStaffAuthCookie(token) {
     httpOnly: true,
     path: '/',
     secure: process.env.NODE_ENV === 'production',
-    maxAge: 60 * 60 * 24 * 30,
+    maxAge: cookieMaxAge,
     sameSite: 'strict'
   });
 }
@@ -210,9 +254,27 @@ export async function getStaffAuthToken() {
   }
 }
 
+/**
+ * Log a staff member in: start their session and set the staff cookie
+ * @param {Object} user - With id, email and role
+ * @param {Request} request - The login request
+ */
+export async function startStaffSession(user, request) {
+  const session = await createLoginSession({ userId: user.id }, request);
+  const token = await signToken({
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    sid: session.id
+  });
+  await setStaffAuthCookie(token);
+}
+
 /**
  * Get the authenticated staff user from the staff cookie
- * @returns {Promise<Object|null>} - The authenticated user or null
+ * @returns {Promise<Object|null>} - The authenticated user, with the id of
+ *   their AuthSession as sessionId, twoFactorEnabled and the branch they are
+ *   working in as activeBranch (null for every branch), or null
  */
 export async function getAuthenticatedUser() {
   try {
@@ -226,6 +288,14 @@ export async function getAuthenticatedUser() {
     }
 
     const { default: prisma } = await import('@/app/lib/db/prisma-client');
+    const { findLoginSession } = await import('@/app/lib/utils/logins');
+
+    // Logged out, revoked (e.g. after a password or role change) or expired
+    const session = await findLoginSession(payload, { userId: payload.id });
+    if (!session) {
+      await clearStaffAuthCookie();
+      return null;
+    }
 
     const user = await prisma.user.findUnique({
       where: { id: payload.id },
@@ -233,16 +303,25 @@ export async function getAuthenticatedUser() {
         id: true,
         email: true,
         name: true,
-        role: true
+        role: true,
+        branch: true,
+        disabledAt: true,
+        totpEnabledAt: true
       }
     });
 
-    if (!user) {
+    // A disabled account's token may still be unexpired — revoke it
+    if (!user || user.disabledAt) {
       await clearStaffAuthCookie();
       return null;
     }
 
-    return user;
+    const { BRANCH_COOKIE, resolveActiveBranch } = await import('@/app/lib/utils/branches');
+    const cookieStore = await cookies();
+    const activeBranch = resolveActiveBranch(user, cookieStore.get(BRANCH_COOKIE)?.value);
+
+    const { disabledAt, totpEnabledAt, ...active } = user;
+    return { ...active, activeBranch, twoFactorEnabled: !!totpEnabledAt, sessionId: session.id };
   } catch (error) {
     console.error('Staff authentication error:', error);
     return null;
@@ -250,11 +329,12 @@ export async function getAuthenticatedUser() {
 }
 
 /**
- * Role-based authentication middleware for staff API routes
- * @param {...string} allowedRoles - The roles allowed to access the route
+ * Authentication middleware for staff API routes. Successful mutations are
+ * written to the audit trail (see recordStaffMutation).
+ * @param {Function} isAllowed - (user) => whether they may use the route
  * @returns {Function} - A middleware wrapper
  */
-export function withRole(...allowedRoles) {
+function withStaffAccess(isAllowed) {
   return (handler) => {
     return async (request, ...args) => {
       try {
@@ -267,17 +347,31 @@ export function withRole(...allowedRoles) {
           );
         }
 
-        if (!allowedRoles.includes(user.role)) {
+        if (!isAllowed(user)) {
           return NextResponse.json(
             { error: 'Insufficient permissions' },
             { status: 403 }
           );
         }
 
+        // Staff the two-factor policy applies to can only enrol until they have
+        const { needsTwoFactorSetup, isTwoFactorSetupPath } = await import('@/app/lib/utils/twofactor');
+        if (!isTwoFactorSetupPath(new URL(request.url).pathname) && await needsTwoFactorSetup(user.role, user.twoFactorEnabled)) {
+          return NextResponse.json(
+            { error: 'Set up two-factor authentication to continue', twoFactorSetupRequired: true },
+            { status: 403 }
+          );
+        }
+
         request.user = user;
-        return handler(request, ...args);
+        const response = await handler(request, ...args);
+
+        const { recordStaffMutation } = await import('@/app/lib/utils/audit');
+        await recordStaffMutation(request, response, args[0]);
+
+        return response;
       } catch (error) {
-        console.error('Role auth middleware error:', error);
+        console.error('Staff auth middleware error:', error);
         return NextResponse.json(
           { error: 'Authentication failed' },
           { status: 500 }
@@ -285,4 +379,24 @@ export function withRole(...allowedRoles) {
       }
     };
   };
+}
+
+/**
+ * Role-based authentication middleware for staff API routes
+ * @param {...string} allowedRoles - The roles allowed to access the route
+ * @returns {Function} - A middleware wrapper
+ */
+export function withRole(...allowedRoles) {
+  return withStaffAccess((user) => allowedRoles.includes(user.role));
+}
+
+/**
+ * Permission-based authentication middleware for staff API routes, e.g.
+ * withPermission('students.archive'). Roles grant permissions as listed in
+ * lib/permissions.js, less the global ones for staff tied to a branch.
+ * @param {...string} permissions - Any one of these is enough
+ * @returns {Function} - A middleware wrapper
+ */
+export function withPermission(...permissions) {
+  return withStaffAccess((user) => permissions.some((permission) => hasPermission(user.role, permission, user.branch)));
 }
\ No newline at end of file
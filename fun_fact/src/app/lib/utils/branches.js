@@ -0,0 +1,76 @@
+import { z } from 'zod';
+import prisma from '../db/prisma-client';
+import { ensureSlotSessions } from './timeslots';
+
+// Branches: the sites the school runs from. Students, sessions and staff each
+// belong to one. Staff without a branch (e.g. the school's own admins) work
+// across all of them and pick the one they are looking at with the branch
+// switcher, remembered in a cookie; staff with a branch only ever see theirs.
+
+export const BRANCH_COOKIE = 'staff-branch';
+
+export const branchSchema = z.object({
+  code: z.string()
+    .trim()
+    .toUpperCase()
+    .regex(/^[A-Z0-9_]{2,32}$/, 'Branch code must be 2-32 letters, digits or underscores'),
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name is too long'),
+  address: z.string().trim().max(255, 'Address is too long').optional(),
+});
+
+/**
+ * Every branch, by name
+ * @param {Object} [db] - Prisma client or transaction client
+ * @returns {Promise<Array>}
+ */
+export async function listBranches(db = prisma) {
+  return db.branch.findMany({ orderBy: { name: 'asc' } });
+}
+
+/**
+ * The branch a staff member is working in: their own, or for staff without
+ * one the branch chosen in the switcher
+ * @param {Object} user - With branch
+ * @param {string} [selected] - The switcher's choice, from BRANCH_COOKIE
+ * @returns {string|null} - Branch code, or null for every branch
+ */
+export function resolveActiveBranch(user, selected) {
+  return user.branch || selected || null;
+}
+
+/**
+ * A where clause limiting rows with a branch column to one branch
+ * @param {string|null} branch - Branch code, or null for every branch
+ * @returns {Object}
+ */
+export function branchWhere(branch) {
+  return branch ? { branch } : {};
+}
+
+/**
+ * Whether a row is in the branch being worked in
+ * @param {string|null} branch - Branch code, or null for every branch
+ * @param {{ branch: string }|null} row
+ * @returns {boolean}
+ */
+export function isInBranch(branch, row) {
+  return !!row && (!branch || row.branch === branch);
+}
+
+/**
+ * Add a branch with its own capacity matrix: a session row for every licence
+ * class on each active slot's days, all starting closed
+ * @param {{ code: string, name: string, address?: string }} data
+ * @returns {Promise<{ branch: Object, sessionsCreated: number }>}
+ */
+export async function createBranch(data) {
+  return prisma.$transaction(async (tx) => {
+    const branch = await tx.branch.create({ data });
+    const slots = await tx.timeSlot.findMany({ where: { isActive: true } });
+    let sessionsCreated = 0;
+    for (const slot of slots) {
+      sessionsCreated += await ensureSlotSessions(tx, slot, [branch.code]);
+    }
+    return { branch, sessionsCreated };
+  });
+}
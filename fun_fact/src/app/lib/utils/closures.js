@@ -0,0 +1,140 @@
+import { getSessionDate, getDayForDate, getWeekMondayFor, addWeeksToMonday } from './dates';
+
+/**
+ * Whether a closure covers a session slot (the date is matched by the caller)
+ * @param {Object} closure - Closure row
+ * @param {Object} session - Session with branch, timeSlot and category
+ * @returns {boolean}
+ */
+function coversSlot(closure, session) {
+  return (!closure.branch || closure.branch === session.branch)
+    && (!closure.timeSlot || closure.timeSlot === session.timeSlot)
+    && (!closure.category || closure.category === session.category);
+}
+
+/**
+ * Get every closure falling inside a week
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Date} weekOf - Monday of the week
+ * @returns {Promise<Array>}
+ */
+export async function getClosuresForWeek(db, weekOf) {
+  return db.closure.findMany({
+    where: { date: { gte: weekOf, lt: addWeeksToMonday(weekOf, 1) } },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Find the closure (if any) covering a session in a given week, from a
+ * pre-fetched list — see getClosuresForWeek
+ * @param {Array} closures - Closures for the week
+ * @param {Object} session - Session with branch, day, timeSlot and category
+ * @param {Date} weekOf - Monday of the week
+ * @returns {Object|undefined}
+ */
+export function findClosure(closures, session, weekOf) {
+  const date = getSessionDate(weekOf, session.day).getTime();
+  return closures.find(c => c.date.getTime() === date && coversSlot(c, session));
+}
+
+/**
+ * Find the closure (if any) covering a session in a given week
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} session - Session with branch, day, timeSlot and category
+ * @param {Date} weekOf - Monday of the week
+ * @returns {Promise<Object|null>}
+ */
+export async function getClosureFor(db, session, weekOf) {
+  return db.closure.findFirst({
+    where: {
+      date: getSessionDate(weekOf, session.day),
+      AND: [
+        { OR: [{ branch: null }, { branch: session.branch }] },
+        { OR: [{ timeSlot: null }, { timeSlot: session.timeSlot }] },
+        { OR: [{ category: null }, { category: session.category }] }
+      ]
+    }
+  });
+}
+
+/**
+ * Format a closure date for messages, e.g. "Tue, Mar 10"
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatClosureDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Get the sessions a closure covers
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} closure - Closure row
+ * @returns {Promise<Array>}
+ */
+export async function getSessionsForClosure(db, closure) {
+  const where = { day: getDayForDate(closure.date) };
+  if (closure.branch) where.branch = closure.branch;
+  if (closure.timeSlot) where.timeSlot = closure.timeSlot;
+  if (closure.category) where.category = closure.category;
+  return db.session.findMany({ where, select: { id: true } });
+}
+
+/**
+ * Cancel the active bookings a new closure lands on and close the matching
+ * waitlists. Run inside the transaction that creates the closure.
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Object} closure - The newly created closure
+ * @param {string|null} [changedById] - Staff user who created the closure
+ * @returns {Promise<Array>} - Cancelled bookings ({ id, studentId, sessionId })
+ */
+export async function cancelBookingsForClosure(tx, closure, changedById = null) {
+  const weekOf = getWeekMondayFor(closure.date);
+  const sessionIds = (await getSessionsForClosure(tx, closure)).map(s => s.id);
+  return cancelWeekBookings(tx, sessionIds, weekOf, `Closed ${formatClosureDate(closure.date)}: ${closure.reason}`, changedById);
+}
+
+/**
+ * Cancel the active bookings of sessions in one week and close their
+ * waitlists — for slots that won't run that week (closures, cancelled
+ * instances). Run inside the transaction that stops the slot running.
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {string[]} sessionIds - Session IDs
+ * @param {Date} weekOf - Monday of the week
+ * @param {string} reason - Recorded in each booking's status history
+ * @param {string|null} [changedById] - Staff user behind the change
+ * @returns {Promise<Array>} - Cancelled bookings ({ id, studentId, sessionId })
+ */
+export async function cancelWeekBookings(tx, sessionIds, weekOf, reason, changedById = null) {
+  if (sessionIds.length === 0) return [];
+
+  const bookings = await tx.booking.findMany({
+    where: { sessionId: { in: sessionIds }, weekOf, status: 'BOOKED' },
+    select: { id: true, studentId: true, sessionId: true }
+  });
+
+  if (bookings.length > 0) {
+    await tx.booking.updateMany({
+      where: { id: { in: bookings.map(b => b.id) } },
+      data: { status: 'CANCELLED', cancelledAt: new Date(), markedById: changedById }
+    });
+    await tx.bookingStatusHistory.createMany({
+      data: bookings.map(b => ({
+        bookingId: b.id,
+        fromStatus: 'BOOKED',
+        toStatus: 'CANCELLED',
+        changedById,
+        reason
+      }))
+    });
+  }
+
+  // Nobody can be promoted into a slot that isn't running
+  await tx.waitlistEntry.updateMany({
+    where: { sessionId: { in: sessionIds }, weekOf, status: 'WAITING' },
+    data: { status: 'EXPIRED' }
+  });
+
+  return bookings;
+}
@@ -0,0 +1,102 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in UTC like Vercel cron. Supports *, lists, ranges and steps,
+// e.g. "*/15 * * * *" or "0 6 * * 1-5".
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const MINUTE = 60 * 1000;
+
+// Far enough back or ahead for any yearly schedule
+const SEARCH_LIMIT_MINUTES = 366 * 24 * 60;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: ${part}`);
+
+    const [, range, from, to, step] = match;
+    const start = range === '*' ? min : Number(from);
+    const end = range === '*' ? max : to !== undefined ? Number(to) : step ? max : start;
+    const increment = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let value = start; value <= end; value += increment) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "59 13 * * 0"
+ * @returns {Object} - Allowed values per field
+ * @throws {Error} - When the expression is malformed
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression needs 5 fields: ${expression}`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function matches(cron, date) {
+  if (!cron.minutes.has(date.getUTCMinutes())) return false;
+  if (!cron.hours.has(date.getUTCHours())) return false;
+  if (!cron.months.has(date.getUTCMonth() + 1)) return false;
+
+  const dayMatches = cron.days.has(date.getUTCDate());
+  const weekdayMatches = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay || cron.anyWeekday) return dayMatches && weekdayMatches;
+  return dayMatches || weekdayMatches;
+}
+
+/**
+ * The latest time at or before `now` the schedule fired
+ * @param {string} expression - Cron expression
+ * @param {Date} [now]
+ * @returns {Date|null} - null if it didn't fire within the last year
+ */
+export function getPreviousRun(expression, now = new Date()) {
+  const cron = parseCron(expression);
+  const start = Math.floor(now.getTime() / MINUTE) * MINUTE;
+  for (let i = 0; i <= SEARCH_LIMIT_MINUTES; i++) {
+    const candidate = new Date(start - i * MINUTE);
+    if (matches(cron, candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * The next time after `now` the schedule fires
+ * @param {string} expression - Cron expression
+ * @param {Date} [now]
+ * @returns {Date|null} - null if it doesn't fire within the next year
+ */
+export function getNextRun(expression, now = new Date()) {
+  const cron = parseCron(expression);
+  const start = Math.floor(now.getTime() / MINUTE) * MINUTE;
+  for (let i = 1; i <= SEARCH_LIMIT_MINUTES; i++) {
+    const candidate = new Date(start + i * MINUTE);
+    if (matches(cron, candidate)) return candidate;
+  }
+  return null;
+}
@@ -0,0 +1,22 @@
+/**
+ * Escape a single CSV cell per RFC 4180 (quote when it contains comma, quote, or newline)
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  if (/[",\n\r]/.test(s)) {
+    return `"${s.replace(/"/g, '""')}"`;
+  }
+  return s;
+}
+
+/**
+ * One CSV line, newline included
+ * @param {Array} cells
+ * @returns {string}
+ */
+export function csvRow(cells) {
+  return cells.map(csvCell).join(',') + '\n';
+}
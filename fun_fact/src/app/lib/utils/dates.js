@@ -1,13 +1,78 @@
-import { format, addDays, startOfWeek } from 'date-fns';
-import { DAYS, DAY_NAMES, TIME_SLOT_NAMES } from '../constants';
+import { DAYS, DAY_NAMES } from '../constants';
+
+// Week and date calculations run in the school's timezone. Calendar dates
+// (weekOf, closure and maintenance days) are stored as 00:00 UTC of that date;
+// instants (session starts, deadlines) are real moments in time.
+// Every helper takes the schedule explicitly — read it from the settings with
+// getScheduleSettings() — and falls back to East Africa Time, where the week
+// rolls over on Sunday at 17:00.
+export const DEFAULT_SCHEDULE = { timeZone: 'Africa/Nairobi', rolloverHour: 17 };
+
+/**
+ * Whether a string is an IANA timezone the runtime knows (e.g. Africa/Nairobi)
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the wall-clock date and time of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number }} - month is 1-12
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute') };
+}
+
+// Offset of a timezone from UTC at an instant, in milliseconds (EAT → +3h)
+function getTimeZoneOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return wallClock - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+/**
+ * Get the instant a wall-clock time occurs in a timezone
+ * @param {Date} date - Calendar date (00:00 UTC of the day)
+ * @param {number} hour - Local hour (0-23)
+ * @param {string} timeZone - IANA timezone
+ * @param {number} [minute] - Local minute (0-59)
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(date, hour, timeZone, minute = 0) {
+  const wallClock = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hour, minute);
+  const guess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  // Re-read the offset at the result in case a DST change lies in between
+  return new Date(wallClock - getTimeZoneOffset(new Date(guess), timeZone));
+}
 
 /**
  * Get a formatted string of the session time
- * @param {string} timeSlot - The time slot enum value
- * @returns {string} - Formatted time range
+ * @param {string} timeSlot - The time slot code
+ * @param {Object} slotMap - Time slot catalogue by code (see getTimeSlotMap)
+ * @returns {string} - The slot's label
  */
-export function formatTimeSlot(timeSlot) {
-  return TIME_SLOT_NAMES[timeSlot] || 'Unknown Time';
+export function formatTimeSlot(timeSlot, slotMap) {
+  return slotMap?.[timeSlot]?.label || 'Unknown Time';
 }
 
 /**
@@ -22,10 +87,11 @@ export function formatDay(day) {
 /**
  * Get a formatted string for a session (day and time)
  * @param {Object} session - The session object
+ * @param {Object} slotMap - Time slot catalogue by code (see getTimeSlotMap)
  * @returns {string} - Formatted session string
  */
-export function formatSession(session) {
-  return `${formatDay(session.day)} ${formatTimeSlot(session.timeSlot)}`;
+export function formatSession(session, slotMap) {
+  return `${formatDay(session.day)} ${formatTimeSlot(session.timeSlot, slotMap)}`;
 }
 
 /**
@@ -48,45 +114,55 @@ export function mapDayToJsDay(day) {
 }
 
 /**
- * Get the next date for a specific day
+ * Get the next date for a specific day, counting today
  * @param {string} day - Day enum value
- * @returns {Date} - The next date for that day
+ * @param {Object} [schedule] - { timeZone, rolloverHour }
+ * @param {Date} [now]
+ * @returns {Date} - Calendar date (00:00 UTC) of that day
  */
-export function getNextDateForDay(day) {
-  const today = new Date();
-  const dayOfWeek = mapDayToJsDay(day);
-  
-  const startOfCurrentWeek = startOfWeek(today);
-  let targetDate = addDays(startOfCurrentWeek, dayOfWeek);
-  
-  // If the day has already passed this week, get next week's date
-  if (targetDate < today) {
-    targetDate = addDays(targetDate, 7);
-  }
-  
-  return targetDate;
+export function getNextDateForDay(day, schedule = DEFAULT_SCHEDULE, now = new Date()) {
+  const today = getToday(schedule, now);
+  const diff = (mapDayToJsDay(day) - today.getUTCDay() + 7) % 7;
+  today.setUTCDate(today.getUTCDate() + diff);
+  return today;
 }
 
 /**
- * Format a date object to a human-readable string
+ * Format a date to a human-readable string (e.g. "October 5, 2026")
  * @param {Date} date - Date object
+ * @param {string} [timeZone] - Timezone to read an instant in; calendar dates
+ *   stored at 00:00 UTC should pass 'UTC'
  * @returns {string} - Formatted date string
  */
-export function formatDate(date) {
-  return format(date, 'MMMM d, yyyy');
+export function formatDate(date, timeZone = DEFAULT_SCHEDULE.timeZone) {
+  return new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone });
 }
 
 /**
- * Get Monday 00:00:00 UTC of the current week
+ * Get the calendar date (YYYY-MM-DD) of an instant in a timezone
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function toLocalDateKey(date, timeZone = DEFAULT_SCHEDULE.timeZone) {
+  const p = getZonedParts(new Date(date), timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Get Monday 00:00:00 UTC of the current booking week. From the rollover hour
+ * on Sunday (school time) the current week is already the next one.
+ * @param {Object} [schedule] - { timeZone, rolloverHour }
+ * @param {Date} [now]
  * @returns {Date}
  */
-export function getCurrentWeekMonday() {
-  const now = new Date();
-  // After Sunday 14:00 UTC (5 PM EAT), treat as next week
-  if (now.getUTCDay() === 0 && now.getUTCHours() >= 14) {
-    return getWeekMondayFor(new Date(now.getTime() + 24 * 60 * 60 * 1000));
+export function getCurrentWeekMonday(schedule = DEFAULT_SCHEDULE, now = new Date()) {
+  const today = getToday(schedule, now);
+  const monday = getWeekMondayFor(today);
+  if (today.getUTCDay() === 0 && getZonedParts(now, schedule.timeZone).hour >= schedule.rolloverHour) {
+    return addWeeksToMonday(monday, 1);
   }
-  return getWeekMondayFor(now);
+  return monday;
 }
 
 /**
@@ -102,3 +178,161 @@ export function getWeekMondayFor(date) {
   d.setUTCHours(0, 0, 0, 0);
   return d;
 }
+
+/**
+ * Get the Monday `weeks` weeks after the given Monday (negative goes back)
+ * @param {Date} monday
+ * @param {number} weeks
+ * @returns {Date}
+ */
+export function addWeeksToMonday(monday, weeks) {
+  const d = new Date(monday);
+  d.setUTCDate(d.getUTCDate() + weeks * 7);
+  return d;
+}
+
+/**
+ * Get the weeks a student may book: the current week plus `horizonWeeks` ahead
+ * @param {number} horizonWeeks - Weeks beyond the current one (0 = current only)
+ * @param {Object} [schedule] - { timeZone, rolloverHour }
+ * @param {Date} [now]
+ * @returns {Date[]} - Week Mondays in chronological order
+ */
+export function getBookableWeeks(horizonWeeks, schedule = DEFAULT_SCHEDULE, now = new Date()) {
+  const current = getCurrentWeekMonday(schedule, now);
+  const count = Math.max(0, horizonWeeks || 0) + 1;
+  return Array.from({ length: count }, (_, i) => addWeeksToMonday(current, i));
+}
+
+/**
+ * Parse a `weekOf` request value into the Monday of that week
+ * @param {string} value - Any date within the week (ISO string or YYYY-MM-DD)
+ * @returns {Date|null} - The week's Monday, or null if the value is not a date
+ */
+export function parseWeekOf(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return getWeekMondayFor(date);
+}
+
+// Offset of each day from its week's Monday
+const DAY_OFFSETS = {
+  [DAYS.MONDAY]: 0,
+  [DAYS.TUESDAY]: 1,
+  [DAYS.WEDNESDAY]: 2,
+  [DAYS.THURSDAY]: 3,
+  [DAYS.FRIDAY]: 4,
+  [DAYS.SATURDAY]: 5,
+  [DAYS.SUNDAY]: 6
+};
+
+/**
+ * Get the calendar date (00:00 UTC) a session day falls on in a given week
+ * @param {Date} weekOf - Monday of the week
+ * @param {string} day - Day enum value
+ * @returns {Date}
+ */
+export function getSessionDate(weekOf, day) {
+  const d = new Date(weekOf);
+  d.setUTCDate(d.getUTCDate() + DAY_OFFSETS[day]);
+  return d;
+}
+
+/**
+ * Get the Day enum value for a date (read in UTC)
+ * @param {Date} date
+ * @returns {string} - Day enum value
+ */
+export function getDayForDate(date) {
+  const jsDay = new Date(date).getUTCDay();
+  return Object.keys(DAY_OFFSETS).find(day => mapDayToJsDay(day) === jsDay);
+}
+
+/**
+ * Parse a calendar date (YYYY-MM-DD) into 00:00 UTC of that day
+ * @param {string} value
+ * @returns {Date|null} - The date, or null if the value is not a valid calendar date
+ */
+export function parseCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) return null;
+  return date;
+}
+
+/**
+ * Read a time of day written as "HH:MM" (24-hour)
+ * @param {string} value - e.g. "08:00", "17:30"
+ * @returns {number|null} - Minutes after midnight, or null if malformed
+ */
+export function parseTimeOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Format a "HH:MM" time of day for people, e.g. "13:00" → "1:00 PM"
+ * @param {string} value
+ * @returns {string}
+ */
+export function formatTimeOfDay(value) {
+  const minutes = parseTimeOfDay(value);
+  if (minutes === null) return value || '';
+  const hour = Math.floor(minutes / 60);
+  const minute = String(minutes % 60).padStart(2, '0');
+  return `${hour % 12 || 12}:${minute} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Whether two time slots overlap in time (touching end/start does not count)
+ * @param {Object} a - Time slot { code, startTime, endTime }
+ * @param {Object} b - Time slot { code, startTime, endTime }
+ * @returns {boolean}
+ */
+export function timeSlotsOverlap(a, b) {
+  if (!a || !b) return false;
+  if (a.code && a.code === b.code) return true;
+  const aStart = parseTimeOfDay(a.startTime);
+  const bStart = parseTimeOfDay(b.startTime);
+  if (aStart === null || bStart === null) return false;
+  return aStart < parseTimeOfDay(b.endTime) && bStart < parseTimeOfDay(a.endTime);
+}
+
+/**
+ * Get today's calendar date at the school (00:00 UTC)
+ * @param {Object} [schedule] - { timeZone }
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function getToday(schedule = DEFAULT_SCHEDULE, now = new Date()) {
+  return parseCalendarDate(toLocalDateKey(now, schedule.timeZone));
+}
+
+/**
+ * Get the moment a session starts in a given week (slot times are school time)
+ * @param {Date} weekOf - Monday of the week
+ * @param {string} day - Day enum value
+ * @param {Object} slot - Time slot { startTime }
+ * @param {Object} [schedule] - { timeZone }
+ * @returns {Date}
+ */
+export function getSessionStart(weekOf, day, slot, schedule = DEFAULT_SCHEDULE) {
+  const start = parseTimeOfDay(slot?.startTime) ?? 0;
+  return zonedTimeToUtc(getSessionDate(weekOf, day), Math.floor(start / 60), schedule.timeZone, start % 60);
+}
+
+/**
+ * Get the last moment a student may cancel a session without it counting as late
+ * @param {Date} weekOf - Monday of the week
+ * @param {string} day - Day enum value
+ * @param {Object} slot - Time slot { startTime }
+ * @param {number} cutoffHours - Hours before the start (0 = up to the start)
+ * @param {Object} [schedule] - { timeZone }
+ * @returns {Date}
+ */
+export function getCancelDeadline(weekOf, day, slot, cutoffHours, schedule = DEFAULT_SCHEDULE) {
+  const start = getSessionStart(weekOf, day, slot, schedule);
+  return new Date(start.getTime() - Math.max(0, cutoffHours || 0) * 60 * 60 * 1000);
+}
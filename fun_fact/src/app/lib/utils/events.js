@@ -0,0 +1,117 @@
+import prisma from '../db/prisma-client';
+import { INACTIVE_BOOKING_STATUSES } from '../constants';
+import { getEffectiveCapacity } from './fleet';
+
+// Session availability feed, consumed by the /api/sessions/stream SSE route.
+// Changes are written to the SessionChange table and every open stream polls
+// it, so a change made on one server instance reaches streams held open by
+// any other. Clients still refetch on focus, so a missed push is corrected on
+// the next refetch.
+
+// Rows older than this are deleted; a stream reconnecting later starts afresh
+const FEED_TTL_MS = 10 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+let prunedAt = 0;
+
+// Drop expired rows, at most once a minute per instance
+async function pruneFeed() {
+  const now = Date.now();
+  if (now - prunedAt < PRUNE_INTERVAL_MS) return;
+  prunedAt = now;
+  await prisma.sessionChange.deleteMany({ where: { createdAt: { lt: new Date(now - FEED_TTL_MS) } } });
+}
+
+/**
+ * Publish the current availability of a session week to open streams.
+ * Call after the transaction commits so nobody sees a rolled-back count.
+ * Errors are logged, never thrown — a missed push must not fail the mutation.
+ * @param {string} sessionId - Session ID
+ * @param {Date|null} weekOf - Monday of the affected week, or null when the
+ *   change applies to every week (e.g. the slot's capacity was edited)
+ */
+export async function publishSessionChange(sessionId, weekOf) {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      select: { id: true, branch: true, day: true, timeSlot: true, category: true, capacity: true }
+    });
+    if (!session) return;
+
+    const change = {
+      sessionId,
+      weekOf: weekOf ? weekOf.toISOString() : null,
+      branch: session.branch,
+      day: session.day,
+      timeSlot: session.timeSlot,
+      category: session.category,
+      capacity: session.capacity
+    };
+
+    if (weekOf) {
+      const [booked, waitlistCount, capacity] = await Promise.all([
+        prisma.booking.count({ where: { sessionId, weekOf, status: { notIn: INACTIVE_BOOKING_STATUSES } } }),
+        prisma.waitlistEntry.count({ where: { sessionId, weekOf, status: 'WAITING' } }),
+        getEffectiveCapacity(prisma, session, weekOf)
+      ]);
+      change.capacity = capacity;
+      change.booked = booked;
+      change.availableSpots = Math.max(0, capacity - booked);
+      change.waitlistCount = waitlistCount;
+    }
+
+    await prisma.sessionChange.create({
+      data: { branch: session.branch, category: session.category, payload: change }
+    });
+    await pruneFeed();
+  } catch (error) {
+    console.error('Failed to publish session change:', error);
+  }
+}
+
+/**
+ * Publish a change for every offered session of a licence class at a branch,
+ * e.g. when the fleet behind its capacity changes
+ * @param {string} category - Licence class
+ * @param {string} branch - Branch code
+ */
+export async function publishCategoryChange(category, branch) {
+  const sessions = await prisma.session.findMany({
+    where: { category, branch, capacity: { gt: 0 } },
+    select: { id: true }
+  });
+  for (const session of sessions) {
+    await publishSessionChange(session.id, null);
+  }
+}
+
+/**
+ * ID of the newest change in the feed, where a new stream starts reading
+ * @returns {Promise<number>} - 0 when the feed is empty
+ */
+export async function getLatestSessionChangeId() {
+  const latest = await prisma.sessionChange.findFirst({ orderBy: { id: 'desc' }, select: { id: true } });
+  return latest?.id || 0;
+}
+
+/**
+ * Changes published after a given one, oldest first
+ * @param {number} afterId - ID of the last change already sent
+ * @param {Object} [scope]
+ * @param {string|null} [scope.branch] - Only this branch's sessions
+ * @param {string} [scope.category] - Only this licence class's sessions
+ * @returns {Promise<Array<{ id: number, change: Object }>>}
+ */
+export async function readSessionChanges(afterId, { branch = null, category } = {}) {
+  const rows = await prisma.sessionChange.findMany({
+    where: {
+      id: { gt: afterId },
+      ...(branch && { branch }),
+      ...(category && { category })
+    },
+    orderBy: { id: 'asc' },
+    take: 200,
+    select: { id: true, payload: true }
+  });
+  return rows.map(row => ({ id: row.id, change: row.payload }));
+}
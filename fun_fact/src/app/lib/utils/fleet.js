@@ -0,0 +1,169 @@
+import { DAYS, INACTIVE_BOOKING_STATUSES } from '../constants';
+import { getSessionDate, getWeekMondayFor, getBookableWeeks, formatTimeSlot } from './dates';
+import { getSetting, getScheduleSettings } from './settings';
+import { getTimeSlotMap } from './timeslots';
+import { getWeekSession, applyInstance } from './instances';
+
+/**
+ * Count the vehicles available on each day of a week, per branch and licence
+ * class. A vehicle is available when it is active and no maintenance window
+ * covers the day. Classes without any vehicle on record at a branch are left
+ * out — the fleet isn't tracked for them there, so their capacity is not capped.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Date} weekOf - Monday of the week
+ * @param {Object} [filter]
+ * @param {string} [filter.category] - Limit to one licence class
+ * @param {string|null} [filter.branch] - Limit to one branch
+ * @returns {Promise<Object>} - { [branch]: { [category]: { [day]: number } } }
+ */
+export async function getFleetAvailability(db, weekOf, { category, branch } = {}) {
+  const sunday = getSessionDate(weekOf, DAYS.SUNDAY);
+  const vehicles = await db.vehicle.findMany({
+    where: { ...(category && { category }), ...(branch && { branch }) },
+    select: {
+      category: true,
+      branch: true,
+      isActive: true,
+      maintenance: {
+        where: { startDate: { lte: sunday }, endDate: { gte: weekOf } },
+        select: { startDate: true, endDate: true }
+      }
+    }
+  });
+
+  const availability = {};
+  for (const vehicle of vehicles) {
+    const byClass = (availability[vehicle.branch] ||= {});
+    const byDay = (byClass[vehicle.category] ||= Object.fromEntries(Object.values(DAYS).map(d => [d, 0])));
+    if (!vehicle.isActive) continue;
+    for (const day of Object.values(DAYS)) {
+      const date = getSessionDate(weekOf, day);
+      const offRoad = vehicle.maintenance.some(m => m.startDate <= date && m.endDate >= date);
+      if (!offRoad) byDay[day]++;
+    }
+  }
+  return availability;
+}
+
+/**
+ * Cap a session's configured capacity by its branch's vehicles available that day
+ * @param {Object} session - Session with branch, day, category and capacity
+ * @param {Object} availability - Result of getFleetAvailability for the week
+ * @returns {number}
+ */
+export function capCapacity(session, availability) {
+  const vehicles = availability[session.branch]?.[session.category]?.[session.day];
+  return vehicles === undefined ? session.capacity : Math.min(session.capacity, vehicles);
+}
+
+/**
+ * Get the capacity a session actually has in a given week: the week's own
+ * capacity (see applyInstance), capped by the fleet, and 0 once cancelled
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} session - Session with id, branch, day, category and capacity
+ * @param {Date} weekOf - Monday of the week
+ * @returns {Promise<number>}
+ */
+export async function getEffectiveCapacity(db, session, weekOf) {
+  const weekSession = await getWeekSession(db, session, weekOf);
+  if (weekSession.isCancelled) return 0;
+  const availability = await getFleetAvailability(db, weekOf, { category: session.category, branch: session.branch });
+  return capCapacity(weekSession, availability);
+}
+
+/**
+ * Find sessions of a class at a branch whose active bookings exceed their
+ * fleet-capped capacity between two dates. Only bookable weeks are checked —
+ * no other week can hold bookings that are still to happen.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} category - Licence class
+ * @param {string} branch - Branch code
+ * @param {Date} from - First day (00:00 UTC)
+ * @param {Date} to - Last day (00:00 UTC, inclusive)
+ * @returns {Promise<Array>} - [{ sessionId, day, timeSlot, timeSlotName, date, enrolled, capacity }]
+ */
+export async function findOverbookedSessions(db, category, branch, from, to) {
+  const horizonWeeks = await getSetting('booking_horizon_weeks', 1);
+  const firstWeek = getWeekMondayFor(from);
+  const weeks = getBookableWeeks(horizonWeeks, await getScheduleSettings()).filter(w => w >= firstWeek && w <= to);
+
+  const slotMap = await getTimeSlotMap(db);
+  const overbooked = [];
+  for (const weekOf of weeks) {
+    const availability = await getFleetAvailability(db, weekOf, { category, branch });
+    const sessions = await db.session.findMany({
+      where: { category, branch, bookings: { some: { weekOf, status: { notIn: INACTIVE_BOOKING_STATUSES } } } },
+      select: {
+        id: true,
+        day: true,
+        timeSlot: true,
+        category: true,
+        branch: true,
+        capacity: true,
+        instances: { where: { weekOf } },
+        _count: { select: { bookings: { where: { weekOf, status: { notIn: INACTIVE_BOOKING_STATUSES } } } } }
+      }
+    });
+
+    for (const session of sessions) {
+      const date = getSessionDate(weekOf, session.day);
+      if (date < from || date > to) continue;
+      // The week's own capacity, if overridden
+      const capacity = capCapacity(applyInstance(session, session.instances[0]), availability);
+      if (session._count.bookings > capacity) {
+        overbooked.push({
+          sessionId: session.id,
+          day: session.day,
+          timeSlot: session.timeSlot,
+          timeSlotName: formatTimeSlot(session.timeSlot, slotMap),
+          date: date.toISOString().slice(0, 10),
+          enrolled: session._count.bookings,
+          capacity
+        });
+      }
+    }
+  }
+
+  const start = (row) => slotMap[row.timeSlot]?.startTime || '';
+  return overbooked.sort((a, b) => a.date.localeCompare(b.date) || start(a).localeCompare(start(b)));
+}
+
+/**
+ * Last day of the booking horizon, for checks that cover "from now on"
+ * @returns {Promise<Date>} - 00:00 UTC of the last bookable Sunday
+ */
+export async function getHorizonEnd() {
+  const weeks = getBookableWeeks(await getSetting('booking_horizon_weeks', 1), await getScheduleSettings());
+  return getSessionDate(weeks[weeks.length - 1], DAYS.SUNDAY);
+}
+
+/**
+ * Shape a vehicle (with its maintenance windows, if loaded) for API responses
+ * @param {Object} vehicle
+ * @returns {Object}
+ */
+export function formatVehicle(vehicle) {
+  return {
+    id: vehicle.id,
+    registration: vehicle.registration,
+    name: vehicle.name,
+    category: vehicle.category,
+    branch: vehicle.branch,
+    isActive: vehicle.isActive,
+    maintenance: (vehicle.maintenance || []).map(formatMaintenance)
+  };
+}
+
+/**
+ * Shape a maintenance window for API responses (dates as YYYY-MM-DD)
+ * @param {Object} window
+ * @returns {Object}
+ */
+export function formatMaintenance(window) {
+  return {
+    id: window.id,
+    startDate: window.startDate.toISOString().slice(0, 10),
+    endDate: window.endDate.toISOString().slice(0, 10),
+    reason: window.reason
+  };
+}
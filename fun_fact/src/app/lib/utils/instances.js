@@ -0,0 +1,118 @@
+import { getSessionDate, getBookableWeeks } from './dates';
+import { getSetting, getScheduleSettings } from './settings';
+import { getTimeSlotMap, isSlotOffered } from './timeslots';
+
+/**
+ * The session as it runs in one week: the template with that week's instance
+ * applied. Without an instance the template stands as is.
+ * @param {Object} session - Session (template) row
+ * @param {Object|null} instance - SessionInstance for the week, if any
+ * @returns {Object} - The session with the week's capacity, plus templateCapacity,
+ *   instanceId, isExtra, isCancelled and note
+ */
+export function applyInstance(session, instance) {
+  return {
+    ...session,
+    capacity: instance?.capacity ?? session.capacity,
+    templateCapacity: session.capacity,
+    instanceId: instance?.id || null,
+    isExtra: !!instance?.isExtra,
+    isCancelled: instance?.status === 'CANCELLED',
+    note: instance?.note || null
+  };
+}
+
+/**
+ * Get a session as it runs in a given week
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} session - Session (template) row
+ * @param {Date} weekOf - Monday of the week
+ * @returns {Promise<Object>} - See applyInstance
+ */
+export async function getWeekSession(db, session, weekOf) {
+  const instance = await db.sessionInstance.findUnique({
+    where: { sessionId_weekOf: { sessionId: session.id, weekOf } }
+  });
+  return applyInstance(session, instance);
+}
+
+/**
+ * Whether a week's session is on offer: it has capacity that week and its slot
+ * runs that day. Extras only need the slot to be active — running outside the
+ * standing timetable is what makes them extra. Cancelled sessions still count
+ * as offered; they are listed as closed.
+ * @param {Object} slotMap - Time slot catalogue by code
+ * @param {Object} weekSession - Result of applyInstance
+ * @returns {boolean}
+ */
+export function isOfferedInWeek(slotMap, weekSession) {
+  if (weekSession.capacity <= 0) return false;
+  return weekSession.isExtra
+    ? !!slotMap[weekSession.timeSlot]?.isActive
+    : isSlotOffered(slotMap, weekSession);
+}
+
+/**
+ * Create the week's instances from the templates on offer, plus any template
+ * holding bookings that week so its roster and history stay listed. Instances
+ * that already exist are left alone, so this is safe to call again. Reads
+ * never call it — they apply whatever instances exist to the templates.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Date} weekOf - Monday of the week
+ * @returns {Promise<number>} - Instances created
+ */
+export async function materialiseWeek(db, weekOf) {
+  const slotMap = await getTimeSlotMap(db);
+  const templates = await db.session.findMany({
+    where: { OR: [{ capacity: { gt: 0 } }, { bookings: { some: { weekOf } } }] },
+    select: {
+      id: true,
+      day: true,
+      timeSlot: true,
+      _count: { select: { bookings: { where: { weekOf } } } }
+    }
+  });
+
+  const due = templates.filter(s => s._count.bookings > 0 || isSlotOffered(slotMap, s));
+  if (due.length === 0) return 0;
+
+  const { count } = await db.sessionInstance.createMany({
+    data: due.map(s => ({ sessionId: s.id, weekOf, date: getSessionDate(weekOf, s.day) })),
+    skipDuplicates: true
+  });
+  return count;
+}
+
+/**
+ * Create the instances of every week open for booking: the current week and
+ * the booking horizon. Run when a week opens (the open-weeks job) and after a
+ * template is opened, so each week's sessions can be changed on their own.
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<{ weeks: number, created: number }>}
+ */
+export async function materialiseBookableWeeks(db) {
+  const weeks = getBookableWeeks(await getSetting('booking_horizon_weeks', 1), await getScheduleSettings());
+  let created = 0;
+  for (const weekOf of weeks) {
+    created += await materialiseWeek(db, weekOf);
+  }
+  return { weeks: weeks.length, created };
+}
+
+/**
+ * Shape an instance for API responses
+ * @param {Object} instance - SessionInstance row
+ * @returns {Object}
+ */
+export function formatInstance(instance) {
+  return {
+    id: instance.id,
+    sessionId: instance.sessionId,
+    weekOf: instance.weekOf,
+    date: instance.date.toISOString().slice(0, 10),
+    capacity: instance.capacity,
+    status: instance.status,
+    isExtra: instance.isExtra,
+    note: instance.note
+  };
+}
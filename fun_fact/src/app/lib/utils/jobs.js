@@ -0,0 +1,226 @@
+import { randomUUID } from 'crypto';
+import prisma from '../db/prisma-client';
+import { getPreviousRun, getNextRun } from './cron';
+import { getToday, getWeekMondayFor, addWeeksToMonday, zonedTimeToUtc } from './dates';
+import { getScheduleSettings } from './settings';
+import { archiveStaleBookings } from './archive';
+import { sendDueReminders } from './reminders';
+import { sendWeeklyReport } from './reports';
+import { purgeExpiredRecords } from './retention';
+import { materialiseBookableWeeks } from './instances';
+
+// Background jobs. Each runs on its cron schedule (UTC) whenever something
+// calls runDueJobs — the Vercel cron hitting /api/admin/jobs/tick, or
+// `npm run jobs tick` from a system crontab elsewhere. A job is only as timely
+// as the tick: vercel.json ticks once a day, which is all the Hobby plan
+// allows, so hourly jobs catch up then (see README). It can be run by hand
+// from the admin jobs endpoint or the CLI. A job holds its lock for at most
+// lockMinutes, after which a crashed run no longer blocks it. A schedule can
+// also be worked out from the school's timezone and rollover hour (see
+// getScheduleSettings), so it follows them when an admin changes them.
+const JOBS = {
+  'archive-bookings': {
+    description: 'Cancel unattended bookings from past weeks and close their waitlists',
+    schedule: rolloverSchedule, // just before the week rolls over
+    lockMinutes: 10,
+    run: ({ trigger, userId }) => archiveStaleBookings(trigger, userId),
+  },
+  'open-weeks': {
+    description: 'Create the session instances of each week open for booking',
+    schedule: '0 * * * *', // catches the rollover, whatever hour it is
+    lockMinutes: 10,
+    run: () => materialiseBookableWeeks(prisma),
+  },
+  'send-reminders': {
+    description: 'Text students a reminder before their booked sessions',
+    schedule: '0 * * * *',
+    lockMinutes: 10,
+    run: () => sendDueReminders(),
+  },
+  'weekly-report': {
+    description: "Email the admins last week's figures",
+    schedule: '0 5 * * 1', // Monday 08:00 in Nairobi
+    lockMinutes: 10,
+    run: () => sendWeeklyReport(),
+  },
+  'purge-records': {
+    description: 'Delete logs older than the retention period',
+    schedule: '30 0 * * *',
+    lockMinutes: 30,
+    run: () => purgeExpiredRecords(),
+  },
+};
+
+/**
+ * Cron expression (UTC) firing a minute before this week's rollover: Sunday
+ * at the rollover hour, school time. Worked out afresh on every tick, so a
+ * daylight-saving change moves it along with the zone.
+ * @param {Object} schedule - { timeZone, rolloverHour }
+ * @param {Date} now
+ * @returns {string}
+ */
+function rolloverSchedule({ timeZone, rolloverHour }, now) {
+  const sunday = addWeeksToMonday(getWeekMondayFor(getToday({ timeZone }, now)), 1);
+  sunday.setUTCDate(sunday.getUTCDate() - 1);
+  const at = new Date(zonedTimeToUtc(sunday, rolloverHour, timeZone).getTime() - 60 * 1000);
+  return `${at.getUTCMinutes()} ${at.getUTCHours()} * * ${at.getUTCDay()}`;
+}
+
+/**
+ * A job's cron expression as of now
+ * @param {Object} job - Entry in JOBS
+ * @param {Date} now
+ * @returns {Promise<string>}
+ */
+async function resolveSchedule(job, now) {
+  return typeof job.schedule === 'function'
+    ? job.schedule(await getScheduleSettings(), now)
+    : job.schedule;
+}
+
+/**
+ * Whether a job exists
+ * @param {string} name - Job name
+ * @returns {boolean}
+ */
+export function isJob(name) {
+  return Object.hasOwn(JOBS, name);
+}
+
+/**
+ * Make sure every job has its lock row, returning the rows with each job's
+ * latest run
+ */
+async function ensureJobRows() {
+  for (const name of Object.keys(JOBS)) {
+    await prisma.job.upsert({ where: { name }, create: { name }, update: {} });
+  }
+  return prisma.job.findMany({
+    include: { runs: { orderBy: { startedAt: 'desc' }, take: 1 } }
+  });
+}
+
+/**
+ * Run a job now, unless another run of it holds the lock. A failing job is
+ * recorded as FAILED and logged, never thrown.
+ * @param {string} name - Job name
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - cron, manual or cli
+ * @param {string|null} [options.userId] - Staff user who started it
+ * @returns {Promise<{ status: 'LOCKED'|'SUCCEEDED'|'FAILED', run: Object|null }>}
+ */
+export async function runJob(name, { trigger = 'manual', userId = null } = {}) {
+  const job = JOBS[name];
+  if (!job) throw new Error(`Unknown job: ${name}`);
+
+  await prisma.job.upsert({ where: { name }, create: { name }, update: {} });
+
+  const runId = randomUUID();
+  const now = new Date();
+  const { count } = await prisma.job.updateMany({
+    where: { name, OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] },
+    data: { lockedBy: runId, lockedUntil: new Date(now.getTime() + job.lockMinutes * 60 * 1000) }
+  });
+  if (count === 0) return { status: 'LOCKED', run: null };
+
+  await prisma.jobRun.create({
+    data: { id: runId, jobName: name, trigger, triggeredById: userId, startedAt: now }
+  });
+
+  let run;
+  try {
+    const result = await job.run({ trigger, userId });
+    run = await prisma.jobRun.update({
+      where: { id: runId },
+      data: { status: 'SUCCEEDED', result: result ?? undefined, finishedAt: new Date() }
+    });
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run = await prisma.jobRun.update({
+      where: { id: runId },
+      data: { status: 'FAILED', error: String(error.stack || error.message || error), finishedAt: new Date() }
+    });
+    await prisma.systemLog.create({
+      data: {
+        action: 'JOB_FAILED',
+        message: `Job ${name} failed: ${String(error.message || 'Unknown error')}`.slice(0, 191),
+        actorId: userId,
+        data: { job: name, runId, trigger }
+      }
+    });
+  } finally {
+    await prisma.job.updateMany({
+      where: { name, lockedBy: runId },
+      data: { lockedBy: null, lockedUntil: null }
+    });
+  }
+
+  return { status: run.status, run };
+}
+
+/**
+ * Run every job whose schedule has fired since its last run. A job that has
+ * never run waits for its first scheduled time after it was registered.
+ * @param {string} [trigger] - cron or cli
+ * @param {Date} [now]
+ * @returns {Promise<Array<{ name: string, status: string }>>} - The jobs that were due
+ */
+export async function runDueJobs(trigger = 'cron', now = new Date()) {
+  const rows = await ensureJobRows();
+  const results = [];
+  for (const row of rows) {
+    const job = JOBS[row.name];
+    if (!job) continue; // a job since removed from the registry
+
+    const firedAt = getPreviousRun(await resolveSchedule(job, now), now);
+    const since = row.runs[0]?.startedAt || row.createdAt;
+    if (!firedAt || firedAt <= since) continue;
+
+    const { status } = await runJob(row.name, { trigger });
+    results.push({ name: row.name, status });
+  }
+  return results;
+}
+
+/**
+ * Every job with its schedule, lock and latest run
+ * @param {Date} [now]
+ * @returns {Promise<Array>}
+ */
+export async function listJobs(now = new Date()) {
+  const rows = new Map((await ensureJobRows()).map(row => [row.name, row]));
+  const jobs = [];
+  for (const [name, job] of Object.entries(JOBS)) {
+    const row = rows.get(name);
+    const lastRun = row?.runs[0];
+    const schedule = await resolveSchedule(job, now);
+    jobs.push({
+      name,
+      description: job.description,
+      schedule,
+      nextRunAt: getNextRun(schedule, now),
+      running: !!row?.lockedUntil && row.lockedUntil > now,
+      lastRun: lastRun ? formatJobRun(lastRun) : null
+    });
+  }
+  return jobs;
+}
+
+/**
+ * Shape a job run for API responses
+ * @param {Object} run - JobRun row, optionally with triggeredBy
+ * @returns {Object}
+ */
+export function formatJobRun(run) {
+  return {
+    id: run.id,
+    job: run.jobName,
+    trigger: run.trigger,
+    status: run.status,
+    result: run.result,
+    error: run.error,
+    triggeredBy: run.triggeredBy?.name || null,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt
+  };
+}
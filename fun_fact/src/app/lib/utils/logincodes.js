@@ -0,0 +1,108 @@
+import { createHmac, randomInt, timingSafeEqual } from 'crypto';
+import prisma from '../db/prisma-client';
+
+// One-time login codes for students (the student_login_codes setting). A code
+// is six digits, lasts a few minutes and allows a handful of guesses; a newer
+// code replaces any earlier one. Codes are stored as an HMAC keyed with the
+// auth secret, never in the clear.
+
+export const LOGIN_CODE_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+
+// Minimum gap between two codes for the same student, so repeated logins
+// can't flood their inbox or run up the SMS bill
+const RESEND_SECONDS = 30;
+
+const hashCode = (code) =>
+  createHmac('sha256', process.env.NEXTAUTH_SECRET || '').update(String(code)).digest('hex');
+
+/**
+ * How long a student must wait before another code can be sent
+ * @param {string} studentId
+ * @returns {Promise<number>} - Seconds, 0 when a code can be sent now
+ */
+export async function getResendWait(studentId) {
+  const latest = await prisma.loginCode.findFirst({
+    where: { studentId },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+  if (!latest) return 0;
+  const elapsed = (Date.now() - latest.createdAt.getTime()) / 1000;
+  return Math.max(0, Math.ceil(RESEND_SECONDS - elapsed));
+}
+
+/**
+ * Issue a new code for a student, voiding any code still outstanding
+ * @param {string} studentId
+ * @param {string} channel - EMAIL or SMS, where the code is sent
+ * @returns {Promise<{ code: string, expiresAt: Date }>} - The code in the clear, to send once
+ */
+export async function issueLoginCode(studentId, channel) {
+  const code = String(randomInt(0, 1000000)).padStart(6, '0');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + LOGIN_CODE_MINUTES * 60 * 1000);
+
+  await prisma.$transaction([
+    prisma.loginCode.updateMany({
+      where: { studentId, usedAt: null, expiresAt: { gt: now } },
+      data: { expiresAt: now }
+    }),
+    prisma.loginCode.create({
+      data: { studentId, codeHash: hashCode(code), channel, expiresAt }
+    })
+  ]);
+
+  return { code, expiresAt };
+}
+
+/**
+ * Check a code a student typed in. A correct code is used up; a wrong one
+ * counts against the code's attempts.
+ * @param {string} studentId
+ * @param {string} code
+ * @returns {Promise<{ valid: boolean, error?: string }>}
+ */
+export async function verifyLoginCode(studentId, code) {
+  const now = new Date();
+  const latest = await prisma.loginCode.findFirst({
+    where: { studentId, usedAt: null, expiresAt: { gt: now } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!latest || latest.attempts >= MAX_ATTEMPTS) {
+    return { valid: false, error: 'This code has expired. Please request a new one.' };
+  }
+
+  const matches = timingSafeEqual(Buffer.from(latest.codeHash), Buffer.from(hashCode(code)));
+  if (!matches) {
+    await prisma.loginCode.update({
+      where: { id: latest.id },
+      data: { attempts: { increment: 1 } }
+    });
+    return { valid: false, error: 'That code is not right. Check it and try again.' };
+  }
+
+  // Conditional update, so two requests racing with the same code can't both use it
+  const { count } = await prisma.loginCode.updateMany({
+    where: { id: latest.id, usedAt: null },
+    data: { usedAt: now }
+  });
+  if (count === 0) {
+    return { valid: false, error: 'This code has already been used. Please request a new one.' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Hide most of an email address or phone number, to show where a code went
+ * @param {string} recipient
+ * @returns {string} - e.g. j•••@example.com or •••• 4567
+ */
+export function maskRecipient(recipient) {
+  if (!recipient) return '';
+  const at = recipient.indexOf('@');
+  if (at > 0) return `${recipient[0]}•••${recipient.slice(at)}`;
+  return `•••• ${recipient.slice(-4)}`;
+}
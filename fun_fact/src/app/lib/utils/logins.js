@@ -0,0 +1,119 @@
+import prisma from '../db/prisma-client';
+
+// Signed-in browsers (AuthSession rows). Every auth token names its session in
+// the `sid` claim; a token whose session is revoked or expired is refused even
+// while its signature is still valid.
+
+// How long a login lasts — the token, its cookie and its session all expire together
+export const SESSION_HOURS = 24;
+
+// lastSeenAt is only rewritten when it is older than this, to spare the database
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Best guess at the client's address behind the proxy
+ * @param {Request} request
+ * @returns {string|null}
+ */
+export function getClientIp(request) {
+  const forwarded = request.headers.get('x-forwarded-for');
+  if (forwarded) return forwarded.split(',')[0].trim();
+  return request.headers.get('x-real-ip') || null;
+}
+
+/**
+ * Start a session for a staff member or a student
+ * @param {Object} owner - { userId } or { studentId }
+ * @param {Request} request - The login request, for the browser and address
+ * @returns {Promise<Object>} - The AuthSession row
+ */
+export async function createLoginSession(owner, request) {
+  return prisma.authSession.create({
+    data: {
+      userId: owner.userId || null,
+      studentId: owner.studentId || null,
+      userAgent: request.headers.get('user-agent')?.slice(0, 255) || null,
+      ipAddress: getClientIp(request)?.slice(0, 64) || null,
+      expiresAt: new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000)
+    }
+  });
+}
+
+/**
+ * The live session a token belongs to
+ * @param {Object} payload - Verified token payload
+ * @param {Object} owner - { userId } or { studentId } the token claims to be
+ * @returns {Promise<Object|null>} - null when the session is gone, revoked,
+ *   expired or someone else's
+ */
+export async function findLoginSession(payload, owner) {
+  if (!payload?.sid) return null;
+
+  const session = await prisma.authSession.findUnique({ where: { id: payload.sid } });
+  const now = new Date();
+  if (!session || session.revokedAt || session.expiresAt <= now) return null;
+  if (owner.userId && session.userId !== owner.userId) return null;
+  if (owner.studentId && session.studentId !== owner.studentId) return null;
+
+  if (now - session.lastSeenAt > TOUCH_INTERVAL_MS) {
+    await prisma.authSession.update({ where: { id: session.id }, data: { lastSeenAt: now } });
+  }
+  return session;
+}
+
+/**
+ * Log one browser out
+ * @param {string} id - Session id
+ * @param {Object} [owner] - { userId } or { studentId } the session must belong to
+ * @returns {Promise<boolean>} - Whether a live session was revoked
+ */
+export async function revokeLoginSession(id, owner = {}) {
+  const { count } = await prisma.authSession.updateMany({
+    where: { id, ...owner, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count > 0;
+}
+
+/**
+ * Log a staff member or student out everywhere, e.g. after a password or role
+ * change
+ * @param {Object} owner - { userId } or { studentId }
+ * @param {Object} [options]
+ * @param {string} [options.exceptId] - A session to keep, e.g. the one making the change
+ * @returns {Promise<number>} - Sessions revoked
+ */
+export async function revokeAllLoginSessions(owner, { exceptId } = {}) {
+  const { count } = await prisma.authSession.updateMany({
+    where: {
+      ...owner,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+      ...(exceptId && { id: { not: exceptId } })
+    },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+}
+
+/**
+ * The sessions still signed in, newest first
+ * @param {Object} owner - { userId } or { studentId }
+ * @param {string} [currentId] - The session making the request, flagged as current
+ * @returns {Promise<Array>}
+ */
+export async function listLoginSessions(owner, currentId) {
+  const sessions = await prisma.authSession.findMany({
+    where: { ...owner, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastSeenAt: 'desc' }
+  });
+  return sessions.map(s => ({
+    id: s.id,
+    userAgent: s.userAgent,
+    ipAddress: s.ipAddress,
+    createdAt: s.createdAt,
+    lastSeenAt: s.lastSeenAt,
+    expiresAt: s.expiresAt,
+    current: s.id === currentId
+  }));
+}
@@ -0,0 +1,89 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Outgoing email. EMAIL_TRANSPORT picks how mail leaves the app:
+//   smtp    — a real mail server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+//   file    — one .eml file per message in EMAIL_FILE_DIR, for local testing
+//   console — printed to the server log
+// Unset, it is smtp when SMTP_HOST is configured and console otherwise, so a
+// dev machine never mails real students by accident. In production only smtp
+// is used: without it every send fails rather than leaving the message (and
+// any login code in it) in a log or on disk.
+
+const DEFAULT_FROM = 'Practicals <no-reply@localhost>';
+
+const TRANSPORTS = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return (message) => transporter.sendMail(message);
+  },
+
+  file: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    const dir = path.resolve(process.env.EMAIL_FILE_DIR || '.emails');
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      await mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+      await writeFile(file, info.message);
+      return info;
+    };
+  },
+
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      console.log(`[email] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`);
+      return info;
+    };
+  },
+};
+
+/**
+ * Name of the configured email transport
+ * @returns {string} - 'none' in production without an SMTP server
+ */
+export function getEmailTransportName() {
+  const name = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  if (process.env.NODE_ENV === 'production') {
+    return name === 'smtp' && process.env.SMTP_HOST ? 'smtp' : 'none';
+  }
+  return TRANSPORTS[name] ? name : 'console';
+}
+
+// Kept on `global` like the Prisma singleton so dev hot reloads reuse the
+// SMTP connection instead of opening a new one per reload
+const globalForMailer = global;
+
+/**
+ * Send an email through the configured transport. Throws on failure — callers
+ * decide whether a failed send matters.
+ * @param {{ to: string, subject: string, text: string }} message
+ * @returns {Promise<{ transport: string, messageId: string|null }>}
+ */
+export async function sendEmail({ to, subject, text }) {
+  const transport = getEmailTransportName();
+  if (transport === 'none') {
+    throw new Error('No email transport configured: set SMTP_HOST');
+  }
+  if (globalForMailer.mailer?.transport !== transport) {
+    globalForMailer.mailer = { transport, send: TRANSPORTS[transport]() };
+  }
+
+  const info = await globalForMailer.mailer.send({
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text
+  });
+  return { transport, messageId: info?.messageId || null };
+}
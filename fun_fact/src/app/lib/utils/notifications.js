@@ -0,0 +1,321 @@
+import prisma from '../db/prisma-client';
+import { getSessionDate, formatTimeSlot } from './dates';
+import { getSetting } from './settings';
+import { getTimeSlotMap } from './timeslots';
+import { formatClosureDate } from './closures';
+import { sendEmail, getEmailTransportName } from './mailer';
+import { sendSms, getSmsAdapterName } from './sms';
+
+// Emails and text messages to students about their bookings, and reports to
+// staff. Every attempt, sent or failed, is recorded in the Notification table.
+// Send after the transaction commits so nobody hears about a change that
+// rolled back.
+
+const STATUS_CHANGES = {
+  ATTENDED: 'You have been marked as attended',
+  NO_SHOW: 'You have been marked as a no-show',
+  COMPLETED: 'Your practical has been marked as completed',
+  INCOMPLETE: 'Your practical has been marked as incomplete',
+  CANCELLED: 'Your late cancellation has been excused — it no longer counts against you',
+};
+
+// Each template gets { name, when, category, details } and returns the email
+// subject and paragraphs, plus the text message for templates sent by SMS
+const TEMPLATES = {
+  BOOKING_CREATED: ({ name, when, category, details }) => ({
+    subject: `Booking confirmed: ${when}`,
+    text: [
+      `Hi ${name},`,
+      `You are booked for your class ${category} practical on ${when}.${details.bookedBy ? ` It was booked for you by ${details.bookedBy}.` : ''}`,
+      'If you can no longer make it, please cancel in the app so someone else can take the spot.',
+    ],
+  }),
+
+  WAITLIST_PROMOTED: ({ name, when, category }) => ({
+    subject: `A spot opened up: ${when}`,
+    text: [
+      `Hi ${name},`,
+      `A spot opened up in the class ${category} practical on ${when}, and you were next on the waitlist — you are now booked.`,
+      'If you can no longer make it, please cancel in the app so the next student can take the spot.',
+    ],
+  }),
+
+  BOOKING_CANCELLED: ({ name, when, details }) => ({
+    subject: `Booking cancelled: ${when}`,
+    text: [
+      `Hi ${name},`,
+      `Your practical on ${when} has been cancelled.`,
+      details.reason && `Reason: ${details.reason}`,
+      'You can book another session in the app.',
+    ],
+  }),
+
+  BOOKING_ARCHIVED: ({ name, when }) => ({
+    subject: `Booking closed: ${when}`,
+    text: [
+      `Hi ${name},`,
+      `Your practical on ${when} was never marked as attended, so the booking has been closed as cancelled.`,
+      'If you did attend, please speak to your instructor.',
+    ],
+  }),
+
+  BOOKING_STATUS_CHANGED: ({ name, when, details }) => ({
+    subject: `Practical update: ${when}`,
+    text: [
+      `Hi ${name},`,
+      `${STATUS_CHANGES[details.status] || `Your booking is now ${details.status}`} for your practical on ${when}.`,
+      details.notes && `Instructor notes: ${details.notes}`,
+      details.suspendedUntil && `You have reached the missed-session limit, so you cannot book until ${details.suspendedUntil}.`,
+    ],
+  }),
+
+  BOOKING_REMINDER: ({ name, when, category }) => ({
+    subject: `Reminder: practical on ${when}`,
+    text: [
+      `Hi ${name},`,
+      `This is a reminder of your class ${category} practical on ${when}.`,
+      'If you can no longer make it, please cancel in the app so someone else can take the spot.',
+    ],
+    sms: `Hi ${name.split(' ')[0]}, reminder: your class ${category} practical is on ${when}. Can't make it? Please cancel in the app.`,
+  }),
+
+  STUDENT_DEACTIVATED: ({ name, details }) => ({
+    subject: 'Course complete',
+    text: [
+      `Hi ${name},`,
+      `Congratulations — you have completed ${details.completedCount} of ${details.totalRequired} required practicals.`,
+      'Your account has now been closed for booking. Please contact the school if you think this is a mistake.',
+    ],
+  }),
+
+  REGISTRATION_APPROVED: ({ name, details }) => ({
+    subject: 'Your student account is ready',
+    text: [
+      `Hi ${name},`,
+      `Your account has been approved. You can now log in with your student ID ${details.studentId} and this email address to book your practicals.`,
+    ],
+  }),
+
+  REGISTRATION_REJECTED: ({ name, details }) => ({
+    subject: 'Your student account request',
+    text: [
+      `Hi ${name},`,
+      'The school could not approve your request for a student account.',
+      details.reason && `Reason: ${details.reason}`,
+      'Please contact the school office if you think this is a mistake.',
+    ],
+  }),
+
+  // `secret` is blanked out of the copy kept in the notifications log
+  LOGIN_CODE: ({ name, details }) => ({
+    subject: `Your login code: ${details.code}`,
+    text: [
+      `Hi ${name},`,
+      `Your login code is ${details.code}. It expires in ${details.minutes} minutes.`,
+      'If you did not try to log in, you can ignore this message — nobody can sign in without the code.',
+    ],
+    sms: `Your login code is ${details.code}. It expires in ${details.minutes} minutes. Don't share it with anyone.`,
+    secret: details.code,
+  }),
+
+  WEEKLY_REPORT: ({ name, details }) => ({
+    subject: `Weekly report: week of ${details.week}`,
+    text: [
+      `Hi ${name},`,
+      `Here is how the week of ${details.week} went.`,
+      details.lines.join('\n'),
+    ],
+  }),
+};
+
+const CHANNELS = {
+  EMAIL: {
+    enabled: () => getSetting('email_notifications', true),
+    transport: getEmailTransportName,
+    recipient: (student) => student.email,
+    render: ({ subject, text }) => ({ subject, body: text.filter(Boolean).join('\n\n') }),
+    send: (to, { subject, body }) => sendEmail({ to, subject, text: body }),
+  },
+  SMS: {
+    // Text messages are only sent by features with their own setting (reminders)
+    enabled: async () => true,
+    transport: getSmsAdapterName,
+    recipient: (student) => student.phoneNumber,
+    render: ({ sms }) => ({ subject: null, body: sms }),
+    send: (to, { body }) => sendSms({ to, message: body }),
+  },
+};
+
+/**
+ * Render a template and send it to one person, recording the attempt.
+ * People with nothing to send to on the channel (no phone number) are skipped.
+ * @param {string} channel - EMAIL or SMS
+ * @param {string} type - Template key
+ * @param {Object} person - Student or staff user with name, email (and phoneNumber)
+ * @param {Object} context - Template fields besides the name
+ * @param {Object} [refs] - { studentId, bookingId } the message is about
+ * @returns {Promise<'SENT'|'FAILED'|null>} - null when skipped
+ */
+async function deliver(channel, type, person, context, refs = {}) {
+  const via = CHANNELS[channel];
+  const recipient = via.recipient(person);
+  if (!recipient) return null;
+
+  const rendered = TEMPLATES[type]({ name: person.name, ...context });
+  const message = via.render(rendered);
+  const logged = rendered.secret
+    ? { subject: message.subject?.replaceAll(rendered.secret, '••••••') ?? null, body: message.body.replaceAll(rendered.secret, '••••••') }
+    : message;
+  const record = {
+    channel,
+    type,
+    transport: via.transport(),
+    recipient,
+    ...logged,
+    studentId: refs.studentId || null,
+    bookingId: refs.bookingId || null
+  };
+
+  try {
+    await via.send(recipient, message);
+    await prisma.notification.create({ data: { ...record, status: 'SENT' } });
+    return 'SENT';
+  } catch (error) {
+    console.error(`Failed to send ${type} ${channel.toLowerCase()} to ${recipient}:`, error);
+    await prisma.notification.create({
+      data: { ...record, status: 'FAILED', error: String(error.message || error) }
+    });
+    return 'FAILED';
+  }
+}
+
+/**
+ * Tell the students behind a set of bookings about them, one message each.
+ * Errors are logged, never thrown — a failed message must not fail the mutation.
+ * @param {string} type - BOOKING_CREATED, WAITLIST_PROMOTED, BOOKING_CANCELLED,
+ *   BOOKING_ARCHIVED, BOOKING_STATUS_CHANGED or BOOKING_REMINDER
+ * @param {string[]} bookingIds - Booking IDs
+ * @param {Object} [details] - Extra template fields, e.g. { reason } or { status, notes }
+ * @param {string} [channel] - EMAIL or SMS
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export async function notifyBookings(type, bookingIds, details = {}, channel = 'EMAIL') {
+  const counts = { sent: 0, failed: 0 };
+  try {
+    if (bookingIds.length === 0) return counts;
+    if (!await CHANNELS[channel].enabled()) return counts;
+
+    const bookings = await prisma.booking.findMany({
+      where: { id: { in: bookingIds } },
+      include: {
+        student: { select: { id: true, name: true, email: true, phoneNumber: true } },
+        session: { select: { day: true, timeSlot: true, category: true } }
+      }
+    });
+
+    const slotMap = await getTimeSlotMap();
+    for (const booking of bookings) {
+      const date = getSessionDate(booking.weekOf, booking.session.day);
+      const when = `${formatClosureDate(date)}, ${formatTimeSlot(booking.session.timeSlot, slotMap)}`;
+      const status = await deliver(
+        channel,
+        type,
+        booking.student,
+        { when, category: booking.session.category, details },
+        { studentId: booking.student.id, bookingId: booking.id }
+      );
+      if (status === 'SENT') counts.sent++;
+      if (status === 'FAILED') counts.failed++;
+    }
+  } catch (error) {
+    console.error(`Failed to send ${type} notifications:`, error);
+  }
+  return counts;
+}
+
+/**
+ * Email a student about their account. Never throws, like notifyBookings.
+ * @param {string} type - STUDENT_DEACTIVATED
+ * @param {string} studentId - Student ID
+ * @param {Object} [details] - Extra template fields
+ */
+export async function notifyStudent(type, studentId, details = {}) {
+  try {
+    if (!await CHANNELS.EMAIL.enabled()) return;
+
+    const student = await prisma.student.findUnique({
+      where: { id: studentId },
+      select: { id: true, name: true, email: true }
+    });
+    if (!student) return;
+
+    await deliver('EMAIL', type, student, { details }, { studentId: student.id });
+  } catch (error) {
+    console.error(`Failed to send ${type} notification:`, error);
+  }
+}
+
+/**
+ * Email someone who asked for a student account about the decision. Never
+ * throws, like notifyBookings.
+ * @param {string} type - REGISTRATION_APPROVED or REGISTRATION_REJECTED
+ * @param {Object} registration - The StudentRegistration
+ * @param {Object} [details] - Extra template fields, e.g. { reason }
+ */
+export async function notifyRegistration(type, registration, details = {}) {
+  try {
+    if (!await CHANNELS.EMAIL.enabled()) return;
+
+    await deliver(
+      'EMAIL',
+      type,
+      { name: registration.name, email: registration.email },
+      { details: { studentId: registration.studentId, ...details } },
+      { studentId: type === 'REGISTRATION_APPROVED' ? registration.studentId : null }
+    );
+  } catch (error) {
+    console.error(`Failed to send ${type} notification:`, error);
+  }
+}
+
+/**
+ * Send a student their one-time login code. Sent even when booking emails are
+ * turned off, since the student can't log in without it.
+ * @param {Object} student - With id, name, email and phoneNumber
+ * @param {string} channel - EMAIL or SMS
+ * @param {Object} details - { code, minutes }
+ * @returns {Promise<'SENT'|'FAILED'|null>} - null when the student has nothing
+ *   to send to on that channel
+ */
+export async function sendLoginCode(student, channel, details) {
+  try {
+    return await deliver(channel, 'LOGIN_CODE', student, { details }, { studentId: student.id });
+  } catch (error) {
+    console.error('Failed to send login code:', error);
+    return 'FAILED';
+  }
+}
+
+/**
+ * Email every admin, e.g. a report. Never throws, like notifyBookings.
+ * @param {string} type - WEEKLY_REPORT
+ * @param {Object} [details] - Extra template fields
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export async function notifyAdmins(type, details = {}) {
+  const counts = { sent: 0, failed: 0 };
+  try {
+    const admins = await prisma.user.findMany({
+      where: { role: 'ADMIN' },
+      select: { name: true, email: true }
+    });
+    for (const admin of admins) {
+      const status = await deliver('EMAIL', type, admin, { details });
+      if (status === 'SENT') counts.sent++;
+      if (status === 'FAILED') counts.failed++;
+    }
+  } catch (error) {
+    console.error(`Failed to send ${type} notifications:`, error);
+  }
+  return counts;
+}
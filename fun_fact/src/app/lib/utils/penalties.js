@@ -0,0 +1,121 @@
+import { getSetting, getScheduleSettings } from './settings';
+import { getWeekMondayFor, addWeeksToMonday, getToday, formatDate } from './dates';
+
+/**
+ * Get the suspension currently stopping a student from booking, if any
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} studentId - Student ID
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>}
+ */
+export async function getActiveSuspension(db, studentId, now = new Date()) {
+  return db.suspension.findFirst({
+    where: { studentId, liftedAt: null, startsAt: { lte: now }, endsAt: { gt: now } },
+    orderBy: { endsAt: 'desc' }
+  });
+}
+
+/**
+ * Booking statuses that count as a missed session under the no-show rule
+ * @returns {Promise<string[]>}
+ */
+async function getMissedStatuses() {
+  return await getSetting('late_cancels_count_as_no_shows', true)
+    ? ['NO_SHOW', 'LATE_CANCEL']
+    : ['NO_SHOW'];
+}
+
+/**
+ * Apply the no-show rule to a booking just marked NO_SHOW or LATE_CANCEL.
+ * Once a student has `no_show_limit` missed sessions within the last
+ * `no_show_window_weeks` weeks, booking is suspended for `suspension_weeks`.
+ * Sessions missed before their last suspension started don't count again.
+ * Call it with the transaction that changed the booking, so the log entries
+ * and the suspension commit with it.
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {Object} booking - { id, studentId } of the booking
+ * @param {string} status - The status the booking was given
+ * @param {Object} [markedBy] - Staff user who marked it (null for the student themselves)
+ * @returns {Promise<Object|null>} - The suspension it started, or null
+ */
+export async function applyNoShowRule(tx, booking, status, markedBy = null) {
+  const limit = await getSetting('no_show_limit', 2);
+  const statuses = await getMissedStatuses();
+  if (limit <= 0 || !statuses.includes(status)) return null;
+
+  const windowWeeks = Math.max(1, await getSetting('no_show_window_weeks', 4));
+  const schedule = await getScheduleSettings();
+  const now = new Date();
+  const windowStart = addWeeksToMonday(getWeekMondayFor(getToday(schedule, now)), -(windowWeeks - 1));
+
+  const lastSuspension = await tx.suspension.findFirst({
+    where: { studentId: booking.studentId },
+    orderBy: { startsAt: 'desc' }
+  });
+
+  const missed = await tx.booking.count({
+    where: {
+      studentId: booking.studentId,
+      status: { in: statuses },
+      weekOf: { gte: windowStart },
+      ...(lastSuspension && {
+        statusHistory: { some: { toStatus: { in: statuses }, createdAt: { gt: lastSuspension.startsAt } } }
+      })
+    }
+  });
+
+  await tx.systemLog.create({
+    data: {
+      action: 'NO_SHOW_COUNTED',
+      message: `Student ${booking.studentId} missed a session (${status}): ${missed} of ${limit} in ${windowWeeks} week${windowWeeks !== 1 ? 's' : ''}`,
+      actorId: markedBy?.id || null,
+      studentId: booking.studentId,
+      bookingId: booking.id,
+      data: { studentId: booking.studentId, bookingId: booking.id, status, missed, limit, windowWeeks, by: markedBy?.id || null }
+    }
+  });
+
+  // Already suspended — the current suspension stands, it isn't extended
+  if (missed < limit || await getActiveSuspension(tx, booking.studentId, now)) return null;
+
+  const suspensionWeeks = Math.max(1, await getSetting('suspension_weeks', 1));
+  const suspension = await tx.suspension.create({
+    data: {
+      studentId: booking.studentId,
+      startsAt: now,
+      endsAt: new Date(now.getTime() + suspensionWeeks * 7 * 24 * 60 * 60 * 1000),
+      reason: `${missed} missed sessions in ${windowWeeks} week${windowWeeks !== 1 ? 's' : ''}`
+    }
+  });
+
+  await tx.systemLog.create({
+    data: {
+      action: 'STUDENT_SUSPENDED',
+      message: `Student ${booking.studentId} suspended from booking until ${formatDate(suspension.endsAt, schedule.timeZone)} (${suspension.reason})`,
+      actorId: markedBy?.id || null,
+      studentId: booking.studentId,
+      bookingId: booking.id,
+      data: { studentId: booking.studentId, suspensionId: suspension.id, bookingId: booking.id, missed, endsAt: suspension.endsAt }
+    }
+  });
+
+  return suspension;
+}
+
+/**
+ * Shape a suspension for API responses
+ * @param {Object} suspension - Suspension, with liftedBy { name } if loaded
+ * @returns {Object}
+ */
+export function formatSuspension(suspension) {
+  const now = Date.now();
+  return {
+    id: suspension.id,
+    startsAt: suspension.startsAt,
+    endsAt: suspension.endsAt,
+    reason: suspension.reason,
+    liftedAt: suspension.liftedAt,
+    liftedBy: suspension.liftedBy?.name || null,
+    isActive: !suspension.liftedAt && suspension.startsAt <= now && suspension.endsAt > now
+  };
+}
@@ -0,0 +1,39 @@
+import { z } from 'zod';
+
+// Numbers without a country code are read as local to the school
+const DEFAULT_COUNTRY_CODE = process.env.NEXT_PUBLIC_PHONE_COUNTRY_CODE || '254';
+
+/**
+ * Normalise a phone number to E.164 (+<country code><number>). Accepts the
+ * usual ways numbers get typed: "+254 712 345 678", "0712-345678",
+ * "254712345678", "00254712345678".
+ * @param {string} value - Phone number as entered
+ * @param {string} [countryCode] - Country code for local numbers (leading 0)
+ * @returns {string|null} - E.164 number, or null if it can't be one
+ */
+export function normalisePhoneNumber(value, countryCode = DEFAULT_COUNTRY_CODE) {
+  if (typeof value !== 'string') return null;
+
+  let digits = value.trim().replace(/[\s().-]/g, '');
+  if (digits.startsWith('+')) digits = digits.slice(1);
+  else if (digits.startsWith('00')) digits = digits.slice(2);
+  else if (digits.startsWith('0')) digits = countryCode + digits.slice(1);
+  else if (!digits.startsWith(countryCode)) return null;
+
+  // E.164: up to 15 digits, never starting with 0
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+/**
+ * Zod schema for an optional phone number field: blank becomes null, anything
+ * else must normalise to E.164
+ */
+export const phoneNumberSchema = z.string().transform((value, ctx) => {
+  if (!value.trim()) return null;
+  const normalised = normalisePhoneNumber(value);
+  if (!normalised) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Enter a valid phone number, e.g. +254712345678' });
+    return z.NEVER;
+  }
+  return normalised;
+});
@@ -0,0 +1,161 @@
+import { NextResponse } from 'next/server';
+import prisma from '../db/prisma-client';
+
+// Failed-login limits, counted per identifier (student ID or staff email) and
+// per client address. Too many failures within the window lock the key out
+// for a while; each lockout is written to the system log. RATE_LIMIT_STORE
+// picks where counters live:
+//   memory — this server process only (default; enough for a single instance)
+//   db     — the RateLimit table, shared by every instance
+// A store keeps { count, windowStart, lockedUntil } per key.
+
+const POLICIES = {
+  identifier: { maxFailures: 5, windowMinutes: 15, lockoutMinutes: 15 },
+  ip: { maxFailures: 20, windowMinutes: 15, lockoutMinutes: 15 },
+};
+
+const MINUTE = 60 * 1000;
+
+// Kept on `global` so counters survive dev hot reloads
+const globalForRateLimit = global;
+const memory = globalForRateLimit.rateLimits || new Map();
+globalForRateLimit.rateLimits = memory;
+
+// Entries past their window and lockout are dropped once the map grows this large
+const MEMORY_PRUNE_SIZE = 10000;
+
+const STORES = {
+  memory: {
+    get: async (key) => memory.get(key) || null,
+    set: async (key, entry) => {
+      if (memory.size >= MEMORY_PRUNE_SIZE) {
+        const cutoff = Date.now() - Math.max(...Object.values(POLICIES).map(p => p.windowMinutes)) * MINUTE;
+        for (const [k, e] of memory) {
+          if (e.windowStart < cutoff && !(e.lockedUntil > Date.now())) memory.delete(k);
+        }
+      }
+      memory.set(key, entry);
+    },
+    delete: async (key) => {
+      memory.delete(key);
+    },
+  },
+  db: {
+    get: (key) => prisma.rateLimit.findUnique({ where: { key } }),
+    set: async (key, entry) => {
+      await prisma.rateLimit.upsert({ where: { key }, create: { key, ...entry }, update: entry });
+    },
+    delete: async (key) => {
+      await prisma.rateLimit.deleteMany({ where: { key } });
+    },
+  },
+};
+
+function getStore() {
+  const name = process.env.RATE_LIMIT_STORE || 'memory';
+  const store = STORES[name];
+  if (!store) throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+  return store;
+}
+
+function keysFor(scope, { ip, identifier }) {
+  return [
+    identifier && { key: `${scope}:id:${String(identifier).trim().toLowerCase()}`, policy: POLICIES.identifier },
+    ip && { key: `${scope}:ip:${ip}`, policy: POLICIES.ip },
+  ].filter(Boolean);
+}
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((new Date(date) - now) / 1000));
+
+/**
+ * Whether a login attempt may go ahead
+ * @param {string} scope - student or staff
+ * @param {Object} client - { ip, identifier }
+ * @returns {Promise<{ allowed: boolean, retryAfter?: number }>} - retryAfter in seconds
+ */
+export async function checkLoginAllowed(scope, client) {
+  const store = getStore();
+  const now = new Date();
+  let retryAfter = 0;
+  for (const { key } of keysFor(scope, client)) {
+    const entry = await store.get(key);
+    if (entry?.lockedUntil && new Date(entry.lockedUntil) > now) {
+      retryAfter = Math.max(retryAfter, secondsUntil(entry.lockedUntil, now));
+    }
+  }
+  return retryAfter > 0 ? { allowed: false, retryAfter } : { allowed: true };
+}
+
+/**
+ * Count a failed login, locking the identifier or address out once it has
+ * failed too often
+ * @param {string} scope - student or staff
+ * @param {Object} client - { ip, identifier }
+ * @returns {Promise<{ locked: boolean, retryAfter?: number }>}
+ */
+export async function recordLoginFailure(scope, client) {
+  const store = getStore();
+  const now = new Date();
+  let retryAfter = 0;
+
+  for (const { key, policy } of keysFor(scope, client)) {
+    const entry = await store.get(key);
+    const windowStart = entry && now - new Date(entry.windowStart) < policy.windowMinutes * MINUTE
+      ? new Date(entry.windowStart)
+      : now;
+    const count = (windowStart === now ? 0 : entry.count) + 1;
+
+    if (count < policy.maxFailures) {
+      await store.set(key, { count, windowStart, lockedUntil: entry?.lockedUntil ?? null });
+      continue;
+    }
+
+    const lockedUntil = new Date(now.getTime() + policy.lockoutMinutes * MINUTE);
+    await store.set(key, { count: 0, windowStart: now, lockedUntil });
+    retryAfter = Math.max(retryAfter, secondsUntil(lockedUntil, now));
+
+    await prisma.systemLog.create({
+      data: {
+        action: 'LOGIN_LOCKOUT',
+        message: `${scope === 'staff' ? 'Staff' : 'Student'} login locked for ${policy.lockoutMinutes} minutes after ${count} failed attempts (${key})`.slice(0, 191),
+        data: { scope, key, identifier: client.identifier || null, ip: client.ip || null, failures: count, lockedUntil }
+      }
+    });
+  }
+
+  return retryAfter > 0 ? { locked: true, retryAfter } : { locked: false };
+}
+
+/**
+ * Clear an identifier's failures after it logs in. The address keeps its
+ * count, so one good login can't reset a spray across many accounts.
+ * @param {string} scope - student or staff
+ * @param {Object} client - { identifier }
+ */
+export async function recordLoginSuccess(scope, { identifier }) {
+  const [entry] = keysFor(scope, { identifier });
+  if (entry) await getStore().delete(entry.key);
+}
+
+/**
+ * Text for a 429 response
+ * @param {number} retryAfter - Seconds
+ * @returns {string}
+ */
+export function formatLockoutMessage(retryAfter) {
+  const minutes = Math.ceil(retryAfter / 60);
+  return `Too many failed attempts. Try again in ${minutes} minute${minutes !== 1 ? 's' : ''}.`;
+}
+
+/**
+ * 429 for a locked-out login; retryAfter (also sent as Retry-After) lets the
+ * login form say how long
+ * @param {number} retryAfter - Seconds
+ * @returns {NextResponse}
+ */
+export function lockoutResponse(retryAfter) {
+  return NextResponse.json(
+    { error: formatLockoutMessage(retryAfter), retryAfter },
+    { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+  );
+}
@@ -0,0 +1,51 @@
+import { z } from 'zod';
+import prisma from '../db/prisma-client';
+import { DEFAULT_BRANCH, LICENCE_CLASSES } from '../constants';
+import { phoneNumberSchema } from './phone';
+
+// Self-registration: students ask for an account from the login page and an
+// admin approves or rejects the request. Approval creates the Student.
+
+export const registrationSchema = z.object({
+  id: z.string()
+    .min(1, 'Student ID is required')
+    .regex(/^DR-\d{4,5}-\d{2}$/, 'Student ID must be in format DR-XXXX-XX'),
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name is too long'),
+  email: z.string().email('Invalid email format'),
+  phoneNumber: phoneNumberSchema.optional(),
+  category: z.enum(LICENCE_CLASSES, { errorMap: () => ({ message: 'A valid licence class is required' }) }),
+  branch: z.string().trim().min(1).default(DEFAULT_BRANCH)
+});
+
+/**
+ * Why a student ID and email can't be registered, if they can't. Only staff
+ * see the reason; the public form answers every conflict the same way.
+ * @param {{ id: string, email: string }} applicant
+ * @param {Object} [options]
+ * @param {string} [options.ignoreRegistrationId] - The request being approved,
+ *   which doesn't conflict with itself
+ * @returns {Promise<string|null>} - Error message, or null when both are free
+ */
+export async function findRegistrationConflict({ id, email }, { ignoreRegistrationId } = {}) {
+  const student = await prisma.student.findFirst({
+    where: { OR: [{ id }, { email }] },
+    select: { id: true }
+  });
+  if (student) {
+    return student.id === id
+      ? 'This student ID is already registered'
+      : 'This email address is already registered';
+  }
+
+  const pending = await prisma.studentRegistration.findFirst({
+    where: {
+      status: 'PENDING',
+      OR: [{ studentId: id }, { email }],
+      ...(ignoreRegistrationId && { id: { not: ignoreRegistrationId } })
+    },
+    select: { id: true }
+  });
+  if (pending) return 'A registration for this student ID or email is already waiting for approval';
+
+  return null;
+}
@@ -0,0 +1,60 @@
+import prisma from '../db/prisma-client';
+import { getCurrentWeekMonday, addWeeksToMonday, getSessionStart } from './dates';
+import { getSetting, getScheduleSettings } from './settings';
+import { getTimeSlotMap } from './timeslots';
+import { notifyBookings } from './notifications';
+
+// A reminder that failed is retried on later runs, up to this many attempts
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Text a reminder to every student with a BOOKED session starting within the
+ * configured number of hours (sms_reminder_hours, 0 = off). Safe to run as
+ * often as you like: a booking is only reminded once.
+ * @param {Date} [now]
+ * @returns {Promise<{ hours: number, due: number, sent: number, failed: number }>}
+ */
+export async function sendDueReminders(now = new Date()) {
+  const hours = await getSetting('sms_reminder_hours', 24);
+  if (!hours || hours <= 0) return { hours: 0, due: 0, sent: 0, failed: 0 };
+
+  const schedule = await getScheduleSettings();
+  const slotMap = await getTimeSlotMap();
+  const monday = getCurrentWeekMonday(schedule, now);
+
+  // The current week may already have rolled over, so last week is included;
+  // the window can reach as many weeks ahead as the hours cover
+  const bookings = await prisma.booking.findMany({
+    where: {
+      status: 'BOOKED',
+      weekOf: {
+        gte: addWeeksToMonday(monday, -1),
+        lte: addWeeksToMonday(monday, Math.ceil(hours / (7 * 24)) + 1)
+      },
+      student: { phoneNumber: { not: null } }
+    },
+    select: { id: true, weekOf: true, session: { select: { day: true, timeSlot: true } } }
+  });
+
+  const windowEnd = now.getTime() + hours * 60 * 60 * 1000;
+  const inWindow = bookings.filter(b => {
+    const start = getSessionStart(b.weekOf, b.session.day, slotMap[b.session.timeSlot], schedule).getTime();
+    return start > now.getTime() && start <= windowEnd;
+  });
+  if (inWindow.length === 0) return { hours, due: 0, sent: 0, failed: 0 };
+
+  const attempts = await prisma.notification.findMany({
+    where: { type: 'BOOKING_REMINDER', channel: 'SMS', bookingId: { in: inWindow.map(b => b.id) } },
+    select: { bookingId: true, status: true }
+  });
+  const done = new Set(attempts.filter(a => a.status === 'SENT').map(a => a.bookingId));
+  const tries = new Map();
+  for (const a of attempts) tries.set(a.bookingId, (tries.get(a.bookingId) || 0) + 1);
+
+  const due = inWindow
+    .filter(b => !done.has(b.id) && (tries.get(b.id) || 0) < MAX_ATTEMPTS)
+    .map(b => b.id);
+
+  const { sent, failed } = await notifyBookings('BOOKING_REMINDER', due, {}, 'SMS');
+  return { hours, due: due.length, sent, failed };
+}
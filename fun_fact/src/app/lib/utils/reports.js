@@ -0,0 +1,69 @@
+import prisma from '../db/prisma-client';
+import { getCurrentWeekMonday, addWeeksToMonday, formatDate } from './dates';
+import { getScheduleSettings } from './settings';
+import { notifyAdmins } from './notifications';
+
+const STATUS_LABELS = {
+  BOOKED: 'still booked',
+  ATTENDED: 'attended, not finalised',
+  COMPLETED: 'completed',
+  INCOMPLETE: 'incomplete',
+  NO_SHOW: 'no-shows',
+  CANCELLED: 'cancelled',
+  LATE_CANCEL: 'late cancellations',
+};
+
+/**
+ * Email the admins a summary of last week: bookings by status, waitlist
+ * promotions, suspensions, new students and failed notifications
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - The figures, plus how many emails were sent
+ */
+export async function sendWeeklyReport(now = new Date()) {
+  const schedule = await getScheduleSettings();
+  const weekOf = addWeeksToMonday(getCurrentWeekMonday(schedule, now), -1);
+  const weekEnd = addWeeksToMonday(weekOf, 1);
+  const during = { gte: weekOf, lt: weekEnd };
+
+  const [byStatus, promoted, suspensions, newStudents, activeStudents, failedNotifications] = await Promise.all([
+    prisma.booking.groupBy({ by: ['status'], where: { weekOf }, _count: { _all: true } }),
+    prisma.waitlistEntry.count({ where: { weekOf, status: 'PROMOTED' } }),
+    prisma.suspension.count({ where: { startsAt: during } }),
+    prisma.student.count({ where: { createdAt: during } }),
+    prisma.student.count({ where: { status: 'ACTIVE' } }),
+    prisma.notification.count({ where: { status: 'FAILED', createdAt: during } })
+  ]);
+
+  const bookings = Object.fromEntries(byStatus.map(row => [row.status, row._count._all]));
+  const total = Object.values(bookings).reduce((sum, count) => sum + count, 0);
+  const breakdown = Object.keys(STATUS_LABELS)
+    .filter(status => bookings[status])
+    .map(status => `${bookings[status]} ${STATUS_LABELS[status]}`)
+    .join(', ');
+
+  const lines = [
+    `Bookings: ${total}${breakdown ? ` (${breakdown})` : ''}`,
+    `Promoted from the waitlist: ${promoted}`,
+    `Suspensions started: ${suspensions}`,
+    `New students: ${newStudents}`,
+    `Active students: ${activeStudents}`,
+  ];
+  if (failedNotifications > 0) {
+    lines.push(`Notifications that failed to send: ${failedNotifications}`);
+  }
+
+  const week = formatDate(weekOf, 'UTC');
+  const { sent, failed } = await notifyAdmins('WEEKLY_REPORT', { week, lines });
+
+  return {
+    weekOf: weekOf.toISOString(),
+    bookings,
+    promoted,
+    suspensions,
+    newStudents,
+    activeStudents,
+    failedNotifications,
+    emailsSent: sent,
+    emailsFailed: failed
+  };
+}
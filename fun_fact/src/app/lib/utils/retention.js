@@ -0,0 +1,42 @@
+import prisma from '../db/prisma-client';
+import { getSetting } from './settings';
+
+/**
+ * Delete log records older than the retention period (log_retention_days,
+ * 0 = keep everything): system logs, the notifications log and finished job
+ * runs. Bookings and their status history are never purged.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} - Rows deleted per table
+ */
+export async function purgeExpiredRecords(now = new Date()) {
+  const days = await getSetting('log_retention_days', 365);
+  if (!days || days <= 0) return { days: 0, systemLogs: 0, notifications: 0, jobRuns: 0 };
+
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const [systemLogs, notifications, jobRuns] = await prisma.$transaction([
+    prisma.systemLog.deleteMany({ where: { createdAt: { lt: cutoff } } }),
+    prisma.notification.deleteMany({ where: { createdAt: { lt: cutoff } } }),
+    prisma.jobRun.deleteMany({ where: { startedAt: { lt: cutoff }, status: { not: 'RUNNING' } } })
+  ]);
+
+  const result = {
+    days,
+    cutoff: cutoff.toISOString(),
+    systemLogs: systemLogs.count,
+    notifications: notifications.count,
+    jobRuns: jobRuns.count
+  };
+
+  if (systemLogs.count + notifications.count + jobRuns.count > 0) {
+    await prisma.systemLog.create({
+      data: {
+        action: 'RETENTION_PURGE',
+        message: `Purged records older than ${days} days: ${systemLogs.count} system logs, ${notifications.count} notifications, ${jobRuns.count} job runs`,
+        data: result
+      }
+    });
+  }
+
+  return result;
+}
@@ -1,12 +1,27 @@
 import prisma from '../db/prisma-client';
+import { DEFAULT_SCHEDULE, isValidTimeZone } from './dates';
 
 // Default values (fallbacks if DB is empty)
 const DEFAULTS = {
   max_capacity_per_session: 4,
   max_days_per_week: 3,
   max_sessions_per_day: 1,
+  booking_horizon_weeks: 1,
   total_practicals_required: 15,
   auto_deactivate_on_completion: false,
+  cancel_cutoff_hours: 12,
+  block_late_cancellations: false,
+  no_show_limit: 2,
+  no_show_window_weeks: 4,
+  suspension_weeks: 1,
+  late_cancels_count_as_no_shows: true,
+  school_timezone: DEFAULT_SCHEDULE.timeZone,
+  week_rollover_hour: DEFAULT_SCHEDULE.rolloverHour,
+  email_notifications: true,
+  sms_reminder_hours: 24,
+  log_retention_days: 365,
+  student_login_codes: false,
+  require_admin_2fa: false,
 };
 
 /**
@@ -45,3 +60,19 @@ export async function getSetting(key, defaultValue) {
   if (row.type === 'boolean') return row.value === 'true';
   return row.value;
 }
+
+/**
+ * Get the school timezone and the hour on Sunday (school time) the booking
+ * week rolls over, in the shape the date helpers take
+ * @returns {Promise<{ timeZone: string, rolloverHour: number }>}
+ */
+export async function getScheduleSettings() {
+  const settings = await getSettings();
+  const rolloverHour = settings.week_rollover_hour;
+  return {
+    timeZone: isValidTimeZone(settings.school_timezone) ? settings.school_timezone : DEFAULT_SCHEDULE.timeZone,
+    rolloverHour: Number.isInteger(rolloverHour) && rolloverHour >= 0 && rolloverHour <= 24
+      ? rolloverHour
+      : DEFAULT_SCHEDULE.rolloverHour
+  };
+}
@@ -0,0 +1,101 @@
+import { normalisePhoneNumber } from './phone';
+
+// Outgoing SMS through a gateway adapter. SMS_ADAPTER picks one:
+//   africastalking — Africa's Talking bulk SMS API, or any gateway speaking
+//                    the same form-encoded protocol (SMS_API_URL, SMS_USERNAME,
+//                    SMS_API_KEY, SMS_SENDER_ID)
+//   mock           — nothing leaves the server; messages are kept in memory
+//                    and printed to the server log
+// Unset, it is africastalking when SMS_API_KEY is configured and mock otherwise.
+// An adapter takes { to, message } with `to` in E.164 and resolves to
+// { messageId }, or throws.
+
+const AFRICASTALKING_URL = 'https://api.africastalking.com/version1/messaging';
+
+// Gateway status codes for a message that was accepted
+const ACCEPTED_STATUS_CODES = [100, 101, 102]; // Processed, Sent, Queued
+
+// Kept on `global` so the outbox survives dev hot reloads. It holds only the
+// latest OUTBOX_SIZE messages.
+const OUTBOX_SIZE = 100;
+const globalForSms = global;
+const outbox = globalForSms.smsOutbox || [];
+globalForSms.smsOutbox = outbox;
+
+const ADAPTERS = {
+  africastalking: async ({ to, message }) => {
+    const form = new URLSearchParams({
+      username: process.env.SMS_USERNAME || '',
+      to,
+      message
+    });
+    if (process.env.SMS_SENDER_ID) form.set('from', process.env.SMS_SENDER_ID);
+
+    const response = await fetch(process.env.SMS_API_URL || AFRICASTALKING_URL, {
+      method: 'POST',
+      headers: {
+        apiKey: process.env.SMS_API_KEY || '',
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: form,
+      signal: AbortSignal.timeout(10000)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded ${response.status}: ${text.slice(0, 200)}`);
+    }
+
+    const data = JSON.parse(text).SMSMessageData || {};
+    const recipient = data.Recipients?.[0];
+    if (!recipient || !ACCEPTED_STATUS_CODES.includes(recipient.statusCode)) {
+      throw new Error(`SMS rejected: ${recipient?.status || data.Message || 'no recipients'}`);
+    }
+    return { messageId: recipient.messageId || null };
+  },
+
+  mock: async ({ to, message }) => {
+    globalForSms.smsSent = (globalForSms.smsSent || 0) + 1;
+    const messageId = `mock-${globalForSms.smsSent}`;
+    outbox.push({ messageId, to, message, sentAt: new Date() });
+    if (outbox.length > OUTBOX_SIZE) outbox.splice(0, outbox.length - OUTBOX_SIZE);
+    console.log(`[sms] To: ${to}\n${message}\n`);
+    return { messageId };
+  },
+};
+
+/**
+ * Name of the configured SMS adapter
+ * @returns {string}
+ */
+export function getSmsAdapterName() {
+  const name = process.env.SMS_ADAPTER || (process.env.SMS_API_KEY ? 'africastalking' : 'mock');
+  return ADAPTERS[name] ? name : 'mock';
+}
+
+/**
+ * Send an SMS through the configured adapter. Throws on failure, including a
+ * number that can't be normalised to E.164.
+ * @param {{ to: string, message: string }} sms
+ * @returns {Promise<{ adapter: string, messageId: string|null }>}
+ */
+export async function sendSms({ to, message }) {
+  const number = normalisePhoneNumber(to);
+  if (!number) {
+    throw new Error(`Not a valid phone number: ${to}`);
+  }
+
+  const adapter = getSmsAdapterName();
+  const { messageId } = await ADAPTERS[adapter]({ to: number, message });
+  return { adapter, messageId };
+}
+
+/**
+ * The latest messages the mock adapter has "sent", oldest first — for tests
+ * and local development
+ * @returns {Array<{ messageId: string, to: string, message: string, sentAt: Date }>}
+ */
+export function getMockOutbox() {
+  return [...outbox];
+}
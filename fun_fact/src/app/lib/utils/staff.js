@@ -0,0 +1,39 @@
+import prisma from '../db/prisma-client';
+
+// Staff fields safe to send to the admin UI (never the password hash)
+export const STAFF_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  branch: true,
+  lastLoginAt: true,
+  disabledAt: true,
+  totpEnabledAt: true,
+  createdAt: true
+};
+
+/**
+ * Whether a user is the only admin of every branch still able to log in, so
+ * demoting, disabling or tying them to one branch would leave nobody to manage
+ * the whole school
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function isLastActiveAdmin(userId) {
+  const others = await prisma.user.count({
+    where: { role: 'ADMIN', branch: null, disabledAt: null, id: { not: userId } }
+  });
+  return others === 0;
+}
+
+/**
+ * Whether a staff member may manage another's account: staff tied to a branch
+ * only manage their branch's staff, staff without one manage everybody
+ * @param {{ branch: string|null }} manager
+ * @param {{ branch: string|null }|null} target
+ * @returns {boolean}
+ */
+export function canManageStaffMember(manager, target) {
+  return !!target && (!manager.branch || target.branch === manager.branch);
+}
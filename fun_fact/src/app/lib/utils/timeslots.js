@@ -0,0 +1,155 @@
+import prisma from '../db/prisma-client';
+import { DAYS, DEFAULT_TIME_SLOTS, LICENCE_CLASSES, INACTIVE_BOOKING_STATUSES } from '../constants';
+import { parseTimeOfDay, formatTimeOfDay, timeSlotsOverlap } from './dates';
+
+const DAY_ORDER = Object.values(DAYS);
+
+/**
+ * Shape a TimeSlot row for the app and API responses
+ * @param {Object} slot - TimeSlot row
+ * @returns {Object} - { code, label, startTime, endTime, days, isActive }
+ */
+export function formatSlot(slot) {
+  const days = Array.isArray(slot.days) ? slot.days : [];
+  return {
+    code: slot.code,
+    label: slot.label,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    // Week order, whatever order they were saved in
+    days: DAY_ORDER.filter(d => days.includes(d)),
+    isActive: slot.isActive !== false
+  };
+}
+
+/**
+ * Get the time slot catalogue in time-of-day order, retired slots included
+ * (old bookings still need their labels). The first read after upgrading from
+ * the TimeSlot enum fills the empty table with the original slots, whose codes
+ * the existing sessions and closures already hold.
+ * @param {Object} [db] - Prisma client or transaction client
+ * @returns {Promise<Array>}
+ */
+export async function getTimeSlots(db = prisma) {
+  let rows = await db.timeSlot.findMany({ orderBy: [{ startTime: 'asc' }, { endTime: 'asc' }] });
+  if (rows.length === 0) {
+    await db.timeSlot.createMany({ data: DEFAULT_TIME_SLOTS, skipDuplicates: true });
+    rows = await db.timeSlot.findMany({ orderBy: [{ startTime: 'asc' }, { endTime: 'asc' }] });
+  }
+  return rows.map(formatSlot);
+}
+
+/**
+ * Get the time slot catalogue keyed by code
+ * @param {Object} [db] - Prisma client or transaction client
+ * @returns {Promise<Object>}
+ */
+export async function getTimeSlotMap(db = prisma) {
+  const slots = await getTimeSlots(db);
+  return Object.fromEntries(slots.map(slot => [slot.code, slot]));
+}
+
+/**
+ * Whether a session's slot is still offered on its day. Sessions of a retired
+ * slot, or of a day taken off a slot, stay in the database for their history
+ * but can no longer be booked or listed.
+ * @param {Object} slotMap - Time slot catalogue by code
+ * @param {Object} session - Session with day and timeSlot
+ * @returns {boolean}
+ */
+export function isSlotOffered(slotMap, session) {
+  const slot = slotMap[session.timeSlot];
+  return !!slot && slot.isActive && slot.days.includes(session.day);
+}
+
+/**
+ * Comparator putting sessions in timetable order: by day, then start time
+ * @param {Object} slotMap - Time slot catalogue by code
+ * @returns {Function}
+ */
+export function compareSessions(slotMap) {
+  const start = (session) => slotMap[session.timeSlot]?.startTime || '';
+  return (a, b) =>
+    DAY_ORDER.indexOf(a.day) - DAY_ORDER.indexOf(b.day) || start(a).localeCompare(start(b));
+}
+
+/**
+ * Derive a slot code from its times, matching the original enum values:
+ * 08:00-10:00 → SLOT_8_10, 17:30-19:00 → SLOT_1730_19
+ * @param {string} startTime - "HH:MM"
+ * @param {string} endTime - "HH:MM"
+ * @returns {string}
+ */
+export function slotCodeFor(startTime, endTime) {
+  const part = (value) => {
+    const minutes = parseTimeOfDay(value);
+    const hour = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hour}${String(minutes % 60).padStart(2, '0')}` : String(hour);
+  };
+  return `SLOT_${part(startTime)}_${part(endTime)}`;
+}
+
+/**
+ * The label a slot gets when none is given, e.g. "5:00 PM - 7:00 PM"
+ * @param {string} startTime - "HH:MM"
+ * @param {string} endTime - "HH:MM"
+ * @returns {string}
+ */
+export function defaultSlotLabel(startTime, endTime) {
+  return `${formatTimeOfDay(startTime)} - ${formatTimeOfDay(endTime)}`;
+}
+
+/**
+ * Find an active slot that shares a day with a slot and overlaps it in time
+ * @param {Array} slots - The catalogue
+ * @param {Object} slot - { code, startTime, endTime, days }
+ * @returns {{ slot: Object, day: string }|null}
+ */
+export function findSlotClash(slots, slot) {
+  for (const other of slots) {
+    if (other.code === slot.code || !other.isActive || !timeSlotsOverlap(other, slot)) continue;
+    const day = slot.days.find(d => other.days.includes(d));
+    if (day) return { slot: other, day };
+  }
+  return null;
+}
+
+/**
+ * Create the session rows a slot needs on its days, one per licence class in
+ * each branch. New rows start at capacity 0 (not offered) — the capacity
+ * matrix opens them.
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {Object} slot - { code, days }
+ * @param {string[]} [branches] - Branch codes; every branch when left out
+ * @returns {Promise<number>} - Sessions created
+ */
+export async function ensureSlotSessions(tx, slot, branches) {
+  const codes = branches || (await tx.branch.findMany({ select: { code: true } })).map(b => b.code);
+  const { count } = await tx.session.createMany({
+    data: codes.flatMap(branch => slot.days.flatMap(day =>
+      LICENCE_CLASSES.map(category => ({ branch, day, timeSlot: slot.code, category, capacity: 0 }))
+    )),
+    skipDuplicates: true
+  });
+  return count;
+}
+
+/**
+ * Count the active bookings from a week on that sit in a slot on given days,
+ * i.e. what taking those days off the slot would strand
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} code - Time slot code
+ * @param {string[]} days - Day enum values
+ * @param {Date} fromWeek - Monday of the first week to count
+ * @returns {Promise<number>}
+ */
+export async function countUpcomingSlotBookings(db, code, days, fromWeek) {
+  if (days.length === 0) return 0;
+  return db.booking.count({
+    where: {
+      weekOf: { gte: fromWeek },
+      status: { notIn: INACTIVE_BOOKING_STATUSES },
+      session: { timeSlot: code, day: { in: days } }
+    }
+  });
+}
@@ -0,0 +1,116 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// Time-based one-time passwords (RFC 6238) as shown by authenticator apps:
+// six digits from HMAC-SHA1 over 30-second time steps, with a base32 secret.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} - Unpadded base32
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * @param {string} text - Base32, case and spaces ignored
+ * @returns {Buffer}
+ */
+function base32Decode(text) {
+  const clean = text.replace(/[\s=]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random secret
+ * @returns {string} - Base32, 32 characters
+ */
+export function generateTotpSecret() {
+  return base32Encode(randomBytes(20));
+}
+
+/**
+ * The time step a moment falls in
+ * @param {number} [timeMs]
+ * @returns {number}
+ */
+export function currentStep(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * The code for one time step
+ * @param {string} secret - Base32
+ * @param {number} step
+ * @returns {string}
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code, allowing one step of clock drift either way
+ * @param {string} secret - Base32
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.afterStep] - Only accept steps later than this one,
+ *   so a code that was already used can't be replayed
+ * @returns {number|null} - The step the code matched, or null
+ */
+export function verifyTotp(secret, code, { afterStep = -1 } = {}) {
+  const digits = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(digits)) return null;
+
+  const now = currentStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (step <= afterStep) continue;
+    if (timingSafeEqual(Buffer.from(codeForStep(secret, step)), Buffer.from(digits))) return step;
+  }
+  return null;
+}
+
+/**
+ * The otpauth:// URI authenticator apps read from a QR code
+ * @param {string} secret - Base32
+ * @param {string} account - e.g. the staff email
+ * @param {string} issuer - e.g. the school name
+ * @returns {string}
+ */
+export function getOtpAuthUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+}
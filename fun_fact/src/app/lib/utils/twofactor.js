@@ -0,0 +1,193 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import prisma from '../db/prisma-client';
+import { getSetting } from './settings';
+import { generateTotpSecret, verifyTotp, getOtpAuthUri } from './totp';
+
+// Two-factor authentication for staff: an authenticator app code (TOTP) asked
+// for after the password, with single-use recovery codes for a lost phone.
+// The require_admin_2fa setting makes it compulsory for admins — until they
+// enrol, an admin can reach nothing but the enrolment page.
+
+const ISSUER = 'Practicals';
+const RECOVERY_CODE_COUNT = 10;
+
+// The TOTP secret is encrypted at rest with a key derived from the auth secret
+const encryptionKey = () => createHash('sha256').update(`totp:${process.env.NEXTAUTH_SECRET || ''}`).digest();
+
+function encryptSecret(secret) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const hashRecoveryCode = (code) =>
+  createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * New recovery codes, e.g. 3f9a-c021
+ * @returns {{ codes: string[], hashes: string[] }} - Codes to show once, hashes to store
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Whether the two-factor policy applies to a role
+ * @param {string} role
+ * @returns {Promise<boolean>}
+ */
+export async function isTwoFactorRequired(role) {
+  return role === 'ADMIN' && await getSetting('require_admin_2fa', false);
+}
+
+// Where a staff member who must enrol can still go: the enrolment page and its API
+const SETUP_PATHS = ['/instructor/security', '/api/instructor/profile/two-factor'];
+
+/**
+ * Whether a path is part of two-factor enrolment
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+export function isTwoFactorSetupPath(pathname) {
+  return SETUP_PATHS.some(path => pathname === path || pathname.startsWith(`${path}/`));
+}
+
+/**
+ * Whether a signed-in staff member must enrol before they can do anything else
+ * @param {string} role
+ * @param {boolean} enabled - Whether they have two-factor on
+ * @returns {Promise<boolean>}
+ */
+export async function needsTwoFactorSetup(role, enabled) {
+  return !enabled && await isTwoFactorRequired(role);
+}
+
+/**
+ * A staff member's two-factor state, for their settings
+ * @param {string} userId
+ * @returns {Promise<Object>} - { enabled, enabledAt, recoveryCodesLeft, required }
+ */
+export async function getTwoFactorStatus(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { role: true, totpEnabledAt: true, recoveryCodes: true }
+  });
+  return {
+    enabled: !!user.totpEnabledAt,
+    enabledAt: user.totpEnabledAt,
+    recoveryCodesLeft: user.totpEnabledAt ? (user.recoveryCodes || []).length : 0,
+    required: await isTwoFactorRequired(user.role)
+  };
+}
+
+/**
+ * Start enrolment with a new secret, replacing any unfinished one. Two-factor
+ * stays off until confirmTwoFactor.
+ * @param {{ id: string, email: string }} user
+ * @returns {Promise<{ secret: string, uri: string }>}
+ */
+export async function beginTwoFactorSetup(user) {
+  const secret = generateTotpSecret();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { totpSecret: encryptSecret(secret), totpEnabledAt: null, totpLastStep: null, recoveryCodes: [] }
+  });
+  return { secret, uri: getOtpAuthUri(secret, user.email, ISSUER) };
+}
+
+/**
+ * Finish enrolment with a code from the app, proving it was set up
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<{ ok: boolean, error?: string, recoveryCodes?: string[] }>}
+ */
+export async function confirmTwoFactor(userId, code) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { totpSecret: true, totpEnabledAt: true }
+  });
+  if (user.totpEnabledAt) return { ok: false, error: 'Two-factor authentication is already on' };
+  if (!user.totpSecret) return { ok: false, error: 'Start the setup first' };
+
+  const step = verifyTotp(decryptSecret(user.totpSecret), code);
+  if (step === null) return { ok: false, error: 'That code is not right. Check the time on your phone and try again.' };
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await prisma.user.update({
+    where: { id: userId },
+    data: { totpEnabledAt: new Date(), totpLastStep: step, recoveryCodes: hashes }
+  });
+  return { ok: true, recoveryCodes: codes };
+}
+
+/**
+ * Check a login code: an authenticator code, or an unused recovery code (which
+ * is then spent)
+ * @param {string} userId
+ * @param {string} code
+ * @returns {Promise<{ ok: boolean, usedRecoveryCode?: boolean, recoveryCodesLeft?: number }>}
+ */
+export async function verifyTwoFactorCode(userId, code) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { totpSecret: true, totpEnabledAt: true, totpLastStep: true, recoveryCodes: true }
+  });
+  if (!user?.totpEnabledAt || !user.totpSecret) return { ok: false };
+
+  const step = verifyTotp(decryptSecret(user.totpSecret), code, { afterStep: user.totpLastStep ?? -1 });
+  if (step !== null) {
+    // Conditional update, so two requests racing with the same code can't both pass
+    const { count } = await prisma.user.updateMany({
+      where: { id: userId, OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }] },
+      data: { totpLastStep: step }
+    });
+    return { ok: count > 0 };
+  }
+
+  const hashes = user.recoveryCodes || [];
+  const hash = hashRecoveryCode(String(code));
+  if (!hashes.includes(hash)) return { ok: false };
+
+  // Only if the codes are unchanged since they were read, so a code is spent once
+  const remaining = hashes.filter(h => h !== hash);
+  const { count } = await prisma.user.updateMany({
+    where: { id: userId, recoveryCodes: { equals: hashes } },
+    data: { recoveryCodes: remaining }
+  });
+  if (count === 0) return { ok: false };
+  return { ok: true, usedRecoveryCode: true, recoveryCodesLeft: remaining.length };
+}
+
+/**
+ * Replace the recovery codes, e.g. when most have been used
+ * @param {string} userId
+ * @returns {Promise<string[]>} - The new codes, to show once
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const { codes, hashes } = generateRecoveryCodes();
+  await prisma.user.update({ where: { id: userId }, data: { recoveryCodes: hashes } });
+  return codes;
+}
+
+/**
+ * Turn two-factor off for a staff member
+ * @param {string} userId
+ */
+export async function disableTwoFactor(userId) {
+  await prisma.user.update({
+    where: { id: userId },
+    data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null, recoveryCodes: [] }
+  });
+}
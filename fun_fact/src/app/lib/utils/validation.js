@@ -1,15 +1,28 @@
 import { z } from 'zod';
 import prisma from '../db/prisma-client';
-import { ERROR_MESSAGES } from '../constants';
-import { getCurrentWeekMonday } from './dates';
-import { getSetting } from './settings';
+import { ERROR_MESSAGES, INACTIVE_BOOKING_STATUSES } from '../constants';
+import { getCurrentWeekMonday, getBookableWeeks, getCancelDeadline, formatDate } from './dates';
+import { getSetting, getScheduleSettings } from './settings';
+import { getClosureFor, formatClosureDate } from './closures';
+import { getEffectiveCapacity } from './fleet';
+import { getActiveSuspension } from './penalties';
+import { getTimeSlotMap } from './timeslots';
+import { getWeekSession, isOfferedInWeek } from './instances';
 
 // Student login validation schema
 export const studentLoginSchema = z.object({
   id: z.string()
     .min(1, 'Student ID is required')
     .regex(/^DR-\d{4,5}-\d{2}$/, 'Invalid ID format. Should match pattern: DR-XXXX-XX'),
-  email: z.string().email('Invalid email format')
+  email: z.string().email('Invalid email format'),
+  // Where to send the one-time code, when login codes are on
+  channel: z.enum(['EMAIL', 'SMS']).optional()
+});
+
+// Second login step, when login codes are on
+export const loginCodeSchema = z.object({
+  id: z.string().regex(/^DR-\d{4,5}-\d{2}$/, 'Invalid ID format. Should match pattern: DR-XXXX-XX'),
+  code: z.string().regex(/^\d{6}$/, 'Enter the 6-digit code')
 });
 
 // Staff login validation schema
@@ -20,7 +33,9 @@ export const staffLoginSchema = z.object({
 
 // Session booking validation schema
 export const sessionBookingSchema = z.object({
-  sessionId: z.string().uuid('Invalid session ID')
+  sessionId: z.string().uuid('Invalid session ID'),
+  // Any date within the target week; defaults to the current week when omitted
+  weekOf: z.string().optional()
 });
 
 /**
@@ -63,10 +78,18 @@ export async function validateStudentCredentials(id, email) {
  * Validate if a student can book a session
  * @param {string} studentId - Student ID
  * @param {string} sessionId - Session ID
+ * @param {Date|null} [weekOf] - Monday of the target week (defaults to the current week)
+ * @param {Object} [options]
+ * @param {boolean} [options.ignoreCapacity] - Skip the full-session check (waitlist joins)
+ * @param {string} [options.excludeBookingId] - Booking being replaced (reschedules); it
+ *   doesn't count toward capacity or the student's limits
  * @returns {Promise<Object>} - Validation result
  */
-export async function validateSessionBooking(studentId, sessionId) {
+export async function validateSessionBooking(studentId, sessionId, weekOf = null, { ignoreCapacity = false, excludeBookingId = null } = {}) {
   try {
+    const schedule = await getScheduleSettings();
+    if (!weekOf) weekOf = getCurrentWeekMonday(schedule);
+
     // Get the session
     const session = await prisma.session.findUnique({
       where: { id: sessionId },
@@ -82,8 +105,11 @@ export async function validateSessionBooking(studentId, sessionId) {
       };
     }
 
-    // A capacity of 0 means this licence class is not offered at this day/time.
-    if (session.capacity <= 0) {
+    // A capacity of 0 means this licence class is not offered at this day/time
+    // (that week — an instance may override it), and a slot the catalogue no
+    // longer runs on that day isn't offered at all.
+    const weekSession = await getWeekSession(prisma, session, weekOf);
+    if (!isOfferedInWeek(await getTimeSlotMap(), weekSession)) {
       return {
         valid: false,
         error: 'This session is not available for your licence class.'
@@ -93,7 +119,7 @@ export async function validateSessionBooking(studentId, sessionId) {
     // The student may only book sessions for their own licence class.
     const student = await prisma.student.findUnique({
       where: { id: studentId },
-      select: { category: true, status: true }
+      select: { category: true, status: true, branch: true }
     });
 
     if (!student) {
@@ -108,6 +134,15 @@ export async function validateSessionBooking(studentId, sessionId) {
       };
     }
 
+    // Missing too many sessions suspends booking for a while
+    const suspension = await getActiveSuspension(prisma, studentId);
+    if (suspension) {
+      return {
+        valid: false,
+        error: `Booking is suspended until ${formatDate(suspension.endsAt, schedule.timeZone)} after ${suspension.reason}. Please contact your instructor.`
+      };
+    }
+
     if (student.category !== session.category) {
       return {
         valid: false,
@@ -115,62 +150,81 @@ export async function validateSessionBooking(studentId, sessionId) {
       };
     }
 
-    // Fetch dynamic settings
-    const maxDaysPerWeek = await getSetting('max_days_per_week', 3);
-    const maxSessionsPerDay = await getSetting('max_sessions_per_day', 1);
+    if (student.branch !== session.branch) {
+      return {
+        valid: false,
+        error: 'This session is at a different branch.'
+      };
+    }
 
-    // Only count active bookings for current week toward capacity
-    const weekOf = getCurrentWeekMonday();
-    const activeBookings = session.bookings.filter(
-      b => b.status !== 'CANCELLED' && b.weekOf.getTime() === weekOf.getTime()
+    // Re-booking a late cancellation would wipe it off the student's record
+    const lateCancelled = session.bookings.some(
+      b => b.studentId === studentId && b.weekOf.getTime() === weekOf.getTime() && b.status === 'LATE_CANCEL'
     );
+    if (lateCancelled) {
+      return { valid: false, error: ERROR_MESSAGES.LATE_CANCELLED };
+    }
 
-    // Check if session is full. Capacity is per (day, timeSlot, licence class),
-    // stored on the session row — NOT the global default setting.
-    if (activeBookings.length >= session.capacity) {
+    // Fetch dynamic settings
+    const horizonWeeks = await getSetting('booking_horizon_weeks', 1);
+
+    // The target week must fall inside the booking horizon (no past weeks either)
+    const bookableWeeks = getBookableWeeks(horizonWeeks, schedule);
+    if (!bookableWeeks.some(w => w.getTime() === weekOf.getTime())) {
       return {
         valid: false,
-        error: `This session is already at full capacity (${session.capacity} students).`
+        error: horizonWeeks > 0
+          ? `You can only book up to ${horizonWeeks} week${horizonWeeks !== 1 ? 's' : ''} ahead.`
+          : 'You can only book sessions for the current week.'
       };
     }
 
-    // Get student's existing active bookings for current week
-    const studentBookings = await prisma.booking.findMany({
-      where: {
-        studentId,
-        weekOf,
-        status: { not: 'CANCELLED' }
-      },
-      include: {
-        session: true
-      }
-    });
-
-    // Check if student has reached max sessions for this day
-    const sameDayBookings = studentBookings.filter(
-      booking => booking.session.day === session.day
-    );
+    // The school may be closed on that date (holiday, single slot, one class)
+    const closure = await getClosureFor(prisma, session, weekOf);
+    if (closure) {
+      return {
+        valid: false,
+        error: `This session is closed on ${formatClosureDate(closure.date)}: ${closure.reason}`
+      };
+    }
 
-    if (sameDayBookings.length >= maxSessionsPerDay) {
+    // ...or have called off this one session for the week
+    if (weekSession.isCancelled) {
       return {
         valid: false,
-        error: maxSessionsPerDay === 1
-          ? ERROR_MESSAGES.DAY_ALREADY_BOOKED
-          : `You can only book up to ${maxSessionsPerDay} sessions per day.`
+        error: `This session is cancelled this week${weekSession.note ? `: ${weekSession.note}` : ''}`
       };
     }
 
-    // Check if student reached max days
-    if (studentBookings.length >= maxDaysPerWeek) {
+    // Only count active bookings for the target week toward capacity
+    const activeBookings = session.bookings.filter(
+      b => !INACTIVE_BOOKING_STATUSES.includes(b.status) && b.weekOf.getTime() === weekOf.getTime() && b.id !== excludeBookingId
+    );
+
+    // Check if session is full. Capacity is per (day, timeSlot, licence class),
+    // stored on the session row or the week's instance — NOT the global default
+    // setting — and capped by the vehicles of that class on the road that day.
+    // Joining the waitlist skips this check: a full session is the point.
+    const capacity = await getEffectiveCapacity(prisma, session, weekOf);
+    if (!ignoreCapacity && activeBookings.length >= capacity) {
       return {
         valid: false,
-        error: `You can only select up to ${maxDaysPerWeek} days per week.`
+        error: capacity < weekSession.capacity
+          ? `This session is full — only ${capacity} vehicle${capacity !== 1 ? 's are' : ' is'} available that day.`
+          : `This session is already at full capacity (${capacity} students).`
       };
     }
 
+    // Day and week limits for the target week
+    const limitError = await checkBookingLimits(prisma, studentId, session.day, weekOf, excludeBookingId);
+    if (limitError) {
+      return { valid: false, error: limitError };
+    }
+
     return {
       valid: true,
-      session
+      session,
+      capacity
     };
   } catch (error) {
     console.error('Error validating session booking:', error);
@@ -180,3 +234,75 @@ export async function validateSessionBooking(studentId, sessionId) {
     };
   }
 }
+
+/**
+ * Check a student's per-day and per-week booking limits for a target week
+ * @param {Object} db - Prisma client, or the transaction client when called inside $transaction
+ * @param {string} studentId - Student ID
+ * @param {string} day - Day of the session being booked
+ * @param {Date} weekOf - Monday of the target week
+ * @param {string|null} [excludeBookingId] - Booking to leave out (the one being rescheduled)
+ * @returns {Promise<string|null>} - Error message, or null when within limits
+ */
+export async function checkBookingLimits(db, studentId, day, weekOf, excludeBookingId = null) {
+  const maxDaysPerWeek = await getSetting('max_days_per_week', 3);
+  const maxSessionsPerDay = await getSetting('max_sessions_per_day', 1);
+
+  // Get student's existing active bookings for the target week
+  const studentBookings = await db.booking.findMany({
+    where: {
+      studentId,
+      weekOf,
+      status: { notIn: INACTIVE_BOOKING_STATUSES },
+      ...(excludeBookingId && { id: { not: excludeBookingId } })
+    },
+    include: {
+      session: true
+    }
+  });
+
+  // Check if student has reached max sessions for this day
+  const sameDayBookings = studentBookings.filter(
+    booking => booking.session.day === day
+  );
+
+  if (sameDayBookings.length >= maxSessionsPerDay) {
+    return maxSessionsPerDay === 1
+      ? ERROR_MESSAGES.DAY_ALREADY_BOOKED
+      : `You can only book up to ${maxSessionsPerDay} sessions per day.`;
+  }
+
+  // Check if student reached max days
+  if (studentBookings.length >= maxDaysPerWeek) {
+    return `You can only select up to ${maxDaysPerWeek} days per week.`;
+  }
+
+  return null;
+}
+
+/**
+ * Check a student cancellation (or move) of a booked session against the
+ * cancellation cutoff. Past the deadline it is either blocked or recorded as
+ * a LATE_CANCEL, depending on the `block_late_cancellations` setting.
+ * @param {Date} weekOf - Monday of the booking's week
+ * @param {Object} session - Session with day and timeSlot
+ * @returns {Promise<Object>} - { deadline, late, error? } — error is set when blocked
+ */
+export async function checkCancellationCutoff(weekOf, session) {
+  const cutoffHours = await getSetting('cancel_cutoff_hours', 12);
+  const slotMap = await getTimeSlotMap();
+  const deadline = getCancelDeadline(weekOf, session.day, slotMap[session.timeSlot], cutoffHours, await getScheduleSettings());
+  const late = Date.now() > deadline.getTime();
+
+  if (late && await getSetting('block_late_cancellations', false)) {
+    return {
+      deadline,
+      late,
+      error: cutoffHours > 0
+        ? `Sessions can't be cancelled or moved less than ${cutoffHours} hour${cutoffHours !== 1 ? 's' : ''} before they start. Please contact your instructor.`
+        : "This session has already started and can't be cancelled or moved. Please contact your instructor."
+    };
+  }
+
+  return { deadline, late };
+}
@@ -0,0 +1,139 @@
+import { INACTIVE_BOOKING_STATUSES } from '../constants';
+import { checkBookingLimits } from './validation';
+import { getCurrentWeekMonday, getSessionStart } from './dates';
+import { getScheduleSettings } from './settings';
+import { getClosureFor } from './closures';
+import { getEffectiveCapacity } from './fleet';
+import { getWeekSession } from './instances';
+import { getActiveSuspension } from './penalties';
+import { getTimeSlotMap } from './timeslots';
+
+/**
+ * Fill freed spots in a session week from its waitlist, first come first served.
+ * Call this with the transaction client of the cancellation that freed the spot
+ * so the cancel and the promotion commit (or roll back) together.
+ * @param {Object} tx - Prisma interactive transaction client
+ * @param {string} sessionId - Session ID
+ * @param {Date} weekOf - Monday of the week the spot was freed in
+ * @param {string|null} [changedById] - Staff user behind the cancellation, if any
+ * @returns {Promise<Array>} - Bookings created or resurrected for promoted students
+ */
+export async function promoteFromWaitlist(tx, sessionId, weekOf, changedById = null) {
+  // A past week can no longer be booked into — close its queue instead.
+  const schedule = await getScheduleSettings();
+  if (weekOf.getTime() < getCurrentWeekMonday(schedule).getTime()) {
+    await expireWaitlist(tx, { sessionId, weekOf });
+    return [];
+  }
+
+  const session = await tx.session.findUnique({
+    where: { id: sessionId },
+    select: { id: true, day: true, timeSlot: true, category: true, branch: true, capacity: true }
+  });
+  if (!session) return [];
+
+  // Nor can a slot this week that has already started
+  const slotMap = await getTimeSlotMap(tx);
+  if (getSessionStart(weekOf, session.day, slotMap[session.timeSlot], schedule).getTime() <= Date.now()) {
+    await expireWaitlist(tx, { sessionId, weekOf });
+    return [];
+  }
+
+  // A closed slot, or one cancelled for the week, can't take anyone either
+  if (await getClosureFor(tx, session, weekOf) || (await getWeekSession(tx, session, weekOf)).isCancelled) {
+    await expireWaitlist(tx, { sessionId, weekOf });
+    return [];
+  }
+
+  const capacity = await getEffectiveCapacity(tx, session, weekOf);
+  let activeCount = await tx.booking.count({
+    where: { sessionId, weekOf, status: { notIn: INACTIVE_BOOKING_STATUSES } }
+  });
+  if (activeCount >= capacity) return [];
+
+  const waiting = await tx.waitlistEntry.findMany({
+    where: { sessionId, weekOf, status: 'WAITING' },
+    include: { student: { select: { status: true, category: true, branch: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const promoted = [];
+  for (const entry of waiting) {
+    if (activeCount >= capacity) break;
+
+    // Ineligible students are skipped but keep their place in the queue —
+    // they may become eligible again (e.g. after cancelling another day).
+    if (entry.student.status !== 'ACTIVE' || entry.student.category !== session.category) continue;
+    if (entry.student.branch !== session.branch) continue;
+    if (await checkBookingLimits(tx, entry.studentId, session.day, weekOf)) continue;
+    if (await getActiveSuspension(tx, entry.studentId)) continue;
+
+    const existing = await tx.booking.findUnique({
+      where: {
+        studentId_sessionId_weekOf: { studentId: entry.studentId, sessionId, weekOf }
+      }
+    });
+
+    // Already holds this slot (booked directly after joining) — nothing to
+    // promote. A late cancellation of it can't be undone by promotion either.
+    if (existing && existing.status !== 'CANCELLED') {
+      await tx.waitlistEntry.update({ where: { id: entry.id }, data: { status: 'LEFT' } });
+      continue;
+    }
+
+    // Same unique-key rule as POST /api/bookings: resurrect a row cancelled on time.
+    const booking = existing
+      ? await tx.booking.update({
+          where: { id: existing.id },
+          data: {
+            status: 'BOOKED',
+            category: session.category,
+            cancelledAt: null,
+            markedById: null
+          }
+        })
+      : await tx.booking.create({
+          data: {
+            student: { connect: { id: entry.studentId } },
+            session: { connect: { id: sessionId } },
+            category: session.category,
+            status: 'BOOKED',
+            weekOf
+          }
+        });
+
+    await tx.bookingStatusHistory.create({
+      data: {
+        bookingId: booking.id,
+        fromStatus: existing ? existing.status : null,
+        toStatus: 'BOOKED',
+        changedById,
+        reason: 'Promoted from waitlist'
+      }
+    });
+
+    await tx.waitlistEntry.update({
+      where: { id: entry.id },
+      data: { status: 'PROMOTED', bookingId: booking.id, promotedAt: new Date() }
+    });
+
+    promoted.push(booking);
+    activeCount++;
+  }
+
+  return promoted;
+}
+
+/**
+ * Mark waiting entries as expired
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} where - Extra filter (e.g. { weekOf: { lt: monday } })
+ * @returns {Promise<number>} - Number of entries expired
+ */
+export async function expireWaitlist(db, where) {
+  const { count } = await db.waitlistEntry.updateMany({
+    where: { ...where, status: 'WAITING' },
+    data: { status: 'EXPIRED' }
+  });
+  return count;
+}
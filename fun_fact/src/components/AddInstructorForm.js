@@ -25,15 +25,26 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { Loader2 } from 'lucide-react';
+import { ROLES, ROLE_NAMES, ROLE_DESCRIPTIONS } from '@/app/lib/permissions';
 
 const staffFormSchema = z.object({
   name: z.string().min(1, { message: 'Name is required' }).max(100),
   email: z.string().email({ message: 'Invalid email address' }),
   password: z.string().min(8, { message: 'Password must be at least 8 characters' }),
-  role: z.enum(['INSTRUCTOR', 'ADMIN']),
+  role: z.enum(ROLES),
+  branch: z.string(),
 });
 
-export default function AddInstructorForm({ onSuccess }) {
+// The branch select's value for staff who work at every branch
+const ALL_BRANCHES = 'all';
+
+/**
+ * @param {Object} props
+ * @param {Function} [props.onSuccess] - Called with the new staff member
+ * @param {Object} [props.branchInfo] - From GET /api/instructor/profile/branch;
+ *   staff without a branch choose the new member's, others add to their own
+ */
+export default function AddInstructorForm({ onSuccess, branchInfo }) {
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   const form = useForm({
@@ -43,13 +54,17 @@ export default function AddInstructorForm({ onSuccess }) {
       email: '',
       password: '',
       role: 'INSTRUCTOR',
+      branch: branchInfo?.activeBranch || ALL_BRANCHES,
     },
   });
 
-  const onSubmit = async (data) => {
+  const onSubmit = async ({ branch, ...data }) => {
     try {
       setIsSubmitting(true);
-      const response = await axios.post('/api/instructor/staff', data);
+      const response = await axios.post('/api/instructor/staff', {
+        ...data,
+        branch: branch === ALL_BRANCHES ? null : branch,
+      });
       form.reset();
       if (typeof onSuccess === 'function') {
         onSuccess(response.data.user);
@@ -138,18 +153,52 @@ export default function AddInstructorForm({ onSuccess }) {
                   </SelectTrigger>
                 </FormControl>
                 <SelectContent>
-                  <SelectItem value="INSTRUCTOR">Instructor</SelectItem>
-                  <SelectItem value="ADMIN">Admin</SelectItem>
+                  {ROLES.map((role) => (
+                    <SelectItem key={role} value={role}>{ROLE_NAMES[role]}</SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
               <FormDescription>
-                Instructors can view and update session status. Admins have full access.
+                {ROLE_DESCRIPTIONS[field.value]}
               </FormDescription>
               <FormMessage />
             </FormItem>
           )}
         />
 
+        {branchInfo && !branchInfo.branch && (
+          <FormField
+            control={form.control}
+            name="branch"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>Branch*</FormLabel>
+                <Select
+                  onValueChange={field.onChange}
+                  defaultValue={field.value}
+                  disabled={isSubmitting}
+                >
+                  <FormControl>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select branch" />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    <SelectItem value={ALL_BRANCHES}>All branches</SelectItem>
+                    {branchInfo.branches.map((b) => (
+                      <SelectItem key={b.code} value={b.code}>{b.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <FormDescription>
+                  Staff at one branch only see its students and sessions.
+                </FormDescription>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        )}
+
         <Button type="submit" className="w-full" disabled={isSubmitting}>
           {isSubmitting ? (
             <>
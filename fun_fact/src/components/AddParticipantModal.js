@@ -3,7 +3,7 @@
 import { useState, useEffect } from 'react';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
-import { DAY_NAMES, TIME_SLOT_NAMES } from '@/app/lib/constants';
+import { DAY_NAMES } from '@/app/lib/constants';
 import {
   Dialog,
   DialogContent,
@@ -77,7 +77,7 @@ export default function AddParticipantModal({ session, onClose, onParticipantAdd
         <DialogHeader>
           <DialogTitle>Add student to session</DialogTitle>
           <DialogDescription>
-            {DAY_NAMES[session.day]} · {TIME_SLOT_NAMES[session.timeSlot]}
+            {DAY_NAMES[session.day]} · {session.timeSlotName}
           </DialogDescription>
         </DialogHeader>
 
@@ -0,0 +1,229 @@
+// file: src/components/AuditLog.js
+// Admin audit timeline: system log entries and booking status changes in one
+// list, filterable and exportable to CSV. Staff changes show their field diffs.
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { ChevronLeft, ChevronRight, Download, History } from 'lucide-react';
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = { action: 'all', actorId: 'all', studentId: '', bookingId: '', from: '', to: '' };
+
+const formatTime = (value) =>
+  new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const formatValue = (value) => (value === null ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Query string for the current filters, leaving out the ones not set
+function toParams(filters) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    const trimmed = value.trim();
+    if (trimmed && trimmed !== 'all') params.set(key, trimmed);
+  }
+  return params;
+}
+
+export default function AuditLog() {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [staff, setStaff] = useState([]);
+
+  useEffect(() => {
+    axios.get('/api/instructor/staff')
+      .then(({ data }) => setStaff(data.staff || []))
+      .catch(() => {});
+  }, []);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = toParams(applied);
+      params.set('page', String(page));
+      params.set('pageSize', String(PAGE_SIZE));
+      const { data } = await axios.get(`/api/admin/audit?${params.toString()}`);
+      setData(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [applied, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const applyFilters = (e) => {
+    e?.preventDefault();
+    setApplied(filters);
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setApplied(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  const handleExport = () => {
+    const params = toParams(applied);
+    params.set('format', 'csv');
+    window.open(`/api/admin/audit?${params.toString()}`, '_blank');
+  };
+
+  return (
+    <div className="rounded-lg border border-gray-200 p-5">
+      <div className="flex flex-wrap items-start justify-between gap-2 mb-4">
+        <div>
+          <h3 className="text-base font-medium text-gray-900 flex items-center mb-1">
+            <History className="mr-2 w-5 h-5 text-blue-600" />
+            Audit Log
+          </h3>
+          <p className="text-sm text-gray-500">
+            Everything staff and the system have done, with every booking status change.
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={handleExport} className="border-blue-200 text-blue-700 hover:bg-blue-50">
+          <Download className="mr-1.5 w-4 h-4" /> Export CSV
+        </Button>
+      </div>
+
+      <form onSubmit={applyFilters} className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-4">
+        <Select value={filters.action} onValueChange={(v) => setFilter('action', v)}>
+          <SelectTrigger aria-label="Action">
+            <SelectValue placeholder="All actions" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All actions</SelectItem>
+            {(data?.actions || []).map((action) => (
+              <SelectItem key={action} value={action}>{action}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={filters.actorId} onValueChange={(v) => setFilter('actorId', v)}>
+          <SelectTrigger aria-label="Staff member">
+            <SelectValue placeholder="Anyone" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">Anyone</SelectItem>
+            {staff.map((s) => (
+              <SelectItem key={s.id} value={s.id}>{s.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Input
+          placeholder="Student ID"
+          value={filters.studentId}
+          onChange={(e) => setFilter('studentId', e.target.value)}
+        />
+        <Input
+          placeholder="Booking ID"
+          value={filters.bookingId}
+          onChange={(e) => setFilter('bookingId', e.target.value)}
+        />
+        <Input
+          type="date"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => setFilter('from', e.target.value)}
+          aria-label="From"
+        />
+        <Input
+          type="date"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => setFilter('to', e.target.value)}
+          aria-label="To"
+        />
+        <div className="col-span-2 md:col-span-3 flex justify-end gap-2">
+          <Button type="button" variant="ghost" size="sm" onClick={clearFilters}>Clear</Button>
+          <Button type="submit" size="sm" className="bg-blue-900 hover:bg-blue-800">Apply filters</Button>
+        </div>
+      </form>
+
+      {loading && !data ? (
+        <Skeleton className="h-64 w-full" />
+      ) : data?.entries.length === 0 ? (
+        <p className="text-sm text-gray-500 py-6 text-center">No entries match these filters.</p>
+      ) : (
+        <div className={`divide-y divide-gray-100 rounded-lg border border-gray-200 ${loading ? 'opacity-60' : ''}`}>
+          {data?.entries.map((entry) => (
+            <div key={`${entry.source}:${entry.id}`} className="p-3 space-y-1">
+              <div className="flex flex-wrap items-center gap-2">
+                <Badge
+                  variant="outline"
+                  className={`text-[10px] ${entry.source === 'STATUS_HISTORY'
+                    ? 'bg-amber-50 text-amber-700 border-amber-200'
+                    : 'bg-blue-50 text-blue-700 border-blue-200'}`}
+                >
+                  {entry.action}
+                </Badge>
+                <span className="text-xs text-gray-400">{formatTime(entry.createdAt)}</span>
+              </div>
+              <div className="text-sm text-gray-900 break-words">{entry.message}</div>
+              {entry.data?.changes?.length > 0 && (
+                <ul className="text-xs text-gray-600 space-y-0.5">
+                  {entry.data.changes.flatMap((change) =>
+                    Object.entries(change.diff).map(([field, { from, to }]) => (
+                      <li key={`${change.entityId}:${field}`} className="break-words">
+                        <span className="text-gray-400">{change.entity} {change.entityId} ·</span> {field}:{' '}
+                        <span className="line-through text-gray-400">{formatValue(from)}</span> → {formatValue(to)}
+                      </li>
+                    ))
+                  )}
+                </ul>
+              )}
+              <div className="text-[11px] text-gray-500">
+                {entry.actor ? `By ${entry.actor.name}` : 'By the system'}
+                {entry.student && ` · ${entry.student.name} (${entry.student.studentNumber})`}
+                {entry.bookingId && ` · booking ${entry.bookingId.slice(0, 8)}`}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {data && data.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-3 text-sm text-gray-500">
+          <span>
+            Page {data.page} of {data.totalPages} · {data.total} entries
+          </span>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" disabled={loading || page <= 1} onClick={() => setPage((p) => p - 1)}>
+              <ChevronLeft className="w-4 h-4" />
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={loading || page >= data.totalPages}
+              onClick={() => setPage((p) => p + 1)}
+            >
+              <ChevronRight className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
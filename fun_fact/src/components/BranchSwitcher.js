@@ -0,0 +1,64 @@
+// file: src/components/BranchSwitcher.js
+// The branch the instructor dashboard shows, in its header. Staff without a
+// branch of their own pick one or all of them; staff tied to a branch just
+// see its name.
+
+'use client';
+
+import { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Building2 } from 'lucide-react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+const ALL = 'all';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.branchInfo - From GET /api/instructor/profile/branch
+ * @param {Function} props.onSwitched - Called with the new active branch code
+ *   (null for every branch) once the switch is saved
+ * @param {string} [props.className]
+ */
+export default function BranchSwitcher({ branchInfo, onSwitched, className = '' }) {
+  const [switching, setSwitching] = useState(false);
+  const { branch, activeBranch, branches } = branchInfo;
+
+  if (branch) {
+    const own = branches.find((b) => b.code === branch);
+    return (
+      <span className={`flex items-center text-sm text-blue-100 ${className}`}>
+        <Building2 className="mr-1.5 h-4 w-4" />
+        {own?.name || branch}
+      </span>
+    );
+  }
+
+  const handleChange = async (value) => {
+    setSwitching(true);
+    try {
+      const { data } = await axios.put('/api/instructor/profile/branch', { branch: value === ALL ? null : value });
+      toast.success(data.message);
+      onSwitched(data.activeBranch);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to switch branch');
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  return (
+    <Select value={activeBranch || ALL} onValueChange={handleChange} disabled={switching}>
+      <SelectTrigger className={`w-44 bg-transparent border-blue-400 text-blue-100 ${className}`} aria-label="Branch">
+        <Building2 className="h-4 w-4" />
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={ALL}>All branches</SelectItem>
+        {branches.map((b) => (
+          <SelectItem key={b.code} value={b.code}>{b.name}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
@@ -0,0 +1,331 @@
+// file: src/components/ClosureCalendar.js
+// Admin month calendar for closing dates (public holidays, a single afternoon,
+// one licence class). Sits under SessionCapacityMatrix: the matrix sets the
+// standing weekly offer, closures punch holes in specific dates. A closure is
+// for the branch being worked in; working across every branch, it can be for
+// one branch or all of them. Adding a closure cancels the BOOKED sessions it
+// covers.
+
+'use client';
+
+import { useEffect, useMemo, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import {
+  DAYS,
+  DAY_NAMES,
+  LICENCE_CLASSES,
+  LICENCE_CLASS_NAMES,
+} from '@/app/lib/constants';
+import { useTimeSlots } from '@/app/hooks/useTimeSlots';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Skeleton } from '@/components/ui/skeleton';
+import { CalendarX, ChevronLeft, ChevronRight, Trash2, AlertTriangle, Loader2 } from 'lucide-react';
+
+// Monday-first, matching the timetable
+const WEEK_DAYS = [DAYS.MONDAY, DAYS.TUESDAY, DAYS.WEDNESDAY, DAYS.THURSDAY, DAYS.FRIDAY, DAYS.SATURDAY, DAYS.SUNDAY];
+
+// Radix Select can't use '' as a value, so "no restriction" gets a sentinel
+const ALL = 'ALL';
+
+// Dates are handled as YYYY-MM-DD strings in UTC — the same calendar days the
+// API stores — so the browser's timezone never shifts a closure by a day.
+const toKey = (year, month, day) =>
+  `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+const dayForKey = (key) => WEEK_DAYS[(new Date(`${key}T00:00:00Z`).getUTCDay() + 6) % 7];
+
+const formatLongDate = (key) =>
+  new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+export default function ClosureCalendar() {
+  const { slotMap, slotsForDay } = useTimeSlots();
+  const todayKey = new Date().toISOString().slice(0, 10);
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return { year: now.getUTCFullYear(), month: now.getUTCMonth() };
+  });
+  const [closures, setClosures] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [timeSlot, setTimeSlot] = useState(ALL);
+  const [category, setCategory] = useState(ALL);
+  const [branch, setBranch] = useState(ALL);
+  const [branchInfo, setBranchInfo] = useState(null);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [removingId, setRemovingId] = useState(null);
+
+  const daysInMonth = new Date(Date.UTC(month.year, month.month + 1, 0)).getUTCDate();
+  const firstKey = toKey(month.year, month.month, 1);
+  const lastKey = toKey(month.year, month.month, daysInMonth);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const { data } = await axios.get('/api/admin/closures', { params: { from: firstKey, to: lastKey } });
+      setClosures(data.closures || []);
+    } catch {
+      toast.error('Failed to load closures');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  useEffect(() => { load(); }, [firstKey]);
+
+  useEffect(() => {
+    axios.get('/api/instructor/profile/branch')
+      .then(({ data }) => setBranchInfo(data))
+      .catch(() => {});
+  }, []);
+
+  // Working across every branch, the closure's branch is picked in the form
+  const branches = branchInfo?.branches || [];
+  const pickBranch = !!branchInfo && !branchInfo.activeBranch && branches.length > 1;
+  const branchName = (code) => branches.find((b) => b.code === code)?.name || code;
+
+  // A different day has different slots — reset the form
+  useEffect(() => { setTimeSlot(ALL); setCategory(ALL); setReason(''); }, [selectedDate]);
+
+  const byDate = useMemo(() => {
+    const map = {};
+    for (const c of closures) (map[c.date] ||= []).push(c);
+    return map;
+  }, [closures]);
+
+  const shiftMonth = (delta) => {
+    setSelectedDate(null);
+    setMonth(({ year, month: m }) => {
+      const d = new Date(Date.UTC(year, m + delta, 1));
+      return { year: d.getUTCFullYear(), month: d.getUTCMonth() };
+    });
+  };
+
+  const addClosure = async () => {
+    if (!reason.trim()) {
+      toast.error('Add a reason students will see');
+      return;
+    }
+    setSaving(true);
+    try {
+      const { data } = await axios.post('/api/admin/closures', {
+        date: selectedDate,
+        timeSlot: timeSlot === ALL ? null : timeSlot,
+        category: category === ALL ? null : category,
+        branch: pickBranch && branch !== ALL ? branch : null,
+        reason: reason.trim()
+      });
+      setClosures((prev) => [...prev, data.closure]);
+      setReason('');
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to add closure');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeClosure = async (id) => {
+    setRemovingId(id);
+    try {
+      const { data } = await axios.delete(`/api/admin/closures/${id}`);
+      setClosures((prev) => prev.filter((c) => c.id !== id));
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to remove closure');
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  // Leading blanks so the 1st lands under its weekday
+  const leadingBlanks = WEEK_DAYS.indexOf(dayForKey(firstKey));
+  const cells = [
+    ...Array(leadingBlanks).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, i) => toKey(month.year, month.month, i + 1))
+  ];
+
+  const monthLabel = new Date(Date.UTC(month.year, month.month, 1))
+    .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  const selectedClosures = selectedDate ? byDate[selectedDate] || [] : [];
+  const selectedIsPast = selectedDate && selectedDate < todayKey;
+
+  const describeScope = (c) => [
+    ...(branches.length > 1 ? [c.branch ? branchName(c.branch) : 'All branches'] : []),
+    c.timeSlot ? slotMap[c.timeSlot]?.label || c.timeSlot : 'Whole day',
+    c.category ? `Class ${c.category}` : 'All classes'
+  ].join(' · ');
+
+  return (
+    <Card className="border-gray-200 shadow-sm">
+      <CardContent className="p-5 space-y-5">
+        <div className="flex items-start gap-3">
+          <div className="flex h-9 w-9 shrink-0 items-center justify-center rounded-lg bg-red-50 text-red-700">
+            <CalendarX className="h-5 w-5" />
+          </div>
+          <div className="min-w-0 flex-1">
+            <div className="text-sm font-semibold text-gray-900">Closures</div>
+            <p className="text-xs text-gray-500 mt-0.5">
+              Close the school on specific dates — the whole day, one time slot, or one licence class.
+            </p>
+          </div>
+        </div>
+
+        {/* Month navigation */}
+        <div className="flex items-center justify-between">
+          <Button variant="ghost" size="icon" onClick={() => shiftMonth(-1)} aria-label="Previous month">
+            <ChevronLeft className="w-4 h-4" />
+          </Button>
+          <div className="text-sm font-medium text-gray-800">{monthLabel}</div>
+          <Button variant="ghost" size="icon" onClick={() => shiftMonth(1)} aria-label="Next month">
+            <ChevronRight className="w-4 h-4" />
+          </Button>
+        </div>
+
+        {loading ? (
+          <Skeleton className="h-56 w-full" />
+        ) : (
+          <div className="grid grid-cols-7 gap-1 text-center">
+            {WEEK_DAYS.map((d) => (
+              <div key={d} className="text-[11px] font-medium uppercase text-gray-400 py-1">
+                {DAY_NAMES[d].slice(0, 3)}
+              </div>
+            ))}
+            {cells.map((key, i) => {
+              if (!key) return <div key={`blank-${i}`} />;
+              const count = byDate[key]?.length || 0;
+              const isSelected = key === selectedDate;
+              const isPast = key < todayKey;
+              return (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setSelectedDate(isSelected ? null : key)}
+                  className={`h-11 rounded-md border text-sm flex flex-col items-center justify-center transition-colors ${
+                    isSelected
+                      ? 'bg-blue-900 text-white border-blue-900'
+                      : count > 0
+                        ? 'bg-red-50 text-red-800 border-red-200 hover:bg-red-100'
+                        : isPast
+                          ? 'text-gray-300 border-transparent'
+                          : 'text-gray-700 border-gray-100 hover:bg-blue-50'
+                  } ${key === todayKey && !isSelected ? 'font-semibold ring-1 ring-blue-300' : ''}`}
+                >
+                  {Number(key.slice(8))}
+                  {count > 0 && (
+                    <span className={`text-[10px] leading-none ${isSelected ? 'text-blue-200' : 'text-red-600'}`}>
+                      {count > 1 ? `${count} closed` : 'closed'}
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Selected date: existing closures + add form */}
+        {selectedDate && (
+          <div className="border-t pt-4 space-y-4">
+            <div className="text-sm font-medium text-gray-900">{formatLongDate(selectedDate)}</div>
+
+            {selectedClosures.length > 0 ? (
+              <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+                {selectedClosures.map((c) => (
+                  <div key={c.id} className="flex items-center justify-between gap-3 p-3">
+                    <div className="min-w-0">
+                      <div className="text-sm text-gray-800">{c.reason}</div>
+                      <div className="text-[11px] text-gray-500">
+                        {describeScope(c)}{c.createdBy ? ` · by ${c.createdBy}` : ''}
+                      </div>
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => removeClosure(c.id)}
+                      disabled={removingId === c.id}
+                      className="text-gray-400 hover:text-red-600 shrink-0"
+                      aria-label="Remove closure"
+                    >
+                      {removingId === c.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-xs text-gray-500">Open as normal.</p>
+            )}
+
+            {!selectedIsPast && (
+              <div className="space-y-3">
+                <div className={`grid grid-cols-1 gap-3 ${pickBranch ? 'sm:grid-cols-3' : 'sm:grid-cols-2'}`}>
+                  {pickBranch && (
+                    <Select value={branch} onValueChange={setBranch}>
+                      <SelectTrigger aria-label="Branch">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={ALL}>All branches</SelectItem>
+                        {branches.map((b) => (
+                          <SelectItem key={b.code} value={b.code}>{b.name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  )}
+                  <Select value={timeSlot} onValueChange={setTimeSlot}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={ALL}>Whole day</SelectItem>
+                      {slotsForDay(dayForKey(selectedDate)).map((slot) => (
+                        <SelectItem key={slot.code} value={slot.code}>{slot.label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Select value={category} onValueChange={setCategory}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={ALL}>All licence classes</SelectItem>
+                      {LICENCE_CLASSES.map((c) => (
+                        <SelectItem key={c} value={c}>{LICENCE_CLASS_NAMES[c]}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="flex gap-2">
+                  <Input
+                    placeholder="Reason, e.g. Mashujaa Day"
+                    value={reason}
+                    maxLength={191}
+                    onChange={(e) => setReason(e.target.value)}
+                  />
+                  <Button onClick={addClosure} disabled={saving} className="bg-red-700 hover:bg-red-800 shrink-0">
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Close'}
+                  </Button>
+                </div>
+                <div className="flex items-start gap-2 text-xs bg-amber-50 border border-amber-200 rounded-md p-2 text-amber-700">
+                  <AlertTriangle className="w-4 h-4 shrink-0 mt-0.5" />
+                  <span>Booked sessions in the closed slot are cancelled and students see the reason in their history. Removing the closure doesn&apos;t restore them.</span>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
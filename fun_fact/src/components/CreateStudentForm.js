@@ -25,10 +25,11 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { Loader2 } from 'lucide-react';
-import { LICENCE_CLASSES, LICENCE_CLASS_NAMES, DEFAULT_LICENCE_CLASS } from '@/app/lib/constants';
+import { LICENCE_CLASSES, LICENCE_CLASS_NAMES, DEFAULT_LICENCE_CLASS, DEFAULT_BRANCH } from '@/app/lib/constants';
+import { normalisePhoneNumber } from '@/app/lib/utils/phone';
 
-// Validation schema
-const studentFormSchema = z.object({
+// Validation schema, shared with the self-registration form
+export const studentFormSchema = z.object({
   id: z.string()
     .min(1, { message: 'Student ID is required' })
     .regex(/^DR-\d{4,5}-\d{2}$/, {
@@ -40,11 +41,24 @@ const studentFormSchema = z.object({
   email: z.string()
     .min(1, { message: 'Email is required' })
     .email({ message: 'Invalid email address' }),
-  phoneNumber: z.string().optional(),
+  phoneNumber: z.string().optional()
+    .refine((value) => !value?.trim() || normalisePhoneNumber(value), {
+      message: 'Enter a valid phone number, e.g. +254712345678'
+    }),
   category: z.enum(LICENCE_CLASSES, { errorMap: () => ({ message: 'Select a licence class' }) }),
+  branch: z.string().optional(),
 });
 
-export default function CreateStudentForm({ onSuccess }) {
+/**
+ * @param {Object} props
+ * @param {Function} [props.onSuccess] - Called with the new student
+ * @param {Object} [props.branchInfo] - From GET /api/instructor/profile/branch;
+ *   the student joins the branch being worked in, or a chosen one when
+ *   working across all of them
+ */
+export default function CreateStudentForm({ onSuccess, branchInfo }) {
+  // Only offered when no single branch is being worked in
+  const branchOptions = branchInfo && !branchInfo.activeBranch ? branchInfo.branches : [];
   const [isSubmitting, setIsSubmitting] = useState(false);
 
   // Initialize form
@@ -56,6 +70,7 @@ export default function CreateStudentForm({ onSuccess }) {
       email: '',
       phoneNumber: '',
       category: DEFAULT_LICENCE_CLASS,
+      branch: branchInfo?.activeBranch || DEFAULT_BRANCH,
     },
   });
 
@@ -150,7 +165,7 @@ export default function CreateStudentForm({ onSuccess }) {
                 />
               </FormControl>
               <FormDescription>
-                Optional contact number
+                Optional — used for SMS reminders
               </FormDescription>
               <FormMessage />
             </FormItem>
@@ -183,6 +198,32 @@ export default function CreateStudentForm({ onSuccess }) {
           )}
         />
 
+        {branchOptions.length > 1 && (
+          <FormField
+            control={form.control}
+            name="branch"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>Branch*</FormLabel>
+                <Select onValueChange={field.onChange} value={field.value} disabled={isSubmitting}>
+                  <FormControl>
+                    <SelectTrigger className="w-full">
+                      <SelectValue placeholder="Select branch" />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    {branchOptions.map((b) => (
+                      <SelectItem key={b.code} value={b.code}>{b.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <FormDescription>Where the student takes their practicals.</FormDescription>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        )}
+
         <Button type="submit" className="w-full" disabled={isSubmitting}>
           {isSubmitting ? (
             <>
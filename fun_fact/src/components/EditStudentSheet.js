@@ -33,6 +33,7 @@ import {
 } from '@/components/ui/sheet';
 import { Loader2, Pencil } from 'lucide-react';
 import { LICENCE_CLASSES, LICENCE_CLASS_NAMES, DEFAULT_LICENCE_CLASS } from '@/app/lib/constants';
+import { normalisePhoneNumber } from '@/app/lib/utils/phone';
 
 const editStudentSchema = z.object({
   id: z.string()
@@ -42,7 +43,10 @@ const editStudentSchema = z.object({
     }),
   name: z.string().min(1, { message: 'Name is required' }).max(100),
   email: z.string().email({ message: 'Invalid email address' }),
-  phoneNumber: z.string().optional(),
+  phoneNumber: z.string().optional()
+    .refine((value) => !value?.trim() || normalisePhoneNumber(value), {
+      message: 'Enter a valid phone number, e.g. +254712345678'
+    }),
   category: z.enum(LICENCE_CLASSES, { errorMap: () => ({ message: 'Select a licence class' }) }),
 });
 
@@ -0,0 +1,148 @@
+// file: src/components/ExtraSessionDialog.js
+// Admin dialog adding an extra class session for the week on screen only,
+// e.g. a Saturday catch-up. Any active time slot can be used on any day.
+
+'use client';
+
+import { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { DAYS, DAY_NAMES, LICENCE_CLASSES, LICENCE_CLASS_NAMES } from '@/app/lib/constants';
+import { useTimeSlots } from '@/app/hooks/useTimeSlots';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Loader2 } from 'lucide-react';
+
+export default function ExtraSessionDialog({ weekOf, category, onClose, onAdded }) {
+  const { timeSlots } = useTimeSlots();
+  const [day, setDay] = useState(DAYS.SATURDAY);
+  const [timeSlot, setTimeSlot] = useState('');
+  const [licenceClass, setLicenceClass] = useState(category || 'B2');
+  const [capacity, setCapacity] = useState('4');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const activeSlots = timeSlots.filter((s) => s.isActive);
+
+  const handleSubmit = async () => {
+    if (!timeSlot) {
+      toast.error('Pick a time slot');
+      return;
+    }
+    setSaving(true);
+    try {
+      const { data } = await axios.post('/api/admin/session-instances', {
+        weekOf,
+        day,
+        timeSlot,
+        category: licenceClass,
+        capacity: Number(capacity),
+        ...(note.trim() && { note: note.trim() })
+      });
+      toast.success(data.message);
+      if (typeof onAdded === 'function') await onAdded();
+      onClose();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to add extra session');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open onOpenChange={(o) => { if (!o && !saving) onClose(); }}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Add an extra session</DialogTitle>
+          <DialogDescription>
+            Runs in the week of {weekOf ? new Date(weekOf).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }) : 'this week'} only.
+            The standing timetable doesn&apos;t change.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div className="space-y-1.5">
+            <Label>Day</Label>
+            <Select value={day} onValueChange={setDay}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.values(DAYS).map((d) => (
+                  <SelectItem key={d} value={d}>{DAY_NAMES[d]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1.5">
+            <Label>Time</Label>
+            <Select value={timeSlot} onValueChange={setTimeSlot}>
+              <SelectTrigger>
+                <SelectValue placeholder="Time slot" />
+              </SelectTrigger>
+              <SelectContent>
+                {activeSlots.map((s) => (
+                  <SelectItem key={s.code} value={s.code}>{s.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1.5">
+            <Label>Class</Label>
+            <Select value={licenceClass} onValueChange={setLicenceClass}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {LICENCE_CLASSES.map((c) => (
+                  <SelectItem key={c} value={c}>{LICENCE_CLASS_NAMES[c]}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-1.5">
+            <Label htmlFor="extra-capacity">Capacity</Label>
+            <Input
+              id="extra-capacity"
+              type="number"
+              min={1}
+              value={capacity}
+              onChange={(e) => setCapacity(e.target.value)}
+            />
+          </div>
+          <Input
+            placeholder="Note (optional), e.g. Exam week catch-up"
+            value={note}
+            maxLength={191}
+            onChange={(e) => setNote(e.target.value)}
+            className="col-span-2"
+          />
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={saving} className="bg-blue-900 hover:bg-blue-800">
+            {saving ? <><Loader2 className="w-4 h-4 mr-1.5 animate-spin" /> Adding…</> : 'Add session'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,344 @@
+// file: src/components/FleetManager.js
+// Admin list of training vehicles and their maintenance windows. Vehicles are
+// picked per session in the roster sheet, and the vehicles on the road cap
+// each class's session capacity at their branch. Changes that leave sessions
+// enrolled above that cap list them in a warning.
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { DAY_NAMES, LICENCE_CLASSES, LICENCE_CLASS_NAMES } from '@/app/lib/constants';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Car, Loader2, Wrench, Trash2, AlertTriangle, X } from 'lucide-react';
+
+const formatShortDate = (key) =>
+  new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const formatRange = (m) =>
+  m.startDate === m.endDate ? formatShortDate(m.startDate) : `${formatShortDate(m.startDate)} – ${formatShortDate(m.endDate)}`;
+
+export default function FleetManager() {
+  const [vehicles, setVehicles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [registration, setRegistration] = useState('');
+  const [name, setName] = useState('');
+  const [category, setCategory] = useState('B2');
+  const [branchInfo, setBranchInfo] = useState(null);
+  const [branch, setBranch] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [openId, setOpenId] = useState(null);
+  // Sessions left enrolled above the fleet cap by the last change
+  const [warnings, setWarnings] = useState([]);
+
+  useEffect(() => {
+    axios.get('/api/admin/vehicles')
+      .then(({ data }) => setVehicles(data.vehicles || []))
+      .catch(() => toast.error('Failed to load vehicles'))
+      .finally(() => setLoading(false));
+    axios.get('/api/instructor/profile/branch')
+      .then(({ data }) => setBranchInfo(data))
+      .catch(() => {});
+  }, []);
+
+  // Working across every branch, a new vehicle's branch is picked in the form
+  const branches = branchInfo?.branches || [];
+  const pickBranch = !!branchInfo && !branchInfo.activeBranch;
+  const newBranch = branchInfo?.activeBranch || branch || branches[0]?.code;
+  const branchName = (code) => branches.find((b) => b.code === code)?.name || code;
+
+  const addVehicle = async () => {
+    if (!registration.trim() || !name.trim()) {
+      toast.error('Registration and name are required');
+      return;
+    }
+    setAdding(true);
+    try {
+      const { data } = await axios.post('/api/admin/vehicles', { registration, name, category, branch: newBranch });
+      setVehicles((prev) => [...prev, data.vehicle]);
+      setRegistration('');
+      setName('');
+      setWarnings(data.warnings || []);
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to add vehicle');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const setActive = async (vehicle, isActive) => {
+    setUpdatingId(vehicle.id);
+    try {
+      const { data } = await axios.patch(`/api/admin/vehicles/${vehicle.id}`, { isActive });
+      setVehicles((prev) => prev.map((v) => (v.id === vehicle.id ? data.vehicle : v)));
+      setWarnings(data.warnings || []);
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update vehicle');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const onMaintenanceChange = (vehicleId, maintenance, newWarnings) => {
+    setVehicles((prev) => prev.map((v) => (v.id === vehicleId ? { ...v, maintenance } : v)));
+    if (newWarnings) setWarnings(newWarnings);
+  };
+
+  return (
+    <Card className="border-gray-200 shadow-sm">
+      <CardContent className="p-5 space-y-4">
+        <div className="flex items-start gap-3">
+          <div className="flex h-9 w-9 shrink-0 items-center justify-center rounded-lg bg-blue-50 text-blue-700">
+            <Car className="h-5 w-5" />
+          </div>
+          <div className="min-w-0 flex-1">
+            <div className="text-sm font-semibold text-gray-900">Fleet</div>
+            <p className="text-xs text-gray-500 mt-0.5">
+              Training vehicles by licence class. Once a class has vehicles, its sessions can&apos;t take more
+              students than it has cars on the road that day.
+            </p>
+          </div>
+        </div>
+
+        {loading ? (
+          <Skeleton className="h-24 w-full" />
+        ) : vehicles.length > 0 ? (
+          <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+            {vehicles.map((v) => (
+              <div key={v.id} className="p-3 space-y-3">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className={`text-sm font-medium ${v.isActive ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                      {v.registration}
+                    </div>
+                    <div className="text-[11px] text-gray-500 truncate">
+                      {v.name}
+                      {v.maintenance.length > 0 && (
+                        <span className="text-amber-700"> · off the road {v.maintenance.map(formatRange).join(', ')}</span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    {pickBranch && branches.length > 1 && (
+                      <Badge variant="outline" className="text-gray-600 border-gray-200 bg-gray-50">{branchName(v.branch)}</Badge>
+                    )}
+                    <Badge variant="outline" className="text-blue-700 border-blue-200 bg-blue-50">{v.category}</Badge>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setOpenId(openId === v.id ? null : v.id)}
+                      className={openId === v.id ? 'text-blue-700' : 'text-gray-400'}
+                      aria-label="Maintenance"
+                    >
+                      <Wrench className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setActive(v, !v.isActive)}
+                      disabled={updatingId === v.id}
+                      className={v.isActive ? 'text-gray-500 hover:text-red-600' : 'text-blue-700'}
+                    >
+                      {updatingId === v.id ? <Loader2 className="w-4 h-4 animate-spin" /> : v.isActive ? 'Retire' : 'Reinstate'}
+                    </Button>
+                  </div>
+                </div>
+                {openId === v.id && (
+                  <MaintenancePanel
+                    vehicle={v}
+                    onChange={(maintenance, newWarnings) => onMaintenanceChange(v.id, maintenance, newWarnings)}
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-xs text-gray-500">No vehicles yet.</p>
+        )}
+
+        {warnings.length > 0 && (
+          <div className="text-xs bg-amber-50 border border-amber-200 rounded-md p-3 text-amber-800 space-y-1.5">
+            <div className="flex items-start justify-between gap-2">
+              <span className="flex items-center gap-1.5 font-medium">
+                <AlertTriangle className="w-4 h-4 shrink-0" />
+                Enrolment now exceeds capacity in {warnings.length} session{warnings.length !== 1 ? 's' : ''}
+              </span>
+              <button type="button" onClick={() => setWarnings([])} aria-label="Dismiss" className="text-amber-600">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <ul className="space-y-0.5 pl-6 list-disc">
+              {warnings.map((w) => (
+                <li key={`${w.sessionId}_${w.date}`}>
+                  {DAY_NAMES[w.day]} {formatShortDate(w.date)}, {w.timeSlotName} — {w.enrolled} booked, {w.capacity} car{w.capacity !== 1 ? 's' : ''}
+                </li>
+              ))}
+            </ul>
+            <p>Bookings are kept. Move or cancel students from the roster, or add a vehicle.</p>
+          </div>
+        )}
+
+        <div className={`grid grid-cols-1 gap-2 ${pickBranch && branches.length > 1 ? 'sm:grid-cols-[1fr_1fr_10rem_10rem_auto]' : 'sm:grid-cols-[1fr_1fr_10rem_auto]'}`}>
+          <Input
+            placeholder="Registration, e.g. KDA 123A"
+            value={registration}
+            maxLength={20}
+            onChange={(e) => setRegistration(e.target.value)}
+          />
+          <Input
+            placeholder="Name, e.g. Toyota Vitz"
+            value={name}
+            maxLength={191}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <Select value={category} onValueChange={setCategory}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {LICENCE_CLASSES.map((c) => (
+                <SelectItem key={c} value={c}>{LICENCE_CLASS_NAMES[c]}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {pickBranch && branches.length > 1 && (
+            <Select value={newBranch} onValueChange={setBranch}>
+              <SelectTrigger aria-label="Branch">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {branches.map((b) => (
+                  <SelectItem key={b.code} value={b.code}>{b.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <Button onClick={addVehicle} disabled={adding} className="bg-blue-900 hover:bg-blue-800">
+            {adding ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Add'}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// Maintenance windows of one vehicle: list with remove, plus an add form
+function MaintenancePanel({ vehicle, onChange }) {
+  const todayKey = new Date().toISOString().slice(0, 10);
+  const [startDate, setStartDate] = useState(todayKey);
+  const [endDate, setEndDate] = useState(todayKey);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [removingId, setRemovingId] = useState(null);
+
+  const schedule = async () => {
+    if (!reason.trim()) {
+      toast.error('Add a reason, e.g. Service');
+      return;
+    }
+    setSaving(true);
+    try {
+      const { data } = await axios.post(`/api/admin/vehicles/${vehicle.id}/maintenance`, {
+        startDate,
+        endDate,
+        reason: reason.trim()
+      });
+      const maintenance = [...vehicle.maintenance, data.maintenance]
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+      onChange(maintenance, data.warnings || []);
+      setReason('');
+      if (data.warnings?.length > 0) toast.error(data.message);
+      else toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to schedule maintenance');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (id) => {
+    setRemovingId(id);
+    try {
+      const { data } = await axios.delete(`/api/admin/vehicles/${vehicle.id}/maintenance/${id}`);
+      onChange(vehicle.maintenance.filter((m) => m.id !== id));
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to remove maintenance');
+    } finally {
+      setRemovingId(null);
+    }
+  };
+
+  return (
+    <div className="rounded-md bg-gray-50 border border-gray-100 p-3 space-y-3">
+      {vehicle.maintenance.length > 0 ? (
+        <div className="space-y-1">
+          {vehicle.maintenance.map((m) => (
+            <div key={m.id} className="flex items-center justify-between gap-2 text-xs">
+              <span className="text-gray-700">
+                <span className="font-medium">{formatRange(m)}</span> · {m.reason}
+              </span>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => remove(m.id)}
+                disabled={removingId === m.id}
+                className="h-7 w-7 text-gray-400 hover:text-red-600"
+                aria-label="Remove maintenance"
+              >
+                {removingId === m.id ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Trash2 className="w-3.5 h-3.5" />}
+              </Button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">No maintenance scheduled.</p>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-[9.5rem_9.5rem_1fr_auto] gap-2">
+        <Input
+          type="date"
+          value={startDate}
+          min={todayKey}
+          onChange={(e) => {
+            setStartDate(e.target.value);
+            if (e.target.value > endDate) setEndDate(e.target.value);
+          }}
+          aria-label="First day off the road"
+        />
+        <Input
+          type="date"
+          value={endDate}
+          min={startDate}
+          onChange={(e) => setEndDate(e.target.value)}
+          aria-label="Last day off the road"
+        />
+        <Input
+          placeholder="Reason, e.g. Service"
+          value={reason}
+          maxLength={191}
+          onChange={(e) => setReason(e.target.value)}
+          className="col-span-2 sm:col-span-1"
+        />
+        <Button onClick={schedule} disabled={saving} variant="outline" className="col-span-2 sm:col-span-1">
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Schedule'}
+        </Button>
+      </div>
+    </div>
+  );
+}
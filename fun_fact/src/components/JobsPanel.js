@@ -0,0 +1,113 @@
+// file: src/components/JobsPanel.js
+// Admin list of the background jobs: when each runs next, how its last run
+// went, and a button to run it now.
+
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Loader2, Play, Timer } from 'lucide-react';
+
+const STATUS_STYLES = {
+  SUCCEEDED: 'bg-green-50 text-green-700 border-green-200',
+  FAILED: 'bg-red-50 text-red-700 border-red-200',
+  RUNNING: 'bg-blue-50 text-blue-700 border-blue-200',
+};
+
+const formatTime = (value) =>
+  new Date(value).toLocaleString('en-US', { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+export default function JobsPanel() {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [runningName, setRunningName] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const { data } = await axios.get('/api/admin/jobs');
+      setJobs(data.jobs || []);
+    } catch {
+      toast.error('Failed to load jobs');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const runNow = async (name) => {
+    setRunningName(name);
+    try {
+      const { data } = await axios.post(`/api/admin/jobs/${name}/run`);
+      if (data.run.status === 'FAILED') {
+        toast.error(`${name} failed`);
+      } else {
+        toast.success(data.run.result?.message || `${name} finished`);
+      }
+      await fetchJobs();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to run job');
+    } finally {
+      setRunningName(null);
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-gray-200 p-5">
+      <h3 className="text-base font-medium text-gray-900 flex items-center mb-1">
+        <Timer className="mr-2 w-5 h-5 text-blue-600" />
+        Scheduled Jobs
+      </h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Jobs run on their own schedule. A job never runs twice at the same time, so running one now while it is
+        already running is refused.
+      </p>
+
+      {loading ? (
+        <Skeleton className="h-32 w-full" />
+      ) : (
+        <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+          {jobs.map((job) => {
+            const status = job.running ? 'RUNNING' : job.lastRun?.status;
+            return (
+              <div key={job.name} className="flex items-center justify-between gap-3 p-3">
+                <div className="min-w-0 space-y-0.5">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm font-medium text-gray-900">{job.name}</span>
+                    {status && (
+                      <Badge variant="outline" className={`text-[10px] ${STATUS_STYLES[status]}`}>
+                        {status.toLowerCase()}
+                      </Badge>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500">{job.description}</div>
+                  <div className="text-[11px] text-gray-400">
+                    {job.lastRun ? `Last run ${formatTime(job.lastRun.startedAt)} (${job.lastRun.trigger})` : 'Never run'}
+                    {job.nextRunAt && ` · next ${formatTime(job.nextRunAt)}`}
+                  </div>
+                </div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={runningName !== null || job.running}
+                  onClick={() => runNow(job.name)}
+                  className="shrink-0 border-blue-200 text-blue-700 hover:bg-blue-50"
+                >
+                  {runningName === job.name
+                    ? <Loader2 className="w-4 h-4 animate-spin" />
+                    : <><Play className="w-3.5 h-3.5 mr-1" /> Run now</>}
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+// file: src/components/LoginSessions.js
+// The browsers the signed-in staff member is logged in on. Any other browser
+// can be logged out from here, or every one at once (including this one).
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Loader2, LogOut, Monitor, Smartphone } from 'lucide-react';
+
+const formatTime = (value) =>
+  new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// "Chrome on Android" from a user agent string — enough to recognise a device
+function describeBrowser(userAgent) {
+  if (!userAgent) return 'Unknown browser';
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+      : /Chrome\//.test(userAgent) ? 'Chrome'
+        : /Safari\//.test(userAgent) ? 'Safari'
+          : 'Browser';
+  const os = /Android/.test(userAgent) ? 'Android'
+    : /iPhone|iPad/.test(userAgent) ? 'iOS'
+      : /Windows/.test(userAgent) ? 'Windows'
+        : /Mac OS X/.test(userAgent) ? 'macOS'
+          : /Linux/.test(userAgent) ? 'Linux'
+            : null;
+  return os ? `${browser} on ${os}` : browser;
+}
+
+const isMobileAgent = (userAgent) => /Android|iPhone|iPad|Mobile/.test(userAgent || '');
+
+export default function LoginSessions() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+  const [loggingOutAll, setLoggingOutAll] = useState(false);
+
+  const fetchSessions = async () => {
+    try {
+      const { data } = await axios.get('/api/instructor/profile/logins');
+      setSessions(data.sessions || []);
+    } catch {
+      toast.error('Failed to load your sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const revoke = async (id) => {
+    setRevokingId(id);
+    try {
+      const { data } = await axios.delete(`/api/instructor/profile/logins/${id}`);
+      setSessions((prev) => prev.filter((s) => s.id !== id));
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to log session out');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const logOutEverywhere = async () => {
+    setLoggingOutAll(true);
+    try {
+      await axios.delete('/api/auth/staff', { params: { everywhere: true } });
+      toast.success('Logged out everywhere');
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    window.location.href = '/?tab=staff';
+  };
+
+  if (loading) return <Skeleton className="h-32 w-full" />;
+
+  return (
+    <div className="space-y-4">
+      <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+        {sessions.map((session) => {
+          const DeviceIcon = isMobileAgent(session.userAgent) ? Smartphone : Monitor;
+          return (
+            <div key={session.id} className="flex items-center justify-between gap-3 p-3">
+              <div className="flex items-start gap-3 min-w-0">
+                <DeviceIcon className="mt-0.5 h-4 w-4 shrink-0 text-gray-400" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 flex items-center gap-2">
+                    {describeBrowser(session.userAgent)}
+                    {session.current && <Badge variant="secondary">This device</Badge>}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {session.ipAddress || 'Unknown address'} · active {formatTime(session.lastSeenAt)} · signed in {formatTime(session.createdAt)}
+                  </p>
+                </div>
+              </div>
+              {!session.current && (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={revokingId === session.id}
+                  onClick={() => revoke(session.id)}
+                >
+                  {revokingId === session.id ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Log out'}
+                </Button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <Button variant="destructive" className="w-full" disabled={loggingOutAll} onClick={logOutEverywhere}>
+        {loggingOutAll ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <LogOut className="mr-2 h-4 w-4" />}
+        Log out everywhere
+      </Button>
+      <p className="text-xs text-gray-500">
+        Signs out every browser above, including this one. A password reset or role change does the same.
+      </p>
+    </div>
+  );
+}
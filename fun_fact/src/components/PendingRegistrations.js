@@ -0,0 +1,162 @@
+// file: src/components/PendingRegistrations.js
+// Admin queue of student account requests made from the login page. Approving
+// creates the student; rejecting can give a reason. Either way the applicant
+// is emailed. Hidden while the queue is empty.
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Check, Loader2, Mail, Phone, UserPlus, X } from 'lucide-react';
+import { LICENCE_CLASS_NAMES } from '@/app/lib/constants';
+
+const formatRequested = (value) =>
+  new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+export default function PendingRegistrations({ onApproved }) {
+  const [registrations, setRegistrations] = useState([]);
+  const [reviewingId, setReviewingId] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [reason, setReason] = useState('');
+
+  const fetchRegistrations = async () => {
+    try {
+      const { data } = await axios.get('/api/instructor/students/registrations');
+      setRegistrations(data.registrations || []);
+    } catch {
+      toast.error('Failed to load account requests');
+    }
+  };
+
+  useEffect(() => {
+    fetchRegistrations();
+  }, []);
+
+  const review = async (registration, status, rejectionReason) => {
+    setReviewingId(registration.id);
+    try {
+      const { data } = await axios.patch(`/api/instructor/students/registrations/${registration.id}`, {
+        status,
+        ...(rejectionReason && { reason: rejectionReason }),
+      });
+      setRegistrations((prev) => prev.filter((r) => r.id !== registration.id));
+      toast.success(data.message);
+      if (status === 'APPROVED' && typeof onApproved === 'function') onApproved(data.student);
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to review the request');
+      return false;
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const confirmReject = async (e) => {
+    e.preventDefault();
+    const done = await review(rejecting, 'REJECTED', reason.trim());
+    if (done) {
+      setRejecting(null);
+      setReason('');
+    }
+  };
+
+  if (registrations.length === 0) return null;
+
+  return (
+    <Card className="border-amber-200">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <UserPlus className="mr-2 w-5 h-5 text-amber-600" />
+          Account Requests
+          <Badge variant="secondary" className="ml-2">{registrations.length}</Badge>
+        </CardTitle>
+        <CardDescription>
+          Students who asked for an account from the login page. They can log in once approved.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+          {registrations.map((registration) => (
+            <div key={registration.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-3">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900">
+                  {registration.name}
+                  <span className="ml-2 font-mono text-xs text-gray-500">{registration.studentId}</span>
+                </p>
+                <p className="text-xs text-gray-500 flex flex-wrap items-center gap-x-3 gap-y-1">
+                  <span className="flex items-center"><Mail className="mr-1 h-3 w-3" />{registration.email}</span>
+                  {registration.phoneNumber && (
+                    <span className="flex items-center"><Phone className="mr-1 h-3 w-3" />{registration.phoneNumber}</span>
+                  )}
+                  <span>{LICENCE_CLASS_NAMES[registration.category] || registration.category}</span>
+                  <span>Requested {formatRequested(registration.createdAt)}</span>
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  className="border-red-200 text-red-700 hover:bg-red-50"
+                  disabled={reviewingId === registration.id}
+                  onClick={() => setRejecting(registration)}
+                >
+                  <X className="mr-1 h-4 w-4" /> Reject
+                </Button>
+                <Button
+                  size="sm"
+                  className="bg-blue-900 hover:bg-blue-800 text-white"
+                  disabled={reviewingId === registration.id}
+                  onClick={() => review(registration, 'APPROVED')}
+                >
+                  {reviewingId === registration.id ? <Loader2 className="mr-1 h-4 w-4 animate-spin" /> : <Check className="mr-1 h-4 w-4" />}
+                  Approve
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </CardContent>
+
+      <Dialog open={!!rejecting} onOpenChange={(open) => !open && setRejecting(null)}>
+        <DialogContent>
+          <form onSubmit={confirmReject}>
+            <DialogHeader>
+              <DialogTitle>Reject {rejecting?.name}&apos;s request?</DialogTitle>
+              <DialogDescription>
+                They will be emailed that their account was not approved, with the reason if you give one.
+              </DialogDescription>
+            </DialogHeader>
+            <div className="py-4">
+              <Input
+                placeholder="Reason (optional)"
+                maxLength={255}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setRejecting(null)}>Cancel</Button>
+              <Button type="submit" variant="destructive" disabled={reviewingId === rejecting?.id}>
+                {reviewingId === rejecting?.id && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Reject
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
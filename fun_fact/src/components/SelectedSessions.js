@@ -1,23 +1,87 @@
 // file: src/components/SelectedSessions.js
 // description: This component displays the user's selected sessions, allowing them to cancel bookings. It uses a custom hook to manage bookings and session data, and includes loading and error states for better user experience.
-//         timeSlotName: TIME_SLOT_NAMES[session.timeSlot]
+//         timeSlotName: session.timeSlotName
 
 
 'use client';
 
 import { useState } from 'react';
-import { DAY_NAMES, TIME_SLOT_NAMES } from '@/app/lib/constants';
+import { DAY_NAMES } from '@/app/lib/constants';
 import { useSessionData } from '@/app/hooks/useSessionData';
-import { AlertTriangle, Calendar, Clock, CheckCircle2, X } from 'lucide-react';
+import { AlertTriangle, Calendar, Clock, CheckCircle2, X, ArrowRightLeft } from 'lucide-react';
 import { Button } from '@/components/ui/button';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+
+// "Tue, Oct 7, 8:00 PM" in the student's local time
+const formatDeadline = (deadline) =>
+  new Date(deadline).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
 
 export default function SelectedSessions() {
-  const { bookings, cancelBooking, loading, bookingInProgress, maxDaysPerWeek } = useSessionData();
+  const {
+    bookings,
+    sessions,
+    cancelBooking,
+    rescheduleBooking,
+    loading,
+    bookingInProgress,
+    maxDaysPerWeek,
+    maxSessionsPerDay,
+    blockLateCancellations
+  } = useSessionData();
   const [cancelingId, setCancelingId] = useState(null);
+  const [movingBooking, setMovingBooking] = useState(null);
+  const [moveTargetId, setMoveTargetId] = useState(null);
+  // Booking awaiting confirmation of a cancellation past its deadline
+  const [lateCancelBooking, setLateCancelBooking] = useState(null);
+
+  // Sessions the booking can move to: open, not already held, and within the
+  // per-day limit once the moved booking no longer counts
+  const moveTargets = movingBooking
+    ? sessions.filter(s => {
+        if (s.id === movingBooking.sessionId || s.isBooked || !s.isAvailable) return false;
+        const sameDay = bookings.filter(b => b.id !== movingBooking.id && b.day === s.day).length;
+        return sameDay < maxSessionsPerDay;
+      })
+    : [];
+
+  const handleMove = async (session) => {
+    setMoveTargetId(session.id);
+    try {
+      if (await rescheduleBooking(movingBooking.id, session)) setMovingBooking(null);
+    } finally {
+      setMoveTargetId(null);
+    }
+  };
+
+  const isPastDeadline = (booking) =>
+    !!booking.cancelDeadline && Date.now() > new Date(booking.cancelDeadline).getTime();
 
   // Handle booking cancellation with optimistic UI update
   const handleCancel = async (bookingId) => {
     if (bookingInProgress) return;
+    setLateCancelBooking(null);
     
     setCancelingId(bookingId);
     try {
@@ -54,6 +118,8 @@ export default function SelectedSessions() {
     <div className="space-y-3">
       {bookings.map((booking) => {
         const isOptimistic = booking.isOptimistic;
+        const pastDeadline = isPastDeadline(booking);
+        const locked = pastDeadline && blockLateCancellations;
         
         return (
           <div
@@ -80,30 +146,124 @@ export default function SelectedSessions() {
                   {isOptimistic && <span className="ml-2 text-xs">(Processing...)</span>}
                 </h3>
                 <p className="text-sm text-gray-600 truncate">
-                  {TIME_SLOT_NAMES[booking.timeSlot]}
+                  {booking.timeSlotName}
                 </p>
+                {booking.cancelDeadline && (
+                  <p className={`text-xs mt-0.5 ${pastDeadline ? 'text-amber-700' : 'text-gray-500'}`}>
+                    {!pastDeadline
+                      ? `Cancel by ${formatDeadline(booking.cancelDeadline)}`
+                      : locked
+                        ? 'Cancellation closed — contact your instructor'
+                        : 'Past the cancel deadline — cancelling counts as late'}
+                  </p>
+                )}
               </div>
             </div>
             
-            <Button
-              variant="ghost"
-              size="sm"
-              onClick={() => handleCancel(booking.id)}
-              disabled={cancelingId === booking.id || bookingInProgress}
-              className="h-11 min-w-[88px] shrink-0 text-red-600 hover:bg-red-50 hover:text-red-700"
+            <div className="flex shrink-0">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => setMovingBooking(booking)}
+                disabled={isOptimistic || locked || cancelingId === booking.id || bookingInProgress}
+                className="h-11 min-w-[72px] text-blue-700 hover:bg-blue-50 hover:text-blue-800"
+              >
+                <ArrowRightLeft className="w-4 h-4 mr-1" />
+                Move
+              </Button>
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => (pastDeadline ? setLateCancelBooking(booking) : handleCancel(booking.id))}
+                disabled={locked || cancelingId === booking.id || bookingInProgress}
+                className="h-11 min-w-[88px] text-red-600 hover:bg-red-50 hover:text-red-700"
+              >
+                {cancelingId === booking.id ? (
+                  <span className="text-xs">Cancelling...</span>
+                ) : (
+                  <>
+                    <X className="w-4 h-4 mr-1" />
+                    Cancel
+                  </>
+                )}
+              </Button>
+            </div>
+          </div>
+        );
+      })}
+
+      {/* Past the deadline a cancellation stays on the student's record — confirm first */}
+      <AlertDialog open={!!lateCancelBooking} onOpenChange={(open) => { if (!open) setLateCancelBooking(null); }}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle className="flex items-center">
+              <AlertTriangle className="mr-2 h-5 w-5 text-amber-500" />
+              Cancel late?
+            </AlertDialogTitle>
+            <AlertDialogDescription>
+              {lateCancelBooking && (
+                <>
+                  The deadline to cancel your {DAY_NAMES[lateCancelBooking.day]} {lateCancelBooking.timeSlotName} session
+                  was {formatDeadline(lateCancelBooking.cancelDeadline)}. Cancelling now is recorded as a late cancellation.
+                </>
+              )}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Keep session</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => handleCancel(lateCancelBooking.id)}
+              className="bg-red-600 hover:bg-red-700"
             >
-              {cancelingId === booking.id ? (
-                <span className="text-xs">Cancelling...</span>
-              ) : (
+              Cancel late
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+
+      {/* Move picker — the swap is atomic, so the current slot is kept if the move fails */}
+      <Dialog open={!!movingBooking} onOpenChange={(open) => { if (!open && !moveTargetId) setMovingBooking(null); }}>
+        <DialogContent className="max-h-[85vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Move session</DialogTitle>
+            <DialogDescription>
+              {movingBooking && (
                 <>
-                  <X className="w-4 h-4 mr-1" />
-                  Cancel
+                  Pick a new time for your {DAY_NAMES[movingBooking.day]} {movingBooking.timeSlotName} session.
+                  You keep your current slot unless the move goes through.
+                  {isPastDeadline(movingBooking) && ' It is past the cancel deadline, so leaving it counts as a late cancellation.'}
                 </>
               )}
-            </Button>
-          </div>
-        );
-      })}
+            </DialogDescription>
+          </DialogHeader>
+
+          {moveTargets.length > 0 ? (
+            <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+              {moveTargets.map((s) => (
+                <button
+                  key={s.id}
+                  type="button"
+                  onClick={() => handleMove(s)}
+                  disabled={!!moveTargetId}
+                  className="w-full flex items-center justify-between gap-3 p-3 text-left hover:bg-blue-50 disabled:opacity-60 transition-colors"
+                >
+                  <span className="min-w-0">
+                    <span className="block font-medium text-gray-900">{DAY_NAMES[s.day]}</span>
+                    <span className="block text-sm text-gray-600">{s.timeSlotName}</span>
+                  </span>
+                  <span className="text-xs text-green-700 shrink-0">
+                    {moveTargetId === s.id ? 'Moving...' : `${s.availableSpots} spot${s.availableSpots !== 1 ? 's' : ''} left`}
+                  </span>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 text-center py-6">
+              No other sessions with open spots fit your schedule this week.
+            </p>
+          )}
+        </DialogContent>
+      </Dialog>
     </div>
   );
 }
@@ -0,0 +1,144 @@
+// file: src/components/SessionAssignmentEditor.js
+// Admin form in the roster sheet for a session's instructor and vehicle.
+// "Every week" edits the standing assignment; "This week only" saves an
+// override for the week on screen, which replaces the standing one that week.
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+
+// Radix Select can't use '' as a value
+const NONE = 'NONE';
+
+export default function SessionAssignmentEditor({ session, weekOf, onSaved }) {
+  const current = session.assignment;
+  const [scope, setScope] = useState(current?.weekOf ? 'week' : 'standing');
+  const [instructorId, setInstructorId] = useState(current?.instructor?.id || NONE);
+  const [vehicleId, setVehicleId] = useState(current?.vehicle?.id || NONE);
+  const [staff, setStaff] = useState([]);
+  const [vehicles, setVehicles] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    axios.get('/api/instructor/staff')
+      .then(({ data }) => setStaff(data.staff || []))
+      .catch(() => toast.error('Failed to load staff'));
+    axios.get('/api/admin/vehicles')
+      .then(({ data }) => setVehicles(data.vehicles || []))
+      .catch(() => toast.error('Failed to load vehicles'));
+  }, []);
+
+  // Re-sync when the roster switches session or a refresh changes the assignment
+  useEffect(() => {
+    setScope(current?.weekOf ? 'week' : 'standing');
+    setInstructorId(current?.instructor?.id || NONE);
+    setVehicleId(current?.vehicle?.id || NONE);
+  }, [session.id, current?.id, current?.instructor?.id, current?.vehicle?.id, current?.weekOf]);
+
+  const classVehicles = vehicles.filter((v) =>
+    v.category === session.category && (!session.branch || v.branch === session.branch) && (v.isActive || v.id === vehicleId));
+  const activeStaff = staff.filter((u) => !u.disabledAt || u.id === instructorId);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const { data } = await axios.put(`/api/instructor/sessions/${session.id}/assignment`, {
+        weekOf: scope === 'week' ? weekOf : null,
+        instructorId: instructorId === NONE ? null : instructorId,
+        vehicleId: vehicleId === NONE ? null : vehicleId
+      });
+      toast.success(data.message);
+      onSaved?.();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save assignment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Dropping this week's override falls back to the standing assignment
+  const revert = async () => {
+    setSaving(true);
+    try {
+      const { data } = await axios.delete(`/api/instructor/sessions/${session.id}/assignment`, {
+        params: { weekOf: current.weekOf }
+      });
+      toast.success(data.message);
+      onSaved?.();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to remove assignment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3 rounded-lg border border-gray-200 p-3">
+      <div className="text-xs font-semibold uppercase tracking-wide text-gray-500">Assignment</div>
+
+      <RadioGroup value={scope} onValueChange={setScope} className="flex gap-4">
+        <div className="flex items-center gap-2">
+          <RadioGroupItem value="standing" id="assignment-standing" />
+          <Label htmlFor="assignment-standing" className="text-sm font-normal">Every week</Label>
+        </div>
+        <div className="flex items-center gap-2">
+          <RadioGroupItem value="week" id="assignment-week" />
+          <Label htmlFor="assignment-week" className="text-sm font-normal">This week only</Label>
+        </div>
+      </RadioGroup>
+
+      <div className="grid grid-cols-1 gap-2">
+        <Select value={instructorId} onValueChange={setInstructorId}>
+          <SelectTrigger>
+            <SelectValue placeholder="Instructor" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NONE}>No instructor</SelectItem>
+            {activeStaff.map((u) => (
+              <SelectItem key={u.id} value={u.id}>{u.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={vehicleId} onValueChange={setVehicleId}>
+          <SelectTrigger>
+            <SelectValue placeholder="Vehicle" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={NONE}>No vehicle</SelectItem>
+            {classVehicles.map((v) => (
+              <SelectItem key={v.id} value={v.id}>{v.registration} · {v.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {vehicles.length > 0 && classVehicles.length === 0 && (
+        <p className="text-xs text-gray-500">No class {session.category} vehicles in the fleet.</p>
+      )}
+
+      <div className="flex gap-2">
+        <Button size="sm" onClick={save} disabled={saving} className="flex-1 bg-blue-900 hover:bg-blue-800">
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Save assignment'}
+        </Button>
+        {current?.weekOf && (
+          <Button size="sm" variant="outline" onClick={revert} disabled={saving}>
+            Use standing
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
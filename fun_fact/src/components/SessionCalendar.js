@@ -9,9 +9,17 @@ import { DAY_NAMES } from '@/app/lib/constants';
 import { useSessionData } from '@/app/hooks/useSessionData';
 import { useAuth } from '@/app/hooks/useAuth';
 import SessionCard from './SessionCard';
-import { RefreshCw, Calendar, AlertTriangle } from 'lucide-react';
+import { RefreshCw, Calendar, CalendarRange, AlertTriangle } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 
+// Label for a week tab: "This week", "Next week", then "Week of Mar 9".
+// weekOf is Monday 00:00 UTC, so format in UTC to avoid an off-by-one day.
+function formatWeekTab(weekOf, index) {
+  if (index === 0) return 'This week';
+  if (index === 1) return 'Next week';
+  return `Week of ${new Date(weekOf).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`;
+}
+
 export default function SessionCalendar() {
   const { student } = useAuth();
   const {
@@ -23,7 +31,11 @@ export default function SessionCalendar() {
     isDayBooked,
     remainingSlots,
     lastAction,
-    maxDaysPerWeek
+    liveConnected,
+    maxDaysPerWeek,
+    weekOf,
+    weeks,
+    selectWeek
   } = useSessionData();
   
   const [selectedDay, setSelectedDay] = useState(null);
@@ -41,6 +53,11 @@ export default function SessionCalendar() {
     setIsRefreshing(false);
   };
   
+  // A different week has different bookings — let auto-select pick a fresh day
+  useEffect(() => {
+    setSelectedDay(null);
+  }, [weekOf]);
+
   // Auto select first available day if none selected
   useEffect(() => {
     if (!selectedDay && !sessionsLoading && Object.keys(sessionsByDay).length > 0) {
@@ -84,6 +101,28 @@ export default function SessionCalendar() {
   // Check if the user has reached their booking limit
   const hasReachedBookingLimit = remainingSlots <= 0;
   
+  // Week switcher — only shown when the booking horizon spans more than one week
+  const weekSwitcher = weeks.length > 1 && (
+    <div className="flex gap-2 overflow-x-auto pb-1 -mx-1 px-1">
+      {weeks.map((week, i) => {
+        const isActive = week === weekOf;
+        return (
+          <Button
+            key={week}
+            size="sm"
+            variant={isActive ? 'default' : 'outline'}
+            onClick={() => !isActive && selectWeek(week)}
+            disabled={sessionsLoading}
+            className={`shrink-0 ${isActive ? 'bg-blue-900 hover:bg-blue-800 text-white' : 'text-slate-700 hover:bg-blue-50 hover:text-blue-900'}`}
+          >
+            <CalendarRange className="w-4 h-4 mr-1.5" />
+            {formatWeekTab(week, i)}
+          </Button>
+        );
+      })}
+    </div>
+  );
+
   // Render loading state
   if (sessionsLoading) {
     return (
@@ -127,26 +166,32 @@ export default function SessionCalendar() {
   // No sessions are offered for this student's licence class yet
   if (days.length === 0) {
     return (
-      <div className="text-center py-10 border-2 border-dashed border-gray-200 rounded-lg space-y-3">
-        <Calendar className="w-12 h-12 text-gray-300 mx-auto" />
-        <div>
-          <p className="text-gray-700 font-medium">
-            No sessions are open for your class{student?.category ? ` (${student.category})` : ''} yet
-          </p>
-          <p className="text-sm text-gray-500 mt-1">
-            Slots for your licence class haven&apos;t been scheduled. Please check back later or contact your instructor.
-          </p>
+      <div className="space-y-4">
+        {weekSwitcher}
+        <div className="text-center py-10 border-2 border-dashed border-gray-200 rounded-lg space-y-3">
+          <Calendar className="w-12 h-12 text-gray-300 mx-auto" />
+          <div>
+            <p className="text-gray-700 font-medium">
+              No sessions are open for your class{student?.category ? ` (${student.category})` : ''} yet
+            </p>
+            <p className="text-sm text-gray-500 mt-1">
+              Slots for your licence class haven&apos;t been scheduled. Please check back later or contact your instructor.
+            </p>
+          </div>
+          <Button onClick={handleRefresh} variant="outline" size="sm" disabled={isRefreshing}>
+            <RefreshCw className={`w-4 h-4 mr-2 ${isRefreshing ? 'animate-spin' : ''}`} />
+            {isRefreshing ? 'Refreshing...' : 'Refresh'}
+          </Button>
         </div>
-        <Button onClick={handleRefresh} variant="outline" size="sm" disabled={isRefreshing}>
-          <RefreshCw className={`w-4 h-4 mr-2 ${isRefreshing ? 'animate-spin' : ''}`} />
-          {isRefreshing ? 'Refreshing...' : 'Refresh'}
-        </Button>
       </div>
     );
   }
 
   return (
     <div className="space-y-6">
+      {/* Week Selector */}
+      {weekSwitcher}
+
       {/* Booking Status */}
       <div className="bg-blue-900/5 p-4 rounded-lg border border-blue-900/10">
         <div className="flex items-center justify-between">
@@ -180,8 +225,14 @@ export default function SessionCalendar() {
         </div>
       </div>
 
-      {/* Manual Refresh Button */}
-      <div className="flex justify-end">
+      {/* Live indicator + Manual Refresh Button */}
+      <div className="flex items-center justify-end gap-3">
+        {liveConnected && (
+          <span className="flex items-center text-xs text-green-700" title="Spots update automatically">
+            <span className="w-2 h-2 rounded-full bg-green-500 mr-1.5 animate-pulse" />
+            Live
+          </span>
+        )}
         <Button 
           variant="ghost" 
           size="sm" 
@@ -209,13 +260,14 @@ export default function SessionCalendar() {
             const isSelected = day === selectedDay;
             const availableSlots = sessionsByDay[day].filter(s => s.isAvailable).length;
             const hasAvailableSlots = availableSlots > 0;
+            const isWaitlisted = sessionsByDay[day].some(s => s.waitlist?.position > 0);
+            const isClosedDay = sessionsByDay[day].every(s => s.isClosed);
 
             return (
               <Button
                 key={day}
                 variant={isSelected ? "default" : "outline"}
                 onClick={() => handleDaySelect(day)}
-                disabled={!hasAvailableSlots && !isBooked}
                 className={`
                   h-auto p-3 flex flex-col items-center gap-1 shrink-0 min-w-[4.75rem] snap-start sm:min-w-0
                   ${isSelected
@@ -240,7 +292,11 @@ export default function SessionCalendar() {
                 )}
                 {!isBooked && (
                   <span className={`text-xs ${isSelected ? 'text-blue-200' : hasAvailableSlots ? 'text-slate-500' : 'text-gray-400'}`}>
-                    {availableSlots} slot{availableSlots !== 1 ? 's' : ''}
+                    {isClosedDay
+                      ? 'Closed'
+                      : hasAvailableSlots || !isWaitlisted
+                        ? `${availableSlots} slot${availableSlots !== 1 ? 's' : ''}`
+                        : 'Waitlisted'}
                   </span>
                 )}
               </Button>
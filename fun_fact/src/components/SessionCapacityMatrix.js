@@ -1,8 +1,11 @@
 // file: src/components/SessionCapacityMatrix.js
 // Admin-only editor for per-(day, timeSlot, licence class) session capacity.
-// One licence class is edited at a time via two grids (weekday / weekend),
-// since weekday and weekend use different time-slot sets. Capacity 0 = the
-// class is not offered at that slot. Bulk-saves only changed cells.
+// One licence class is edited at a time, one grid per group of days that run
+// the same time slots (Mon–Fri and Sat–Sun by default). Capacity 0 = the
+// class is not offered at that slot. Bulk-saves only changed cells. Classes
+// with vehicles in the fleet are further capped by the cars on the road each
+// day; cells set above that cap are flagged. Working across several branches,
+// one branch's matrix is edited at a time.
 
 'use client';
 
@@ -12,11 +15,10 @@ import { toast } from 'react-hot-toast';
 import {
   DAYS,
   DAY_NAMES,
-  DAY_TIME_SLOTS,
-  TIME_SLOT_NAMES,
   LICENCE_CLASSES,
   LICENCE_CLASS_NAMES,
 } from '@/app/lib/constants';
+import { useTimeSlots } from '@/app/hooks/useTimeSlots';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -29,18 +31,17 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { Skeleton } from '@/components/ui/skeleton';
-import { Grid3x3, Save, RefreshCcw, AlertTriangle, Loader2 } from 'lucide-react';
-
-const WEEKDAYS = [DAYS.MONDAY, DAYS.TUESDAY, DAYS.WEDNESDAY, DAYS.THURSDAY, DAYS.FRIDAY];
-const WEEKEND = [DAYS.SATURDAY, DAYS.SUNDAY];
-const WEEKDAY_SLOTS = DAY_TIME_SLOTS[DAYS.MONDAY];
-const WEEKEND_SLOTS = DAY_TIME_SLOTS[DAYS.SATURDAY];
+import { Grid3x3, Save, RefreshCcw, AlertTriangle, Loader2, Car } from 'lucide-react';
 
 export default function SessionCapacityMatrix() {
+  const { dayGroups, slotsForDay, reload: reloadSlots } = useTimeSlots();
   const [rows, setRows] = useState([]);
+  // { [branch]: { [category]: { [day]: vehicles available this week } } }, classes with a fleet only
+  const [fleet, setFleet] = useState({});
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [category, setCategory] = useState('B2');
+  const [branch, setBranch] = useState(null);
   // edits keyed by session id → string value from the input
   const [edits, setEdits] = useState({});
   const [bulkValue, setBulkValue] = useState('');
@@ -51,6 +52,7 @@ export default function SessionCapacityMatrix() {
     try {
       const { data } = await axios.get('/api/admin/session-capacities');
       setRows(data.rows || []);
+      setFleet(data.fleet || {});
     } catch {
       toast.error('Failed to load capacity matrix');
     } finally {
@@ -60,17 +62,25 @@ export default function SessionCapacityMatrix() {
 
   useEffect(() => { load(); }, []);
 
-  // Switching class discards uncommitted edits (they belong to the old class view)
-  useEffect(() => { setEdits({}); setBulkValue(''); }, [category]);
+  // The branches in the matrix — more than one only when working across them all
+  const branches = useMemo(() => [...new Set(rows.map((r) => r.branch))].sort(), [rows]);
+  const shownBranch = branches.includes(branch) ? branch : branches[0];
+  const isShown = (r) => r.category === category && r.branch === shownBranch;
+
+  // Switching class or branch discards uncommitted edits (they belong to the old view)
+  useEffect(() => { setEdits({}); setBulkValue(''); }, [category, shownBranch]);
 
   // Lookup for the selected class: `${day}_${timeSlot}` → row
   const bySlot = useMemo(() => {
     const map = {};
     for (const r of rows) {
-      if (r.category === category) map[`${r.day}_${r.timeSlot}`] = r;
+      if (isShown(r)) map[`${r.day}_${r.timeSlot}`] = r;
     }
     return map;
-  }, [rows, category]);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rows, category, shownBranch]);
+
+  const classFleet = fleet[shownBranch]?.[category];
 
   const cellValue = (row) =>
     row && edits[row.id] !== undefined ? edits[row.id] : String(row?.capacity ?? 0);
@@ -98,7 +108,7 @@ export default function SessionCapacityMatrix() {
     }
     const next = {};
     for (const r of rows) {
-      if (r.category === category) next[r.id] = bulkValue;
+      if (isShown(r)) next[r.id] = bulkValue;
     }
     setEdits(next);
   };
@@ -136,13 +146,15 @@ export default function SessionCapacityMatrix() {
           </thead>
           <tbody>
             {slots.map((slot) => (
-              <tr key={slot} className="border-t border-gray-100">
-                <td className="p-2 text-gray-600 whitespace-nowrap">{TIME_SLOT_NAMES[slot]}</td>
+              <tr key={slot.code} className="border-t border-gray-100">
+                <td className="p-2 text-gray-600 whitespace-nowrap">{slot.label}</td>
                 {days.map((d) => {
-                  const row = bySlot[`${d}_${slot}`];
+                  const row = bySlot[`${d}_${slot.code}`];
                   const val = cellValue(row);
                   const over = row && Number(val) < row.enrolledCount;
                   const open = Number(val || 0) > 0;
+                  const vehicles = classFleet?.[d];
+                  const capped = open && vehicles !== undefined && Number(val) > vehicles;
                   return (
                     <td key={d} className="p-1 text-center">
                       <div className="relative">
@@ -165,6 +177,9 @@ export default function SessionCapacityMatrix() {
                         {row?.enrolledCount > 0 && (
                           <span className="block text-[10px] text-gray-400 mt-0.5">{row.enrolledCount} booked</span>
                         )}
+                        {capped && (
+                          <span className="block text-[10px] text-amber-600 mt-0.5">{vehicles} car{vehicles !== 1 ? 's' : ''}</span>
+                        )}
                       </div>
                     </td>
                   );
@@ -179,7 +194,7 @@ export default function SessionCapacityMatrix() {
 
   // Mobile: one day at a time as a vertical list (no horizontal scrolling)
   const renderMobile = () => {
-    const slots = DAY_TIME_SLOTS[mobileDay];
+    const slots = slotsForDay(mobileDay);
     return (
       <div className="space-y-3">
         <div className="flex gap-2 overflow-x-auto pb-1 -mx-1 px-1">
@@ -197,18 +212,26 @@ export default function SessionCapacityMatrix() {
           ))}
         </div>
         <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+          {slots.length === 0 && (
+            <p className="p-3 text-xs text-gray-500">No time slots run on {DAY_NAMES[mobileDay]}.</p>
+          )}
           {slots.map((slot) => {
-            const row = bySlot[`${mobileDay}_${slot}`];
+            const row = bySlot[`${mobileDay}_${slot.code}`];
             const val = cellValue(row);
             const over = row && Number(val) < row.enrolledCount;
             const open = Number(val || 0) > 0;
+            const vehicles = classFleet?.[mobileDay];
+            const capped = open && vehicles !== undefined && Number(val) > vehicles;
             return (
-              <div key={slot} className="flex items-center justify-between gap-3 p-3">
+              <div key={slot.code} className="flex items-center justify-between gap-3 p-3">
                 <div className="min-w-0">
-                  <div className="text-sm text-gray-800">{TIME_SLOT_NAMES[slot]}</div>
+                  <div className="text-sm text-gray-800">{slot.label}</div>
                   {row?.enrolledCount > 0 && (
                     <div className="text-[11px] text-gray-400">{row.enrolledCount} booked</div>
                   )}
+                  {capped && (
+                    <div className="text-[11px] text-amber-600">Capped at {vehicles} car{vehicles !== 1 ? 's' : ''}</div>
+                  )}
                 </div>
                 <Input
                   type="number"
@@ -250,6 +273,18 @@ export default function SessionCapacityMatrix() {
 
         {/* Class selector + bulk apply */}
         <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          {branches.length > 1 && (
+            <Select value={shownBranch} onValueChange={setBranch}>
+              <SelectTrigger className="w-full sm:w-40" aria-label="Branch">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {branches.map((b) => (
+                  <SelectItem key={b} value={b}>{b}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
           <Select value={category} onValueChange={setCategory}>
             <SelectTrigger className="w-full sm:w-64">
               <SelectValue />
@@ -276,6 +311,16 @@ export default function SessionCapacityMatrix() {
           </div>
         </div>
 
+        {classFleet && (
+          <div className="flex items-start gap-2 text-xs bg-blue-50 border border-blue-100 rounded-md p-2 text-blue-800">
+            <Car className="w-4 h-4 shrink-0 mt-0.5" />
+            <span>
+              Class {category} capacity is capped by the vehicles on the road. This week:{' '}
+              {Object.values(DAYS).map((d) => `${DAY_NAMES[d].slice(0, 3)} ${classFleet[d]}`).join(' · ')}.
+            </span>
+          </div>
+        )}
+
         {loading ? (
           <div className="space-y-3">
             <Skeleton className="h-32 w-full" />
@@ -284,8 +329,9 @@ export default function SessionCapacityMatrix() {
         ) : (
           <>
             <div className="hidden sm:block space-y-5">
-              {renderGrid(WEEKDAYS, WEEKDAY_SLOTS, 'Weekdays (Mon–Fri)')}
-              {renderGrid(WEEKEND, WEEKEND_SLOTS, 'Weekend (Sat–Sun)')}
+              {dayGroups.map((group) => (
+                <div key={group.days.join('_')}>{renderGrid(group.days, group.slots, group.title)}</div>
+              ))}
             </div>
             <div className="sm:hidden">{renderMobile()}</div>
           </>
@@ -305,7 +351,7 @@ export default function SessionCapacityMatrix() {
             )}
           </div>
           <div className="flex items-center gap-2">
-            <Button variant="ghost" size="sm" onClick={load} disabled={saving}>
+            <Button variant="ghost" size="sm" onClick={() => { reloadSlots(); load(); }} disabled={saving}>
               <RefreshCcw className={`w-4 h-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
               Reload
             </Button>
@@ -7,13 +7,12 @@
 import { useState } from 'react';
 import { Card, CardContent } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Users, Clock, CheckCircle } from 'lucide-react';
-import { TIME_SLOT_NAMES } from '@/app/lib/constants';
+import { Users, Clock, CheckCircle, Hourglass, Ban } from 'lucide-react';
 import { useSessionData } from '@/app/hooks/useSessionData';
 import { useAuth } from '@/app/hooks/useAuth';
 
 export default function SessionCard({ session }) {
-  const { bookSession, isSessionBooked, isDayBooked, remainingSlots, bookingInProgress } = useSessionData();
+  const { bookSession, joinWaitlist, leaveWaitlist, isSessionBooked, isDayBooked, remainingSlots, bookingInProgress } = useSessionData();
   const { student } = useAuth();
   const isPaused = student?.status === 'INACTIVE';
   const [isBooking, setIsBooking] = useState(false);
@@ -27,12 +26,20 @@ export default function SessionCard({ session }) {
   // Check if the user has reached their booking limit
   const hasReachedBookingLimit = remainingSlots <= 0;
   
-  // Calculate availability
-  const spotsRemaining = session.capacity - session.bookings.length;
+  // Availability — kept current by the live session stream
+  const spotsRemaining = session.availableSpots;
   const isFull = spotsRemaining <= 0;
   
+  // Closed by the admin closure calendar (holiday, single slot, one class)
+  const isClosed = !!session.isClosed;
+
   // Check if the button should be disabled
-  const disabled = isFull || booked || dayAlreadyBooked || hasReachedBookingLimit || isBooking || bookingInProgress || isPaused;
+  const disabled = isClosed || isFull || booked || dayAlreadyBooked || hasReachedBookingLimit || isBooking || bookingInProgress || isPaused;
+
+  // Waitlist state for full sessions (position is 1-based, 0 = not queued)
+  const waitlistPosition = session.waitlist?.position || 0;
+  const onWaitlist = waitlistPosition > 0;
+  const waitlistDisabled = dayAlreadyBooked || hasReachedBookingLimit || isBooking || bookingInProgress || isPaused;
   
   // Handle booking
   const handleBook = async () => {
@@ -46,13 +53,30 @@ export default function SessionCard({ session }) {
       setIsBooking(false);
     }
   };
+
+  // Handle joining/leaving the waitlist
+  const handleWaitlist = async () => {
+    setIsBooking(true);
+    try {
+      if (onWaitlist) {
+        await leaveWaitlist(session);
+      } else if (!waitlistDisabled) {
+        await joinWaitlist(session);
+      }
+    } finally {
+      setIsBooking(false);
+    }
+  };
   
   return (
     <Card className={`${booked ? 'border-green-500 bg-green-50' : 'border-gray-200'}`}>
       <CardContent className="p-4">
         <div className="flex justify-between items-start mb-2">
           <h3 className="font-medium">
-            {TIME_SLOT_NAMES[session.timeSlot]}
+            {session.timeSlotName}
+            {session.isExtra && (
+              <span className="ml-2 text-xs font-normal text-blue-700">This week only</span>
+            )}
           </h3>
           
           {booked && (
@@ -61,6 +85,13 @@ export default function SessionCard({ session }) {
               Booked
             </span>
           )}
+
+          {!booked && onWaitlist && (
+            <span className="bg-amber-100 text-amber-800 text-xs px-2 py-1 rounded-full flex items-center">
+              <Hourglass className="w-3 h-3 mr-1" />
+              #{waitlistPosition} in line
+            </span>
+          )}
         </div>
         
         <div className="space-y-2 mb-3">
@@ -69,7 +100,7 @@ export default function SessionCard({ session }) {
             <Users className="w-4 h-4 mr-1" />
             <span>
               {isFull 
-                ? 'Full' 
+                ? `Full${session.waitlist?.count ? ` · ${session.waitlist.count} waiting` : ''}`
                 : `${spotsRemaining} spot${spotsRemaining !== 1 ? 's' : ''} left`}
             </span>
           </div>
@@ -92,6 +123,21 @@ export default function SessionCard({ session }) {
               <CheckCircle className="w-4 h-4 mr-2" />
               Booked
             </Button>
+          ) : isClosed ? (
+            <Button variant="outline" className="w-full text-gray-500" disabled>
+              <Ban className="w-4 h-4 mr-2" />
+              Closed
+            </Button>
+          ) : isFull ? (
+            <Button
+              variant="outline"
+              className={`w-full ${onWaitlist ? 'text-amber-800 border-amber-300 hover:bg-amber-50' : 'text-blue-900 border-blue-200 hover:bg-blue-50'}`}
+              disabled={onWaitlist ? isBooking || bookingInProgress : waitlistDisabled}
+              onClick={handleWaitlist}
+            >
+              <Hourglass className="w-4 h-4 mr-2" />
+              {isBooking ? 'Updating...' : onWaitlist ? 'Leave Waitlist' : 'Join Waitlist'}
+            </Button>
           ) : (
             <Button
               variant={dayAlreadyBooked ? "outline" : "default"}
@@ -106,11 +152,23 @@ export default function SessionCard({ session }) {
         
         {/* Day-specific hint only (the weekly-limit state is communicated once
             at the section level, not repeated under every card). */}
-        {dayAlreadyBooked && (
+        {isClosed && session.closureReason && (
+          <p className="text-xs text-gray-500 mt-2">
+            {session.closureReason}
+          </p>
+        )}
+
+        {!isClosed && dayAlreadyBooked && (
           <p className="text-xs text-amber-600 mt-2">
             You already have a session on this day
           </p>
         )}
+
+        {!booked && onWaitlist && (
+          <p className="text-xs text-gray-500 mt-2">
+            You&apos;ll be booked automatically if a spot opens up
+          </p>
+        )}
       </CardContent>
     </Card>
   );
@@ -1,20 +1,19 @@
 // file: src/components/SessionTimetable.js
 // Weekly schedule grid for staff: time-slot rows × day columns, with a chip per
 // class in each cell (class + enrolled/capacity, coloured by fill). Clicking a
-// chip opens that session's roster. Weekday and weekend use different slot sets,
-// so they render as two grids.
+// chip opens that session's roster. Assigned instructors show under the class. Days that run the same time slots
+// share a grid (Mon–Fri and Sat–Sun by default). Sessions cancelled for the week
+// are struck through; extras outside the grids are listed underneath. Sessions
+// given a branchName (when several branches are shown) are labelled with it.
 
 'use client';
 
-import { DAYS, DAY_NAMES, DAY_TIME_SLOTS, TIME_SLOT_NAMES } from '@/app/lib/constants';
+import { DAY_NAMES } from '@/app/lib/constants';
+import { useTimeSlots } from '@/app/hooks/useTimeSlots';
 import { Users } from 'lucide-react';
 
-const WEEKDAYS = [DAYS.MONDAY, DAYS.TUESDAY, DAYS.WEDNESDAY, DAYS.THURSDAY, DAYS.FRIDAY];
-const WEEKEND = [DAYS.SATURDAY, DAYS.SUNDAY];
-const WEEKDAY_SLOTS = DAY_TIME_SLOTS[DAYS.MONDAY];
-const WEEKEND_SLOTS = DAY_TIME_SLOTS[DAYS.SATURDAY];
-
-function fillClasses(pct) {
+function fillClasses(session, pct) {
+  if (session.isCancelled) return 'bg-red-50 text-red-700 border-red-200 hover:bg-red-100';
   if (pct >= 100) return 'bg-green-100 text-green-800 border-green-300 hover:bg-green-200';
   if (pct >= 50) return 'bg-blue-50 text-blue-800 border-blue-200 hover:bg-blue-100';
   return 'bg-gray-50 text-gray-700 border-gray-200 hover:bg-gray-100';
@@ -22,18 +21,41 @@ function fillClasses(pct) {
 
 function Chip({ session, onClick }) {
   const pct = session.capacity > 0 ? Math.round((session.enrolledCount / session.capacity) * 100) : 0;
+  const instructor = session.assignment?.instructor?.name;
+  const vehicle = session.assignment?.vehicle?.registration;
   return (
     <button
       type="button"
       onClick={onClick}
-      title={`${session.category} — ${session.enrolledCount}/${session.capacity} enrolled`}
-      className={`w-full flex items-center justify-between gap-1 rounded-md border px-2 py-1 text-xs font-medium transition-colors ${fillClasses(pct)}`}
+      title={[
+        `${session.category} — ${session.enrolledCount}/${session.capacity} enrolled`,
+        session.branchName && `Branch: ${session.branchName}`,
+        session.isCancelled && `Cancelled this week${session.note ? `: ${session.note}` : ''}`,
+        session.isExtra && 'Extra session, this week only',
+        instructor && `Instructor: ${instructor}`,
+        vehicle && `Vehicle: ${vehicle}`
+      ].filter(Boolean).join('\n')}
+      className={`w-full rounded-md border px-2 py-1 text-xs font-medium transition-colors ${fillClasses(session, pct)} ${session.isExtra ? 'border-dashed' : ''}`}
     >
-      <span className="font-semibold">{session.category}</span>
-      <span className="flex items-center gap-0.5 tabular-nums">
-        <Users className="w-3 h-3" />
-        {session.enrolledCount}/{session.capacity}
+      <span className="flex items-center justify-between gap-1">
+        <span className={`font-semibold ${session.isCancelled ? 'line-through' : ''}`}>
+          {session.category}{session.isExtra && <span className="font-normal"> +</span>}
+        </span>
+        {session.isCancelled ? (
+          <span className="font-normal">Off</span>
+        ) : (
+          <span className="flex items-center gap-0.5 tabular-nums">
+            <Users className="w-3 h-3" />
+            {session.enrolledCount}/{session.capacity}
+          </span>
+        )}
       </span>
+      {session.branchName && (
+        <span className="block truncate text-left text-[10px] font-normal opacity-75">{session.branchName}</span>
+      )}
+      {instructor && (
+        <span className="block truncate text-left text-[10px] font-normal opacity-75">{instructor}</span>
+      )}
     </button>
   );
 }
@@ -54,10 +76,10 @@ function Grid({ days, slots, byCell, onOpenSession }) {
         </thead>
         <tbody>
           {slots.map((slot) => (
-            <tr key={slot} className="border-t border-gray-100 align-top">
-              <td className="p-2 text-xs text-gray-600 whitespace-nowrap">{TIME_SLOT_NAMES[slot]}</td>
+            <tr key={slot.code} className="border-t border-gray-100 align-top">
+              <td className="p-2 text-xs text-gray-600 whitespace-nowrap">{slot.label}</td>
               {days.map((d) => {
-                const cell = byCell[`${d}_${slot}`] || [];
+                const cell = byCell[`${d}_${slot.code}`] || [];
                 return (
                   <td key={d} className="p-1">
                     {cell.length > 0 ? (
@@ -81,6 +103,8 @@ function Grid({ days, slots, byCell, onOpenSession }) {
 }
 
 export default function SessionTimetable({ sessions, onOpenSession }) {
+  const { dayGroups } = useTimeSlots();
+
   // Index sessions by day_timeSlot, keeping class order stable
   const byCell = {};
   for (const s of sessions) {
@@ -88,16 +112,33 @@ export default function SessionTimetable({ sessions, onOpenSession }) {
     (byCell[key] ||= []).push(s);
   }
 
+  // Extras on a day their slot doesn't normally run have no cell in the grids
+  const placed = new Set(
+    dayGroups.flatMap((group) => group.days.flatMap((d) => group.slots.map((slot) => `${d}_${slot.code}`)))
+  );
+  const unplaced = sessions.filter((s) => !placed.has(`${s.day}_${s.timeSlot}`));
+
   return (
     <div className="space-y-6">
-      <div className="space-y-2">
-        <div className="text-xs font-semibold uppercase tracking-wide text-gray-500">Weekdays (Mon–Fri)</div>
-        <Grid days={WEEKDAYS} slots={WEEKDAY_SLOTS} byCell={byCell} onOpenSession={onOpenSession} />
-      </div>
-      <div className="space-y-2">
-        <div className="text-xs font-semibold uppercase tracking-wide text-gray-500">Weekend (Sat–Sun)</div>
-        <Grid days={WEEKEND} slots={WEEKEND_SLOTS} byCell={byCell} onOpenSession={onOpenSession} />
-      </div>
+      {dayGroups.map((group) => (
+        <div key={group.days.join('_')} className="space-y-2">
+          <div className="text-xs font-semibold uppercase tracking-wide text-gray-500">{group.title}</div>
+          <Grid days={group.days} slots={group.slots} byCell={byCell} onOpenSession={onOpenSession} />
+        </div>
+      ))}
+      {unplaced.length > 0 && (
+        <div className="space-y-2">
+          <div className="text-xs font-semibold uppercase tracking-wide text-gray-500">Also this week</div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {unplaced.map((s) => (
+              <div key={s.id} className="space-y-1">
+                <div className="text-[11px] text-gray-500">{DAY_NAMES[s.day]} · {s.timeSlotName}</div>
+                <Chip session={s} onClick={() => onOpenSession(s)} />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -12,7 +12,7 @@ import {
   AlertDialogTitle,
 } from "@/components/ui/alert-dialog";
 import { Calendar, AlertTriangle, CheckCircle } from 'lucide-react';
-import { DAY_NAMES, TIME_SLOT_NAMES } from '@/app/lib/constants';
+import { DAY_NAMES } from '@/app/lib/constants';
 
 export default function SessionToggleDialog({ 
   session, 
@@ -27,7 +27,7 @@ export default function SessionToggleDialog({
   
   // Format session details
   const dayName = session.dayName || DAY_NAMES[session.day];
-  const timeSlotName = session.timeSlotName || TIME_SLOT_NAMES[session.timeSlot];
+  const timeSlotName = session.timeSlotName;
   
   return (
     <AlertDialog open={open} onOpenChange={onOpenChange}>
@@ -0,0 +1,130 @@
+// file: src/components/SessionWeekEditor.js
+// Admin form in the roster sheet for this week of a session only: its capacity
+// that week, or calling it off. The standing capacity stays in the capacity
+// matrix and applies again the next week.
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Loader2 } from 'lucide-react';
+
+export default function SessionWeekEditor({ session, onSaved }) {
+  // baseCapacity is the week's capacity before the fleet cap
+  const [capacity, setCapacity] = useState(String(session.baseCapacity));
+  const [note, setNote] = useState(session.note || '');
+  const [saving, setSaving] = useState(false);
+
+  // Re-sync when the roster switches session or a refresh changes the week
+  useEffect(() => {
+    setCapacity(String(session.baseCapacity));
+    setNote(session.note || '');
+  }, [session.id, session.baseCapacity, session.note, session.isCancelled]);
+
+  if (!session.instanceId) return null;
+
+  const overridden = !session.isExtra && session.baseCapacity !== session.templateCapacity;
+
+  const update = async (changes, fallback) => {
+    setSaving(true);
+    try {
+      const { data } = await axios.patch(`/api/admin/session-instances/${session.instanceId}`, changes);
+      toast.success(data.message);
+      onSaved?.();
+    } catch (err) {
+      toast.error(err.response?.data?.error || fallback);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveCapacity = () => {
+    const value = Number(capacity);
+    if (!Number.isInteger(value) || value < 0) {
+      toast.error('Capacity must be a whole number');
+      return;
+    }
+    update({ capacity: value }, 'Failed to update capacity');
+  };
+
+  const cancelWeek = () => {
+    if (!note.trim()) {
+      toast.error('Add a note saying why — students see it');
+      return;
+    }
+    update({ status: 'CANCELLED', note: note.trim() }, 'Failed to cancel session');
+  };
+
+  return (
+    <div className="space-y-3 rounded-lg border border-gray-200 p-3">
+      <div className="text-xs font-semibold uppercase tracking-wide text-gray-500">
+        This week only{session.isExtra && ' · extra session'}
+      </div>
+
+      {session.isCancelled ? (
+        <div className="space-y-2">
+          <p className="text-sm text-red-700">
+            Cancelled{session.note ? `: ${session.note}` : ''}
+          </p>
+          <Button
+            size="sm"
+            variant="outline"
+            className="w-full"
+            onClick={() => update({ status: 'SCHEDULED' }, 'Failed to restore session')}
+            disabled={saving}
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Restore this week'}
+          </Button>
+        </div>
+      ) : (
+        <>
+          <div className="space-y-1.5">
+            <Label htmlFor="week-capacity" className="text-sm font-normal">
+              Capacity{!session.isExtra && <span className="text-gray-500"> (every week: {session.templateCapacity})</span>}
+            </Label>
+            <div className="flex gap-2">
+              <Input
+                id="week-capacity"
+                type="number"
+                min={0}
+                value={capacity}
+                onChange={(e) => setCapacity(e.target.value)}
+                className="w-24"
+              />
+              <Button size="sm" variant="outline" onClick={saveCapacity} disabled={saving} className="flex-1">
+                {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Save capacity'}
+              </Button>
+              {overridden && (
+                <Button size="sm" variant="ghost" onClick={() => update({ capacity: null }, 'Failed to update capacity')} disabled={saving}>
+                  Use standing
+                </Button>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-1.5">
+            <Input
+              placeholder="Note, e.g. Instructor off sick"
+              value={note}
+              maxLength={191}
+              onChange={(e) => setNote(e.target.value)}
+            />
+            <Button
+              size="sm"
+              variant="outline"
+              className="w-full text-red-700 border-red-200 hover:bg-red-50"
+              onClick={cancelWeek}
+              disabled={saving}
+            >
+              Cancel this week{session.enrolledCount > 0 && ` (${session.enrolledCount} booked)`}
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,37 +1,122 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useRouter } from 'next/navigation';
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Button } from '@/components/ui/button';
-import { LogIn, Loader2 } from 'lucide-react';
+import { LogIn, Loader2, ShieldCheck } from 'lucide-react';
 
 export default function StaffLoginForm() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
+  // { message, until } while too many failed logins have locked the form out
+  const [lockout, setLockout] = useState(null);
+  // Set after the password when the account has two-factor on
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState('');
   const router = useRouter();
 
+  // Lift the lockout once its time is up
+  useEffect(() => {
+    if (!lockout) return;
+    const timer = setTimeout(() => setLockout(null), lockout.until - Date.now());
+    return () => clearTimeout(timer);
+  }, [lockout]);
+
+  const handleLoginError = (error) => {
+    const message = error.response?.data?.error || 'Login failed';
+    if (error.response?.status === 429) {
+      setLockout({ message, until: Date.now() + (error.response.data.retryAfter || 60) * 1000 });
+    }
+    toast.error(message);
+    setLoading(false);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
       const { data } = await axios.post('/api/auth/staff', { email, password });
+      if (data.twoFactorRequired) {
+        setChallenge(data.challenge);
+        setLoading(false);
+        return;
+      }
       toast.success(data.message);
       router.push('/instructor');
       // Keep the form disabled while the dashboard route loads and replaces
       // this page, so it doesn't look idle/re-enterable mid-redirect.
     } catch (error) {
-      const message = error.response?.data?.error || 'Login failed';
-      toast.error(message);
-      setLoading(false);
+      handleLoginError(error);
+    }
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const { data } = await axios.post('/api/auth/staff/2fa', { challenge, code });
+      toast.success(data.message);
+      router.push('/instructor');
+    } catch (error) {
+      // The challenge only lasts a few minutes; start over with the password
+      if (error.response?.data?.challengeExpired) {
+        setChallenge(null);
+      }
+      setCode('');
+      handleLoginError(error);
     }
   };
 
+  const resetChallenge = () => {
+    setChallenge(null);
+    setCode('');
+  };
+
+  if (challenge) {
+    return (
+      <form onSubmit={handleCodeSubmit} className="space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="staff-code">Authentication code</Label>
+          <Input
+            id="staff-code"
+            placeholder="123456"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            autoFocus
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            disabled={loading}
+          />
+          <p className="text-xs text-gray-500">
+            Enter the code from your authenticator app, or one of your recovery codes.
+          </p>
+        </div>
+        {lockout && (
+          <p role="alert" className="rounded-md bg-red-50 p-3 text-sm text-red-700">{lockout.message}</p>
+        )}
+        <Button type="submit" className="w-full bg-blue-900 hover:bg-blue-800 text-white" disabled={loading || !!lockout}>
+          {loading ? (
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <ShieldCheck className="w-4 h-4 mr-2" />
+          )}
+          {loading ? 'Checking…' : lockout ? 'Temporarily locked' : 'Verify'}
+        </Button>
+        <Button type="button" variant="ghost" className="w-full text-gray-500" onClick={resetChallenge} disabled={loading}>
+          Use a different account
+        </Button>
+      </form>
+    );
+  }
+
   return (
     <form onSubmit={handleSubmit} className="space-y-4">
       <div className="space-y-2">
@@ -59,13 +144,16 @@ value={password}
           disabled={loading}
         />
       </div>
-      <Button type="submit" className="w-full bg-blue-900 hover:bg-blue-800 text-white" disabled={loading}>
+      {lockout && (
+        <p role="alert" className="rounded-md bg-red-50 p-3 text-sm text-red-700">{lockout.message}</p>
+      )}
+      <Button type="submit" className="w-full bg-blue-900 hover:bg-blue-800 text-white" disabled={loading || !!lockout}>
         {loading ? (
           <Loader2 className="w-4 h-4 mr-2 animate-spin" />
         ) : (
           <LogIn className="w-4 h-4 mr-2" />
         )}
-        {loading ? 'Signing you in…' : 'Sign In'}
+        {loading ? 'Signing you in…' : lockout ? 'Temporarily locked' : 'Sign In'}
       </Button>
     </form>
   );
@@ -0,0 +1,310 @@
+// file: src/components/StaffManager.js
+// Admin list of staff accounts: who has access and when they last logged in.
+// Roles can be changed, accounts disabled (rather than deleted), passwords
+// reset to a one-time random one the admin passes on, and two-factor turned
+// off for someone who lost their phone. Staff without a branch of their own
+// can move others between branches.
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuSub,
+  DropdownMenuSubContent,
+  DropdownMenuSubTrigger,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { ROLES, ROLE_NAMES } from '@/app/lib/permissions';
+import { Building2, Copy, KeyRound, Loader2, MoreVertical, Pencil, ShieldCheck, ShieldOff, UserCog, UserX, UserCheck } from 'lucide-react';
+
+const formatLastLogin = (value) =>
+  value
+    ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' })
+    : 'Never logged in';
+
+// The branch radio's value for staff who work at every branch
+const ALL_BRANCHES = 'all';
+
+export default function StaffManager() {
+  const [staff, setStaff] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [resetResult, setResetResult] = useState(null);
+  const [currentUserId, setCurrentUserId] = useState(null);
+  const [branchInfo, setBranchInfo] = useState(null);
+
+  const fetchStaff = async () => {
+    try {
+      const { data } = await axios.get('/api/instructor/staff');
+      setStaff(data.staff || []);
+    } catch {
+      toast.error('Failed to load staff');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStaff();
+    // Admins can't demote or disable themselves
+    axios.get('/api/auth/staff')
+      .then(({ data }) => setCurrentUserId(data.user?.id || null))
+      .catch(() => {});
+    axios.get('/api/instructor/profile/branch')
+      .then(({ data }) => setBranchInfo(data))
+      .catch(() => {});
+  }, []);
+
+  const canMoveStaff = !!branchInfo && !branchInfo.branch;
+  const branchName = (code) => branchInfo?.branches.find((b) => b.code === code)?.name || code;
+
+  const updateStaff = async (id, changes) => {
+    setUpdatingId(id);
+    try {
+      const { data } = await axios.patch(`/api/instructor/staff/${id}`, changes);
+      setStaff((prev) => prev.map((s) => (s.id === id ? data.user : s)));
+      toast.success(data.message);
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update staff member');
+      return false;
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const resetPassword = async (member) => {
+    setUpdatingId(member.id);
+    try {
+      const { data } = await axios.post(`/api/instructor/staff/${member.id}/password`);
+      setResetResult({ name: member.name, password: data.password });
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const resetTwoFactor = async (member) => {
+    setUpdatingId(member.id);
+    try {
+      const { data } = await axios.delete(`/api/instructor/staff/${member.id}/two-factor`);
+      setStaff((prev) => prev.map((s) => (s.id === member.id ? { ...s, totpEnabledAt: null } : s)));
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to reset two-factor authentication');
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+    const saved = await updateStaff(editing.id, { name: editing.name.trim(), email: editing.email.trim() });
+    if (saved) setEditing(null);
+  };
+
+  const copyPassword = async () => {
+    try {
+      await navigator.clipboard.writeText(resetResult.password);
+      toast.success('Password copied');
+    } catch {
+      toast.error('Copy failed — select the password instead');
+    }
+  };
+
+  return (
+    <div className="rounded-lg border border-gray-200 p-5">
+      <h3 className="text-base font-medium text-gray-900 flex items-center mb-1">
+        <UserCog className="mr-2 w-5 h-5 text-blue-600" />
+        Staff Accounts
+      </h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Disabled staff are signed out and can no longer log in; what they recorded keeps their name.
+      </p>
+
+      {loading ? (
+        <Skeleton className="h-40 w-full" />
+      ) : (
+        <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+          {staff.map((member) => {
+            const isSelf = member.id === currentUserId;
+            return (
+              <div key={member.id} className={`flex items-center justify-between gap-3 p-3 ${member.disabledAt ? 'bg-gray-50' : ''}`}>
+                <div className="min-w-0 space-y-0.5">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={`text-sm font-medium ${member.disabledAt ? 'text-gray-400' : 'text-gray-900'}`}>
+                      {member.name}{isSelf && ' (you)'}
+                    </span>
+                    <Badge
+                      variant="outline"
+                      className={`text-[10px] ${member.role === 'ADMIN'
+                        ? 'bg-blue-50 text-blue-700 border-blue-200'
+                        : 'bg-gray-50 text-gray-600 border-gray-200'}`}
+                    >
+                      {ROLE_NAMES[member.role].toLowerCase()}
+                    </Badge>
+                    <Badge variant="outline" className="text-[10px] bg-gray-50 text-gray-600 border-gray-200">
+                      {member.branch ? branchName(member.branch) : 'all branches'}
+                    </Badge>
+                    {member.totpEnabledAt && (
+                      <Badge variant="outline" className="text-[10px] bg-green-50 text-green-700 border-green-200">2FA</Badge>
+                    )}
+                    {member.disabledAt && (
+                      <Badge variant="outline" className="text-[10px] bg-red-50 text-red-700 border-red-200">disabled</Badge>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500 truncate">{member.email}</div>
+                  <div className="text-[11px] text-gray-400">{formatLastLogin(member.lastLoginAt)}</div>
+                </div>
+
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button size="icon" variant="ghost" disabled={updatingId !== null} className="shrink-0">
+                      {updatingId === member.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <MoreVertical className="w-4 h-4" />}
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent align="end" className="w-52">
+                    <DropdownMenuItem onSelect={() => setEditing({ id: member.id, name: member.name, email: member.email })}>
+                      <Pencil className="mr-2 h-4 w-4" /> Edit details
+                    </DropdownMenuItem>
+                    <DropdownMenuSub>
+                      <DropdownMenuSubTrigger disabled={isSelf}>
+                        <ShieldCheck className="mr-2 h-4 w-4" /> Change role
+                      </DropdownMenuSubTrigger>
+                      <DropdownMenuSubContent>
+                        <DropdownMenuRadioGroup
+                          value={member.role}
+                          onValueChange={(role) => role !== member.role && updateStaff(member.id, { role })}
+                        >
+                          {ROLES.map((role) => (
+                            <DropdownMenuRadioItem key={role} value={role}>{ROLE_NAMES[role]}</DropdownMenuRadioItem>
+                          ))}
+                        </DropdownMenuRadioGroup>
+                      </DropdownMenuSubContent>
+                    </DropdownMenuSub>
+                    {canMoveStaff && (
+                      <DropdownMenuSub>
+                        <DropdownMenuSubTrigger disabled={isSelf}>
+                          <Building2 className="mr-2 h-4 w-4" /> Change branch
+                        </DropdownMenuSubTrigger>
+                        <DropdownMenuSubContent>
+                          <DropdownMenuRadioGroup
+                            value={member.branch || ALL_BRANCHES}
+                            onValueChange={(value) => {
+                              const branch = value === ALL_BRANCHES ? null : value;
+                              if (branch !== member.branch) updateStaff(member.id, { branch });
+                            }}
+                          >
+                            <DropdownMenuRadioItem value={ALL_BRANCHES}>All branches</DropdownMenuRadioItem>
+                            {branchInfo.branches.map((b) => (
+                              <DropdownMenuRadioItem key={b.code} value={b.code}>{b.name}</DropdownMenuRadioItem>
+                            ))}
+                          </DropdownMenuRadioGroup>
+                        </DropdownMenuSubContent>
+                      </DropdownMenuSub>
+                    )}
+                    <DropdownMenuItem onSelect={() => resetPassword(member)}>
+                      <KeyRound className="mr-2 h-4 w-4" /> Reset password
+                    </DropdownMenuItem>
+                    {member.totpEnabledAt && !isSelf && (
+                      <DropdownMenuItem onSelect={() => resetTwoFactor(member)}>
+                        <ShieldOff className="mr-2 h-4 w-4" /> Reset two-factor
+                      </DropdownMenuItem>
+                    )}
+                    <DropdownMenuSeparator />
+                    {member.disabledAt ? (
+                      <DropdownMenuItem onSelect={() => updateStaff(member.id, { disabled: false })}>
+                        <UserCheck className="mr-2 h-4 w-4" /> Re-enable account
+                      </DropdownMenuItem>
+                    ) : (
+                      <DropdownMenuItem
+                        disabled={isSelf}
+                        onSelect={() => updateStaff(member.id, { disabled: true })}
+                        className="text-red-600 focus:text-red-700"
+                      >
+                        <UserX className="mr-2 h-4 w-4" /> Disable account
+                      </DropdownMenuItem>
+                    )}
+                  </DropdownMenuContent>
+                </DropdownMenu>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <Dialog open={!!editing} onOpenChange={(open) => { if (!open) setEditing(null); }}>
+        <DialogContent>
+          <form onSubmit={saveEdit} className="space-y-4">
+            <DialogHeader>
+              <DialogTitle>Edit staff member</DialogTitle>
+              <DialogDescription>Change the name shown on rosters and the email used to log in.</DialogDescription>
+            </DialogHeader>
+            <Input
+              placeholder="Name"
+              value={editing?.name || ''}
+              maxLength={100}
+              onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+            />
+            <Input
+              type="email"
+              placeholder="Email"
+              value={editing?.email || ''}
+              onChange={(e) => setEditing((prev) => ({ ...prev, email: e.target.value }))}
+            />
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setEditing(null)}>Cancel</Button>
+              <Button type="submit" disabled={updatingId !== null || !editing?.name.trim()} className="bg-blue-900 hover:bg-blue-800">
+                {updatingId ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Save'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!resetResult} onOpenChange={(open) => { if (!open) setResetResult(null); }}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Password reset</DialogTitle>
+            <DialogDescription>
+              Give {resetResult?.name} this password. It won&apos;t be shown again.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 rounded-md border border-gray-200 bg-gray-50 px-3 py-2 font-mono text-sm select-all">
+              {resetResult?.password}
+            </code>
+            <Button type="button" size="icon" variant="outline" onClick={copyPassword}>
+              <Copy className="w-4 h-4" />
+            </Button>
+          </div>
+          <DialogFooter>
+            <Button onClick={() => setResetResult(null)}>Done</Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
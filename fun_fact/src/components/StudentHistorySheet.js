@@ -15,6 +15,7 @@ import {
   History,
   Archive,
   Loader2,
+  Ban,
 } from "lucide-react";
 
 import {
@@ -46,6 +47,7 @@ const STATUS_STYLES = {
   COMPLETED: { bg: "bg-emerald-100 text-emerald-800", icon: CheckCircle },
   INCOMPLETE: { bg: "bg-yellow-100 text-yellow-800", icon: AlertCircle },
   CANCELLED: { bg: "bg-gray-100 text-gray-500", icon: XCircle },
+  LATE_CANCEL: { bg: "bg-amber-100 text-amber-800", icon: XCircle },
 };
 
 function formatDate(dateString) {
@@ -67,7 +69,7 @@ export default function StudentHistorySheet({
   studentId,
   studentName,
   selfMode = false,
-  isAdmin = false,
+  can = () => false,
   onStatusChange,
   open,
   onOpenChange,
@@ -78,6 +80,8 @@ export default function StudentHistorySheet({
   const [isMobile, setIsMobile] = useState(false);
   const [archiveConfirmOpen, setArchiveConfirmOpen] = useState(false);
   const [archiving, setArchiving] = useState(false);
+  const [excusingId, setExcusingId] = useState(null);
+  const [lifting, setLifting] = useState(false);
 
   // On phones, present as a bottom sheet (the expected mobile pattern); side drawer on larger screens.
   useEffect(() => {
@@ -106,9 +110,9 @@ export default function StudentHistorySheet({
   const isInactive = data?.student?.status === "INACTIVE";
   const isArchived = data?.student?.status === "ARCHIVED";
 
-  // Archiving is permanent and releases the student number — admin only, and
-  // never in selfMode (a student viewing their own history).
-  const canArchive = !selfMode && isAdmin && data?.student && !isArchived;
+  // Archiving is permanent and releases the student number — only with
+  // students.archive, and never in selfMode (a student viewing their own history).
+  const canArchive = !selfMode && can("students.archive") && data?.student && !isArchived;
 
   const handleArchive = async () => {
     if (!data?.student) return;
@@ -129,6 +133,55 @@ export default function StudentHistorySheet({
     }
   };
 
+  // Staff can excuse a late cancellation, turning it into a plain one
+  const handleExcuse = async (booking) => {
+    setExcusingId(booking.id);
+    try {
+      await axios.patch(`/api/instructor/bookings/${booking.id}`, {
+        status: "CANCELLED",
+      });
+      setData((prev) => ({
+        ...prev,
+        bookings: prev.bookings.map((b) =>
+          b.id === booking.id ? { ...b, status: "CANCELLED" } : b,
+        ),
+        summary: {
+          ...prev.summary,
+          cancelled: prev.summary.cancelled + 1,
+          lateCancels: prev.summary.lateCancels - 1,
+        },
+      }));
+      toast.success("Late cancellation excused");
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to excuse cancellation");
+    } finally {
+      setExcusingId(null);
+    }
+  };
+
+  const activeSuspension = data?.suspensions?.find((s) => s.isActive);
+  const pastSuspensions = data?.suspensions?.filter((s) => !s.isActive) || [];
+
+  const handleLiftSuspension = async () => {
+    setLifting(true);
+    try {
+      const { data: res } = await axios.delete(
+        `/api/instructor/students/${data.student.id}/suspension`,
+      );
+      setData((prev) => ({
+        ...prev,
+        suspensions: prev.suspensions.map((s) =>
+          s.id === res.suspension.id ? res.suspension : s,
+        ),
+      }));
+      toast.success(res.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || "Failed to lift suspension");
+    } finally {
+      setLifting(false);
+    }
+  };
+
   // Group bookings by weekOf
   const bookingsByWeek =
     data?.bookings?.reduce((acc, b) => {
@@ -237,6 +290,50 @@ export default function StudentHistorySheet({
                 </CardContent>
               </Card>
 
+              {/* Booking suspension after repeated missed sessions */}
+              {activeSuspension && (
+                <Card className="border-red-200 bg-red-50">
+                  <CardContent className="pt-4 pb-3 space-y-2">
+                    <div className="flex items-center gap-2 text-sm font-medium text-red-800">
+                      <Ban className="w-4 h-4" />
+                      Booking suspended until {formatDate(activeSuspension.endsAt)}
+                    </div>
+                    <p className="text-xs text-red-700">
+                      {activeSuspension.reason}.{" "}
+                      {selfMode
+                        ? "Contact your instructor if you think this is a mistake."
+                        : "Existing bookings are kept."}
+                    </p>
+                    {!selfMode && can("students.edit") && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={handleLiftSuspension}
+                        disabled={lifting}
+                        className="text-xs text-red-700 border-red-200 hover:bg-red-100"
+                      >
+                        {lifting ? (
+                          <Loader2 className="w-3 h-3 animate-spin" />
+                        ) : (
+                          "Lift suspension"
+                        )}
+                      </Button>
+                    )}
+                  </CardContent>
+                </Card>
+              )}
+              {pastSuspensions.length > 0 && (
+                <div className="text-xs text-gray-500 space-y-0.5">
+                  {pastSuspensions.map((s) => (
+                    <div key={s.id}>
+                      Suspended {formatDate(s.startsAt)} – {formatDate(s.endsAt)} ({s.reason})
+                      {s.liftedAt &&
+                        ` · lifted ${formatDate(s.liftedAt)}${s.liftedBy ? ` by ${s.liftedBy}` : ""}`}
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Progress */}
               {data.summary.totalRequired && (
                 <Card
@@ -275,7 +372,7 @@ export default function StudentHistorySheet({
               )}
 
               {/* Summary Stats */}
-              <div className="grid grid-cols-3 gap-2">
+              <div className="grid grid-cols-4 gap-2">
                 <div className="bg-emerald-50 border border-emerald-200 rounded-lg p-3 text-center">
                   <div className="text-lg font-bold text-emerald-800">
                     {data.summary.completed}
@@ -294,6 +391,12 @@ export default function StudentHistorySheet({
                   </div>
                   <div className="text-xs text-red-600">No-Shows</div>
                 </div>
+                <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-center">
+                  <div className="text-lg font-bold text-amber-800">
+                    {data.summary.lateCancels}
+                  </div>
+                  <div className="text-xs text-amber-600">Late Cancels</div>
+                </div>
               </div>
 
               {/* Bookings by Week */}
@@ -344,6 +447,21 @@ export default function StudentHistorySheet({
                                       {booking.notes}
                                     </div>
                                   )}
+                                  {!selfMode && booking.status === "LATE_CANCEL" && (
+                                    <Button
+                                      variant="outline"
+                                      size="sm"
+                                      onClick={() => handleExcuse(booking)}
+                                      disabled={excusingId === booking.id}
+                                      className="mt-2 h-7 text-xs text-amber-700 border-amber-200 hover:bg-amber-50"
+                                    >
+                                      {excusingId === booking.id ? (
+                                        <Loader2 className="w-3 h-3 animate-spin" />
+                                      ) : (
+                                        "Excuse late cancel"
+                                      )}
+                                    </Button>
+                                  )}
                                 </div>
                                 <Badge
                                   className={`shrink-0 text-xs flex items-center gap-1 ${style.bg}`}
@@ -3,14 +3,100 @@
 import { useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '@/app/hooks/useAuth';
+import StudentRegistrationForm from '@/components/StudentRegistrationForm';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Button } from '@/components/ui/button';
-import { LogIn, Loader2 } from 'lucide-react';
+import { LogIn, Loader2, ArrowLeft } from 'lucide-react';
+
+// Second step when login codes are on: the code sent to the student's email
+// or phone. A new code can be sent, by the other channel where there is one.
+function LoginCodeStep({ challenge, onResend, onBack }) {
+  const { verifyCode, loading, lockout } = useAuth();
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [resending, setResending] = useState(false);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const ok = await verifyCode({ id: challenge.id, code });
+    // Stay disabled on success while the dashboard loads, as in the first step
+    if (!ok) {
+      setIsSubmitting(false);
+      setCode('');
+    }
+  };
+
+  const resend = async (channel) => {
+    setResending(true);
+    await onResend(channel);
+    setResending(false);
+  };
+
+  const disabled = isSubmitting || resending || loading || !!lockout;
+  const otherChannel = challenge.channel === 'SMS' ? 'EMAIL' : 'SMS';
+
+  return (
+    <form onSubmit={onSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">{challenge.message}. Enter it below to finish logging in.</p>
+
+      <div className="space-y-2">
+        <Label htmlFor="student-login-code">Login code</Label>
+        <Input
+          id="student-login-code"
+          type="text"
+          placeholder="6-digit code"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="\d{6}"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+          required
+          autoFocus
+          disabled={disabled}
+        />
+      </div>
+
+      {lockout && (
+        <p role="alert" className="rounded-md bg-red-50 p-3 text-sm text-red-700">{lockout.message}</p>
+      )}
+
+      <Button type="submit" className="w-full bg-blue-900 hover:bg-blue-800 text-white" disabled={disabled || code.length !== 6}>
+        {isSubmitting ? (
+          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+        ) : (
+          <LogIn className="w-4 h-4 mr-2" />
+        )}
+        {isSubmitting ? 'Signing you in…' : 'Log in'}
+      </Button>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <Button type="button" variant="ghost" size="sm" onClick={onBack} disabled={isSubmitting}>
+          <ArrowLeft className="w-4 h-4 mr-1" /> Back
+        </Button>
+        <div className="flex gap-2">
+          <Button type="button" variant="link" size="sm" onClick={() => resend(challenge.channel)} disabled={disabled}>
+            Send a new code
+          </Button>
+          {(otherChannel === 'EMAIL' || challenge.smsAvailable) && (
+            <Button type="button" variant="link" size="sm" onClick={() => resend(otherChannel)} disabled={disabled}>
+              {otherChannel === 'SMS' ? 'Text it to me instead' : 'Email it instead'}
+            </Button>
+          )}
+        </div>
+      </div>
+    </form>
+  );
+}
 
 export default function StudentLoginForm() {
-  const { login, loading } = useAuth();
+  const { login, loading, lockout } = useAuth();
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Set once a login code has been sent: { id, email, channel, smsAvailable, message }
+  const [challenge, setChallenge] = useState(null);
+  const [registering, setRegistering] = useState(false);
 
   const {
     register,
@@ -22,7 +108,10 @@ export default function StudentLoginForm() {
   const onSubmit = async (data) => {
     setIsSubmitting(true);
     const ok = await login(data);
-    if (ok) {
+    if (ok?.codeRequired) {
+      setChallenge({ ...data, ...ok });
+      setIsSubmitting(false);
+    } else if (ok) {
       reset();
       // Leave the form disabled on success: login() has already triggered the
       // redirect to /dashboard, and this form stays mounted until that route
@@ -32,7 +121,20 @@ export default function StudentLoginForm() {
     }
   };
 
-  const disabled = isSubmitting || loading;
+  const resendCode = async (channel) => {
+    const sent = await login({ id: challenge.id, email: challenge.email, channel });
+    if (sent?.codeRequired) setChallenge((prev) => ({ ...prev, ...sent }));
+  };
+
+  const disabled = isSubmitting || loading || !!lockout;
+
+  if (registering) {
+    return <StudentRegistrationForm onBack={() => setRegistering(false)} />;
+  }
+
+  if (challenge) {
+    return <LoginCodeStep challenge={challenge} onResend={resendCode} onBack={() => setChallenge(null)} />;
+  }
 
   return (
     <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
@@ -86,14 +188,27 @@ export default function StudentLoginForm() {
         )}
       </div>
 
+      {lockout && (
+        <p role="alert" className="rounded-md bg-red-50 p-3 text-sm text-red-700">{lockout.message}</p>
+      )}
+
       <Button type="submit" className="w-full bg-blue-900 hover:bg-blue-800 text-white" disabled={disabled}>
-        {disabled ? (
+        {lockout ? (
+          <LogIn className="w-4 h-4 mr-2" />
+        ) : disabled ? (
           <Loader2 className="w-4 h-4 mr-2 animate-spin" />
         ) : (
           <LogIn className="w-4 h-4 mr-2" />
         )}
-        {isSubmitting ? 'Signing you in…' : disabled ? 'Please wait…' : 'Continue'}
+        {lockout ? 'Temporarily locked' : isSubmitting ? 'Signing you in…' : disabled ? 'Please wait…' : 'Continue'}
       </Button>
+
+      <p className="text-center text-sm text-gray-500">
+        New student?{' '}
+        <button type="button" className="font-medium text-blue-900 hover:underline" onClick={() => setRegistering(true)}>
+          Request an account
+        </button>
+      </p>
     </form>
   );
 }
@@ -0,0 +1,203 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { useForm } from 'react-hook-form';
+import { Button } from '@/components/ui/button';
+import {
+  Form,
+  FormControl,
+  FormDescription,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormMessage,
+} from '@/components/ui/form';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { ArrowLeft, CheckCircle2, Loader2 } from 'lucide-react';
+import { LICENCE_CLASSES, LICENCE_CLASS_NAMES, DEFAULT_LICENCE_CLASS, DEFAULT_BRANCH } from '@/app/lib/constants';
+import { studentFormSchema } from '@/components/CreateStudentForm';
+
+// Request for a student account, from the login page. An admin approves it
+// before the student can log in.
+export default function StudentRegistrationForm({ onBack }) {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(null);
+  const [branches, setBranches] = useState([]);
+
+  const form = useForm({
+    resolver: zodResolver(studentFormSchema),
+    defaultValues: {
+      id: '',
+      name: '',
+      email: '',
+      phoneNumber: '',
+      category: DEFAULT_LICENCE_CLASS,
+      branch: DEFAULT_BRANCH,
+    },
+  });
+
+  // Schools with one branch don't ask
+  useEffect(() => {
+    axios.get('/api/branches')
+      .then(({ data }) => setBranches(data.branches || []))
+      .catch(() => setBranches([]));
+  }, []);
+
+  const onSubmit = async (data) => {
+    try {
+      setIsSubmitting(true);
+      const { data: response } = await axios.post('/api/auth/register', {
+        ...data,
+        phoneNumber: data.phoneNumber?.trim() || undefined,
+      });
+      setSubmitted(response.message);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Registration failed');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (submitted) {
+    return (
+      <div className="space-y-4 text-center">
+        <CheckCircle2 className="mx-auto h-10 w-10 text-green-600" />
+        <p className="text-sm text-gray-700">{submitted}</p>
+        <Button type="button" variant="outline" className="w-full" onClick={onBack}>
+          <ArrowLeft className="w-4 h-4 mr-2" /> Back to login
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <Form {...form}>
+      <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4">
+        <FormField
+          control={form.control}
+          name="id"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>Student ID</FormLabel>
+              <FormControl>
+                <Input placeholder="e.g. DR-4824-25" autoCapitalize="characters" {...field} disabled={isSubmitting} />
+              </FormControl>
+              <FormDescription>The number the school gave you when you enrolled.</FormDescription>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+
+        <FormField
+          control={form.control}
+          name="name"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>Full Name</FormLabel>
+              <FormControl>
+                <Input autoComplete="name" {...field} disabled={isSubmitting} />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+
+        <FormField
+          control={form.control}
+          name="email"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>Email Address</FormLabel>
+              <FormControl>
+                <Input type="email" autoComplete="email" {...field} disabled={isSubmitting} />
+              </FormControl>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+
+        <FormField
+          control={form.control}
+          name="phoneNumber"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>Phone Number</FormLabel>
+              <FormControl>
+                <Input type="tel" placeholder="+254 7XX XXX XXX" autoComplete="tel" {...field} disabled={isSubmitting} />
+              </FormControl>
+              <FormDescription>Optional — for session reminders by text.</FormDescription>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+
+        <FormField
+          control={form.control}
+          name="category"
+          render={({ field }) => (
+            <FormItem>
+              <FormLabel>Licence Class</FormLabel>
+              <Select onValueChange={field.onChange} value={field.value} disabled={isSubmitting}>
+                <FormControl>
+                  <SelectTrigger className="w-full">
+                    <SelectValue placeholder="Select licence class" />
+                  </SelectTrigger>
+                </FormControl>
+                <SelectContent>
+                  {LICENCE_CLASSES.map((c) => (
+                    <SelectItem key={c} value={c}>{LICENCE_CLASS_NAMES[c]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <FormMessage />
+            </FormItem>
+          )}
+        />
+
+        {branches.length > 1 && (
+          <FormField
+            control={form.control}
+            name="branch"
+            render={({ field }) => (
+              <FormItem>
+                <FormLabel>Branch</FormLabel>
+                <Select onValueChange={field.onChange} value={field.value} disabled={isSubmitting}>
+                  <FormControl>
+                    <SelectTrigger className="w-full">
+                      <SelectValue placeholder="Select branch" />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    {branches.map((b) => (
+                      <SelectItem key={b.code} value={b.code}>{b.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <FormDescription>Where you take your practicals.</FormDescription>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        )}
+
+        <Button type="submit" className="w-full bg-blue-900 hover:bg-blue-800 text-white" disabled={isSubmitting}>
+          {isSubmitting && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+          {isSubmitting ? 'Sending…' : 'Request account'}
+        </Button>
+        <Button type="button" variant="ghost" className="w-full" onClick={onBack} disabled={isSubmitting}>
+          <ArrowLeft className="w-4 h-4 mr-2" /> Back to login
+        </Button>
+      </form>
+    </Form>
+  );
+}
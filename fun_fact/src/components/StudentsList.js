@@ -70,8 +70,13 @@ import {
 } from '@/components/ui/alert-dialog';
 import StudentHistorySheet from '@/components/StudentHistorySheet';
 import EditStudentSheet from '@/components/EditStudentSheet';
+import PendingRegistrations from '@/components/PendingRegistrations';
 
-export default function StudentsList({ isAdmin = false }) {
+/**
+ * @param {Object} props
+ * @param {Function} [props.can] - (permission) => whether the user has it
+ */
+export default function StudentsList({ can = () => false }) {
   // State management
   const [students, setStudents] = useState([]);
   const [analytics, setAnalytics] = useState(null);
@@ -195,7 +200,7 @@ export default function StudentsList({ isAdmin = false }) {
     });
   };
 
-  // Bulk deactivate the selected active students (admin only, reversible).
+  // Bulk deactivate the selected active students (students.archive, reversible).
   // Archiving stays a deliberate one-student action inside the history sheet.
   const handleBulkDeactivate = async () => {
     const targets = students.filter((s) => selectedIds.has(s.id) && s.status === 'ACTIVE');
@@ -226,7 +231,7 @@ export default function StudentsList({ isAdmin = false }) {
     fetchStudents(currentPage, searchQuery, studentsPerPage, statusFilter);
   };
 
-  // Deactivate / reactivate a student (admin only, reversible). A deactivated
+  // Deactivate / reactivate a student (students.archive, reversible). A deactivated
   // student keeps read access to their history but cannot book sessions.
   const handleToggleStatus = async () => {
     if (!toggleStudent) return;
@@ -393,6 +398,9 @@ export default function StudentsList({ isAdmin = false }) {
         </div>
       )}
 
+      {/* Account requests from the login page (students.create) */}
+      {can('students.create') && <PendingRegistrations onApproved={refreshData} />}
+
       {/* Students Directory */}
       <Card>
         <CardHeader>
@@ -476,8 +484,8 @@ export default function StudentsList({ isAdmin = false }) {
             </div>
           </div>
 
-          {/* Bulk action bar (admin) */}
-          {isAdmin && selectedIds.size > 0 && (
+          {/* Bulk action bar */}
+          {can('students.archive') && selectedIds.size > 0 && (
             <div className="flex items-center justify-between mb-4 rounded-lg border border-blue-200 bg-blue-50 px-3 py-2">
               <span className="text-sm font-medium text-blue-800">{selectedIds.size} selected</span>
               <div className="flex items-center gap-2">
@@ -504,7 +512,7 @@ export default function StudentsList({ isAdmin = false }) {
             <Table>
               <TableHeader>
                 <TableRow>
-                  {isAdmin && (
+                  {can('students.archive') && (
                     <TableHead className="w-8">
                       <Checkbox
                         checked={allVisibleSelected}
@@ -522,7 +530,7 @@ export default function StudentsList({ isAdmin = false }) {
               <TableBody>
                 {students.map((student) => (
                   <TableRow key={student.id} data-state={selectedIds.has(student.id) ? 'selected' : undefined}>
-                    {isAdmin && (
+                    {can('students.archive') && (
                       <TableCell>
                         <Checkbox
                           checked={selectedIds.has(student.id)}
@@ -599,9 +607,9 @@ export default function StudentsList({ isAdmin = false }) {
                           History
                         </Button>
 
-                        {/* Occasional admin actions live in a labelled overflow menu,
+                        {/* Occasional actions live in a labelled overflow menu,
                             with the destructive one separated and in red. */}
-                        {isAdmin && student.status !== 'ARCHIVED' && (
+                        {(can('students.edit') || can('students.archive')) && student.status !== 'ARCHIVED' && (
                           <DropdownMenu>
                             <DropdownMenuTrigger asChild>
                               <Button
@@ -614,23 +622,27 @@ export default function StudentsList({ isAdmin = false }) {
                               </Button>
                             </DropdownMenuTrigger>
                             <DropdownMenuContent align="end" className="w-48">
-                              <DropdownMenuItem onSelect={() => setEditStudent(student)}>
-                                <Pencil className="w-4 h-4 mr-2" />
-                                Edit details
-                              </DropdownMenuItem>
-                              <DropdownMenuSeparator />
-                              <DropdownMenuItem
-                                onSelect={() => setToggleStudent(student)}
-                                className={student.status === 'INACTIVE'
-                                  ? 'text-emerald-600 focus:text-emerald-700'
-                                  : 'text-red-600 focus:text-red-700'}
-                              >
-                                {student.status === 'INACTIVE' ? (
-                                  <><RotateCcw className="w-4 h-4 mr-2" />Reactivate student</>
-                                ) : (
-                                  <><Ban className="w-4 h-4 mr-2" />Deactivate student</>
-                                )}
-                              </DropdownMenuItem>
+                              {can('students.edit') && (
+                                <DropdownMenuItem onSelect={() => setEditStudent(student)}>
+                                  <Pencil className="w-4 h-4 mr-2" />
+                                  Edit details
+                                </DropdownMenuItem>
+                              )}
+                              {can('students.edit') && can('students.archive') && <DropdownMenuSeparator />}
+                              {can('students.archive') && (
+                                <DropdownMenuItem
+                                  onSelect={() => setToggleStudent(student)}
+                                  className={student.status === 'INACTIVE'
+                                    ? 'text-emerald-600 focus:text-emerald-700'
+                                    : 'text-red-600 focus:text-red-700'}
+                                >
+                                  {student.status === 'INACTIVE' ? (
+                                    <><RotateCcw className="w-4 h-4 mr-2" />Reactivate student</>
+                                  ) : (
+                                    <><Ban className="w-4 h-4 mr-2" />Deactivate student</>
+                                  )}
+                                </DropdownMenuItem>
+                              )}
                             </DropdownMenuContent>
                           </DropdownMenu>
                         )}
@@ -707,7 +719,7 @@ export default function StudentsList({ isAdmin = false }) {
                         <History className="w-3 h-3 mr-1" />
                         History
                       </Button>
-                      {isAdmin && student.status !== 'ARCHIVED' && (
+                      {can('students.edit') && student.status !== 'ARCHIVED' && (
                         <Button
                           variant="outline"
                           size="sm"
@@ -718,7 +730,7 @@ export default function StudentsList({ isAdmin = false }) {
                           Edit
                         </Button>
                       )}
-                      {isAdmin && student.status !== 'ARCHIVED' && (
+                      {can('students.archive') && student.status !== 'ARCHIVED' && (
                         <Button
                           variant="outline"
                           size="sm"
@@ -808,7 +820,7 @@ export default function StudentsList({ isAdmin = false }) {
       <StudentHistorySheet
         studentId={historyStudent?.id}
         studentName={historyStudent?.name}
-        isAdmin={isAdmin}
+        can={can}
         onStatusChange={refreshData}
         open={!!historyStudent}
         onOpenChange={(open) => { if (!open) setHistoryStudent(null); }}
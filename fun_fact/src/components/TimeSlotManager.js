@@ -0,0 +1,230 @@
+// file: src/components/TimeSlotManager.js
+// Admin list of the time slots sessions run in, and the days each runs on.
+// A new slot gets a session per licence class at capacity 0; the capacity
+// matrix opens it. Retired slots keep their sessions for booking history.
+
+'use client';
+
+import { useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { DAYS, DAY_NAMES } from '@/app/lib/constants';
+import { useTimeSlots } from '@/app/hooks/useTimeSlots';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Clock, Loader2, Pencil } from 'lucide-react';
+
+const DAY_ORDER = Object.values(DAYS);
+
+// Mon–Sun toggle buttons
+function DayPicker({ value, onChange }) {
+  const toggle = (day) =>
+    onChange(value.includes(day) ? value.filter((d) => d !== day) : DAY_ORDER.filter((d) => d === day || value.includes(d)));
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {DAY_ORDER.map((day) => (
+        <button
+          key={day}
+          type="button"
+          onClick={() => toggle(day)}
+          aria-pressed={value.includes(day)}
+          className={`h-8 min-w-10 px-2 rounded-md border text-xs font-medium transition-colors ${
+            value.includes(day)
+              ? 'bg-blue-900 border-blue-900 text-white'
+              : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+          }`}
+        >
+          {DAY_NAMES[day].slice(0, 3)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default function TimeSlotManager() {
+  const { timeSlots, setTimeSlots, loading } = useTimeSlots();
+  const [startTime, setStartTime] = useState('');
+  const [endTime, setEndTime] = useState('');
+  const [days, setDays] = useState(DAY_ORDER.slice(0, 5));
+  const [label, setLabel] = useState('');
+  const [adding, setAdding] = useState(false);
+  const [updatingCode, setUpdatingCode] = useState(null);
+  const [editing, setEditing] = useState(null); // { code, label, days }
+
+  const replaceSlot = (slot) =>
+    setTimeSlots((prev) => prev.map((s) => (s.code === slot.code ? slot : s)));
+
+  const addSlot = async () => {
+    if (!startTime || !endTime) {
+      toast.error('Start and end times are required');
+      return;
+    }
+    if (days.length === 0) {
+      toast.error('Pick at least one day');
+      return;
+    }
+    setAdding(true);
+    try {
+      const { data } = await axios.post('/api/admin/time-slots', {
+        startTime,
+        endTime,
+        days,
+        ...(label.trim() && { label: label.trim() })
+      });
+      setTimeSlots((prev) =>
+        [...prev, data.timeSlot].sort((a, b) => a.startTime.localeCompare(b.startTime) || a.endTime.localeCompare(b.endTime))
+      );
+      setStartTime('');
+      setEndTime('');
+      setLabel('');
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to add time slot');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const updateSlot = async (code, changes, fallback) => {
+    setUpdatingCode(code);
+    try {
+      const { data } = await axios.patch(`/api/admin/time-slots/${code}`, changes);
+      replaceSlot(data.timeSlot);
+      toast.success(data.message);
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.error || fallback);
+      return false;
+    } finally {
+      setUpdatingCode(null);
+    }
+  };
+
+  const saveEdit = async () => {
+    if (editing.days.length === 0) {
+      toast.error('Pick at least one day');
+      return;
+    }
+    const saved = await updateSlot(editing.code, { label: editing.label, days: editing.days }, 'Failed to update time slot');
+    if (saved) setEditing(null);
+  };
+
+  return (
+    <Card className="border-gray-200 shadow-sm">
+      <CardContent className="p-5 space-y-4">
+        <div className="flex items-start gap-3">
+          <div className="flex h-9 w-9 shrink-0 items-center justify-center rounded-lg bg-blue-50 text-blue-700">
+            <Clock className="h-5 w-5" />
+          </div>
+          <div className="min-w-0 flex-1">
+            <div className="text-sm font-semibold text-gray-900">Time slots</div>
+            <p className="text-xs text-gray-500 mt-0.5">
+              The times sessions run and the days each runs on. New slots start closed — open them per class in
+              the capacity matrix above (Reload to see them). Slots on the same day can&apos;t overlap.
+            </p>
+          </div>
+        </div>
+
+        {loading ? (
+          <Skeleton className="h-24 w-full" />
+        ) : timeSlots.length > 0 ? (
+          <div className="divide-y divide-gray-100 rounded-lg border border-gray-200">
+            {timeSlots.map((slot) => (
+              <div key={slot.code} className="p-3 space-y-3">
+                <div className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className={`text-sm font-medium ${slot.isActive ? 'text-gray-900' : 'text-gray-400 line-through'}`}>
+                      {slot.label}
+                    </div>
+                    <div className="text-[11px] text-gray-500 truncate">
+                      {slot.startTime}–{slot.endTime} · {slot.days.map((d) => DAY_NAMES[d].slice(0, 3)).join(', ')}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() =>
+                        setEditing(editing?.code === slot.code ? null : { code: slot.code, label: slot.label, days: slot.days })
+                      }
+                      className={editing?.code === slot.code ? 'text-blue-700' : 'text-gray-400'}
+                      aria-label="Edit"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => updateSlot(slot.code, { isActive: !slot.isActive }, 'Failed to update time slot')}
+                      disabled={updatingCode === slot.code}
+                      className={slot.isActive ? 'text-gray-500 hover:text-red-600' : 'text-blue-700'}
+                    >
+                      {updatingCode === slot.code ? <Loader2 className="w-4 h-4 animate-spin" /> : slot.isActive ? 'Retire' : 'Reinstate'}
+                    </Button>
+                  </div>
+                </div>
+                {editing?.code === slot.code && (
+                  <div className="rounded-md bg-gray-50 border border-gray-100 p-3 space-y-3">
+                    <Input
+                      placeholder="Label"
+                      value={editing.label}
+                      maxLength={191}
+                      onChange={(e) => setEditing({ ...editing, label: e.target.value })}
+                    />
+                    <DayPicker value={editing.days} onChange={(value) => setEditing({ ...editing, days: value })} />
+                    <div className="flex justify-end gap-2">
+                      <Button variant="ghost" size="sm" onClick={() => setEditing(null)}>
+                        Cancel
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={saveEdit}
+                        disabled={updatingCode === slot.code}
+                      >
+                        {updatingCode === slot.code ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Save'}
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-xs text-gray-500">No time slots yet.</p>
+        )}
+
+        <div className="space-y-2">
+          <div className="grid grid-cols-2 sm:grid-cols-[8rem_8rem_1fr_auto] gap-2">
+            <Input
+              type="time"
+              value={startTime}
+              onChange={(e) => setStartTime(e.target.value)}
+              aria-label="Start time"
+            />
+            <Input
+              type="time"
+              value={endTime}
+              onChange={(e) => setEndTime(e.target.value)}
+              aria-label="End time"
+            />
+            <Input
+              placeholder="Label (optional)"
+              value={label}
+              maxLength={191}
+              onChange={(e) => setLabel(e.target.value)}
+              className="col-span-2 sm:col-span-1"
+            />
+            <Button onClick={addSlot} disabled={adding} className="col-span-2 sm:col-span-1 bg-blue-900 hover:bg-blue-800">
+              {adding ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Add'}
+            </Button>
+          </div>
+          <DayPicker value={days} onChange={setDays} />
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
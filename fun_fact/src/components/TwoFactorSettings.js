@@ -0,0 +1,195 @@
+// file: src/components/TwoFactorSettings.js
+// The signed-in staff member's two-factor authentication: set it up by
+// scanning a QR code into an authenticator app, see recovery codes once, make
+// new ones, or turn it off (unless the admin policy requires it).
+
+'use client';
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Skeleton } from '@/components/ui/skeleton';
+import { Copy, KeyRound, Loader2, ShieldCheck, ShieldOff } from 'lucide-react';
+
+/**
+ * @param {Object} props
+ * @param {Function} [props.onEnabled] - Called once two-factor is turned on
+ */
+export default function TwoFactorSettings({ onEnabled }) {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = async () => {
+    try {
+      const { data } = await axios.get('/api/instructor/profile/two-factor');
+      setStatus(data);
+    } catch {
+      toast.error('Failed to load two-factor settings');
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    const { data } = await axios.post('/api/instructor/profile/two-factor');
+    setSetup(data);
+    setCode('');
+  });
+
+  const confirmSetup = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await axios.put('/api/instructor/profile/two-factor', { code });
+      setSetup(null);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      toast.success(data.message);
+      await fetchStatus();
+      onEnabled?.();
+    });
+  };
+
+  const newRecoveryCodes = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const { data } = await axios.post('/api/instructor/profile/two-factor/recovery-codes', { code });
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      toast.success(data.message);
+      await fetchStatus();
+    });
+  };
+
+  const turnOff = () => run(async () => {
+    const { data } = await axios.delete('/api/instructor/profile/two-factor', { data: { code } });
+    setCode('');
+    setRecoveryCodes(null);
+    toast.success(data.message);
+    await fetchStatus();
+  });
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Copy failed — select the codes instead');
+    }
+  };
+
+  if (!status) return <Skeleton className="h-32 w-full" />;
+
+  const codeInput = (
+    <Input
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="123456"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      className="font-mono"
+    />
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-sm text-gray-700">
+          Ask for a code from an authenticator app after your password.
+        </p>
+        {status.enabled
+          ? <Badge variant="outline" className="bg-green-50 text-green-700 border-green-200">On</Badge>
+          : <Badge variant="outline" className="bg-gray-50 text-gray-600 border-gray-200">Off</Badge>}
+      </div>
+
+      {status.required && !status.enabled && (
+        <p className="rounded-md bg-amber-50 p-3 text-sm text-amber-800">
+          Two-factor authentication is required for admins. Set it up to continue.
+        </p>
+      )}
+
+      {recoveryCodes && (
+        <div className="space-y-2 rounded-lg border border-blue-200 bg-blue-50 p-3">
+          <p className="text-sm font-medium text-blue-900">Recovery codes</p>
+          <p className="text-xs text-blue-800">
+            Each one logs you in once if you lose your phone. Keep them somewhere safe — they won&apos;t be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900">
+            {recoveryCodes.map((recoveryCode) => <span key={recoveryCode}>{recoveryCode}</span>)}
+          </div>
+          <Button size="sm" variant="outline" onClick={copyRecoveryCodes}>
+            <Copy className="mr-2 h-4 w-4" /> Copy
+          </Button>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <Button className="w-full" disabled={busy} onClick={startSetup}>
+          {busy ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <ShieldCheck className="mr-2 h-4 w-4" />}
+          Set up two-factor authentication
+        </Button>
+      )}
+
+      {setup && (
+        <form onSubmit={confirmSetup} className="space-y-3 rounded-lg border border-gray-200 p-3">
+          <p className="text-sm text-gray-700">
+            Scan this with your authenticator app, then enter the code it shows.
+          </p>
+          <img src={setup.qr} alt="QR code for your authenticator app" className="mx-auto h-48 w-48" />
+          <p className="text-xs text-gray-500 text-center">
+            Can&apos;t scan it? Enter this key instead:
+            <span className="block font-mono text-gray-900 break-all">{setup.secret}</span>
+          </p>
+          {codeInput}
+          <div className="flex gap-2">
+            <Button type="button" variant="outline" className="flex-1" disabled={busy} onClick={() => setSetup(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="flex-1" disabled={busy || !code.trim()}>
+              {busy && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Turn on
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {status.enabled && (
+        <form onSubmit={newRecoveryCodes} className="space-y-3">
+          <p className="text-xs text-gray-500">
+            {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left. Enter a code from your app to make new ones
+            {status.required ? '.' : ' or to turn two-factor off.'}
+          </p>
+          {codeInput}
+          <div className="flex gap-2">
+            <Button type="submit" variant="outline" className="flex-1" disabled={busy || !code.trim()}>
+              <KeyRound className="mr-2 h-4 w-4" /> New recovery codes
+            </Button>
+            {!status.required && (
+              <Button type="button" variant="destructive" className="flex-1" disabled={busy || !code.trim()} onClick={turnOff}>
+                <ShieldOff className="mr-2 h-4 w-4" /> Turn off
+              </Button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,9 @@
 import { NextResponse } from 'next/server';
 import { jwtVerify } from 'jose';
+import prisma from '@/app/lib/db/prisma-client';
+import { findLoginSession } from '@/app/lib/utils/logins';
+import { needsTwoFactorSetup, isTwoFactorSetupPath } from '@/app/lib/utils/twofactor';
+import { getPathPermissions, hasPermission } from '@/app/lib/permissions';
 
 if (!process.env.NEXTAUTH_SECRET) {
   throw new Error('NEXTAUTH_SECRET environment variable is required');
@@ -9,6 +13,17 @@ const secretKey = new TextEncoder().encode(process.env.NEXTAUTH_SECRET);
 
 const STAFF_AUTH_COOKIE = 'staff-token';
 
+// Signed-out response: 401 JSON for API routes, otherwise back to the staff
+// login with the stale cookie cleared
+function rejectToken(request, error) {
+  if (request.nextUrl.pathname.startsWith('/api/')) {
+    return NextResponse.json({ error }, { status: 401 });
+  }
+  const response = NextResponse.redirect(new URL('/?tab=staff', request.url));
+  response.cookies.delete(STAFF_AUTH_COOKIE);
+  return response;
+}
+
 export async function middleware(request) {
   const token = request.cookies.get(STAFF_AUTH_COOKIE)?.value;
 
@@ -24,48 +39,83 @@ export async function middleware(request) {
     return NextResponse.redirect(new URL('/?tab=staff', request.url));
   }
 
+  let payload;
   try {
-    const { payload } = await jwtVerify(token, secretKey);
+    ({ payload } = await jwtVerify(token, secretKey));
+  } catch (error) {
+    // Invalid/expired token → clear cookie and redirect
+    return rejectToken(request, 'Invalid or expired token');
+  }
+
+  try {
+    // Logged out, or revoked after a password or role change
+    if (!await findLoginSession(payload, { userId: payload.id })) {
+      return rejectToken(request, 'Your session has ended. Please log in again.');
+    }
+
+    // The token stays valid after an account is disabled or its role changes,
+    // so both are read from the database
+    const user = await prisma.user.findUnique({
+      where: { id: payload.id },
+      select: { id: true, role: true, branch: true, disabledAt: true, totpEnabledAt: true }
+    });
+    if (!user || user.disabledAt) {
+      return rejectToken(request, 'This account has been disabled');
+    }
 
-    // Admin-only routes require ADMIN role
+    // Staff the two-factor policy applies to can only reach enrolment until they enrol
     if (
-      request.nextUrl.pathname.startsWith('/admin') ||
-      request.nextUrl.pathname.startsWith('/api/admin')
+      !isTwoFactorSetupPath(request.nextUrl.pathname) &&
+      await needsTwoFactorSetup(user.role, !!user.totpEnabledAt)
     ) {
-      if (payload.role !== 'ADMIN') {
-        if (request.nextUrl.pathname.startsWith('/api/')) {
-          return NextResponse.json(
-            { error: 'Admin access required' },
-            { status: 403 }
-          );
-        }
-        return NextResponse.redirect(new URL('/instructor', request.url));
+      if (request.nextUrl.pathname.startsWith('/api/')) {
+        return NextResponse.json(
+          { error: 'Set up two-factor authentication to continue', twoFactorSetupRequired: true },
+          { status: 403 }
+        );
       }
+      return NextResponse.redirect(new URL('/instructor/security', request.url));
+    }
+
+    // Routes with a permission rule need one of its permissions; other admin
+    // routes stay ADMIN only
+    const permissions = getPathPermissions(request.nextUrl.pathname, request.method);
+    const allowed = permissions
+      ? permissions.some((permission) => hasPermission(user.role, permission, user.branch))
+      : user.role === 'ADMIN' || !(
+        request.nextUrl.pathname.startsWith('/admin') ||
+        request.nextUrl.pathname.startsWith('/api/admin')
+      );
+    if (!allowed) {
+      if (request.nextUrl.pathname.startsWith('/api/')) {
+        return NextResponse.json(
+          { error: 'Insufficient permissions' },
+          { status: 403 }
+        );
+      }
+      return NextResponse.redirect(new URL('/instructor', request.url));
     }
 
     const response = NextResponse.next();
-    response.headers.set('x-user-id', payload.id);
-    response.headers.set('x-user-role', payload.role);
+    response.headers.set('x-user-id', user.id);
+    response.headers.set('x-user-role', user.role);
     return response;
   } catch (error) {
-    // Invalid/expired token → clear cookie and redirect
+    console.error('Middleware auth error:', error);
     if (request.nextUrl.pathname.startsWith('/api/')) {
-      return NextResponse.json(
-        { error: 'Invalid or expired token' },
-        { status: 401 }
-      );
+      return NextResponse.json({ error: 'Authentication failed' }, { status: 500 });
     }
-    const response = NextResponse.redirect(new URL('/?tab=staff', request.url));
-    response.cookies.delete(STAFF_AUTH_COOKIE);
-    return response;
+    return NextResponse.redirect(new URL('/?tab=staff', request.url));
   }
 }
 
 export const config = {
+  // Node.js rather than the edge runtime, so the account can be checked in the database
+  runtime: 'nodejs',
   matcher: [
     '/instructor/:path*',
     '/api/instructor/:path*',
     '/admin/:path*',
-    '/api/admin/((?!reset-bookings).)*',
+    '/api/admin/((?!reset-bookings|jobs/tick).)*',
   ],
 };